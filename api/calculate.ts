@@ -0,0 +1,89 @@
+/**
+ * Public pricing calculation endpoint.
+ *
+ * POST a JSON body of pricing engine inputs: `currentPrice`, `customers` and
+ * `churnRate` are required; `competitorPrice`, `cac`, `averageContractLength`,
+ * `expansionRevenue`, `marketSize`, the other PRICING_INPUT_SCHEMA fields and
+ * `currency` are optional. Responds with the engine's `formulaVersion`,
+ * parsed `inputs`, `metrics` and `tiers`.
+ *
+ * Breaking change (API version 2): the original per-seat quote took `users`,
+ * `features`, `growthRate`, `contractLength` and `supportTier`. Those fields
+ * are no longer read; a request that still sends any of them gets a 400
+ * `LEGACY_REQUEST_FORMAT` naming the fields to send instead, rather than a
+ * quote computed without them.
+ */
+import { runPricingEngine, PricingInputError, PRICING_INPUT_SCHEMA } from '../backend/src/shared/pricingEngine';
+
+const API_VERSION = '2';
+
+const LEGACY_FIELDS = ['users', 'features', 'growthRate', 'contractLength', 'supportTier'];
+
+interface ApiRequest {
+  method?: string;
+  body?: Record<string, unknown>;
+}
+
+interface ApiResponse {
+  setHeader(name: string, value: string | boolean): void;
+  status(code: number): ApiResponse;
+  json(body: unknown): void;
+  end(): void;
+}
+
+export default function handler(req: ApiRequest, res: ApiResponse) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('X-Api-Version', API_VERSION);
+
+  const body = req.body || {};
+  const legacyFields = LEGACY_FIELDS.filter((field) => field in body);
+  if (legacyFields.length > 0) {
+    const fields = Object.entries(PRICING_INPUT_SCHEMA);
+    return res.status(400).json({
+      error: `${legacyFields.join(', ')} ${legacyFields.length === 1 ? 'is' : 'are'} no longer supported; send pricing engine inputs instead`,
+      code: 'LEGACY_REQUEST_FORMAT',
+      details: {
+        unsupportedFields: legacyFields,
+        requiredFields: fields.filter(([, rule]) => rule.required).map(([field]) => field),
+        optionalFields: [...fields.filter(([, rule]) => !rule.required).map(([field]) => field), 'currency']
+      }
+    });
+  }
+
+  try {
+    const result = runPricingEngine(body);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (error instanceof PricingInputError) {
+      return res.status(400).json({
+        error: 'Invalid calculation inputs',
+        details: error.issues
+      });
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "system_settings" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "updated_by_id" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "system_settings_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "system_setting_changes" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "previous_value" JSONB,
+    "new_value" JSONB NOT NULL,
+    "changed_by_id" TEXT NOT NULL,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "system_setting_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "system_setting_changes_key_idx" ON "system_setting_changes"("key");
+
+-- CreateIndex
+CREATE INDEX "system_setting_changes_created_at_idx" ON "system_setting_changes"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "system_setting_changes" ADD CONSTRAINT "system_setting_changes_changed_by_id_fkey" FOREIGN KEY ("changed_by_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
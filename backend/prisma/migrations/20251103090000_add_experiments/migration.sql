@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "ExperimentStatus" AS ENUM ('DRAFT', 'RUNNING', 'STOPPED');
+
+-- CreateTable
+CREATE TABLE "experiments" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "status" "ExperimentStatus" NOT NULL DEFAULT 'DRAFT',
+    "variants" JSONB NOT NULL,
+    "goal" TEXT NOT NULL DEFAULT 'purchase',
+    "winner" TEXT,
+    "started_at" TIMESTAMP(3),
+    "stopped_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "experiments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "experiments_name_key" ON "experiments"("name");
+
+-- CreateIndex
+CREATE INDEX "experiments_status_idx" ON "experiments"("status");
+
+-- Carry over the $79 vs $99 test that used to run in the browser
+INSERT INTO "experiments" ("id", "name", "description", "status", "variants", "goal", "started_at", "updated_at")
+VALUES (
+    gen_random_uuid()::text,
+    'pricing_test_79_vs_99',
+    'Early-bird $79 price (test) against the regular $99 price (control)',
+    'RUNNING',
+    '[{"key": "control", "weight": 50}, {"key": "test", "weight": 50}]',
+    'purchase',
+    CURRENT_TIMESTAMP,
+    CURRENT_TIMESTAMP
+);
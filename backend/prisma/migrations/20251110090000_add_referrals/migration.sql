@@ -0,0 +1,106 @@
+-- CreateEnum
+CREATE TYPE "ReferralStatus" AS ENUM ('SIGNED_UP', 'CONVERTED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "ReferralCommissionStatus" AS ENUM ('PENDING', 'APPROVED', 'PAID', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "last_login_ip" TEXT,
+ADD COLUMN "referral_code" TEXT;
+
+-- CreateTable
+CREATE TABLE "referral_clicks" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "referral_clicks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "referrals" (
+    "id" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "referee_id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "click_id" TEXT,
+    "status" "ReferralStatus" NOT NULL DEFAULT 'SIGNED_UP',
+    "fraud_flags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "signup_ip" TEXT,
+    "converted_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "referrals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "referral_commissions" (
+    "id" TEXT NOT NULL,
+    "referral_id" TEXT NOT NULL,
+    "referrer_id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'usd',
+    "status" "ReferralCommissionStatus" NOT NULL DEFAULT 'PENDING',
+    "stripe_invoice_id" TEXT NOT NULL,
+    "available_at" TIMESTAMP(3) NOT NULL,
+    "approved_at" TIMESTAMP(3),
+    "paid_at" TIMESTAMP(3),
+    "payout_reference" TEXT,
+    "rejected_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "referral_commissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_referral_code_key" ON "users"("referral_code");
+
+-- CreateIndex
+CREATE INDEX "referral_clicks_referrer_id_idx" ON "referral_clicks"("referrer_id");
+
+-- CreateIndex
+CREATE INDEX "referral_clicks_created_at_idx" ON "referral_clicks"("created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "referrals_referee_id_key" ON "referrals"("referee_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "referrals_click_id_key" ON "referrals"("click_id");
+
+-- CreateIndex
+CREATE INDEX "referrals_referrer_id_idx" ON "referrals"("referrer_id");
+
+-- CreateIndex
+CREATE INDEX "referrals_code_signup_ip_idx" ON "referrals"("code", "signup_ip");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "referral_commissions_stripe_invoice_id_key" ON "referral_commissions"("stripe_invoice_id");
+
+-- CreateIndex
+CREATE INDEX "referral_commissions_referrer_id_status_idx" ON "referral_commissions"("referrer_id", "status");
+
+-- CreateIndex
+CREATE INDEX "referral_commissions_status_available_at_idx" ON "referral_commissions"("status", "available_at");
+
+-- AddForeignKey
+ALTER TABLE "referral_clicks" ADD CONSTRAINT "referral_clicks_referrer_id_fkey" FOREIGN KEY ("referrer_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referrals" ADD CONSTRAINT "referrals_referrer_id_fkey" FOREIGN KEY ("referrer_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referrals" ADD CONSTRAINT "referrals_referee_id_fkey" FOREIGN KEY ("referee_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referrals" ADD CONSTRAINT "referrals_click_id_fkey" FOREIGN KEY ("click_id") REFERENCES "referral_clicks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referral_commissions" ADD CONSTRAINT "referral_commissions_referral_id_fkey" FOREIGN KEY ("referral_id") REFERENCES "referrals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referral_commissions" ADD CONSTRAINT "referral_commissions_referrer_id_fkey" FOREIGN KEY ("referrer_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
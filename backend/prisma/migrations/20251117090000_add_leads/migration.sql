@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "LeadStatus" AS ENUM ('PENDING', 'CONFIRMED', 'UNSUBSCRIBED');
+
+-- CreateTable
+CREATE TABLE "leads" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "status" "LeadStatus" NOT NULL DEFAULT 'PENDING',
+    "source" TEXT NOT NULL,
+    "user_id" TEXT,
+    "confirm_token" TEXT,
+    "confirm_token_expiry" TIMESTAMP(3),
+    "confirmation_sent_at" TIMESTAMP(3),
+    "confirmed_at" TIMESTAMP(3),
+    "confirm_ip" TEXT,
+    "unsubscribe_token" TEXT NOT NULL,
+    "unsubscribed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "leads_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "lead_captures" (
+    "id" TEXT NOT NULL,
+    "lead_id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "context" JSONB,
+    "consent_version" TEXT NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "lead_captures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leads_email_key" ON "leads"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leads_confirm_token_key" ON "leads"("confirm_token");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leads_unsubscribe_token_key" ON "leads"("unsubscribe_token");
+
+-- CreateIndex
+CREATE INDEX "leads_status_idx" ON "leads"("status");
+
+-- CreateIndex
+CREATE INDEX "leads_source_idx" ON "leads"("source");
+
+-- CreateIndex
+CREATE INDEX "lead_captures_lead_id_idx" ON "lead_captures"("lead_id");
+
+-- AddForeignKey
+ALTER TABLE "leads" ADD CONSTRAINT "leads_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "lead_captures" ADD CONSTRAINT "lead_captures_lead_id_fkey" FOREIGN KEY ("lead_id") REFERENCES "leads"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "EmailStatus" AS ENUM ('QUEUED', 'SENT', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "locale" TEXT NOT NULL DEFAULT 'en',
+ADD COLUMN "weekly_digest" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "email_outbox" (
+    "id" TEXT NOT NULL,
+    "template" TEXT NOT NULL,
+    "locale" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "status" "EmailStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_error" TEXT,
+    "user_id" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "email_outbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "email_outbox_status_idx" ON "email_outbox"("status");
+
+-- CreateIndex
+CREATE INDEX "email_outbox_template_idx" ON "email_outbox"("template");
+
+-- CreateIndex
+CREATE INDEX "email_outbox_user_id_idx" ON "email_outbox"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "email_outbox" ADD CONSTRAINT "email_outbox_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "background_jobs" ADD COLUMN "user_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "background_jobs_user_id_idx" ON "background_jobs"("user_id");
+
+-- CreateIndex
+CREATE INDEX "background_jobs_status_priority_scheduled_at_idx" ON "background_jobs"("status", "priority", "scheduled_at");
+
+-- AddForeignKey
+ALTER TABLE "background_jobs" ADD CONSTRAINT "background_jobs_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
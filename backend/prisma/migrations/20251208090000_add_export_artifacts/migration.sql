@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "export_artifacts" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "job_id" TEXT,
+    "format" TEXT NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "calculation_ids" TEXT[],
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "export_artifacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "export_artifacts_job_id_key" ON "export_artifacts"("job_id");
+
+-- CreateIndex
+CREATE INDEX "export_artifacts_user_id_created_at_idx" ON "export_artifacts"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "export_artifacts_expires_at_idx" ON "export_artifacts"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "export_artifacts" ADD CONSTRAINT "export_artifacts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
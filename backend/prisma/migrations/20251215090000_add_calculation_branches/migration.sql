@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "calculations" ADD COLUMN "parent_id" TEXT,
+ADD COLUMN "branched_from_version" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "calculations_parent_id_idx" ON "calculations"("parent_id");
+
+-- AddForeignKey
+ALTER TABLE "calculations" ADD CONSTRAINT "calculations_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "calculations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "scenario_sets" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "team_id" TEXT,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "baseline_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scenario_sets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "scenario_set_members" (
+    "set_id" TEXT NOT NULL,
+    "calculation_id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "scenario_set_members_pkey" PRIMARY KEY ("set_id","calculation_id")
+);
+
+-- CreateIndex
+CREATE INDEX "scenario_sets_user_id_idx" ON "scenario_sets"("user_id");
+
+-- CreateIndex
+CREATE INDEX "scenario_sets_team_id_idx" ON "scenario_sets"("team_id");
+
+-- CreateIndex
+CREATE INDEX "scenario_set_members_calculation_id_idx" ON "scenario_set_members"("calculation_id");
+
+-- AddForeignKey
+ALTER TABLE "scenario_sets" ADD CONSTRAINT "scenario_sets_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_sets" ADD CONSTRAINT "scenario_sets_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_sets" ADD CONSTRAINT "scenario_sets_baseline_id_fkey" FOREIGN KEY ("baseline_id") REFERENCES "calculations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_set_members" ADD CONSTRAINT "scenario_set_members_set_id_fkey" FOREIGN KEY ("set_id") REFERENCES "scenario_sets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scenario_set_members" ADD CONSTRAINT "scenario_set_members_calculation_id_fkey" FOREIGN KEY ("calculation_id") REFERENCES "calculations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
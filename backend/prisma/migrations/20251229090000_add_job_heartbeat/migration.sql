@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "background_jobs" ADD COLUMN "heartbeat_at" TIMESTAMP(3);
+
+-- Jobs already running count from when they started
+UPDATE "background_jobs" SET "heartbeat_at" = "started_at" WHERE "status" = 'processing';
@@ -28,6 +28,11 @@ const envSchema = z.object({
   STRIPE_SECRET_KEY: z.string().optional(),
   STRIPE_WEBHOOK_SECRET: z.string().optional(),
   STRIPE_PRICE_ID: z.string().optional(),
+  STRIPE_PRICE_ID_STARTER: z.string().optional(),
+  STRIPE_PRICE_ID_PROFESSIONAL: z.string().optional(),
+  STRIPE_PRICE_ID_ENTERPRISE: z.string().optional(),
+  // Point at stripe-mock (e.g. http://localhost:12111) for local testing
+  STRIPE_API_BASE: z.string().url().optional(),
   
   // Email
   SMTP_HOST: z.string().optional(),
@@ -50,11 +55,23 @@ const envSchema = z.object({
   LOG_LEVEL: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
   SENTRY_DSN: z.string().optional(),
   
+  // Batch exports: kept on disk under EXPORT_DIR unless S3_BUCKET_NAME is set
+  EXPORT_DIR: z.string().optional(),
+  EXPORT_RETENTION_DAYS: z
+    .string()
+    .regex(/^[1-9]\d*$/, 'Export retention must be a positive whole number of days')
+    .transform(Number)
+    .default('7'),
+  // Signs export status and download links; defaults to JWT_SECRET
+  EXPORT_URL_SECRET: z.string().min(32, 'Export URL secret must be at least 32 characters').optional(),
+  
   // AWS (Optional)
   AWS_ACCESS_KEY_ID: z.string().optional(),
   AWS_SECRET_ACCESS_KEY: z.string().optional(),
   AWS_REGION: z.string().optional(),
   S3_BUCKET_NAME: z.string().optional(),
+  // Point at MinIO (e.g. http://localhost:9000) or another S3-compatible store
+  S3_ENDPOINT: z.string().url().optional(),
 });
 
 // Validate and parse environment variables
@@ -141,4 +158,19 @@ export const securityConfig = {
   rateLimitWindow: config.RATE_LIMIT_WINDOW,
   rateLimitMax: config.RATE_LIMIT_MAX,
   corsOrigin: config.FRONTEND_URL,
-};
\ No newline at end of file
+};
+
+export const exportConfig = {
+  dir: config.EXPORT_DIR,
+  retentionDays: config.EXPORT_RETENTION_DAYS,
+  urlSecret: config.EXPORT_URL_SECRET || config.JWT_SECRET,
+  s3: config.S3_BUCKET_NAME
+    ? {
+        bucket: config.S3_BUCKET_NAME,
+        region: config.AWS_REGION || 'us-east-1',
+        endpoint: config.S3_ENDPOINT,
+        accessKeyId: config.AWS_ACCESS_KEY_ID,
+        secretAccessKey: config.AWS_SECRET_ACCESS_KEY,
+      }
+    : null,
+};
@@ -2,14 +2,20 @@ import { Request, Response, NextFunction } from 'express';
 import { AuthService } from '../services/auth.service';
 import { registerSchema, loginSchema, resetPasswordSchema } from '../utils/validators';
 import { AppError } from '../utils/errors';
+import { systemConfigService } from '../services/systemConfig.service';
 
 const authService = new AuthService();
 
 export class AuthController {
   async register(req: Request, res: Response, next: NextFunction) {
     try {
+      const { registrationEnabled } = await systemConfigService.getConfig();
+      if (!registrationEnabled) {
+        throw new AppError('New sign-ups are currently closed', 403, 'REGISTRATION_DISABLED');
+      }
+
       const validatedData = registerSchema.parse(req.body);
-      const result = await authService.register(validatedData);
+      const result = await authService.register(validatedData, { ipAddress: req.ip });
       
       res.status(201).json({
         success: true,
@@ -24,7 +30,10 @@ export class AuthController {
   async login(req: Request, res: Response, next: NextFunction) {
     try {
       const validatedData = loginSchema.parse(req.body);
-      const result = await authService.login(validatedData);
+      const result = await authService.login(validatedData, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
       
       // Set refresh token as httpOnly cookie
       res.cookie('refreshToken', result.refreshToken, {
@@ -1,9 +1,19 @@
 import { Request, Response, NextFunction } from 'express';
 import { CalculationService } from '../services/calculation.service';
 import { PDFService } from '../services/pdf.service';
-import { calculationCreateSchema, calculationInputSchema, exportSchema } from '../utils/validators';
+import {
+  branchVersionSchema,
+  calculationCreateSchema,
+  calculationInputSchema,
+  changeNoteSchema,
+  exportSchema,
+  restoreVersionSchema,
+  versionDiffSchema,
+  versionNumberSchema,
+} from '../utils/validators';
 import { AppError } from '../utils/errors';
 import { logger } from '../utils/logger';
+import { analyticsService } from '../services/analytics.service';
 
 const calculationService = new CalculationService();
 const pdfService = new PDFService();
@@ -33,7 +43,8 @@ export class CalculationController {
       const result = await calculationService.calculate(
         userId,
         validatedData.inputs,
-        validatedData.name
+        validatedData.name,
+        validatedData.teamId
       );
       
       res.status(201).json({
@@ -66,7 +77,7 @@ export class CalculationController {
     try {
       const { id } = req.params;
       const userId = req.user!.id;
-      const { inputs, name } = req.body;
+      const { inputs, name, changeNote } = req.body;
       
       const validatedInputs = calculationInputSchema.parse(inputs);
       
@@ -74,7 +85,8 @@ export class CalculationController {
         id,
         userId,
         validatedInputs,
-        name
+        name,
+        changeNoteSchema.parse(changeNote)
       );
       
       res.json({
@@ -177,6 +189,61 @@ export class CalculationController {
     }
   }
 
+  async diffCalculationVersions(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { id } = req.params;
+      const userId = req.user!.id;
+      const { from, to } = versionDiffSchema.parse(req.query);
+      
+      const diff = await calculationService.diffCalculationVersions(id, userId, from, to);
+      
+      res.json({
+        success: true,
+        data: diff,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async restoreVersion(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { id } = req.params;
+      const userId = req.user!.id;
+      const version = versionNumberSchema.parse(req.params.version);
+      const { changeNote } = restoreVersionSchema.parse(req.body);
+      
+      const restored = await calculationService.restoreVersion(id, userId, version, changeNote);
+      
+      res.json({
+        success: true,
+        message: `Version ${version} restored`,
+        data: restored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async branchFromVersion(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { id } = req.params;
+      const userId = req.user!.id;
+      const version = versionNumberSchema.parse(req.params.version);
+      const { name } = branchVersionSchema.parse(req.body);
+      
+      const branch = await calculationService.branchFromVersion(id, userId, version, name);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Branch created successfully',
+        data: branch,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async exportCalculation(req: Request, res: Response, next: NextFunction) {
     try {
       const { id } = req.params;
@@ -216,6 +283,12 @@ export class CalculationController {
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       res.send(exportData);
       
+      // Counts against the plan's export allowance
+      await analyticsService.trackUserActivity(userId, 'export', {
+        calculationId: id,
+        format: validatedData.format,
+      });
+      
       logger.info(`Calculation ${id} exported as ${validatedData.format} by user ${userId}`);
     } catch (error) {
       next(error);
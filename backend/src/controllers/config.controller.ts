@@ -0,0 +1,19 @@
+import { Request, Response, NextFunction } from 'express';
+import { systemConfigService } from '../services/systemConfig.service';
+
+export class ConfigController {
+  async getClientConfig(req: Request, res: Response, next: NextFunction) {
+    try {
+      const clientConfig = await systemConfigService.getClientConfig(req.user?.id);
+
+      res.json({
+        success: true,
+        data: clientConfig,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const configController = new ConfigController();
@@ -0,0 +1,88 @@
+import { Request, Response, NextFunction } from 'express';
+import { emailService } from '../services/email.service';
+import {
+  EMAIL_LOCALES,
+  EMAIL_TEMPLATES,
+  isEmailTemplate,
+  previewEmail,
+  templateVariables,
+} from '../shared/emailTemplates';
+import { NotFoundError } from '../utils/errors';
+import { emailPreviewSchema, outboxFiltersSchema } from '../utils/validators';
+
+export class EmailController {
+  async listTemplates(_req: Request, res: Response, next: NextFunction) {
+    try {
+      const templates = Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+        name,
+        description: template.description,
+        variables: templateVariables(name),
+        locales: EMAIL_LOCALES.filter((locale) => template.locales[locale]),
+      }));
+
+      res.json({
+        success: true,
+        data: templates,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async previewTemplate(req: Request, res: Response, next: NextFunction) {
+    try {
+      if (!isEmailTemplate(req.params.name)) {
+        throw new NotFoundError('Email template');
+      }
+
+      const { locale, format } = emailPreviewSchema.parse(req.query);
+      const preview = previewEmail(req.params.name, locale);
+
+      // html and text render the body directly so it can be opened in a browser
+      if (format === 'html') {
+        res.type('html').send(preview.html);
+        return;
+      }
+      if (format === 'text') {
+        res.type('text').send(preview.text);
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: preview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listOutbox(req: Request, res: Response, next: NextFunction) {
+    try {
+      const filters = outboxFiltersSchema.parse(req.query);
+      const result = await emailService.listOutbox(filters);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resend(req: Request, res: Response, next: NextFunction) {
+    try {
+      const result = await emailService.resend(req.params.id);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const emailController = new EmailController();
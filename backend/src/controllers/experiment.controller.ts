@@ -0,0 +1,101 @@
+import { Request, Response, NextFunction } from 'express';
+import { experimentService } from '../services/experiment.service';
+import {
+  createExperimentSchema,
+  experimentAssignmentSchema,
+  experimentConversionSchema,
+  updateExperimentSchema,
+} from '../utils/validators';
+
+export class ExperimentController {
+  async assign(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { anonymousId } = experimentAssignmentSchema.parse(req.body);
+      const assignment = await experimentService.assign(req.params.name, {
+        userId: req.user?.id,
+        anonymousId,
+      });
+
+      res.json({
+        success: true,
+        data: assignment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async trackConversion(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { goal, anonymousId, value } = experimentConversionSchema.parse(req.body);
+      const attributed = await experimentService.trackConversion(goal, { userId: req.user?.id, anonymousId }, value);
+
+      res.json({
+        success: true,
+        data: { attributed },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listExperiments(_req: Request, res: Response, next: NextFunction) {
+    try {
+      const experiments = await experimentService.listExperiments();
+
+      res.json({
+        success: true,
+        data: experiments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createExperiment(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = createExperimentSchema.parse(req.body);
+      const experiment = await experimentService.createExperiment(validatedData);
+
+      res.status(201).json({
+        success: true,
+        data: experiment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateExperiment(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = updateExperimentSchema.parse(req.body);
+      const experiment = await experimentService.updateExperiment(req.params.name, validatedData);
+
+      res.json({
+        success: true,
+        data: experiment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getResults(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { confidence, minExposures } = req.query;
+      const results = await experimentService.getResults(req.params.name, {
+        confidence: confidence ? Number(confidence) : undefined,
+        minExposures: minExposures ? Number(minExposures) : undefined,
+      });
+
+      res.json({
+        success: true,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const experimentController = new ExperimentController();
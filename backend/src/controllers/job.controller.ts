@@ -0,0 +1,62 @@
+import { Request, Response, NextFunction } from 'express';
+import { jobService } from '../services/job.service';
+import { jobFiltersSchema } from '../utils/validators';
+
+const ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+export class JobController {
+  async getJob(req: Request, res: Response, next: NextFunction) {
+    try {
+      const job = await jobService.getJobFor(req.params.id, req.user!.id, ADMIN_ROLES.includes(req.user!.role));
+
+      res.json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listJobs(req: Request, res: Response, next: NextFunction) {
+    try {
+      const filters = jobFiltersSchema.parse(req.query);
+      const result = await jobService.listJobs(filters);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async retryJob(req: Request, res: Response, next: NextFunction) {
+    try {
+      const job = await jobService.retryJob(req.params.id);
+
+      res.json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async cancelJob(req: Request, res: Response, next: NextFunction) {
+    try {
+      const job = await jobService.cancelJob(req.params.id);
+
+      res.json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const jobController = new JobController();
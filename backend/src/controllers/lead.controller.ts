@@ -0,0 +1,79 @@
+import { Request, Response, NextFunction } from 'express';
+import { leadService } from '../services/lead.service';
+import { leadCaptureSchema, leadExportSchema, leadFiltersSchema } from '../utils/validators';
+
+export class LeadController {
+  async capture(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = leadCaptureSchema.parse(req.body);
+      await leadService.capture(validatedData, {
+        userId: req.user?.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Check your inbox to confirm your subscription.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async confirm(req: Request, res: Response, next: NextFunction) {
+    try {
+      const result = await leadService.confirm(req.params.token, req.ip);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async unsubscribe(req: Request, res: Response, next: NextFunction) {
+    try {
+      const result = await leadService.unsubscribe(req.params.token);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listLeads(req: Request, res: Response, next: NextFunction) {
+    try {
+      const filters = leadFiltersSchema.parse(req.query);
+      const result = await leadService.listLeads(filters);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async exportLeads(req: Request, res: Response, next: NextFunction) {
+    try {
+      const filters = leadExportSchema.parse(req.query);
+      const csv = await leadService.exportLeads(filters);
+      const filename = `leads-${filters.status.toLowerCase()}-${new Date().toISOString().split('T')[0]}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(csv);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const leadController = new LeadController();
@@ -0,0 +1,82 @@
+import { Request, Response, NextFunction } from 'express';
+import { referralService } from '../services/referral.service';
+import {
+  commissionFiltersSchema,
+  referralClickSchema,
+  updateCommissionSchema,
+} from '../utils/validators';
+
+export class ReferralController {
+  async recordClick(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { code } = referralClickSchema.parse(req.body);
+      const click = await referralService.recordClick(code, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(201).json({
+        success: true,
+        data: click,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getSummary(req: Request, res: Response, next: NextFunction) {
+    try {
+      const summary = await referralService.getSummary(req.user!.id);
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listCommissions(req: Request, res: Response, next: NextFunction) {
+    try {
+      const filters = commissionFiltersSchema.parse(req.query);
+      const result = await referralService.listCommissions(filters);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async approveDueCommissions(_req: Request, res: Response, next: NextFunction) {
+    try {
+      const result = await referralService.approveDueCommissions();
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateCommission(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = updateCommissionSchema.parse(req.body);
+      const commission = await referralService.updateCommission(req.params.id, validatedData);
+
+      res.json({
+        success: true,
+        data: commission,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const referralController = new ReferralController();
@@ -0,0 +1,94 @@
+import { Request, Response, NextFunction } from 'express';
+import { scenarioSetService } from '../services/scenarioSet.service';
+import {
+  createScenarioSetSchema,
+  scenarioSetExportSchema,
+  updateScenarioSetSchema,
+} from '../utils/validators';
+
+export class ScenarioSetController {
+  async listSets(req: Request, res: Response, next: NextFunction) {
+    try {
+      const teamId = req.query.teamId as string | undefined;
+      const sets = await scenarioSetService.listSets(req.user!.id, teamId);
+
+      res.json({
+        success: true,
+        data: sets,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createSet(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = createScenarioSetSchema.parse(req.body);
+      const set = await scenarioSetService.createSet(req.user!.id, validatedData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Scenario set created successfully',
+        data: set,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getSet(req: Request, res: Response, next: NextFunction) {
+    try {
+      const set = await scenarioSetService.getSet(req.params.id, req.user!.id);
+
+      res.json({
+        success: true,
+        data: set,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateSet(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = updateScenarioSetSchema.parse(req.body);
+      const set = await scenarioSetService.updateSet(req.params.id, req.user!.id, validatedData);
+
+      res.json({
+        success: true,
+        message: 'Scenario set updated successfully',
+        data: set,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteSet(req: Request, res: Response, next: NextFunction) {
+    try {
+      await scenarioSetService.deleteSet(req.params.id, req.user!.id);
+
+      res.json({
+        success: true,
+        message: 'Scenario set deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async exportSet(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { format } = scenarioSetExportSchema.parse(req.body);
+      const { file, filename, contentType } = await scenarioSetService.exportSet(req.params.id, req.user!.id, format);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(file);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const scenarioSetController = new ScenarioSetController();
@@ -0,0 +1,171 @@
+import { Request, Response, NextFunction } from 'express';
+import { subscriptionService } from '../services/subscription.service';
+import { stripeService } from '../services/stripe.service';
+import { changePlanSchema, createCheckoutSchema } from '../utils/validators';
+import { ValidationError } from '../utils/errors';
+import { config } from '../config/secrets';
+
+export class SubscriptionController {
+  async handleWebhook(req: Request, res: Response, next: NextFunction) {
+    try {
+      const signature = req.headers['stripe-signature'];
+      if (typeof signature !== 'string' || !Buffer.isBuffer(req.body)) {
+        throw new ValidationError('Missing Stripe signature or raw body');
+      }
+
+      const result = await stripeService.handleWebhook(signature, req.body);
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCurrentSubscription(req: Request, res: Response, next: NextFunction) {
+    try {
+      const current = await subscriptionService.getCurrentSubscription(req.user!.id);
+
+      res.json({
+        success: true,
+        data: current,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getUsage(req: Request, res: Response, next: NextFunction) {
+    try {
+      const usage = await subscriptionService.getUsage(req.user!.id);
+
+      res.json({
+        success: true,
+        data: usage,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createCheckout(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { plan, successUrl, cancelUrl, anonymousId } = createCheckoutSchema.parse(req.body);
+
+      const checkout = await subscriptionService.createCheckout(
+        req.user!.id,
+        plan,
+        successUrl || config.SUCCESS_URL || `${config.FRONTEND_URL}/success`,
+        cancelUrl || config.CANCEL_URL || `${config.FRONTEND_URL}/pricing`,
+        anonymousId
+      );
+
+      res.json({
+        success: true,
+        data: checkout,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async previewPlanChange(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { plan } = changePlanSchema.parse(req.body);
+      const preview = await subscriptionService.previewPlanChange(req.user!.id, plan);
+
+      res.json({
+        success: true,
+        data: preview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async changePlan(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { plan, prorationDate } = changePlanSchema.parse(req.body);
+      const subscription = await subscriptionService.changePlan(req.user!.id, plan, prorationDate);
+
+      res.json({
+        success: true,
+        message: 'Plan changed successfully',
+        data: subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async cancelSubscription(req: Request, res: Response, next: NextFunction) {
+    try {
+      const subscription = await subscriptionService.cancelAtPeriodEnd(req.user!.id);
+
+      res.json({
+        success: true,
+        message: 'Subscription will be cancelled at the end of the billing period',
+        data: subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resumeSubscription(req: Request, res: Response, next: NextFunction) {
+    try {
+      const subscription = await subscriptionService.resume(req.user!.id);
+
+      res.json({
+        success: true,
+        message: 'Subscription resumed successfully',
+        data: subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getInvoices(req: Request, res: Response, next: NextFunction) {
+    try {
+      const invoices = await subscriptionService.getInvoices(req.user!.id);
+
+      res.json({
+        success: true,
+        data: { invoices },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updatePaymentMethod(req: Request, res: Response, next: NextFunction) {
+    try {
+      const setup = await subscriptionService.createPaymentMethodSetup(req.user!.id);
+
+      res.json({
+        success: true,
+        data: setup,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createPortalSession(req: Request, res: Response, next: NextFunction) {
+    try {
+      const portal = await stripeService.createPortalSession(
+        req.user!.id,
+        `${config.FRONTEND_URL}/dashboard`
+      );
+
+      res.json({
+        success: true,
+        data: portal,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const subscriptionController = new SubscriptionController();
@@ -0,0 +1,171 @@
+import { Request, Response, NextFunction } from 'express';
+import { TeamService } from '../services/team.service';
+import {
+  createTeamSchema,
+  inviteTeamMemberSchema,
+  updateTeamSchema,
+  updateTeamMemberRoleSchema,
+} from '../utils/validators';
+
+const teamService = new TeamService();
+
+export class TeamController {
+  async getTeams(req: Request, res: Response, next: NextFunction) {
+    try {
+      const teams = await teamService.getTeams(req.user!.id);
+
+      res.json({
+        success: true,
+        data: { teams },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createTeam(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = createTeamSchema.parse(req.body);
+      const team = await teamService.createTeam(req.user!.id, validatedData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Team created successfully',
+        data: team,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getTeam(req: Request, res: Response, next: NextFunction) {
+    try {
+      const team = await teamService.getTeam(req.params.id, req.user!.id);
+
+      res.json({
+        success: true,
+        data: team,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateTeam(req: Request, res: Response, next: NextFunction) {
+    try {
+      const validatedData = updateTeamSchema.parse(req.body);
+      const team = await teamService.updateTeam(req.params.id, req.user!.id, validatedData);
+
+      res.json({
+        success: true,
+        message: 'Team updated successfully',
+        data: team,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteTeam(req: Request, res: Response, next: NextFunction) {
+    try {
+      await teamService.deleteTeam(req.params.id, req.user!.id);
+
+      res.json({
+        success: true,
+        message: 'Team deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getMembers(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { members, invitations } = await teamService.getMembers(req.params.id, req.user!.id);
+
+      res.json({
+        success: true,
+        data: { members, invitations },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async inviteMember(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { email, role } = inviteTeamMemberSchema.parse(req.body);
+      const invitation = await teamService.inviteMember(req.params.id, req.user!.id, email, role);
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data: invitation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async acceptInvitation(req: Request, res: Response, next: NextFunction) {
+    try {
+      const team = await teamService.acceptInvitation(req.params.token, req.user!.id);
+
+      res.json({
+        success: true,
+        message: `You joined ${team.name}`,
+        data: team,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateMemberRole(req: Request, res: Response, next: NextFunction) {
+    try {
+      const { role } = updateTeamMemberRoleSchema.parse(req.body);
+      const member = await teamService.updateMemberRole(
+        req.params.id,
+        req.user!.id,
+        req.params.userId,
+        role
+      );
+
+      res.json({
+        success: true,
+        message: 'Member role updated successfully',
+        data: member,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async removeMember(req: Request, res: Response, next: NextFunction) {
+    try {
+      await teamService.removeMember(req.params.id, req.user!.id, req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'Member removed successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCalculations(req: Request, res: Response, next: NextFunction) {
+    try {
+      const calculations = await teamService.getCalculations(req.params.id, req.user!.id);
+
+      res.json({
+        success: true,
+        data: calculations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export const teamController = new TeamController();
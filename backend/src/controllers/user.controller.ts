@@ -5,10 +5,24 @@ import crypto from 'crypto';
 import { updateProfileSchema } from '../utils/validators';
 import { AppError } from '../utils/errors';
 import { logger } from '../utils/logger';
+import { entitlementService } from '../services/entitlement.service';
 
 const prisma = new PrismaClient();
 
 export class UserController {
+  async getEntitlements(req: Request, res: Response, next: NextFunction) {
+    try {
+      const entitlements = await entitlementService.getEntitlements(req.user!.id);
+
+      res.json({
+        success: true,
+        data: entitlements,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getProfile(req: Request, res: Response, next: NextFunction) {
     try {
       const userId = req.user!.id;
@@ -22,6 +36,8 @@ export class UserController {
           company: true,
           role: true,
           emailVerified: true,
+          locale: true,
+          weeklyDigest: true,
           createdAt: true,
           lastLogin: true,
           subscription: true,
@@ -61,6 +77,8 @@ export class UserController {
           name: true,
           company: true,
           role: true,
+          locale: true,
+          weeklyDigest: true,
         },
       });
       
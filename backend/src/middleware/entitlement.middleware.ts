@@ -0,0 +1,37 @@
+import { Request, Response, NextFunction } from 'express';
+import { AppError } from '../utils/errors';
+import { entitlementService } from '../services/entitlement.service';
+import { PlanFeature, UsageSummary } from '../shared/plans';
+
+// Both run after authentication and answer with the plan to upgrade to: 403 for a
+// feature the plan lacks, 402 once a period's allowance is used up
+
+export const requireFeature = (feature: PlanFeature) => {
+  return async (req: Request, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    try {
+      await entitlementService.assertFeature(req.user.id, feature);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export const enforceLimit = (meter: keyof UsageSummary) => {
+  return async (req: Request, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    try {
+      await entitlementService.assertWithinLimit(req.user.id, meter);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -27,6 +27,7 @@ export const errorHandler = (
       error: {
         message: error.message,
         code: error.code,
+        ...((error as any).details && { details: (error as any).details }),
       },
     });
   }
@@ -88,6 +88,25 @@ export const authRateLimiter = rateLimit({
   },
 });
 
+// Public email capture: enough for a visitor fixing a typo, not for list bombing
+export const leadCaptureRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 captures per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: new RedisStore(60 * 60 * 1000),
+  handler: (req: Request, res: Response) => {
+    logger.warn(`Lead capture rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED',
+      },
+    });
+  },
+});
+
 // API key rate limiter (higher limits for paid users)
 export const apiKeyRateLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -0,0 +1,79 @@
+import { Request, Response, NextFunction } from 'express';
+import jwt from 'jsonwebtoken';
+import { AppError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { systemConfigService } from '../services/systemConfig.service';
+import { FeatureFlagKey } from '../shared/systemConfig';
+
+const ADMIN_ROLES = ['ADMIN', 'SUPER_ADMIN'];
+
+// Admins still need to sign in, and the app needs the config to explain the outage
+const MAINTENANCE_EXEMPT_PATHS = [
+  '/api/v1/auth/login',
+  '/api/v1/auth/refresh',
+  '/api/v1/auth/logout',
+  '/api/v1/config',
+  '/api/v1/subscriptions/webhook',
+];
+
+// Unsubscribing has to work whatever state the app is in
+const MAINTENANCE_EXEMPT_PREFIXES = ['/api/v1/leads/unsubscribe/'];
+
+const isAdminRequest = (req: Request): boolean => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET!) as { role?: string };
+    return ADMIN_ROLES.includes(decoded.role || '');
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Answers 503 to everyone but admins while maintenance mode is on
+ */
+export const maintenanceGate = async (req: Request, res: Response, next: NextFunction) => {
+  const path = req.originalUrl.split('?')[0];
+  if (MAINTENANCE_EXEMPT_PATHS.includes(path) || MAINTENANCE_EXEMPT_PREFIXES.some(prefix => path.startsWith(prefix))) {
+    return next();
+  }
+
+  try {
+    const config = await systemConfigService.getConfig();
+
+    if (!config.maintenanceMode || isAdminRequest(req)) {
+      return next();
+    }
+
+    res.set('Retry-After', '300');
+    next(new AppError(
+      config.maintenanceMessage || 'We are performing scheduled maintenance. Please try again shortly.',
+      503,
+      'MAINTENANCE_MODE'
+    ));
+  } catch (error) {
+    // An unreadable config must not take the whole API down
+    logger.error('Maintenance check failed:', error);
+    next();
+  }
+};
+
+/**
+ * Answers 503 while an operator has a feature switched off for this user
+ */
+export const requireFlag = (key: FeatureFlagKey) => {
+  return async (req: Request, _res: Response, next: NextFunction) => {
+    try {
+      if (!(await systemConfigService.isEnabled(key, req.user?.id))) {
+        return next(new AppError('This feature is temporarily unavailable', 503, 'FEATURE_DISABLED'));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
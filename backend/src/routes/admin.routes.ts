@@ -3,6 +3,8 @@ import { prisma } from '../server';
 import { analyticsService } from '../services/analytics.service';
 import { cacheService } from '../services/cache.service';
 import { securityService } from '../services/security.service';
+import { systemConfigService } from '../services/systemConfig.service';
+import { AppError } from '../utils/errors';
 import { logger } from '../utils/logger';
 import Joi from 'joi';
 
@@ -26,19 +28,34 @@ const userActionSchema = Joi.object({
   })
 });
 
+// -1 lifts a plan's cap
+const planCapSchema = Joi.alternatives().try(Joi.valid(-1), Joi.number().integer().min(1));
+
+// A bare boolean switches a flag on or off; an object also adjusts its rollout
+const featureFlagSchema = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    enabled: Joi.boolean().optional(),
+    rolloutPercentage: Joi.number().integer().min(0).max(100).optional(),
+    plans: Joi.array().items(Joi.string().valid('FREE', 'STARTER', 'PROFESSIONAL', 'ENTERPRISE')).unique().optional()
+  })
+);
+
 const systemConfigSchema = Joi.object({
   maintenanceMode: Joi.boolean().optional(),
+  maintenanceMessage: Joi.string().max(500).allow('').optional(),
   registrationEnabled: Joi.boolean().optional(),
   maxUsersPerPlan: Joi.object({
-    STARTER: Joi.number().integer().min(1).optional(),
-    PROFESSIONAL: Joi.number().integer().min(1).optional(),
-    ENTERPRISE: Joi.number().integer().min(1).optional()
+    STARTER: planCapSchema.optional(),
+    PROFESSIONAL: planCapSchema.optional(),
+    ENTERPRISE: planCapSchema.optional()
   }).optional(),
   featureFlags: Joi.object({
-    aiInsights: Joi.boolean().optional(),
-    collaboration: Joi.boolean().optional(),
-    advancedExports: Joi.boolean().optional()
-  }).optional()
+    aiInsights: featureFlagSchema.optional(),
+    collaboration: featureFlagSchema.optional(),
+    advancedExports: featureFlagSchema.optional()
+  }).optional(),
+  reason: Joi.string().max(500).optional()
 });
 
 /**
@@ -454,47 +471,7 @@ router.get('/system/config',
   }),
   async (req: Request, res: Response) => {
     try {
-      // In a real application, this would come from a config service/database
-      const systemConfig = {
-        maintenance: {
-          enabled: false,
-          message: '',
-          scheduledAt: null
-        },
-        registration: {
-          enabled: true,
-          requireEmailVerification: true,
-          allowedDomains: []
-        },
-        limits: {
-          maxUsersPerPlan: {
-            STARTER: 1000,
-            PROFESSIONAL: 5000,
-            ENTERPRISE: -1 // unlimited
-          },
-          rateLimits: {
-            api: 1000,
-            ai: 10,
-            export: 20
-          }
-        },
-        features: {
-          aiInsights: true,
-          collaboration: true,
-          advancedExports: true,
-          analytics: true
-        },
-        integrations: {
-          openai: {
-            enabled: true,
-            model: 'gpt-4'
-          },
-          stripe: {
-            enabled: true,
-            webhooksEnabled: true
-          }
-        }
-      };
+      const systemConfig = await systemConfigService.getConfig();
 
       res.json({
         success: true,
@@ -525,34 +502,69 @@ router.put('/system/config',
   }),
   async (req: Request, res: Response) => {
     try {
-      const configUpdates = req.body;
+      const { reason, ...configUpdates } = req.body;
 
-      // In a real application, this would update a config service/database
-      // For now, we'll just log the changes and return success
+      const { config, changes } = await systemConfigService.updateConfig(req.user.id, configUpdates, reason);
 
       await logAdminAction({
         adminId: req.user.id,
         action: 'update_system_config',
-        details: configUpdates
+        reason,
+        details: { changedSettings: changes.map(change => change.key) }
       });
 
       res.json({
         success: true,
         data: {
-          message: 'System configuration updated successfully',
-          updatedFields: Object.keys(configUpdates),
+          config,
+          changes,
           timestamp: new Date().toISOString()
         }
       });
 
-      logger.info(`Admin ${req.user.id} updated system configuration`, configUpdates);
-
     } catch (error: any) {
       logger.error('System config update failed:', error);
       
+      // Rejected values come back as a 400 with the reason
+      const isAppError = error instanceof AppError;
+      res.status(isAppError ? error.statusCode : 500).json({
+        success: false,
+        error: isAppError ? error.message : 'Failed to update system configuration'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/admin/system/config/history
+ * @desc Audit trail of system configuration changes, newest first
+ * @access Private (Super Admin)
+ */
+router.get('/system/config/history',
+  securityService.createSecurityMiddleware({
+    permissions: ['admin'], // In real app, would be 'super_admin'
+    rateLimitType: 'api'
+  }),
+  async (req: Request, res: Response) => {
+    try {
+      const { key, limit = 50 } = req.query;
+
+      const history = await systemConfigService.getHistory({
+        key: typeof key === 'string' ? key : undefined,
+        limit: Math.min(Math.max(Number(limit) || 50, 1), 200)
+      });
+
+      res.json({
+        success: true,
+        data: history
+      });
+
+    } catch (error: any) {
+      logger.error('System config history retrieval failed:', error);
+      
       res.status(500).json({
         success: false,
-        error: 'Failed to update system configuration'
+        error: 'Failed to retrieve configuration history'
       });
     }
   }
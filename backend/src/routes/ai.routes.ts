@@ -2,11 +2,17 @@ import { Router, Request, Response } from 'express';
 import { aiService } from '../services/ai.service';
 import { securityService, validationSchemas } from '../services/security.service';
 import { cacheService } from '../services/cache.service';
+import { jobService } from '../services/job.service';
+import { subscriptionService } from '../services/subscription.service';
+import { AiAnalysisPayload } from '../services/jobHandlers';
 import { logger } from '../utils/logger';
 import Joi from 'joi';
 
 const router = Router();
 
+// Batches with more analyses than this run on the job worker instead of in the request
+const SYNC_ANALYSIS_LIMIT = 2;
+
 // Validation schemas
 const generateInsightsSchema = Joi.object({
   calculationId: Joi.string().uuid().required(),
@@ -40,7 +46,8 @@ router.post('/insights',
     requireAuth: true,
     rateLimitType: 'ai',
     validateInput: generateInsightsSchema,
-    permissions: ['ai']
+    permissions: ['ai'],
+    featureFlag: 'aiInsights'
   }),
   async (req: Request, res: Response) => {
     try {
@@ -82,14 +89,16 @@ router.post('/batch-analysis',
     requireAuth: true,
     rateLimitType: 'ai',
     validateInput: batchAnalysisSchema,
-    permissions: ['ai', 'batch-analysis']
+    permissions: ['ai', 'batch-analysis'],
+    featureFlag: 'aiInsights'
   }),
   async (req: Request, res: Response) => {
     try {
       const { calculationIds, analysisTypes, context } = req.body;
       
       // Check if user has enterprise plan for batch analysis
-      if (req.user.subscription?.plan !== 'ENTERPRISE') {
+      const { plan } = await subscriptionService.getCurrentSubscription(req.user!.id);
+      if (plan !== 'ENTERPRISE') {
         return res.status(403).json({
           success: false,
           error: 'Batch analysis requires Enterprise plan',
@@ -97,6 +106,22 @@ router.post('/batch-analysis',
         });
       }
       
+      if (calculationIds.length * analysisTypes.length > SYNC_ANALYSIS_LIMIT) {
+        const payload: AiAnalysisPayload = { userId: req.user!.id, calculationIds, analysisTypes, context };
+        const job = await jobService.enqueue('ai_analysis', payload, { userId: req.user!.id });
+
+        logger.info(`Batch AI analysis queued as job ${job.id} (${calculationIds.length} calculations)`);
+
+        return res.status(202).json({
+          success: true,
+          data: {
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/v1/jobs/${job.id}`
+          }
+        });
+      }
+
       const results = [];
       
       for (const calculationId of calculationIds) {
@@ -164,7 +189,7 @@ router.get('/usage',
         ENTERPRISE: 200
       };
       
-      const plan = req.user.subscription?.plan || 'FREE';
+      const { plan } = await subscriptionService.getCurrentSubscription(req.user!.id);
       const budgetLimit = budgetLimits[plan as keyof typeof budgetLimits];
       
       const usagePercentage = budgetLimit > 0 ? (monthlyUsage.totalCost / budgetLimit) * 100 : 0;
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { calculationController } from '../controllers/calculation.controller';
 import { authenticate, optionalAuth } from '../middleware/auth.middleware';
+import { enforceLimit, requireFeature } from '../middleware/entitlement.middleware';
+import { requireFlag } from '../middleware/systemConfig.middleware';
 
 const router = Router();
 
@@ -11,13 +13,16 @@ router.get('/shared/:shareToken', optionalAuth, calculationController.getSharedC
 router.use(authenticate); // All routes below require authentication
 
 router.get('/', calculationController.getCalculations);
-router.post('/', calculationController.createCalculation);
+router.post('/', enforceLimit('calculations'), calculationController.createCalculation);
 router.get('/:id', calculationController.getCalculation);
 router.put('/:id', calculationController.updateCalculation);
 router.delete('/:id', calculationController.deleteCalculation);
-router.post('/:id/share', calculationController.shareCalculation);
-router.post('/:id/duplicate', calculationController.duplicateCalculation);
+router.post('/:id/share', requireFeature('sharing'), calculationController.shareCalculation);
+router.post('/:id/duplicate', enforceLimit('calculations'), calculationController.duplicateCalculation);
 router.get('/:id/versions', calculationController.getCalculationVersions);
-router.post('/:id/export', calculationController.exportCalculation);
+router.get('/:id/versions/diff', calculationController.diffCalculationVersions);
+router.post('/:id/versions/:version/restore', calculationController.restoreVersion);
+router.post('/:id/versions/:version/branch', enforceLimit('calculations'), calculationController.branchFromVersion);
+router.post('/:id/export', requireFlag('advancedExports'), requireFeature('exports'), enforceLimit('exports'), calculationController.exportCalculation);
 
 export default router;
\ No newline at end of file
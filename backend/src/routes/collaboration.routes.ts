@@ -49,7 +49,8 @@ router.post('/sessions',
     requireAuth: true,
     rateLimitType: 'collaboration',
     validateInput: createSessionSchema,
-    permissions: ['collaboration']
+    permissions: ['collaboration'],
+    featureFlag: 'collaboration'
   }),
   async (req: Request, res: Response) => {
     try {
@@ -334,7 +335,8 @@ router.post('/sessions/:sessionId/invite',
   securityService.createSecurityMiddleware({
     requireAuth: true,
     rateLimitType: 'collaboration',
-    validateInput: inviteParticipantSchema
+    validateInput: inviteParticipantSchema,
+    featureFlag: 'collaboration'
   }),
   async (req: Request, res: Response) => {
     try {
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { configController } from '../controllers/config.controller';
+import { optionalAuth } from '../middleware/auth.middleware';
+
+const router = Router();
+
+// Public so the app can show maintenance and sign-up state before login;
+// signed-in users get flags evaluated for their plan and rollout bucket
+router.get('/', optionalAuth, configController.getClientConfig);
+
+export default router;
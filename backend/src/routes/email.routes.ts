@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { emailController } from '../controllers/email.controller';
+import { authenticate, authorize } from '../middleware/auth.middleware';
+
+const router = Router();
+
+// Admin routes
+router.use(authenticate, authorize('ADMIN', 'SUPER_ADMIN'));
+
+router.get('/templates', emailController.listTemplates);
+router.get('/templates/:name/preview', emailController.previewTemplate);
+router.get('/outbox', emailController.listOutbox);
+router.post('/outbox/:id/resend', emailController.resend);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { experimentController } from '../controllers/experiment.controller';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.middleware';
+
+const router = Router();
+
+// Public routes: visitors are bucketed before they have an account
+router.post('/conversions', optionalAuth, experimentController.trackConversion);
+router.post('/:name/assign', optionalAuth, experimentController.assign);
+
+// Admin routes
+router.use(authenticate, authorize('ADMIN', 'SUPER_ADMIN'));
+
+router.get('/', experimentController.listExperiments);
+router.post('/', experimentController.createExperiment);
+router.put('/:name', experimentController.updateExperiment);
+router.get('/:name/results', experimentController.getResults);
+
+export default router;
@@ -2,11 +2,28 @@ import { Router, Request, Response } from 'express';
 import { exportService } from '../services/export.service';
 import { securityService, validationSchemas } from '../services/security.service';
 import { logger } from '../utils/logger';
+import { enforceLimit } from '../middleware/entitlement.middleware';
+import { getPlan } from '../shared/plans';
+import { jobService } from '../services/job.service';
+import { subscriptionService } from '../services/subscription.service';
+import { exportArtifactService } from '../services/exportArtifact.service';
+import { ReportGenerationPayload } from '../services/jobHandlers';
+import { DATA_TABLE_STEPS } from '../shared/dataTables';
 import Joi from 'joi';
 
 const router = Router();
 
+const MAX_DATA_TABLES = 10;
+
 // Validation schemas
+const dataTableSchema = Joi.object({
+  rowField: Joi.string().required(),
+  rowValues: Joi.array().items(Joi.number()).min(DATA_TABLE_STEPS.min).max(DATA_TABLE_STEPS.max).required(),
+  columnField: Joi.string().required(),
+  columnValues: Joi.array().items(Joi.number()).min(DATA_TABLE_STEPS.min).max(DATA_TABLE_STEPS.max).required(),
+  metric: Joi.string().required()
+});
+
 const exportOptionsSchema = Joi.object({
   calculationId: Joi.string().uuid().required(),
   format: Joi.string().valid('pdf', 'excel', 'csv', 'json').required(),
@@ -14,6 +31,7 @@ const exportOptionsSchema = Joi.object({
   includeBenchmarks: Joi.boolean().default(false),
   includeCharts: Joi.boolean().default(false),
   template: Joi.string().valid('standard', 'professional', 'executive').default('standard'),
+  dataTables: Joi.array().items(dataTableSchema).max(MAX_DATA_TABLES).optional(),
   branding: Joi.object({
     companyName: Joi.string().max(100).optional(),
     logo: Joi.string().uri().optional(),
@@ -24,6 +42,12 @@ const exportOptionsSchema = Joi.object({
   }).optional()
 });
 
+const dataTableExportSchema = Joi.object({
+  name: Joi.string().min(1).max(100).default('Calculator results'),
+  inputs: Joi.object().required(),
+  tables: Joi.array().items(dataTableSchema).min(1).max(MAX_DATA_TABLES).required()
+});
+
 const batchExportSchema = Joi.object({
   calculationIds: Joi.array().items(Joi.string().uuid()).min(1).max(10).required(),
   format: Joi.string().valid('pdf', 'excel', 'zip').required(),
@@ -43,8 +67,10 @@ router.post('/single',
     requireAuth: true,
     rateLimitType: 'export',
     validateInput: exportOptionsSchema,
-    permissions: ['export']
+    permissions: ['export'],
+    featureFlag: 'advancedExports'
   }),
+  enforceLimit('exports'),
   async (req: Request, res: Response) => {
     try {
       const { calculationId, format, ...options } = req.body;
@@ -129,9 +155,50 @@ router.post('/single',
   }
 );
 
+/**
+ * @route POST /api/v1/export/data-tables
+ * @desc Export calculator inputs that haven't been saved, with their two-way data tables, as XLSX
+ * @access Private (Starter+ plans)
+ */
+router.post('/data-tables',
+  securityService.createSecurityMiddleware({
+    requireAuth: true,
+    rateLimitType: 'export',
+    validateInput: dataTableExportSchema,
+    permissions: ['export'],
+    featureFlag: 'advancedExports'
+  }),
+  enforceLimit('exports'),
+  async (req: Request, res: Response) => {
+    try {
+      const { name, inputs, tables } = req.body;
+      const result = await exportService.exportDataTables(name, inputs, tables, req.user!.id);
+
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': 'attachment; filename="data-tables.xlsx"',
+        'Cache-Control': 'private, no-cache',
+        'X-Export-Format': 'excel'
+      });
+      res.send(result);
+
+      logger.info(`Data table export completed: ${tables.length} tables by user ${req.user!.id}`);
+
+    } catch (error: any) {
+      logger.error('Data table export failed:', error);
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Export failed',
+        code: error.code || 'EXPORT_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * @route POST /api/v1/export/batch
- * @desc Export multiple calculations (Professional+ plans)
+ * @desc Queue an export of multiple calculations; responds 202 with a signed status link
  * @access Private (Professional+ plans)
  */
 router.post('/batch',
@@ -139,14 +206,17 @@ router.post('/batch',
     requireAuth: true,
     rateLimitType: 'export',
     validateInput: batchExportSchema,
-    permissions: ['export', 'batch-export']
+    permissions: ['export', 'batch-export'],
+    featureFlag: 'advancedExports'
   }),
+  enforceLimit('batchExports'),
   async (req: Request, res: Response) => {
     try {
       const { calculationIds, format, ...options } = req.body;
       
       // Check plan limitations
-      if (req.user.subscription?.plan === 'STARTER' && calculationIds.length > 3) {
+      const { plan } = await subscriptionService.getCurrentSubscription(req.user!.id);
+      if (plan === 'STARTER' && calculationIds.length > 3) {
         return res.status(403).json({
           success: false,
           error: 'Starter plan limited to 3 calculations per batch export',
@@ -154,37 +224,93 @@ router.post('/batch',
         });
       }
 
-      const result = await exportService.batchExport(
-        calculationIds, 
-        req.user.id, 
-        format as any, 
-        { format, ...options }
-      );
+      const payload: ReportGenerationPayload = { userId: req.user!.id, calculationIds, format, options: { format, ...options } };
+      const job = await jobService.enqueue('report_generation', payload, { userId: req.user!.id });
+      const statusLink = exportArtifactService.signLink('progress', job.id);
+
+      res.status(202).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          status: job.status,
+          statusUrl: statusLink.url,
+          statusUrlExpiresAt: statusLink.expiresAt
+        }
+      });
+
+      logger.info(`Batch export queued as job ${job.id}: ${format} for ${calculationIds.length} calculations by user ${req.user.id}`);
+
+    } catch (error: any) {
+      logger.error('Batch export failed:', error);
+      
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to queue batch export',
+        code: error.code || 'BATCH_EXPORT_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/export/jobs/:id?expires=&signature=
+ * @desc Progress of a queued batch export, with a download link once it is done
+ * @access Signed link
+ */
+router.get('/jobs/:id',
+  securityService.createSecurityMiddleware({
+    rateLimitType: 'api'
+  }),
+  async (req: Request, res: Response) => {
+    try {
+      exportArtifactService.verifyLink('progress', req.params.id, req.query.expires, req.query.signature);
+
+      res.set('Cache-Control', 'private, no-cache');
+      res.json({
+        success: true,
+        data: await exportArtifactService.getJobStatus(req.params.id)
+      });
+
+    } catch (error: any) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to retrieve export status',
+        code: error.code || 'EXPORT_STATUS_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/export/artifacts/:id/download?expires=&signature=
+ * @desc Download a finished batch export
+ * @access Signed link
+ */
+router.get('/artifacts/:id/download',
+  securityService.createSecurityMiddleware({
+    rateLimitType: 'export'
+  }),
+  async (req: Request, res: Response) => {
+    try {
+      exportArtifactService.verifyLink('download', req.params.id, req.query.expires, req.query.signature);
 
-      const filename = `batch-export-${Date.now()}.${format === 'zip' ? 'zip' : format}`;
-      const contentType = format === 'zip' ? 'application/zip' : 
-                         format === 'pdf' ? 'application/pdf' : 
-                         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      const { file, filename, contentType } = await exportArtifactService.download(req.params.id);
 
       res.set({
         'Content-Type': contentType,
         'Content-Disposition': `attachment; filename="${filename}"`,
-        'Cache-Control': 'private, no-cache',
-        'X-Export-Format': format,
-        'X-Calculation-Count': calculationIds.length.toString()
+        'Cache-Control': 'private, no-cache'
       });
 
-      res.send(result);
-
-      logger.info(`Batch export completed: ${format} for ${calculationIds.length} calculations by user ${req.user.id}`);
+      res.send(file);
 
     } catch (error: any) {
-      logger.error('Batch export failed:', error);
-      
+      logger.error('Export download failed:', error);
+
       res.status(error.statusCode || 500).json({
         success: false,
-        error: error.message || 'Batch export failed',
-        code: error.code || 'BATCH_EXPORT_ERROR'
+        error: error.message || 'Export download failed',
+        code: error.code || 'EXPORT_DOWNLOAD_ERROR'
       });
     }
   }
@@ -226,7 +352,7 @@ router.get('/templates',
         }
       };
 
-      const userPlan = req.user.subscription?.plan || 'FREE';
+      const { plan: userPlan } = await subscriptionService.getCurrentSubscription(req.user!.id);
       const planHierarchy = ['FREE', 'STARTER', 'PROFESSIONAL', 'ENTERPRISE'];
       const userPlanIndex = planHierarchy.indexOf(userPlan);
 
@@ -266,7 +392,7 @@ router.get('/templates',
 
 /**
  * @route GET /api/v1/export/history
- * @desc Get user's export history
+ * @desc List the user's batch exports that are still within the retention period
  * @access Private
  */
 router.get('/history',
@@ -276,64 +402,22 @@ router.get('/history',
   }),
   async (req: Request, res: Response) => {
     try {
-      const { limit = 20, offset = 0, format, days = 30 } = req.query;
-      
-      const startDate = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
-      
-      // Get export events from analytics
-      const exportEvents = await req.prisma.analyticsEvent.findMany({
-        where: {
-          userId: req.user.id,
-          eventType: { startsWith: 'user:export' },
-          createdAt: { gte: startDate },
-          ...(format && { eventData: { path: ['format'], equals: format } })
-        },
-        orderBy: { createdAt: 'desc' },
-        take: Number(limit),
-        skip: Number(offset),
-        select: {
-          id: true,
-          eventType: true,
-          eventData: true,
-          createdAt: true
-        }
-      });
+      const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
 
-      const history = exportEvents.map(event => ({
-        id: event.id,
-        format: event.eventData?.format,
-        calculationId: event.eventData?.calculationId,
-        template: event.eventData?.template || 'standard',
-        includeAI: event.eventData?.includeAI || false,
-        exportedAt: event.createdAt,
-        type: event.eventData?.count ? 'batch' : 'single',
-        count: event.eventData?.count || 1
-      }));
-
-      // Get total count
-      const total = await req.prisma.analyticsEvent.count({
-        where: {
-          userId: req.user.id,
-          eventType: { startsWith: 'user:export' },
-          createdAt: { gte: startDate }
-        }
-      });
+      const { artifacts, total, retentionDays } = await exportArtifactService.listForUser(req.user.id, { limit, offset });
 
       res.json({
         success: true,
         data: {
-          history,
+          artifacts,
           pagination: {
             total,
-            limit: Number(limit),
-            offset: Number(offset),
-            hasMore: Number(offset) + history.length < total
+            limit,
+            offset,
+            hasMore: offset + artifacts.length < total
           },
-          summary: {
-            totalExports: total,
-            period: `${days} days`,
-            formats: await this.getFormatBreakdown(req.user.id, startDate)
-          }
+          retentionDays
         }
       });
 
@@ -381,16 +465,10 @@ router.get('/usage',
 
       const totalExports = Object.values(formatBreakdown).reduce((sum: number, count: any) => sum + count, 0);
       
-      // Get plan limits
-      const planLimits = {
-        FREE: { single: 0, batch: 0 },
-        STARTER: { single: 50, batch: 3 },
-        PROFESSIONAL: { single: 200, batch: 10 },
-        ENTERPRISE: { single: -1, batch: 25 } // -1 = unlimited
-      };
-
-      const userPlan = req.user.subscription?.plan || 'FREE';
-      const limits = planLimits[userPlan as keyof typeof planLimits];
+      // Get plan limits (-1 = unlimited)
+      const { plan: userPlan } = await subscriptionService.getCurrentSubscription(req.user!.id);
+      const planLimits = getPlan(userPlan).limits;
+      const limits = { single: planLimits.exports, batch: planLimits.batchExports };
 
       res.json({
         success: true,
@@ -423,10 +501,4 @@ router.get('/usage',
   }
 );
 
-// Helper method for format breakdown
-async function getFormatBreakdown(userId: string, startDate: Date): Promise<Record<string, number>> {
-  // This would be implemented as needed
-  return { pdf: 5, excel: 3, csv: 2 };
-}
-
 export default router;
\ No newline at end of file
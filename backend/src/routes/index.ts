@@ -9,6 +9,13 @@ import aiRoutes from './ai.routes';
 import collaborationRoutes from './collaboration.routes';
 import exportRoutes from './export.routes';
 import adminRoutes from './admin.routes';
+import configRoutes from './config.routes';
+import experimentRoutes from './experiment.routes';
+import referralRoutes from './referral.routes';
+import leadRoutes from './lead.routes';
+import emailRoutes from './email.routes';
+import jobRoutes from './job.routes';
+import scenarioSetRoutes from './scenarioSet.routes';
 
 const router = Router();
 
@@ -40,5 +47,12 @@ router.use('/ai', aiRoutes);
 router.use('/collaboration', collaborationRoutes);
 router.use('/export', exportRoutes);
 router.use('/admin', adminRoutes);
+router.use('/config', configRoutes);
+router.use('/experiments', experimentRoutes);
+router.use('/referrals', referralRoutes);
+router.use('/leads', leadRoutes);
+router.use('/emails', emailRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/scenario-sets', scenarioSetRoutes);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { jobController } from '../controllers/job.controller';
+import { authenticate, authorize } from '../middleware/auth.middleware';
+
+const router = Router();
+
+router.use(authenticate);
+
+// Owners poll their own jobs; progress is also pushed over the socket
+router.get('/:id', jobController.getJob);
+
+// Admin routes
+router.use(authorize('ADMIN', 'SUPER_ADMIN'));
+
+router.get('/', jobController.listJobs);
+router.post('/:id/retry', jobController.retryJob);
+router.post('/:id/cancel', jobController.cancelJob);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { leadController } from '../controllers/lead.controller';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.middleware';
+import { leadCaptureRateLimiter } from '../middleware/rateLimiter.middleware';
+
+const router = Router();
+
+// Public routes: captures come from visitors, the token routes from email links
+router.post('/', leadCaptureRateLimiter, optionalAuth, leadController.capture);
+router.post('/confirm/:token', leadController.confirm);
+router.post('/unsubscribe/:token', leadController.unsubscribe);
+
+// Admin routes
+router.use(authenticate, authorize('ADMIN', 'SUPER_ADMIN'));
+
+router.get('/', leadController.listLeads);
+router.get('/export', leadController.exportLeads);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { referralController } from '../controllers/referral.controller';
+import { authenticate, authorize } from '../middleware/auth.middleware';
+
+const router = Router();
+
+// Public route: visitors follow referral links before they have an account
+router.post('/clicks', referralController.recordClick);
+
+router.use(authenticate);
+
+router.get('/me', referralController.getSummary);
+
+// Admin routes
+router.get('/commissions', authorize('ADMIN', 'SUPER_ADMIN'), referralController.listCommissions);
+router.post('/commissions/approve-due', authorize('ADMIN', 'SUPER_ADMIN'), referralController.approveDueCommissions);
+router.put('/commissions/:id', authorize('ADMIN', 'SUPER_ADMIN'), referralController.updateCommission);
+
+export default router;
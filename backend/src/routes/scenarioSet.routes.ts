@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { scenarioSetController } from '../controllers/scenarioSet.controller';
+import { authenticate } from '../middleware/auth.middleware';
+import { enforceLimit, requireFeature } from '../middleware/entitlement.middleware';
+import { requireFlag } from '../middleware/systemConfig.middleware';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/', scenarioSetController.listSets);
+router.post('/', scenarioSetController.createSet);
+router.get('/:id', scenarioSetController.getSet);
+router.put('/:id', scenarioSetController.updateSet);
+router.delete('/:id', scenarioSetController.deleteSet);
+router.post('/:id/export', requireFlag('advancedExports'), requireFeature('exports'), enforceLimit('exports'), scenarioSetController.exportSet);
+
+export default router;
@@ -1,13 +1,24 @@
 import { Router } from 'express';
+import { subscriptionController } from '../controllers/subscription.controller';
 import { authenticate } from '../middleware/auth.middleware';
 
 const router = Router();
 
-// Placeholder for subscription routes
-router.use(authenticate);
+// Stripe calls this directly; server.ts keeps its body raw for signature checks
+router.post('/webhook', subscriptionController.handleWebhook);
 
-router.get('/', (_req, res) => {
-  res.json({ message: 'Subscription routes to be implemented' });
-});
+// Protected routes
+router.use(authenticate); // All routes below require authentication
 
-export default router;
\ No newline at end of file
+router.get('/current', subscriptionController.getCurrentSubscription);
+router.get('/usage', subscriptionController.getUsage);
+router.get('/invoices', subscriptionController.getInvoices);
+router.post('/create-checkout', subscriptionController.createCheckout);
+router.post('/preview-change', subscriptionController.previewPlanChange);
+router.post('/change-plan', subscriptionController.changePlan);
+router.post('/cancel', subscriptionController.cancelSubscription);
+router.post('/resume', subscriptionController.resumeSubscription);
+router.post('/update-payment', subscriptionController.updatePaymentMethod);
+router.post('/portal', subscriptionController.createPortalSession);
+
+export default router;
@@ -1,13 +1,23 @@
 import { Router } from 'express';
+import { teamController } from '../controllers/team.controller';
 import { authenticate } from '../middleware/auth.middleware';
+import { requireFeature } from '../middleware/entitlement.middleware';
+import { requireFlag } from '../middleware/systemConfig.middleware';
 
 const router = Router();
 
-// Placeholder for team routes
-router.use(authenticate);
+router.use(authenticate); // All team routes require authentication
 
-router.get('/', (_req, res) => {
-  res.json({ message: 'Team routes to be implemented' });
-});
+router.get('/', teamController.getTeams);
+router.post('/', requireFlag('collaboration'), requireFeature('collaboration'), teamController.createTeam);
+router.post('/invitations/:token/accept', teamController.acceptInvitation);
+router.get('/:id', teamController.getTeam);
+router.put('/:id', teamController.updateTeam);
+router.delete('/:id', teamController.deleteTeam);
+router.get('/:id/members', teamController.getMembers);
+router.post('/:id/invite', requireFlag('collaboration'), teamController.inviteMember);
+router.put('/:id/members/:userId', teamController.updateMemberRole);
+router.delete('/:id/members/:userId', teamController.removeMember);
+router.get('/:id/calculations', teamController.getCalculations);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -9,6 +9,7 @@ const userController = new UserController();
 router.use(authenticate);
 
 router.get('/profile', userController.getProfile);
+router.get('/entitlements', userController.getEntitlements);
 router.put('/profile', userController.updateProfile);
 router.delete('/account', userController.deleteAccount);
 router.post('/change-password', userController.changePassword);
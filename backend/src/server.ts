@@ -7,10 +7,16 @@ import { createServer } from 'http';
 import { PrismaClient } from '@prisma/client';
 import { errorHandler } from './middleware/error.middleware';
 import { rateLimiter } from './middleware/rateLimiter.middleware';
+import { maintenanceGate } from './middleware/systemConfig.middleware';
 import { logger } from './utils/logger';
 import routes from './routes';
 import { initializeRedis } from './config/redis';
 import { initializeCollaboration } from './services/collaboration.service';
+import { digestService } from './services/digest.service';
+import { jobService } from './services/job.service';
+import { registerJobHandlers } from './services/jobHandlers';
+import { exportArtifactService } from './services/exportArtifact.service';
+import { referralService } from './services/referral.service';
 
 // Load environment variables
 dotenv.config();
@@ -31,6 +37,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
 }));
+// Stripe signs the exact bytes it sends, so the webhook must skip JSON parsing
+app.use('/api/v1/subscriptions/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
@@ -38,6 +46,9 @@ app.use(morgan('combined', { stream: { write: message => logger.info(message.tri
 // Rate limiting
 app.use('/api', rateLimiter);
 
+// Maintenance mode (admins pass through)
+app.use('/api', maintenanceGate);
+
 // Health check endpoint
 app.get('/health', (_req, res) => {
   res.status(200).json({
@@ -54,11 +65,54 @@ app.use('/api/v1', routes);
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
+// The weekly digest checks once a minute whether it is due
+const DIGEST_CHECK_MS = 60 * 1000;
+
+const startDigestSchedule = () => {
+  const timer = setInterval(() => {
+    digestService.sendIfDue().catch((error) => logger.error('Weekly digest failed:', error));
+  }, DIGEST_CHECK_MS);
+
+  // Don't hold the process open during shutdown
+  timer.unref();
+};
+
+const EXPORT_PURGE_MS = 60 * 60 * 1000;
+
+const startExportRetention = () => {
+  const purge = () => {
+    exportArtifactService.purgeExpired().catch((error) => logger.error('Export cleanup failed:', error));
+  };
+
+  purge();
+  setInterval(purge, EXPORT_PURGE_MS).unref();
+};
+
+// Commissions leave their hold on a date, so approval runs on the hour.
+// The update is idempotent; several instances running it is harmless.
+const COMMISSION_APPROVAL_MS = 60 * 60 * 1000;
+
+const startCommissionApproval = () => {
+  const approve = () => {
+    referralService
+      .approveDueCommissions()
+      .then(({ approved }) => {
+        if (approved > 0) logger.info(`Approved ${approved} referral commissions`);
+      })
+      .catch((error) => logger.error('Commission approval failed:', error));
+  };
+
+  approve();
+  setInterval(approve, COMMISSION_APPROVAL_MS).unref();
+};
+
 // Graceful shutdown
 const gracefulShutdown = async () => {
   logger.info('Starting graceful shutdown...');
   
   try {
+    jobService.stop();
+
     await prisma.$disconnect();
     logger.info('Database connections closed');
     
@@ -86,6 +140,13 @@ const startServer = async () => {
     // Initialize WebSocket collaboration
     initializeCollaboration(httpServer);
 
+    // Background jobs: email retries, batch exports and batch AI analysis
+    registerJobHandlers();
+    jobService.start();
+    startDigestSchedule();
+    startExportRetention();
+    startCommissionApproval();
+
     httpServer.listen(PORT, () => {
       logger.info(`Server is running on port ${PORT} in ${process.env.NODE_ENV} mode`);
       logger.info(`API URL: http://localhost:${PORT}/api/v1`);
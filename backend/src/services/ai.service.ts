@@ -5,6 +5,7 @@ import { logger } from '../utils/logger';
 import { AppError } from '../utils/errors';
 import crypto from 'crypto';
 import Bottleneck from 'bottleneck';
+import { getPlan } from '../shared/plans';
 
 export interface AIInsight {
   id: string;
@@ -54,14 +55,6 @@ class AIService {
     'gpt-3.5-turbo': { input: 0.0000015, output: 0.000002 }
   };
 
-  // Budget limits per subscription plan
-  private readonly BUDGET_LIMITS = {
-    FREE: 0,           // No AI features
-    STARTER: 10,       // $10/month AI budget
-    PROFESSIONAL: 50,  // $50/month AI budget  
-    ENTERPRISE: 200    // $200/month AI budget
-  };
-
   constructor() {
     this.openai = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY,
@@ -198,7 +191,7 @@ class AIService {
     }
 
     const plan = user.subscription.plan;
-    const budgetLimit = this.BUDGET_LIMITS[plan];
+    const budgetLimit = getPlan(plan).limits.aiBudget;
 
     if (budgetLimit === 0) {
       throw new AppError('AI features not included in your current plan', 403);
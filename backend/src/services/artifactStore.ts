@@ -0,0 +1,172 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { exportConfig } from '../config/secrets';
+import { logger } from '../utils/logger';
+
+/** Where batch export files live between the job that writes them and their expiry */
+export interface ArtifactStore {
+  put(key: string, body: Buffer, contentType: string): Promise<void>;
+  get(key: string): Promise<Buffer>;
+  /** Removing a key that is already gone is not an error */
+  delete(key: string): Promise<void>;
+}
+
+export class LocalArtifactStore implements ArtifactStore {
+  constructor(private root: string) {}
+
+  private resolve(key: string) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid artifact key "${key}"`);
+    }
+    return file;
+  }
+
+  async put(key: string, body: Buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+  }
+
+  async get(key: string) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key: string) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+interface S3Options {
+  bucket: string;
+  region: string;
+  /** Defaults to AWS; set for MinIO and other S3-compatible stores */
+  endpoint?: string;
+  accessKeyId?: string;
+  secretAccessKey?: string;
+}
+
+const sha256 = (data: string | Buffer) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key: string | Buffer, data: string) => crypto.createHmac('sha256', key).update(data).digest();
+
+// SigV4 leaves only A-Z a-z 0-9 - _ . ~ unencoded; encodeURIComponent also spares !'()*
+const encodeSegment = (segment: string) =>
+  encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/** An object key as it appears in the signed request path, slashes kept */
+export const encodeS3Key = (key: string) => key.split('/').map(encodeSegment).join('/');
+
+export interface SignableS3Request {
+  method: string;
+  /** Already URI-encoded, without a query string */
+  path: string;
+  /** Lower-case names; all of them are signed, and they must include host and x-amz-date */
+  headers: Record<string, string>;
+  payloadHash: string;
+}
+
+interface S3Credentials {
+  region: string;
+  accessKeyId: string;
+  secretAccessKey: string;
+}
+
+/** The AWS Signature Version 4 Authorization header for an S3 request */
+export function signS3Request(request: SignableS3Request, credentials: S3Credentials): string {
+  const { region, accessKeyId, secretAccessKey } = credentials;
+  const amzDate = request.headers['x-amz-date'];
+  const day = amzDate.slice(0, 8);
+
+  const names = Object.keys(request.headers).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    '',
+    names.map((name) => `${name}:${request.headers[name].trim().replace(/\s+/g, ' ')}\n`).join(''),
+    signedHeaders,
+    request.payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [day, region, 's3', 'aws4_request'].reduce<Buffer | string>(
+    (key, part) => hmac(key, part),
+    `AWS4${secretAccessKey}`
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+/**
+ * Minimal S3 client: path-style object requests signed with AWS Signature
+ * Version 4, which AWS, MinIO and most S3-compatible stores accept.
+ */
+export class S3ArtifactStore implements ArtifactStore {
+  private endpoint: string;
+
+  constructor(private options: S3Options) {
+    this.endpoint = (options.endpoint || `https://s3.${options.region}.amazonaws.com`).replace(/\/$/, '');
+  }
+
+  async put(key: string, body: Buffer, contentType: string) {
+    await this.request('PUT', key, body, contentType);
+  }
+
+  async get(key: string) {
+    return this.request('GET', key);
+  }
+
+  async delete(key: string) {
+    await this.request('DELETE', key);
+  }
+
+  private async request(method: 'GET' | 'PUT' | 'DELETE', key: string, body?: Buffer, contentType?: string) {
+    const { bucket, region, accessKeyId = '', secretAccessKey = '' } = this.options;
+    const url = new URL(`${this.endpoint}/${bucket}/${encodeS3Key(key)}`);
+    const payloadHash = sha256(body ?? '');
+
+    const headers: Record<string, string> = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      ...(contentType && { 'content-type': contentType }),
+    };
+    const authorization = signS3Request(
+      { method, path: url.pathname, headers, payloadHash },
+      { region, accessKeyId, secretAccessKey }
+    );
+
+    const { host, ...sent } = headers;
+    const response = await axios.request<ArrayBuffer>({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: {
+        ...sent,
+        Authorization: authorization,
+      },
+      responseType: 'arraybuffer',
+      maxBodyLength: Infinity,
+      // S3 answers deletes of missing keys with 204, but some stand-ins say 404
+      validateStatus: (status) => status < 300 || (method === 'DELETE' && status === 404),
+    });
+
+    return Buffer.from(response.data);
+  }
+}
+
+const createArtifactStore = (): ArtifactStore => {
+  if (exportConfig.s3) {
+    logger.info(`Storing exports in S3 bucket ${exportConfig.s3.bucket}`);
+    return new S3ArtifactStore(exportConfig.s3);
+  }
+  return new LocalArtifactStore(exportConfig.dir || path.join(os.tmpdir(), 'pricing-exports'));
+};
+
+export const artifactStore = createArtifactStore();
@@ -6,6 +6,7 @@ import { AppError } from '../utils/errors';
 import { EmailService } from './email.service';
 import { logger } from '../utils/logger';
 import { redis } from '../config/redis';
+import { referralService } from './referral.service';
 
 const prisma = new PrismaClient();
 const emailService = new EmailService();
@@ -15,6 +16,8 @@ interface RegisterData {
   password: string;
   name?: string;
   company?: string;
+  referralCode?: string;
+  referralClickId?: string;
 }
 
 interface LoginData {
@@ -22,6 +25,11 @@ interface LoginData {
   password: string;
 }
 
+interface RequestContext {
+  ipAddress?: string;
+  userAgent?: string;
+}
+
 interface TokenPayload {
   userId: string;
   email: string;
@@ -41,7 +49,7 @@ export class AuthService {
     });
   }
 
-  async register(data: RegisterData) {
+  async register(data: RegisterData, context: RequestContext = {}) {
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email: data.email },
@@ -91,6 +99,19 @@ export class AuthService {
       },
     });
 
+    // Credit the referrer; a referral problem must not fail the signup
+    if (data.referralCode || data.referralClickId) {
+      try {
+        await referralService.attributeSignup(user.id, {
+          clickId: data.referralClickId,
+          code: data.referralCode,
+          ipAddress: context.ipAddress,
+        });
+      } catch (error) {
+        logger.error('Referral attribution failed:', error);
+      }
+    }
+
     logger.info(`New user registered: ${user.email}`);
 
     return {
@@ -99,7 +120,7 @@ export class AuthService {
     };
   }
 
-  async login(data: LoginData) {
+  async login(data: LoginData, context: RequestContext = {}) {
     // Find user
     const user = await prisma.user.findUnique({
       where: { email: data.email },
@@ -143,10 +164,10 @@ export class AuthService {
       },
     });
 
-    // Update last login
+    // Update last login; the address feeds the referral fraud checks
     await prisma.user.update({
       where: { id: user.id },
-      data: { lastLogin: new Date() },
+      data: { lastLogin: new Date(), lastLoginIp: context.ipAddress },
     });
 
     // Cache user session in Redis
@@ -166,8 +187,8 @@ export class AuthService {
         userId: user.id,
         eventType: 'USER_LOGIN',
         eventData: {
-          ip: data.ip || 'unknown',
-          userAgent: data.userAgent || 'unknown',
+          ip: context.ipAddress || 'unknown',
+          userAgent: context.userAgent || 'unknown',
         },
       },
     });
@@ -1,21 +1,22 @@
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
-import { AppError } from '../utils/errors';
+import { AppError, ConflictError, NotFoundError, ValidationError } from '../utils/errors';
 import { logger } from '../utils/logger';
 import { redis } from '../config/redis';
+import { TeamService } from './team.service';
+import {
+  runPricingEngine,
+  PricingInputError,
+  PricingInputs,
+  PricingMetrics,
+  PricingResult,
+} from '../shared/pricingEngine';
+import { buildVersionTimeline, diffVersions, VersionState } from '../shared/calculationVersions';
 
 const prisma = new PrismaClient();
+const teamService = new TeamService();
 
-interface CalculationInput {
-  currentPrice: number;
-  competitorPrice?: number;
-  customers: number;
-  churnRate: number;
-  cac?: number;
-  averageContractLength?: number;
-  expansionRevenue?: number;
-  marketSize?: number;
-}
+type CalculationInput = PricingInputs;
 
 interface PricingTier {
   name: string;
@@ -27,6 +28,7 @@ interface PricingTier {
 }
 
 interface CalculationResult {
+  formulaVersion: string;
   tiers: PricingTier[];
   projectedRevenue: {
     monthly: number;
@@ -49,112 +51,32 @@ interface CalculationResult {
   };
 }
 
-export class CalculationService {
-  private calculateOptimalPrice(inputs: CalculationInput): number {
-    const { currentPrice, competitorPrice, customers, churnRate } = inputs;
-    
-    // Base calculation logic
-    let optimalPrice = currentPrice;
-    
-    // Factor in competitor pricing if available
-    if (competitorPrice) {
-      const competitorFactor = competitorPrice > currentPrice ? 1.1 : 0.95;
-      optimalPrice = currentPrice * competitorFactor;
-    }
-    
-    // Adjust based on churn rate
-    if (churnRate < 5) {
-      optimalPrice *= 1.15; // Low churn = pricing power
-    } else if (churnRate > 10) {
-      optimalPrice *= 0.9; // High churn = price sensitive
-    }
-    
-    // Market size adjustment
-    if (inputs.marketSize && inputs.marketSize > 1000000) {
-      optimalPrice *= 1.05; // Large market = slightly higher price
-    }
-    
-    return Math.round(optimalPrice * 100) / 100;
-  }
+/** Where a branched calculation came from */
+interface CalculationLineage {
+  parentId: string;
+  branchedFromVersion: number;
+}
 
-  private generatePricingTiers(basePrice: number, inputs: CalculationInput): PricingTier[] {
-    const tiers: PricingTier[] = [
-      {
-        name: 'Starter',
-        price: Math.round(basePrice * 0.6 * 100) / 100,
-        features: [
-          'Up to 10 users',
-          'Basic features',
-          'Email support',
-          'Monthly billing'
-        ],
-        targetCustomers: 'Small teams and startups',
-        projectedRevenue: Math.round(basePrice * 0.6 * inputs.customers * 0.5),
-        confidence: 85
-      },
-      {
-        name: 'Professional',
-        price: basePrice,
-        features: [
-          'Up to 50 users',
-          'Advanced features',
-          'Priority support',
-          'Custom integrations',
-          'Annual billing discount'
-        ],
-        targetCustomers: 'Growing businesses',
-        projectedRevenue: Math.round(basePrice * inputs.customers * 0.35),
-        confidence: 90
-      },
-      {
-        name: 'Enterprise',
-        price: Math.round(basePrice * 2.5 * 100) / 100,
-        features: [
-          'Unlimited users',
-          'All features',
-          'Dedicated support',
-          'Custom development',
-          'SLA guarantee',
-          'On-premise option'
-        ],
-        targetCustomers: 'Large organizations',
-        projectedRevenue: Math.round(basePrice * 2.5 * inputs.customers * 0.15),
-        confidence: 75
-      }
-    ];
-    
-    return tiers;
-  }
+type StoredCalculation = VersionState & {
+  id: string;
+  userId: string;
+  teamId: string | null;
+  name: string;
+  parentId: string | null;
+  branchedFromVersion: number | null;
+  createdAt: Date;
+};
 
-  private calculateMetrics(inputs: CalculationInput, optimalPrice: number) {
-    const monthlyRevenue = optimalPrice * inputs.customers;
-    const annualRevenue = monthlyRevenue * 12;
-    
-    // Calculate LTV (Lifetime Value)
-    const monthlyChurnRate = inputs.churnRate / 100;
-    const averageLifetime = monthlyChurnRate > 0 ? 1 / monthlyChurnRate : 24; // Cap at 24 months
-    const ltv = optimalPrice * Math.min(averageLifetime, 24);
-    
-    // CAC (Customer Acquisition Cost)
-    const cac = inputs.cac || optimalPrice * 3; // Default to 3x monthly price
-    
-    // LTV:CAC Ratio
-    const ltvcac = cac > 0 ? ltv / cac : 0;
-    
-    // Payback Period
-    const paybackPeriod = cac / optimalPrice;
-    
-    return {
-      ltv: Math.round(ltv),
-      cac: Math.round(cac),
-      ltvcac: Math.round(ltvcac * 10) / 10,
-      paybackPeriod: Math.round(paybackPeriod * 10) / 10,
-      mrr: Math.round(monthlyRevenue),
-      arr: Math.round(annualRevenue)
-    };
-  }
+const accessibleTo = (userId: string) => ({
+  OR: [
+    { userId },
+    { team: { members: { some: { userId } } } }
+  ]
+});
 
-  private generateInsights(inputs: CalculationInput, optimalPrice: number) {
+export class CalculationService {
+  private generateInsights(inputs: CalculationInput, engineMetrics: PricingMetrics) {
+    const { optimalPrice, ltvCacRatio } = engineMetrics;
     const priceDiff = ((optimalPrice - inputs.currentPrice) / inputs.currentPrice) * 100;
     const recommendations: string[] = [];
     
@@ -182,10 +104,9 @@ export class CalculationService {
     
     // CAC recommendations
     if (inputs.cac) {
-      const ltvcac = (optimalPrice * 12) / inputs.cac;
-      if (ltvcac < 3) {
+      if (ltvCacRatio < 3) {
         recommendations.push('LTV:CAC ratio below optimal - focus on reducing acquisition costs');
-      } else if (ltvcac > 5) {
+      } else if (ltvCacRatio > 5) {
         recommendations.push('Strong unit economics - consider scaling acquisition');
       }
     }
@@ -206,37 +127,78 @@ export class CalculationService {
     };
   }
 
-  async calculate(userId: string, inputs: CalculationInput, name?: string) {
+  private runEngine(inputs: CalculationInput): PricingResult {
+    try {
+      return runPricingEngine(inputs);
+    } catch (error) {
+      if (error instanceof PricingInputError) {
+        throw new ValidationError('Invalid calculation inputs', error.issues);
+      }
+      throw error;
+    }
+  }
+
+  private toPricingTiers(engineResult: PricingResult): PricingTier[] {
+    return engineResult.tiers.map(tier => ({
+      name: tier.name,
+      price: tier.price,
+      features: tier.features,
+      targetCustomers: tier.targetSegment,
+      projectedRevenue: tier.projectedRevenue,
+      confidence: tier.confidence
+    }));
+  }
+
+  /** Results for a set of inputs, without saving anything */
+  private buildResults(inputs: CalculationInput): CalculationResult {
+    const engineResult = this.runEngine(inputs);
+    const { ltv, cac, ltvCacRatio, paybackPeriod, mrr, arr } = engineResult.metrics;
+    const tiers = this.toPricingTiers(engineResult);
+    const metrics = {
+      ltv,
+      cac,
+      ltvcac: ltvCacRatio,
+      paybackPeriod,
+      mrr,
+      arr
+    };
+    const insights = this.generateInsights(inputs, engineResult.metrics);
+    
+    // Calculate projected revenue
+    const totalMonthlyRevenue = tiers.reduce((sum, tier) => sum + tier.projectedRevenue, 0);
+    const previousRevenue = inputs.currentPrice * inputs.customers;
+    const growthRate = ((totalMonthlyRevenue - previousRevenue) / previousRevenue) * 100;
+    
+    return {
+      formulaVersion: engineResult.formulaVersion,
+      tiers,
+      projectedRevenue: {
+        monthly: totalMonthlyRevenue,
+        annual: totalMonthlyRevenue * 12,
+        growth: Math.round(growthRate)
+      },
+      insights,
+      metrics
+    };
+  }
+
+  async calculate(userId: string, inputs: CalculationInput, name?: string, teamId?: string, lineage?: CalculationLineage) {
+    const results = this.buildResults(inputs);
+    if (teamId) {
+      await teamService.requireEditor(teamId, userId);
+    }
+
     try {
-      // Calculate optimal pricing
-      const optimalPrice = this.calculateOptimalPrice(inputs);
-      const tiers = this.generatePricingTiers(optimalPrice, inputs);
-      const metrics = this.calculateMetrics(inputs, optimalPrice);
-      const insights = this.generateInsights(inputs, optimalPrice);
-      
-      // Calculate projected revenue
-      const totalMonthlyRevenue = tiers.reduce((sum, tier) => sum + tier.projectedRevenue, 0);
-      const previousRevenue = inputs.currentPrice * inputs.customers;
-      const growthRate = ((totalMonthlyRevenue - previousRevenue) / previousRevenue) * 100;
-      
-      const results: CalculationResult = {
-        tiers,
-        projectedRevenue: {
-          monthly: totalMonthlyRevenue,
-          annual: totalMonthlyRevenue * 12,
-          growth: Math.round(growthRate)
-        },
-        insights,
-        metrics
-      };
-      
       // Save calculation to database
       const calculation = await prisma.calculation.create({
         data: {
           userId,
+          teamId,
           name: name || `Calculation ${new Date().toLocaleDateString()}`,
           inputs: inputs as any,
           results: results as any,
+          parentId: lineage?.parentId,
+          branchedFromVersion: lineage?.branchedFromVersion,
         }
       });
       
@@ -244,7 +206,7 @@ export class CalculationService {
       await redis.setex(
         `calculation:${calculation.id}`,
         3600, // 1 hour
-        JSON.stringify({ inputs, results })
+        JSON.stringify(calculation)
       );
       
       // Track analytics event
@@ -254,7 +216,7 @@ export class CalculationService {
           eventType: 'CALCULATION_CREATED',
           eventData: {
             calculationId: calculation.id,
-            optimizationPotential: insights.optimizationPotential
+            optimizationPotential: results.insights.optimizationPotential
           }
         }
       });
@@ -272,12 +234,12 @@ export class CalculationService {
   }
 
   async getCalculations(userId: string, teamId?: string) {
-    const where = teamId 
-      ? { OR: [{ userId }, { teamId }] }
-      : { userId };
-    
+    if (teamId) {
+      await teamService.requireRole(teamId, userId);
+    }
+
     const calculations = await prisma.calculation.findMany({
-      where,
+      where: teamId ? { teamId } : { userId },
       orderBy: { createdAt: 'desc' },
       select: {
         id: true,
@@ -286,7 +248,10 @@ export class CalculationService {
         updatedAt: true,
         isPublic: true,
         shareToken: true,
-        results: true
+        results: true,
+        version: true,
+        parentId: true,
+        branchedFromVersion: true
       }
     });
     
@@ -300,19 +265,7 @@ export class CalculationService {
       return JSON.parse(cached);
     }
     
-    const calculation = await prisma.calculation.findFirst({
-      where: {
-        id,
-        OR: [
-          { userId },
-          { team: { members: { some: { userId } } } }
-        ]
-      }
-    });
-    
-    if (!calculation) {
-      throw new AppError('Calculation not found', 404);
-    }
+    const calculation = await this.findAccessible(id, userId);
     
     // Cache for future requests
     await redis.setex(
@@ -324,42 +277,70 @@ export class CalculationService {
     return calculation;
   }
 
-  async updateCalculation(id: string, userId: string, updates: Partial<CalculationInput>, name?: string) {
-    const calculation = await this.getCalculation(id, userId);
-    
-    // Recalculate with new inputs
-    const newInputs = { ...calculation.inputs, ...updates };
-    const newResults = await this.calculate(userId, newInputs, name);
-    
-    // Create new version
-    const version = calculation.version + 1;
-    
-    await prisma.calculationVersion.create({
-      data: {
-        calculationId: id,
-        version: calculation.version,
-        inputs: calculation.inputs,
-        results: calculation.results,
-        changedById: userId,
-        changeNote: 'Updated calculation parameters'
-      }
-    });
-    
-    // Update main calculation
-    const updated = await prisma.calculation.update({
-      where: { id },
-      data: {
-        inputs: newInputs as any,
-        results: newResults as any,
-        version,
-        name
-      }
+  /** Uncached read, for changes that depend on the current version number */
+  private async findAccessible(id: string, userId: string): Promise<StoredCalculation> {
+    const calculation = await prisma.calculation.findFirst({
+      where: { id, ...accessibleTo(userId) }
     });
     
-    // Invalidate cache
-    await redis.del(`calculation:${id}`);
+    if (!calculation) {
+      throw new AppError('Calculation not found', 404);
+    }
     
-    return updated;
+    return calculation;
+  }
+
+  async updateCalculation(id: string, userId: string, updates: Partial<CalculationInput>, name?: string, changeNote?: string) {
+    const calculation = await this.findAccessible(id, userId);
+    const inputs = { ...calculation.inputs, ...updates } as CalculationInput;
+
+    return this.saveRevision(calculation, inputs, userId, changeNote || 'Updated calculation parameters', name);
+  }
+
+  /**
+   * Snapshot the current state, then move the calculation on to the next
+   * version. Two saves racing from the same version collide on the
+   * snapshot's unique version, and the loser gets a conflict.
+   */
+  private async saveRevision(calculation: StoredCalculation, inputs: CalculationInput, userId: string, changeNote: string, name?: string) {
+    const results = this.buildResults(inputs);
+    if (calculation.teamId && calculation.userId !== userId) {
+      await teamService.requireEditor(calculation.teamId, userId);
+    }
+
+    try {
+      const [, updated] = await prisma.$transaction([
+        prisma.calculationVersion.create({
+          data: {
+            calculationId: calculation.id,
+            version: calculation.version,
+            inputs: calculation.inputs as any,
+            results: calculation.results as any,
+            changedById: userId,
+            changeNote
+          }
+        }),
+        prisma.calculation.update({
+          where: { id: calculation.id },
+          data: {
+            inputs: inputs as any,
+            results: results as any,
+            version: calculation.version + 1,
+            name
+          }
+        })
+      ]);
+
+      // Invalidate cache
+      await redis.del(`calculation:${calculation.id}`);
+
+      return updated;
+    } catch (error: any) {
+      if (error?.code === 'P2002') {
+        throw new ConflictError('This calculation was changed by someone else. Reload it and try again.');
+      }
+      throw error;
+    }
   }
 
   async deleteCalculation(id: string, userId: string) {
@@ -419,23 +400,105 @@ export class CalculationService {
     return calculation;
   }
 
+  /** Every version with who made it and which inputs changed, plus the branches taken from it */
   async getCalculationVersions(id: string, userId: string) {
-    // Verify ownership first
-    await this.getCalculation(id, userId);
-    
-    const versions = await prisma.calculationVersion.findMany({
-      where: { calculationId: id },
-      orderBy: { version: 'desc' },
-      include: {
-        changedBy: {
-          select: {
-            name: true,
-            email: true
-          }
-        }
-      }
+    const calculation = await this.findAccessible(id, userId);
+    
+    const [snapshots, branches, parent] = await Promise.all([
+      prisma.calculationVersion.findMany({
+        where: { calculationId: id },
+        orderBy: { version: 'asc' }
+      }),
+      prisma.calculation.findMany({
+        where: { parentId: id, ...accessibleTo(userId) },
+        select: { id: true, name: true, branchedFromVersion: true, createdAt: true },
+        orderBy: { createdAt: 'desc' }
+      }),
+      calculation.parentId
+        ? prisma.calculation.findFirst({
+            where: { id: calculation.parentId, ...accessibleTo(userId) },
+            select: { id: true, name: true }
+          })
+        : null
+    ]);
+
+    const timeline = buildVersionTimeline(snapshots, calculation);
+    const authors = await prisma.user.findMany({
+      where: { id: { in: [...new Set(timeline.map((entry) => entry.authorId))] } },
+      select: { id: true, name: true, email: true }
     });
-    
-    return versions;
+    const authorsById = new Map(authors.map((author: { id: string }) => [author.id, author]));
+
+    return {
+      currentVersion: calculation.version,
+      versions: timeline.map(({ authorId, ...entry }) => ({
+        ...entry,
+        changedBy: authorsById.get(authorId) ?? null
+      })),
+      parent: parent && { ...parent, branchedFromVersion: calculation.branchedFromVersion },
+      branches
+    };
+  }
+
+  /** The current state, or a snapshot of an earlier one */
+  private async getVersionState(calculation: StoredCalculation, version: number): Promise<VersionState> {
+    if (version === calculation.version) {
+      return calculation;
+    }
+
+    const snapshot = await prisma.calculationVersion.findUnique({
+      where: { calculationId_version: { calculationId: calculation.id, version } }
+    });
+    if (!snapshot) {
+      throw new NotFoundError(`Version ${version}`);
+    }
+    return snapshot;
+  }
+
+  async diffCalculationVersions(id: string, userId: string, from: number, to: number) {
+    const calculation = await this.findAccessible(id, userId);
+    const [fromState, toState] = await Promise.all([
+      this.getVersionState(calculation, from),
+      this.getVersionState(calculation, to)
+    ]);
+
+    return diffVersions(fromState, toState);
+  }
+
+  /**
+   * Make an earlier version's inputs current again, as a new version, so
+   * nothing in the history is rewritten. Results are recalculated with the
+   * current engine.
+   */
+  async restoreVersion(id: string, userId: string, version: number, changeNote?: string) {
+    const calculation = await this.findAccessible(id, userId);
+    if (version === calculation.version) {
+      throw new ValidationError(`Version ${version} is already the current version`);
+    }
+
+    const target = await this.getVersionState(calculation, version);
+    const restored = await this.saveRevision(
+      calculation,
+      target.inputs as unknown as CalculationInput,
+      userId,
+      changeNote || `Restored version ${version}`
+    );
+
+    logger.info(`Calculation ${id} restored to version ${version} by user ${userId}`);
+    return restored;
+  }
+
+  /** Start a separate calculation from any version, linked back to where it came from */
+  async branchFromVersion(id: string, userId: string, version: number, name?: string) {
+    const calculation = await this.findAccessible(id, userId);
+    const source = await this.getVersionState(calculation, version);
+
+    return this.calculate(
+      userId,
+      source.inputs as unknown as CalculationInput,
+      name || `${calculation.name} (branch of v${version})`,
+      calculation.teamId ?? undefined,
+      { parentId: id, branchedFromVersion: version }
+    );
   }
 }
\ No newline at end of file
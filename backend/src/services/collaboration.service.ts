@@ -5,6 +5,7 @@ import { prisma } from '../server';
 import { redisClient } from '../config/redis';
 import { logger } from '../utils/logger';
 import { AppError } from '../utils/errors';
+import { systemConfigService } from './systemConfig.service';
 import { v4 as uuidv4 } from 'uuid';
 import NodeCache from 'node-cache';
 
@@ -104,6 +105,17 @@ class CollaborationService {
       }
     });
 
+    // Operator kill switch
+    this.io.use(async (socket, next) => {
+      try {
+        const enabled = await systemConfigService.isEnabled('collaboration', socket.userId);
+        next(enabled ? undefined : new Error('Collaboration is temporarily unavailable'));
+      } catch (error) {
+        logger.error('Collaboration flag check failed:', error);
+        next(new Error('Collaboration is temporarily unavailable'));
+      }
+    });
+
     // Rate limiting middleware
     this.io.use(async (socket, next) => {
       const userId = socket.userId;
@@ -127,6 +139,9 @@ class CollaborationService {
       
       // Track user connections
       this.trackUserConnection(userId, socket.id);
+
+      // Personal room for events about the user's own work, e.g. job progress
+      socket.join(`user:${userId}`);
       
       // Core collaboration events
       socket.on('join-session', (data) => this.handleJoinSession(socket, data));
@@ -619,6 +634,10 @@ class CollaborationService {
   getIO(): SocketIOServer {
     return this.io;
   }
+
+  emitToUser(userId: string, event: string, payload: unknown): void {
+    this.io.to(`user:${userId}`).emit(event, payload);
+  }
 }
 
 // Session Manager class for handling session state
@@ -787,4 +806,9 @@ export function getSocketIOInstance(): SocketIOServer {
   return getCollaborationService().getIO();
 }
 
+/** Best effort: does nothing when the socket server isn't running, e.g. in a standalone worker */
+export function notifyUser(userId: string, event: string, payload: unknown): void {
+  collaborationService?.emitToUser(userId, event, payload);
+}
+
 export { CollaborationService };
\ No newline at end of file
@@ -0,0 +1,89 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../utils/logger';
+import { emailService } from './email.service';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Digests go out on Mondays from 09:00 UTC
+const DIGEST_WEEKDAY = 1;
+const DIGEST_HOUR_UTC = 9;
+const DIGEST_BATCH_SIZE = 100;
+const MAX_LISTED_CALCULATIONS = 10;
+
+export class DigestService {
+  private lastRunDay: string | null = null;
+
+  /** Called on a timer; runs at most once a day per instance, on digest day */
+  async sendIfDue(now: Date = new Date()) {
+    const day = now.toISOString().split('T')[0];
+    if (now.getUTCDay() !== DIGEST_WEEKDAY || now.getUTCHours() < DIGEST_HOUR_UTC || this.lastRunDay === day) {
+      return 0;
+    }
+
+    this.lastRunDay = day;
+    return this.sendWeeklyDigests(now);
+  }
+
+  /**
+   * Email every opted-in user who changed a calculation in the past week.
+   * Users who already got a digest in the past six days are skipped, so a
+   * rerun or a second instance doesn't send twice.
+   */
+  async sendWeeklyDigests(now: Date = new Date()) {
+    const since = new Date(now.getTime() - 7 * DAY_MS);
+    const recentCalculations = { updatedAt: { gte: since } };
+    let cursor: string | undefined;
+    let sent = 0;
+
+    for (;;) {
+      const users = await prisma.user.findMany({
+        where: {
+          isActive: true,
+          emailVerified: true,
+          weeklyDigest: true,
+          calculations: { some: recentCalculations },
+          emails: { none: { template: 'weekly_digest', createdAt: { gte: new Date(now.getTime() - 6 * DAY_MS) } } },
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          calculations: {
+            where: recentCalculations,
+            select: { name: true },
+            orderBy: { updatedAt: 'desc' },
+            take: MAX_LISTED_CALCULATIONS,
+          },
+          _count: { select: { calculations: { where: recentCalculations } } },
+        },
+        orderBy: { id: 'asc' },
+        take: DIGEST_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+
+      for (const user of users) {
+        try {
+          await emailService.sendWeeklyDigestEmail(
+            user.email,
+            user.name || 'there',
+            user._count.calculations,
+            user.calculations.map((calculation) => calculation.name),
+            user.id
+          );
+          sent++;
+        } catch (error) {
+          logger.error(`Failed to queue weekly digest for ${user.id}:`, error);
+        }
+      }
+
+      if (users.length < DIGEST_BATCH_SIZE) break;
+      cursor = users[users.length - 1].id;
+    }
+
+    logger.info(`Weekly digest queued for ${sent} users`);
+    return sent;
+  }
+}
+
+export const digestService = new DigestService();
@@ -1,13 +1,34 @@
 import nodemailer from 'nodemailer';
+import { PrismaClient } from '@prisma/client';
+import { NotFoundError, ValidationError } from '../utils/errors';
 import { logger } from '../utils/logger';
+import { jobService } from './job.service';
+import { renderEmail, TemplateVariables } from '../shared/emailTemplates';
+import { retryDelayMs } from '../shared/jobs';
 
-interface EmailOptions {
-  to: string;
-  subject: string;
-  html: string;
-  text?: string;
+const prisma = new PrismaClient();
+
+// The first attempt is made inline; the rest by an email_notification job
+const MAX_ATTEMPTS = 5;
+
+type OutboxStatus = 'QUEUED' | 'SENT' | 'FAILED';
+
+interface SendOptions {
+  /** Defaults to the locale of the account registered to the address */
+  locale?: string;
+  userId?: string;
 }
 
+interface OutboxFilters {
+  status?: OutboxStatus;
+  template?: string;
+  recipient?: string;
+  page?: number;
+  limit?: number;
+}
+
+const frontendUrl = (path: string) => `${process.env.FRONTEND_URL}${path}`;
+
 export class EmailService {
   private transporter: nodemailer.Transporter;
 
@@ -23,246 +44,225 @@ export class EmailService {
     });
   }
 
-  private async sendEmail(options: EmailOptions): Promise<void> {
+  /**
+   * Render a template into the outbox and try to deliver it straight away.
+   * Delivery failures don't throw: the message stays queued and a background
+   * job retries it with exponential backoff until MAX_ATTEMPTS.
+   */
+  async send(template: string, to: string, variables: TemplateVariables, options: SendOptions = {}): Promise<string> {
+    const account = options.locale && options.userId
+      ? null
+      : await prisma.user.findUnique({ where: { email: to }, select: { id: true, locale: true } });
+
+    const rendered = renderEmail(template, variables, options.locale ?? account?.locale);
+
+    const message = await prisma.emailOutbox.create({
+      data: {
+        template,
+        locale: rendered.locale,
+        recipient: to,
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text,
+        userId: options.userId ?? account?.id,
+      },
+    });
+
+    if (await this.attempt(message.id) === 'QUEUED') {
+      await this.scheduleRetries(message.id, 1);
+    }
+
+    return message.id;
+  }
+
+  private async scheduleRetries(messageId: string, attemptsMade: number) {
+    await jobService.enqueue('email_notification', { messageId }, {
+      priority: 3,
+      maxAttempts: MAX_ATTEMPTS - attemptsMade,
+      scheduledAt: new Date(Date.now() + retryDelayMs(attemptsMade)),
+    });
+  }
+
+  /** One delivery attempt for a queued message; marks it FAILED once attempts run out */
+  async attempt(messageId: string): Promise<OutboxStatus | null> {
+    const message = await prisma.emailOutbox.findUnique({ where: { id: messageId } });
+    if (!message) return null;
+    if (message.status !== 'QUEUED') return message.status;
+
+    const attempts = message.attempts + 1;
+
     try {
-      const mailOptions = {
+      const info = await this.transporter.sendMail({
         from: process.env.EMAIL_FROM || 'SaaS Pricing Calculator <noreply@predictionnexus.com>',
-        ...options,
-      };
+        to: message.recipient,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      });
+
+      await prisma.emailOutbox.update({
+        where: { id: messageId },
+        data: { status: 'SENT', attempts, sentAt: new Date(), lastError: null },
+      });
 
-      const info = await this.transporter.sendMail(mailOptions);
-      logger.info(`Email sent successfully to ${options.to}`, { messageId: info.messageId });
+      logger.info(`Email sent successfully to ${message.recipient}`, { messageId: info.messageId, template: message.template });
+      return 'SENT';
     } catch (error) {
-      logger.error('Failed to send email:', error);
-      throw error;
+      const exhausted = attempts >= MAX_ATTEMPTS;
+
+      await prisma.emailOutbox.update({
+        where: { id: messageId },
+        data: {
+          status: exhausted ? 'FAILED' : 'QUEUED',
+          attempts,
+          lastError: (error as Error).message?.slice(0, 1000),
+        },
+      });
+
+      if (exhausted) {
+        logger.error(`Giving up on email ${messageId} after ${attempts} attempts:`, error);
+        return 'FAILED';
+      }
+
+      logger.warn(`Failed to send email ${messageId}:`, error);
+      return 'QUEUED';
+    }
+  }
+
+  /** The email_notification job handler: throws so the worker retries while attempts remain */
+  async deliverQueued(messageId: string) {
+    const status = await this.attempt(messageId);
+    if (status === 'QUEUED' || status === 'FAILED') {
+      const message = await prisma.emailOutbox.findUnique({ where: { id: messageId }, select: { lastError: true } });
+      throw new Error(message?.lastError || 'Email could not be delivered');
+    }
+    return { messageId, status: status ?? 'MISSING' };
+  }
+
+  async listOutbox(filters: OutboxFilters = {}) {
+    const { status, template, recipient, page = 1, limit = 50 } = filters;
+    const where = {
+      status,
+      template,
+      recipient: recipient ? { contains: recipient.toLowerCase() } : undefined,
+    };
+
+    const [messages, total] = await Promise.all([
+      prisma.emailOutbox.findMany({
+        where,
+        select: {
+          id: true,
+          template: true,
+          locale: true,
+          recipient: true,
+          subject: true,
+          status: true,
+          attempts: true,
+          lastError: true,
+          sentAt: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.emailOutbox.count({ where }),
+    ]);
+
+    return { messages, total, page, limit };
+  }
+
+  /** Give a message that ran out of attempts a fresh set */
+  async resend(messageId: string) {
+    const message = await prisma.emailOutbox.findUnique({ where: { id: messageId } });
+    if (!message) {
+      throw new NotFoundError('Email');
+    }
+    if (message.status !== 'FAILED') {
+      throw new ValidationError('Only failed emails can be resent');
     }
+
+    await prisma.emailOutbox.update({
+      where: { id: messageId },
+      data: { status: 'QUEUED', attempts: 0 },
+    });
+
+    const status = await this.attempt(messageId);
+    if (status === 'QUEUED') {
+      await this.scheduleRetries(messageId, 1);
+    }
+
+    return { id: messageId, status };
   }
 
   async sendVerificationEmail(email: string, token: string): Promise<void> {
-    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
-    
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Welcome to SaaS Pricing Calculator!</h1>
-            </div>
-            <div class="content">
-              <h2>Verify Your Email Address</h2>
-              <p>Thank you for signing up! To complete your registration, please verify your email address by clicking the button below:</p>
-              <div style="text-align: center;">
-                <a href="${verificationUrl}" class="button">Verify Email</a>
-              </div>
-              <p>Or copy and paste this link into your browser:</p>
-              <p style="word-break: break-all; color: #667eea;">${verificationUrl}</p>
-              <p>This link will expire in 24 hours for security reasons.</p>
-              <p>If you didn't create an account, you can safely ignore this email.</p>
-            </div>
-            <div class="footer">
-              <p>&copy; 2025 SaaS Pricing Calculator. All rights reserved.</p>
-              <p>Questions? Contact us at support@predictionnexus.com</p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    const text = `
-      Welcome to SaaS Pricing Calculator!
-      
-      Please verify your email address by clicking the following link:
-      ${verificationUrl}
-      
-      This link will expire in 24 hours.
-      
-      If you didn't create an account, you can safely ignore this email.
-    `;
-
-    await this.sendEmail({
-      to: email,
-      subject: 'Verify Your Email - SaaS Pricing Calculator',
-      html,
-      text,
+    await this.send('verification', email, {
+      verificationUrl: frontendUrl(`/verify-email/${token}`),
     });
   }
 
   async sendPasswordResetEmail(email: string, token: string): Promise<void> {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
-    
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-            .warning { background: #fff3cd; border-left: 4px solid #ffc107; padding: 10px; margin: 20px 0; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Password Reset Request</h1>
-            </div>
-            <div class="content">
-              <h2>Reset Your Password</h2>
-              <p>We received a request to reset your password. Click the button below to create a new password:</p>
-              <div style="text-align: center;">
-                <a href="${resetUrl}" class="button">Reset Password</a>
-              </div>
-              <p>Or copy and paste this link into your browser:</p>
-              <p style="word-break: break-all; color: #667eea;">${resetUrl}</p>
-              <div class="warning">
-                <strong>Security Notice:</strong> This link will expire in 1 hour. If you didn't request a password reset, please ignore this email and your password will remain unchanged.
-              </div>
-            </div>
-            <div class="footer">
-              <p>&copy; 2025 SaaS Pricing Calculator. All rights reserved.</p>
-              <p>Questions? Contact us at support@predictionnexus.com</p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    const text = `
-      Password Reset Request
-      
-      We received a request to reset your password. Click the following link to create a new password:
-      ${resetUrl}
-      
-      This link will expire in 1 hour.
-      
-      If you didn't request a password reset, please ignore this email.
-    `;
-
-    await this.sendEmail({
-      to: email,
-      subject: 'Password Reset - SaaS Pricing Calculator',
-      html,
-      text,
+    await this.send('password_reset', email, {
+      resetUrl: frontendUrl(`/reset-password/${token}`),
     });
   }
 
   async sendWelcomeEmail(email: string, name?: string): Promise<void> {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .feature { margin: 15px 0; padding-left: 25px; }
-            .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Welcome to SaaS Pricing Calculator!</h1>
-            </div>
-            <div class="content">
-              <h2>Hi ${name || 'there'},</h2>
-              <p>Your account has been successfully verified! You're now ready to optimize your SaaS pricing and unlock your revenue potential.</p>
-              
-              <h3>Here's what you can do:</h3>
-              <div class="feature">✅ Calculate optimal pricing tiers</div>
-              <div class="feature">✅ Analyze competitor pricing</div>
-              <div class="feature">✅ Generate professional PDF reports</div>
-              <div class="feature">✅ Save and compare scenarios</div>
-              <div class="feature">✅ Collaborate with your team</div>
-              
-              <div style="text-align: center;">
-                <a href="${process.env.FRONTEND_URL}/calculator" class="button">Start Calculating</a>
-              </div>
-              
-              <h3>Need Help?</h3>
-              <p>Check out our <a href="${process.env.FRONTEND_URL}/resources">resources page</a> for guides and tutorials, or reply to this email for support.</p>
-            </div>
-            <div class="footer">
-              <p>&copy; 2025 SaaS Pricing Calculator. All rights reserved.</p>
-              <p>Questions? Contact us at support@predictionnexus.com</p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    await this.sendEmail({
-      to: email,
-      subject: 'Welcome to SaaS Pricing Calculator! 🎉',
-      html,
+    await this.send('welcome', email, {
+      name: name || 'there',
+      calculatorUrl: frontendUrl('/calculator'),
+      resourcesUrl: frontendUrl('/resources'),
     });
   }
 
   async sendTeamInviteEmail(email: string, teamName: string, inviterName: string, inviteToken: string): Promise<void> {
-    const inviteUrl = `${process.env.FRONTEND_URL}/team/join/${inviteToken}`;
-    
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Team Invitation</h1>
-            </div>
-            <div class="content">
-              <h2>You're invited to join ${teamName}!</h2>
-              <p>${inviterName} has invited you to collaborate on SaaS pricing calculations.</p>
-              <p>Join the team to:</p>
-              <ul>
-                <li>Share and collaborate on pricing calculations</li>
-                <li>Access team insights and reports</li>
-                <li>Work together on pricing strategies</li>
-              </ul>
-              <div style="text-align: center;">
-                <a href="${inviteUrl}" class="button">Join Team</a>
-              </div>
-              <p>Or copy and paste this link into your browser:</p>
-              <p style="word-break: break-all; color: #667eea;">${inviteUrl}</p>
-              <p>This invitation will expire in 7 days.</p>
-            </div>
-            <div class="footer">
-              <p>&copy; 2025 SaaS Pricing Calculator. All rights reserved.</p>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    await this.sendEmail({
-      to: email,
-      subject: `${inviterName} invited you to join ${teamName}`,
-      html,
+    await this.send('team_invite', email, {
+      teamName,
+      inviterName,
+      inviteUrl: frontendUrl(`/team/join/${inviteToken}`),
+    });
+  }
+
+  async sendLeadConfirmationEmail(email: string, confirmToken: string, unsubscribeToken: string): Promise<void> {
+    await this.send('lead_confirmation', email, {
+      confirmUrl: frontendUrl(`/email/confirm/${confirmToken}`),
+      unsubscribeUrl: frontendUrl(`/email/unsubscribe/${unsubscribeToken}`),
+    });
+  }
+
+  async sendTrialEndingEmail(email: string, name: string, trialEndDate: Date): Promise<void> {
+    await this.send('trial_ending', email, {
+      name,
+      trialEndDate,
+      billingUrl: frontendUrl('/dashboard'),
+    });
+  }
+
+  /** `updatePaymentUrl` is Stripe's hosted invoice page when there is one */
+  async sendPaymentFailedEmail(email: string, name: string, amount: string, updatePaymentUrl?: string | null): Promise<void> {
+    await this.send('payment_failed', email, {
+      name,
+      amount,
+      updatePaymentUrl: updatePaymentUrl || frontendUrl('/dashboard'),
     });
   }
-}
\ No newline at end of file
+
+  async sendCancellationEmail(email: string, name: string): Promise<void> {
+    await this.send('subscription_cancelled', email, {
+      name,
+      pricingUrl: frontendUrl('/pricing'),
+    });
+  }
+
+  async sendWeeklyDigestEmail(email: string, name: string, calculationCount: number, calculations: string[], userId: string): Promise<void> {
+    await this.send('weekly_digest', email, {
+      name,
+      calculationCount,
+      calculations,
+      dashboardUrl: frontendUrl('/dashboard'),
+      settingsUrl: frontendUrl('/dashboard'),
+    }, { userId });
+  }
+}
+
+export const emailService = new EmailService();
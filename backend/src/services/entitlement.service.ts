@@ -0,0 +1,65 @@
+import { EntitlementError } from '../utils/errors';
+import { subscriptionService } from './subscription.service';
+import {
+  getPlan,
+  PlanFeature,
+  requiredPlanFor,
+  upgradePlanFor,
+  UsageSummary,
+} from '../shared/plans';
+
+const METER_LABELS: Record<keyof UsageSummary, string> = {
+  calculations: 'calculations',
+  aiBudget: 'USD of AI budget',
+  exports: 'exports',
+  batchExports: 'batch exports',
+};
+
+export class EntitlementService {
+  /**
+   * Everything the user's plan allows, with this period's consumption
+   */
+  async getEntitlements(userId: string) {
+    const { plan, periodStart, periodEnd, usage } = await subscriptionService.getUsage(userId);
+    const details = getPlan(plan);
+
+    return {
+      plan: details.id,
+      planName: details.name,
+      features: details.features,
+      limits: details.limits,
+      usage,
+      periodStart,
+      periodEnd,
+    };
+  }
+
+  async assertFeature(userId: string, feature: PlanFeature) {
+    const { plan } = await subscriptionService.getCurrentSubscription(userId);
+    const details = getPlan(plan);
+
+    if (!details.features[feature]) {
+      const requiredPlan = requiredPlanFor(feature);
+      throw new EntitlementError(
+        `This feature requires the ${requiredPlan.name} plan or higher`,
+        'PLAN_UPGRADE_REQUIRED',
+        { feature, plan: details.id, requiredPlan: requiredPlan.id }
+      );
+    }
+  }
+
+  async assertWithinLimit(userId: string, meter: keyof UsageSummary) {
+    const { plan, usage } = await subscriptionService.getUsage(userId);
+    const { used, limit, exhausted } = usage[meter];
+
+    if (exhausted) {
+      throw new EntitlementError(
+        `You've used ${used} of the ${limit} ${METER_LABELS[meter]} included in your plan this period`,
+        'PLAN_LIMIT_REACHED',
+        { meter, plan, used, limit, requiredPlan: upgradePlanFor(plan, meter)?.id ?? null }
+      );
+    }
+  }
+}
+
+export const entitlementService = new EntitlementService();
@@ -0,0 +1,286 @@
+import { PrismaClient } from '@prisma/client';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { cacheService } from './cache.service';
+import {
+  AnalysisOptions,
+  analyzeExperiment,
+  assignVariant,
+  ExperimentVariant,
+  validateVariants,
+} from '../shared/experiments';
+
+const prisma = new PrismaClient();
+
+const CACHE_NAMESPACE = 'experiments';
+const DEFINITION_TTL_SECONDS = 60;
+const EXPOSURE_TTL_SECONDS = 24 * 60 * 60;
+
+const EXPOSURE_EVENT = 'experiment:exposure';
+const CONVERSION_EVENT = 'experiment:conversion';
+
+/** Who is being bucketed: the browser's anonymous id wins so the variant survives sign-up */
+interface ExperimentUnit {
+  userId?: string;
+  anonymousId?: string;
+}
+
+interface ExperimentInput {
+  name: string;
+  description?: string;
+  variants: ExperimentVariant[];
+  goal?: string;
+}
+
+interface ExperimentUpdate {
+  description?: string;
+  variants?: ExperimentVariant[];
+  goal?: string;
+  status?: 'RUNNING' | 'STOPPED';
+  winner?: string;
+}
+
+const variantsOf = (experiment: { variants: unknown }) => experiment.variants as ExperimentVariant[];
+
+const assertValidVariants = (variants: ExperimentVariant[]) => {
+  try {
+    validateVariants(variants);
+  } catch (error) {
+    throw new ValidationError((error as Error).message);
+  }
+};
+
+export class ExperimentService {
+  private async getExperiment(name: string) {
+    const experiment = await cacheService.getOrSet(
+      name,
+      () => prisma.experiment.findUnique({ where: { name } }),
+      { namespace: CACHE_NAMESPACE, ttl: DEFINITION_TTL_SECONDS }
+    );
+
+    if (!experiment) {
+      throw new NotFoundError('Experiment');
+    }
+
+    return experiment;
+  }
+
+  async listExperiments() {
+    return prisma.experiment.findMany({ orderBy: { createdAt: 'desc' } });
+  }
+
+  async createExperiment(data: ExperimentInput) {
+    assertValidVariants(data.variants);
+
+    const existing = await prisma.experiment.findUnique({ where: { name: data.name } });
+    if (existing) {
+      throw new ConflictError('An experiment with this name already exists');
+    }
+
+    return prisma.experiment.create({
+      data: {
+        name: data.name,
+        description: data.description,
+        variants: data.variants as any,
+        goal: data.goal,
+      },
+    });
+  }
+
+  /**
+   * Edit a draft, start it, or stop it and optionally declare a winner.
+   * Variants are frozen once running because reweighting would move units.
+   */
+  async updateExperiment(name: string, data: ExperimentUpdate) {
+    const experiment = await prisma.experiment.findUnique({ where: { name } });
+    if (!experiment) {
+      throw new NotFoundError('Experiment');
+    }
+
+    if (data.variants) {
+      if (experiment.status !== 'DRAFT') {
+        throw new ConflictError('Variants cannot change once an experiment has started');
+      }
+      assertValidVariants(data.variants);
+    }
+
+    const update: Record<string, unknown> = {
+      description: data.description,
+      variants: data.variants as any,
+      goal: data.goal,
+    };
+
+    if (data.status === 'RUNNING' && experiment.status !== 'RUNNING') {
+      if (experiment.status !== 'DRAFT') {
+        throw new ConflictError('A stopped experiment cannot be restarted; create a new one');
+      }
+      update.status = 'RUNNING';
+      update.startedAt = new Date();
+    }
+
+    if (data.status === 'STOPPED' && experiment.status !== 'STOPPED') {
+      if (experiment.status !== 'RUNNING') {
+        throw new ConflictError('Only running experiments can be stopped');
+      }
+      update.status = 'STOPPED';
+      update.stoppedAt = new Date();
+    }
+
+    if (data.winner !== undefined) {
+      if (!variantsOf(experiment).some(variant => variant.key === data.winner)) {
+        throw new ValidationError(`Unknown variant: ${data.winner}`);
+      }
+      if (update.status !== 'STOPPED' && experiment.status !== 'STOPPED') {
+        throw new ConflictError('A winner can only be declared when the experiment stops');
+      }
+      update.winner = data.winner;
+    }
+
+    const updated = await prisma.experiment.update({ where: { name }, data: update });
+    await cacheService.del(name, CACHE_NAMESPACE);
+
+    logger.info(`Experiment ${name} updated`, { status: updated.status, winner: updated.winner });
+
+    return updated;
+  }
+
+  /**
+   * The variant a unit should see. Only running experiments log an
+   * exposure; drafts show the control and stopped ones their winner.
+   */
+  async assign(name: string, unit: ExperimentUnit) {
+    const experiment = await this.getExperiment(name);
+    const variants = variantsOf(experiment);
+
+    if (experiment.status !== 'RUNNING') {
+      return { experiment: name, variant: experiment.winner ?? variants[0].key, active: false };
+    }
+
+    const unitId = unit.anonymousId ?? unit.userId;
+    if (!unitId) {
+      throw new ValidationError('An anonymousId is required when signed out');
+    }
+
+    const variant = assignVariant(name, variants, unitId);
+    await this.logExposure(name, variant, unitId, unit);
+
+    return { experiment: name, variant, active: true };
+  }
+
+  private async logExposure(name: string, variant: string, unitId: string, unit: ExperimentUnit) {
+    const cacheKey = `exposed:${name}:${unitId}`;
+    if (await cacheService.get(cacheKey, { namespace: CACHE_NAMESPACE })) {
+      return;
+    }
+
+    await prisma.analyticsEvent.create({
+      data: {
+        userId: unit.userId,
+        eventType: EXPOSURE_EVENT,
+        eventData: { experiment: name, variant, unitId, anonymousId: unit.anonymousId },
+      },
+    });
+
+    await cacheService.set(cacheKey, true, { namespace: CACHE_NAMESPACE, ttl: EXPOSURE_TTL_SECONDS });
+  }
+
+  /**
+   * Credit a conversion to every running experiment with this goal that the
+   * unit was exposed to, once per experiment, under the variant it saw
+   */
+  async trackConversion(goal: string, unit: ExperimentUnit, value?: number) {
+    if (!unit.userId && !unit.anonymousId) {
+      throw new ValidationError('An anonymousId is required when signed out');
+    }
+
+    const experiments = await prisma.experiment.findMany({
+      where: { status: 'RUNNING', goal },
+      select: { name: true },
+    });
+
+    const identities: any[] = [];
+    if (unit.userId) identities.push({ userId: unit.userId });
+    if (unit.anonymousId) identities.push({ eventData: { path: ['anonymousId'], equals: unit.anonymousId } });
+
+    const attributed: Array<{ experiment: string; variant: string }> = [];
+
+    for (const { name } of experiments) {
+      const exposure = await prisma.analyticsEvent.findFirst({
+        where: {
+          eventType: EXPOSURE_EVENT,
+          AND: [{ eventData: { path: ['experiment'], equals: name } }, { OR: identities }],
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+      if (!exposure) continue;
+
+      const { variant, unitId } = exposure.eventData as { variant: string; unitId: string };
+
+      const alreadyConverted = await prisma.analyticsEvent.count({
+        where: {
+          eventType: CONVERSION_EVENT,
+          AND: [
+            { eventData: { path: ['experiment'], equals: name } },
+            { eventData: { path: ['unitId'], equals: unitId } },
+          ],
+        },
+      });
+      if (alreadyConverted > 0) continue;
+
+      await prisma.analyticsEvent.create({
+        data: {
+          userId: unit.userId ?? exposure.userId,
+          eventType: CONVERSION_EVENT,
+          eventData: { experiment: name, variant, unitId, goal, value },
+        },
+      });
+
+      attributed.push({ experiment: name, variant });
+    }
+
+    return attributed;
+  }
+
+  /**
+   * Distinct exposed and converted units per variant, with lift, intervals
+   * and the sequential stop decision
+   */
+  async getResults(name: string, options: AnalysisOptions = {}) {
+    const experiment = await this.getExperiment(name);
+
+    const rows = await prisma.$queryRaw<Array<{ variant: string; event_type: string; units: bigint }>>`
+      SELECT event_data->>'variant' AS variant, event_type, COUNT(DISTINCT event_data->>'unitId') AS units
+      FROM analytics_events
+      WHERE event_type IN (${EXPOSURE_EVENT}, ${CONVERSION_EVENT})
+        AND event_data->>'experiment' = ${name}
+      GROUP BY 1, 2
+    `;
+
+    const unitsFor = (variant: string, eventType: string) =>
+      Number(rows.find(row => row.variant === variant && row.event_type === eventType)?.units ?? 0);
+
+    const counts = variantsOf(experiment).map(({ key }) => ({
+      key,
+      exposures: unitsFor(key, EXPOSURE_EVENT),
+      conversions: unitsFor(key, CONVERSION_EVENT),
+    }));
+
+    try {
+      return {
+        experiment: name,
+        status: experiment.status,
+        goal: experiment.goal,
+        startedAt: experiment.startedAt,
+        stoppedAt: experiment.stoppedAt,
+        ...analyzeExperiment(counts, options),
+      };
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+export const experimentService = new ExperimentService();
@@ -1,10 +1,30 @@
 import PDFDocument from 'pdfkit';
 import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
 import { prisma } from '../server';
 import { logger } from '../utils/logger';
-import { AppError } from '../utils/errors';
+import { AppError, ValidationError } from '../utils/errors';
 import { cacheService } from './cache.service';
 import { analyticsService } from './analytics.service';
+import { JobCancelledError } from './job.service';
+import { currencyInfo, DEFAULT_CURRENCY, formatMoney } from '../shared/currency';
+import { batchOutputFormat, BatchExportFormat } from '../shared/exportArtifacts';
+import { formatComparisonValue, ScenarioComparison, ScenarioResult } from '../shared/scenarioSets';
+import {
+  buildDataTable,
+  DATA_TABLE_INPUT_UNITS,
+  DataTable,
+  DataTableSpec,
+  validateDataTableSpec,
+} from '../shared/dataTables';
+import {
+  parsePricingInputs,
+  PricingInputError,
+  PricingInputs,
+  PricingResult,
+  RawPricingInputs,
+  runPricingEngine,
+} from '../shared/pricingEngine';
 
 export interface ExportOptions {
   format: 'pdf' | 'excel' | 'csv' | 'json';
@@ -12,6 +32,8 @@ export interface ExportOptions {
   includeBenchmarks?: boolean;
   includeCharts?: boolean;
   template?: 'standard' | 'professional' | 'executive';
+  /** Two-way data tables added to Excel exports, one sheet each */
+  dataTables?: DataTableSpec[];
   branding?: {
     companyName?: string;
     logo?: string;
@@ -80,6 +102,8 @@ class ExportService {
    * Export calculation as Excel
    */
   async exportToExcel(calculationId: string, userId: string, options: ExportOptions): Promise<Buffer> {
+    this.validateDataTables(options.dataTables);
+
     try {
       const exportData = await this.getExportData(calculationId, userId, options);
       const cacheKey = `export:excel:${calculationId}:${this.hashOptions(options)}`;
@@ -157,53 +181,124 @@ class ExportService {
   }
 
   /**
-   * Batch export multiple calculations
+   * Batch export multiple calculations; `onProgress` hears after each
+   * calculation. Returns the file in the format `batchOutputFormat` names.
    */
   async batchExport(
     calculationIds: string[],
     userId: string,
-    format: 'pdf' | 'excel' | 'zip',
-    options: ExportOptions
+    format: BatchExportFormat,
+    options: ExportOptions,
+    onProgress?: (done: number, total: number) => Promise<void>
   ): Promise<Buffer> {
     try {
-      const exports: Buffer[] = [];
-      
-      for (const calculationId of calculationIds) {
-        let buffer: Buffer;
-        
-        if (format === 'pdf') {
-          buffer = await this.exportToPDF(calculationId, userId, options);
-        } else if (format === 'excel') {
-          buffer = await this.exportToExcel(calculationId, userId, options);
-        } else {
-          throw new AppError('Unsupported batch export format', 'INVALID_FORMAT', 400);
+      const files: Array<{ name: string; buffer: Buffer }> = [];
+
+      for (const [index, calculationId] of calculationIds.entries()) {
+        if (format === 'pdf' || format === 'zip') {
+          files.push({
+            name: `calculation-${calculationId}.pdf`,
+            buffer: await this.exportToPDF(calculationId, userId, { ...options, format: 'pdf' }),
+          });
+        }
+        if (format === 'excel' || format === 'zip') {
+          files.push({
+            name: `calculation-${calculationId}.xlsx`,
+            buffer: await this.exportToExcel(calculationId, userId, { ...options, format: 'excel' }),
+          });
         }
-        
-        exports.push(buffer);
-      }
 
-      // If multiple files, create ZIP archive
-      if (exports.length > 1) {
-        const zipBuffer = await this.createZipArchive(exports, calculationIds, format);
-        
-        // Track batch export
-        await analyticsService.trackUserActivity(userId, 'batch_export', {
-          format,
-          count: calculationIds.length,
-          calculationIds: calculationIds.slice(0, 10) // Limit logged IDs
-        });
-        
-        return zipBuffer;
+        await onProgress?.(index + 1, calculationIds.length);
       }
-      
-      return exports[0];
+
+      await analyticsService.trackUserActivity(userId, 'batch_export', {
+        format,
+        count: calculationIds.length,
+        calculationIds: calculationIds.slice(0, 10) // Limit logged IDs
+      });
+
+      return batchOutputFormat(format, calculationIds.length) === 'zip'
+        ? await this.createZipArchive(files)
+        : files[0].buffer;
 
     } catch (error) {
+      // A cancelled job must stop, not turn into an export error
+      if (error instanceof JobCancelledError) throw error;
       logger.error('Batch export failed:', error);
       throw new AppError('Failed to perform batch export', 'BATCH_EXPORT_ERROR', 500);
     }
   }
 
+  /**
+   * Export a scenario set's comparison as one PDF or workbook
+   */
+  async exportScenarioSet(
+    set: { id: string; name: string },
+    comparison: ScenarioComparison,
+    userId: string,
+    format: 'pdf' | 'excel'
+  ): Promise<Buffer> {
+    try {
+      const buffer = format === 'pdf'
+        ? await this.generateScenarioSetPDF(set.name, comparison)
+        : await this.generateScenarioSetExcel(set.name, comparison);
+
+      await analyticsService.trackUserActivity(userId, 'export', {
+        format,
+        scenarioSetId: set.id,
+        scenarioCount: comparison.scenarios.length
+      });
+
+      return buffer;
+
+    } catch (error) {
+      logger.error('Scenario set export failed:', error);
+      throw new AppError('Failed to export scenario set', 500, 'EXPORT_ERROR');
+    }
+  }
+
+  /**
+   * Export unsaved calculator inputs with their two-way data tables as a workbook
+   */
+  async exportDataTables(name: string, rawInputs: RawPricingInputs, tables: DataTableSpec[], userId: string): Promise<Buffer> {
+    this.validateDataTables(tables);
+
+    let result: PricingResult;
+    try {
+      result = runPricingEngine(rawInputs);
+    } catch (error) {
+      if (error instanceof PricingInputError) {
+        throw new ValidationError('Invalid calculation inputs', error.issues);
+      }
+      throw error;
+    }
+
+    try {
+      const exportData: ExportData = {
+        calculation: { name, inputs: result.inputs },
+        results: result,
+        metadata: {
+          exportedAt: new Date(),
+          exportedBy: userId,
+          version: '2.0'
+        }
+      };
+
+      const buffer = await this.generateExcel(exportData, { format: 'excel', dataTables: tables });
+
+      await analyticsService.trackUserActivity(userId, 'export', {
+        format: 'excel',
+        dataTables: tables.length
+      });
+
+      return buffer;
+
+    } catch (error) {
+      logger.error('Data table export failed:', error);
+      throw new AppError('Failed to export data tables', 500, 'EXPORT_ERROR');
+    }
+  }
+
   /**
    * Get comprehensive export data
    */
@@ -347,6 +442,15 @@ class ExportService {
     const resultsSheet = workbook.addWorksheet('Results');
     this.createExcelResultsSheet(resultsSheet, data);
 
+    // Data Table Sheets
+    if (options.dataTables?.length) {
+      const inputs = parsePricingInputs(data.calculation.inputs);
+      options.dataTables.forEach((spec, index) => {
+        const sheet = workbook.addWorksheet(`Data Table ${index + 1}`);
+        this.createExcelDataTableSheet(sheet, buildDataTable(inputs, spec), inputs);
+      });
+    }
+
     // AI Insights Sheet
     if (options.includeAIInsights && data.aiInsights?.length) {
       const aiSheet = workbook.addWorksheet('AI Insights');
@@ -448,9 +552,9 @@ class ExportService {
 
     const results = data.results;
     const summary = [
-      `Monthly Recurring Revenue: $${this.formatNumber(results.monthlyRecurringRevenue)}`,
-      `Annual Recurring Revenue: $${this.formatNumber(results.annualRecurringRevenue)}`,
-      `Customer Lifetime Value: $${this.formatNumber(results.customerLifetimeValue)}`,
+      `Monthly Recurring Revenue: ${this.formatAmount(results.monthlyRecurringRevenue, data)}`,
+      `Annual Recurring Revenue: ${this.formatAmount(results.annualRecurringRevenue, data)}`,
+      `Customer Lifetime Value: ${this.formatAmount(results.customerLifetimeValue, data)}`,
       `Payback Period: ${results.paybackPeriod} months`,
       `Growth Rate: ${results.monthlyGrowthRate}%`
     ];
@@ -583,9 +687,10 @@ class ExportService {
     const summaryData = [
       { metric: 'Calculation Name', value: data.calculation.name },
       { metric: 'Generated', value: data.metadata.exportedAt.toLocaleString() },
-      { metric: 'Monthly Recurring Revenue', value: this.formatNumber(data.results.monthlyRecurringRevenue) },
-      { metric: 'Annual Recurring Revenue', value: this.formatNumber(data.results.annualRecurringRevenue) },
-      { metric: 'Customer Lifetime Value', value: this.formatNumber(data.results.customerLifetimeValue) },
+      { metric: 'Currency', value: data.calculation.inputs?.currency ?? DEFAULT_CURRENCY },
+      { metric: 'Monthly Recurring Revenue', value: this.formatAmount(data.results.monthlyRecurringRevenue, data) },
+      { metric: 'Annual Recurring Revenue', value: this.formatAmount(data.results.annualRecurringRevenue, data) },
+      { metric: 'Customer Lifetime Value', value: this.formatAmount(data.results.customerLifetimeValue, data) },
       { metric: 'Payback Period (months)', value: data.results.paybackPeriod }
     ];
 
@@ -678,6 +783,316 @@ class ExportService {
     }
   }
 
+  private createExcelDataTableSheet(sheet: ExcelJS.Worksheet, table: DataTable, inputs: PricingInputs): void {
+    const currency = inputs.currency ?? DEFAULT_CURRENCY;
+    const symbol = currencyInfo(currency).symbol.replace(/"/g, '');
+    const formats: Record<string, string> = {
+      currency: `"${symbol}"#,##0`,
+      ratio: '0.0":1"',
+      percent: '0.0"%"',
+      months: '0.0" mo"',
+      count: '#,##0'
+    };
+    const firstRow = 5;
+    const lastRow = firstRow + table.rowValues.length - 1;
+    const lastColumn = table.columnValues.length + 1;
+
+    sheet.getCell('A1').value = `${table.metricLabel} by ${table.rowLabel} and ${table.columnLabel}`;
+    sheet.getCell('A1').font = { bold: true, size: 14 };
+    sheet.getCell('A2').value = 'Every other input as entered';
+    sheet.getCell('A2').font = { italic: true, color: { argb: 'FF6B7280' } };
+    sheet.getCell('A3').value = `At the entered inputs: ${formatComparisonValue(table.base, table.unit, currency)}`;
+
+    // Header row: the column input's values, with the row input's down column A
+    const header = sheet.getRow(firstRow - 1);
+    header.values = [`${table.rowLabel} ↓  ${table.columnLabel} →`, ...table.columnValues];
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2563EB' } };
+    header.eachCell((cell, column) => {
+      if (column > 1) cell.numFmt = formats[DATA_TABLE_INPUT_UNITS[table.columnField]];
+    });
+
+    table.rowValues.forEach((rowValue, row) => {
+      const sheetRow = sheet.getRow(firstRow + row);
+      sheetRow.values = [rowValue, ...table.cells[row]];
+      sheetRow.eachCell((cell, column) => {
+        cell.numFmt = column === 1 ? formats[DATA_TABLE_INPUT_UNITS[table.rowField]] : formats[table.unit];
+      });
+      const label = sheetRow.getCell(1);
+      label.font = { bold: true };
+      label.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE5E7EB' } };
+    });
+
+    // Outline the cell for the inputs as entered, when it's on the grid
+    const baseRow = table.rowValues.indexOf(inputs[table.rowField] as number);
+    const baseColumn = table.columnValues.indexOf(inputs[table.columnField] as number);
+    if (baseRow >= 0 && baseColumn >= 0) {
+      const edge = { style: 'medium' as const, color: { argb: 'FF111827' } };
+      sheet.getRow(firstRow + baseRow).getCell(baseColumn + 2).border = { top: edge, left: edge, bottom: edge, right: edge };
+    }
+
+    // Heatmap: Excel's red-yellow-green scale, green at the better end
+    const [worst, middle, best] = ['FFF8696B', 'FFFFEB84', 'FF63BE7B'];
+    const colors = table.better === 'lower' ? [best, middle, worst] : table.better === 'higher' ? [worst, middle, best] : ['FFFFFFFF', 'FF93C5FD'];
+    const ref = `B${firstRow}:${sheet.getColumn(lastColumn).letter}${lastRow}`;
+    sheet.addConditionalFormatting({
+      ref,
+      rules: [{
+        type: 'colorScale',
+        priority: 1,
+        cfvo: colors.length === 3
+          ? [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }]
+          : [{ type: 'min' }, { type: 'max' }],
+        color: colors.map(argb => ({ argb }))
+      }]
+    });
+
+    sheet.getColumn(1).width = 30;
+    for (let column = 2; column <= lastColumn; column++) {
+      sheet.getColumn(column).width = 14;
+    }
+    sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: firstRow - 1 }];
+  }
+
+  // Scenario Set Methods
+  private async generateScenarioSetPDF(name: string, comparison: ScenarioComparison): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          margin: 50,
+          layout: 'landscape',
+          info: {
+            Title: `${name} - Scenario Comparison`,
+            Author: 'SaaS Pricing Calculator',
+            Subject: 'Scenario Comparison Report',
+            Creator: 'SaaS Pricing Calculator Premium'
+          }
+        });
+
+        const chunks: Buffer[] = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const baseline = comparison.scenarios.find(scenario => scenario.baseline) as ScenarioResult;
+
+        doc.fontSize(24)
+           .fillColor('#1e293b')
+           .text('Scenario Comparison', 50, 50);
+
+        doc.fontSize(16)
+           .text(name, 50, 80);
+
+        doc.fontSize(10)
+           .fillColor('#64748b')
+           .text(`Baseline: ${baseline.name}  •  Generated: ${new Date().toLocaleDateString()}`, 50, 102);
+
+        this.addPDFScenarioGrid(doc, comparison, 130);
+
+        doc.addPage();
+        this.addPDFScenarioWinners(doc, comparison);
+        this.addPDFScenarioProjection(doc, comparison, doc.y + 30);
+
+        doc.end();
+
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  private addPDFScenarioGrid(doc: PDFKit.PDFDocument, comparison: ScenarioComparison, top: number): void {
+    const labelWidth = 130;
+    const columnWidth = (doc.page.width - 100 - labelWidth) / comparison.scenarios.length;
+    const column = (index: number) => 50 + labelWidth + index * columnWidth;
+    const winnerIds = new Map(comparison.winners.map(winner => [winner.metric, winner.scenarioIds]));
+
+    doc.fontSize(10).fillColor('#1e293b');
+    comparison.scenarios.forEach((scenario, index) => {
+      doc.text(scenario.baseline ? `${scenario.name} (baseline)` : scenario.name, column(index), top, {
+        width: columnWidth - 10,
+        height: 28,
+        ellipsis: true
+      });
+    });
+
+    let yPos = top + 36;
+    for (const metric of comparison.metrics) {
+      doc.moveTo(50, yPos - 6).lineTo(doc.page.width - 50, yPos - 6).strokeColor('#e5e7eb').stroke();
+
+      doc.fontSize(10)
+         .fillColor('#374151')
+         .text(metric.label, 50, yPos, { width: labelWidth - 10 });
+
+      comparison.scenarios.forEach((scenario, index) => {
+        const won = winnerIds.get(metric.key)?.includes(scenario.id);
+        const value = formatComparisonValue(scenario.values[metric.key], metric.unit, comparison.currency, { latinOnly: true });
+
+        doc.fontSize(10)
+           .fillColor(won ? '#16a34a' : '#1e293b')
+           .text(won ? `${value} *` : value, column(index), yPos, { width: columnWidth - 10 });
+
+        const delta = scenario.deltas[metric.key];
+        if (delta?.percentChange !== null && delta?.percentChange !== undefined) {
+          doc.fontSize(8)
+             .fillColor('#64748b')
+             .text(`${delta.percentChange > 0 ? '+' : ''}${delta.percentChange}% vs baseline`, column(index), yPos + 13, {
+               width: columnWidth - 10
+             });
+        }
+      });
+
+      yPos += 34;
+    }
+
+    doc.fontSize(8)
+       .fillColor('#64748b')
+       .text('* Best value for the metric', 50, yPos);
+
+    doc.y = yPos + 20;
+  }
+
+  private addPDFScenarioWinners(doc: PDFKit.PDFDocument, comparison: ScenarioComparison): void {
+    const names = new Map(comparison.scenarios.map(scenario => [scenario.id, scenario.name]));
+    const units = new Map(comparison.metrics.map(metric => [metric.key, metric.unit]));
+
+    doc.fontSize(16)
+       .fillColor('#1e293b')
+       .text('Winner by Metric', 50, 50);
+
+    let yPos = 80;
+    for (const winner of comparison.winners) {
+      const value = formatComparisonValue(winner.value, units.get(winner.metric)!, comparison.currency, { latinOnly: true });
+      doc.fontSize(11)
+         .fillColor('#374151')
+         .text(`${winner.label}: ${winner.scenarioIds.map(id => names.get(id)).join(', ')} (${value})`, 70, yPos);
+      yPos += 16;
+    }
+
+    doc.y = yPos;
+  }
+
+  /** ARR over the projection for every scenario, drawn on shared axes */
+  private addPDFScenarioProjection(doc: PDFKit.PDFDocument, comparison: ScenarioComparison, top: number): void {
+    const colors = ['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#0891b2'];
+    const left = 110;
+    const width = doc.page.width - 50 - left - 150;
+    const height = doc.page.height - 50 - top - 60;
+    const lastMonth = comparison.projection[comparison.projection.length - 1].month;
+    const maxArr = Math.max(...comparison.projection.flatMap(point => Object.values(point.arr)), 1);
+
+    const x = (month: number) => left + (month / lastMonth) * width;
+    const y = (arr: number) => top + 30 + height - (arr / maxArr) * height;
+
+    doc.fontSize(16)
+       .fillColor('#1e293b')
+       .text('Projected ARR', 50, top);
+
+    // Axes with a label at the top and bottom of the ARR scale
+    doc.moveTo(left, y(maxArr)).lineTo(left, y(0)).lineTo(left + width, y(0)).strokeColor('#9ca3af').stroke();
+    doc.fontSize(8).fillColor('#64748b');
+    doc.text(formatMoney(maxArr, comparison.currency, { latinOnly: true, decimals: 0 }), 50, y(maxArr) - 4, { width: 55, align: 'right' });
+    doc.text(formatMoney(0, comparison.currency, { latinOnly: true }), 50, y(0) - 4, { width: 55, align: 'right' });
+    for (let month = 0; month <= lastMonth; month += 6) {
+      doc.text(`M${month}`, x(month) - 10, y(0) + 6, { width: 20, align: 'center' });
+    }
+
+    comparison.scenarios.forEach((scenario, index) => {
+      const color = colors[index % colors.length];
+      comparison.projection.forEach((point, pointIndex) => {
+        const pointX = x(point.month);
+        const pointY = y(point.arr[scenario.id]);
+        if (pointIndex === 0) {
+          doc.moveTo(pointX, pointY);
+        } else {
+          doc.lineTo(pointX, pointY);
+        }
+      });
+      doc.strokeColor(color).lineWidth(scenario.baseline ? 2.5 : 1.5).stroke();
+
+      // Legend
+      const legendY = top + 30 + index * 16;
+      doc.rect(left + width + 20, legendY + 2, 10, 10).fillColor(color).fill();
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(scenario.name, left + width + 36, legendY + 2, { width: 110, height: 12, ellipsis: true });
+    });
+
+    doc.lineWidth(1);
+  }
+
+  private async generateScenarioSetExcel(name: string, comparison: ScenarioComparison): Promise<Buffer> {
+    const workbook = new ExcelJS.Workbook();
+
+    workbook.creator = 'SaaS Pricing Calculator';
+    workbook.lastModifiedBy = 'SaaS Pricing Calculator';
+    workbook.created = new Date();
+    workbook.modified = new Date();
+
+    const names = new Map(comparison.scenarios.map(scenario => [scenario.id, scenario.name]));
+    const header = (scenario: ScenarioResult) => scenario.baseline ? `${scenario.name} (baseline)` : scenario.name;
+
+    // Comparison Sheet: one row per metric, then the change from the baseline
+    const comparisonSheet = workbook.addWorksheet('Comparison');
+    comparisonSheet.columns = [
+      { header: 'Metric', key: 'metric', width: 24 },
+      ...comparison.scenarios.map(scenario => ({ header: header(scenario), key: scenario.id, width: 20 }))
+    ];
+    comparisonSheet.getRow(1).font = { bold: true };
+
+    for (const metric of comparison.metrics) {
+      comparisonSheet.addRow({
+        metric: metric.unit === 'currency' ? `${metric.label} (${comparison.currency})` : metric.label,
+        ...Object.fromEntries(comparison.scenarios.map(scenario => [scenario.id, scenario.values[metric.key]]))
+      });
+    }
+
+    comparisonSheet.addRow({});
+    comparisonSheet.addRow({ metric: 'Change vs baseline (%)' }).font = { bold: true };
+    for (const metric of comparison.metrics) {
+      comparisonSheet.addRow({
+        metric: metric.label,
+        ...Object.fromEntries(comparison.scenarios
+          .filter(scenario => !scenario.baseline)
+          .map(scenario => [scenario.id, scenario.deltas[metric.key]?.percentChange ?? null]))
+      });
+    }
+
+    // Winners Sheet
+    const winnersSheet = workbook.addWorksheet('Winners');
+    winnersSheet.columns = [
+      { header: 'Metric', key: 'metric', width: 24 },
+      { header: 'Winner', key: 'winner', width: 40 },
+      { header: 'Value', key: 'value', width: 20 }
+    ];
+    winnersSheet.getRow(1).font = { bold: true };
+
+    const units = new Map(comparison.metrics.map(metric => [metric.key, metric.unit]));
+    for (const winner of comparison.winners) {
+      winnersSheet.addRow({
+        metric: winner.label,
+        winner: winner.scenarioIds.map(id => names.get(id)).join(', '),
+        value: formatComparisonValue(winner.value, units.get(winner.metric)!, comparison.currency)
+      });
+    }
+
+    // Projection Sheet: monthly ARR, ready to chart
+    const projectionSheet = workbook.addWorksheet('Projection');
+    projectionSheet.columns = [
+      { header: 'Month', key: 'month', width: 10 },
+      ...comparison.scenarios.map(scenario => ({ header: header(scenario), key: scenario.id, width: 20 }))
+    ];
+    projectionSheet.getRow(1).font = { bold: true };
+
+    for (const point of comparison.projection) {
+      projectionSheet.addRow({ month: point.month, ...point.arr });
+    }
+
+    workbook.title = `${name} - Scenario Comparison`;
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
   // Utility Methods
   private async getBenchmarksForIndustry(industry: string): Promise<any> {
     // This would typically fetch from a benchmarks service
@@ -720,14 +1135,32 @@ class ExportService {
     return new Intl.NumberFormat('en-US').format(Math.round(num));
   }
 
+  // PDFKit's standard fonts only cover Latin-1, so ₹ and ¥-style symbols become codes
+  private formatAmount(num: number, data: ExportData): string {
+    return formatMoney(Math.round(num), data.calculation.inputs?.currency, { latinOnly: true });
+  }
+
+  private validateDataTables(tables?: DataTableSpec[]): void {
+    try {
+      tables?.forEach(validateDataTableSpec);
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
   private hashOptions(options: ExportOptions): string {
     return Buffer.from(JSON.stringify(options)).toString('base64');
   }
 
-  private async createZipArchive(files: Buffer[], names: string[], format: string): Promise<Buffer> {
-    // This would use a ZIP library like jszip
-    // For now, return the first file as a placeholder
-    return files[0];
+  private async createZipArchive(files: Array<{ name: string; buffer: Buffer }>): Promise<Buffer> {
+    const zip = new JSZip();
+    for (const file of files) {
+      zip.file(file.name, file.buffer);
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
   }
 }
 
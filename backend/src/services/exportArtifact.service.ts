@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { exportConfig } from '../config/secrets';
+import { AppError, AuthorizationError, NotFoundError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { artifactStore } from './artifactStore';
+import { jobService } from './job.service';
+import { canCancelJob } from '../shared/jobs';
+import {
+  ARTIFACT_FILE_TYPES,
+  artifactExpiresAt,
+  artifactFilename,
+  artifactKey,
+  batchOutputFormat,
+  BatchExportFormat,
+  EXPORT_RETENTION,
+  parseLinkExpiry,
+  SignedLinkPurpose,
+  signedLinkMessage,
+} from '../shared/exportArtifacts';
+
+const prisma = new PrismaClient();
+
+const PURGE_BATCH_SIZE = 100;
+
+const LINK_PATHS: Record<SignedLinkPurpose, (id: string) => string> = {
+  progress: (jobId) => `/api/v1/export/jobs/${jobId}`,
+  download: (artifactId) => `/api/v1/export/artifacts/${artifactId}/download`,
+};
+
+interface SignedLink {
+  url: string;
+  expiresAt: Date;
+}
+
+interface ArtifactRecord {
+  id: string;
+  format: string;
+  size: number;
+  calculationIds: string[];
+  expiresAt: Date;
+  createdAt: Date;
+}
+
+export class ExportArtifactService {
+  private sign(purpose: SignedLinkPurpose, id: string, expires: number) {
+    return crypto
+      .createHmac('sha256', exportConfig.urlSecret)
+      .update(signedLinkMessage(purpose, id, expires))
+      .digest('hex');
+  }
+
+  /** A link that works without a session until it expires */
+  signLink(purpose: SignedLinkPurpose, id: string, now: Date = new Date()): SignedLink {
+    const expires = now.getTime() + EXPORT_RETENTION.linkTtlMs;
+    const query = new URLSearchParams({ expires: String(expires), signature: this.sign(purpose, id, expires) });
+
+    return { url: `${LINK_PATHS[purpose](id)}?${query}`, expiresAt: new Date(expires) };
+  }
+
+  verifyLink(purpose: SignedLinkPurpose, id: string, expiresParam: unknown, signatureParam: unknown) {
+    const expires = parseLinkExpiry(expiresParam);
+    if (expires === null || typeof signatureParam !== 'string') {
+      throw new AuthorizationError('This link has expired');
+    }
+
+    const expected = Buffer.from(this.sign(purpose, id, expires));
+    const given = Buffer.from(signatureParam);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AuthorizationError('Invalid link signature');
+    }
+  }
+
+  /** Store a finished batch export and record it for the owner's history */
+  async store(jobId: string, userId: string, calculationIds: string[], requested: BatchExportFormat, file: Buffer) {
+    const format = batchOutputFormat(requested, calculationIds.length);
+    const id = crypto.randomUUID();
+    const storageKey = artifactKey(userId, id, format);
+    const createdAt = new Date();
+    // Worked out first so a file is never uploaded without an expiry
+    const expiresAt = artifactExpiresAt(createdAt, exportConfig.retentionDays);
+
+    await artifactStore.put(storageKey, file, ARTIFACT_FILE_TYPES[format].contentType);
+
+    return prisma.exportArtifact.create({
+      data: {
+        id,
+        userId,
+        jobId,
+        format,
+        storageKey,
+        size: file.length,
+        calculationIds,
+        expiresAt,
+        createdAt,
+      },
+    });
+  }
+
+  /** What a signed progress link shows: the job, and a fresh download link once it is done */
+  async getJobStatus(jobId: string) {
+    const job = await jobService.getJob(jobId);
+    if (job.type !== 'report_generation') {
+      throw new NotFoundError('Export');
+    }
+
+    const artifact = job.status === 'completed'
+      ? await prisma.exportArtifact.findUnique({ where: { jobId } })
+      : null;
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      artifact: artifact && this.present(artifact),
+      // Jobs can outlast a link, so each poll hands out a fresh one
+      statusUrl: canCancelJob(job.status) ? this.signLink('progress', job.id).url : null,
+    };
+  }
+
+  async download(artifactId: string) {
+    const artifact = await prisma.exportArtifact.findUnique({ where: { id: artifactId } });
+    if (!artifact) {
+      throw new NotFoundError('Export');
+    }
+    if (artifact.expiresAt <= new Date()) {
+      throw new AppError('This export has expired', 410, 'EXPORT_EXPIRED');
+    }
+
+    const format = artifact.format as BatchExportFormat;
+    return {
+      file: await artifactStore.get(artifact.storageKey),
+      filename: artifactFilename(artifact.createdAt, format),
+      contentType: ARTIFACT_FILE_TYPES[format].contentType,
+    };
+  }
+
+  async listForUser(userId: string, { limit = 20, offset = 0 } = {}) {
+    const where = { userId, expiresAt: { gt: new Date() } };
+
+    const [artifacts, total] = await Promise.all([
+      prisma.exportArtifact.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+      }),
+      prisma.exportArtifact.count({ where }),
+    ]);
+
+    return {
+      artifacts: artifacts.map((artifact: ArtifactRecord) => this.present(artifact)),
+      total,
+      retentionDays: exportConfig.retentionDays,
+    };
+  }
+
+  private present(artifact: ArtifactRecord) {
+    return {
+      id: artifact.id,
+      format: artifact.format,
+      size: artifact.size,
+      calculationIds: artifact.calculationIds,
+      calculationCount: artifact.calculationIds.length,
+      createdAt: artifact.createdAt,
+      expiresAt: artifact.expiresAt,
+      download: this.signLink('download', artifact.id),
+    };
+  }
+
+  /**
+   * Delete expired artifacts, file first. A file that fails to delete keeps
+   * its row, so the next sweep tries again.
+   */
+  async purgeExpired(now: Date = new Date()) {
+    let purged = 0;
+
+    for (;;) {
+      const expired = await prisma.exportArtifact.findMany({
+        where: { expiresAt: { lte: now } },
+        select: { id: true, storageKey: true },
+        orderBy: { expiresAt: 'asc' },
+        take: PURGE_BATCH_SIZE,
+      });
+
+      const deleted: string[] = [];
+      for (const artifact of expired) {
+        try {
+          await artifactStore.delete(artifact.storageKey);
+          deleted.push(artifact.id);
+        } catch (error) {
+          logger.error(`Failed to delete export file ${artifact.storageKey}:`, error);
+        }
+      }
+
+      if (deleted.length > 0) {
+        await prisma.exportArtifact.deleteMany({ where: { id: { in: deleted } } });
+        purged += deleted.length;
+      }
+
+      // Stop on a short batch, or when nothing could be deleted to avoid spinning
+      if (expired.length < PURGE_BATCH_SIZE || deleted.length === 0) break;
+    }
+
+    if (purged > 0) {
+      logger.info(`Purged ${purged} expired exports`);
+    }
+    return purged;
+  }
+}
+
+export const exportArtifactService = new ExportArtifactService();
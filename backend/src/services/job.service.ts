@@ -0,0 +1,367 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import { NotFoundError, ValidationError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { notifyUser } from './collaboration.service';
+import {
+  canCancelJob,
+  canRetryJob,
+  JOB_RETRY,
+  JobStatus,
+  JobType,
+  nextAfterFailure,
+} from '../shared/jobs';
+import { JobPayloads } from './jobHandlers';
+
+const prisma = new PrismaClient();
+
+const POLL_INTERVAL_MS = 2000;
+// Progress writes closer together than this are skipped; 100% always goes through
+const PROGRESS_THROTTLE_MS = 1000;
+
+export interface JobRecord {
+  id: string;
+  type: string;
+  payload: Prisma.JsonValue;
+  attempts: number;
+  maxAttempts: number;
+  userId: string | null;
+}
+
+export interface JobContext {
+  /** Record progress (0-100) and tell the owner; throws JobCancelledError once the job is cancelled */
+  reportProgress(progress: number, message?: string): Promise<void>;
+}
+
+export type JobHandler = (job: JobRecord, context: JobContext) => Promise<Prisma.InputJsonValue | undefined>;
+
+interface EnqueueOptions {
+  userId?: string;
+  /** 1 (high) to 10 (low) */
+  priority?: number;
+  maxAttempts?: number;
+  scheduledAt?: Date;
+}
+
+interface JobFilters {
+  status?: JobStatus;
+  type?: JobType;
+  userId?: string;
+  page?: number;
+  limit?: number;
+}
+
+/** Thrown out of a handler when an admin cancels the job it is running */
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+  }
+}
+
+const publicFields = {
+  id: true,
+  type: true,
+  status: true,
+  progress: true,
+  result: true,
+  error: true,
+  attempts: true,
+  maxAttempts: true,
+  priority: true,
+  userId: true,
+  scheduledAt: true,
+  startedAt: true,
+  completedAt: true,
+  createdAt: true,
+} as const;
+
+export class JobService {
+  private handlers = new Map<string, JobHandler>();
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+
+  registerHandler(type: JobType, handler: JobHandler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue<T extends JobType>(type: T, payload: JobPayloads[T], options: EnqueueOptions = {}) {
+    const job = await prisma.backgroundJob.create({
+      data: {
+        type,
+        payload: payload as unknown as Prisma.InputJsonValue,
+        userId: options.userId,
+        priority: options.priority ?? 5,
+        maxAttempts: options.maxAttempts ?? 3,
+        scheduledAt: options.scheduledAt ?? new Date(),
+      },
+      select: publicFields,
+    });
+
+    logger.info(`Queued ${type} job ${job.id}`);
+    return job;
+  }
+
+  /** Poll for due jobs until stopped; each instance runs one job at a time */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.drain().catch((error) => logger.error('Job worker tick failed:', error));
+    }, POLL_INTERVAL_MS);
+    this.timer.unref();
+
+    logger.info(`Job worker started for ${[...this.handlers.keys()].join(', ')}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /** Run due jobs until none are left; overlapping ticks return straight away */
+  async drain() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      await this.requeueStale();
+
+      let processed = 0;
+      for (let job = await this.claimNext(); job; job = await this.claimNext()) {
+        await this.run(job);
+        processed++;
+      }
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Take the most urgent due job. SKIP LOCKED lets several workers claim
+   * side by side without waiting on, or taking, each other's rows.
+   */
+  private async claimNext(): Promise<JobRecord | null> {
+    const types = [...this.handlers.keys()];
+    if (types.length === 0) return null;
+
+    const rows = await prisma.$queryRaw<Array<{ id: string }>>`
+      UPDATE background_jobs
+      SET status = 'processing', started_at = NOW(), heartbeat_at = NOW(), attempts = attempts + 1, error = NULL
+      WHERE id = (
+        SELECT id FROM background_jobs
+        WHERE status = 'pending'
+          AND scheduled_at <= NOW()
+          AND type IN (${Prisma.join(types)})
+        ORDER BY priority ASC, scheduled_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `;
+    if (rows.length === 0) return null;
+
+    return prisma.backgroundJob.findUnique({
+      where: { id: rows[0].id },
+      select: { id: true, type: true, payload: true, attempts: true, maxAttempts: true, userId: true },
+    });
+  }
+
+  private async run(job: JobRecord) {
+    const handler = this.handlers.get(job.type)!;
+    let lastProgressAt = 0;
+
+    // Keeps a long run from being taken for one whose worker died
+    const heartbeat = setInterval(() => {
+      prisma.backgroundJob
+        .updateMany({ where: { id: job.id, status: 'processing' }, data: { heartbeatAt: new Date() } })
+        .catch((error: unknown) => logger.error(`Heartbeat for job ${job.id} failed:`, error));
+    }, JOB_RETRY.heartbeatMs);
+    heartbeat.unref();
+
+    const context: JobContext = {
+      reportProgress: async (progress, message) => {
+        const now = Date.now();
+        if (progress < 100 && now - lastProgressAt < PROGRESS_THROTTLE_MS) return;
+        lastProgressAt = now;
+
+        // Only a job still marked processing can move on; anything else means it was cancelled
+        const { count } = await prisma.backgroundJob.updateMany({
+          where: { id: job.id, status: 'processing' },
+          data: { progress, heartbeatAt: new Date(now) },
+        });
+        if (count === 0) throw new JobCancelledError();
+
+        this.notify(job, 'job:progress', { progress, message });
+      },
+    };
+
+    try {
+      const result = await handler(job, context);
+
+      const { count } = await prisma.backgroundJob.updateMany({
+        where: { id: job.id, status: 'processing' },
+        data: { status: 'completed', progress: 100, result, completedAt: new Date() },
+      });
+      if (count > 0) {
+        this.notify(job, 'job:completed', { result });
+      }
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        logger.info(`Job ${job.id} stopped after cancellation`);
+        return;
+      }
+
+      const message = (error as Error).message?.slice(0, 1000) || 'Job failed';
+      await this.recordFailure(job, message, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Retry a failed run later, or fail the job once its attempts are used up.
+   * `stillAs` guards the write so a run that was cancelled, or has since
+   * moved on, keeps its state.
+   */
+  private async recordFailure(
+    job: JobRecord,
+    message: string,
+    error?: unknown,
+    stillAs: Prisma.BackgroundJobWhereInput = { status: 'processing' }
+  ) {
+    const next = nextAfterFailure(job.attempts, job.maxAttempts);
+
+    const { count } = await prisma.backgroundJob.updateMany({
+      where: { id: job.id, ...stillAs },
+      data: next.status === 'pending'
+        ? { status: 'pending', scheduledAt: next.scheduledAt, error: message }
+        : { status: 'failed', error: message, completedAt: new Date() },
+    });
+    if (count === 0) return false;
+
+    if (next.status === 'pending') {
+      logger.warn(`Job ${job.id} (${job.type}) failed, attempt ${job.attempts} of ${job.maxAttempts}:`, error ?? message);
+      this.notify(job, 'job:retrying', { error: message, scheduledAt: next.scheduledAt });
+    } else {
+      logger.error(`Job ${job.id} (${job.type}) failed for good:`, error ?? message);
+      this.notify(job, 'job:failed', { error: message });
+    }
+    return true;
+  }
+
+  /**
+   * A job whose heartbeat has stopped lost its worker mid-run. That counts
+   * as a failed attempt, so a job that keeps killing its worker ends up
+   * `failed` instead of going round forever.
+   */
+  private async requeueStale() {
+    const stale = { status: 'processing', heartbeatAt: { lt: new Date(Date.now() - JOB_RETRY.staleAfterMs) } };
+    const jobs = await prisma.backgroundJob.findMany({
+      where: stale,
+      select: { id: true, type: true, payload: true, attempts: true, maxAttempts: true, userId: true },
+    });
+
+    let recovered = 0;
+    for (const job of jobs) {
+      // Re-checked in the write, in case another worker got there first
+      if (await this.recordFailure(job, 'Worker stopped responding', undefined, stale)) recovered++;
+    }
+
+    if (recovered > 0) {
+      logger.warn(`Recovered ${recovered} stalled jobs`);
+    }
+  }
+
+  private notify(job: JobRecord, event: string, data: Record<string, unknown>) {
+    if (job.userId) {
+      notifyUser(job.userId, event, { jobId: job.id, type: job.type, ...data });
+    }
+  }
+
+  async getJob(jobId: string) {
+    const job = await prisma.backgroundJob.findUnique({ where: { id: jobId }, select: publicFields });
+    if (!job) {
+      throw new NotFoundError('Job');
+    }
+    return job;
+  }
+
+  /** Owners see their own jobs; admins see every job */
+  async getJobFor(jobId: string, userId: string, isAdmin: boolean) {
+    const job = await this.getJob(jobId);
+    if (!isAdmin && job.userId !== userId) {
+      throw new NotFoundError('Job');
+    }
+    return job;
+  }
+
+  async listJobs(filters: JobFilters = {}) {
+    const { status, type, userId, page = 1, limit = 50 } = filters;
+    const where = { status, type, userId };
+
+    const [jobs, total] = await Promise.all([
+      prisma.backgroundJob.findMany({
+        where,
+        select: publicFields,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.backgroundJob.count({ where }),
+    ]);
+
+    return { jobs, total, page, limit };
+  }
+
+  /** Run a failed or cancelled job again with a fresh set of attempts */
+  async retryJob(jobId: string) {
+    const job = await this.getJob(jobId);
+    if (!canRetryJob(job.status)) {
+      throw new ValidationError(`A ${job.status} job can't be retried`);
+    }
+
+    await prisma.backgroundJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        progress: 0,
+        error: null,
+        result: Prisma.DbNull,
+        scheduledAt: new Date(),
+        startedAt: null,
+        heartbeatAt: null,
+        completedAt: null,
+      },
+    });
+
+    return this.getJob(jobId);
+  }
+
+  /** A running job stops at its next progress report */
+  async cancelJob(jobId: string) {
+    const job = await this.getJob(jobId);
+    if (!canCancelJob(job.status)) {
+      throw new ValidationError(`A ${job.status} job can't be cancelled`);
+    }
+
+    // Conditional so a job that finishes in the meantime keeps its outcome
+    const { count } = await prisma.backgroundJob.updateMany({
+      where: { id: jobId, status: { in: ['pending', 'processing'] } },
+      data: { status: 'cancelled', completedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new ValidationError("A job that has finished can't be cancelled");
+    }
+
+    if (job.userId) {
+      notifyUser(job.userId, 'job:cancelled', { jobId, type: job.type });
+    }
+
+    return this.getJob(jobId);
+  }
+}
+
+export const jobService = new JobService();
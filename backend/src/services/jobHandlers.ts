@@ -0,0 +1,89 @@
+import { aiService, AIContext, AnalysisType } from './ai.service';
+import { emailService } from './email.service';
+import { exportService, ExportOptions } from './export.service';
+import { exportArtifactService } from './exportArtifact.service';
+import { jobService } from './job.service';
+import { jobProgress } from '../shared/jobs';
+import { BatchExportFormat } from '../shared/exportArtifacts';
+
+export interface AiAnalysisPayload {
+  userId: string;
+  calculationIds: string[];
+  analysisTypes: AnalysisType[];
+  context?: AIContext;
+}
+
+export interface ReportGenerationPayload {
+  userId: string;
+  calculationIds: string[];
+  format: BatchExportFormat;
+  options: ExportOptions;
+}
+
+export interface EmailNotificationPayload {
+  messageId: string;
+}
+
+/** What each job type carries in its payload */
+export interface JobPayloads {
+  ai_analysis: AiAnalysisPayload;
+  report_generation: ReportGenerationPayload;
+  email_notification: EmailNotificationPayload;
+}
+
+/** Wire each job type to the service that does the work */
+export function registerJobHandlers() {
+  jobService.registerHandler('email_notification', async (job) => {
+    const { messageId } = job.payload as unknown as EmailNotificationPayload;
+    return emailService.deliverQueued(messageId);
+  });
+
+  // One failed analysis doesn't fail the batch; it is reported in the results
+  jobService.registerHandler('ai_analysis', async (job, { reportProgress }) => {
+    const { calculationIds, analysisTypes, context } = job.payload as unknown as AiAnalysisPayload;
+    const total = calculationIds.length * analysisTypes.length;
+    const results = [];
+
+    for (const calculationId of calculationIds) {
+      for (const analysisType of analysisTypes) {
+        try {
+          const insights = await aiService.generateInsights(calculationId, analysisType, context);
+          results.push({ calculationId, analysisType, insights, success: true });
+        } catch (error) {
+          results.push({ calculationId, analysisType, success: false, error: (error as Error).message });
+        }
+        await reportProgress(jobProgress(results.length, total));
+      }
+    }
+
+    return {
+      results: JSON.parse(JSON.stringify(results)),
+      processed: results.length,
+      successful: results.filter((r) => r.success).length,
+    };
+  });
+
+  jobService.registerHandler('report_generation', async (job, { reportProgress }) => {
+    const { userId, calculationIds, format, options } = job.payload as unknown as ReportGenerationPayload;
+
+    const file = await exportService.batchExport(
+      calculationIds,
+      userId,
+      format,
+      options,
+      // The last step is storing the file, so exporting tops out just short of 100%
+      (done, total) => reportProgress(jobProgress(done, total + 1))
+    );
+
+    const artifact = await exportArtifactService.store(job.id, userId, calculationIds, format, file);
+    await reportProgress(100);
+
+    return {
+      artifactId: artifact.id,
+      format: artifact.format,
+      size: artifact.size,
+      calculationCount: calculationIds.length,
+      expiresAt: artifact.expiresAt.toISOString(),
+    };
+  });
+}
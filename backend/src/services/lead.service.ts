@@ -0,0 +1,230 @@
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import { NotFoundError, ValidationError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { emailService } from './email.service';
+import { toCsv } from '../shared/csv';
+import {
+  consentStatement,
+  LeadSource,
+  LeadStatus,
+  normalizeLeadEmail,
+  sanitizeLeadContext,
+} from '../shared/leads';
+
+const prisma = new PrismaClient();
+
+const CONFIRM_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+// Repeat captures inside this window don't send another confirmation email
+const CONFIRMATION_RESEND_MS = 10 * 60 * 1000;
+const EXPORT_BATCH_SIZE = 1000;
+
+interface LeadInput {
+  email: string;
+  source: LeadSource;
+  context?: unknown;
+  consentVersion: string;
+}
+
+interface CaptureContext {
+  userId?: string;
+  ipAddress?: string;
+  userAgent?: string;
+}
+
+interface LeadFilters {
+  status?: LeadStatus;
+  source?: LeadSource;
+  search?: string;
+  page?: number;
+  limit?: number;
+}
+
+const token = () => crypto.randomBytes(32).toString('hex');
+
+const whereFor = ({ status, source, search }: LeadFilters) => ({
+  status,
+  source,
+  email: search ? { contains: search.toLowerCase() } : undefined,
+});
+
+export class LeadService {
+  /**
+   * Record a capture. One lead per address; every submission is kept as a
+   * capture with its source, context and consent version. Unconfirmed and
+   * unsubscribed addresses are sent a confirmation link, at most once per
+   * resend window. The response never reveals whether the address was known.
+   */
+  async capture(input: LeadInput, context: CaptureContext = {}) {
+    try {
+      consentStatement(input.consentVersion);
+    } catch (error) {
+      throw new ValidationError((error as Error).message);
+    }
+
+    const email = normalizeLeadEmail(input.email);
+
+    const lead = await prisma.lead.upsert({
+      where: { email },
+      update: {},
+      create: {
+        email,
+        source: input.source,
+        userId: context.userId,
+        unsubscribeToken: token(),
+      },
+    });
+
+    await prisma.leadCapture.create({
+      data: {
+        leadId: lead.id,
+        source: input.source,
+        context: sanitizeLeadContext(input.context),
+        consentVersion: input.consentVersion,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent?.slice(0, 500),
+      },
+    });
+
+    const recentlySent = lead.confirmationSentAt &&
+      Date.now() - lead.confirmationSentAt.getTime() < CONFIRMATION_RESEND_MS;
+
+    if (lead.status !== 'CONFIRMED' && !recentlySent) {
+      await this.sendConfirmation(lead.id, email, lead.unsubscribeToken);
+    }
+  }
+
+  private async sendConfirmation(leadId: string, email: string, unsubscribeToken: string) {
+    const confirmToken = token();
+
+    // Stored first: a delivery that fails is retried from the outbox with this link
+    await prisma.lead.update({
+      where: { id: leadId },
+      data: {
+        confirmToken,
+        confirmTokenExpiry: new Date(Date.now() + CONFIRM_TOKEN_TTL_MS),
+        confirmationSentAt: new Date(),
+      },
+    });
+
+    await emailService.sendLeadConfirmationEmail(email, confirmToken, unsubscribeToken);
+  }
+
+  /** Second half of the double opt-in; also re-subscribes an address that had unsubscribed */
+  async confirm(confirmToken: string, ipAddress?: string) {
+    const lead = await prisma.lead.findUnique({ where: { confirmToken } });
+
+    if (!lead || !lead.confirmTokenExpiry || lead.confirmTokenExpiry < new Date()) {
+      throw new ValidationError('This confirmation link is invalid or has expired');
+    }
+
+    await prisma.lead.update({
+      where: { id: lead.id },
+      data: {
+        status: 'CONFIRMED',
+        confirmedAt: new Date(),
+        confirmIp: ipAddress,
+        confirmToken: null,
+        confirmTokenExpiry: null,
+        unsubscribedAt: null,
+      },
+    });
+
+    logger.info(`Lead confirmed: ${lead.email}`);
+
+    return { email: lead.email, status: 'CONFIRMED' as const };
+  }
+
+  /** Unsubscribe links keep working, so repeating one is harmless */
+  async unsubscribe(unsubscribeToken: string) {
+    const lead = await prisma.lead.findUnique({ where: { unsubscribeToken } });
+    if (!lead) {
+      throw new NotFoundError('Subscription');
+    }
+
+    if (lead.status !== 'UNSUBSCRIBED') {
+      await prisma.lead.update({
+        where: { id: lead.id },
+        data: {
+          status: 'UNSUBSCRIBED',
+          unsubscribedAt: new Date(),
+          // A confirmation link sent earlier must not undo this
+          confirmToken: null,
+          confirmTokenExpiry: null,
+        },
+      });
+    }
+
+    return { email: lead.email, status: 'UNSUBSCRIBED' as const };
+  }
+
+  async listLeads(filters: LeadFilters = {}) {
+    const { page = 1, limit = 50 } = filters;
+    const where = whereFor(filters);
+
+    const [leads, total] = await Promise.all([
+      prisma.lead.findMany({
+        where,
+        select: {
+          id: true,
+          email: true,
+          status: true,
+          source: true,
+          confirmedAt: true,
+          unsubscribedAt: true,
+          createdAt: true,
+          _count: { select: { captures: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.lead.count({ where }),
+    ]);
+
+    return { leads, total, page, limit };
+  }
+
+  /** Matching leads as CSV, one row per address with its latest capture */
+  async exportLeads(filters: LeadFilters = {}) {
+    const where = whereFor(filters);
+    const rows: Array<Array<string | number | null>> = [];
+
+    for (let skip = 0; ; skip += EXPORT_BATCH_SIZE) {
+      const batch = await prisma.lead.findMany({
+        where,
+        include: {
+          captures: { orderBy: { createdAt: 'desc' }, take: 1 },
+          _count: { select: { captures: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+        skip,
+        take: EXPORT_BATCH_SIZE,
+      });
+
+      for (const lead of batch) {
+        const [latest] = lead.captures;
+        rows.push([
+          lead.email,
+          lead.status,
+          lead.source,
+          latest?.source ?? null,
+          lead._count.captures,
+          latest?.consentVersion ?? null,
+          lead.createdAt.toISOString(),
+          lead.confirmedAt?.toISOString() ?? null,
+          lead.unsubscribedAt?.toISOString() ?? null,
+        ]);
+      }
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    return toCsv(
+      ['Email', 'Status', 'First Source', 'Latest Source', 'Captures', 'Consent Version', 'Captured At', 'Confirmed At', 'Unsubscribed At'],
+      rows
+    );
+  }
+}
+
+export const leadService = new LeadService();
@@ -1,5 +1,6 @@
 import PDFDocument from 'pdfkit';
 import { logger } from '../utils/logger';
+import { formatMoney } from '../shared/currency';
 
 export class PDFService {
   async generateCalculationPDF(calculation: any): Promise<Buffer> {
@@ -40,15 +41,18 @@ export class PDFService {
            .font('Helvetica');
         
         const inputs = calculation.inputs;
-        doc.text(`Current Price: $${inputs.currentPrice}`);
+        // Standard PDF fonts only cover Latin-1
+        const money = (value: number) => formatMoney(value, inputs.currency, { latinOnly: true });
+
+        doc.text(`Current Price: ${money(inputs.currentPrice)}`);
         doc.text(`Number of Customers: ${inputs.customers}`);
         doc.text(`Monthly Churn Rate: ${inputs.churnRate}%`);
         
         if (inputs.competitorPrice) {
-          doc.text(`Competitor Price: $${inputs.competitorPrice}`);
+          doc.text(`Competitor Price: ${money(inputs.competitorPrice)}`);
         }
         if (inputs.cac) {
-          doc.text(`Customer Acquisition Cost: $${inputs.cac}`);
+          doc.text(`Customer Acquisition Cost: ${money(inputs.cac)}`);
         }
         
         doc.moveDown();
@@ -66,10 +70,10 @@ export class PDFService {
           results.tiers.forEach((tier: any) => {
             doc.moveDown();
             doc.font('Helvetica-Bold')
-               .text(`${tier.name}: $${tier.price}/month`);
+               .text(`${tier.name}: ${money(tier.price)}/month`);
             doc.font('Helvetica')
                .text(`Target: ${tier.targetCustomers}`);
-            doc.text(`Projected Revenue: $${tier.projectedRevenue}`);
+            doc.text(`Projected Revenue: ${money(tier.projectedRevenue)}`);
             doc.text(`Confidence: ${tier.confidence}%`);
             
             if (tier.features && tier.features.length > 0) {
@@ -92,10 +96,10 @@ export class PDFService {
            .font('Helvetica');
         
         if (results.metrics) {
-          doc.text(`Monthly Recurring Revenue (MRR): $${results.metrics.mrr}`);
-          doc.text(`Annual Recurring Revenue (ARR): $${results.metrics.arr}`);
-          doc.text(`Customer Lifetime Value (LTV): $${results.metrics.ltv}`);
-          doc.text(`Customer Acquisition Cost (CAC): $${results.metrics.cac}`);
+          doc.text(`Monthly Recurring Revenue (MRR): ${money(results.metrics.mrr)}`);
+          doc.text(`Annual Recurring Revenue (ARR): ${money(results.metrics.arr)}`);
+          doc.text(`Customer Lifetime Value (LTV): ${money(results.metrics.ltv)}`);
+          doc.text(`Customer Acquisition Cost (CAC): ${money(results.metrics.cac)}`);
           doc.text(`LTV:CAC Ratio: ${results.metrics.ltvcac}`);
           doc.text(`Payback Period: ${results.metrics.paybackPeriod} months`);
         }
@@ -147,6 +151,10 @@ export class PDFService {
            .fillColor('#666666')
            .text('© 2025 SaaS Pricing Calculator - predictionnexus.com', { align: 'center' });
 
+        if (results.formulaVersion) {
+          doc.text(`Pricing formula v${results.formulaVersion}`, { align: 'center' });
+        }
+
         doc.end();
       } catch (error) {
         logger.error('PDF generation error:', error);
@@ -0,0 +1,360 @@
+import { Prisma, PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import { AppError, NotFoundError, ValidationError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { config } from '../config/secrets';
+import {
+  assertCommissionTransition,
+  assessReferralRisk,
+  attributionExpiresAt,
+  calculateCommission,
+  codeFromBytes,
+  commissionAvailableAt,
+  CommissionStatus,
+  isWithinAttributionWindow,
+  normalizeReferralCode,
+  REFERRAL_PROGRAM,
+} from '../shared/referrals';
+
+const prisma = new PrismaClient();
+
+const CODE_ATTEMPTS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+interface ClickContext {
+  ipAddress?: string;
+  userAgent?: string;
+}
+
+interface SignupAttribution {
+  /** Id returned when the visitor followed the referral link */
+  clickId?: string;
+  /** Code typed into the signup form */
+  code?: string;
+  ipAddress?: string;
+}
+
+interface PaidInvoice {
+  id: string;
+  userId: string;
+  amountPaid: number;
+  currency: string;
+  paidAt: Date;
+}
+
+interface CommissionUpdate {
+  status: Exclude<CommissionStatus, 'PENDING'>;
+  payoutReference?: string;
+  reason?: string;
+}
+
+interface CommissionFilters {
+  status?: CommissionStatus;
+  referrerId?: string;
+  page?: number;
+  limit?: number;
+}
+
+/** Tell referrers who signed up without giving away the whole address */
+const maskEmail = (email: string) => {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+};
+
+const isUniqueViolation = (error: unknown) =>
+  error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002';
+
+export class ReferralService {
+  /** The user's referral code, created on first use */
+  async getOrCreateCode(userId: string): Promise<string> {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { referralCode: true } });
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+      try {
+        const updated = await prisma.user.update({
+          where: { id: userId },
+          data: { referralCode: codeFromBytes(crypto.randomBytes(8)) },
+          select: { referralCode: true },
+        });
+        return updated.referralCode!;
+      } catch (error) {
+        if (!isUniqueViolation(error)) throw error;
+      }
+    }
+
+    throw new AppError('Could not allocate a referral code', 500);
+  }
+
+  /** Record a visit through a referral link; the click id attributes a signup within the window */
+  async recordClick(rawCode: string, context: ClickContext) {
+    const referrer = await this.findReferrer(rawCode);
+
+    const click = await prisma.referralClick.create({
+      data: {
+        code: referrer.referralCode!,
+        referrerId: referrer.id,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent?.slice(0, 500),
+      },
+    });
+
+    return {
+      clickId: click.id,
+      code: click.code,
+      discount: REFERRAL_PROGRAM.refereeDiscountCents,
+      expiresAt: attributionExpiresAt(click.createdAt),
+    };
+  }
+
+  /**
+   * Credit a new user to their referrer. A click inside the attribution
+   * window wins over a typed code. Self-referrals are recorded as rejected;
+   * other fraud flags leave the referral open but hold its commissions for
+   * an admin. Returns null when nothing could be attributed.
+   */
+  async attributeSignup(refereeId: string, attribution: SignupAttribution) {
+    const referee = await prisma.user.findUnique({ where: { id: refereeId } });
+    if (!referee) {
+      throw new NotFoundError('User');
+    }
+
+    let click = null;
+    if (attribution.clickId) {
+      const found = await prisma.referralClick.findUnique({ where: { id: attribution.clickId } });
+      if (found && isWithinAttributionWindow(found.createdAt)) {
+        click = found;
+      }
+    }
+
+    const code = click?.code ?? normalizeReferralCode(attribution.code);
+    if (!code) return null;
+
+    const referrer = await prisma.user.findUnique({ where: { referralCode: code } });
+    if (!referrer) return null;
+
+    const recentSignupsFromIp = attribution.ipAddress
+      ? await prisma.referral.count({
+          where: {
+            code,
+            signupIp: attribution.ipAddress,
+            createdAt: { gte: new Date(Date.now() - REFERRAL_PROGRAM.velocityWindowHours * HOUR_MS) },
+          },
+        })
+      : 0;
+
+    const risk = assessReferralRisk({
+      referrer: { userId: referrer.id, email: referrer.email, ipAddresses: [referrer.lastLoginIp] },
+      referee: { userId: referee.id, email: referee.email, ipAddresses: [attribution.ipAddress, click?.ipAddress] },
+      recentSignupsFromIp,
+    });
+
+    try {
+      const referral = await prisma.referral.create({
+        data: {
+          referrerId: referrer.id,
+          refereeId: referee.id,
+          code,
+          clickId: click?.id,
+          status: risk.blocked ? 'REJECTED' : 'SIGNED_UP',
+          fraudFlags: risk.flags,
+          signupIp: attribution.ipAddress,
+        },
+      });
+
+      if (risk.flags.length > 0) {
+        logger.warn(`Referral ${referral.id} flagged`, { code, flags: risk.flags });
+      }
+
+      return referral;
+    } catch (error) {
+      // Already attributed, or the click was used by another signup
+      if (isUniqueViolation(error)) return null;
+      throw error;
+    }
+  }
+
+  /** An open referral entitles the referee to the welcome discount on their first checkout */
+  async getCheckoutReferral(userId: string) {
+    return prisma.referral.findFirst({
+      where: { refereeId: userId, status: 'SIGNED_UP' },
+    });
+  }
+
+  /**
+   * Book the commission on a referee's first paid invoice. Invoices for
+   * nothing (trials) wait for the next one; replays of the same invoice are
+   * ignored.
+   */
+  async recordCommission(invoice: PaidInvoice) {
+    const referral = await prisma.referral.findUnique({ where: { refereeId: invoice.userId } });
+    if (!referral || referral.status !== 'SIGNED_UP') return null;
+
+    const amount = calculateCommission(invoice.amountPaid);
+    if (amount === 0) return null;
+
+    const existing = await prisma.referralCommission.findUnique({ where: { stripeInvoiceId: invoice.id } });
+    if (existing) return existing;
+
+    const [commission] = await prisma.$transaction([
+      prisma.referralCommission.create({
+        data: {
+          referralId: referral.id,
+          referrerId: referral.referrerId,
+          amount,
+          currency: invoice.currency,
+          stripeInvoiceId: invoice.id,
+          availableAt: commissionAvailableAt(invoice.paidAt),
+        },
+      }),
+      prisma.referral.update({
+        where: { id: referral.id },
+        data: { status: 'CONVERTED', convertedAt: invoice.paidAt },
+      }),
+    ]);
+
+    logger.info(`Referral commission booked for ${referral.referrerId}`, { amount, invoice: invoice.id });
+
+    return commission;
+  }
+
+  /** Void the commission on a refunded invoice unless it has already been paid out */
+  async rejectCommissionForInvoice(invoiceId: string, reason: string) {
+    const { count } = await prisma.referralCommission.updateMany({
+      where: { stripeInvoiceId: invoiceId, status: { in: ['PENDING', 'APPROVED'] } },
+      data: { status: 'REJECTED', rejectedReason: reason },
+    });
+
+    return count;
+  }
+
+  /** Approve pending commissions whose hold has ended; flagged referrals are left for an admin */
+  async approveDueCommissions(at: Date = new Date()) {
+    const { count } = await prisma.referralCommission.updateMany({
+      where: {
+        status: 'PENDING',
+        availableAt: { lte: at },
+        referral: { fraudFlags: { isEmpty: true } },
+      },
+      data: { status: 'APPROVED', approvedAt: at },
+    });
+
+    return { approved: count };
+  }
+
+  async updateCommission(id: string, update: CommissionUpdate) {
+    const commission = await prisma.referralCommission.findUnique({ where: { id } });
+    if (!commission) {
+      throw new NotFoundError('Commission');
+    }
+
+    try {
+      assertCommissionTransition(commission.status, update.status);
+    } catch (error) {
+      throw new ValidationError((error as Error).message);
+    }
+
+    const now = new Date();
+    const data: Record<string, unknown> = { status: update.status };
+    if (update.status === 'APPROVED') data.approvedAt = now;
+    if (update.status === 'PAID') {
+      data.paidAt = now;
+      data.payoutReference = update.payoutReference;
+    }
+    if (update.status === 'REJECTED') data.rejectedReason = update.reason;
+
+    return prisma.referralCommission.update({ where: { id }, data });
+  }
+
+  async listCommissions(filters: CommissionFilters = {}) {
+    const { status, referrerId, page = 1, limit = 50 } = filters;
+    const where = { status, referrerId };
+
+    const [commissions, total] = await Promise.all([
+      prisma.referralCommission.findMany({
+        where,
+        include: {
+          referrer: { select: { id: true, email: true, name: true } },
+          referral: { select: { code: true, fraudFlags: true, refereeId: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.referralCommission.count({ where }),
+    ]);
+
+    return { commissions, total, page, limit };
+  }
+
+  /** The referrer's code, funnel counts, earnings by ledger state and recent activity */
+  async getSummary(userId: string) {
+    const code = await this.getOrCreateCode(userId);
+
+    const [clicks, referrals, earnings, commissions] = await Promise.all([
+      prisma.referralClick.count({ where: { referrerId: userId } }),
+      prisma.referral.findMany({
+        where: { referrerId: userId },
+        include: { referee: { select: { email: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.referralCommission.groupBy({
+        by: ['status'],
+        where: { referrerId: userId },
+        _sum: { amount: true },
+      }),
+      prisma.referralCommission.findMany({
+        where: { referrerId: userId },
+        select: { id: true, amount: true, currency: true, status: true, availableAt: true, paidAt: true, createdAt: true },
+        orderBy: { createdAt: 'desc' },
+        take: 20,
+      }),
+    ]);
+
+    const earned = (status: CommissionStatus) =>
+      earnings.find(row => row.status === status)?._sum.amount ?? 0;
+
+    return {
+      code,
+      link: `${config.FRONTEND_URL}/?ref=${code}`,
+      program: REFERRAL_PROGRAM,
+      stats: {
+        clicks,
+        signups: referrals.filter(referral => referral.status !== 'REJECTED').length,
+        conversions: referrals.filter(referral => referral.status === 'CONVERTED').length,
+        pending: earned('PENDING'),
+        approved: earned('APPROVED'),
+        paid: earned('PAID'),
+      },
+      referrals: referrals.slice(0, 20).map(referral => ({
+        id: referral.id,
+        name: referral.referee.name?.split(' ')[0] ?? null,
+        email: maskEmail(referral.referee.email),
+        status: referral.status,
+        createdAt: referral.createdAt,
+        convertedAt: referral.convertedAt,
+      })),
+      commissions,
+    };
+  }
+
+  private async findReferrer(rawCode: string) {
+    const code = normalizeReferralCode(rawCode);
+    const referrer = code
+      ? await prisma.user.findUnique({ where: { referralCode: code } })
+      : null;
+
+    if (!referrer || !referrer.isActive) {
+      throw new NotFoundError('Referral code');
+    }
+
+    return referrer;
+  }
+}
+
+export const referralService = new ReferralService();
@@ -0,0 +1,256 @@
+import { PrismaClient } from '@prisma/client';
+import { NotFoundError, ValidationError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { TeamService } from './team.service';
+import { exportService } from './export.service';
+import { parsePricingInputs, PricingInputError, RawPricingInputs } from '../shared/pricingEngine';
+import {
+  compareScenarios,
+  SCENARIO_SET_SIZE,
+  ScenarioInput,
+  validateScenarioSelection,
+} from '../shared/scenarioSets';
+
+const prisma = new PrismaClient();
+const teamService = new TeamService();
+
+export type ScenarioSetExportFormat = 'pdf' | 'excel';
+
+interface ScenarioSetInput {
+  name: string;
+  description?: string;
+  teamId?: string;
+  calculationIds: string[];
+  /** Defaults to the first calculation */
+  baselineId?: string;
+}
+
+type ScenarioSetUpdate = Partial<Omit<ScenarioSetInput, 'teamId'>>;
+
+interface StoredScenarioSet {
+  id: string;
+  userId: string;
+  teamId: string | null;
+  name: string;
+  description: string | null;
+  baselineId: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+  scenarios: Array<{ position: number; calculation: { id: string; name: string; inputs: unknown } }>;
+}
+
+const accessibleTo = (userId: string) => ({
+  OR: [
+    { userId },
+    { team: { members: { some: { userId } } } }
+  ]
+});
+
+const withScenarios = {
+  scenarios: {
+    orderBy: { position: 'asc' as const },
+    include: { calculation: { select: { id: true, name: true, inputs: true } } },
+  },
+};
+
+export class ScenarioSetService {
+  async createSet(userId: string, input: ScenarioSetInput) {
+    const baselineId = input.baselineId ?? input.calculationIds[0];
+    this.validateSelection(input.calculationIds, baselineId);
+
+    if (input.teamId) {
+      await teamService.requireEditor(input.teamId, userId);
+    }
+    await this.requireCalculations(input.calculationIds, userId, input.teamId ?? null);
+
+    const set = await prisma.scenarioSet.create({
+      data: {
+        userId,
+        teamId: input.teamId,
+        name: input.name,
+        description: input.description,
+        baselineId,
+        scenarios: {
+          create: input.calculationIds.map((calculationId, position) => ({ calculationId, position })),
+        },
+      },
+      include: withScenarios,
+    });
+
+    logger.info(`Scenario set ${set.id} created by user ${userId}`);
+    return this.present(set);
+  }
+
+  async listSets(userId: string, teamId?: string) {
+    if (teamId) {
+      await teamService.requireRole(teamId, userId);
+    }
+
+    const sets = await prisma.scenarioSet.findMany({
+      where: teamId ? { teamId } : accessibleTo(userId),
+      orderBy: { updatedAt: 'desc' },
+      include: withScenarios,
+    });
+
+    return sets.map((set: StoredScenarioSet) => this.present(set));
+  }
+
+  /** The set, its scenarios and the full comparison */
+  async getSet(id: string, userId: string) {
+    const set = await this.findAccessible(id, userId);
+    return { ...this.present(set), comparison: this.compare(set) };
+  }
+
+  async updateSet(id: string, userId: string, updates: ScenarioSetUpdate) {
+    const set = await this.findAccessible(id, userId);
+    await this.requireEditor(set, userId);
+
+    const calculationIds = updates.calculationIds
+      ?? set.scenarios.map((scenario) => scenario.calculation.id);
+    const baselineId = updates.baselineId
+      ?? (set.baselineId && calculationIds.includes(set.baselineId) ? set.baselineId : calculationIds[0]);
+    this.validateSelection(calculationIds, baselineId);
+
+    if (updates.calculationIds) {
+      await this.requireCalculations(updates.calculationIds, userId, set.teamId);
+    }
+
+    const updated = await prisma.$transaction(async (tx: any) => {
+      if (updates.calculationIds) {
+        await tx.scenarioSetMember.deleteMany({ where: { setId: id } });
+        await tx.scenarioSetMember.createMany({
+          data: calculationIds.map((calculationId, position) => ({ setId: id, calculationId, position })),
+        });
+      }
+
+      return tx.scenarioSet.update({
+        where: { id },
+        data: {
+          name: updates.name,
+          description: updates.description,
+          baselineId,
+        },
+        include: withScenarios,
+      });
+    });
+
+    return { ...this.present(updated), comparison: this.compare(updated) };
+  }
+
+  async deleteSet(id: string, userId: string) {
+    const set = await this.findAccessible(id, userId);
+    await this.requireEditor(set, userId);
+
+    await prisma.scenarioSet.delete({ where: { id } });
+    logger.info(`Scenario set ${id} deleted by user ${userId}`);
+  }
+
+  async exportSet(id: string, userId: string, format: ScenarioSetExportFormat) {
+    const set = await this.findAccessible(id, userId);
+    const comparison = this.compare(set);
+
+    return {
+      file: await exportService.exportScenarioSet({ id: set.id, name: set.name }, comparison, userId, format),
+      filename: `scenario-set-${set.id}.${format === 'pdf' ? 'pdf' : 'xlsx'}`,
+      contentType: format === 'pdf'
+        ? 'application/pdf'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    };
+  }
+
+  private async findAccessible(id: string, userId: string): Promise<StoredScenarioSet> {
+    const set = await prisma.scenarioSet.findFirst({
+      where: { id, ...accessibleTo(userId) },
+      include: withScenarios,
+    });
+
+    if (!set) {
+      throw new NotFoundError('Scenario set');
+    }
+
+    return set;
+  }
+
+  /** Team members may view a team's sets; changing one takes the owner or an editor */
+  private async requireEditor(set: StoredScenarioSet, userId: string) {
+    if (set.userId !== userId) {
+      if (!set.teamId) throw new NotFoundError('Scenario set');
+      await teamService.requireEditor(set.teamId, userId);
+    }
+  }
+
+  /**
+   * A team set may only hold the team's calculations, so every member can
+   * see all of it; a personal set may hold any calculation the user can open
+   */
+  private async requireCalculations(ids: string[], userId: string, teamId: string | null) {
+    const found = await prisma.calculation.count({
+      where: { id: { in: ids }, ...(teamId ? { teamId } : accessibleTo(userId)) },
+    });
+
+    if (found !== ids.length) {
+      throw new NotFoundError('Calculation');
+    }
+  }
+
+  private validateSelection(ids: string[], baselineId: string) {
+    try {
+      validateScenarioSelection(ids, baselineId);
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  private compare(set: StoredScenarioSet) {
+    const scenarios: ScenarioInput[] = set.scenarios.map(({ calculation }) => {
+      try {
+        return {
+          id: calculation.id,
+          name: calculation.name,
+          inputs: parsePricingInputs(calculation.inputs as RawPricingInputs),
+        };
+      } catch (error) {
+        if (error instanceof PricingInputError) {
+          throw new ValidationError(`"${calculation.name}" has invalid inputs`, error.issues);
+        }
+        throw error;
+      }
+    });
+
+    // Deleting a calculation removes it from the set; the first scenario stands in for a deleted baseline
+    if (scenarios.length < SCENARIO_SET_SIZE.min) {
+      throw new ValidationError(`This scenario set needs at least ${SCENARIO_SET_SIZE.min} calculations to compare`);
+    }
+    const baselineId = set.baselineId && scenarios.some((scenario) => scenario.id === set.baselineId)
+      ? set.baselineId
+      : scenarios[0].id;
+
+    try {
+      return compareScenarios(scenarios, baselineId);
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  private present(set: StoredScenarioSet) {
+    return {
+      id: set.id,
+      name: set.name,
+      description: set.description,
+      teamId: set.teamId,
+      userId: set.userId,
+      baselineId: set.baselineId ?? set.scenarios[0]?.calculation.id ?? null,
+      scenarios: set.scenarios.map(({ calculation }) => ({ id: calculation.id, name: calculation.name })),
+      createdAt: set.createdAt,
+      updatedAt: set.updatedAt,
+    };
+  }
+}
+
+export const scenarioSetService = new ScenarioSetService();
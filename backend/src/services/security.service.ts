@@ -6,6 +6,9 @@ import { prisma } from '../server';
 import { redisClient } from '../config/redis';
 import { logger } from '../utils/logger';
 import { AppError } from '../utils/errors';
+import { getPlan } from '../shared/plans';
+import { FeatureFlagKey } from '../shared/systemConfig';
+import { systemConfigService } from './systemConfig.service';
 
 // Security event types
 type SecurityEventType = 
@@ -404,6 +407,7 @@ class SecurityService {
     requireAuth?: boolean;
     validateInput?: Joi.ObjectSchema;
     permissions?: string[];
+    featureFlag?: FeatureFlagKey;
   } = {}) {
     return async (req: Request, res: Response, next: NextFunction) => {
       try {
@@ -455,6 +459,14 @@ class SecurityService {
           req.tokenData = authResult.tokenData;
         }
 
+        // Operator kill switch
+        if (options.featureFlag && !(await systemConfigService.isEnabled(options.featureFlag, req.user?.id))) {
+          return res.status(503).json({
+            error: 'This feature is temporarily unavailable',
+            code: 'FEATURE_DISABLED'
+          });
+        }
+
         // Input validation
         if (options.validateInput) {
           const validation = this.validateInput(req.body, options.validateInput);
@@ -585,14 +597,15 @@ class SecurityService {
 
   private getUserPermissions(user: any): string[] {
     const permissions = ['read'];
-
-    if (user.subscription?.plan !== 'FREE') {
-      permissions.push('write', 'export');
-    }
-
-    if (['PROFESSIONAL', 'ENTERPRISE'].includes(user.subscription?.plan)) {
-      permissions.push('ai', 'collaboration', 'analytics');
-    }
+    // Ended subscriptions fall back to the Free plan
+    const plan = user.subscription?.status === 'CANCELLED' ? 'FREE' : user.subscription?.plan;
+    const { features } = getPlan(plan);
+
+    if (features.exports) permissions.push('write', 'export');
+    if (features.batchExport) permissions.push('batch-export');
+    if (features.ai) permissions.push('ai');
+    if (features.collaboration) permissions.push('collaboration');
+    if (features.advancedAnalytics) permissions.push('analytics');
 
     if (user.role === 'ADMIN' || user.role === 'SUPER_ADMIN') {
       permissions.push('admin');
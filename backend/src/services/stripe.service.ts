@@ -1,24 +1,56 @@
 import Stripe from 'stripe';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, SubscriptionStatus } from '@prisma/client';
 import { AppError } from '../utils/errors';
+import { logger } from '../utils/logger';
 import { config } from '../config/secrets';
-import { emailService } from './email.service';
+import { EmailService } from './email.service';
 import { analyticsService } from './analytics.service';
+import { experimentService } from './experiment.service';
+import { referralService } from './referral.service';
+import { formatMoney } from '../shared/currency';
+import { getPlan, PlanId } from '../shared/plans';
+import { REFERRAL_PROGRAM } from '../shared/referrals';
 
 const prisma = new PrismaClient();
+const emailService = new EmailService();
+
+// Fixed id so every instance applies the same one-off referral coupon
+const REFERRAL_COUPON_ID = 'referral-welcome';
+
+// STRIPE_API_BASE redirects every call to a local stripe-mock
+const stripeApiBase = config.STRIPE_API_BASE ? new URL(config.STRIPE_API_BASE) : null;
 const stripe = new Stripe(config.STRIPE_SECRET_KEY!, {
   apiVersion: '2023-10-16',
+  ...(stripeApiBase && {
+    host: stripeApiBase.hostname,
+    port: stripeApiBase.port,
+    protocol: stripeApiBase.protocol === 'http:' ? 'http' : 'https',
+  }),
 });
 
+export interface PlanChangePreview {
+  plan: PlanId;
+  /** Pass back to changeSubscriptionPlan so the charge matches the preview */
+  prorationDate: number;
+  /** Net proration for the rest of the current period, in major units */
+  prorationAmount: number;
+  /** Invoiced and charged as soon as the change is made */
+  amountDue: number;
+  currency: string;
+  nextPaymentAt: Date | null;
+}
+
 export class StripeService {
   /**
-   * Create Stripe checkout session
+   * Create Stripe checkout session. `anonymousId` is the visitor's
+   * experiment id, carried through so the purchase credits the variant they saw.
    */
   async createCheckoutSession(
     userId: string,
     planId: string,
     successUrl: string,
-    cancelUrl: string
+    cancelUrl: string,
+    anonymousId?: string
   ) {
     try {
       const user = await prisma.user.findUnique({
@@ -47,6 +79,12 @@ export class StripeService {
       // Get price based on plan
       const priceId = this.getPriceId(planId);
 
+      // Referred users get the welcome discount instead of entering a promotion code
+      const referral = await referralService.getCheckoutReferral(user.id);
+      const discountOptions = referral
+        ? { discounts: [{ coupon: await this.getReferralCouponId() }] }
+        : { allow_promotion_codes: true };
+
       // Create checkout session
       const session = await stripe.checkout.sessions.create({
         customer: customerId,
@@ -63,15 +101,16 @@ export class StripeService {
         metadata: {
           userId: user.id,
           planId: planId,
+          ...(anonymousId && { anonymousId }),
         },
         subscription_data: {
-          trial_period_days: planId === 'PROFESSIONAL' ? 14 : undefined,
+          trial_period_days: getPlan(planId).trialDays || undefined,
           metadata: {
             userId: user.id,
             planId: planId,
           },
         },
-        allow_promotion_codes: true,
+        ...discountOptions,
         billing_address_collection: 'required',
         customer_update: {
           address: 'auto',
@@ -79,10 +118,11 @@ export class StripeService {
       });
 
       // Track checkout initiated
-      await analyticsService.track('checkout_initiated', {
+      await this.track('checkout_initiated', {
         userId: user.id,
         planId: planId,
         sessionId: session.id,
+        referralId: referral?.id,
       });
 
       return {
@@ -90,15 +130,17 @@ export class StripeService {
         checkoutUrl: session.url,
       };
     } catch (error) {
-      console.error('Stripe checkout error:', error);
+      logger.error('Stripe checkout error:', error);
       throw new AppError('Failed to create checkout session', 500);
     }
   }
 
   /**
-   * Handle Stripe webhook events
+   * Handle Stripe webhook events. Stripe delivers at least once, so each
+   * event id is recorded once handled and redeliveries are skipped. Errors
+   * propagate so the webhook answers 5xx and Stripe retries the event.
    */
-  async handleWebhook(signature: string, payload: string) {
+  async handleWebhook(signature: string, payload: string | Buffer) {
     let event: Stripe.Event;
 
     try {
@@ -108,10 +150,16 @@ export class StripeService {
         config.STRIPE_WEBHOOK_SECRET!
       );
     } catch (error) {
-      console.error('Webhook signature verification failed:', error);
+      logger.warn('Webhook signature verification failed:', error);
       throw new AppError('Invalid webhook signature', 400);
     }
 
+    const processed = await prisma.stripeEvent.findUnique({ where: { id: event.id } });
+    if (processed) {
+      logger.info(`Skipping Stripe event ${event.id} (${event.type}), already processed`);
+      return { received: true };
+    }
+
     // Handle the event
     switch (event.type) {
       case 'checkout.session.completed':
@@ -142,13 +190,45 @@ export class StripeService {
         await this.handleTrialWillEnd(event.data.object as Stripe.Subscription);
         break;
 
+      case 'charge.refunded':
+        await this.handleChargeRefunded(event.data.object as Stripe.Charge);
+        break;
+
       default:
-        console.log(`Unhandled event type: ${event.type}`);
+        logger.info(`Unhandled Stripe event type: ${event.type}`);
     }
 
+    // Only recorded once handled; a delivery racing this one may already have
+    await prisma.stripeEvent.createMany({
+      data: [{ id: event.id, type: event.type }],
+      skipDuplicates: true,
+    });
+
     return { received: true };
   }
 
+  /**
+   * Mirror a Stripe subscription onto the user's subscription row, creating
+   * the row if this is the first event to arrive for them
+   */
+  private async syncSubscription(userId: string, subscription: Stripe.Subscription) {
+    const data = {
+      stripeSubscriptionId: subscription.id,
+      stripeCustomerId: subscription.customer as string,
+      plan: this.getPlanFromPriceId(subscription.items.data[0].price.id),
+      status: this.mapStripeStatus(subscription.status),
+      currentPeriodStart: new Date(subscription.current_period_start * 1000),
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    };
+
+    return prisma.subscription.upsert({
+      where: { userId },
+      update: data,
+      create: { userId, ...data },
+    });
+  }
+
   /**
    * Handle successful checkout
    */
@@ -156,115 +236,79 @@ export class StripeService {
     const userId = session.metadata?.userId;
     const planId = session.metadata?.planId;
 
-    if (!userId || !planId) {
-      console.error('Missing metadata in checkout session');
+    if (!userId || !planId || !session.subscription) {
+      logger.error(`Checkout session ${session.id} is missing its user, plan or subscription`);
       return;
     }
 
-    try {
-      // Update or create subscription record
-      await prisma.subscription.upsert({
-        where: { userId },
-        update: {
-          stripeSubscriptionId: session.subscription as string,
-          stripeCustomerId: session.customer as string,
-          plan: planId as any,
-          status: 'ACTIVE',
-          currentPeriodStart: new Date(),
-          currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        },
-        create: {
-          userId,
-          stripeSubscriptionId: session.subscription as string,
-          stripeCustomerId: session.customer as string,
-          plan: planId as any,
-          status: 'ACTIVE',
-          currentPeriodStart: new Date(),
-          currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        },
-      });
+    // The session only links the subscription; its status and period come from Stripe
+    const subscription = await stripe.subscriptions.retrieve(session.subscription as string);
+    await this.syncSubscription(userId, subscription);
 
-      // Send welcome email
-      const user = await prisma.user.findUnique({ where: { id: userId } });
-      if (user) {
-        await emailService.sendWelcomeEmail(user.email, user.name || 'Customer', planId);
-      }
+    // Send welcome email
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (user) {
+      await emailService.sendWelcomeEmail(user.email, user.name || 'Customer');
+    }
 
-      // Track conversion
-      await analyticsService.track('subscription_created', {
-        userId,
-        planId,
-        revenue: this.getPlanPrice(planId),
-      });
+    // Track conversion
+    await this.track('subscription_created', {
+      userId,
+      planId,
+      status: subscription.status,
+      revenue: this.getPlanPrice(planId),
+    });
 
-      console.log(`Subscription created for user ${userId} with plan ${planId}`);
-    } catch (error) {
-      console.error('Error handling checkout completion:', error);
-    }
+    // Credit any pricing experiment the buyer took part in, as the visitor who was assigned
+    const anonymousId = session.metadata?.anonymousId || undefined;
+    await experimentService.trackConversion('purchase', { userId, anonymousId }, this.getPlanPrice(planId));
+
+    logger.info(`Subscription created for user ${userId} with plan ${planId}`);
   }
 
   /**
-   * Handle subscription updates
+   * Handle subscription updates; plan changes land here once Stripe has applied them
    */
   private async handleSubscriptionUpdated(subscription: Stripe.Subscription) {
     const userId = subscription.metadata?.userId;
     
     if (!userId) return;
 
-    try {
-      const planId = this.getPlanFromPriceId(subscription.items.data[0].price.id);
-      
-      await prisma.subscription.update({
-        where: { stripeSubscriptionId: subscription.id },
-        data: {
-          plan: planId,
-          status: this.mapStripeStatus(subscription.status),
-          currentPeriodStart: new Date(subscription.current_period_start * 1000),
-          currentPeriodEnd: new Date(subscription.current_period_end * 1000),
-          cancelAtPeriodEnd: subscription.cancel_at_period_end,
-        },
-      });
+    const { plan } = await this.syncSubscription(userId, subscription);
 
-      // Track plan change
-      await analyticsService.track('subscription_updated', {
-        userId,
-        planId,
-        status: subscription.status,
-      });
-    } catch (error) {
-      console.error('Error updating subscription:', error);
-    }
+    // Track plan change
+    await this.track('subscription_updated', {
+      userId,
+      planId: plan,
+      status: subscription.status,
+    });
   }
 
   /**
    * Handle subscription deletion
    */
   private async handleSubscriptionDeleted(subscription: Stripe.Subscription) {
-    try {
-      await prisma.subscription.update({
-        where: { stripeSubscriptionId: subscription.id },
-        data: {
-          status: 'CANCELLED',
-          cancelAtPeriodEnd: false,
-        },
-      });
+    await prisma.subscription.update({
+      where: { stripeSubscriptionId: subscription.id },
+      data: {
+        status: 'CANCELLED',
+        cancelAtPeriodEnd: false,
+      },
+    });
 
-      const userId = subscription.metadata?.userId;
-      if (userId) {
-        // Send cancellation email
-        const user = await prisma.user.findUnique({ where: { id: userId } });
-        if (user) {
-          await emailService.sendCancellationEmail(user.email, user.name || 'Customer');
-        }
-
-        // Track churn
-        await analyticsService.track('subscription_cancelled', {
-          userId,
-          reason: subscription.cancellation_details?.reason || 'unknown',
-        });
+    const userId = subscription.metadata?.userId;
+    if (userId) {
+      // Send cancellation email
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+      if (user) {
+        await emailService.sendCancellationEmail(user.email, user.name || 'Customer');
       }
-    } catch (error) {
-      console.error('Error handling subscription deletion:', error);
+
+      // Track churn
+      await this.track('subscription_cancelled', {
+        userId,
+        reason: subscription.cancellation_details?.reason || 'unknown',
+      });
     }
   }
 
@@ -273,25 +317,30 @@ export class StripeService {
    */
   private async handlePaymentSucceeded(invoice: Stripe.Invoice) {
     const subscriptionId = invoice.subscription as string;
-    
-    try {
-      // Update subscription payment status
-      await prisma.subscription.update({
-        where: { stripeSubscriptionId: subscriptionId },
-        data: {
-          status: 'ACTIVE',
-        },
-      });
 
-      // Track payment
-      await analyticsService.track('payment_succeeded', {
-        subscriptionId,
-        amount: invoice.amount_paid / 100,
-        currency: invoice.currency,
-      });
-    } catch (error) {
-      console.error('Error handling payment success:', error);
-    }
+    // Update subscription payment status
+    const subscription = await prisma.subscription.update({
+      where: { stripeSubscriptionId: subscriptionId },
+      data: {
+        status: 'ACTIVE',
+      },
+    });
+
+    // The referee's first paid invoice earns their referrer a commission
+    await referralService.recordCommission({
+      id: invoice.id,
+      userId: subscription.userId,
+      amountPaid: invoice.amount_paid,
+      currency: invoice.currency,
+      paidAt: new Date((invoice.status_transitions.paid_at ?? invoice.created) * 1000),
+    });
+
+    // Track payment
+    await this.track('payment_succeeded', {
+      subscriptionId,
+      amount: invoice.amount_paid / 100,
+      currency: invoice.currency,
+    });
   }
 
   /**
@@ -299,36 +348,34 @@ export class StripeService {
    */
   private async handlePaymentFailed(invoice: Stripe.Invoice) {
     const customerId = invoice.customer as string;
-    
-    try {
-      const subscription = await prisma.subscription.findFirst({
-        where: { stripeCustomerId: customerId },
-        include: { user: true },
-      });
 
-      if (subscription) {
-        // Update status
-        await prisma.subscription.update({
-          where: { id: subscription.id },
-          data: {
-            status: 'PAST_DUE',
-          },
-        });
+    const subscription = await prisma.subscription.findFirst({
+      where: { stripeCustomerId: customerId },
+      include: { user: true },
+    });
 
-        // Send payment failed email
-        await emailService.sendPaymentFailedEmail(
-          subscription.user.email,
-          subscription.user.name || 'Customer'
-        );
+    if (subscription) {
+      // Update status
+      await prisma.subscription.update({
+        where: { id: subscription.id },
+        data: {
+          status: 'PAST_DUE',
+        },
+      });
 
-        // Track failed payment
-        await analyticsService.track('payment_failed', {
-          userId: subscription.userId,
-          amount: invoice.amount_due / 100,
-        });
-      }
-    } catch (error) {
-      console.error('Error handling payment failure:', error);
+      // Send payment failed email
+      await emailService.sendPaymentFailedEmail(
+        subscription.user.email,
+        subscription.user.name || 'Customer',
+        formatMoney(invoice.amount_due / 100, invoice.currency.toUpperCase()),
+        invoice.hosted_invoice_url
+      );
+
+      // Track failed payment
+      await this.track('payment_failed', {
+        userId: subscription.userId,
+        amount: invoice.amount_due / 100,
+      });
     }
   }
 
@@ -340,33 +387,47 @@ export class StripeService {
     
     if (!userId) return;
 
-    try {
-      const user = await prisma.user.findUnique({ where: { id: userId } });
-      if (user) {
-        // Send trial ending email
-        await emailService.sendTrialEndingEmail(
-          user.email,
-          user.name || 'Customer',
-          new Date(subscription.trial_end! * 1000)
-        );
-
-        // Track trial ending
-        await analyticsService.track('trial_ending', {
-          userId,
-          trialEndDate: new Date(subscription.trial_end! * 1000),
-        });
-      }
-    } catch (error) {
-      console.error('Error handling trial ending:', error);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (user) {
+      // Send trial ending email
+      await emailService.sendTrialEndingEmail(
+        user.email,
+        user.name || 'Customer',
+        new Date(subscription.trial_end! * 1000)
+      );
+
+      // Track trial ending
+      await this.track('trial_ending', {
+        userId,
+        trialEndDate: new Date(subscription.trial_end! * 1000),
+      });
+    }
+  }
+
+  /**
+   * Handle refunds: commissions on refunded invoices are voided
+   */
+  private async handleChargeRefunded(charge: Stripe.Charge) {
+    if (!charge.invoice) return;
+
+    const invoiceId = typeof charge.invoice === 'string' ? charge.invoice : charge.invoice.id;
+    const voided = await referralService.rejectCommissionForInvoice(invoiceId, 'Payment refunded');
+
+    if (voided > 0) {
+      await this.track('referral_commission_voided', { invoiceId, chargeId: charge.id });
     }
   }
 
   /**
-   * Handle subscription created
+   * Handle subscription created. This can arrive before checkout.session.completed,
+   * so the row is created here if checkout hasn't made it yet.
    */
   private async handleSubscriptionCreated(subscription: Stripe.Subscription) {
-    // Similar to checkout completed
-    await this.handleSubscriptionUpdated(subscription);
+    const userId = subscription.metadata?.userId;
+
+    if (!userId) return;
+
+    await this.syncSubscription(userId, subscription);
   }
 
   /**
@@ -391,11 +452,121 @@ export class StripeService {
         portalUrl: session.url,
       };
     } catch (error) {
-      console.error('Portal session error:', error);
+      logger.error('Portal session error:', error);
       throw new AppError('Failed to create portal session', 500);
     }
   }
 
+  /**
+   * Preview the next invoice if the subscription moved to another plan now
+   */
+  async previewPlanChange(stripeSubscriptionId: string, planId: PlanId): Promise<PlanChangePreview> {
+    const subscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const invoice = await stripe.invoices.retrieveUpcoming({
+      customer: subscription.customer as string,
+      subscription: subscription.id,
+      subscription_items: [{ id: subscription.items.data[0].id, price: this.getPriceId(planId) }],
+      subscription_proration_behavior: 'always_invoice',
+      subscription_proration_date: prorationDate,
+    });
+
+    const prorationAmount = invoice.lines.data
+      .filter(line => line.proration)
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    return {
+      plan: planId,
+      prorationDate,
+      prorationAmount: prorationAmount / 100,
+      amountDue: invoice.amount_due / 100,
+      currency: invoice.currency,
+      nextPaymentAt: invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null,
+    };
+  }
+
+  /**
+   * Move a subscription to another plan, invoicing the proration straight
+   * away. Stripe only applies the new price once that invoice is paid; a
+   * failed payment leaves the subscription on its old plan and throws. The
+   * local plan follows from the `customer.subscription.updated` webhook.
+   */
+  async changeSubscriptionPlan(stripeSubscriptionId: string, planId: PlanId, prorationDate?: number) {
+    const subscription = await stripe.subscriptions.retrieve(stripeSubscriptionId);
+
+    const updated = await stripe.subscriptions.update(stripeSubscriptionId, {
+      items: [{ id: subscription.items.data[0].id, price: this.getPriceId(planId) }],
+      proration_behavior: 'always_invoice',
+      proration_date: prorationDate,
+      payment_behavior: 'pending_if_incomplete',
+    });
+
+    if (updated.pending_update) {
+      throw new AppError(
+        `Payment for the ${getPlan(planId).name} plan didn't go through, so your plan hasn't changed`,
+        402,
+        'PAYMENT_FAILED'
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Schedule cancellation at the end of the period, or undo it
+   */
+  async setCancelAtPeriodEnd(stripeSubscriptionId: string, cancelAtPeriodEnd: boolean) {
+    return stripe.subscriptions.update(stripeSubscriptionId, {
+      cancel_at_period_end: cancelAtPeriodEnd,
+    });
+  }
+
+  /**
+   * List a customer's most recent invoices
+   */
+  async listInvoices(customerId: string, limit: number = 24) {
+    const invoices = await stripe.invoices.list({ customer: customerId, limit });
+
+    return invoices.data.map(invoice => ({
+      id: invoice.id,
+      number: invoice.number,
+      status: invoice.status,
+      amountDue: invoice.amount_due / 100,
+      amountPaid: invoice.amount_paid / 100,
+      currency: invoice.currency,
+      createdAt: new Date(invoice.created * 1000),
+      periodStart: new Date(invoice.period_start * 1000),
+      periodEnd: new Date(invoice.period_end * 1000),
+      hostedInvoiceUrl: invoice.hosted_invoice_url,
+      pdfUrl: invoice.invoice_pdf,
+    }));
+  }
+
+  /**
+   * Start collecting a new card for future invoices
+   */
+  async createPaymentMethodSetup(customerId: string) {
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      usage: 'off_session',
+    });
+
+    return { clientSecret: setupIntent.client_secret };
+  }
+
+  /**
+   * Record a billing event for analytics
+   */
+  private async track(eventType: string, eventData: Record<string, any>) {
+    await analyticsService.trackEvent({
+      userId: eventData.userId,
+      eventType,
+      eventData,
+    });
+  }
+
   /**
    * Get price ID from plan
    */
@@ -412,8 +583,8 @@ export class StripeService {
   /**
    * Get plan from price ID
    */
-  private getPlanFromPriceId(priceId: string): string {
-    const planMap: Record<string, string> = {
+  private getPlanFromPriceId(priceId: string): PlanId {
+    const planMap: Record<string, PlanId> = {
       [config.STRIPE_PRICE_ID_STARTER!]: 'STARTER',
       [config.STRIPE_PRICE_ID_PROFESSIONAL!]: 'PROFESSIONAL',
       [config.STRIPE_PRICE_ID_ENTERPRISE!]: 'ENTERPRISE',
@@ -422,6 +593,28 @@ export class StripeService {
     return planMap[priceId] || 'STARTER';
   }
 
+  /**
+   * Get or create the coupon that gives referred users their welcome discount
+   */
+  private async getReferralCouponId(): Promise<string> {
+    try {
+      const coupon = await stripe.coupons.retrieve(REFERRAL_COUPON_ID);
+      return coupon.id;
+    } catch (error) {
+      if ((error as Stripe.errors.StripeError).code !== 'resource_missing') throw error;
+    }
+
+    const coupon = await stripe.coupons.create({
+      id: REFERRAL_COUPON_ID,
+      name: 'Referral welcome discount',
+      amount_off: REFERRAL_PROGRAM.refereeDiscountCents,
+      currency: 'usd',
+      duration: 'once',
+    });
+
+    return coupon.id;
+  }
+
   /**
    * Get plan price
    */
@@ -438,18 +631,19 @@ export class StripeService {
   /**
    * Map Stripe status to our status
    */
-  private mapStripeStatus(stripeStatus: string): string {
-    const statusMap: Record<string, string> = {
+  private mapStripeStatus(stripeStatus: string): SubscriptionStatus {
+    const statusMap: Record<string, SubscriptionStatus> = {
       active: 'ACTIVE',
       past_due: 'PAST_DUE',
       canceled: 'CANCELLED',
-      incomplete: 'PENDING',
+      incomplete: 'PAST_DUE',
       incomplete_expired: 'CANCELLED',
       trialing: 'TRIALING',
       unpaid: 'PAST_DUE',
+      paused: 'PAUSED',
     };
 
-    return statusMap[stripeStatus] || 'PENDING';
+    return statusMap[stripeStatus] || 'PAST_DUE';
   }
 }
 
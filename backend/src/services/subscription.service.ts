@@ -0,0 +1,188 @@
+import { PrismaClient } from '@prisma/client';
+import { AppError, ConflictError, NotFoundError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { stripeService } from './stripe.service';
+import { systemConfigService } from './systemConfig.service';
+import { getPlan, PlanId, summarizeUsage, UNLIMITED } from '../shared/plans';
+
+const prisma = new PrismaClient();
+
+export class SubscriptionService {
+  /**
+   * The subscription record behind paid-plan actions
+   */
+  private async getBillableSubscription(userId: string) {
+    const subscription = await prisma.subscription.findUnique({ where: { userId } });
+
+    if (!subscription?.stripeSubscriptionId || !subscription.stripeCustomerId) {
+      throw new NotFoundError('Subscription');
+    }
+    if (subscription.status === 'CANCELLED') {
+      throw new AppError('This subscription has ended; start a new checkout instead', 400);
+    }
+
+    return subscription as typeof subscription & { stripeSubscriptionId: string; stripeCustomerId: string };
+  }
+
+  /**
+   * Refuse new subscribers once a plan reaches the cap set by an admin
+   */
+  private async assertPlanCapacity(planId: PlanId) {
+    if (planId === 'FREE') return;
+
+    const { maxUsersPerPlan } = await systemConfigService.getConfig();
+    const cap = maxUsersPerPlan[planId];
+    if (cap === UNLIMITED) return;
+
+    const subscribers = await prisma.subscription.count({
+      where: { plan: planId, status: { in: ['ACTIVE', 'TRIALING', 'PAST_DUE'] } },
+    });
+    if (subscribers >= cap) {
+      throw new AppError(`The ${getPlan(planId).name} plan is not accepting new subscribers right now`, 409, 'PLAN_AT_CAPACITY');
+    }
+  }
+
+  /**
+   * Billing period usage is measured over: the subscription's current period
+   * when there is one, otherwise the calendar month
+   */
+  private getUsagePeriod(subscription?: { currentPeriodStart: Date | null; currentPeriodEnd: Date | null } | null) {
+    if (subscription?.currentPeriodStart && subscription.currentPeriodEnd) {
+      return { start: subscription.currentPeriodStart, end: subscription.currentPeriodEnd };
+    }
+
+    const now = new Date();
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    };
+  }
+
+  async getCurrentSubscription(userId: string) {
+    const subscription = await prisma.subscription.findUnique({ where: { userId } });
+
+    // Ended subscriptions fall back to the Free plan
+    const plan = subscription && subscription.status !== 'CANCELLED' ? subscription.plan : 'FREE';
+
+    return {
+      subscription,
+      plan,
+      planDetails: getPlan(plan),
+    };
+  }
+
+  async getUsage(userId: string) {
+    const { subscription, plan } = await this.getCurrentSubscription(userId);
+    const period = this.getUsagePeriod(subscription);
+    const createdAt = { gte: period.start, lt: period.end };
+
+    const [calculations, ai, exports, batchExports] = await Promise.all([
+      prisma.calculation.count({ where: { userId, createdAt } }),
+      prisma.aiUsage.aggregate({
+        where: { userId, createdAt },
+        _sum: { cost: true },
+        _count: true,
+      }),
+      prisma.analyticsEvent.count({ where: { userId, eventType: 'user:export', createdAt } }),
+      prisma.analyticsEvent.count({ where: { userId, eventType: 'user:batch_export', createdAt } }),
+    ]);
+
+    return {
+      plan,
+      periodStart: period.start,
+      periodEnd: period.end,
+      aiRequests: ai._count,
+      usage: summarizeUsage(plan, {
+        calculations,
+        aiBudget: Math.round(Number(ai._sum.cost ?? 0) * 100) / 100,
+        exports,
+        batchExports,
+      }),
+    };
+  }
+
+  async createCheckout(userId: string, planId: PlanId, successUrl: string, cancelUrl: string, anonymousId?: string) {
+    const subscription = await prisma.subscription.findUnique({ where: { userId } });
+    if (subscription?.stripeSubscriptionId && subscription.status !== 'CANCELLED') {
+      throw new ConflictError('You already have a subscription; change plans instead');
+    }
+
+    await this.assertPlanCapacity(planId);
+
+    return stripeService.createCheckoutSession(userId, planId, successUrl, cancelUrl, anonymousId);
+  }
+
+  async previewPlanChange(userId: string, planId: PlanId) {
+    const subscription = await this.getBillableSubscription(userId);
+    if (subscription.plan === planId) {
+      throw new AppError(`You are already on the ${getPlan(planId).name} plan`, 400);
+    }
+
+    return stripeService.previewPlanChange(subscription.stripeSubscriptionId, planId);
+  }
+
+  async changePlan(userId: string, planId: PlanId, prorationDate?: number) {
+    const subscription = await this.getBillableSubscription(userId);
+    if (subscription.plan === planId) {
+      throw new AppError(`You are already on the ${getPlan(planId).name} plan`, 400);
+    }
+
+    await this.assertPlanCapacity(planId);
+    await stripeService.changeSubscriptionPlan(subscription.stripeSubscriptionId, planId, prorationDate);
+
+    // Paid for, but the plan and its entitlements only move when Stripe's
+    // customer.subscription.updated webhook arrives
+    logger.info(`User ${userId} is changing plan from ${subscription.plan} to ${planId}`);
+
+    return { ...subscription, pendingPlan: planId };
+  }
+
+  async cancelAtPeriodEnd(userId: string) {
+    const subscription = await this.getBillableSubscription(userId);
+    if (subscription.cancelAtPeriodEnd) {
+      return subscription;
+    }
+
+    await stripeService.setCancelAtPeriodEnd(subscription.stripeSubscriptionId, true);
+
+    logger.info(`User ${userId} scheduled cancellation of subscription ${subscription.id}`);
+
+    return prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { cancelAtPeriodEnd: true },
+    });
+  }
+
+  async resume(userId: string) {
+    const subscription = await this.getBillableSubscription(userId);
+    if (!subscription.cancelAtPeriodEnd) {
+      throw new AppError('This subscription is not scheduled to cancel', 400);
+    }
+
+    await stripeService.setCancelAtPeriodEnd(subscription.stripeSubscriptionId, false);
+
+    logger.info(`User ${userId} resumed subscription ${subscription.id}`);
+
+    return prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { cancelAtPeriodEnd: false },
+    });
+  }
+
+  async getInvoices(userId: string) {
+    const subscription = await prisma.subscription.findUnique({ where: { userId } });
+    if (!subscription?.stripeCustomerId) {
+      return [];
+    }
+
+    return stripeService.listInvoices(subscription.stripeCustomerId);
+  }
+
+  async createPaymentMethodSetup(userId: string) {
+    const subscription = await this.getBillableSubscription(userId);
+
+    return stripeService.createPaymentMethodSetup(subscription.stripeCustomerId);
+  }
+}
+
+export const subscriptionService = new SubscriptionService();
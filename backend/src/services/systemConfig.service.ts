@@ -0,0 +1,138 @@
+import { PrismaClient } from '@prisma/client';
+import { ValidationError } from '../utils/errors';
+import { logger } from '../utils/logger';
+import { cacheService } from './cache.service';
+import {
+  applyConfigPatch,
+  diffSettings,
+  evaluateFlags,
+  FeatureFlagKey,
+  fromSettings,
+  isFlagEnabled,
+  SystemConfig,
+  SystemConfigPatch,
+} from '../shared/systemConfig';
+
+const prisma = new PrismaClient();
+
+const CACHE_KEY = 'system';
+const CACHE_NAMESPACE = 'config';
+// Other instances pick up a change within this many seconds
+const CACHE_TTL_SECONDS = 30;
+
+export class SystemConfigService {
+  private async loadConfig(): Promise<SystemConfig> {
+    const rows = await prisma.systemSetting.findMany();
+    return fromSettings(Object.fromEntries(rows.map(row => [row.key, row.value])));
+  }
+
+  async getConfig(): Promise<SystemConfig> {
+    return cacheService.getOrSet(CACHE_KEY, () => this.loadConfig(), {
+      namespace: CACHE_NAMESPACE,
+      ttl: CACHE_TTL_SECONDS,
+    });
+  }
+
+  /**
+   * Apply an admin's changes and record one audit entry per changed setting
+   */
+  async updateConfig(adminId: string, patch: SystemConfigPatch, reason?: string) {
+    // Bypass the cache so an edit never starts from a stale copy
+    const current = await this.loadConfig();
+
+    let next: SystemConfig;
+    try {
+      next = applyConfigPatch(current, patch);
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+
+    const changes = diffSettings(current, next);
+
+    if (changes.length > 0) {
+      await prisma.$transaction(
+        changes.flatMap(change => [
+          prisma.systemSetting.upsert({
+            where: { key: change.key },
+            create: { key: change.key, value: change.newValue as any, updatedById: adminId },
+            update: { value: change.newValue as any, updatedById: adminId },
+          }),
+          prisma.systemSettingChange.create({
+            data: {
+              key: change.key,
+              previousValue: change.previousValue as any,
+              newValue: change.newValue as any,
+              changedById: adminId,
+              reason,
+            },
+          }),
+        ])
+      );
+
+      logger.info(`Admin ${adminId} changed system settings: ${changes.map(change => change.key).join(', ')}`);
+    }
+
+    await cacheService.del(CACHE_KEY, CACHE_NAMESPACE);
+
+    return { config: next, changes };
+  }
+
+  async getHistory(options: { key?: string; limit?: number } = {}) {
+    return prisma.systemSettingChange.findMany({
+      where: options.key ? { key: options.key } : {},
+      orderBy: { createdAt: 'desc' },
+      take: options.limit ?? 50,
+      include: {
+        changedBy: {
+          select: { id: true, email: true, name: true },
+        },
+      },
+    });
+  }
+
+  /**
+   * Evaluate a flag for a user. The plan is only looked up when the flag is
+   * limited to certain plans.
+   */
+  async isEnabled(key: FeatureFlagKey, userId?: string): Promise<boolean> {
+    const config = await this.getConfig();
+    const plan = config.featureFlags[key].plans.length > 0 && userId
+      ? await this.getPlanId(userId)
+      : undefined;
+
+    return isFlagEnabled(config, key, { userId, plan });
+  }
+
+  /**
+   * What the app needs before sign-in and on every load: maintenance state,
+   * whether sign-ups are open and the flags as they apply to this user
+   */
+  async getClientConfig(userId?: string) {
+    const config = await this.getConfig();
+    const plan = userId ? await this.getPlanId(userId) : undefined;
+
+    return {
+      maintenance: {
+        enabled: config.maintenanceMode,
+        message: config.maintenanceMessage,
+      },
+      registrationEnabled: config.registrationEnabled,
+      featureFlags: evaluateFlags(config, { userId, plan }),
+    };
+  }
+
+  private async getPlanId(userId: string): Promise<string> {
+    const subscription = await prisma.subscription.findUnique({
+      where: { userId },
+      select: { plan: true, status: true },
+    });
+
+    // Ended subscriptions fall back to the Free plan
+    return subscription && subscription.status !== 'CANCELLED' ? subscription.plan : 'FREE';
+  }
+}
+
+export const systemConfigService = new SystemConfigService();
@@ -0,0 +1,380 @@
+import { Prisma, PrismaClient, TeamPlan, TeamRole } from '@prisma/client';
+import crypto from 'crypto';
+import {
+  AppError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+} from '../utils/errors';
+import { EmailService } from './email.service';
+import { subscriptionService } from './subscription.service';
+import { logger } from '../utils/logger';
+import { getPlan, PlanId } from '../shared/plans';
+
+const prisma = new PrismaClient();
+const emailService = new EmailService();
+
+const INVITATION_TTL_DAYS = 7;
+
+// Roles allowed to edit the team, invite people and manage members
+const MANAGER_ROLES: TeamRole[] = ['OWNER', 'ADMIN'];
+// Roles allowed to add calculations to the team
+const EDITOR_ROLES: TeamRole[] = ['OWNER', 'ADMIN', 'MEMBER'];
+
+// Team tier for each subscription plan that includes team workspaces
+const TEAM_PLANS: Partial<Record<PlanId, TeamPlan>> = {
+  PROFESSIONAL: 'TEAM',
+  ENTERPRISE: 'ENTERPRISE',
+};
+
+interface CreateTeamData {
+  name: string;
+}
+
+interface UpdateTeamData {
+  name?: string;
+}
+
+const memberSelect = {
+  userId: true,
+  role: true,
+  joinedAt: true,
+  user: {
+    select: { id: true, email: true, name: true },
+  },
+};
+
+const invitationSelect = {
+  id: true,
+  teamId: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+};
+
+export class TeamService {
+  /**
+   * Return the caller's membership, failing when they are not on the team
+   * or their role is not one of `roles`
+   */
+  async requireRole(teamId: string, userId: string, roles?: TeamRole[]) {
+    const membership = await prisma.teamMember.findUnique({
+      where: { teamId_userId: { teamId, userId } },
+    });
+
+    if (!membership) {
+      throw new NotFoundError('Team');
+    }
+    if (roles && !roles.includes(membership.role)) {
+      throw new AuthorizationError('Your team role does not allow this action');
+    }
+
+    return membership;
+  }
+
+  /** Members plus unexpired invitations, since a pending invite holds a seat */
+  private async seatsTaken(teamId: string, excludeEmail?: string) {
+    const [members, pendingInvitations] = await Promise.all([
+      prisma.teamMember.count({ where: { teamId } }),
+      prisma.teamInvitation.count({
+        where: {
+          teamId,
+          acceptedAt: null,
+          expiresAt: { gt: new Date() },
+          ...(excludeEmail && { NOT: { email: excludeEmail } }),
+        },
+      }),
+    ]);
+
+    return members + pendingInvitations;
+  }
+
+  async getTeams(userId: string) {
+    const memberships = await prisma.teamMember.findMany({
+      where: { userId },
+      orderBy: { joinedAt: 'asc' },
+      include: {
+        team: {
+          include: { _count: { select: { members: true } } },
+        },
+      },
+    });
+
+    return memberships.map(({ team, role }) => {
+      const { _count, ...rest } = team;
+      return { ...rest, role, memberCount: _count.members };
+    });
+  }
+
+  async getTeam(teamId: string, userId: string) {
+    const { role } = await this.requireRole(teamId, userId);
+
+    const team = await prisma.team.findUnique({
+      where: { id: teamId },
+      include: { _count: { select: { members: true } } },
+    });
+
+    if (!team) {
+      throw new NotFoundError('Team');
+    }
+
+    const { _count, ...rest } = team;
+    return { ...rest, role, memberCount: _count.members };
+  }
+
+  async createTeam(userId: string, data: CreateTeamData) {
+    // The team's tier and seats follow the creator's subscription, not the request
+    const { plan } = await subscriptionService.getCurrentSubscription(userId);
+
+    const team = await prisma.team.create({
+      data: {
+        name: data.name,
+        plan: TEAM_PLANS[plan as PlanId] ?? 'TEAM',
+        seatsLimit: getPlan(plan).limits.teamSeats,
+        ownerId: userId,
+        members: {
+          create: { userId, role: 'OWNER' },
+        },
+      },
+    });
+
+    logger.info(`Team ${team.id} created by user ${userId}`);
+
+    return { ...team, role: 'OWNER' as TeamRole, memberCount: 1 };
+  }
+
+  async updateTeam(teamId: string, userId: string, data: UpdateTeamData) {
+    const { role } = await this.requireRole(teamId, userId, MANAGER_ROLES);
+
+    const team = await prisma.team.update({
+      where: { id: teamId },
+      data,
+      include: { _count: { select: { members: true } } },
+    });
+
+    const { _count, ...rest } = team;
+    return { ...rest, role, memberCount: _count.members };
+  }
+
+  async deleteTeam(teamId: string, userId: string) {
+    await this.requireRole(teamId, userId, ['OWNER']);
+
+    // Calculations stay with their authors; only the team link goes
+    await prisma.$transaction([
+      prisma.calculation.updateMany({ where: { teamId }, data: { teamId: null } }),
+      prisma.teamMember.deleteMany({ where: { teamId } }),
+      prisma.team.delete({ where: { id: teamId } }),
+    ]);
+
+    logger.info(`Team ${teamId} deleted by user ${userId}`);
+  }
+
+  async getMembers(teamId: string, userId: string) {
+    const { role } = await this.requireRole(teamId, userId);
+
+    const members = await prisma.teamMember.findMany({
+      where: { teamId },
+      orderBy: { joinedAt: 'asc' },
+      select: memberSelect,
+    });
+
+    // Only managers see who has been invited
+    const invitations = MANAGER_ROLES.includes(role)
+      ? await prisma.teamInvitation.findMany({
+          where: { teamId, acceptedAt: null, expiresAt: { gt: new Date() } },
+          orderBy: { createdAt: 'desc' },
+          select: invitationSelect,
+        })
+      : [];
+
+    return { members, invitations };
+  }
+
+  async inviteMember(teamId: string, inviterId: string, email: string, role: TeamRole = 'MEMBER') {
+    const inviter = await this.requireRole(teamId, inviterId, MANAGER_ROLES);
+    if (role === 'OWNER') {
+      throw new AppError('A team can only have one owner', 400);
+    }
+    if (role === 'ADMIN' && inviter.role !== 'OWNER') {
+      throw new AuthorizationError('Only the team owner can invite admins');
+    }
+
+    const normalizedEmail = email.toLowerCase();
+    const team = await prisma.team.findUnique({ where: { id: teamId } });
+    if (!team) {
+      throw new NotFoundError('Team');
+    }
+
+    const existingMember = await prisma.teamMember.findFirst({
+      where: { teamId, user: { email: normalizedEmail } },
+    });
+    if (existingMember) {
+      throw new ConflictError('This person is already a member of the team');
+    }
+
+    // Re-inviting replaces the earlier invitation rather than taking another seat
+    if (await this.seatsTaken(teamId, normalizedEmail) >= team.seatsLimit) {
+      throw new AppError(`All ${team.seatsLimit} seats on this team are taken`, 403, 'SEAT_LIMIT_REACHED');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const [, invitation] = await prisma.$transaction([
+      prisma.teamInvitation.deleteMany({
+        where: { teamId, email: normalizedEmail, acceptedAt: null },
+      }),
+      prisma.teamInvitation.create({
+        data: { teamId, email: normalizedEmail, role, token, invitedById: inviterId, expiresAt },
+        select: invitationSelect,
+      }),
+    ]);
+
+    const sender = await prisma.user.findUnique({ where: { id: inviterId } });
+    try {
+      await emailService.sendTeamInviteEmail(
+        normalizedEmail,
+        team.name,
+        sender?.name || sender?.email || 'A teammate',
+        token
+      );
+    } catch (error) {
+      // The invitation stays valid; inviting again resends the email
+      logger.error(`Failed to send team invitation ${invitation.id}:`, error);
+    }
+
+    logger.info(`User ${inviterId} invited ${normalizedEmail} to team ${teamId} as ${role}`);
+
+    return invitation;
+  }
+
+  async acceptInvitation(token: string, userId: string) {
+    const invitation = await prisma.teamInvitation.findUnique({
+      where: { token },
+      include: { team: true },
+    });
+
+    if (!invitation || invitation.acceptedAt) {
+      throw new NotFoundError('Invitation');
+    }
+    if (invitation.expiresAt < new Date()) {
+      throw new AppError('This invitation has expired', 410, 'INVITATION_EXPIRED');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.email.toLowerCase() !== invitation.email) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+
+    await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      // Locking the team row makes concurrent accepts take turns, so two
+      // can't both see the last free seat
+      await tx.$queryRaw`SELECT id FROM teams WHERE id = ${invitation.teamId} FOR UPDATE`;
+
+      const existingMember = await tx.teamMember.findUnique({
+        where: { teamId_userId: { teamId: invitation.teamId, userId } },
+      });
+      if (existingMember) {
+        throw new ConflictError('You are already a member of this team');
+      }
+
+      // The invitation's own seat is counted as pending, so check members alone
+      const members = await tx.teamMember.count({ where: { teamId: invitation.teamId } });
+      if (members >= invitation.team.seatsLimit) {
+        throw new AppError('This team has no seats left', 403, 'SEAT_LIMIT_REACHED');
+      }
+
+      // Conditional, so the same invitation can't be accepted twice at once
+      const { count } = await tx.teamInvitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+      if (count === 0) {
+        throw new NotFoundError('Invitation');
+      }
+
+      await tx.teamMember.create({
+        data: { teamId: invitation.teamId, userId, role: invitation.role },
+      });
+    });
+
+    logger.info(`User ${userId} joined team ${invitation.teamId}`);
+
+    return this.getTeam(invitation.teamId, userId);
+  }
+
+  async updateMemberRole(teamId: string, actorId: string, memberId: string, role: TeamRole) {
+    const actor = await this.requireRole(teamId, actorId, MANAGER_ROLES);
+    const member = await prisma.teamMember.findUnique({
+      where: { teamId_userId: { teamId, userId: memberId } },
+    });
+
+    if (!member) {
+      throw new NotFoundError('Team member');
+    }
+    if (member.role === 'OWNER' || role === 'OWNER') {
+      throw new AuthorizationError('Team ownership cannot be changed through member roles');
+    }
+    if (actor.role !== 'OWNER' && (member.role === 'ADMIN' || role === 'ADMIN')) {
+      throw new AuthorizationError('Only the team owner can grant or revoke admin access');
+    }
+
+    return prisma.teamMember.update({
+      where: { teamId_userId: { teamId, userId: memberId } },
+      data: { role },
+      select: memberSelect,
+    });
+  }
+
+  async removeMember(teamId: string, actorId: string, memberId: string) {
+    const member = await prisma.teamMember.findUnique({
+      where: { teamId_userId: { teamId, userId: memberId } },
+    });
+
+    if (member?.role === 'OWNER') {
+      throw new AuthorizationError('The team owner cannot be removed');
+    }
+
+    // Anyone may leave; removing someone else needs a manager
+    if (memberId !== actorId) {
+      const actor = await this.requireRole(teamId, actorId, MANAGER_ROLES);
+      if (member && actor.role !== 'OWNER' && member.role === 'ADMIN') {
+        throw new AuthorizationError('Only the team owner can remove admins');
+      }
+    }
+
+    if (!member) {
+      throw new NotFoundError('Team member');
+    }
+
+    await prisma.teamMember.delete({
+      where: { teamId_userId: { teamId, userId: memberId } },
+    });
+
+    logger.info(`User ${memberId} removed from team ${teamId} by user ${actorId}`);
+  }
+
+  async getCalculations(teamId: string, userId: string) {
+    await this.requireRole(teamId, userId);
+
+    return prisma.calculation.findMany({
+      where: { teamId },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        name: true,
+        createdAt: true,
+        updatedAt: true,
+        isPublic: true,
+        results: true,
+        user: { select: { id: true, name: true, email: true } },
+      },
+    });
+  }
+
+  /** Fail unless the user may add calculations to the team */
+  async requireEditor(teamId: string, userId: string) {
+    return this.requireRole(teamId, userId, EDITOR_ROLES);
+  }
+}
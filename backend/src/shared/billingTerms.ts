@@ -0,0 +1,141 @@
+/**
+ * Billing Term Simulator
+ * Compares annual-prepay discounts by following one cohort of sign-ups
+ * split between monthly and annual billing. A deeper discount moves more of
+ * the cohort onto annual terms, which brings cash forward and usually
+ * lowers churn, but gives up part of every annual payment.
+ *
+ * Monthly customers pay at the start of each month and churn monthly;
+ * annual customers prepay twelve months and can only leave at renewal,
+ * renewing at the same discount. Cash is discounted monthly at the cost of
+ * capital to give each level's NPV.
+ */
+
+import { MAX_CUSTOMER_LIFETIME_MONTHS, round } from './pricingEngine';
+
+export interface DiscountLevel {
+  /** Discount on twelve months of the monthly price, in percent */
+  discount: number;
+  /** Share of sign-ups expected to choose annual billing at this discount, in percent */
+  annualShare: number;
+}
+
+export interface BillingTermOptions {
+  /** Monthly list price */
+  price: number;
+  /** Sign-ups in the simulated cohort */
+  customers: number;
+  levels: DiscountLevel[];
+  /** Monthly churn of monthly-billed customers, in percent */
+  monthlyChurn: number;
+  /** Share of annual customers who don't renew, in percent */
+  annualChurn: number;
+  /** Annual cost of capital for NPV, in percent */
+  discountRate?: number;
+  horizonMonths?: number;
+}
+
+export interface BillingTermResult extends DiscountLevel {
+  /** Cash in the first month: annual prepayments plus first monthly payments */
+  upfrontCash: number;
+  /** Prepaid revenue not yet earned at the end of the first month */
+  deferredRevenue: number;
+  firstYearCash: number;
+  /** Annualised recurring revenue of the cohort at sign-up */
+  effectiveArr: number;
+  /** Lifetime revenue per sign-up, blended across both terms */
+  ltv: number;
+  /** Present value of the cohort's cash over the horizon */
+  npv: number;
+}
+
+export interface BillingTermAnalysis {
+  levels: BillingTermResult[];
+  recommended: BillingTermResult;
+}
+
+export const BILLING_TERM_DEFAULTS = {
+  discountRate: 10,
+  horizonMonths: 36,
+};
+
+function validate(options: BillingTermOptions): void {
+  if (!(options.price > 0) || !(options.customers > 0)) {
+    throw new RangeError('Billing simulation needs a positive price and cohort size');
+  }
+  if (options.levels.length === 0) {
+    throw new RangeError('At least one discount level is needed');
+  }
+  for (const level of options.levels) {
+    if (level.discount < 0 || level.discount >= 100) {
+      throw new RangeError('Discounts must be at least 0% and below 100%');
+    }
+    if (level.annualShare < 0 || level.annualShare > 100) {
+      throw new RangeError('Annual uptake must be between 0% and 100%');
+    }
+  }
+  for (const churn of [options.monthlyChurn, options.annualChurn]) {
+    if (churn < 0 || churn > 100) {
+      throw new RangeError('Churn must be between 0% and 100%');
+    }
+  }
+}
+
+/** Revenue per customer until churn, capped like the engine's customer lifetime */
+function lifetimeRevenue(payment: number, churn: number, maxPayments: number): number {
+  if (churn === 0) return payment * maxPayments;
+  // Geometric sum of payments, truncated at the cap
+  return payment * (1 - (1 - churn) ** maxPayments) / churn;
+}
+
+function simulateLevel(options: BillingTermOptions, level: DiscountLevel): BillingTermResult {
+  const { price, customers } = options;
+  const horizon = options.horizonMonths ?? BILLING_TERM_DEFAULTS.horizonMonths;
+  const monthlyRate = (1 + (options.discountRate ?? BILLING_TERM_DEFAULTS.discountRate) / 100) ** (1 / 12) - 1;
+  const monthlyChurn = options.monthlyChurn / 100;
+  const annualChurn = options.annualChurn / 100;
+
+  const annualCustomers = customers * (level.annualShare / 100);
+  const monthlyCustomers = customers - annualCustomers;
+  const annualPayment = 12 * price * (1 - level.discount / 100);
+
+  let npv = 0;
+  let firstYearCash = 0;
+  for (let month = 0; month < horizon; month++) {
+    const monthlyCash = monthlyCustomers * (1 - monthlyChurn) ** month * price;
+    const annualCash = month % 12 === 0
+      ? annualCustomers * (1 - annualChurn) ** (month / 12) * annualPayment
+      : 0;
+
+    npv += (monthlyCash + annualCash) / (1 + monthlyRate) ** month;
+    if (month < 12) firstYearCash += monthlyCash + annualCash;
+  }
+
+  const ltv = (
+    monthlyCustomers * lifetimeRevenue(price, monthlyChurn, MAX_CUSTOMER_LIFETIME_MONTHS) +
+    annualCustomers * lifetimeRevenue(annualPayment, annualChurn, MAX_CUSTOMER_LIFETIME_MONTHS / 12)
+  ) / customers;
+
+  return {
+    ...level,
+    upfrontCash: round(annualCustomers * annualPayment + monthlyCustomers * price),
+    deferredRevenue: round(annualCustomers * annualPayment * (11 / 12)),
+    firstYearCash: round(firstYearCash),
+    effectiveArr: round(annualCustomers * annualPayment + monthlyCustomers * price * 12),
+    ltv: round(ltv),
+    npv: round(npv),
+  };
+}
+
+/** Simulate every discount level and recommend the one with the highest NPV */
+export function analyzeBillingTerms(options: BillingTermOptions): BillingTermAnalysis {
+  validate(options);
+
+  const levels = [...options.levels]
+    .sort((a, b) => a.discount - b.discount)
+    .map(level => simulateLevel(options, level));
+
+  const recommended = levels.reduce((best, level) => (level.npv > best.npv ? level : best));
+
+  return { levels, recommended };
+}
@@ -0,0 +1,164 @@
+/**
+ * Calculation Versions
+ * Field-level diffs and the change timeline for a saved calculation.
+ *
+ * `Calculation` holds the current state at `version`. Each
+ * `CalculationVersion` row is a snapshot of an earlier state, written at the
+ * moment it was replaced, so its `changedById` and `changeNote` describe the
+ * change away from that snapshot: who made the next version, and why.
+ *
+ * Framework-free, like the pricing engine, so the Dashboard can label
+ * fields the same way.
+ */
+
+import { PRICING_INPUT_SCHEMA, PricingInputField } from './pricingEngine';
+
+export interface VersionState {
+  version: number;
+  inputs: Record<string, unknown>;
+  results: Record<string, unknown>;
+}
+
+export interface VersionSnapshot extends VersionState {
+  changedById: string;
+  changeNote: string | null;
+  createdAt: Date;
+}
+
+export interface CurrentVersion extends VersionState {
+  /** The calculation's owner, credited with version 1 */
+  userId: string;
+  createdAt: Date;
+}
+
+type FieldValue = number | string | boolean | null;
+
+export interface FieldChange {
+  field: string;
+  label: string;
+  from: FieldValue;
+  to: FieldValue;
+  /** `to - from` when both are numbers */
+  delta: number | null;
+  /** Relative to `from`, in percent; null when `from` is zero or not a number */
+  percentChange: number | null;
+}
+
+export interface VersionDiff {
+  from: number;
+  to: number;
+  inputs: FieldChange[];
+  metrics: FieldChange[];
+}
+
+export interface TimelineEntry {
+  version: number;
+  /** Who made this version */
+  authorId: string;
+  note: string | null;
+  createdAt: Date;
+  current: boolean;
+  /** Labels of the inputs that changed from the version before */
+  changedInputs: string[];
+}
+
+export const DIFF_METRICS: Array<{ field: string; label: string }> = [
+  { field: 'metrics.mrr', label: 'MRR' },
+  { field: 'metrics.arr', label: 'ARR' },
+  { field: 'metrics.ltv', label: 'LTV' },
+  { field: 'metrics.cac', label: 'CAC' },
+  { field: 'metrics.ltvcac', label: 'LTV:CAC' },
+  { field: 'metrics.paybackPeriod', label: 'Payback period' },
+  { field: 'projectedRevenue.monthly', label: 'Projected monthly revenue' },
+  { field: 'projectedRevenue.annual', label: 'Projected annual revenue' },
+  { field: 'projectedRevenue.growth', label: 'Projected growth' },
+];
+
+const INPUT_ORDER = [...Object.keys(PRICING_INPUT_SCHEMA), 'currency'];
+
+const round = (value: number, places: number) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const inputLabel = (field: string) =>
+  PRICING_INPUT_SCHEMA[field as PricingInputField]?.label ?? (field === 'currency' ? 'Currency' : field);
+
+function read(source: unknown, path: string): unknown {
+  return path.split('.').reduce<unknown>(
+    (value, key) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined),
+    source
+  );
+}
+
+function normalize(value: unknown): FieldValue {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') return value;
+  return JSON.stringify(value);
+}
+
+function compare(field: string, label: string, fromValue: unknown, toValue: unknown): FieldChange | null {
+  const from = normalize(fromValue);
+  const to = normalize(toValue);
+  if (from === to) return null;
+
+  const numeric = typeof from === 'number' && typeof to === 'number';
+  return {
+    field,
+    label,
+    from,
+    to,
+    delta: numeric ? round(to - from, 6) : null,
+    percentChange: numeric && from !== 0 ? round(((to - from) / Math.abs(from)) * 100, 2) : null,
+  };
+}
+
+function tierPrices(results: Record<string, unknown>): Map<string, unknown> {
+  const tiers = Array.isArray(results.tiers) ? results.tiers : [];
+  return new Map(tiers.map((tier: { name?: string; price?: unknown }) => [String(tier.name), tier.price]));
+}
+
+/** Every input and derived metric that differs between two versions */
+export function diffVersions(from: VersionState, to: VersionState): VersionDiff {
+  const fields = [...new Set([...Object.keys(from.inputs ?? {}), ...Object.keys(to.inputs ?? {})])].sort((a, b) => {
+    const rank = (field: string) => (INPUT_ORDER.includes(field) ? INPUT_ORDER.indexOf(field) : INPUT_ORDER.length);
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+
+  const inputs = fields
+    .map((field) => compare(field, inputLabel(field), from.inputs?.[field], to.inputs?.[field]))
+    .filter((change): change is FieldChange => change !== null);
+
+  const metrics = DIFF_METRICS
+    .map(({ field, label }) => compare(field, label, read(from.results, field), read(to.results, field)))
+    .filter((change): change is FieldChange => change !== null);
+
+  const fromTiers = tierPrices(from.results ?? {});
+  const toTiers = tierPrices(to.results ?? {});
+  for (const name of new Set([...fromTiers.keys(), ...toTiers.keys()])) {
+    const change = compare(`tiers.${name}.price`, `${name} tier price`, fromTiers.get(name), toTiers.get(name));
+    if (change) metrics.push(change);
+  }
+
+  return { from: from.version, to: to.version, inputs, metrics };
+}
+
+/** Every version, newest first, credited to whoever made it */
+export function buildVersionTimeline(snapshots: VersionSnapshot[], current: CurrentVersion): TimelineEntry[] {
+  const history = [...snapshots].sort((a, b) => a.version - b.version);
+  const states: VersionState[] = [...history, current];
+
+  return states
+    .map((state, index) => {
+      const previous = history[index - 1];
+      return {
+        version: state.version,
+        authorId: previous ? previous.changedById : current.userId,
+        note: previous ? previous.changeNote : null,
+        createdAt: previous ? previous.createdAt : current.createdAt,
+        current: state === current,
+        changedInputs: previous ? diffVersions(previous, state).inputs.map((change) => change.label) : [],
+      };
+    })
+    .reverse();
+}
@@ -0,0 +1,263 @@
+/**
+ * Conjoint-lite
+ * Choice-based conjoint with binary features and a price attribute, fitted
+ * as a multinomial logit by Newton-Raphson. Each feature's part-worth is
+ * converted to a willingness to pay by dividing by the price coefficient,
+ * which is what tier generation uses to decide which features a tier needs
+ * to justify its price.
+ */
+
+import { CsvError, normalizeHeader, parseCsvLines, parseNumericCell } from './csv';
+import { FeatureValue, round } from './pricingEngine';
+
+export interface ConjointAlternative {
+  price: number;
+  /** Feature name -> included */
+  features: Record<string, boolean>;
+  chosen: boolean;
+}
+
+export interface ConjointTask {
+  id: string;
+  alternatives: ConjointAlternative[];
+}
+
+export interface PartWorth {
+  feature: string;
+  /** Utility of including the feature */
+  partWorth: number;
+  /** Part-worth in dollars per month; null when price isn't a disutility */
+  willingnessToPay: number | null;
+}
+
+export interface ConjointModel {
+  tasks: number;
+  /** Utility per dollar of price; should be negative */
+  priceCoefficient: number;
+  partWorths: PartWorth[];
+  logLikelihood: number;
+  /** McFadden's pseudo R-squared against a no-information model */
+  pseudoRSquared: number;
+  converged: boolean;
+}
+
+const TASK_HEADERS = ['task', 'taskid', 'choiceset', 'question'];
+const CHOSEN_HEADERS = ['chosen', 'choice', 'selected'];
+const PRICE_HEADERS = ['price'];
+const IGNORED_HEADERS = ['respondent', 'respondentid', 'alternative', 'alt', 'option'];
+
+const TRUE_CELLS = ['1', 'yes', 'y', 'true', 'x'];
+const FALSE_CELLS = ['0', 'no', 'n', 'false', ''];
+
+// A little ridge penalty keeps the fit finite when a feature is always (or
+// never) chosen, which small surveys produce all the time
+const RIDGE = 0.01;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-8;
+
+export const MIN_CONJOINT_TASKS = 5;
+
+function parseFlag(value: string, column: string, line: number): boolean {
+  const normalized = value.trim().toLowerCase();
+  if (TRUE_CELLS.includes(normalized)) return true;
+  if (FALSE_CELLS.includes(normalized)) return false;
+  throw new CsvError(`"${value}" in ${column} should be 1 or 0`, line);
+}
+
+/**
+ * Parse a long-format choice export: one row per alternative with a task
+ * id, a chosen flag, the price shown, and one 1/0 column per feature. Any
+ * other column is treated as a feature unless it identifies the respondent
+ * or alternative.
+ */
+export function parseConjointCsv(text: string): ConjointTask[] {
+  const lines = parseCsvLines(text.replace(/^\uFEFF/, '')).filter(values => values.some(value => value.trim() !== ''));
+  if (lines.length === 0) {
+    throw new CsvError('The file is empty');
+  }
+
+  const headers = lines[0].map(header => header.trim());
+  const normalized = headers.map(normalizeHeader);
+  const find = (aliases: string[], label: string) => {
+    const position = normalized.findIndex(header => aliases.includes(header));
+    if (position === -1) {
+      throw new CsvError(`Missing a "${label}" column`, 1);
+    }
+    return position;
+  };
+
+  const taskColumn = find(TASK_HEADERS, 'task');
+  const chosenColumn = find(CHOSEN_HEADERS, 'chosen');
+  const priceColumn = find(PRICE_HEADERS, 'price');
+  const featureColumns = headers
+    .map((header, position) => ({ header, position }))
+    .filter(({ header, position }) =>
+      header !== '' &&
+      ![taskColumn, chosenColumn, priceColumn].includes(position) &&
+      !IGNORED_HEADERS.includes(normalized[position])
+    );
+
+  if (featureColumns.length === 0) {
+    throw new CsvError('No feature columns found', 1);
+  }
+
+  const tasks = new Map<string, ConjointTask>();
+  lines.slice(1).forEach((values, offset) => {
+    const line = offset + 2;
+    const id = (values[taskColumn] ?? '').trim();
+    const price = parseNumericCell(values[priceColumn] ?? '');
+
+    if (!id) {
+      throw new CsvError('Task is missing', line);
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      throw new CsvError(`"${values[priceColumn]}" is not a valid price`, line);
+    }
+
+    const features: Record<string, boolean> = {};
+    for (const { header, position } of featureColumns) {
+      features[header] = parseFlag(values[position] ?? '', header, line);
+    }
+
+    const task = tasks.get(id) ?? { id, alternatives: [] };
+    task.alternatives.push({
+      price,
+      features,
+      chosen: parseFlag(values[chosenColumn] ?? '', headers[chosenColumn], line),
+    });
+    tasks.set(id, task);
+  });
+
+  return Array.from(tasks.values());
+}
+
+/** Solve A x = b by Gaussian elimination with partial pivoting */
+function solve(matrix: number[][], vector: number[]): number[] {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fit the multinomial logit. Tasks must have at least two alternatives and
+ * exactly one chosen; anything else is rejected with a RangeError.
+ */
+export function fitConjointModel(tasks: ConjointTask[]): ConjointModel {
+  if (tasks.length < MIN_CONJOINT_TASKS) {
+    throw new RangeError(`At least ${MIN_CONJOINT_TASKS} choice tasks are needed; found ${tasks.length}`);
+  }
+
+  for (const task of tasks) {
+    if (task.alternatives.length < 2) {
+      throw new RangeError(`Task ${task.id} needs at least two alternatives`);
+    }
+    if (task.alternatives.filter(alternative => alternative.chosen).length !== 1) {
+      throw new RangeError(`Task ${task.id} must have exactly one chosen alternative`);
+    }
+  }
+
+  const features = Array.from(
+    new Set(tasks.flatMap(task => task.alternatives.flatMap(alternative => Object.keys(alternative.features))))
+  );
+
+  // Price is rescaled to its mean so its coefficient is on the same footing
+  // as the features for the ridge penalty and the Newton steps
+  const allPrices = tasks.flatMap(task => task.alternatives.map(alternative => alternative.price));
+  const priceScale = allPrices.reduce((sum, price) => sum + price, 0) / allPrices.length || 1;
+
+  const design = tasks.map(task => ({
+    rows: task.alternatives.map(alternative => [
+      alternative.price / priceScale,
+      ...features.map(feature => (alternative.features[feature] ? 1 : 0)),
+    ]),
+    chosen: task.alternatives.findIndex(alternative => alternative.chosen),
+  }));
+
+  const k = features.length + 1;
+  let beta = new Array(k).fill(0);
+  let logLikelihood = 0;
+  let converged = false;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const gradient = beta.map(value => -RIDGE * value);
+    const hessian = beta.map((_, i) => beta.map((__, j) => (i === j ? RIDGE : 0)));
+    logLikelihood = 0;
+
+    for (const { rows, chosen } of design) {
+      const utilities = rows.map(row => row.reduce((sum, x, i) => sum + x * beta[i], 0));
+      const maxUtility = Math.max(...utilities);
+      const weights = utilities.map(utility => Math.exp(utility - maxUtility));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      const probabilities = weights.map(weight => weight / total);
+
+      logLikelihood += Math.log(probabilities[chosen]);
+
+      const mean = beta.map((_, i) => rows.reduce((sum, row, j) => sum + probabilities[j] * row[i], 0));
+      for (let i = 0; i < k; i++) {
+        gradient[i] += rows[chosen][i] - mean[i];
+        for (let j = 0; j < k; j++) {
+          // Negative Hessian: the covariance of the design under the fitted probabilities
+          hessian[i][j] += rows.reduce((sum, row, a) => sum + probabilities[a] * row[i] * row[j], 0) - mean[i] * mean[j];
+        }
+      }
+    }
+
+    const step = solve(hessian, gradient);
+    beta = beta.map((value, i) => value + step[i]);
+
+    if (Math.max(...step.map(Math.abs)) < TOLERANCE) {
+      converged = true;
+      break;
+    }
+  }
+
+  const nullLogLikelihood = design.reduce((sum, { rows }) => sum - Math.log(rows.length), 0);
+  const priceCoefficient = beta[0] / priceScale;
+
+  return {
+    tasks: tasks.length,
+    priceCoefficient,
+    partWorths: features
+      .map((feature, i) => ({
+        feature,
+        partWorth: round(beta[i + 1], 4),
+        willingnessToPay: priceCoefficient < 0 ? round(-beta[i + 1] / priceCoefficient) : null,
+      }))
+      .sort((a, b) => b.partWorth - a.partWorth),
+    logLikelihood: round(logLikelihood, 4),
+    pseudoRSquared: round(1 - logLikelihood / nullLogLikelihood, 4),
+    converged,
+  };
+}
+
+/**
+ * Features with a positive measured willingness to pay, in the shape the
+ * pricing engine takes for tier generation.
+ */
+export function toFeatureValues(model: ConjointModel): FeatureValue[] {
+  return model.partWorths
+    .filter((partWorth): partWorth is PartWorth & { willingnessToPay: number } =>
+      partWorth.willingnessToPay !== null && partWorth.willingnessToPay > 0
+    )
+    .map(({ feature, willingnessToPay }) => ({ feature, willingnessToPay }));
+}
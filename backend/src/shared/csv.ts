@@ -0,0 +1,146 @@
+/**
+ * CSV helpers for survey and customer imports, and for exports.
+ * Handles quoted fields, escaped quotes and CRLF line endings; anything
+ * more exotic should be cleaned up in a spreadsheet first.
+ */
+
+export class CsvError extends Error {
+  /** 1-based line number of the offending row, when known */
+  public line?: number;
+
+  constructor(message: string, line?: number) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+export interface CsvRow<K extends string = string> {
+  /** 1-based line number in the source file */
+  line: number;
+  values: Record<K, string>;
+}
+
+export function parseCsvLines(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new CsvError('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/** Lowercase and strip everything but letters and digits: "Too Expensive ($)" -> "tooexpensive" */
+export const normalizeHeader = (header: string): string => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse CSV text with a header row. `columns` maps each wanted key to the
+ * normalised header names it may appear under; a missing column throws
+ * unless it is listed in `optional`, in which case its cells read as blank.
+ * Blank lines are skipped.
+ */
+export function parseCsv<K extends string>(
+  text: string,
+  columns: Record<K, string[]>,
+  optional: string[] = []
+): CsvRow<K>[] {
+  const lines = parseCsvLines(text.replace(/^\uFEFF/, ''));
+  const headerIndex = lines.findIndex(values => values.some(value => value.trim() !== ''));
+
+  if (headerIndex === -1) {
+    throw new CsvError('The file is empty');
+  }
+
+  const headers = lines[headerIndex].map(normalizeHeader);
+  const positions = {} as Record<K, number>;
+
+  for (const [key, aliases] of Object.entries(columns) as Array<[K, string[]]>) {
+    const position = headers.findIndex(header => aliases.includes(header));
+    if (position === -1 && !optional.includes(key)) {
+      throw new CsvError(`Missing a "${aliases[0]}" column`, headerIndex + 1);
+    }
+    positions[key] = position;
+  }
+
+  const rows: CsvRow<K>[] = [];
+  lines.slice(headerIndex + 1).forEach((values, offset) => {
+    if (values.every(value => value.trim() === '')) {
+      return;
+    }
+
+    const row = {} as Record<K, string>;
+    for (const [key, position] of Object.entries(positions) as Array<[K, number]>) {
+      row[key] = (values[position] ?? '').trim();
+    }
+    rows.push({ line: headerIndex + offset + 2, values: row });
+  });
+
+  return rows;
+}
+
+/** Parse a money or number cell such as "$1,200" or "49.00"; NaN when blank */
+export function parseNumericCell(value: string): number {
+  const cleaned = value.replace(/[$€£¥,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+export type CsvCell = string | number | boolean | null | undefined;
+
+/**
+ * Quote a cell when needed. Text that a spreadsheet would run as a formula
+ * (leading =, +, -, @) is prefixed with a quote, since exported cells may
+ * hold whatever visitors typed.
+ */
+export function formatCsvCell(value: CsvCell): string {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header: string[], rows: CsvCell[][]): string {
+  return [header, ...rows].map(row => row.map(formatCsvCell).join(',')).join('\n');
+}
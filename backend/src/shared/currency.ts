@@ -0,0 +1,214 @@
+/**
+ * Currency & Regional Pricing
+ * Formatting for the currency a calculation is entered in, an offline
+ * exchange-rate and purchasing-power table, and per-country price
+ * suggestions rounded to charm price points.
+ *
+ * Rates are units of the local currency per US dollar and PPP factors are
+ * each country's price level relative to the US (0.25 means the same basket
+ * costs a quarter as much). Both are snapshots meant to be edited or
+ * replaced by an imported table, not live market data.
+ */
+
+import { CsvError, parseCsv, parseNumericCell } from './csv';
+import { DEFAULT_CURRENCY, round } from './pricingEngine';
+
+export { DEFAULT_CURRENCY };
+
+export interface CurrencyInfo {
+  code: string;
+  name: string;
+  /** Written before the amount; codes stand in where there's no common symbol */
+  symbol: string;
+  /** Minor units shown in prices */
+  decimals: number;
+  /** Taken off a rounded price point to make it a charm price: 1 turns 50 into 49 */
+  charmEnding: number;
+}
+
+export const CURRENCIES: Record<string, CurrencyInfo> = {
+  USD: { code: 'USD', name: 'US Dollar', symbol: '$', decimals: 2, charmEnding: 1 },
+  EUR: { code: 'EUR', name: 'Euro', symbol: '€', decimals: 2, charmEnding: 1 },
+  GBP: { code: 'GBP', name: 'British Pound', symbol: '£', decimals: 2, charmEnding: 1 },
+  CAD: { code: 'CAD', name: 'Canadian Dollar', symbol: 'CA$', decimals: 2, charmEnding: 1 },
+  AUD: { code: 'AUD', name: 'Australian Dollar', symbol: 'A$', decimals: 2, charmEnding: 1 },
+  CHF: { code: 'CHF', name: 'Swiss Franc', symbol: 'CHF ', decimals: 2, charmEnding: 1 },
+  SEK: { code: 'SEK', name: 'Swedish Krona', symbol: 'SEK ', decimals: 0, charmEnding: 1 },
+  PLN: { code: 'PLN', name: 'Polish Zloty', symbol: 'PLN ', decimals: 2, charmEnding: 1 },
+  JPY: { code: 'JPY', name: 'Japanese Yen', symbol: '¥', decimals: 0, charmEnding: 20 },
+  KRW: { code: 'KRW', name: 'South Korean Won', symbol: '₩', decimals: 0, charmEnding: 100 },
+  INR: { code: 'INR', name: 'Indian Rupee', symbol: '₹', decimals: 0, charmEnding: 1 },
+  IDR: { code: 'IDR', name: 'Indonesian Rupiah', symbol: 'Rp', decimals: 0, charmEnding: 1000 },
+  BRL: { code: 'BRL', name: 'Brazilian Real', symbol: 'R$', decimals: 2, charmEnding: 0.1 },
+  MXN: { code: 'MXN', name: 'Mexican Peso', symbol: 'MX$', decimals: 0, charmEnding: 1 },
+  ZAR: { code: 'ZAR', name: 'South African Rand', symbol: 'R', decimals: 0, charmEnding: 1 },
+  TRY: { code: 'TRY', name: 'Turkish Lira', symbol: '₺', decimals: 0, charmEnding: 1 },
+};
+
+/** Any ISO code can be used; unknown ones are written as the code */
+export function currencyInfo(code: string = DEFAULT_CURRENCY): CurrencyInfo {
+  return CURRENCIES[code] ?? { code, name: code, symbol: `${code} `, decimals: 2, charmEnding: 1 };
+}
+
+export interface FormatMoneyOptions {
+  /** Overrides the currency's minor units, e.g. 0 for chart axes */
+  decimals?: number;
+  /** Use the code instead of symbols outside Latin-1, which PDF base fonts can't draw */
+  latinOnly?: boolean;
+}
+
+export function formatMoney(value: number, currency: string = DEFAULT_CURRENCY, options: FormatMoneyOptions = {}): string {
+  const info = currencyInfo(currency);
+  const symbol = options.latinOnly && /[^\u0000-\u00ff]/.test(info.symbol) ? `${info.code} ` : info.symbol;
+  const amount = Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: options.decimals ?? info.decimals });
+  return `${value < 0 ? '-' : ''}${symbol}${amount}`;
+}
+
+export interface RegionRate {
+  country: string;
+  currency: string;
+  /** Local currency units per US dollar */
+  exchangeRate: number;
+  /** Price level relative to the US */
+  pppFactor: number;
+}
+
+export const DEFAULT_RATES_AS_OF = '2025-01';
+
+export const DEFAULT_REGION_RATES: RegionRate[] = [
+  { country: 'United States', currency: 'USD', exchangeRate: 1, pppFactor: 1 },
+  { country: 'Canada', currency: 'CAD', exchangeRate: 1.36, pppFactor: 0.84 },
+  { country: 'United Kingdom', currency: 'GBP', exchangeRate: 0.79, pppFactor: 0.88 },
+  { country: 'Germany', currency: 'EUR', exchangeRate: 0.92, pppFactor: 0.8 },
+  { country: 'France', currency: 'EUR', exchangeRate: 0.92, pppFactor: 0.8 },
+  { country: 'Spain', currency: 'EUR', exchangeRate: 0.92, pppFactor: 0.65 },
+  { country: 'Switzerland', currency: 'CHF', exchangeRate: 0.88, pppFactor: 1.2 },
+  { country: 'Sweden', currency: 'SEK', exchangeRate: 10.5, pppFactor: 0.85 },
+  { country: 'Poland', currency: 'PLN', exchangeRate: 4, pppFactor: 0.5 },
+  { country: 'Australia', currency: 'AUD', exchangeRate: 1.52, pppFactor: 0.92 },
+  { country: 'Japan', currency: 'JPY', exchangeRate: 150, pppFactor: 0.62 },
+  { country: 'South Korea', currency: 'KRW', exchangeRate: 1350, pppFactor: 0.62 },
+  { country: 'India', currency: 'INR', exchangeRate: 83, pppFactor: 0.24 },
+  { country: 'Indonesia', currency: 'IDR', exchangeRate: 15700, pppFactor: 0.31 },
+  { country: 'Brazil', currency: 'BRL', exchangeRate: 5, pppFactor: 0.49 },
+  { country: 'Mexico', currency: 'MXN', exchangeRate: 17.2, pppFactor: 0.58 },
+  { country: 'South Africa', currency: 'ZAR', exchangeRate: 18.7, pppFactor: 0.4 },
+  { country: 'Turkey', currency: 'TRY', exchangeRate: 32, pppFactor: 0.38 },
+];
+
+export const REGION_RATE_COLUMNS = {
+  country: ['country', 'region', 'market'],
+  currency: ['currency', 'currencycode'],
+  exchangeRate: ['exchangerate', 'rate', 'usdrate', 'perusd'],
+  pppFactor: ['ppp', 'pppfactor', 'pricelevel'],
+};
+
+export function parseRegionRatesCsv(text: string): RegionRate[] {
+  return parseCsv(text, REGION_RATE_COLUMNS).map(({ line, values }) => {
+    const currency = values.currency.toUpperCase();
+    const exchangeRate = parseNumericCell(values.exchangeRate);
+    const pppFactor = parseNumericCell(values.pppFactor);
+
+    if (!values.country) {
+      throw new CsvError('Country is missing', line);
+    }
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new CsvError(`"${values.currency}" is not a three-letter currency code`, line);
+    }
+    if (!(exchangeRate > 0)) {
+      throw new CsvError(`"${values.exchangeRate}" is not a valid exchange rate`, line);
+    }
+    if (!(pppFactor > 0)) {
+      throw new CsvError(`"${values.pppFactor}" is not a valid PPP factor`, line);
+    }
+
+    return { country: values.country, currency, exchangeRate, pppFactor };
+  });
+}
+
+function exchangeRateFor(currency: string, rates: RegionRate[]): number {
+  if (currency === 'USD') return 1;
+  const region = rates.find(candidate => candidate.currency === currency);
+  if (!region) {
+    throw new RangeError(`No exchange rate for ${currency}`);
+  }
+  return region.exchangeRate;
+}
+
+export function convertCurrency(amount: number, from: string, to: string, rates: RegionRate[]): number {
+  return (amount / exchangeRateFor(from, rates)) * exchangeRateFor(to, rates);
+}
+
+/**
+ * Round to the nearest price point for the price's size and take the
+ * currency's charm ending off it: 9-99 in tens (29, 49, 99), then steps of
+ * half a power of ten (149, 199, 1,499, 4,980 yen). Prices under 10 keep
+ * their minor units (4.99) in currencies that show them.
+ */
+export function charmRound(value: number, currency: string = DEFAULT_CURRENCY): number {
+  const { decimals, charmEnding } = currencyInfo(currency);
+
+  if (value < 10) {
+    return decimals > 0 ? Math.max(0.99, Math.round(value) - 0.01) : Math.max(1, Math.round(value));
+  }
+
+  const digits = Math.floor(Math.log10(value)) + 1;
+  const step = digits <= 2 ? 10 : 10 ** (digits - 1) / 2;
+  const point = Math.max(step, Math.round(value / step) * step);
+  return round(charmEnding < point ? point - charmEnding : point, decimals);
+}
+
+export interface RegionalPricingOptions {
+  /** How far to follow purchasing power: 0 converts at market rates, 1 adjusts fully */
+  pppWeight?: number;
+  /** The deepest discount allowed, as a share of the converted price */
+  minimumFactor?: number;
+}
+
+export interface RegionalPrice {
+  country: string;
+  currency: string;
+  /** Multiplier applied to the converted price */
+  adjustment: number;
+  prices: Array<{ converted: number; suggested: number }>;
+}
+
+/**
+ * Suggest local prices for each region. Prices are converted at market
+ * rates, scaled by the region's price level relative to the base
+ * currency's, and charm-rounded. Regions are never priced above a straight
+ * conversion.
+ */
+export function suggestRegionalPrices(
+  prices: number[],
+  baseCurrency: string,
+  rates: RegionRate[],
+  options: RegionalPricingOptions = {}
+): RegionalPrice[] {
+  const { pppWeight = 1, minimumFactor = 0.25 } = options;
+
+  if (pppWeight < 0 || pppWeight > 1 || minimumFactor <= 0 || minimumFactor > 1) {
+    throw new RangeError('PPP weight must be 0-1 and the minimum factor above 0 and at most 1');
+  }
+
+  const baseRegions = rates.filter(region => region.currency === baseCurrency);
+  const basePriceLevel = baseRegions.length > 0
+    ? baseRegions.reduce((sum, region) => sum + region.pppFactor, 0) / baseRegions.length
+    : 1;
+
+  return rates.map(region => {
+    const adjustment = Math.min(1, Math.max(minimumFactor, (region.pppFactor / basePriceLevel) ** pppWeight));
+    return {
+      country: region.country,
+      currency: region.currency,
+      adjustment: round(adjustment, 3),
+      prices: prices.map(price => {
+        const converted = convertCurrency(price, baseCurrency, region.currency, rates);
+        return {
+          converted: round(converted, currencyInfo(region.currency).decimals),
+          suggested: charmRound(converted * adjustment, region.currency),
+        };
+      }),
+    };
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * Two-Way Data Tables
+ * Spreadsheet-style sensitivity matrix: one input varied down the rows,
+ * another across the columns, and a pricing engine metric computed for
+ * every pair with all other inputs held as entered.
+ *
+ * Framework-free, so the calculator's heatmap and the XLSX export read the
+ * same numbers.
+ */
+
+import {
+  calculateMetrics,
+  calculateOptimalPrice,
+  PRICING_INPUT_SCHEMA,
+  PricingInputField,
+  PricingInputs,
+  PricingMetrics,
+  round,
+} from './pricingEngine';
+import { ComparisonUnit } from './scenarioSets';
+
+/** Inputs that can form an axis of the table */
+export const DATA_TABLE_INPUTS: PricingInputField[] = [
+  'currentPrice',
+  'churnRate',
+  'customers',
+  'cac',
+  'expansionRevenue',
+  'averageContractLength',
+  'competitorPrice',
+  'operatingMargin',
+];
+
+/** How each axis input reads: money, a percentage, months or a count */
+export const DATA_TABLE_INPUT_UNITS: Record<string, 'currency' | 'percent' | 'months' | 'count'> = {
+  currentPrice: 'currency',
+  churnRate: 'percent',
+  customers: 'count',
+  cac: 'currency',
+  expansionRevenue: 'percent',
+  averageContractLength: 'months',
+  competitorPrice: 'currency',
+  operatingMargin: 'percent',
+};
+
+export type DataTableMetric = Extract<
+  keyof PricingMetrics,
+  'optimalPrice' | 'mrr' | 'arr' | 'ltv' | 'ltvCacRatio' | 'paybackPeriod' | 'nrr' | 'ruleOf40' | 'churnImpact'
+>;
+
+export interface DataTableMetricDefinition {
+  key: DataTableMetric;
+  label: string;
+  unit: ComparisonUnit;
+  /** Which end of the heatmap is good news; null when neither is */
+  better: 'higher' | 'lower' | null;
+}
+
+export const DATA_TABLE_METRICS: DataTableMetricDefinition[] = [
+  { key: 'arr', label: 'ARR', unit: 'currency', better: 'higher' },
+  { key: 'mrr', label: 'MRR', unit: 'currency', better: 'higher' },
+  { key: 'optimalPrice', label: 'Optimal price', unit: 'currency', better: null },
+  { key: 'ltv', label: 'LTV', unit: 'currency', better: 'higher' },
+  { key: 'ltvCacRatio', label: 'LTV:CAC', unit: 'ratio', better: 'higher' },
+  { key: 'paybackPeriod', label: 'Payback period', unit: 'months', better: 'lower' },
+  { key: 'nrr', label: 'NRR', unit: 'percent', better: 'higher' },
+  { key: 'ruleOf40', label: 'Rule of 40', unit: 'percent', better: 'higher' },
+  { key: 'churnImpact', label: 'ARR lost to churn', unit: 'currency', better: 'lower' },
+];
+
+/** Values per axis */
+export const DATA_TABLE_STEPS = { min: 2, max: 15, default: 5 };
+
+export interface DataTableSpec {
+  rowField: PricingInputField;
+  rowValues: number[];
+  columnField: PricingInputField;
+  columnValues: number[];
+  metric: DataTableMetric;
+}
+
+export interface DataTable extends DataTableSpec {
+  rowLabel: string;
+  columnLabel: string;
+  metricLabel: string;
+  unit: ComparisonUnit;
+  better: 'higher' | 'lower' | null;
+  /** cells[row][column] */
+  cells: number[][];
+  /** The metric at the inputs as entered */
+  base: number;
+  min: number;
+  max: number;
+}
+
+/**
+ * `steps` evenly spaced values from `from` to `to`, rounded to two
+ * decimals (whole numbers for integer inputs) with duplicates dropped.
+ */
+export function axisValues(field: PricingInputField, from: number, to: number, steps: number = DATA_TABLE_STEPS.default): number[] {
+  const decimals = PRICING_INPUT_SCHEMA[field].integer ? 0 : 2;
+  const values = Array.from({ length: steps }, (_, index) =>
+    round(steps === 1 ? from : from + ((to - from) * index) / (steps - 1), decimals));
+  return [...new Set(values)];
+}
+
+function validateAxis(field: PricingInputField, values: number[], role: string): void {
+  if (!DATA_TABLE_INPUTS.includes(field)) {
+    throw new RangeError(`${PRICING_INPUT_SCHEMA[field]?.label ?? field} can't be a ${role} of a data table`);
+  }
+  const rule = PRICING_INPUT_SCHEMA[field];
+  if (!Array.isArray(values) || values.length < DATA_TABLE_STEPS.min || values.length > DATA_TABLE_STEPS.max) {
+    throw new RangeError(`${rule.label}: give ${DATA_TABLE_STEPS.min}–${DATA_TABLE_STEPS.max} values`);
+  }
+  for (const value of values) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new RangeError(`${rule.label}: every value must be a number`);
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      throw new RangeError(`${rule.label}: values must be whole numbers`);
+    }
+    if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+      throw new RangeError(`${rule.label}: values must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      throw new RangeError(`${rule.label}: values cannot exceed ${rule.max}`);
+    }
+  }
+}
+
+/** Throws a RangeError describing the first problem with `spec` */
+export function validateDataTableSpec(spec: DataTableSpec): void {
+  if (!DATA_TABLE_METRICS.some((metric) => metric.key === spec.metric)) {
+    throw new RangeError(`Unknown data table metric "${spec.metric}"`);
+  }
+  if (spec.rowField === spec.columnField) {
+    throw new RangeError('Rows and columns must vary different inputs');
+  }
+  validateAxis(spec.rowField, spec.rowValues, 'row');
+  validateAxis(spec.columnField, spec.columnValues, 'column');
+}
+
+const metricAt = (inputs: PricingInputs, metric: DataTableMetric): number =>
+  calculateMetrics(inputs, calculateOptimalPrice(inputs))[metric];
+
+/** The inputs behind one cell, e.g. to load that scenario into the form */
+export function cellInputs(inputs: PricingInputs, spec: DataTableSpec, row: number, column: number): PricingInputs {
+  return { ...inputs, [spec.rowField]: spec.rowValues[row], [spec.columnField]: spec.columnValues[column] };
+}
+
+/** Compute every cell of the table around `inputs` */
+export function buildDataTable(inputs: PricingInputs, spec: DataTableSpec): DataTable {
+  validateDataTableSpec(spec);
+
+  const definition = DATA_TABLE_METRICS.find((metric) => metric.key === spec.metric) as DataTableMetricDefinition;
+  const cells = spec.rowValues.map((_, row) =>
+    spec.columnValues.map((_, column) => metricAt(cellInputs(inputs, spec, row, column), spec.metric)));
+  const flat = cells.flat();
+
+  return {
+    rowField: spec.rowField,
+    rowValues: spec.rowValues,
+    columnField: spec.columnField,
+    columnValues: spec.columnValues,
+    metric: spec.metric,
+    rowLabel: PRICING_INPUT_SCHEMA[spec.rowField].label,
+    columnLabel: PRICING_INPUT_SCHEMA[spec.columnField].label,
+    metricLabel: definition.label,
+    unit: definition.unit,
+    better: definition.better,
+    cells,
+    base: metricAt(inputs, spec.metric),
+    min: Math.min(...flat),
+    max: Math.max(...flat),
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Price Elasticity Model
+ * Simulates how demand and churn respond to a candidate price, relative to
+ * the current price, and searches for the revenue- and profit-maximising
+ * price points.
+ *
+ * Revenue is compared at steady state: customers acquired scale with demand,
+ * customers lost scale with churn, so steady-state MRR at price p is
+ *   currentMRR * D(p) * (p / p0) * (churn0 / churn(p))
+ * which equals today's MRR at the current price.
+ */
+
+import { PricingInputs, round } from './pricingEngine';
+
+export type DemandCurveType = 'constant' | 'linear';
+
+export interface ElasticityOptions {
+  curve?: DemandCurveType;
+  /** Price elasticity of demand at the current price; negative, e.g. -1.2 */
+  elasticity?: number;
+  /** Relative change in churn per relative change in price */
+  churnElasticity?: number;
+  /** Share of trials/leads that convert at the current price, in percent */
+  baseConversionRate?: number;
+  /** Monthly cost to serve one customer; defaults to 20% of the current price */
+  costToServe?: number;
+  /** Search range as multiples of the current price */
+  minPriceMultiple?: number;
+  maxPriceMultiple?: number;
+}
+
+export interface PricePoint {
+  price: number;
+  /** Demand relative to the current price (1 = unchanged) */
+  demandIndex: number;
+  conversionRate: number;
+  churnRate: number;
+  customers: number;
+  mrr: number;
+  profit: number;
+}
+
+export interface ElasticityAnalysis {
+  curve: DemandCurveType;
+  elasticity: number;
+  current: PricePoint;
+  revenueMaximizing: PricePoint & { atBoundary: boolean };
+  profitMaximizing: PricePoint & { atBoundary: boolean };
+  points: PricePoint[];
+}
+
+export const ELASTICITY_DEFAULTS = {
+  curve: 'constant' as DemandCurveType,
+  elasticity: -1.2,
+  churnElasticity: 0.5,
+  baseConversionRate: 3,
+  minPriceMultiple: 0.25,
+  maxPriceMultiple: 3,
+};
+
+type ResolvedOptions = Required<ElasticityOptions>;
+
+const CURVE_POINTS = 60;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+export function demandIndex(price: number, currentPrice: number, curve: DemandCurveType, elasticity: number): number {
+  const ratio = price / currentPrice;
+
+  if (curve === 'linear') {
+    // Straight line through (p0, 1) with point elasticity `elasticity` at p0
+    return Math.max(0, 1 + elasticity * (ratio - 1));
+  }
+
+  return ratio ** elasticity;
+}
+
+function resolveOptions(inputs: PricingInputs, options: ElasticityOptions): ResolvedOptions {
+  const resolved = {
+    ...ELASTICITY_DEFAULTS,
+    costToServe: inputs.currentPrice * 0.2,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)),
+  } as ResolvedOptions;
+
+  if (!(resolved.elasticity < 0)) {
+    throw new RangeError('Elasticity must be negative: demand falls as price rises');
+  }
+  if (resolved.churnElasticity < 0) {
+    throw new RangeError('Churn elasticity cannot be negative');
+  }
+  if (!(resolved.minPriceMultiple > 0 && resolved.maxPriceMultiple > resolved.minPriceMultiple)) {
+    throw new RangeError('Price search range is invalid');
+  }
+
+  return resolved;
+}
+
+function steadyState(inputs: PricingInputs, price: number, options: ResolvedOptions) {
+  const { currentPrice, customers, churnRate } = inputs;
+  const demand = demandIndex(price, currentPrice, options.curve, options.elasticity);
+  const churn = Math.min(100, churnRate * (price / currentPrice) ** options.churnElasticity);
+
+  // With no churn at all, steady state is governed by demand alone
+  const retentionFactor = churn > 0 ? churnRate / churn : 1;
+
+  return { demand, churn, customers: customers * demand * retentionFactor };
+}
+
+function toPricePoint(inputs: PricingInputs, price: number, options: ResolvedOptions): PricePoint {
+  const { demand, churn, customers } = steadyState(inputs, price, options);
+  const mrr = customers * price;
+
+  return {
+    price: round(price),
+    demandIndex: round(demand, 4),
+    conversionRate: round(options.baseConversionRate * demand, 2),
+    churnRate: round(churn, 2),
+    customers: round(customers, 1),
+    mrr: round(mrr),
+    profit: round(mrr - customers * options.costToServe),
+  };
+}
+
+export function simulatePricePoint(
+  inputs: PricingInputs,
+  price: number,
+  options: ElasticityOptions = {}
+): PricePoint {
+  return toPricePoint(inputs, price, resolveOptions(inputs, options));
+}
+
+/**
+ * Golden-section search for the maximum of `objective` on [low, high],
+ * seeded by the best point on an even grid so a multi-modal curve can't
+ * trap the search in the wrong bracket.
+ */
+function maximise(objective: (price: number) => number, low: number, high: number) {
+  const step = (high - low) / CURVE_POINTS;
+  let bestPrice = low;
+  let bestValue = objective(low);
+
+  for (let i = 1; i <= CURVE_POINTS; i++) {
+    const price = low + step * i;
+    const value = objective(price);
+    if (value > bestValue) {
+      bestPrice = price;
+      bestValue = value;
+    }
+  }
+
+  let a = Math.max(low, bestPrice - step);
+  let b = Math.min(high, bestPrice + step);
+  for (let i = 0; i < 40; i++) {
+    const c = b - GOLDEN_RATIO * (b - a);
+    const d = a + GOLDEN_RATIO * (b - a);
+    if (objective(c) > objective(d)) {
+      b = d;
+    } else {
+      a = c;
+    }
+  }
+
+  const price = (a + b) / 2;
+  const tolerance = step / 100;
+
+  return {
+    price,
+    atBoundary: price - low < tolerance || high - price < tolerance,
+  };
+}
+
+export function analyzeElasticity(inputs: PricingInputs, options: ElasticityOptions = {}): ElasticityAnalysis {
+  const resolved = resolveOptions(inputs, options);
+  const low = inputs.currentPrice * resolved.minPriceMultiple;
+  const high = inputs.currentPrice * resolved.maxPriceMultiple;
+
+  const simulate = (price: number) => toPricePoint(inputs, price, resolved);
+
+  const revenue = maximise(
+    price => steadyState(inputs, price, resolved).customers * price,
+    low,
+    high
+  );
+  const profit = maximise(
+    price => steadyState(inputs, price, resolved).customers * (price - resolved.costToServe),
+    low,
+    high
+  );
+
+  const points: PricePoint[] = [];
+  for (let i = 0; i <= CURVE_POINTS; i++) {
+    points.push(simulate(low + ((high - low) * i) / CURVE_POINTS));
+  }
+
+  return {
+    curve: resolved.curve,
+    elasticity: resolved.elasticity,
+    current: simulate(inputs.currentPrice),
+    revenueMaximizing: { ...simulate(revenue.price), atBoundary: revenue.atBoundary },
+    profitMaximizing: { ...simulate(profit.price), atBoundary: profit.atBoundary },
+    points,
+  };
+}
@@ -0,0 +1,496 @@
+/**
+ * Email Templates
+ * Named transactional emails with `{{variable}}` placeholders, per-locale
+ * copy and a shared layout that renders both the HTML body and its
+ * plaintext alternative from the same blocks.
+ *
+ * Copy is plain text: values are HTML-escaped when rendered, so a team or
+ * calculation name can't inject markup. A list entry that is exactly one
+ * placeholder expands into one bullet per item of an array value. Locales
+ * fall back to English when a template has no translation.
+ */
+
+export type EmailLocale = 'en' | 'es';
+
+export const EMAIL_LOCALES: EmailLocale[] = ['en', 'es'];
+
+export const DEFAULT_EMAIL_LOCALE: EmailLocale = 'en';
+
+export type TemplateValue = string | number | Date | string[];
+
+export type TemplateVariables = Record<string, TemplateValue>;
+
+interface TemplateCopy {
+  subject: string;
+  /** Shown in the banner */
+  title: string;
+  heading?: string;
+  intro: string[];
+  list?: string[];
+  action?: { label: string; url: string };
+  outro?: string[];
+  /** Highlighted, for expiry and security warnings */
+  notice?: string;
+}
+
+export interface EmailTemplate {
+  description: string;
+  /** What the admin preview renders with */
+  sample: TemplateVariables;
+  locales: { en: TemplateCopy } & Partial<Record<EmailLocale, TemplateCopy>>;
+}
+
+interface LayoutCopy {
+  copyLink: string;
+  copyright: string;
+  contact: string;
+  unsubscribe: string;
+}
+
+const LAYOUT: Record<EmailLocale, LayoutCopy> = {
+  en: {
+    copyLink: 'Or copy and paste this link into your browser:',
+    copyright: '© 2025 SaaS Pricing Calculator. All rights reserved.',
+    contact: 'Questions? Contact us at support@predictionnexus.com',
+    unsubscribe: 'Unsubscribe',
+  },
+  es: {
+    copyLink: 'O copia y pega este enlace en tu navegador:',
+    copyright: '© 2025 SaaS Pricing Calculator. Todos los derechos reservados.',
+    contact: '¿Preguntas? Escríbenos a support@predictionnexus.com',
+    unsubscribe: 'Darse de baja',
+  },
+};
+
+const DATE_LOCALES: Record<EmailLocale, string> = { en: 'en-US', es: 'es-ES' };
+
+const SAMPLE_URL = 'https://predictionnexus.com/example';
+
+export const EMAIL_TEMPLATES: Record<string, EmailTemplate> = {
+  verification: {
+    description: 'Sent on sign-up to verify the address',
+    sample: { verificationUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Verify Your Email - SaaS Pricing Calculator',
+        title: 'Welcome to SaaS Pricing Calculator!',
+        heading: 'Verify Your Email Address',
+        intro: ['Thank you for signing up! To complete your registration, please verify your email address by clicking the button below:'],
+        action: { label: 'Verify Email', url: '{{verificationUrl}}' },
+        outro: [
+          'This link will expire in 24 hours for security reasons.',
+          "If you didn't create an account, you can safely ignore this email.",
+        ],
+      },
+      es: {
+        subject: 'Verifica tu correo - SaaS Pricing Calculator',
+        title: '¡Bienvenido a SaaS Pricing Calculator!',
+        heading: 'Verifica tu dirección de correo',
+        intro: ['¡Gracias por registrarte! Para completar el registro, verifica tu dirección de correo con el botón de abajo:'],
+        action: { label: 'Verificar correo', url: '{{verificationUrl}}' },
+        outro: [
+          'Por seguridad, este enlace caduca en 24 horas.',
+          'Si no creaste una cuenta, puedes ignorar este correo.',
+        ],
+      },
+    },
+  },
+
+  password_reset: {
+    description: 'Sent when a password reset is requested',
+    sample: { resetUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Password Reset - SaaS Pricing Calculator',
+        title: 'Password Reset Request',
+        heading: 'Reset Your Password',
+        intro: ['We received a request to reset your password. Click the button below to create a new password:'],
+        action: { label: 'Reset Password', url: '{{resetUrl}}' },
+        notice: "Security Notice: This link will expire in 1 hour. If you didn't request a password reset, please ignore this email and your password will remain unchanged.",
+      },
+      es: {
+        subject: 'Restablecer contraseña - SaaS Pricing Calculator',
+        title: 'Solicitud de cambio de contraseña',
+        heading: 'Restablece tu contraseña',
+        intro: ['Hemos recibido una solicitud para restablecer tu contraseña. Pulsa el botón de abajo para crear una nueva:'],
+        action: { label: 'Restablecer contraseña', url: '{{resetUrl}}' },
+        notice: 'Aviso de seguridad: este enlace caduca en 1 hora. Si no lo has pedido tú, ignora este correo y tu contraseña seguirá igual.',
+      },
+    },
+  },
+
+  welcome: {
+    description: 'Sent when a subscription starts',
+    sample: { name: 'Jane', calculatorUrl: SAMPLE_URL, resourcesUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Welcome to SaaS Pricing Calculator! 🎉',
+        title: 'Welcome to SaaS Pricing Calculator!',
+        heading: 'Hi {{name}},',
+        intro: ["Your account has been successfully verified! You're now ready to optimize your SaaS pricing and unlock your revenue potential.", "Here's what you can do:"],
+        list: [
+          'Calculate optimal pricing tiers',
+          'Analyze competitor pricing',
+          'Generate professional PDF reports',
+          'Save and compare scenarios',
+          'Collaborate with your team',
+        ],
+        action: { label: 'Start Calculating', url: '{{calculatorUrl}}' },
+        outro: ['Need help? Our resources page has guides and tutorials: {{resourcesUrl}}. You can also reply to this email for support.'],
+      },
+      es: {
+        subject: '¡Bienvenido a SaaS Pricing Calculator! 🎉',
+        title: '¡Bienvenido a SaaS Pricing Calculator!',
+        heading: 'Hola {{name}}:',
+        intro: ['¡Tu cuenta está lista! Ya puedes optimizar los precios de tu SaaS y aprovechar todo tu potencial de ingresos.', 'Esto es lo que puedes hacer:'],
+        list: [
+          'Calcular los niveles de precio óptimos',
+          'Analizar los precios de la competencia',
+          'Generar informes PDF profesionales',
+          'Guardar y comparar escenarios',
+          'Colaborar con tu equipo',
+        ],
+        action: { label: 'Empezar a calcular', url: '{{calculatorUrl}}' },
+        outro: ['¿Necesitas ayuda? En nuestra página de recursos hay guías y tutoriales: {{resourcesUrl}}. También puedes responder a este correo.'],
+      },
+    },
+  },
+
+  team_invite: {
+    description: 'Sent to someone invited to a team',
+    sample: { teamName: 'Acme Pricing', inviterName: 'Jane', inviteUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: '{{inviterName}} invited you to join {{teamName}}',
+        title: 'Team Invitation',
+        heading: "You're invited to join {{teamName}}!",
+        intro: ['{{inviterName}} has invited you to collaborate on SaaS pricing calculations.', 'Join the team to:'],
+        list: [
+          'Share and collaborate on pricing calculations',
+          'Access team insights and reports',
+          'Work together on pricing strategies',
+        ],
+        action: { label: 'Join Team', url: '{{inviteUrl}}' },
+        outro: ['This invitation will expire in 7 days.'],
+      },
+      es: {
+        subject: '{{inviterName}} te ha invitado a {{teamName}}',
+        title: 'Invitación de equipo',
+        heading: '¡Te han invitado a {{teamName}}!',
+        intro: ['{{inviterName}} te ha invitado a colaborar en cálculos de precios SaaS.', 'Únete al equipo para:'],
+        list: [
+          'Compartir cálculos de precios y colaborar en ellos',
+          'Consultar los análisis e informes del equipo',
+          'Trabajar juntos en la estrategia de precios',
+        ],
+        action: { label: 'Unirme al equipo', url: '{{inviteUrl}}' },
+        outro: ['Esta invitación caduca en 7 días.'],
+      },
+    },
+  },
+
+  lead_confirmation: {
+    description: 'Double opt-in for addresses captured by the site popups',
+    sample: { confirmUrl: SAMPLE_URL, unsubscribeUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Confirm your subscription - SaaS Pricing Calculator',
+        title: 'Confirm Your Subscription',
+        intro: [
+          'Someone, hopefully you, asked to receive SaaS pricing tips from SaaS Pricing Calculator at this address.',
+          'Please confirm that you want these emails:',
+        ],
+        action: { label: 'Yes, Subscribe Me', url: '{{confirmUrl}}' },
+        outro: ["This link will expire in 48 hours. If you didn't ask for this, ignore this email and you won't hear from us."],
+      },
+      es: {
+        subject: 'Confirma tu suscripción - SaaS Pricing Calculator',
+        title: 'Confirma tu suscripción',
+        intro: [
+          'Alguien, esperamos que tú, ha pedido recibir consejos de precios SaaS de SaaS Pricing Calculator en esta dirección.',
+          'Confirma que quieres recibir estos correos:',
+        ],
+        action: { label: 'Sí, suscribirme', url: '{{confirmUrl}}' },
+        outro: ['Este enlace caduca en 48 horas. Si no lo has pedido tú, ignora este correo y no volverás a saber de nosotros.'],
+      },
+    },
+  },
+
+  trial_ending: {
+    description: 'Sent by Stripe three days before a trial converts',
+    sample: { name: 'Jane', trialEndDate: new Date('2025-12-01T00:00:00Z'), billingUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Your trial ends on {{trialEndDate}}',
+        title: 'Your Trial Is Ending Soon',
+        heading: 'Hi {{name}},',
+        intro: [
+          'Your free trial of SaaS Pricing Calculator ends on {{trialEndDate}}.',
+          "To keep your saved calculations, reports and team access, make sure your payment details are up to date. If you don't want to continue, you can cancel before then and won't be charged.",
+        ],
+        action: { label: 'Manage Subscription', url: '{{billingUrl}}' },
+      },
+      es: {
+        subject: 'Tu prueba termina el {{trialEndDate}}',
+        title: 'Tu prueba está a punto de terminar',
+        heading: 'Hola {{name}}:',
+        intro: [
+          'Tu prueba gratuita de SaaS Pricing Calculator termina el {{trialEndDate}}.',
+          'Para conservar tus cálculos, informes y el acceso de tu equipo, comprueba que tus datos de pago están al día. Si no quieres continuar, cancela antes de esa fecha y no se te cobrará nada.',
+        ],
+        action: { label: 'Gestionar suscripción', url: '{{billingUrl}}' },
+      },
+    },
+  },
+
+  payment_failed: {
+    description: 'Sent when Stripe fails to collect an invoice',
+    sample: { name: 'Jane', amount: '$79', updatePaymentUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Action needed: your payment of {{amount}} failed',
+        title: 'Payment Failed',
+        heading: 'Hi {{name}},',
+        intro: ["We couldn't collect your payment of {{amount}} for SaaS Pricing Calculator. Please update your payment method to keep your subscription active."],
+        action: { label: 'Update Payment Method', url: '{{updatePaymentUrl}}' },
+        notice: "We'll retry the payment over the next few days. If it keeps failing, your account will move to the Free plan.",
+      },
+      es: {
+        subject: 'Acción necesaria: no se pudo cobrar el pago de {{amount}}',
+        title: 'Pago fallido',
+        heading: 'Hola {{name}}:',
+        intro: ['No hemos podido cobrar tu pago de {{amount}} de SaaS Pricing Calculator. Actualiza tu método de pago para mantener tu suscripción activa.'],
+        action: { label: 'Actualizar método de pago', url: '{{updatePaymentUrl}}' },
+        notice: 'Volveremos a intentar el cobro en los próximos días. Si sigue fallando, tu cuenta pasará al plan gratuito.',
+      },
+    },
+  },
+
+  subscription_cancelled: {
+    description: 'Sent when a subscription ends',
+    sample: { name: 'Jane', pricingUrl: SAMPLE_URL },
+    locales: {
+      en: {
+        subject: 'Your subscription has been cancelled',
+        title: 'Subscription Cancelled',
+        heading: 'Hi {{name}},',
+        intro: [
+          'Your SaaS Pricing Calculator subscription has ended and your account is now on the Free plan.',
+          'Your saved calculations are still there. You can pick up where you left off at any time.',
+        ],
+        action: { label: 'See Plans', url: '{{pricingUrl}}' },
+      },
+      es: {
+        subject: 'Tu suscripción se ha cancelado',
+        title: 'Suscripción cancelada',
+        heading: 'Hola {{name}}:',
+        intro: [
+          'Tu suscripción a SaaS Pricing Calculator ha terminado y tu cuenta ha pasado al plan gratuito.',
+          'Tus cálculos guardados siguen ahí. Puedes retomarlos cuando quieras.',
+        ],
+        action: { label: 'Ver planes', url: '{{pricingUrl}}' },
+      },
+    },
+  },
+
+  weekly_digest: {
+    description: 'Monday summary of the calculations a user changed that week',
+    sample: {
+      name: 'Jane',
+      calculationCount: 2,
+      calculations: ['Q4 pricing review', 'Enterprise tier test'],
+      dashboardUrl: SAMPLE_URL,
+      settingsUrl: SAMPLE_URL,
+    },
+    locales: {
+      en: {
+        subject: 'Your week in pricing: {{calculationCount}} calculations updated',
+        title: 'Your Weekly Digest',
+        heading: 'Hi {{name}},',
+        intro: ['You created or updated {{calculationCount}} calculations this week:'],
+        list: ['{{calculations}}'],
+        action: { label: 'Open Dashboard', url: '{{dashboardUrl}}' },
+        outro: ['You can turn off the weekly digest in your profile settings: {{settingsUrl}}'],
+      },
+      es: {
+        subject: 'Tu semana en precios: {{calculationCount}} cálculos actualizados',
+        title: 'Tu resumen semanal',
+        heading: 'Hola {{name}}:',
+        intro: ['Esta semana has creado o actualizado {{calculationCount}} cálculos:'],
+        list: ['{{calculations}}'],
+        action: { label: 'Abrir panel', url: '{{dashboardUrl}}' },
+        outro: ['Puedes desactivar el resumen semanal en la configuración de tu perfil: {{settingsUrl}}'],
+      },
+    },
+  },
+};
+
+export interface RenderedEmail {
+  subject: string;
+  html: string;
+  text: string;
+  /** The locale actually used, after falling back */
+  locale: EmailLocale;
+}
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+export function isEmailTemplate(name: string): boolean {
+  return Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATES, name);
+}
+
+function getTemplate(name: string): EmailTemplate {
+  if (!isEmailTemplate(name)) {
+    throw new RangeError(`Unknown email template: ${name}`);
+  }
+  return EMAIL_TEMPLATES[name];
+}
+
+/** 'es-MX' and 'ES' both resolve to 'es'; anything unsupported to English */
+export function resolveEmailLocale(requested?: string | null): EmailLocale {
+  const language = requested?.trim().toLowerCase().split(/[-_]/)[0];
+  return EMAIL_LOCALES.find((locale) => locale === language) ?? DEFAULT_EMAIL_LOCALE;
+}
+
+function copyStrings(copy: TemplateCopy): string[] {
+  return [
+    copy.subject,
+    copy.title,
+    copy.heading ?? '',
+    ...copy.intro,
+    ...(copy.list ?? []),
+    copy.action?.label ?? '',
+    copy.action?.url ?? '',
+    ...(copy.outro ?? []),
+    copy.notice ?? '',
+  ];
+}
+
+/** Placeholders used by the English copy, which every translation must match */
+export function templateVariables(name: string): string[] {
+  const names = new Set<string>();
+  for (const text of copyStrings(getTemplate(name).locales.en)) {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+function formatValue(value: TemplateValue, locale: EmailLocale): string {
+  if (value instanceof Date) {
+    return value.toLocaleDateString(DATE_LOCALES[locale], {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC',
+    });
+  }
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function renderEmail(name: string, variables: TemplateVariables, requestedLocale?: string | null): RenderedEmail {
+  const template = getTemplate(name);
+  const missing = templateVariables(name).filter((key) => variables[key] === undefined || variables[key] === null);
+  if (missing.length > 0) {
+    throw new RangeError(`Email template ${name} is missing ${missing.join(', ')}`);
+  }
+
+  const preferred = resolveEmailLocale(requestedLocale);
+  const locale = template.locales[preferred] ? preferred : DEFAULT_EMAIL_LOCALE;
+  const copy = template.locales[locale] as TemplateCopy;
+  const layout = LAYOUT[locale];
+
+  const fill = (text: string) => text.replace(PLACEHOLDER, (_match, key: string) => formatValue(variables[key], locale));
+
+  // A list entry that is only an array placeholder becomes one bullet per item
+  const listItems = (copy.list ?? []).flatMap((entry) => {
+    const whole = entry.trim().match(/^\{\{\s*(\w+)\s*\}\}$/);
+    const value = whole ? variables[whole[1]] : undefined;
+    return Array.isArray(value) ? value.map(String) : [fill(entry)];
+  });
+
+  const subject = fill(copy.subject);
+  const title = fill(copy.title);
+  const heading = copy.heading ? fill(copy.heading) : null;
+  const intro = copy.intro.map(fill);
+  const outro = (copy.outro ?? []).map(fill);
+  const notice = copy.notice ? fill(copy.notice) : null;
+  const action = copy.action ? { label: fill(copy.action.label), url: fill(copy.action.url) } : null;
+  const unsubscribeUrl = typeof variables.unsubscribeUrl === 'string' ? variables.unsubscribeUrl : null;
+
+  const paragraphs = (lines: string[]) => lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n              ');
+
+  const html = `
+      <!DOCTYPE html>
+      <html lang="${locale}">
+        <head>
+          <meta charset="utf-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+            .warning { background: #fff3cd; border-left: 4px solid #ffc107; padding: 10px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${escapeHtml(title)}</h1>
+            </div>
+            <div class="content">
+              ${heading ? `<h2>${escapeHtml(heading)}</h2>` : ''}
+              ${paragraphs(intro)}
+              ${listItems.length > 0 ? `<ul>${listItems.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+              ${action ? `<div style="text-align: center;">
+                <a href="${escapeHtml(action.url)}" class="button">${escapeHtml(action.label)}</a>
+              </div>
+              <p>${escapeHtml(layout.copyLink)}</p>
+              <p style="word-break: break-all; color: #667eea;">${escapeHtml(action.url)}</p>` : ''}
+              ${paragraphs(outro)}
+              ${notice ? `<div class="warning">${escapeHtml(notice)}</div>` : ''}
+            </div>
+            <div class="footer">
+              <p>${escapeHtml(layout.copyright)}</p>
+              <p>${escapeHtml(layout.contact)}</p>
+              ${unsubscribeUrl ? `<p><a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(layout.unsubscribe)}</a></p>` : ''}
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+  const text = [
+    title,
+    heading,
+    ...intro,
+    listItems.map((item) => `- ${item}`).join('\n') || null,
+    action ? `${action.label}: ${action.url}` : null,
+    ...outro,
+    notice,
+    unsubscribeUrl ? `${layout.unsubscribe}: ${unsubscribeUrl}` : null,
+    layout.copyright,
+  ]
+    .filter((block): block is string => Boolean(block))
+    .join('\n\n');
+
+  return { subject, html, text, locale };
+}
+
+/** The template rendered with its sample values, for the admin preview */
+export function previewEmail(name: string, locale?: string | null, overrides: TemplateVariables = {}): RenderedEmail {
+  return renderEmail(name, { ...getTemplate(name).sample, ...overrides }, locale);
+}
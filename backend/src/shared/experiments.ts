@@ -0,0 +1,223 @@
+/**
+ * Experiments
+ * Deterministic variant assignment and result analysis for A/B tests.
+ *
+ * A unit (signed-in user or anonymous visitor) always lands in the same
+ * variant for a given experiment, so assignment needs no storage. Results
+ * compare each variant with the control (the first variant) and apply a
+ * sequential stop rule: a mixture SPRT whose p-values stay valid however
+ * often the results are checked, so peeking does not inflate false
+ * positives.
+ */
+
+import { hashToUnitInterval } from './hashing';
+
+/** Goals only the server records, from confirmed payments, so a page load can't fake one */
+export const SERVER_RECORDED_GOALS = ['purchase'];
+
+export interface ExperimentVariant {
+  key: string;
+  /** Relative share of traffic; weights need not sum to 100 */
+  weight: number;
+}
+
+export interface VariantCounts {
+  key: string;
+  /** Distinct units that saw the variant */
+  exposures: number;
+  /** Distinct exposed units that went on to convert */
+  conversions: number;
+}
+
+export interface AnalysisOptions {
+  /** Confidence level for intervals and the stop rule, e.g. 0.95 */
+  confidence?: number;
+  /** Exposures every variant needs before the experiment may stop */
+  minExposures?: number;
+  /** Standard deviation of the effect prior, as an absolute conversion-rate difference */
+  mixingSd?: number;
+}
+
+export interface VariantResult extends VariantCounts {
+  conversionRate: number;
+  /** Wilson score interval for the conversion rate */
+  interval: [number, number];
+  /** Relative change in conversion rate versus control; null for the control itself */
+  lift: number | null;
+  liftInterval: [number, number] | null;
+  /** Always-valid p-value against the control; null for the control itself */
+  pValue: number | null;
+  significant: boolean;
+}
+
+export interface ExperimentAnalysis {
+  control: string;
+  variants: VariantResult[];
+  /** Whether the sequential test has reached a decision */
+  shouldStop: boolean;
+  winner: string | null;
+  reason: string;
+}
+
+const DEFAULT_OPTIONS: Required<AnalysisOptions> = {
+  confidence: 0.95,
+  minExposures: 100,
+  mixingSd: 0.02,
+};
+
+/** Reject variant lists that cannot be split deterministically */
+export function validateVariants(variants: ExperimentVariant[]): void {
+  if (variants.length < 2) {
+    throw new RangeError('An experiment needs a control and at least one other variant');
+  }
+  if (new Set(variants.map(variant => variant.key)).size !== variants.length) {
+    throw new RangeError('Variant keys must be unique');
+  }
+  if (!variants.every(variant => Number.isFinite(variant.weight) && variant.weight > 0)) {
+    throw new RangeError('Variant weights must be positive numbers');
+  }
+}
+
+/** The variant a unit sees, proportional to the variant weights */
+export function assignVariant(experiment: string, variants: ExperimentVariant[], unitId: string): string {
+  validateVariants(variants);
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = hashToUnitInterval(`${experiment}:${unitId}`) * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) {
+      return variant.key;
+    }
+  }
+
+  return variants[variants.length - 1].key;
+}
+
+/** Inverse of the standard normal CDF (Acklam's approximation, accurate to ~1e-9) */
+export function normalQuantile(p: number): number {
+  if (!(p > 0 && p < 1)) {
+    throw new RangeError('Probability must be between 0 and 1');
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function wilsonInterval(conversions: number, exposures: number, z: number): [number, number] {
+  if (exposures === 0) return [0, 1];
+
+  const p = conversions / exposures;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * exposures)) / (1 + z2 / exposures);
+  const margin = (z / (1 + z2 / exposures)) * Math.sqrt((p * (1 - p)) / exposures + z2 / (4 * exposures * exposures));
+
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Always-valid p-value for a difference in conversion rates: the reciprocal
+ * of the normal-mixture likelihood ratio (Johari et al., 2017).
+ */
+function sequentialPValue(difference: number, variance: number, mixingVariance: number): number {
+  if (variance <= 0) return 1;
+
+  const likelihoodRatio = Math.sqrt(variance / (variance + mixingVariance)) *
+    Math.exp((mixingVariance * difference * difference) / (2 * variance * (variance + mixingVariance)));
+
+  return Math.min(1, 1 / likelihoodRatio);
+}
+
+/**
+ * Compare every variant with the control (the first entry). The stop rule
+ * splits the error budget across the comparisons (Bonferroni) and waits for
+ * `minExposures` in every variant.
+ */
+export function analyzeExperiment(counts: VariantCounts[], options: AnalysisOptions = {}): ExperimentAnalysis {
+  const { confidence, minExposures, mixingSd } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (counts.length < 2) {
+    throw new RangeError('An experiment needs a control and at least one other variant');
+  }
+  if (!(confidence > 0 && confidence < 1)) {
+    throw new RangeError('Confidence must be between 0 and 1');
+  }
+  if (counts.some(count => count.conversions < 0 || count.conversions > count.exposures)) {
+    throw new RangeError('Conversions must be between zero and the number of exposures');
+  }
+
+  const alpha = (1 - confidence) / (counts.length - 1);
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const [control] = counts;
+  const controlRate = control.exposures > 0 ? control.conversions / control.exposures : 0;
+  const controlVariance = control.exposures > 0 ? (controlRate * (1 - controlRate)) / control.exposures : 0;
+
+  const variants: VariantResult[] = counts.map((count, index) => {
+    const conversionRate = count.exposures > 0 ? count.conversions / count.exposures : 0;
+    const base = { ...count, conversionRate, interval: wilsonInterval(count.conversions, count.exposures, z) };
+
+    if (index === 0) {
+      return { ...base, lift: null, liftInterval: null, pValue: null, significant: false };
+    }
+
+    const difference = conversionRate - controlRate;
+    const variance = count.exposures > 0 && control.exposures > 0
+      ? (conversionRate * (1 - conversionRate)) / count.exposures + controlVariance
+      : 0;
+    const pValue = sequentialPValue(difference, variance, mixingSd * mixingSd);
+    const margin = z * Math.sqrt(variance);
+
+    return {
+      ...base,
+      // Relative lift and its interval scale the absolute difference by the control rate
+      lift: controlRate > 0 ? difference / controlRate : null,
+      liftInterval: controlRate > 0 ? [(difference - margin) / controlRate, (difference + margin) / controlRate] : null,
+      pValue,
+      significant: pValue < alpha,
+    };
+  });
+
+  const analysis = (shouldStop: boolean, winner: string | null, reason: string): ExperimentAnalysis =>
+    ({ control: control.key, variants, shouldStop, winner, reason });
+
+  if (counts.some(count => count.exposures < minExposures)) {
+    return analysis(false, null, `Waiting for ${minExposures} exposures in every variant`);
+  }
+
+  const significant = variants.filter(variant => variant.significant);
+  if (significant.length === 0) {
+    return analysis(false, null, 'No variant differs from control yet');
+  }
+
+  const better = significant.filter(variant => variant.conversionRate > controlRate);
+  if (better.length > 0) {
+    const best = better.reduce((top, variant) => (variant.conversionRate > top.conversionRate ? variant : top));
+    return analysis(true, best.key, `${best.key} outperforms control`);
+  }
+
+  // Control only wins once every challenger is significantly worse
+  if (significant.length === counts.length - 1) {
+    return analysis(true, control.key, 'Control outperforms every variant');
+  }
+
+  return analysis(false, null, 'Some variants trail control; the rest are undecided');
+}
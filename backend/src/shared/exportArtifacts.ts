@@ -0,0 +1,74 @@
+/**
+ * Export Artifacts
+ * Formats, retention and signed-link rules for batch export files.
+ *
+ * A batch export runs as a background job and leaves an artifact: the file
+ * in storage plus a row that expires after the retention period. Status and
+ * download links carry an expiry time and a signature over it, so they work
+ * without a session but stop working soon after they are handed out.
+ */
+
+export type BatchExportFormat = 'pdf' | 'excel' | 'zip';
+
+export const BATCH_EXPORT_FORMATS: BatchExportFormat[] = ['pdf', 'excel', 'zip'];
+
+export const ARTIFACT_FILE_TYPES: Record<BatchExportFormat, { extension: string; contentType: string }> = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  zip: { extension: 'zip', contentType: 'application/zip' },
+};
+
+export const EXPORT_RETENTION = {
+  defaultDays: 7,
+  /** How long a signed status or download link stays valid */
+  linkTtlMs: 15 * 60 * 1000,
+};
+
+export type SignedLinkPurpose = 'progress' | 'download';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The file a batch produces. One calculation exported as PDF or Excel is
+ * that file as-is; anything more is zipped. `zip` bundles a PDF and a
+ * workbook for each calculation.
+ */
+export function batchOutputFormat(format: BatchExportFormat, calculationCount: number): BatchExportFormat {
+  if (!BATCH_EXPORT_FORMATS.includes(format)) {
+    throw new RangeError(`Unknown export format "${format}"`);
+  }
+  if (!Number.isInteger(calculationCount) || calculationCount < 1) {
+    throw new RangeError('A batch needs at least one calculation');
+  }
+  return format === 'zip' || calculationCount > 1 ? 'zip' : format;
+}
+
+/** Storage key for an artifact, grouped by owner */
+export function artifactKey(userId: string, artifactId: string, format: BatchExportFormat): string {
+  return `exports/${userId}/${artifactId}.${ARTIFACT_FILE_TYPES[format].extension}`;
+}
+
+/** Download name, e.g. `batch-export-2025-12-01.zip` */
+export function artifactFilename(createdAt: Date, format: BatchExportFormat): string {
+  return `batch-export-${createdAt.toISOString().split('T')[0]}.${ARTIFACT_FILE_TYPES[format].extension}`;
+}
+
+export function artifactExpiresAt(createdAt: Date, retentionDays: number = EXPORT_RETENTION.defaultDays): Date {
+  if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+    throw new RangeError('Retention must be a whole number of days');
+  }
+  return new Date(createdAt.getTime() + retentionDays * DAY_MS);
+}
+
+/** The string a link signature covers; binding the purpose stops a status link being reused as a download */
+export function signedLinkMessage(purpose: SignedLinkPurpose, id: string, expires: number): string {
+  return `${purpose}:${id}:${expires}`;
+}
+
+/** Expiry (ms since epoch) from a link's `expires` query value; null when missing, malformed or past */
+export function parseLinkExpiry(value: unknown, now: Date = new Date()): number | null {
+  if (typeof value !== 'string' || !/^\d{1,15}$/.test(value)) return null;
+
+  const expires = Number(value);
+  return expires > now.getTime() ? expires : null;
+}
@@ -0,0 +1,102 @@
+/**
+ * Gabor-Granger Analysis
+ * Each respondent is asked whether they would buy at a series of prices.
+ * Demand at a price is the share of respondents whose highest accepted
+ * price is at or above it; revenue is price times demand, and the tested
+ * price with the highest revenue is the recommendation.
+ */
+
+import { CsvError, parseCsv, parseNumericCell } from './csv';
+import { round } from './pricingEngine';
+
+export interface GaborGrangerResponse {
+  respondent: string;
+  price: number;
+  willBuy: boolean;
+}
+
+export interface GaborGrangerPoint {
+  price: number;
+  /** Share of respondents who would buy at this price, in percent */
+  demand: number;
+  /** Expected revenue per 100 respondents */
+  revenueIndex: number;
+}
+
+export interface GaborGrangerAnalysis {
+  respondents: number;
+  points: GaborGrangerPoint[];
+  revenueMaximizingPrice: number;
+  /** Demand at the revenue-maximising price, in percent */
+  demandAtOptimum: number;
+}
+
+export const GABOR_GRANGER_COLUMNS = {
+  respondent: ['respondent', 'respondentid', 'id'],
+  price: ['price', 'pricepoint'],
+  willBuy: ['wouldbuy', 'willbuy', 'purchaseintent', 'intent', 'response'],
+};
+
+export const MIN_GABOR_GRANGER_RESPONDENTS = 5;
+
+const YES = ['yes', 'y', 'true', '1'];
+const NO = ['no', 'n', 'false', '0'];
+
+/**
+ * Parse a long-format export: one row per respondent and price, with a
+ * yes/no purchase answer.
+ */
+export function parseGaborGrangerCsv(text: string): GaborGrangerResponse[] {
+  return parseCsv(text, GABOR_GRANGER_COLUMNS).map(({ line, values }) => {
+    const price = parseNumericCell(values.price);
+    const answer = values.willBuy.toLowerCase();
+
+    if (!values.respondent) {
+      throw new CsvError('Respondent is missing', line);
+    }
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new CsvError(`"${values.price}" is not a valid price`, line);
+    }
+    if (!YES.includes(answer) && !NO.includes(answer)) {
+      throw new CsvError(`"${values.willBuy}" is not a yes/no answer`, line);
+    }
+
+    return { respondent: values.respondent, price, willBuy: YES.includes(answer) };
+  });
+}
+
+export function analyzeGaborGranger(responses: GaborGrangerResponse[]): GaborGrangerAnalysis {
+  // Highest price each respondent accepted; 0 when they declined every price
+  const highestAccepted = new Map<string, number>();
+  for (const { respondent, price, willBuy } of responses) {
+    const current = highestAccepted.get(respondent) ?? 0;
+    highestAccepted.set(respondent, willBuy ? Math.max(current, price) : current);
+  }
+
+  const respondents = highestAccepted.size;
+  if (respondents < MIN_GABOR_GRANGER_RESPONDENTS) {
+    throw new RangeError(
+      `At least ${MIN_GABOR_GRANGER_RESPONDENTS} respondents are needed; found ${respondents}`
+    );
+  }
+
+  const prices = Array.from(new Set(responses.map(response => response.price))).sort((a, b) => a - b);
+  if (prices.length < 2) {
+    throw new RangeError('At least two tested prices are needed to build a demand curve');
+  }
+
+  const accepted = Array.from(highestAccepted.values());
+  const points = prices.map(price => {
+    const demand = (accepted.filter(highest => highest >= price).length / respondents) * 100;
+    return { price, demand: round(demand, 1), revenueIndex: round(price * demand) };
+  });
+
+  const best = points.reduce((top, point) => (point.revenueIndex > top.revenueIndex ? point : top));
+
+  return {
+    respondents,
+    points,
+    revenueMaximizingPrice: best.price,
+    demandAtOptimum: best.demand,
+  };
+}
@@ -0,0 +1,467 @@
+/**
+ * Goal Seek
+ * Works the pricing engine backwards: given a target for one metric, the
+ * inputs free to change and their bounds, find input values that hit the
+ * target while any side constraints (e.g. LTV:CAC ≥ 3) hold.
+ *
+ * One free input is solved by bisection, scanning the range first so a
+ * target reached more than once resolves to the value nearest the current
+ * one. Several free inputs are solved by Nelder-Mead on a penalised
+ * objective that also prefers the smallest change from the current inputs.
+ *
+ * Framework-free like the engine; the calculator runs it in the browser.
+ */
+
+import {
+  calculateMetrics,
+  calculateOptimalPrice,
+  DEFAULT_CAC_MULTIPLE,
+  DEFAULT_CURRENCY,
+  PRICING_INPUT_DEFAULTS,
+  PRICING_INPUT_SCHEMA,
+  PricingInputField,
+  PricingInputs,
+  round,
+} from './pricingEngine';
+import { PROJECTION_HORIZONS, projectCohorts } from './projectionModel';
+import { ComparisonUnit, formatComparisonValue } from './scenarioSets';
+
+export type GoalMetric = 'arr' | 'mrr' | 'ltv' | 'ltvCacRatio' | 'paybackPeriod' | 'nrr' | 'ruleOf40';
+
+export interface GoalMetricDefinition {
+  key: GoalMetric;
+  label: string;
+  unit: ComparisonUnit;
+  /** Read from the cohort projection at a given month rather than from the engine */
+  byMonth: boolean;
+}
+
+export const GOAL_METRICS: GoalMetricDefinition[] = [
+  { key: 'arr', label: 'ARR', unit: 'currency', byMonth: true },
+  { key: 'mrr', label: 'MRR', unit: 'currency', byMonth: true },
+  { key: 'ltv', label: 'LTV', unit: 'currency', byMonth: false },
+  { key: 'ltvCacRatio', label: 'LTV:CAC', unit: 'ratio', byMonth: false },
+  { key: 'paybackPeriod', label: 'Payback period', unit: 'months', byMonth: false },
+  { key: 'nrr', label: 'NRR', unit: 'percent', byMonth: false },
+  { key: 'ruleOf40', label: 'Rule of 40', unit: 'percent', byMonth: false },
+];
+
+/** Inputs a user can ask the solver to choose */
+export const GOAL_VARIABLES: PricingInputField[] = [
+  'currentPrice',
+  'churnRate',
+  'cac',
+  'expansionRevenue',
+  'averageContractLength',
+  'newCustomersPerMonth',
+  'acquisitionGrowthRate',
+];
+
+export const GOAL_SEEK_LIMITS = {
+  maxVariables: 4,
+  maxConstraints: 4,
+  /** Latest month an ARR or MRR target can name */
+  maxMonth: PROJECTION_HORIZONS[PROJECTION_HORIZONS.length - 1],
+  defaultMonth: 12,
+};
+
+/** A target counts as hit within this fraction of its value */
+export const GOAL_SEEK_TOLERANCE = 0.005;
+
+export interface GoalCondition {
+  metric: GoalMetric;
+  value: number;
+  /** Month of the projection, for ARR and MRR; defaults to 12 */
+  month?: number;
+}
+
+export interface GoalConstraint extends GoalCondition {
+  operator: '>=' | '<=';
+}
+
+export interface GoalVariable {
+  field: PricingInputField;
+  min: number;
+  max: number;
+}
+
+export interface GoalSeekProblem {
+  target: GoalCondition;
+  variables: GoalVariable[];
+  constraints?: GoalConstraint[];
+}
+
+export interface ConstraintCheck extends GoalConstraint {
+  actual: number;
+  satisfied: boolean;
+}
+
+export interface GoalSeekResult {
+  feasible: boolean;
+  method: 'bisection' | 'nelder-mead';
+  /** Solved value of each free input; the closest attempt when infeasible */
+  values: Partial<Record<PricingInputField, number>>;
+  /** The full inputs with the solved values applied, ready to save */
+  inputs: PricingInputs;
+  /** Target metric at the solved values */
+  achieved: number;
+  constraints: ConstraintCheck[];
+  /** Engine runs spent on the search */
+  evaluations: number;
+  /** Why no solution was found; null when feasible */
+  reason: string | null;
+}
+
+const metricDefinition = (metric: GoalMetric) => GOAL_METRICS.find((definition) => definition.key === metric);
+
+/** `ARR at month 18`, `LTV:CAC ≥ 3:1` */
+export function describeCondition(condition: GoalCondition | GoalConstraint, currency: string = DEFAULT_CURRENCY): string {
+  const definition = metricDefinition(condition.metric) as GoalMetricDefinition;
+  const label = definition.byMonth
+    ? `${definition.label} at month ${condition.month ?? GOAL_SEEK_LIMITS.defaultMonth}`
+    : definition.label;
+  if (!('operator' in condition)) return label;
+
+  const operator = condition.operator === '>=' ? '≥' : '≤';
+  return `${label} ${operator} ${formatComparisonValue(condition.value, definition.unit, currency)}`;
+}
+
+function validateCondition(condition: GoalCondition, role: string): void {
+  const definition = metricDefinition(condition.metric);
+  if (!definition) throw new RangeError(`Unknown ${role} metric "${condition.metric}"`);
+  if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+    throw new RangeError(`The ${role} value for ${definition.label} must be a number`);
+  }
+  if (condition.month !== undefined) {
+    if (!definition.byMonth) throw new RangeError(`${definition.label} doesn't take a month`);
+    if (!Number.isInteger(condition.month) || condition.month < 1 || condition.month > GOAL_SEEK_LIMITS.maxMonth) {
+      throw new RangeError(`The month must be a whole number from 1 to ${GOAL_SEEK_LIMITS.maxMonth}`);
+    }
+  }
+}
+
+/** Throws a RangeError describing the first problem with `problem` */
+export function validateGoalSeekProblem(problem: GoalSeekProblem): void {
+  validateCondition(problem.target, 'target');
+
+  const { variables } = problem;
+  if (variables.length === 0) throw new RangeError('Choose at least one input to solve for');
+  if (variables.length > GOAL_SEEK_LIMITS.maxVariables) {
+    throw new RangeError(`Solve for at most ${GOAL_SEEK_LIMITS.maxVariables} inputs at once`);
+  }
+  if (new Set(variables.map((variable) => variable.field)).size !== variables.length) {
+    throw new RangeError('Each input can only be solved for once');
+  }
+
+  for (const { field, min, max } of variables) {
+    if (!GOAL_VARIABLES.includes(field)) {
+      throw new RangeError(`${PRICING_INPUT_SCHEMA[field]?.label ?? field} can't be solved for`);
+    }
+    const rule = PRICING_INPUT_SCHEMA[field];
+    if (![min, max].every((bound) => typeof bound === 'number' && Number.isFinite(bound))) {
+      throw new RangeError(`${rule.label}: both bounds must be numbers`);
+    }
+    if (min >= max) throw new RangeError(`${rule.label}: the lower bound must be below the upper bound`);
+    if (rule.min !== undefined && (rule.exclusiveMin ? min <= rule.min : min < rule.min)) {
+      throw new RangeError(`${rule.label}: the lower bound must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}`);
+    }
+    if (rule.max !== undefined && max > rule.max) {
+      throw new RangeError(`${rule.label}: the upper bound cannot exceed ${rule.max}`);
+    }
+  }
+
+  const constraints = problem.constraints ?? [];
+  if (constraints.length > GOAL_SEEK_LIMITS.maxConstraints) {
+    throw new RangeError(`Add at most ${GOAL_SEEK_LIMITS.maxConstraints} constraints`);
+  }
+  for (const constraint of constraints) {
+    validateCondition(constraint, 'constraint');
+    if (constraint.operator !== '>=' && constraint.operator !== '<=') {
+      throw new RangeError('A constraint must be ≥ or ≤');
+    }
+  }
+}
+
+/** Each condition's metric for `inputs`, with the engine's optimal price */
+function measure(inputs: PricingInputs, conditions: GoalCondition[]): number[] {
+  const optimalPrice = calculateOptimalPrice(inputs);
+  const metrics = calculateMetrics(inputs, optimalPrice);
+
+  const monthly = conditions.filter((condition) => metricDefinition(condition.metric)?.byMonth);
+  const lastMonth = Math.max(0, ...monthly.map((condition) => condition.month ?? GOAL_SEEK_LIMITS.defaultMonth));
+  const months = lastMonth > 0
+    ? projectCohorts(inputs, optimalPrice, {
+      horizonMonths: PROJECTION_HORIZONS.find((horizon) => horizon >= lastMonth),
+    }).months
+    : [];
+
+  return conditions.map((condition) => {
+    const month = condition.month ?? GOAL_SEEK_LIMITS.defaultMonth;
+    switch (condition.metric) {
+      case 'arr':
+        return months[month].arr;
+      case 'mrr':
+        return months[month].mrr;
+      default:
+        return metrics[condition.metric];
+    }
+  });
+}
+
+/** The value a free input starts from: as entered, else what the engine assumes */
+function currentValue(inputs: PricingInputs, field: PricingInputField): number {
+  const entered = inputs[field];
+  if (entered !== undefined) return entered;
+  if (field === 'cac') return calculateOptimalPrice(inputs) * DEFAULT_CAC_MULTIPLE;
+  return (PRICING_INPUT_DEFAULTS as Partial<Record<PricingInputField, number>>)[field] ?? 0;
+}
+
+const clamp = (value: number, min: number, max: number) => Math.min(Math.max(value, min), max);
+
+// Residuals and violations are scaled by the size of the value they're
+// measured against, so a $1M ARR target and a 3:1 ratio weigh alike
+const scaleOf = (value: number) => Math.max(Math.abs(value), 1);
+
+const withinTolerance = (actual: number, target: number) =>
+  Math.abs(actual - target) <= scaleOf(target) * GOAL_SEEK_TOLERANCE;
+
+const violation = (constraint: GoalConstraint, actual: number) =>
+  Math.max(0, constraint.operator === '>=' ? constraint.value - actual : actual - constraint.value);
+
+const isSatisfied = (constraint: GoalConstraint, actual: number) =>
+  violation(constraint, actual) <= scaleOf(constraint.value) * GOAL_SEEK_TOLERANCE;
+
+interface Evaluation {
+  values: number[];
+  residual: number;
+  violations: number[];
+}
+
+const BISECTION_SCAN_POINTS = 40;
+const BISECTION_STEPS = 60;
+const NELDER_MEAD_MAX_STEPS = 500;
+const CONSTRAINT_PENALTY = 100;
+// Small enough not to pull the solution off the target, large enough to
+// pick the nearest of many solutions
+const CHANGE_PENALTY = 1e-4;
+
+/**
+ * Find inputs that hit `problem.target`. Throws a RangeError when the
+ * problem itself is invalid; an unreachable target is reported with
+ * `feasible: false`, the closest attempt and the reason.
+ */
+export function goalSeek(inputs: PricingInputs, problem: GoalSeekProblem): GoalSeekResult {
+  validateGoalSeekProblem(problem);
+
+  const { target, variables } = problem;
+  const constraints = problem.constraints ?? [];
+  const conditions: GoalCondition[] = [target, ...constraints];
+  const currency = inputs.currency ?? DEFAULT_CURRENCY;
+  let evaluations = 0;
+
+  const apply = (point: number[]): PricingInputs => {
+    const solved: PricingInputs = { ...inputs };
+    variables.forEach(({ field }, index) => {
+      (solved as unknown as Record<string, number>)[field] = point[index];
+    });
+    return solved;
+  };
+
+  const evaluate = (point: number[]): Evaluation => {
+    evaluations++;
+    const [achieved, ...actuals] = measure(apply(point), conditions);
+    return {
+      values: [achieved, ...actuals],
+      residual: achieved - target.value,
+      violations: constraints.map((constraint, index) => violation(constraint, actuals[index])),
+    };
+  };
+
+  const starting = variables.map(({ field, min, max }) => clamp(currentValue(inputs, field), min, max));
+  const solved = variables.length === 1
+    ? bisect(variables[0], starting[0], evaluate, target, constraints)
+    : nelderMead(variables, starting, evaluate, target);
+
+  const point = solved.point.map((value) => round(value, 2));
+  const solvedInputs = apply(point);
+  const [achieved, ...actuals] = measure(solvedInputs, conditions);
+  const checks = constraints.map((constraint, index) => ({
+    ...constraint,
+    actual: actuals[index],
+    satisfied: isSatisfied(constraint, actuals[index]),
+  }));
+
+  const hit = withinTolerance(achieved, target.value);
+  const broken = checks.filter((check) => !check.satisfied);
+
+  const format = (value: number) => formatComparisonValue(value, metricDefinition(target.metric)!.unit, currency);
+  let reason: string | null = null;
+  if (!hit) {
+    const reach = solved.span
+      ? `it ranges from ${format(solved.span[0])} to ${format(solved.span[1])} within the bounds`
+      : `the closest is ${format(achieved)}`;
+    reason = `${describeCondition(target, currency)} can't reach ${format(target.value)}; ${reach}`;
+  } else if (broken.length > 0) {
+    reason = `The target can't be hit while ${broken.map((check) => describeCondition(check, currency)).join(' and ')}`;
+  }
+
+  return {
+    feasible: reason === null,
+    method: variables.length === 1 ? 'bisection' : 'nelder-mead',
+    values: Object.fromEntries(variables.map(({ field }, index) => [field, point[index]])),
+    inputs: solvedInputs,
+    achieved,
+    constraints: checks,
+    evaluations,
+    reason,
+  };
+}
+
+interface Solution {
+  point: number[];
+  /** Lowest and highest target value seen, when the scan never crossed the target */
+  span?: [number, number];
+}
+
+/**
+ * Scan the range for every crossing of the target, bisect each one, and
+ * keep the root nearest the current value that satisfies the constraints.
+ * A crossing at a jump in the engine (e.g. a churn band edge) bisects to
+ * the jump and is rejected by the tolerance check.
+ */
+function bisect(
+  variable: GoalVariable,
+  start: number,
+  evaluate: (point: number[]) => Evaluation,
+  target: GoalCondition,
+  constraints: GoalConstraint[]
+): Solution {
+  const { min, max } = variable;
+  const step = (max - min) / BISECTION_SCAN_POINTS;
+  const scan = Array.from({ length: BISECTION_SCAN_POINTS + 1 }, (_, index) => {
+    const x = index === BISECTION_SCAN_POINTS ? max : min + step * index;
+    return { x, ...evaluate([x]) };
+  });
+
+  const roots: Array<{ x: number } & Evaluation> = [];
+  for (let index = 0; index < scan.length; index++) {
+    const right = scan[index];
+    if (right.residual === 0) {
+      roots.push(right);
+      continue;
+    }
+    const left = scan[index - 1];
+    if (!left || left.residual === 0 || Math.sign(left.residual) === Math.sign(right.residual)) continue;
+
+    let low = left;
+    let high = right;
+    for (let i = 0; i < BISECTION_STEPS && high.x - low.x > (max - min) * 1e-12; i++) {
+      const x = (low.x + high.x) / 2;
+      const middle = { x, ...evaluate([x]) };
+      if (middle.residual === 0) {
+        low = middle;
+        high = middle;
+        break;
+      }
+      if (Math.sign(middle.residual) === Math.sign(low.residual)) low = middle;
+      else high = middle;
+    }
+    roots.push(Math.abs(low.residual) <= Math.abs(high.residual) ? low : high);
+  }
+
+  const hits = roots.filter((root) => withinTolerance(root.values[0], target.value));
+  const valid = hits.filter((root) => constraints.every((constraint, index) => isSatisfied(constraint, root.values[index + 1])));
+  const nearest = (candidates: Array<{ x: number }>) =>
+    candidates.reduce((best, candidate) => (Math.abs(candidate.x - start) < Math.abs(best.x - start) ? candidate : best));
+
+  if (valid.length > 0) return { point: [nearest(valid).x] };
+  if (hits.length > 0) {
+    // Reachable, but not within the constraints: report the least violating hit
+    const worst = (root: Evaluation) => Math.max(0, ...root.violations.map((amount, index) => amount / scaleOf(constraints[index].value)));
+    return { point: [hits.reduce((best, root) => (worst(root) < worst(best) ? root : best)).x] };
+  }
+
+  const closest = scan.reduce((best, point) => (Math.abs(point.residual) < Math.abs(best.residual) ? point : best));
+  const achieved = scan.map((point) => point.values[0]);
+  return {
+    point: [closest.x],
+    span: roots.length === 0 ? [Math.min(...achieved), Math.max(...achieved)] : undefined,
+  };
+}
+
+/**
+ * Nelder-Mead over the box scaled to [0, 1] per input, minimising the
+ * squared relative miss of the target plus heavily weighted constraint
+ * violations and a light pull toward the starting values. Restarted from
+ * the starting values and from the middle of the box; the better run wins.
+ */
+function nelderMead(
+  variables: GoalVariable[],
+  start: number[],
+  evaluate: (point: number[]) => Evaluation,
+  target: GoalCondition
+): Solution {
+  const size = variables.length;
+  const toInput = (unit: number[]) => unit.map((value, index) => {
+    const { min, max } = variables[index];
+    return min + clamp(value, 0, 1) * (max - min);
+  });
+  const startUnit = start.map((value, index) => (value - variables[index].min) / (variables[index].max - variables[index].min));
+
+  const cost = (unit: number[]): number => {
+    const { residual, violations } = evaluate(toInput(unit));
+    const outside = unit.reduce((sum, value) => sum + (value < 0 ? -value : value > 1 ? value - 1 : 0) ** 2, 0);
+    const change = unit.reduce((sum, value, index) => sum + (value - startUnit[index]) ** 2, 0);
+    const penalty = violations.reduce((sum, amount) => sum + amount ** 2, 0);
+    return (residual / scaleOf(target.value)) ** 2
+      + CONSTRAINT_PENALTY * (penalty + outside)
+      + CHANGE_PENALTY * change;
+  };
+
+  const run = (origin: number[]) => {
+    let simplex = [origin, ...origin.map((_, axis) => origin.map((value, index) => (
+      index === axis ? (value > 0.5 ? value - 0.25 : value + 0.25) : value
+    )))].map((point) => ({ point, cost: cost(point) }));
+
+    for (let step = 0; step < NELDER_MEAD_MAX_STEPS; step++) {
+      simplex.sort((a, b) => a.cost - b.cost);
+      const best = simplex[0];
+      const worst = simplex[size];
+      if (worst.cost - best.cost < 1e-16 && step > 0) break;
+
+      const centroid = Array.from({ length: size }, (_, axis) =>
+        simplex.slice(0, size).reduce((sum, vertex) => sum + vertex.point[axis], 0) / size);
+      const along = (factor: number) => {
+        const point = centroid.map((value, axis) => value + factor * (worst.point[axis] - value));
+        return { point, cost: cost(point) };
+      };
+
+      const reflected = along(-1);
+      if (reflected.cost < best.cost) {
+        const expanded = along(-2);
+        simplex[size] = expanded.cost < reflected.cost ? expanded : reflected;
+      } else if (reflected.cost < simplex[size - 1].cost) {
+        simplex[size] = reflected;
+      } else {
+        const contracted = reflected.cost < worst.cost ? along(-0.5) : along(0.5);
+        if (contracted.cost < Math.min(worst.cost, reflected.cost)) {
+          simplex[size] = contracted;
+        } else {
+          simplex = simplex.map((vertex, index) => {
+            if (index === 0) return vertex;
+            const point = vertex.point.map((value, axis) => best.point[axis] + 0.5 * (value - best.point[axis]));
+            return { point, cost: cost(point) };
+          });
+        }
+      }
+    }
+
+    return simplex.reduce((best, vertex) => (vertex.cost < best.cost ? vertex : best));
+  };
+
+  const middle = Array<number>(size).fill(0.5);
+  const runs = [run(startUnit), run(middle)];
+  const best = runs.reduce((winner, candidate) => (candidate.cost < winner.cost ? candidate : winner));
+
+  return { point: toInput(best.point) };
+}
@@ -0,0 +1,20 @@
+/**
+ * Hashing
+ * Stable, dependency-free hashing for bucketing users into rollouts and
+ * experiment variants. Identical on the API and in the browser.
+ */
+
+/** 32-bit FNV-1a hash of a string, as an unsigned integer */
+export function fnv1a(input: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** Map a string onto [0, 1) */
+export function hashToUnitInterval(input: string): number {
+  return fnv1a(input) / 0x100000000;
+}
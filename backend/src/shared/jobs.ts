@@ -0,0 +1,65 @@
+/**
+ * Background Jobs
+ * Job types, lifecycle and retry timing for the `BackgroundJob` queue.
+ *
+ * A job is `pending` until a worker claims it and moves it to
+ * `processing`. A failed run goes back to `pending` with `scheduledAt`
+ * pushed out by an exponential backoff, until its attempts run out and it
+ * ends `failed`. Pending and processing jobs can be cancelled; failed and
+ * cancelled ones can be retried with a fresh set of attempts.
+ */
+
+export type JobType = 'ai_analysis' | 'report_generation' | 'email_notification';
+
+export const JOB_TYPES: JobType[] = ['ai_analysis', 'report_generation', 'email_notification'];
+
+export type JobStatus = 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled';
+
+export const JOB_STATUSES: JobStatus[] = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+
+export const JOB_RETRY = {
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  /** How often a running job tells the queue its worker is still alive */
+  heartbeatMs: 60 * 1000,
+  /** A processing job with no heartbeat for this long is assumed lost with its worker */
+  staleAfterMs: 10 * 60 * 1000,
+};
+
+export function isJobType(value: unknown): value is JobType {
+  return JOB_TYPES.includes(value as JobType);
+}
+
+/** Delay before the next run after `attempt` failed runs: 1, 2, 4... minutes, capped at an hour */
+export function retryDelayMs(attempt: number): number {
+  if (!Number.isInteger(attempt) || attempt < 1) {
+    throw new RangeError('Attempt must be a positive integer');
+  }
+  return Math.min(JOB_RETRY.baseDelayMs * 2 ** (attempt - 1), JOB_RETRY.maxDelayMs);
+}
+
+/** What a failed run turns into: another try later, or the end of the line */
+export function nextAfterFailure(
+  attempts: number,
+  maxAttempts: number,
+  now: Date = new Date()
+): { status: 'pending'; scheduledAt: Date } | { status: 'failed' } {
+  if (attempts >= maxAttempts) {
+    return { status: 'failed' };
+  }
+  return { status: 'pending', scheduledAt: new Date(now.getTime() + retryDelayMs(attempts)) };
+}
+
+export function canCancelJob(status: string): boolean {
+  return status === 'pending' || status === 'processing';
+}
+
+export function canRetryJob(status: string): boolean {
+  return status === 'failed' || status === 'cancelled';
+}
+
+/** Whole percent between 0 and 100 from items done out of a total */
+export function jobProgress(done: number, total: number): number {
+  if (total <= 0) return 100;
+  return Math.max(0, Math.min(100, Math.round((done / total) * 100)));
+}
@@ -0,0 +1,69 @@
+/**
+ * Leads
+ * Email capture shared by the API and the app: where a lead can come from,
+ * the consent wording each capture agrees to, and how captured context is
+ * cleaned before it is stored.
+ *
+ * Consent statements are versioned and never edited in place; a new wording
+ * gets a new version so every stored capture still points at the text the
+ * visitor actually saw.
+ */
+
+export type LeadSource = 'pricing_guide' | 'exit_intent' | 'free_trial' | 'newsletter';
+
+export const LEAD_SOURCES: LeadSource[] = ['pricing_guide', 'exit_intent', 'free_trial', 'newsletter'];
+
+export type LeadStatus = 'PENDING' | 'CONFIRMED' | 'UNSUBSCRIBED';
+
+export const CONSENT_STATEMENTS: Record<string, string> = {
+  'marketing-2025-11':
+    'Email me what I asked for and occasional SaaS pricing tips. I can unsubscribe at any time.',
+};
+
+export const CURRENT_CONSENT_VERSION = 'marketing-2025-11';
+
+export type LeadContext = Record<string, string | number | boolean>;
+
+const MAX_CONTEXT_KEYS = 20;
+const MAX_CONTEXT_KEY_LENGTH = 50;
+const MAX_CONTEXT_VALUE_LENGTH = 200;
+
+export function isLeadSource(value: unknown): value is LeadSource {
+  return typeof value === 'string' && (LEAD_SOURCES as string[]).includes(value);
+}
+
+/** The address leads are deduplicated on */
+export function normalizeLeadEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+/** The exact wording behind a consent version; throws for versions that never existed */
+export function consentStatement(version: string = CURRENT_CONSENT_VERSION): string {
+  const statement = CONSENT_STATEMENTS[version];
+  if (!statement) {
+    throw new RangeError(`Unknown consent version: ${version}`);
+  }
+  return statement;
+}
+
+/**
+ * Keep only flat, short values from the context a popup sends (offer shown,
+ * page, UTM tags). Nested objects and oversized entries are dropped.
+ */
+export function sanitizeLeadContext(context: unknown): LeadContext {
+  if (!context || typeof context !== 'object' || Array.isArray(context)) return {};
+
+  const clean: LeadContext = {};
+  for (const [key, value] of Object.entries(context)) {
+    if (Object.keys(clean).length >= MAX_CONTEXT_KEYS) break;
+    if (key.length > MAX_CONTEXT_KEY_LENGTH) continue;
+
+    if (typeof value === 'string') {
+      clean[key] = value.slice(0, MAX_CONTEXT_VALUE_LENGTH);
+    } else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean') {
+      clean[key] = value;
+    }
+  }
+
+  return clean;
+}
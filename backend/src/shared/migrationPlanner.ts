@@ -0,0 +1,295 @@
+/**
+ * Price Migration Planner
+ * Models moving from one price book to another: new customers pay the new
+ * prices straight away, existing customers keep their old price for a
+ * grandfathering window and then step up on a schedule, losing extra
+ * customers at each step. Every month is compared with simply keeping the
+ * old prices, which gives the break-even month.
+ *
+ * Acquisition is the same in both scenarios; demand effects of the new
+ * prices belong to the elasticity model.
+ */
+
+import { DEFAULT_CURRENCY, round } from './pricingEngine';
+
+export interface CurrentPlan {
+  plan: string;
+  price: number;
+  customers: number;
+}
+
+export interface NewPlan {
+  plan: string;
+  price: number;
+}
+
+export interface MigrationStep {
+  /** Month the step takes effect, counted from launch (month 1) */
+  month: number;
+  /** Share of the price change applied from this month on, cumulative, in percent */
+  increasePercent: number;
+  /** Extra share of affected customers lost in the step month, in percent */
+  churnUplift?: number;
+}
+
+export interface MigrationPlanInputs {
+  currentPriceBook: CurrentPlan[];
+  newPriceBook: NewPlan[];
+  /** Months existing customers keep their old price */
+  grandfatheringMonths: number;
+  /** Defaults to the full change in the month after grandfathering ends */
+  steps?: MigrationStep[];
+  /** Applied to steps that don't set their own churnUplift */
+  churnUpliftPerStep?: number;
+  /** Monthly churn, in percent */
+  churnRate: number;
+  newCustomersPerMonth?: number;
+  horizonMonths: number;
+}
+
+export interface MigrationMonth {
+  month: number;
+  existingCustomers: number;
+  existingMrr: number;
+  newCustomers: number;
+  newMrr: number;
+  mrr: number;
+  /** MRR had prices stayed the same */
+  baselineMrr: number;
+  difference: number;
+  cumulativeDifference: number;
+}
+
+export interface RolloutEvent {
+  month: number;
+  plan: string | null;
+  description: string;
+  fromPrice: number | null;
+  toPrice: number | null;
+  affectedCustomers: number;
+}
+
+export interface MigrationPlan {
+  months: MigrationMonth[];
+  /** First month from which the plan stays ahead of keeping old prices; null if it never does */
+  breakEvenMonth: number | null;
+  /** Existing customers lost to price steps beyond normal churn */
+  customersLostToSteps: number;
+  timeline: RolloutEvent[];
+}
+
+export class MigrationPlanError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MigrationPlanError';
+  }
+}
+
+function resolveSteps(inputs: MigrationPlanInputs): MigrationStep[] {
+  const steps = inputs.steps?.length
+    ? [...inputs.steps].sort((a, b) => a.month - b.month)
+    : [{ month: inputs.grandfatheringMonths + 1, increasePercent: 100 }];
+
+  steps.forEach((step, index) => {
+    if (!Number.isInteger(step.month) || step.month < 1) {
+      throw new MigrationPlanError('Step months must be whole months from 1');
+    }
+    if (step.month <= inputs.grandfatheringMonths) {
+      throw new MigrationPlanError(`Step in month ${step.month} falls inside the grandfathering window`);
+    }
+    if (step.increasePercent < 0 || step.increasePercent > 100) {
+      throw new MigrationPlanError('Step increases are a cumulative share of the change, 0-100%');
+    }
+    if (index > 0 && step.increasePercent < steps[index - 1].increasePercent) {
+      throw new MigrationPlanError('Steps cannot take back an increase already applied');
+    }
+    if (index > 0 && step.month === steps[index - 1].month) {
+      throw new MigrationPlanError(`Two steps are scheduled for month ${step.month}`);
+    }
+  });
+
+  return steps;
+}
+
+function validate(inputs: MigrationPlanInputs): void {
+  if (inputs.currentPriceBook.length === 0) {
+    throw new MigrationPlanError('The current price book is empty');
+  }
+  for (const plan of inputs.currentPriceBook) {
+    if (!inputs.newPriceBook.some(candidate => candidate.plan === plan.plan)) {
+      throw new MigrationPlanError(`"${plan.plan}" has no price in the new price book`);
+    }
+    if (plan.price < 0 || plan.customers < 0) {
+      throw new MigrationPlanError(`"${plan.plan}" has a negative price or customer count`);
+    }
+  }
+  if (inputs.newPriceBook.some(plan => plan.price < 0)) {
+    throw new MigrationPlanError('New prices cannot be negative');
+  }
+  if (!(inputs.horizonMonths >= 1) || inputs.grandfatheringMonths < 0) {
+    throw new MigrationPlanError('Horizon must be at least a month and grandfathering cannot be negative');
+  }
+}
+
+export function planPriceMigration(inputs: MigrationPlanInputs): MigrationPlan {
+  validate(inputs);
+  const steps = resolveSteps(inputs);
+
+  const churn = inputs.churnRate / 100;
+  const acquisition = inputs.newCustomersPerMonth ?? 0;
+  const totalExisting = inputs.currentPriceBook.reduce((sum, plan) => sum + plan.customers, 0);
+
+  const plans = inputs.currentPriceBook.map(current => {
+    const next = inputs.newPriceBook.find(candidate => candidate.plan === current.plan)!;
+    return {
+      ...current,
+      newPrice: next.price,
+      // New customers arrive in the same mix as today's base
+      mix: totalExisting > 0 ? current.customers / totalExisting : 1 / inputs.currentPriceBook.length,
+      existing: current.customers,
+      baselineExisting: current.customers,
+      /** Customers still on the plan when each step lands, by month */
+      atStep: new Map<number, number>(),
+    };
+  });
+
+  const priceFraction = (month: number) => {
+    let fraction = 0;
+    for (const step of steps) {
+      if (step.month <= month) fraction = step.increasePercent / 100;
+    }
+    return fraction;
+  };
+
+  let acquired = 0;
+  let cumulativeDifference = 0;
+  let customersLostToSteps = 0;
+  const months: MigrationMonth[] = [];
+
+  // Run on to the last step even past the horizon so the timeline can say
+  // how many customers each step reaches
+  const lastMonth = Math.max(inputs.horizonMonths, steps[steps.length - 1].month);
+
+  for (let month = 1; month <= lastMonth; month++) {
+    const step = steps.find(candidate => candidate.month === month);
+    const fraction = priceFraction(month);
+
+    let existingMrr = 0;
+    let existingCustomers = 0;
+    let baselineMrr = 0;
+
+    for (const plan of plans) {
+      plan.existing *= 1 - churn;
+      plan.baselineExisting *= 1 - churn;
+
+      if (step) plan.atStep.set(month, plan.existing);
+      if (step && plan.newPrice > plan.price) {
+        const uplift = (step.churnUplift ?? inputs.churnUpliftPerStep ?? 0) / 100;
+        if (month <= inputs.horizonMonths) customersLostToSteps += plan.existing * uplift;
+        plan.existing *= 1 - uplift;
+      }
+
+      existingCustomers += plan.existing;
+      existingMrr += plan.existing * (plan.price + (plan.newPrice - plan.price) * fraction);
+      baselineMrr += plan.baselineExisting * plan.price;
+    }
+
+    acquired = acquired * (1 - churn) + acquisition;
+    const newMrr = plans.reduce((sum, plan) => sum + acquired * plan.mix * plan.newPrice, 0);
+    baselineMrr += plans.reduce((sum, plan) => sum + acquired * plan.mix * plan.price, 0);
+
+    if (month > inputs.horizonMonths) continue;
+
+    const mrr = existingMrr + newMrr;
+    cumulativeDifference += mrr - baselineMrr;
+
+    months.push({
+      month,
+      existingCustomers: round(existingCustomers, 1),
+      existingMrr: round(existingMrr),
+      newCustomers: round(acquired, 1),
+      newMrr: round(newMrr),
+      mrr: round(mrr),
+      baselineMrr: round(baselineMrr),
+      difference: round(mrr - baselineMrr),
+      cumulativeDifference: round(cumulativeDifference),
+    });
+  }
+
+  let breakEvenMonth: number | null = null;
+  for (let i = months.length - 1; i >= 0 && months[i].cumulativeDifference >= 0; i--) {
+    breakEvenMonth = months[i].month;
+  }
+
+  return {
+    months,
+    breakEvenMonth,
+    customersLostToSteps: round(customersLostToSteps, 1),
+    timeline: buildTimeline(inputs, steps, plans),
+  };
+}
+
+function buildTimeline(
+  inputs: MigrationPlanInputs,
+  steps: MigrationStep[],
+  plans: Array<CurrentPlan & { newPrice: number; atStep: Map<number, number> }>
+): RolloutEvent[] {
+  const events: RolloutEvent[] = plans.map(plan => ({
+    month: 1,
+    plan: plan.plan,
+    description: `New customers on ${plan.plan} pay the new price`,
+    fromPrice: plan.price,
+    toPrice: plan.newPrice,
+    affectedCustomers: 0,
+  }));
+
+  if (inputs.grandfatheringMonths > 0) {
+    events.push({
+      month: inputs.grandfatheringMonths + 1,
+      plan: null,
+      description: `Grandfathering ends after ${inputs.grandfatheringMonths} months`,
+      fromPrice: null,
+      toPrice: null,
+      affectedCustomers: 0,
+    });
+  }
+
+  let previousFraction = 0;
+  for (const step of steps) {
+    const fraction = step.increasePercent / 100;
+    for (const plan of plans) {
+      const fromPrice = round(plan.price + (plan.newPrice - plan.price) * previousFraction);
+      const toPrice = round(plan.price + (plan.newPrice - plan.price) * fraction);
+      if (fromPrice === toPrice) continue;
+
+      events.push({
+        month: step.month,
+        plan: plan.plan,
+        description: `Existing ${plan.plan} customers move to ${step.increasePercent}% of the new price`,
+        fromPrice,
+        toPrice,
+        affectedCustomers: round(plan.atStep.get(step.month) ?? 0, 1),
+      });
+    }
+    previousFraction = fraction;
+  }
+
+  return events.sort((a, b) => a.month - b.month);
+}
+
+/** The rollout timeline as CSV, for sharing with the teams doing the rollout */
+export function rolloutTimelineToCsv(timeline: RolloutEvent[], currency: string = DEFAULT_CURRENCY): string {
+  const escape = (value: string | number | null) => {
+    const text = value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    ['Month', 'Plan', 'Change', `From Price (${currency})`, `To Price (${currency})`, 'Customers Affected'].join(','),
+    ...timeline.map(event =>
+      [event.month, event.plan, event.description, event.fromPrice, event.toPrice, event.affectedCustomers]
+        .map(escape)
+        .join(',')
+    ),
+  ].join('\n');
+}
@@ -0,0 +1,345 @@
+/**
+ * Monte Carlo Uncertainty Analysis
+ * Re-runs the pricing engine and cohort projection with uncertain inputs
+ * drawn from ranges or distributions, and reports the spread of outcomes:
+ * percentiles per metric, a percentile fan of ARR by month, and a tornado
+ * of which inputs move each metric most.
+ *
+ * Sampling uses a seeded generator so a run can be repeated exactly.
+ * Framework-free; the calculator runs it in a Web Worker.
+ */
+
+import {
+  calculateMetrics,
+  calculateOptimalPrice,
+  PRICING_INPUT_SCHEMA,
+  PricingInputField,
+  PricingInputs,
+  round,
+} from './pricingEngine';
+import { DEFAULT_PROJECTION_HORIZON, ProjectionHorizon, projectCohorts } from './projectionModel';
+
+export type InputDistribution =
+  /** Every value between min and max equally likely */
+  | { type: 'uniform'; min: number; max: number }
+  | { type: 'triangular'; min: number; mode: number; max: number }
+  | { type: 'normal'; mean: number; sd: number }
+  /** Mean and sd of the value itself, not of its logarithm; never negative */
+  | { type: 'lognormal'; mean: number; sd: number };
+
+export type DistributionType = InputDistribution['type'];
+
+export const DISTRIBUTION_TYPES: DistributionType[] = ['uniform', 'triangular', 'normal', 'lognormal'];
+
+/** Inputs worth treating as uncertain, in the order the calculator lists them */
+export const UNCERTAIN_INPUTS: PricingInputField[] = [
+  'currentPrice',
+  'customers',
+  'churnRate',
+  'cac',
+  'expansionRevenue',
+  'averageContractLength',
+  'newCustomersPerMonth',
+  'acquisitionGrowthRate',
+];
+
+export type InputDistributions = Partial<Record<PricingInputField, InputDistribution>>;
+
+export const MONTE_CARLO_LIMITS = {
+  minIterations: 100,
+  maxIterations: 10000,
+  defaultIterations: 1000,
+};
+
+export type SimulationOutput = 'arr' | 'ltv' | 'ltvCacRatio' | 'paybackPeriod';
+
+export const SIMULATION_OUTPUTS: Array<{ key: SimulationOutput; label: string }> = [
+  { key: 'arr', label: 'ARR at end of projection' },
+  { key: 'ltv', label: 'LTV' },
+  { key: 'ltvCacRatio', label: 'LTV:CAC' },
+  { key: 'paybackPeriod', label: 'Payback period' },
+];
+
+export interface MonteCarloOptions {
+  iterations?: number;
+  seed?: number;
+  horizonMonths?: ProjectionHorizon;
+  /** Called every few percent of the run */
+  onProgress?: (done: number, total: number) => void;
+}
+
+export interface PercentileSummary {
+  p10: number;
+  p50: number;
+  p90: number;
+  mean: number;
+  /** The point estimate from the inputs as entered */
+  base: number;
+}
+
+export interface FanPoint {
+  month: number;
+  p10: number;
+  p25: number;
+  p50: number;
+  p75: number;
+  p90: number;
+  base: number;
+}
+
+export interface TornadoBar {
+  field: PricingInputField;
+  label: string;
+  /** The input's own P10 and P90 across the run */
+  lowInput: number;
+  highInput: number;
+  /** The metric with only this input moved to lowInput / highInput */
+  low: number;
+  high: number;
+  swing: number;
+  /** Share of the summed squared swings, in percent */
+  share: number;
+}
+
+export interface MonteCarloResult {
+  iterations: number;
+  seed: number;
+  horizonMonths: ProjectionHorizon;
+  summary: Record<SimulationOutput, PercentileSummary>;
+  fan: FanPoint[];
+  tornado: Record<SimulationOutput, TornadoBar[]>;
+}
+
+/** mulberry32: small, fast and good enough for sampling */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const isFiniteNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+export function validateDistribution(field: string, distribution: InputDistribution): void {
+  const label = PRICING_INPUT_SCHEMA[field as PricingInputField]?.label ?? field;
+  const values = Object.entries(distribution).filter(([key]) => key !== 'type').map(([, value]) => value);
+  if (!values.every(isFiniteNumber)) {
+    throw new RangeError(`${label}: every distribution parameter must be a number`);
+  }
+
+  switch (distribution.type) {
+    case 'uniform':
+      if (distribution.min >= distribution.max) throw new RangeError(`${label}: min must be below max`);
+      break;
+    case 'triangular':
+      if (distribution.min >= distribution.max) throw new RangeError(`${label}: min must be below max`);
+      if (distribution.mode < distribution.min || distribution.mode > distribution.max) {
+        throw new RangeError(`${label}: the most likely value must lie between min and max`);
+      }
+      break;
+    case 'normal':
+      if (distribution.sd < 0) throw new RangeError(`${label}: standard deviation cannot be negative`);
+      break;
+    case 'lognormal':
+      if (distribution.mean <= 0) throw new RangeError(`${label}: a lognormal mean must be positive`);
+      if (distribution.sd < 0) throw new RangeError(`${label}: standard deviation cannot be negative`);
+      break;
+    default:
+      throw new RangeError(`${label}: unknown distribution "${(distribution as { type: string }).type}"`);
+  }
+}
+
+// Box-Muller; 1 - random() keeps the logarithm away from zero
+function standardNormal(random: () => number): number {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+export function sampleDistribution(distribution: InputDistribution, random: () => number): number {
+  switch (distribution.type) {
+    case 'uniform':
+      return distribution.min + random() * (distribution.max - distribution.min);
+    case 'triangular': {
+      const { min, mode, max } = distribution;
+      const u = random();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'normal':
+      return distribution.mean + distribution.sd * standardNormal(random);
+    case 'lognormal': {
+      const variance = Math.log(1 + (distribution.sd / distribution.mean) ** 2);
+      const mu = Math.log(distribution.mean) - variance / 2;
+      return Math.exp(mu + Math.sqrt(variance) * standardNormal(random));
+    }
+  }
+}
+
+/** Pull a sampled value back inside the field's valid range, e.g. churn stays within 0–100% */
+function clampToSchema(field: PricingInputField, value: number): number {
+  const rule = PRICING_INPUT_SCHEMA[field];
+  let clamped = rule.integer ? Math.round(value) : value;
+
+  if (rule.min !== undefined) {
+    const floor = rule.exclusiveMin ? rule.min + (rule.integer ? 1 : 0.01) : rule.min;
+    clamped = Math.max(clamped, floor);
+  }
+  if (rule.max !== undefined) {
+    clamped = Math.min(clamped, rule.max);
+  }
+  return clamped;
+}
+
+/** Linear interpolation between closest ranks; `sorted` must be ascending */
+export function percentile(sorted: ArrayLike<number>, p: number): number {
+  if (sorted.length === 0) throw new RangeError('No values to take a percentile of');
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function evaluate(inputs: PricingInputs, horizonMonths: ProjectionHorizon) {
+  const optimalPrice = calculateOptimalPrice(inputs);
+  const metrics = calculateMetrics(inputs, optimalPrice);
+  const { months } = projectCohorts(inputs, optimalPrice, { horizonMonths });
+
+  return {
+    outputs: {
+      arr: months[horizonMonths].arr,
+      ltv: metrics.ltv,
+      ltvCacRatio: metrics.ltvCacRatio,
+      paybackPeriod: metrics.paybackPeriod,
+    } as Record<SimulationOutput, number>,
+    arrByMonth: months.map((month) => month.arr),
+  };
+}
+
+const sortedCopy = (values: Float64Array) => Float64Array.from(values).sort();
+
+/**
+ * Simulate `iterations` draws of the uncertain inputs around `inputs`.
+ * Fields without a distribution keep their entered value.
+ */
+export function runMonteCarlo(
+  inputs: PricingInputs,
+  distributions: InputDistributions,
+  options: MonteCarloOptions = {}
+): MonteCarloResult {
+  const iterations = options.iterations ?? MONTE_CARLO_LIMITS.defaultIterations;
+  const horizonMonths = options.horizonMonths ?? DEFAULT_PROJECTION_HORIZON;
+  const seed = options.seed ?? 1;
+
+  if (!Number.isInteger(iterations) || iterations < MONTE_CARLO_LIMITS.minIterations || iterations > MONTE_CARLO_LIMITS.maxIterations) {
+    throw new RangeError(
+      `Iterations must be a whole number from ${MONTE_CARLO_LIMITS.minIterations} to ${MONTE_CARLO_LIMITS.maxIterations}`
+    );
+  }
+
+  const fields = (Object.keys(distributions) as PricingInputField[])
+    .filter((field) => distributions[field] !== undefined);
+  for (const field of fields) {
+    if (!UNCERTAIN_INPUTS.includes(field)) {
+      throw new RangeError(`${PRICING_INPUT_SCHEMA[field]?.label ?? field} can't be simulated`);
+    }
+    validateDistribution(field, distributions[field] as InputDistribution);
+  }
+
+  const base = evaluate(inputs, horizonMonths);
+  const random = createRandom(seed);
+  const months = horizonMonths + 1;
+
+  const samples = new Map(fields.map((field) => [field, new Float64Array(iterations)]));
+  const outputs = new Map(SIMULATION_OUTPUTS.map(({ key }) => [key, new Float64Array(iterations)]));
+  const arrByMonth = new Float64Array(iterations * months);
+  const progressStep = Math.max(1, Math.floor(iterations / 20));
+
+  for (let i = 0; i < iterations; i++) {
+    const draw: PricingInputs = { ...inputs };
+    for (const field of fields) {
+      const value = clampToSchema(field, sampleDistribution(distributions[field] as InputDistribution, random));
+      (draw as unknown as Record<string, number>)[field] = value;
+      (samples.get(field) as Float64Array)[i] = value;
+    }
+
+    const result = evaluate(draw, horizonMonths);
+    for (const { key } of SIMULATION_OUTPUTS) {
+      (outputs.get(key) as Float64Array)[i] = result.outputs[key];
+    }
+    arrByMonth.set(result.arrByMonth, i * months);
+
+    if (options.onProgress && ((i + 1) % progressStep === 0 || i + 1 === iterations)) {
+      options.onProgress(i + 1, iterations);
+    }
+  }
+
+  const summary = {} as Record<SimulationOutput, PercentileSummary>;
+  for (const { key } of SIMULATION_OUTPUTS) {
+    const values = outputs.get(key) as Float64Array;
+    const sorted = sortedCopy(values);
+    summary[key] = {
+      p10: round(percentile(sorted, 10)),
+      p50: round(percentile(sorted, 50)),
+      p90: round(percentile(sorted, 90)),
+      mean: round(values.reduce((sum, value) => sum + value, 0) / iterations),
+      base: base.outputs[key],
+    };
+  }
+
+  const fan: FanPoint[] = [];
+  const column = new Float64Array(iterations);
+  for (let month = 0; month < months; month++) {
+    for (let i = 0; i < iterations; i++) column[i] = arrByMonth[i * months + month];
+    const sorted = sortedCopy(column);
+    fan.push({
+      month,
+      p10: round(percentile(sorted, 10)),
+      p25: round(percentile(sorted, 25)),
+      p50: round(percentile(sorted, 50)),
+      p75: round(percentile(sorted, 75)),
+      p90: round(percentile(sorted, 90)),
+      base: base.arrByMonth[month],
+    });
+  }
+
+  // One input at a time at its own P10 and P90, everything else as entered
+  const swings = fields.map((field) => {
+    const sorted = sortedCopy(samples.get(field) as Float64Array);
+    const lowInput = round(percentile(sorted, 10));
+    const highInput = round(percentile(sorted, 90));
+    return {
+      field,
+      lowInput,
+      highInput,
+      low: evaluate({ ...inputs, [field]: clampToSchema(field, lowInput) }, horizonMonths).outputs,
+      high: evaluate({ ...inputs, [field]: clampToSchema(field, highInput) }, horizonMonths).outputs,
+    };
+  });
+
+  const tornado = {} as Record<SimulationOutput, TornadoBar[]>;
+  for (const { key } of SIMULATION_OUTPUTS) {
+    const bars = swings.map(({ field, lowInput, highInput, low, high }) => ({
+      field,
+      label: PRICING_INPUT_SCHEMA[field].label,
+      lowInput,
+      highInput,
+      low: low[key],
+      high: high[key],
+      swing: round(Math.abs(high[key] - low[key])),
+      share: 0,
+    }));
+    const total = bars.reduce((sum, bar) => sum + bar.swing ** 2, 0);
+    for (const bar of bars) {
+      bar.share = total > 0 ? round((bar.swing ** 2 / total) * 100, 1) : 0;
+    }
+    tornado[key] = bars.sort((a, b) => b.swing - a.swing);
+  }
+
+  return { iterations, seed, horizonMonths, summary, fan, tornado };
+}
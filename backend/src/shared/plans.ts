@@ -0,0 +1,193 @@
+/**
+ * Subscription Plans
+ * The plan catalogue shared by the API and the app, and the single source
+ * of entitlements: which features each plan unlocks, what it allows per
+ * billing period, and how a period's consumption measures up against those
+ * limits. A limit of UNLIMITED (-1) is never exhausted.
+ */
+
+export type PlanId = 'FREE' | 'STARTER' | 'PROFESSIONAL' | 'ENTERPRISE';
+
+export const PLAN_IDS: PlanId[] = ['FREE', 'STARTER', 'PROFESSIONAL', 'ENTERPRISE'];
+
+export const UNLIMITED = -1;
+
+export interface PlanLimits {
+  /** Saved calculations per billing period */
+  calculations: number;
+  /** AI insight spend per billing period, in USD */
+  aiBudget: number;
+  /** Single-calculation exports per billing period */
+  exports: number;
+  /** Batch export jobs per billing period */
+  batchExports: number;
+  /** API requests per billing period */
+  apiCalls: number;
+  /** Seats on each team the user creates, pending invitations included */
+  teamSeats: number;
+}
+
+export interface PlanFeatures {
+  /** Public share links for calculations */
+  sharing: boolean;
+  /** AI-generated pricing insights */
+  ai: boolean;
+  /** Live collaboration sessions and team workspaces */
+  collaboration: boolean;
+  /** Server-side PDF, Excel, CSV and JSON exports */
+  exports: boolean;
+  batchExport: boolean;
+  advancedAnalytics: boolean;
+  apiAccess: boolean;
+  whiteLabel: boolean;
+}
+
+export type PlanFeature = keyof PlanFeatures;
+
+export interface PlanDetails {
+  id: PlanId;
+  name: string;
+  /** Free trial offered at checkout, in days */
+  trialDays: number;
+  features: PlanFeatures;
+  limits: PlanLimits;
+}
+
+export const PLANS: Record<PlanId, PlanDetails> = {
+  FREE: {
+    id: 'FREE',
+    name: 'Free',
+    trialDays: 0,
+    features: {
+      sharing: false,
+      ai: false,
+      collaboration: false,
+      exports: false,
+      batchExport: false,
+      advancedAnalytics: false,
+      apiAccess: false,
+      whiteLabel: false,
+    },
+    limits: { calculations: 5, aiBudget: 0, exports: 0, batchExports: 0, apiCalls: 0, teamSeats: 0 },
+  },
+  STARTER: {
+    id: 'STARTER',
+    name: 'Starter',
+    trialDays: 0,
+    features: {
+      sharing: true,
+      ai: true,
+      collaboration: false,
+      exports: true,
+      batchExport: true,
+      advancedAnalytics: false,
+      apiAccess: false,
+      whiteLabel: false,
+    },
+    limits: { calculations: 50, aiBudget: 10, exports: 50, batchExports: 3, apiCalls: 0, teamSeats: 0 },
+  },
+  PROFESSIONAL: {
+    id: 'PROFESSIONAL',
+    name: 'Professional',
+    trialDays: 14,
+    features: {
+      sharing: true,
+      ai: true,
+      collaboration: true,
+      exports: true,
+      batchExport: true,
+      advancedAnalytics: true,
+      apiAccess: true,
+      whiteLabel: false,
+    },
+    limits: { calculations: UNLIMITED, aiBudget: 50, exports: 200, batchExports: 10, apiCalls: 1000, teamSeats: 5 },
+  },
+  ENTERPRISE: {
+    id: 'ENTERPRISE',
+    name: 'Enterprise',
+    trialDays: 0,
+    features: {
+      sharing: true,
+      ai: true,
+      collaboration: true,
+      exports: true,
+      batchExport: true,
+      advancedAnalytics: true,
+      apiAccess: true,
+      whiteLabel: true,
+    },
+    limits: { calculations: UNLIMITED, aiBudget: 200, exports: UNLIMITED, batchExports: 25, apiCalls: UNLIMITED, teamSeats: 25 },
+  },
+};
+
+export function isPlanId(value: unknown): value is PlanId {
+  return typeof value === 'string' && (PLAN_IDS as string[]).includes(value);
+}
+
+/** Details for a plan id, treating missing or unknown plans as Free */
+export function getPlan(planId?: string | null): PlanDetails {
+  return isPlanId(planId) ? PLANS[planId] : PLANS.FREE;
+}
+
+export function hasFeature(planId: string | null | undefined, feature: PlanFeature): boolean {
+  return getPlan(planId).features[feature];
+}
+
+/** The cheapest plan that unlocks a feature, to point upgrade prompts at */
+export function requiredPlanFor(feature: PlanFeature): PlanDetails {
+  const planId = PLAN_IDS.find(id => PLANS[id].features[feature]) ?? 'ENTERPRISE';
+  return PLANS[planId];
+}
+
+/** The cheapest plan above `planId` that allows more of a limit; null when none does */
+export function upgradePlanFor(planId: string | null | undefined, limit: keyof PlanLimits): PlanDetails | null {
+  const current = getPlan(planId);
+  const allowed = current.limits[limit];
+  if (allowed === UNLIMITED) return null;
+
+  const upgradeId = PLAN_IDS.slice(PLAN_IDS.indexOf(current.id) + 1).find(id => {
+    const more = PLANS[id].limits[limit];
+    return more === UNLIMITED || more > allowed;
+  });
+  return upgradeId ? PLANS[upgradeId] : null;
+}
+
+export interface UsageMeter {
+  used: number;
+  limit: number;
+  /** UNLIMITED when the plan has no limit */
+  remaining: number;
+  /** Share of the limit used, in percent; null when unlimited */
+  percentUsed: number | null;
+  exhausted: boolean;
+}
+
+export type UsageCounts = Pick<PlanLimits, 'calculations' | 'aiBudget' | 'exports' | 'batchExports'>;
+
+export type UsageSummary = Record<keyof UsageCounts, UsageMeter>;
+
+export function meterUsage(used: number, limit: number): UsageMeter {
+  if (limit === UNLIMITED) {
+    return { used, limit, remaining: UNLIMITED, percentUsed: null, exhausted: false };
+  }
+
+  return {
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    percentUsed: limit > 0 ? Math.round((used / limit) * 1000) / 10 : (used > 0 ? 100 : 0),
+    exhausted: used >= limit,
+  };
+}
+
+/** Measure one period's consumption against a plan's limits */
+export function summarizeUsage(planId: string | null | undefined, used: UsageCounts): UsageSummary {
+  const { limits } = getPlan(planId);
+
+  return {
+    calculations: meterUsage(used.calculations, limits.calculations),
+    aiBudget: meterUsage(used.aiBudget, limits.aiBudget),
+    exports: meterUsage(used.exports, limits.exports),
+    batchExports: meterUsage(used.batchExports, limits.batchExports),
+  };
+}
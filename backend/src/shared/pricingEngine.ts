@@ -0,0 +1,473 @@
+/**
+ * Pricing Engine
+ * Single source of truth for optimal price, tiers and unit economics.
+ *
+ * Imported by the backend CalculationService, the Vercel `api/calculate`
+ * function and the React calculators, so it must stay framework-free:
+ * no Node, browser or third-party imports. Every output is a pure function
+ * of the inputs and is stamped with PRICING_ENGINE_VERSION; bump the version
+ * whenever a formula changes so stored results can be told apart.
+ */
+
+export const PRICING_ENGINE_VERSION = '1.3.0';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Expected customer lifetime is capped so near-zero churn can't produce an
+// unbounded LTV.
+export const MAX_CUSTOMER_LIFETIME_MONTHS = 60;
+
+// CAC assumed when none is supplied, as a multiple of the optimal monthly price.
+export const DEFAULT_CAC_MULTIPLE = 3;
+
+export interface PricingInputs {
+  currentPrice: number;
+  competitorPrice?: number;
+  customers: number;
+  /** Monthly logo churn, in percent */
+  churnRate: number;
+  cac?: number;
+  /** Average contract length, in months */
+  averageContractLength?: number;
+  /** Monthly expansion of retained MRR, in percent */
+  expansionRevenue?: number;
+  /** Total addressable market, per year */
+  marketSize?: number;
+  /** Operating margin used for the Rule of 40, in percent */
+  operatingMargin?: number;
+  /** New customers acquired per month, used by the cohort projection */
+  newCustomersPerMonth?: number;
+  /** Monthly growth in new customer acquisition, in percent */
+  acquisitionGrowthRate?: number;
+  /** Lowest acceptable tier price, e.g. a survey's Point of Marginal Cheapness */
+  priceFloor?: number;
+  /** Highest acceptable tier price, e.g. a survey's Point of Marginal Expensiveness */
+  priceCeiling?: number;
+  /** ISO 4217 code every amount is in; the maths doesn't depend on it. Defaults to USD */
+  currency?: string;
+}
+
+/** Numeric inputs, validated against PRICING_INPUT_SCHEMA */
+export type PricingInputField = Exclude<keyof PricingInputs, 'currency'>;
+
+/** Unparsed input: form strings, JSON numbers or blanks */
+export type RawPricingInputs = { [K in keyof PricingInputs]?: unknown };
+
+interface FieldRule {
+  label: string;
+  required?: boolean;
+  integer?: boolean;
+  min?: number;
+  max?: number;
+  exclusiveMin?: boolean;
+}
+
+export const PRICING_INPUT_SCHEMA: Record<PricingInputField, FieldRule> = {
+  currentPrice: { label: 'Current price', required: true, min: 0, exclusiveMin: true, max: 100000 },
+  competitorPrice: { label: 'Competitor price', min: 0, exclusiveMin: true, max: 100000 },
+  customers: { label: 'Customers', required: true, integer: true, min: 0, exclusiveMin: true, max: 10000000 },
+  churnRate: { label: 'Churn rate', required: true, min: 0, max: 100 },
+  cac: { label: 'CAC', min: 0, exclusiveMin: true, max: 100000 },
+  averageContractLength: { label: 'Contract length', min: 0, exclusiveMin: true, max: 120 },
+  expansionRevenue: { label: 'Expansion revenue', min: 0, max: 100 },
+  marketSize: { label: 'Market size', min: 0, exclusiveMin: true },
+  operatingMargin: { label: 'Operating margin', min: -100, max: 100 },
+  newCustomersPerMonth: { label: 'New customers per month', min: 0, max: 1000000 },
+  acquisitionGrowthRate: { label: 'Acquisition growth', min: -100, max: 100 },
+  priceFloor: { label: 'Price floor', min: 0, exclusiveMin: true, max: 100000 },
+  priceCeiling: { label: 'Price ceiling', min: 0, exclusiveMin: true, max: 100000 },
+};
+
+export const PRICING_INPUT_DEFAULTS = {
+  averageContractLength: 1,
+  expansionRevenue: 0,
+  operatingMargin: 20,
+  newCustomersPerMonth: 0,
+  acquisitionGrowthRate: 0,
+};
+
+export interface PricingInputIssue {
+  field: keyof PricingInputs;
+  message: string;
+}
+
+export class PricingInputError extends Error {
+  public issues: PricingInputIssue[];
+
+  constructor(issues: PricingInputIssue[]) {
+    super(issues.map(issue => issue.message).join('; '));
+    this.name = 'PricingInputError';
+    this.issues = issues;
+  }
+}
+
+export interface PricingTier {
+  id: 'starter' | 'professional' | 'enterprise';
+  name: string;
+  price: number;
+  features: string[];
+  targetSegment: string;
+  /** Share of the customer base expected on this tier, 0-1 */
+  adoption: number;
+  projectedRevenue: number;
+  confidence: number;
+  recommended: boolean;
+  /** True when the price was clamped to priceFloor / priceCeiling */
+  constrained: boolean;
+  /** Combined willingness to pay for the tier's features; null with the default feature lists */
+  featureValue: number | null;
+}
+
+/** Measured willingness to pay for one feature, e.g. from a conjoint study */
+export interface FeatureValue {
+  feature: string;
+  /** Dollars per month */
+  willingnessToPay: number;
+}
+
+/** Per-tier allowance, e.g. from an imported customer base; null for unlimited */
+export interface TierLimits {
+  unit: string;
+  limits: Array<number | null>;
+}
+
+export interface PricingEngineOptions {
+  /** Build tier feature lists from measured willingness to pay instead of the defaults */
+  featureValues?: FeatureValue[];
+  /** Replace the default "Up to N users" allowances, starting with the lowest tier */
+  tierLimits?: TierLimits;
+}
+
+export interface PricingMetrics {
+  optimalPrice: number;
+  /** Change from current to optimal price, in percent */
+  priceChange: number;
+  /** Optimal price relative to competitor, in percent; null without a competitor price */
+  competitorComparison: number | null;
+  mrr: number;
+  arr: number;
+  ltv: number;
+  cac: number;
+  ltvCacRatio: number;
+  /** Months to recover CAC */
+  paybackPeriod: number;
+  /** Expected customer lifetime, in months */
+  customerLifetime: number;
+  /** Annual net revenue retention, in percent */
+  nrr: number;
+  /** Expansion over churned MRR; null when nothing churns */
+  quickRatio: number | null;
+  ruleOf40: number;
+  /** Share of the addressable market captured by ARR, in percent; null without a market size */
+  marketShare: number | null;
+  /** ARR lost to churn over a year at the optimal price */
+  churnImpact: number;
+}
+
+export interface PricingResult {
+  formulaVersion: string;
+  inputs: PricingInputs;
+  metrics: PricingMetrics;
+  tiers: PricingTier[];
+}
+
+// The first feature of each default list is the tier's allowance, which
+// tierLimits replaces
+const TIER_DEFINITIONS: Array<Omit<PricingTier, 'price' | 'projectedRevenue' | 'constrained' | 'featureValue'> & { multiplier: number }> = [
+  {
+    id: 'starter',
+    name: 'Starter',
+    multiplier: 0.6,
+    features: [
+      'Up to 10 users',
+      'Core features',
+      'Email support',
+      'Basic analytics',
+      '99.9% uptime SLA',
+    ],
+    targetSegment: 'Small teams and startups',
+    adoption: 0.4,
+    confidence: 85,
+    recommended: false,
+  },
+  {
+    id: 'professional',
+    name: 'Professional',
+    multiplier: 1,
+    features: [
+      'Up to 50 users',
+      'All features',
+      'Priority support',
+      'Advanced analytics',
+      'API access',
+      'Custom integrations',
+      '99.99% uptime SLA',
+    ],
+    targetSegment: 'Growing businesses',
+    adoption: 0.45,
+    confidence: 90,
+    recommended: true,
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise',
+    multiplier: 2.5,
+    features: [
+      'Unlimited users',
+      'White-label options',
+      'Dedicated support',
+      'Custom features',
+      'On-premise deployment',
+      'Advanced security',
+      'Custom SLA',
+    ],
+    targetSegment: 'Large organizations',
+    adoption: 0.15,
+    confidence: 75,
+    recommended: false,
+  },
+];
+
+export const round = (value: number, decimals: number = 2): number => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const isBlank = (value: unknown): boolean =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Parse raw input (form strings or JSON numbers) against PRICING_INPUT_SCHEMA.
+ * Blank optional fields are dropped; any violation throws a PricingInputError
+ * listing every offending field.
+ */
+export function parsePricingInputs(raw: RawPricingInputs): PricingInputs {
+  const parsed: Partial<Record<PricingInputField, number>> = {};
+  const issues: PricingInputIssue[] = [];
+
+  for (const [field, rule] of Object.entries(PRICING_INPUT_SCHEMA) as Array<[PricingInputField, FieldRule]>) {
+    const value = raw?.[field];
+
+    if (isBlank(value)) {
+      if (rule.required) {
+        issues.push({ field, message: `${rule.label} is required` });
+      }
+      continue;
+    }
+
+    const number = typeof value === 'number' ? value : Number(value);
+
+    if (!Number.isFinite(number)) {
+      issues.push({ field, message: `${rule.label} must be a number` });
+    } else if (rule.integer && !Number.isInteger(number)) {
+      issues.push({ field, message: `${rule.label} must be a whole number` });
+    } else if (rule.min !== undefined && (rule.exclusiveMin ? number <= rule.min : number < rule.min)) {
+      issues.push({
+        field,
+        message: rule.exclusiveMin
+          ? `${rule.label} must be greater than ${rule.min}`
+          : `${rule.label} cannot be less than ${rule.min}`,
+      });
+    } else if (rule.max !== undefined && number > rule.max) {
+      issues.push({ field, message: `${rule.label} cannot exceed ${rule.max}` });
+    } else {
+      parsed[field] = number;
+    }
+  }
+
+  if (parsed.priceFloor !== undefined && parsed.priceCeiling !== undefined && parsed.priceFloor >= parsed.priceCeiling) {
+    issues.push({ field: 'priceCeiling', message: 'Price ceiling must be greater than the price floor' });
+  }
+
+  let currency: string | undefined;
+  if (!isBlank(raw?.currency)) {
+    currency = String(raw.currency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      issues.push({ field: 'currency', message: 'Currency must be a three-letter code such as USD' });
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new PricingInputError(issues);
+  }
+
+  return (currency ? { ...parsed, currency } : parsed) as PricingInputs;
+}
+
+export function calculateOptimalPrice(inputs: PricingInputs): number {
+  const { currentPrice, competitorPrice, churnRate, marketSize } = inputs;
+
+  let optimalPrice = currentPrice;
+
+  // Move toward the competitor: room to grow when they are more expensive,
+  // a small concession when they undercut us
+  if (competitorPrice) {
+    optimalPrice *= competitorPrice > currentPrice ? 1.1 : 0.95;
+  }
+
+  // Low churn signals pricing power, high churn signals price sensitivity
+  if (churnRate < 5) {
+    optimalPrice *= 1.15;
+  } else if (churnRate > 10) {
+    optimalPrice *= 0.9;
+  }
+
+  if (marketSize && marketSize > 1000000) {
+    optimalPrice *= 1.05;
+  }
+
+  return round(optimalPrice);
+}
+
+export function calculateCustomerLifetime(inputs: PricingInputs): number {
+  const churn = inputs.churnRate / 100;
+  const contractLength = inputs.averageContractLength ?? PRICING_INPUT_DEFAULTS.averageContractLength;
+
+  // Customers can't churn before their contract term ends
+  const lifetime = churn > 0 ? Math.max(1 / churn, contractLength) : MAX_CUSTOMER_LIFETIME_MONTHS;
+
+  return Math.min(lifetime, MAX_CUSTOMER_LIFETIME_MONTHS);
+}
+
+/**
+ * Lifetime value at `price`: monthly revenue summed over the expected
+ * lifetime, with revenue per customer compounding by the expansion rate.
+ */
+export function calculateLtv(inputs: PricingInputs, price: number): number {
+  const lifetime = calculateCustomerLifetime(inputs);
+  const expansion = (inputs.expansionRevenue ?? PRICING_INPUT_DEFAULTS.expansionRevenue) / 100;
+
+  if (expansion === 0) {
+    return price * lifetime;
+  }
+
+  return price * ((1 + expansion) ** lifetime - 1) / expansion;
+}
+
+export function calculateMetrics(inputs: PricingInputs, optimalPrice: number): PricingMetrics {
+  const churn = inputs.churnRate / 100;
+  const expansion = (inputs.expansionRevenue ?? PRICING_INPUT_DEFAULTS.expansionRevenue) / 100;
+  const operatingMargin = inputs.operatingMargin ?? PRICING_INPUT_DEFAULTS.operatingMargin;
+
+  const mrr = optimalPrice * inputs.customers;
+  const arr = mrr * 12;
+  const ltv = calculateLtv(inputs, optimalPrice);
+  const cac = inputs.cac ?? optimalPrice * DEFAULT_CAC_MULTIPLE;
+  const nrr = ((1 + expansion) * (1 - churn)) ** 12 * 100;
+
+  return {
+    optimalPrice,
+    priceChange: round(((optimalPrice - inputs.currentPrice) / inputs.currentPrice) * 100, 1),
+    competitorComparison: inputs.competitorPrice
+      ? round(((optimalPrice - inputs.competitorPrice) / inputs.competitorPrice) * 100, 1)
+      : null,
+    mrr: round(mrr),
+    arr: round(arr),
+    ltv: round(ltv),
+    cac: round(cac),
+    ltvCacRatio: round(ltv / cac),
+    paybackPeriod: round(cac / optimalPrice, 1),
+    customerLifetime: round(calculateCustomerLifetime(inputs), 1),
+    nrr: round(nrr, 1),
+    quickRatio: churn > 0 ? round(expansion / churn) : null,
+    ruleOf40: round(nrr - 100 + operatingMargin, 1),
+    marketShare: inputs.marketSize ? round((arr / inputs.marketSize) * 100) : null,
+    churnImpact: round(mrr * churn * 12),
+  };
+}
+
+/**
+ * Assign measured features to tiers. Each tier keeps everything in the tier
+ * below it and adds features, least valued first, until their combined
+ * willingness to pay covers the tier price; the most valued features are
+ * left to fence the higher tiers. The top tier gets every feature.
+ */
+function assignFeatures(prices: number[], featureValues: FeatureValue[]): FeatureValue[][] {
+  const remaining = featureValues
+    .filter(value => value.willingnessToPay > 0)
+    .sort((a, b) => a.willingnessToPay - b.willingnessToPay);
+  const included: FeatureValue[] = [];
+
+  return prices.map((price, index) => {
+    const isTopTier = index === prices.length - 1;
+    let value = included.reduce((sum, feature) => sum + feature.willingnessToPay, 0);
+
+    while (remaining.length > 0 && (isTopTier || value < price || included.length === 0)) {
+      const feature = remaining.shift()!;
+      included.push(feature);
+      value += feature.willingnessToPay;
+    }
+
+    return [...included];
+  });
+}
+
+const formatLimit = (limit: number | null, unit: string): string =>
+  limit === null ? `Unlimited ${unit}` : `Up to ${limit} ${unit}`;
+
+/**
+ * Tier prices are multiples of the optimal price, clamped to the
+ * priceFloor / priceCeiling range when one is given. Feature lists come
+ * from `featureValues` when supplied, otherwise from the tier defaults,
+ * and lead with the tier's allowance from `tierLimits` when supplied.
+ */
+export function generatePricingTiers(
+  inputs: PricingInputs,
+  optimalPrice: number,
+  options: PricingEngineOptions = {}
+): PricingTier[] {
+  const { featureValues, tierLimits } = options;
+  const floor = inputs.priceFloor ?? 0;
+  const ceiling = inputs.priceCeiling ?? Infinity;
+
+  const priced = TIER_DEFINITIONS.map(({ multiplier, ...definition }) => {
+    const unconstrained = optimalPrice * multiplier;
+    return {
+      definition,
+      unconstrained,
+      price: Math.round(Math.min(Math.max(unconstrained, floor), ceiling)),
+    };
+  });
+
+  const measured = featureValues?.length
+    ? assignFeatures(priced.map(tier => tier.price), featureValues)
+    : null;
+
+  const featuresFor = (index: number): string[] => {
+    const limit = tierLimits?.limits[index];
+    const allowance = limit === undefined ? [] : [formatLimit(limit, tierLimits!.unit)];
+
+    if (measured) {
+      return [...allowance, ...measured[index].map(value => value.feature)];
+    }
+    const [defaultAllowance, ...rest] = TIER_DEFINITIONS[index].features;
+    return allowance.length > 0 ? [...allowance, ...rest] : [defaultAllowance, ...rest];
+  };
+
+  return priced.map(({ definition, unconstrained, price }, index) => ({
+    ...definition,
+    features: featuresFor(index),
+    price,
+    constrained: unconstrained < floor || unconstrained > ceiling,
+    featureValue: measured
+      ? round(measured[index].reduce((sum, value) => sum + value.willingnessToPay, 0))
+      : null,
+    projectedRevenue: Math.round(price * inputs.customers * definition.adoption),
+  }));
+}
+
+/**
+ * Run the full engine on raw input. Throws PricingInputError when the input
+ * does not satisfy PRICING_INPUT_SCHEMA.
+ */
+export function runPricingEngine(raw: RawPricingInputs, options: PricingEngineOptions = {}): PricingResult {
+  const inputs = parsePricingInputs(raw);
+  const optimalPrice = calculateOptimalPrice(inputs);
+
+  return {
+    formulaVersion: PRICING_ENGINE_VERSION,
+    inputs,
+    metrics: calculateMetrics(inputs, optimalPrice),
+    tiers: generatePricingTiers(inputs, optimalPrice, options),
+  };
+}
@@ -0,0 +1,321 @@
+/**
+ * Pricing Models
+ * Bill calculation for flat, per-seat, usage-metered, hybrid and credit-pack
+ * pricing, and a simulator that runs a customer usage distribution through
+ * any of them to compare MRR and revenue concentration.
+ *
+ * Metered tiers follow the usual billing-system semantics: in `graduated`
+ * mode each unit is charged at the rate of the band it falls in; in `volume`
+ * mode every unit is charged at the rate of the band the total lands in.
+ */
+
+import { round } from './pricingEngine';
+
+export interface MeteredTier {
+  /** Upper bound of the band in units, inclusive; null for the last band */
+  upTo: number | null;
+  unitPrice: number;
+  /** Charged once when usage reaches the band */
+  flatFee?: number;
+}
+
+export type MeteredMode = 'graduated' | 'volume';
+
+export interface CreditPack {
+  credits: number;
+  price: number;
+}
+
+export type PricingModel =
+  | { type: 'flat'; price: number }
+  | { type: 'perSeat'; pricePerSeat: number; minimumSeats?: number }
+  | { type: 'metered'; mode: MeteredMode; tiers: MeteredTier[] }
+  | { type: 'hybrid'; platformFee: number; includedUnits: number; overage: { mode: MeteredMode; tiers: MeteredTier[] } }
+  | { type: 'creditPacks'; packs: CreditPack[] };
+
+export type PricingModelType = PricingModel['type'];
+
+export interface CustomerUsage {
+  seats: number;
+  /** Billable units consumed in a month */
+  usage: number;
+}
+
+export interface UsageDistributionOptions {
+  customers: number;
+  medianUsage: number;
+  /** Log-normal shape; 0 gives every customer the median, 1.5 is very skewed */
+  usageSpread: number;
+  medianSeats?: number;
+  seatSpread?: number;
+}
+
+export interface RevenueConcentration {
+  /** Share of MRR from the top 10% of customers by bill, in percent */
+  top10Share: number;
+  top20Share: number;
+  /** 0 when every customer pays the same, approaching 1 when one pays everything */
+  gini: number;
+}
+
+export interface BillSimulation {
+  customers: number;
+  mrr: number;
+  arr: number;
+  arpu: number;
+  medianBill: number;
+  minBill: number;
+  maxBill: number;
+  concentration: RevenueConcentration;
+  /** Bills in the same order as the input customers */
+  bills: number[];
+}
+
+export class PricingModelError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PricingModelError';
+  }
+}
+
+export function validatePricingModel(model: PricingModel): void {
+  const checkTiers = (tiers: MeteredTier[]) => {
+    if (tiers.length === 0) {
+      throw new PricingModelError('Metered pricing needs at least one band');
+    }
+    tiers.forEach((tier, index) => {
+      const isLast = index === tiers.length - 1;
+      if (tier.unitPrice < 0 || (tier.flatFee ?? 0) < 0) {
+        throw new PricingModelError('Band prices cannot be negative');
+      }
+      if (isLast !== (tier.upTo === null)) {
+        throw new PricingModelError('Only the last band may be open-ended, and it must be');
+      }
+      if (index > 0 && tier.upTo !== null && tier.upTo <= (tiers[index - 1].upTo as number)) {
+        throw new PricingModelError('Band limits must increase');
+      }
+    });
+  };
+
+  switch (model.type) {
+    case 'flat':
+      if (model.price < 0) throw new PricingModelError('Price cannot be negative');
+      break;
+    case 'perSeat':
+      if (model.pricePerSeat < 0) throw new PricingModelError('Seat price cannot be negative');
+      break;
+    case 'metered':
+      checkTiers(model.tiers);
+      break;
+    case 'hybrid':
+      if (model.platformFee < 0 || model.includedUnits < 0) {
+        throw new PricingModelError('Platform fee and included units cannot be negative');
+      }
+      checkTiers(model.overage.tiers);
+      break;
+    case 'creditPacks':
+      if (model.packs.length === 0 || model.packs.some(pack => pack.credits <= 0 || pack.price < 0)) {
+        throw new PricingModelError('Credit packs need a positive size and a non-negative price');
+      }
+      break;
+  }
+}
+
+function meteredCharge(usage: number, mode: MeteredMode, tiers: MeteredTier[]): number {
+  if (mode === 'volume') {
+    const tier = tiers.find(band => band.upTo === null || usage <= band.upTo)!;
+    return usage > 0 ? usage * tier.unitPrice + (tier.flatFee ?? 0) : 0;
+  }
+
+  let charge = 0;
+  let lowerBound = 0;
+  for (const tier of tiers) {
+    if (usage <= lowerBound) break;
+    const upper = tier.upTo ?? Infinity;
+    charge += (Math.min(usage, upper) - lowerBound) * tier.unitPrice + (tier.flatFee ?? 0);
+    lowerBound = upper;
+  }
+  return charge;
+}
+
+/**
+ * Cheapest way to cover `usage` with a bulk purchase of one pack size plus a
+ * top-up of another. Exact for one or two pack sizes and a close upper
+ * bound beyond that, without a knapsack over potentially millions of units.
+ */
+function creditPackCharge(usage: number, packs: CreditPack[]): number {
+  if (usage <= 0) return 0;
+
+  const singleSize = (units: number) =>
+    Math.min(...packs.map(pack => Math.ceil(units / pack.credits) * pack.price));
+
+  let best = singleSize(usage);
+  for (const bulk of packs) {
+    const count = Math.floor(usage / bulk.credits);
+    const remainder = usage - count * bulk.credits;
+    best = Math.min(best, count * bulk.price + (remainder > 0 ? singleSize(remainder) : 0));
+  }
+  return best;
+}
+
+export function calculateBill(model: PricingModel, customer: CustomerUsage): number {
+  switch (model.type) {
+    case 'flat':
+      return model.price;
+    case 'perSeat':
+      return model.pricePerSeat * Math.max(customer.seats, model.minimumSeats ?? 1);
+    case 'metered':
+      return round(meteredCharge(customer.usage, model.mode, model.tiers));
+    case 'hybrid':
+      return round(model.platformFee + meteredCharge(
+        Math.max(0, customer.usage - model.includedUnits),
+        model.overage.mode,
+        model.overage.tiers
+      ));
+    case 'creditPacks':
+      return round(creditPackCharge(customer.usage, model.packs));
+  }
+}
+
+/** Inverse standard normal CDF (Acklam's rational approximation) */
+function inverseNormal(p: number): number {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -inverseNormal(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * A deterministic log-normal customer base: customer i sits at quantile
+ * (i + 0.5) / n, so the same options always give the same customers.
+ * Seats follow usage, on the assumption that bigger accounts use more.
+ */
+export function generateUsageDistribution(options: UsageDistributionOptions): CustomerUsage[] {
+  const { customers, medianUsage, usageSpread, medianSeats = 1, seatSpread = usageSpread / 2 } = options;
+
+  if (!(customers > 0) || !(medianUsage >= 0) || !(usageSpread >= 0) || !(medianSeats >= 1)) {
+    throw new RangeError('Usage distribution needs customers, a median usage and a median of at least one seat');
+  }
+
+  return Array.from({ length: Math.round(customers) }, (_, i) => {
+    const z = inverseNormal((i + 0.5) / customers);
+    return {
+      seats: Math.max(1, Math.round(medianSeats * Math.exp(seatSpread * z))),
+      usage: Math.round(medianUsage * Math.exp(usageSpread * z)),
+    };
+  });
+}
+
+export function calculateConcentration(bills: number[]): RevenueConcentration {
+  const sorted = [...bills].sort((a, b) => b - a);
+  const total = sorted.reduce((sum, bill) => sum + bill, 0);
+
+  if (total === 0) {
+    return { top10Share: 0, top20Share: 0, gini: 0 };
+  }
+
+  const topShare = (fraction: number) => {
+    const count = Math.max(1, Math.ceil(sorted.length * fraction));
+    return (sorted.slice(0, count).reduce((sum, bill) => sum + bill, 0) / total) * 100;
+  };
+
+  // Gini from the ascending order: sum((2i - n - 1) * x_i) / (n * total)
+  const n = sorted.length;
+  const gini = [...sorted].reverse().reduce((sum, bill, i) => sum + (2 * (i + 1) - n - 1) * bill, 0) / (n * total);
+
+  return {
+    top10Share: round(topShare(0.1), 1),
+    top20Share: round(topShare(0.2), 1),
+    gini: round(gini, 3),
+  };
+}
+
+export function simulateBills(model: PricingModel, customers: CustomerUsage[]): BillSimulation {
+  validatePricingModel(model);
+
+  if (customers.length === 0) {
+    throw new RangeError('At least one customer is needed to simulate bills');
+  }
+
+  const bills = customers.map(customer => calculateBill(model, customer));
+  const sorted = [...bills].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const mrr = bills.reduce((sum, bill) => sum + bill, 0);
+
+  return {
+    customers: customers.length,
+    mrr: round(mrr),
+    arr: round(mrr * 12),
+    arpu: round(mrr / customers.length),
+    medianBill: round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2),
+    minBill: sorted[0],
+    maxBill: sorted[sorted.length - 1],
+    concentration: calculateConcentration(bills),
+    bills,
+  };
+}
+
+// Quantile sampling keeps the shape of the distribution, so a few thousand
+// simulated customers stand in for any size of base
+export const MAX_SIMULATED_CUSTOMERS = 2000;
+
+export interface NamedPricingModel {
+  id: string;
+  name: string;
+  model: PricingModel;
+}
+
+export interface PricingModelComparison extends Omit<BillSimulation, 'bills'> {
+  id: string;
+  name: string;
+  type: PricingModelType;
+  /** Change in MRR against the first model, in percent */
+  mrrChange: number;
+}
+
+/**
+ * Simulate each model against the same customer base. MRR and ARR are
+ * scaled up from the sample to the full customer count.
+ */
+export function comparePricingModels(
+  models: NamedPricingModel[],
+  distribution: UsageDistributionOptions
+): PricingModelComparison[] {
+  const sampleSize = Math.min(Math.round(distribution.customers), MAX_SIMULATED_CUSTOMERS);
+  const scale = distribution.customers / sampleSize;
+  const sample = generateUsageDistribution({ ...distribution, customers: sampleSize });
+
+  const results = models.map(({ id, name, model }) => {
+    const { bills: _bills, ...simulation } = simulateBills(model, sample);
+    return {
+      ...simulation,
+      id,
+      name,
+      type: model.type,
+      customers: Math.round(distribution.customers),
+      mrr: round(simulation.mrr * scale),
+      arr: round(simulation.arr * scale),
+    };
+  });
+
+  const baseline = results[0]?.mrr ?? 0;
+  return results.map(result => ({
+    ...result,
+    mrrChange: baseline > 0 ? round(((result.mrr - baseline) / baseline) * 100, 1) : 0,
+  }));
+}
@@ -0,0 +1,176 @@
+/**
+ * Cohort Projection Model
+ * Month-by-month revenue projection that tracks each acquisition cohort
+ * separately. Churn is applied per cohort once its contract term has run,
+ * and expansion grows each surviving cohort's ARPU rather than adding logos.
+ *
+ * Framework-free like the pricing engine it builds on.
+ */
+
+import { PricingInputs, PRICING_INPUT_DEFAULTS, DEFAULT_CAC_MULTIPLE, round } from './pricingEngine';
+
+export const PROJECTION_HORIZONS = [12, 24, 36, 60] as const;
+
+export type ProjectionHorizon = typeof PROJECTION_HORIZONS[number];
+
+export const DEFAULT_PROJECTION_HORIZON: ProjectionHorizon = 12;
+
+export interface ProjectionOptions {
+  horizonMonths?: ProjectionHorizon;
+}
+
+export interface ProjectionMonth {
+  month: number;
+  mrr: number;
+  arr: number;
+  activeCustomers: number;
+  newCustomers: number;
+  churnedCustomers: number;
+  newMrr: number;
+  /** Reported as a negative movement */
+  churnedMrr: number;
+  expansionMrr: number;
+  netNewMrr: number;
+  /** Subscription revenue collected minus acquisition spend */
+  cashFlow: number;
+  cumulativeCash: number;
+}
+
+export interface CohortSummary {
+  /** Month the cohort was acquired; 0 is the existing customer base */
+  acquiredMonth: number;
+  initialCustomers: number;
+  activeCustomers: number;
+  arpu: number;
+  mrr: number;
+}
+
+export interface CohortProjection {
+  horizonMonths: ProjectionHorizon;
+  months: ProjectionMonth[];
+  cohorts: CohortSummary[];
+}
+
+interface Cohort {
+  acquiredMonth: number;
+  initialCustomers: number;
+  customers: number;
+  arpu: number;
+}
+
+export function isProjectionHorizon(value: unknown): value is ProjectionHorizon {
+  return PROJECTION_HORIZONS.includes(value as ProjectionHorizon);
+}
+
+/**
+ * Project revenue at `price` over the chosen horizon. The existing base is
+ * treated as a single cohort already past its contract term; new cohorts
+ * arrive each month per `newCustomersPerMonth`, growing by
+ * `acquisitionGrowthRate`.
+ */
+export function projectCohorts(
+  inputs: PricingInputs,
+  price: number,
+  options: ProjectionOptions = {}
+): CohortProjection {
+  const horizonMonths = options.horizonMonths ?? DEFAULT_PROJECTION_HORIZON;
+  if (!isProjectionHorizon(horizonMonths)) {
+    throw new RangeError(`Projection horizon must be one of ${PROJECTION_HORIZONS.join(', ')} months`);
+  }
+
+  const churn = inputs.churnRate / 100;
+  const expansion = (inputs.expansionRevenue ?? PRICING_INPUT_DEFAULTS.expansionRevenue) / 100;
+  const contractLength = inputs.averageContractLength ?? PRICING_INPUT_DEFAULTS.averageContractLength;
+  const baseAcquisition = inputs.newCustomersPerMonth ?? PRICING_INPUT_DEFAULTS.newCustomersPerMonth;
+  const acquisitionGrowth = (inputs.acquisitionGrowthRate ?? PRICING_INPUT_DEFAULTS.acquisitionGrowthRate) / 100;
+  const cac = inputs.cac ?? price * DEFAULT_CAC_MULTIPLE;
+
+  const cohorts: Cohort[] = [{
+    acquiredMonth: 0,
+    initialCustomers: inputs.customers,
+    customers: inputs.customers,
+    arpu: price,
+  }];
+
+  const startingMrr = inputs.customers * price;
+  const months: ProjectionMonth[] = [{
+    month: 0,
+    mrr: round(startingMrr),
+    arr: round(startingMrr * 12),
+    activeCustomers: inputs.customers,
+    newCustomers: 0,
+    churnedCustomers: 0,
+    newMrr: 0,
+    churnedMrr: 0,
+    expansionMrr: 0,
+    netNewMrr: 0,
+    cashFlow: 0,
+    cumulativeCash: 0,
+  }];
+
+  let cumulativeCash = 0;
+
+  for (let month = 1; month <= horizonMonths; month++) {
+    let churnedCustomers = 0;
+    let churnedMrr = 0;
+    let expansionMrr = 0;
+
+    for (const cohort of cohorts) {
+      // The existing base is assumed to be past its contract term already
+      const age = cohort.acquiredMonth === 0 ? Infinity : month - cohort.acquiredMonth;
+
+      if (age >= contractLength) {
+        const lost = cohort.customers * churn;
+        churnedCustomers += lost;
+        churnedMrr += lost * cohort.arpu;
+        cohort.customers -= lost;
+      }
+
+      expansionMrr += cohort.customers * cohort.arpu * expansion;
+      cohort.arpu *= 1 + expansion;
+    }
+
+    const newCustomers = baseAcquisition * (1 + acquisitionGrowth) ** (month - 1);
+    if (newCustomers > 0) {
+      cohorts.push({
+        acquiredMonth: month,
+        initialCustomers: newCustomers,
+        customers: newCustomers,
+        arpu: price,
+      });
+    }
+
+    const newMrr = newCustomers * price;
+    const mrr = cohorts.reduce((sum, cohort) => sum + cohort.customers * cohort.arpu, 0);
+    const activeCustomers = cohorts.reduce((sum, cohort) => sum + cohort.customers, 0);
+    const cashFlow = mrr - newCustomers * cac;
+    cumulativeCash += cashFlow;
+
+    months.push({
+      month,
+      mrr: round(mrr),
+      arr: round(mrr * 12),
+      activeCustomers: Math.round(activeCustomers),
+      newCustomers: round(newCustomers, 1),
+      churnedCustomers: round(churnedCustomers, 1),
+      newMrr: round(newMrr),
+      churnedMrr: round(-churnedMrr),
+      expansionMrr: round(expansionMrr),
+      netNewMrr: round(newMrr + expansionMrr - churnedMrr),
+      cashFlow: round(cashFlow),
+      cumulativeCash: round(cumulativeCash),
+    });
+  }
+
+  return {
+    horizonMonths,
+    months,
+    cohorts: cohorts.map(cohort => ({
+      acquiredMonth: cohort.acquiredMonth,
+      initialCustomers: round(cohort.initialCustomers, 1),
+      activeCustomers: round(cohort.customers, 1),
+      arpu: round(cohort.arpu),
+      mrr: round(cohort.customers * cohort.arpu),
+    })),
+  };
+}
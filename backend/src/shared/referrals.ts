@@ -0,0 +1,151 @@
+/**
+ * Referral Program
+ * Program terms and the rules shared by the API and the app: referral code
+ * format, the attribution window, commission maths, the commission ledger's
+ * state machine and the fraud checks run when a referred user signs up.
+ *
+ * Amounts are in cents, matching Stripe.
+ */
+
+export type CommissionStatus = 'PENDING' | 'APPROVED' | 'PAID' | 'REJECTED';
+
+export type ReferralFraudFlag = 'SELF_REFERRAL' | 'SAME_IP' | 'IP_VELOCITY';
+
+export const REFERRAL_PROGRAM = {
+  /** How long after a click a signup is still credited to the referrer */
+  attributionWindowDays: 30,
+  /** Share of the referee's first payment paid to the referrer */
+  commissionRate: 0.3,
+  /** One-off discount on the referee's first invoice */
+  refereeDiscountCents: 2000,
+  /** Commissions stay pending this long so refunds can be caught first */
+  holdDays: 30,
+  /** Signups from one IP for one code, within the window below, before the rest are held for review */
+  maxSignupsPerIp: 3,
+  velocityWindowHours: 24,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Unambiguous characters only: no 0/O or 1/I/L */
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+
+/** Flags that void a referral outright; the others only hold commissions for review */
+const BLOCKING_FLAGS: ReferralFraudFlag[] = ['SELF_REFERRAL'];
+
+const COMMISSION_TRANSITIONS: Record<CommissionStatus, CommissionStatus[]> = {
+  PENDING: ['APPROVED', 'REJECTED'],
+  APPROVED: ['PAID', 'REJECTED'],
+  PAID: [],
+  REJECTED: [],
+};
+
+export interface RiskSubject {
+  email: string;
+  userId?: string;
+  /** Addresses the user is known to have used */
+  ipAddresses?: Array<string | null | undefined>;
+}
+
+export interface RiskContext {
+  referrer: RiskSubject;
+  referee: RiskSubject;
+  /** Earlier signups on the same code from the referee's IP within the velocity window */
+  recentSignupsFromIp?: number;
+}
+
+export interface RiskAssessment {
+  flags: ReferralFraudFlag[];
+  /** Blocked referrals earn nothing; flagged ones need an admin to approve each commission */
+  blocked: boolean;
+}
+
+/** Build a referral code from random bytes (one character per byte) */
+export function codeFromBytes(bytes: ArrayLike<number>): string {
+  if (bytes.length < CODE_LENGTH) {
+    throw new RangeError(`A referral code needs ${CODE_LENGTH} random bytes`);
+  }
+
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+/** Canonical form of a code typed or pasted by a visitor, or null if it cannot be one */
+export function normalizeReferralCode(input: string | null | undefined): string | null {
+  if (!input) return null;
+
+  const code = input.trim().toUpperCase();
+  return CODE_PATTERN.test(code) ? code : null;
+}
+
+export function isWithinAttributionWindow(clickedAt: Date, at: Date = new Date()): boolean {
+  const elapsed = at.getTime() - clickedAt.getTime();
+  return elapsed >= 0 && elapsed <= REFERRAL_PROGRAM.attributionWindowDays * DAY_MS;
+}
+
+export function attributionExpiresAt(clickedAt: Date): Date {
+  return new Date(clickedAt.getTime() + REFERRAL_PROGRAM.attributionWindowDays * DAY_MS);
+}
+
+/** Commission on a payment, rounded to the nearest cent */
+export function calculateCommission(amountCents: number): number {
+  if (!Number.isFinite(amountCents) || amountCents <= 0) return 0;
+  return Math.round(amountCents * REFERRAL_PROGRAM.commissionRate);
+}
+
+/** When a pending commission may be approved */
+export function commissionAvailableAt(paidAt: Date): Date {
+  return new Date(paidAt.getTime() + REFERRAL_PROGRAM.holdDays * DAY_MS);
+}
+
+export function canTransitionCommission(from: CommissionStatus, to: CommissionStatus): boolean {
+  return COMMISSION_TRANSITIONS[from].includes(to);
+}
+
+export function assertCommissionTransition(from: CommissionStatus, to: CommissionStatus): void {
+  if (!canTransitionCommission(from, to)) {
+    throw new RangeError(`A ${from.toLowerCase()} commission cannot become ${to.toLowerCase()}`);
+  }
+}
+
+/**
+ * Collapse the aliases one mailbox can sign up under: case, `+tags`, and
+ * dots in Gmail addresses.
+ */
+export function normalizeEmail(email: string): string {
+  const [rawLocal, rawDomain = ''] = email.trim().toLowerCase().split('@');
+  const domain = rawDomain === 'googlemail.com' ? 'gmail.com' : rawDomain;
+
+  let local = rawLocal.split('+')[0];
+  if (domain === 'gmail.com') {
+    local = local.replace(/\./g, '');
+  }
+
+  return `${local}@${domain}`;
+}
+
+/** Fraud checks for a referred signup */
+export function assessReferralRisk({ referrer, referee, recentSignupsFromIp = 0 }: RiskContext): RiskAssessment {
+  const flags: ReferralFraudFlag[] = [];
+
+  const sameUser = referrer.userId !== undefined && referrer.userId === referee.userId;
+  if (sameUser || normalizeEmail(referrer.email) === normalizeEmail(referee.email)) {
+    flags.push('SELF_REFERRAL');
+  }
+
+  const refereeIps = new Set((referee.ipAddresses ?? []).filter(Boolean));
+  if ((referrer.ipAddresses ?? []).some(ip => ip && refereeIps.has(ip))) {
+    flags.push('SAME_IP');
+  }
+
+  if (recentSignupsFromIp >= REFERRAL_PROGRAM.maxSignupsPerIp) {
+    flags.push('IP_VELOCITY');
+  }
+
+  return { flags, blocked: flags.some(flag => BLOCKING_FLAGS.includes(flag)) };
+}
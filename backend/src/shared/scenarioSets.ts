@@ -0,0 +1,220 @@
+/**
+ * Scenario Sets
+ * Side-by-side comparison of 2–6 pricing alternatives against a shared
+ * baseline: one row per metric, a delta from the baseline for every other
+ * scenario, the winner of each metric, and ARR projections to overlay.
+ *
+ * Framework-free, like the pricing engine it runs, so the comparison page
+ * and the PDF/XLSX export read the same numbers.
+ */
+
+import {
+  calculateMetrics,
+  calculateOptimalPrice,
+  DEFAULT_CURRENCY,
+  PricingInputs,
+  round,
+} from './pricingEngine';
+import { projectCohorts } from './projectionModel';
+import { formatMoney, FormatMoneyOptions } from './currency';
+
+export const SCENARIO_SET_SIZE = { min: 2, max: 6 };
+
+/** Months covered by the overlaid projection; ARR is also reported at each checkpoint */
+export const SCENARIO_PROJECTION_MONTHS = 24;
+const ARR_CHECKPOINTS = [12, 24] as const;
+
+export type ComparisonMetricKey =
+  | 'optimalPrice'
+  | 'ltv'
+  | 'cac'
+  | 'ltvCacRatio'
+  | 'nrr'
+  | 'paybackPeriod'
+  | 'arrMonth12'
+  | 'arrMonth24';
+
+export type ComparisonUnit = 'currency' | 'ratio' | 'percent' | 'months';
+
+export interface ComparisonMetric {
+  key: ComparisonMetricKey;
+  label: string;
+  unit: ComparisonUnit;
+  /** Which way wins; null for metrics that are a choice rather than an outcome */
+  better: 'higher' | 'lower' | null;
+}
+
+export const COMPARISON_METRICS: ComparisonMetric[] = [
+  { key: 'optimalPrice', label: 'Optimal price', unit: 'currency', better: null },
+  { key: 'ltv', label: 'LTV', unit: 'currency', better: 'higher' },
+  { key: 'cac', label: 'CAC', unit: 'currency', better: 'lower' },
+  { key: 'ltvCacRatio', label: 'LTV:CAC', unit: 'ratio', better: 'higher' },
+  { key: 'nrr', label: 'NRR', unit: 'percent', better: 'higher' },
+  { key: 'paybackPeriod', label: 'Payback period', unit: 'months', better: 'lower' },
+  { key: 'arrMonth12', label: 'ARR at month 12', unit: 'currency', better: 'higher' },
+  { key: 'arrMonth24', label: 'ARR at month 24', unit: 'currency', better: 'higher' },
+];
+
+export interface ScenarioInput {
+  id: string;
+  name: string;
+  inputs: PricingInputs;
+}
+
+export interface MetricDelta {
+  delta: number;
+  /** Relative to the baseline, in percent; null when the baseline is zero */
+  percentChange: number | null;
+}
+
+export interface ScenarioResult {
+  id: string;
+  name: string;
+  baseline: boolean;
+  values: Record<ComparisonMetricKey, number>;
+  /** Empty for the baseline itself */
+  deltas: Partial<Record<ComparisonMetricKey, MetricDelta>>;
+}
+
+export interface MetricWinner {
+  metric: ComparisonMetricKey;
+  label: string;
+  /** More than one on a tie */
+  scenarioIds: string[];
+  value: number;
+}
+
+export interface ProjectionPoint {
+  month: number;
+  /** ARR by scenario id */
+  arr: Record<string, number>;
+}
+
+export interface ScenarioComparison {
+  baselineId: string;
+  currency: string;
+  metrics: ComparisonMetric[];
+  scenarios: ScenarioResult[];
+  winners: MetricWinner[];
+  projection: ProjectionPoint[];
+}
+
+/** A metric value as the grid shows it, e.g. `$1,200`, `4.2:1`, `108%`, `7.5 mo` */
+export function formatComparisonValue(
+  value: number,
+  unit: ComparisonUnit,
+  currency: string = DEFAULT_CURRENCY,
+  options: FormatMoneyOptions = {}
+): string {
+  switch (unit) {
+    case 'currency':
+      return formatMoney(value, currency, options);
+    case 'ratio':
+      return `${round(value, 1)}:1`;
+    case 'percent':
+      return `${round(value, 1)}%`;
+    case 'months':
+      return `${round(value, 1)} mo`;
+  }
+}
+
+/** Throws unless `ids` is a valid set of distinct scenarios that includes `baselineId` */
+export function validateScenarioSelection(ids: string[], baselineId: string): void {
+  if (new Set(ids).size !== ids.length) {
+    throw new RangeError('A calculation can only appear once in a scenario set');
+  }
+  if (ids.length < SCENARIO_SET_SIZE.min || ids.length > SCENARIO_SET_SIZE.max) {
+    throw new RangeError(`A scenario set needs ${SCENARIO_SET_SIZE.min}–${SCENARIO_SET_SIZE.max} calculations`);
+  }
+  if (!ids.includes(baselineId)) {
+    throw new RangeError('The baseline must be one of the scenarios');
+  }
+}
+
+function deltaFrom(baseline: number, value: number): MetricDelta {
+  return {
+    delta: round(value - baseline, 2),
+    percentChange: baseline !== 0 ? round(((value - baseline) / Math.abs(baseline)) * 100, 1) : null,
+  };
+}
+
+function pickWinner(metric: ComparisonMetric, scenarios: ScenarioResult[]): MetricWinner | null {
+  if (!metric.better) return null;
+
+  const values = scenarios.map((scenario) => scenario.values[metric.key]);
+  const best = metric.better === 'higher' ? Math.max(...values) : Math.min(...values);
+  const leaders = scenarios.filter((scenario) => scenario.values[metric.key] === best);
+
+  // Everyone tied is no winner at all
+  if (leaders.length === scenarios.length) return null;
+
+  return { metric: metric.key, label: metric.label, scenarioIds: leaders.map((scenario) => scenario.id), value: best };
+}
+
+/**
+ * Compare scenarios at each one's optimal price. Scenarios keep their given
+ * order; every scenario but the baseline gets a delta for every metric.
+ */
+export function compareScenarios(scenarios: ScenarioInput[], baselineId: string): ScenarioComparison {
+  validateScenarioSelection(scenarios.map((scenario) => scenario.id), baselineId);
+
+  const currencies = new Set(scenarios.map((scenario) => scenario.inputs.currency ?? DEFAULT_CURRENCY));
+  if (currencies.size > 1) {
+    throw new RangeError('Scenarios in a set must share a currency');
+  }
+
+  const projections = new Map<string, number[]>();
+
+  const results: ScenarioResult[] = scenarios.map(({ id, name, inputs }) => {
+    const optimalPrice = calculateOptimalPrice(inputs);
+    const metrics = calculateMetrics(inputs, optimalPrice);
+    const { months } = projectCohorts(inputs, optimalPrice, { horizonMonths: SCENARIO_PROJECTION_MONTHS });
+    projections.set(id, months.map((month) => month.arr));
+
+    const [arrMonth12, arrMonth24] = ARR_CHECKPOINTS.map((checkpoint) => months[checkpoint].arr);
+
+    return {
+      id,
+      name,
+      baseline: id === baselineId,
+      values: {
+        optimalPrice,
+        ltv: metrics.ltv,
+        cac: metrics.cac,
+        ltvCacRatio: metrics.ltvCacRatio,
+        nrr: metrics.nrr,
+        paybackPeriod: metrics.paybackPeriod,
+        arrMonth12,
+        arrMonth24,
+      },
+      deltas: {},
+    };
+  });
+
+  const baseline = results.find((scenario) => scenario.baseline) as ScenarioResult;
+  for (const scenario of results) {
+    if (scenario.baseline) continue;
+    for (const { key } of COMPARISON_METRICS) {
+      scenario.deltas[key] = deltaFrom(baseline.values[key], scenario.values[key]);
+    }
+  }
+
+  const projection: ProjectionPoint[] = [];
+  for (let month = 0; month <= SCENARIO_PROJECTION_MONTHS; month++) {
+    projection.push({
+      month,
+      arr: Object.fromEntries(results.map((scenario) => [scenario.id, (projections.get(scenario.id) as number[])[month]])),
+    });
+  }
+
+  return {
+    baselineId,
+    currency: [...currencies][0],
+    metrics: COMPARISON_METRICS,
+    scenarios: results,
+    winners: COMPARISON_METRICS
+      .map((metric) => pickWinner(metric, results))
+      .filter((winner): winner is MetricWinner => winner !== null),
+    projection,
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * System Configuration
+ * Operator-controlled settings shared by the API and the app: maintenance
+ * mode, the registration switch, per-plan subscriber caps and the feature
+ * flags that can switch AI, collaboration and exports off at runtime.
+ *
+ * The API stores each setting as its own key so every change can be
+ * audited on its own; `toSettings` and `fromSettings` convert between that
+ * flat form and the nested config.
+ */
+
+import { fnv1a } from './hashing';
+import { getPlan, isPlanId, PlanId, UNLIMITED } from './plans';
+
+export type FeatureFlagKey = 'aiInsights' | 'collaboration' | 'advancedExports';
+
+export const FEATURE_FLAG_KEYS: FeatureFlagKey[] = ['aiInsights', 'collaboration', 'advancedExports'];
+
+export type CappedPlanId = Exclude<PlanId, 'FREE'>;
+
+export interface FeatureFlag {
+  enabled: boolean;
+  /** Share of users who see the feature, 0-100; users keep their bucket between requests */
+  rolloutPercentage: number;
+  /** Plans the flag is limited to; empty means every plan */
+  plans: PlanId[];
+}
+
+export interface SystemConfig {
+  maintenanceMode: boolean;
+  /** Shown to users while maintenance mode is on */
+  maintenanceMessage: string;
+  registrationEnabled: boolean;
+  /** Most active subscribers a plan accepts; UNLIMITED (-1) for no cap */
+  maxUsersPerPlan: Record<CappedPlanId, number>;
+  featureFlags: Record<FeatureFlagKey, FeatureFlag>;
+}
+
+export interface SystemConfigPatch {
+  maintenanceMode?: boolean;
+  maintenanceMessage?: string;
+  registrationEnabled?: boolean;
+  maxUsersPerPlan?: Partial<Record<CappedPlanId, number>>;
+  /** `true`/`false` is shorthand for `{ enabled }` */
+  featureFlags?: Partial<Record<FeatureFlagKey, boolean | Partial<FeatureFlag>>>;
+}
+
+export interface FlagContext {
+  userId?: string;
+  plan?: string | null;
+}
+
+export interface SettingChange {
+  key: string;
+  previousValue: unknown;
+  newValue: unknown;
+}
+
+const fullRollout = (): FeatureFlag => ({ enabled: true, rolloutPercentage: 100, plans: [] });
+
+export const DEFAULT_SYSTEM_CONFIG: SystemConfig = {
+  maintenanceMode: false,
+  maintenanceMessage: '',
+  registrationEnabled: true,
+  maxUsersPerPlan: {
+    STARTER: 1000,
+    PROFESSIONAL: 5000,
+    ENTERPRISE: UNLIMITED,
+  },
+  featureFlags: {
+    aiInsights: fullRollout(),
+    collaboration: fullRollout(),
+    advancedExports: fullRollout(),
+  },
+};
+
+const CAPPED_PLAN_IDS: CappedPlanId[] = ['STARTER', 'PROFESSIONAL', 'ENTERPRISE'];
+
+function applyFlagPatch(key: FeatureFlagKey, flag: FeatureFlag, patch: boolean | Partial<FeatureFlag>): FeatureFlag {
+  const next = typeof patch === 'boolean' ? { ...flag, enabled: patch } : { ...flag, ...patch };
+
+  if (!Number.isInteger(next.rolloutPercentage) || next.rolloutPercentage < 0 || next.rolloutPercentage > 100) {
+    throw new RangeError(`Rollout for ${key} must be a whole percentage between 0 and 100`);
+  }
+  if (!next.plans.every(isPlanId)) {
+    throw new RangeError(`Unknown plan in ${key} flag`);
+  }
+
+  return { ...next, plans: [...next.plans] };
+}
+
+/** Apply a partial update, rejecting values the API could not honour */
+export function applyConfigPatch(config: SystemConfig, patch: SystemConfigPatch): SystemConfig {
+  const next: SystemConfig = {
+    ...config,
+    maxUsersPerPlan: { ...config.maxUsersPerPlan },
+    featureFlags: { ...config.featureFlags },
+  };
+
+  if (patch.maintenanceMode !== undefined) next.maintenanceMode = patch.maintenanceMode;
+  if (patch.maintenanceMessage !== undefined) next.maintenanceMessage = patch.maintenanceMessage;
+  if (patch.registrationEnabled !== undefined) next.registrationEnabled = patch.registrationEnabled;
+
+  for (const [planId, cap] of Object.entries(patch.maxUsersPerPlan ?? {})) {
+    if (!(CAPPED_PLAN_IDS as string[]).includes(planId)) {
+      throw new RangeError(`Plan ${planId} cannot be capped`);
+    }
+    if (cap === undefined) continue;
+    if (cap !== UNLIMITED && (!Number.isInteger(cap) || cap < 1)) {
+      throw new RangeError(`Cap for ${planId} must be a positive whole number or ${UNLIMITED} for unlimited`);
+    }
+    next.maxUsersPerPlan[planId as CappedPlanId] = cap;
+  }
+
+  for (const [key, flagPatch] of Object.entries(patch.featureFlags ?? {})) {
+    if (!(FEATURE_FLAG_KEYS as string[]).includes(key)) {
+      throw new RangeError(`Unknown feature flag: ${key}`);
+    }
+    if (flagPatch === undefined) continue;
+    const flagKey = key as FeatureFlagKey;
+    next.featureFlags[flagKey] = applyFlagPatch(flagKey, config.featureFlags[flagKey], flagPatch);
+  }
+
+  return next;
+}
+
+/** Flatten a config into the individually stored and audited settings */
+export function toSettings(config: SystemConfig): Record<string, unknown> {
+  const settings: Record<string, unknown> = {
+    maintenanceMode: config.maintenanceMode,
+    maintenanceMessage: config.maintenanceMessage,
+    registrationEnabled: config.registrationEnabled,
+  };
+
+  for (const planId of CAPPED_PLAN_IDS) {
+    settings[`maxUsersPerPlan.${planId}`] = config.maxUsersPerPlan[planId];
+  }
+  for (const key of FEATURE_FLAG_KEYS) {
+    settings[`featureFlags.${key}`] = config.featureFlags[key];
+  }
+
+  return settings;
+}
+
+/** Rebuild a config from stored settings; anything missing or malformed keeps its default */
+export function fromSettings(settings: Record<string, unknown>): SystemConfig {
+  const config = applyConfigPatch(DEFAULT_SYSTEM_CONFIG, {});
+
+  const pick = <T>(key: string, valid: (value: unknown) => boolean, fallback: T): T =>
+    valid(settings[key]) ? (settings[key] as T) : fallback;
+  const isBoolean = (value: unknown) => typeof value === 'boolean';
+
+  config.maintenanceMode = pick('maintenanceMode', isBoolean, config.maintenanceMode);
+  config.maintenanceMessage = pick('maintenanceMessage', value => typeof value === 'string', config.maintenanceMessage);
+  config.registrationEnabled = pick('registrationEnabled', isBoolean, config.registrationEnabled);
+
+  for (const planId of CAPPED_PLAN_IDS) {
+    config.maxUsersPerPlan[planId] = pick(
+      `maxUsersPerPlan.${planId}`,
+      value => Number.isInteger(value) && ((value as number) >= 1 || value === UNLIMITED),
+      config.maxUsersPerPlan[planId]
+    );
+  }
+
+  for (const key of FEATURE_FLAG_KEYS) {
+    const stored = settings[`featureFlags.${key}`];
+    if (stored && typeof stored === 'object') {
+      try {
+        config.featureFlags[key] = applyFlagPatch(key, config.featureFlags[key], stored as Partial<FeatureFlag>);
+      } catch {
+        // Keep the default rather than fail every request on one bad row
+      }
+    }
+  }
+
+  return config;
+}
+
+/** Settings whose value differs between two configs, for the audit trail */
+export function diffSettings(before: SystemConfig, after: SystemConfig): SettingChange[] {
+  const previous = toSettings(before);
+  const next = toSettings(after);
+
+  return Object.keys(next)
+    .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+    .map(key => ({ key, previousValue: previous[key], newValue: next[key] }));
+}
+
+/** Stable 0-99 bucket for a user and flag */
+export function rolloutBucket(flag: FeatureFlagKey, userId: string): number {
+  return fnv1a(`${flag}:${userId}`) % 100;
+}
+
+/**
+ * Whether a flag is on for a user. Partial rollouts need a user id to bucket
+ * by, so they are off for anonymous requests.
+ */
+export function isFlagEnabled(config: SystemConfig, key: FeatureFlagKey, context: FlagContext = {}): boolean {
+  const flag = config.featureFlags[key];
+
+  if (!flag.enabled) return false;
+  if (flag.plans.length > 0 && !flag.plans.includes(getPlan(context.plan).id)) return false;
+  if (flag.rolloutPercentage >= 100) return true;
+  if (!context.userId) return false;
+
+  return rolloutBucket(key, context.userId) < flag.rolloutPercentage;
+}
+
+export function evaluateFlags(config: SystemConfig, context: FlagContext = {}): Record<FeatureFlagKey, boolean> {
+  return Object.fromEntries(
+    FEATURE_FLAG_KEYS.map(key => [key, isFlagEnabled(config, key, context)])
+  ) as Record<FeatureFlagKey, boolean>;
+}
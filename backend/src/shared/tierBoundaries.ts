@@ -0,0 +1,249 @@
+/**
+ * Tier Boundary Optimisation
+ * Suggests tier cut-offs ("Up to 10 seats") from an imported customer base
+ * instead of hard-coded limits.
+ *
+ * Customers are grouped on one dimension (seats or usage) either by
+ * quantiles or by k-means on the log scale, and each cut-off is rounded up
+ * to a number that reads well on a pricing page, which can merge two
+ * neighbouring cut-offs and leave fewer tiers. A proposal is scored by
+ * pricing every tier at what its median customer's usage is worth today:
+ * customers below their tier's median pay for headroom they don't use,
+ * customers above it leave revenue on the table. Tighter tiers shrink both.
+ */
+
+import { CsvError, parseCsv, parseNumericCell } from './csv';
+import { round } from './pricingEngine';
+
+export interface CustomerRecord {
+  id: string;
+  seats: number;
+  usage: number;
+  plan: string;
+  mrr: number;
+}
+
+export type TierDimension = 'seats' | 'usage';
+
+export type TierBoundaryMethod = 'quantile' | 'kmeans';
+
+export interface TierBoundaryOptions {
+  dimension: TierDimension;
+  method: TierBoundaryMethod;
+  tierCount?: number;
+}
+
+export interface ProposedTier {
+  /** The previous tier's limit, exclusive; 0 for the first tier */
+  lowerBound: number;
+  /** Inclusive limit; null for the open-ended top tier */
+  upperBound: number | null;
+  customers: number;
+  /** Median-customer price at today's revenue per unit */
+  suggestedPrice: number;
+  currentMrr: number;
+  proposedMrr: number;
+}
+
+export interface TierBoundaryProposal {
+  method: TierBoundaryMethod;
+  dimension: TierDimension;
+  tiers: ProposedTier[];
+  /** Current plans, cheapest first, as matched against proposed tiers */
+  currentPlans: string[];
+  moves: { up: number; down: number; unchanged: number };
+  /** Usage value above the tier price, summed over customers, per month */
+  revenueLeftOnTable: number;
+  /** Tier price above usage value, summed over customers, per month */
+  headroomPaid: number;
+}
+
+export const CUSTOMER_COLUMNS = {
+  id: ['customer', 'customerid', 'id', 'account', 'name'],
+  seats: ['seats', 'users', 'seatcount', 'usercount'],
+  usage: ['usage', 'usageunits', 'units', 'monthlyusage'],
+  plan: ['plan', 'currentplan', 'tier'],
+  mrr: ['mrr', 'monthlyrevenue', 'revenue'],
+};
+
+export const DEFAULT_TIER_COUNT = 3;
+
+export function parseCustomerCsv(text: string): CustomerRecord[] {
+  return parseCsv(text, CUSTOMER_COLUMNS, ['id']).map(({ line, values }) => {
+    const seats = parseNumericCell(values.seats);
+    const usage = parseNumericCell(values.usage);
+    const mrr = parseNumericCell(values.mrr);
+
+    if (!Number.isFinite(seats) || seats < 0) {
+      throw new CsvError(`"${values.seats}" is not a valid seat count`, line);
+    }
+    if (!Number.isFinite(usage) || usage < 0) {
+      throw new CsvError(`"${values.usage}" is not a valid usage figure`, line);
+    }
+    if (!Number.isFinite(mrr) || mrr < 0) {
+      throw new CsvError(`"${values.mrr}" is not a valid MRR`, line);
+    }
+    if (!values.plan) {
+      throw new CsvError('Plan is missing', line);
+    }
+
+    return { id: values.id || `Line ${line}`, seats, usage, plan: values.plan, mrr };
+  });
+}
+
+const NICE_STEPS = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10];
+
+/** Round up to 1, 1.5, 2, 2.5, 3, 4, 5, 6 or 8 times a power of ten */
+export function niceCeil(value: number): number {
+  if (value <= 1) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = NICE_STEPS.find(candidate => candidate * magnitude >= value - 1e-9)!;
+  return round(step * magnitude, 6);
+}
+
+/** Split sorted values into `count` groups of (nearly) equal size */
+function quantileGroups(sorted: number[], count: number): number[] {
+  return Array.from({ length: count - 1 }, (_, k) => sorted[Math.ceil((sorted.length * (k + 1)) / count) - 1]);
+}
+
+/**
+ * 1-D k-means on log(1 + value), seeded at the quantile groups' centres.
+ * Returns the largest value in each cluster but the last.
+ */
+function kmeansGroups(sorted: number[], count: number): number[] {
+  const points = sorted.map(value => Math.log1p(value));
+  const seeds = Array.from({ length: count }, (_, k) => points[Math.floor((points.length * (2 * k + 1)) / (2 * count))]);
+  let centroids = seeds;
+  let assignment: number[] = [];
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const next = points.map(point =>
+      centroids.reduce((best, centroid, k) =>
+        Math.abs(point - centroid) < Math.abs(point - centroids[best]) ? k : best, 0)
+    );
+    if (next.every((cluster, i) => cluster === assignment[i])) break;
+    assignment = next;
+
+    centroids = centroids.map((centroid, k) => {
+      const members = points.filter((_, i) => assignment[i] === k);
+      return members.length > 0 ? members.reduce((sum, point) => sum + point, 0) / members.length : centroid;
+    });
+  }
+
+  const bounds: number[] = [];
+  for (let k = 0; k < count - 1; k++) {
+    const members = sorted.filter((_, i) => assignment[i] === k);
+    if (members.length > 0) bounds.push(members[members.length - 1]);
+  }
+  return bounds;
+}
+
+const median = (values: number[]): number => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/** Current plans ordered by what their customers pay, cheapest first */
+export function rankPlans(customers: CustomerRecord[]): string[] {
+  const plans = Array.from(new Set(customers.map(customer => customer.plan)));
+  const medianMrr = new Map(
+    plans.map(plan => [plan, median(customers.filter(customer => customer.plan === plan).map(customer => customer.mrr))])
+  );
+  return plans.sort((a, b) => medianMrr.get(a)! - medianMrr.get(b)!);
+}
+
+export function proposeTierBoundaries(customers: CustomerRecord[], options: TierBoundaryOptions): TierBoundaryProposal {
+  const { dimension, method } = options;
+  const currentPlans = rankPlans(customers);
+  const tierCount = options.tierCount ?? (currentPlans.length > 1 ? Math.min(currentPlans.length, 6) : DEFAULT_TIER_COUNT);
+
+  if (!Number.isInteger(tierCount) || tierCount < 2) {
+    throw new RangeError('At least two tiers are needed');
+  }
+
+  const sorted = customers.map(customer => customer[dimension]).sort((a, b) => a - b);
+  if (new Set(sorted).size < tierCount) {
+    throw new RangeError(`Need at least ${tierCount} distinct ${dimension} values to propose ${tierCount} tiers`);
+  }
+
+  const rawBounds = method === 'kmeans' ? kmeansGroups(sorted, tierCount) : quantileGroups(sorted, tierCount);
+  const bounds = Array.from(new Set(rawBounds.map(niceCeil)))
+    .filter(bound => bound < sorted[sorted.length - 1])
+    .sort((a, b) => a - b);
+
+  const tierOf = (value: number) => {
+    const index = bounds.findIndex(bound => value <= bound);
+    return index === -1 ? bounds.length : index;
+  };
+
+  const totalMrr = customers.reduce((sum, customer) => sum + customer.mrr, 0);
+  const totalUnits = sorted.reduce((sum, value) => sum + value, 0);
+  const valuePerUnit = totalUnits > 0 ? totalMrr / totalUnits : 0;
+
+  const members = bounds.map(() => [] as CustomerRecord[]).concat([[]]);
+  customers.forEach(customer => members[tierOf(customer[dimension])].push(customer));
+
+  let revenueLeftOnTable = 0;
+  let headroomPaid = 0;
+  const tiers = members.map((tierCustomers, index) => {
+    const suggestedPrice = tierCustomers.length > 0
+      ? valuePerUnit * median(tierCustomers.map(customer => customer[dimension]))
+      : 0;
+
+    for (const customer of tierCustomers) {
+      const gap = suggestedPrice - valuePerUnit * customer[dimension];
+      if (gap > 0) headroomPaid += gap;
+      else revenueLeftOnTable -= gap;
+    }
+
+    return {
+      lowerBound: index === 0 ? 0 : bounds[index - 1],
+      upperBound: index < bounds.length ? bounds[index] : null,
+      customers: tierCustomers.length,
+      suggestedPrice: round(suggestedPrice),
+      currentMrr: round(tierCustomers.reduce((sum, customer) => sum + customer.mrr, 0)),
+      proposedMrr: round(suggestedPrice * tierCustomers.length),
+    };
+  });
+
+  // With a different number of tiers than plans, plan ranks are stretched
+  // onto the proposed tiers so "moves" still mean cheaper or dearer
+  const planRank = (plan: string) => {
+    const rank = currentPlans.indexOf(plan);
+    return currentPlans.length > 1 ? Math.round((rank * (tiers.length - 1)) / (currentPlans.length - 1)) : 0;
+  };
+
+  const moves = { up: 0, down: 0, unchanged: 0 };
+  for (const customer of customers) {
+    const change = tierOf(customer[dimension]) - planRank(customer.plan);
+    if (change > 0) moves.up++;
+    else if (change < 0) moves.down++;
+    else moves.unchanged++;
+  }
+
+  return {
+    method,
+    dimension,
+    tiers,
+    currentPlans,
+    moves,
+    revenueLeftOnTable: round(revenueLeftOnTable),
+    headroomPaid: round(headroomPaid),
+  };
+}
+
+/**
+ * Run both methods and keep the proposal with the smaller total mismatch
+ * between what customers pay and what their usage is worth.
+ */
+export function recommendTierBoundaries(
+  customers: CustomerRecord[],
+  options: Omit<TierBoundaryOptions, 'method'>
+): { recommended: TierBoundaryProposal; alternatives: TierBoundaryProposal[] } {
+  const proposals = (['kmeans', 'quantile'] as const).map(method => proposeTierBoundaries(customers, { ...options, method }));
+  const mismatch = (proposal: TierBoundaryProposal) => proposal.revenueLeftOnTable + proposal.headroomPaid;
+  const [recommended, ...alternatives] = [...proposals].sort((a, b) => mismatch(a) - mismatch(b));
+
+  return { recommended, alternatives };
+}
@@ -0,0 +1,152 @@
+/**
+ * Van Westendorp Price Sensitivity Meter
+ * Turns willingness-to-pay survey answers (too cheap / cheap / expensive /
+ * too expensive) into cumulative curves and the four classic price points.
+ * The acceptable range runs from the Point of Marginal Cheapness to the
+ * Point of Marginal Expensiveness and can be fed back into the pricing
+ * engine as priceFloor / priceCeiling.
+ */
+
+import { CsvError, parseCsv, parseNumericCell } from './csv';
+import { round } from './pricingEngine';
+
+export interface VanWestendorpResponse {
+  tooCheap: number;
+  cheap: number;
+  expensive: number;
+  tooExpensive: number;
+}
+
+export interface VanWestendorpCurvePoint {
+  price: number;
+  /** Cumulative share of respondents, in percent */
+  tooCheap: number;
+  cheap: number;
+  notCheap: number;
+  expensive: number;
+  notExpensive: number;
+  tooExpensive: number;
+}
+
+export interface VanWestendorpAnalysis {
+  responses: number;
+  /** Responses dropped because their answers were out of order */
+  excluded: number;
+  curves: VanWestendorpCurvePoint[];
+  pointOfMarginalCheapness: number | null;
+  pointOfMarginalExpensiveness: number | null;
+  optimalPricePoint: number | null;
+  indifferencePricePoint: number | null;
+  /** PMC to PME; null when either point can't be found */
+  acceptableRange: { min: number; max: number } | null;
+}
+
+export const VAN_WESTENDORP_COLUMNS = {
+  tooCheap: ['toocheap', 'tooinexpensive'],
+  cheap: ['cheap', 'bargain', 'inexpensive'],
+  expensive: ['expensive', 'gettingexpensive'],
+  tooExpensive: ['tooexpensive'],
+};
+
+// Fewer answers than this make the curves too coarse to read anything into
+export const MIN_VAN_WESTENDORP_RESPONSES = 5;
+
+/**
+ * Parse a survey export with one respondent per row. Rows with a blank or
+ * non-numeric answer throw a CsvError naming the line.
+ */
+export function parseVanWestendorpCsv(text: string): VanWestendorpResponse[] {
+  return parseCsv(text, VAN_WESTENDORP_COLUMNS).map(({ line, values }) => {
+    const response = {} as VanWestendorpResponse;
+
+    for (const key of Object.keys(VAN_WESTENDORP_COLUMNS) as Array<keyof VanWestendorpResponse>) {
+      const price = parseNumericCell(values[key]);
+      if (!Number.isFinite(price) || price < 0) {
+        throw new CsvError(`"${values[key]}" is not a valid ${VAN_WESTENDORP_COLUMNS[key][0]} price`, line);
+      }
+      response[key] = price;
+    }
+
+    return response;
+  });
+}
+
+const isConsistent = (response: VanWestendorpResponse): boolean =>
+  response.tooCheap <= response.cheap &&
+  response.cheap <= response.expensive &&
+  response.expensive <= response.tooExpensive &&
+  response.tooCheap < response.tooExpensive;
+
+/**
+ * Price where a falling curve meets a rising one, interpolated linearly
+ * between the surrounding survey prices.
+ */
+function intersect(prices: number[], falling: number[], rising: number[]): number | null {
+  for (let i = 0; i < prices.length; i++) {
+    const gap = falling[i] - rising[i];
+    if (gap > 0) {
+      continue;
+    }
+    if (i === 0) {
+      return prices[0];
+    }
+
+    const previousGap = falling[i - 1] - rising[i - 1];
+    const t = previousGap / (previousGap - gap);
+    return round(prices[i - 1] + t * (prices[i] - prices[i - 1]));
+  }
+
+  return null;
+}
+
+export function analyzeVanWestendorp(responses: VanWestendorpResponse[]): VanWestendorpAnalysis {
+  const valid = responses.filter(isConsistent);
+
+  if (valid.length < MIN_VAN_WESTENDORP_RESPONSES) {
+    throw new RangeError(
+      `At least ${MIN_VAN_WESTENDORP_RESPONSES} consistent responses are needed; found ${valid.length}`
+    );
+  }
+
+  const prices = Array.from(
+    new Set(valid.flatMap(response => [response.tooCheap, response.cheap, response.expensive, response.tooExpensive]))
+  ).sort((a, b) => a - b);
+
+  const share = (predicate: (response: VanWestendorpResponse) => boolean) =>
+    (valid.filter(predicate).length / valid.length) * 100;
+
+  // Cheapness curves fall as price rises, expensiveness curves rise
+  const tooCheap = prices.map(price => share(response => response.tooCheap >= price));
+  const cheap = prices.map(price => share(response => response.cheap >= price));
+  const expensive = prices.map(price => share(response => response.expensive <= price));
+  const tooExpensive = prices.map(price => share(response => response.tooExpensive <= price));
+  const notCheap = cheap.map(value => 100 - value);
+  const notExpensive = expensive.map(value => 100 - value);
+
+  const pointOfMarginalCheapness = intersect(prices, tooCheap, notCheap);
+  const pointOfMarginalExpensiveness = intersect(prices, notExpensive, tooExpensive);
+
+  return {
+    responses: valid.length,
+    excluded: responses.length - valid.length,
+    curves: prices.map((price, i) => ({
+      price,
+      tooCheap: round(tooCheap[i], 1),
+      cheap: round(cheap[i], 1),
+      notCheap: round(notCheap[i], 1),
+      expensive: round(expensive[i], 1),
+      notExpensive: round(notExpensive[i], 1),
+      tooExpensive: round(tooExpensive[i], 1),
+    })),
+    pointOfMarginalCheapness,
+    pointOfMarginalExpensiveness,
+    optimalPricePoint: intersect(prices, tooCheap, tooExpensive),
+    indifferencePricePoint: intersect(prices, notExpensive, notCheap),
+    acceptableRange:
+      pointOfMarginalCheapness !== null &&
+      pointOfMarginalExpensiveness !== null &&
+      pointOfMarginalCheapness < pointOfMarginalExpensiveness
+        ? { min: pointOfMarginalCheapness, max: pointOfMarginalExpensiveness }
+        : null,
+  };
+}
@@ -73,4 +73,14 @@ export class ExternalServiceError extends AppError {
   constructor(service: string, message: string) {
     super(`${service} error: ${message}`, 502, 'EXTERNAL_SERVICE_ERROR');
   }
-}
\ No newline at end of file
+}
+
+// A feature outside the plan is forbidden (403); a used-up allowance needs a bigger plan paid for (402)
+export class EntitlementError extends AppError {
+  constructor(message: string, code: 'PLAN_UPGRADE_REQUIRED' | 'PLAN_LIMIT_REACHED', details?: any) {
+    super(message, code === 'PLAN_LIMIT_REACHED' ? 402 : 403, code);
+    if (details) {
+      (this as any).details = details;
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { SCENARIO_SET_SIZE } from '../shared/scenarioSets';
+import { SERVER_RECORDED_GOALS } from '../shared/experiments';
 
 // Auth validators
 export const registerSchema = z.object({
@@ -12,6 +14,9 @@ export const registerSchema = z.object({
     ),
   name: z.string().min(2, 'Name must be at least 2 characters').optional(),
   company: z.string().optional(),
+  // Either the code typed into the form or the click recorded from a referral link
+  referralCode: z.string().max(16).optional(),
+  referralClickId: z.string().max(100).optional(),
 });
 
 export const loginSchema = z.object({
@@ -68,17 +73,84 @@ export const calculationInputSchema = z.object({
     .number()
     .positive('Market size must be positive')
     .optional(),
+  operatingMargin: z
+    .number()
+    .min(-100, 'Operating margin cannot be below -100%')
+    .max(100, 'Operating margin cannot exceed 100%')
+    .optional(),
+  newCustomersPerMonth: z
+    .number()
+    .min(0, 'New customers cannot be negative')
+    .max(1000000, 'New customer count too high')
+    .optional(),
+  acquisitionGrowthRate: z
+    .number()
+    .min(-100, 'Acquisition growth cannot be below -100%')
+    .max(100, 'Acquisition growth cannot exceed 100%')
+    .optional(),
+  priceFloor: z
+    .number()
+    .positive('Price floor must be positive')
+    .max(100000, 'Price floor too high')
+    .optional(),
+  priceCeiling: z
+    .number()
+    .positive('Price ceiling must be positive')
+    .max(100000, 'Price ceiling too high')
+    .optional(),
+  currency: z
+    .string()
+    .regex(/^[A-Za-z]{3}$/, 'Currency must be a three-letter code')
+    .transform(code => code.toUpperCase())
+    .optional(),
 });
 
 export const calculationCreateSchema = z.object({
   name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
   inputs: calculationInputSchema,
+  teamId: z.string().uuid('Invalid team id').optional(),
+});
+
+export const changeNoteSchema = z.string().trim().min(1).max(500, 'Change note too long').optional();
+
+export const versionNumberSchema = z.coerce.number().int().positive('Invalid version');
+
+export const versionDiffSchema = z.object({
+  from: versionNumberSchema,
+  to: versionNumberSchema,
+});
+
+export const restoreVersionSchema = z.object({
+  changeNote: changeNoteSchema,
+});
+
+export const branchVersionSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long').optional(),
+});
+
+// Scenario set validators
+const scenarioCalculationIdsSchema = z
+  .array(z.string().uuid('Invalid calculation id'))
+  .min(SCENARIO_SET_SIZE.min, `Pick at least ${SCENARIO_SET_SIZE.min} calculations`)
+  .max(SCENARIO_SET_SIZE.max, `Pick at most ${SCENARIO_SET_SIZE.max} calculations`);
+
+export const createScenarioSetSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name too long'),
+  description: z.string().max(500, 'Description too long').optional(),
+  teamId: z.string().uuid('Invalid team id').optional(),
+  calculationIds: scenarioCalculationIdsSchema,
+  baselineId: z.string().uuid('Invalid baseline id').optional(),
+});
+
+export const updateScenarioSetSchema = createScenarioSetSchema.omit({ teamId: true }).partial();
+
+export const scenarioSetExportSchema = z.object({
+  format: z.enum(['pdf', 'excel']),
 });
 
 // Team validators
 export const createTeamSchema = z.object({
   name: z.string().min(2, 'Team name must be at least 2 characters'),
-  plan: z.enum(['TEAM', 'BUSINESS', 'ENTERPRISE']).optional(),
 });
 
 export const inviteTeamMemberSchema = z.object({
@@ -86,12 +158,22 @@ export const inviteTeamMemberSchema = z.object({
   role: z.enum(['ADMIN', 'MEMBER', 'VIEWER']).optional(),
 });
 
+export const updateTeamSchema = z.object({
+  name: z.string().min(2, 'Team name must be at least 2 characters').optional(),
+});
+
+export const updateTeamMemberRoleSchema = z.object({
+  role: z.enum(['ADMIN', 'MEMBER', 'VIEWER']),
+});
+
 // User profile validators
 export const updateProfileSchema = z.object({
   name: z.string().min(2, 'Name must be at least 2 characters').optional(),
   company: z.string().optional(),
   phone: z.string().optional(),
   timezone: z.string().optional(),
+  locale: z.enum(['en', 'es']).optional(),
+  weeklyDigest: z.boolean().optional(),
 });
 
 // API key validators
@@ -107,6 +189,134 @@ export const createSubscriptionSchema = z.object({
   paymentMethodId: z.string().optional(),
 });
 
+export const createCheckoutSchema = z.object({
+  plan: z.enum(['STARTER', 'PROFESSIONAL', 'ENTERPRISE']),
+  successUrl: z.string().url('Invalid success URL').optional(),
+  cancelUrl: z.string().url('Invalid cancel URL').optional(),
+  // The experiment visitor id, so the purchase is credited to the unit that was assigned
+  anonymousId: z.string().min(8).max(100).optional(),
+});
+
+export const changePlanSchema = z.object({
+  plan: z.enum(['STARTER', 'PROFESSIONAL', 'ENTERPRISE']),
+  // Unix timestamp returned by the preview, so the charge matches what was shown
+  prorationDate: z.number().int().positive().optional(),
+});
+
+// Experiment validators
+const experimentKey = z.string().regex(/^[a-z0-9_-]+$/i, 'Use letters, numbers, dashes and underscores only');
+
+const experimentVariantsSchema = z
+  .array(
+    z.object({
+      key: experimentKey.max(50),
+      weight: z.number().positive('Weights must be positive'),
+    })
+  )
+  .min(2, 'An experiment needs a control and at least one other variant')
+  .max(10);
+
+export const createExperimentSchema = z.object({
+  name: experimentKey.max(100),
+  description: z.string().max(500).optional(),
+  // The first variant is the control
+  variants: experimentVariantsSchema,
+  goal: z.string().min(1).max(50).optional(),
+});
+
+export const updateExperimentSchema = z.object({
+  description: z.string().max(500).optional(),
+  variants: experimentVariantsSchema.optional(),
+  goal: z.string().min(1).max(50).optional(),
+  status: z.enum(['RUNNING', 'STOPPED']).optional(),
+  winner: z.string().optional(),
+});
+
+export const experimentAssignmentSchema = z.object({
+  anonymousId: z.string().min(8).max(100).optional(),
+});
+
+export const experimentConversionSchema = z.object({
+  goal: z.string().min(1).max(50).refine(
+    (goal) => !SERVER_RECORDED_GOALS.includes(goal),
+    (goal) => ({ message: `"${goal}" conversions are recorded by the server` })
+  ),
+  anonymousId: z.string().min(8).max(100).optional(),
+  value: z.number().nonnegative().optional(),
+});
+
+// Referral validators
+export const referralClickSchema = z.object({
+  code: z.string().min(4).max(16),
+});
+
+export const commissionFiltersSchema = z.object({
+  status: z.enum(['PENDING', 'APPROVED', 'PAID', 'REJECTED']).optional(),
+  referrerId: z.string().uuid().optional(),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(50),
+});
+
+export const updateCommissionSchema = z
+  .object({
+    status: z.enum(['APPROVED', 'PAID', 'REJECTED']),
+    payoutReference: z.string().min(1).max(200).optional(),
+    reason: z.string().max(500).optional(),
+  })
+  .refine(data => data.status !== 'PAID' || data.payoutReference, {
+    message: 'A payout reference is required when marking a commission paid',
+    path: ['payoutReference'],
+  });
+
+// Lead validators
+const leadSourceSchema = z.enum(['pricing_guide', 'exit_intent', 'free_trial', 'newsletter']);
+
+export const leadCaptureSchema = z.object({
+  email: z.string().email('Invalid email address').max(254),
+  source: leadSourceSchema,
+  // Offer shown, page, UTM tags; flattened and trimmed before storage
+  context: z.record(z.unknown()).optional(),
+  consentVersion: z.string().min(1).max(50),
+});
+
+export const leadFiltersSchema = z.object({
+  status: z.enum(['PENDING', 'CONFIRMED', 'UNSUBSCRIBED']).optional(),
+  source: leadSourceSchema.optional(),
+  search: z.string().max(254).optional(),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(50),
+});
+
+// Exports default to confirmed addresses, the only ones that may be mailed
+export const leadExportSchema = leadFiltersSchema
+  .pick({ source: true, search: true })
+  .extend({
+    status: z.enum(['PENDING', 'CONFIRMED', 'UNSUBSCRIBED']).default('CONFIRMED'),
+  });
+
+// Email validators
+export const emailPreviewSchema = z.object({
+  locale: z.string().max(10).optional(),
+  format: z.enum(['json', 'html', 'text']).default('json'),
+});
+
+export const outboxFiltersSchema = z.object({
+  status: z.enum(['QUEUED', 'SENT', 'FAILED']).optional(),
+  template: z.string().max(50).optional(),
+  recipient: z.string().max(254).optional(),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(50),
+});
+
+// Background job validators
+export const jobFiltersSchema = z.object({
+  status: z.enum(['pending', 'processing', 'completed', 'failed', 'cancelled']).optional(),
+  type: z.enum(['ai_analysis', 'report_generation', 'email_notification']).optional(),
+  userId: z.string().uuid().optional(),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().positive().max(100).default(50),
+});
+
 // Pagination validators
 export const paginationSchema = z.object({
   page: z.coerce.number().positive().default(1),
@@ -0,0 +1,101 @@
+import { Request, Response } from 'express';
+import { enforceLimit, requireFeature } from '../../../src/middleware/entitlement.middleware';
+import { entitlementService } from '../../../src/services/entitlement.service';
+import { EntitlementError } from '../../../src/utils/errors';
+
+jest.mock('../../../src/services/entitlement.service', () => ({
+  entitlementService: {
+    assertFeature: jest.fn(),
+    assertWithinLimit: jest.fn(),
+  },
+}));
+
+describe('entitlement middleware', () => {
+  const res = {} as Response;
+  let next: jest.Mock;
+
+  const signedIn = () => ({ user: { id: 'user-id', email: 'user@example.com', role: 'USER' } }) as Request;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    next = jest.fn();
+  });
+
+  describe('requireFeature', () => {
+    it('should let a plan with the feature through', async () => {
+      (entitlementService.assertFeature as jest.Mock).mockResolvedValue(undefined);
+
+      await requireFeature('collaboration')(signedIn(), res, next);
+
+      expect(entitlementService.assertFeature).toHaveBeenCalledWith('user-id', 'collaboration');
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should answer 403 with the plan to upgrade to when the feature is missing', async () => {
+      (entitlementService.assertFeature as jest.Mock).mockRejectedValue(
+        new EntitlementError('This feature requires the Professional plan or higher', 'PLAN_UPGRADE_REQUIRED', {
+          feature: 'collaboration',
+          plan: 'STARTER',
+          requiredPlan: 'PROFESSIONAL',
+        })
+      );
+
+      await requireFeature('collaboration')(signedIn(), res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          statusCode: 403,
+          code: 'PLAN_UPGRADE_REQUIRED',
+          details: expect.objectContaining({ feature: 'collaboration', requiredPlan: 'PROFESSIONAL' }),
+        })
+      );
+    });
+
+    it('should answer 401 without a signed-in user', async () => {
+      await requireFeature('collaboration')({} as Request, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+      expect(entitlementService.assertFeature).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enforceLimit', () => {
+    it('should let usage within the allowance through', async () => {
+      (entitlementService.assertWithinLimit as jest.Mock).mockResolvedValue(undefined);
+
+      await enforceLimit('exports')(signedIn(), res, next);
+
+      expect(entitlementService.assertWithinLimit).toHaveBeenCalledWith('user-id', 'exports');
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should answer 402 with the plan to upgrade to once the allowance is used up', async () => {
+      (entitlementService.assertWithinLimit as jest.Mock).mockRejectedValue(
+        new EntitlementError("You've used 3 of the 3 batch exports included in your plan this period", 'PLAN_LIMIT_REACHED', {
+          meter: 'batchExports',
+          plan: 'STARTER',
+          used: 3,
+          limit: 3,
+          requiredPlan: 'PROFESSIONAL',
+        })
+      );
+
+      await enforceLimit('batchExports')(signedIn(), res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          statusCode: 402,
+          code: 'PLAN_LIMIT_REACHED',
+          details: expect.objectContaining({ meter: 'batchExports', requiredPlan: 'PROFESSIONAL' }),
+        })
+      );
+    });
+
+    it('should answer 401 without a signed-in user', async () => {
+      await enforceLimit('exports')({} as Request, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+      expect(entitlementService.assertWithinLimit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { Request, Response } from 'express';
+import jwt from 'jsonwebtoken';
+import { maintenanceGate } from '../../../src/middleware/systemConfig.middleware';
+import { systemConfigService } from '../../../src/services/systemConfig.service';
+
+jest.mock('../../../src/services/systemConfig.service', () => ({
+  systemConfigService: { getConfig: jest.fn() },
+}));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const JWT_SECRET = 'test-jwt-secret-that-is-at-least-32-characters';
+
+describe('maintenanceGate', () => {
+  let res: Response;
+  let next: jest.Mock;
+
+  const request = (originalUrl: string, token?: string) =>
+    ({
+      originalUrl,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    }) as Request;
+
+  const tokenFor = (role: string, options: jwt.SignOptions = {}, secret = JWT_SECRET) =>
+    jwt.sign({ userId: 'user-id', role }, secret, { expiresIn: '15m', ...options });
+
+  const expectBlocked = () => {
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 503, code: 'MAINTENANCE_MODE' }));
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '300');
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = JWT_SECRET;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { set: jest.fn() } as unknown as Response;
+    next = jest.fn();
+    (systemConfigService.getConfig as jest.Mock).mockResolvedValue({ maintenanceMode: true, maintenanceMessage: '' });
+  });
+
+  it.each([
+    '/api/v1/auth/login',
+    '/api/v1/auth/refresh?source=app',
+    '/api/v1/config',
+    '/api/v1/subscriptions/webhook',
+    '/api/v1/leads/unsubscribe/abc123',
+  ])('should let %s through without reading the config', async (path) => {
+    await maintenanceGate(request(path), res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(systemConfigService.getConfig).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    '/api/v1/auth/login-as',
+    '/api/v1/config/flags',
+    '/api/v1/leads/unsubscribe',
+  ])('should not treat %s as exempt', async (path) => {
+    await maintenanceGate(request(path), res, next);
+
+    expectBlocked();
+  });
+
+  it('should answer 503 to a signed-in non-admin', async () => {
+    await maintenanceGate(request('/api/v1/calculations', tokenFor('USER')), res, next);
+
+    expectBlocked();
+  });
+
+  it('should answer 503 without a token', async () => {
+    await maintenanceGate(request('/api/v1/calculations'), res, next);
+
+    expectBlocked();
+  });
+
+  it('should use the configured maintenance message', async () => {
+    (systemConfigService.getConfig as jest.Mock).mockResolvedValue({ maintenanceMode: true, maintenanceMessage: 'Back at 10:00 UTC' });
+
+    await maintenanceGate(request('/api/v1/calculations'), res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Back at 10:00 UTC' }));
+  });
+
+  it.each(['ADMIN', 'SUPER_ADMIN'])('should let a signed-in %s through', async (role) => {
+    await maintenanceGate(request('/api/v1/admin/config', tokenFor(role)), res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('should treat an expired admin token as a non-admin', async () => {
+    const expired = tokenFor('ADMIN', { expiresIn: -10 });
+
+    await maintenanceGate(request('/api/v1/admin/config', expired), res, next);
+
+    expectBlocked();
+  });
+
+  it('should treat an admin token signed with another secret as a non-admin', async () => {
+    const forged = tokenFor('ADMIN', {}, 'some-other-secret-that-is-at-least-32-chars');
+
+    await maintenanceGate(request('/api/v1/admin/config', forged), res, next);
+
+    expectBlocked();
+  });
+
+  it('should treat a malformed authorization header as a non-admin', async () => {
+    await maintenanceGate(request('/api/v1/admin/config', 'not-a-jwt'), res, next);
+
+    expectBlocked();
+  });
+
+  it('should let everyone through when maintenance mode is off', async () => {
+    (systemConfigService.getConfig as jest.Mock).mockResolvedValue({ maintenanceMode: false });
+
+    await maintenanceGate(request('/api/v1/calculations'), res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should stay open when the config cannot be read', async () => {
+    (systemConfigService.getConfig as jest.Mock).mockRejectedValue(new Error('connection refused'));
+
+    await maintenanceGate(request('/api/v1/calculations'), res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -1,6 +1,20 @@
 import { CalculationService } from '../../../src/services/calculation.service';
 import { PrismaClient } from '@prisma/client';
-import { mockDeep, DeepMockProxy } from 'jest-mock-extended';
+import { DeepMockProxy, mockReset } from 'jest-mock-extended';
+import { redis as redisClient } from '../../../src/config/redis';
+
+jest.mock('@prisma/client', () => {
+  const { mockDeep } = jest.requireActual('jest-mock-extended');
+  const prisma = mockDeep();
+  return { PrismaClient: jest.fn(() => prisma) };
+});
+
+jest.mock('../../../src/config/redis', () => ({
+  redis: { get: jest.fn(), set: jest.fn(), setex: jest.fn(), del: jest.fn(), expire: jest.fn() },
+}));
+jest.mock('../../../src/services/email.service', () => ({ EmailService: jest.fn() }));
+jest.mock('../../../src/services/subscription.service', () => ({ subscriptionService: {} }));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
 
 describe('CalculationService', () => {
   let calculationService: CalculationService;
@@ -8,13 +22,10 @@ describe('CalculationService', () => {
   let redis: any;
 
   beforeEach(() => {
-    prisma = mockDeep<PrismaClient>();
-    redis = {
-      get: jest.fn(),
-      set: jest.fn(),
-      del: jest.fn(),
-      expire: jest.fn(),
-    };
+    jest.clearAllMocks();
+    prisma = new PrismaClient() as DeepMockProxy<PrismaClient>;
+    mockReset(prisma);
+    redis = redisClient;
     calculationService = new CalculationService(prisma as any, redis);
   });
 
@@ -237,6 +248,24 @@ describe('CalculationService', () => {
         })
       );
     });
+
+    it('should list only the team\'s calculations once the caller is a member', async () => {
+      prisma.teamMember.findUnique.mockResolvedValue({ role: 'VIEWER' } as any);
+      prisma.calculation.findMany.mockResolvedValue([]);
+
+      await calculationService.getCalculations('user-id', 'team-id');
+
+      expect(prisma.calculation.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { teamId: 'team-id' } })
+      );
+    });
+
+    it('should not list a team\'s calculations to a non-member', async () => {
+      prisma.teamMember.findUnique.mockResolvedValue(null);
+
+      await expect(calculationService.getCalculations('user-id', 'team-id')).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.calculation.findMany).not.toHaveBeenCalled();
+    });
   });
 
   describe('shareCalculation', () => {
@@ -438,4 +467,158 @@ describe('CalculationService', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('saveRevision', () => {
+    const inputs = {
+      currentPrice: 99,
+      customers: 100,
+      churnRate: 5,
+      competitorPrice: 120,
+      cac: 300,
+    };
+
+    const stored = (overrides: Record<string, unknown> = {}) => ({
+      id: 'calc-id',
+      userId: 'owner-id',
+      teamId: 'team-id',
+      name: 'Q1 2025 Pricing',
+      inputs,
+      results: {},
+      version: 3,
+      parentId: null,
+      branchedFromVersion: null,
+      createdAt: new Date(),
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      prisma.$transaction.mockResolvedValue([{}, { id: 'calc-id', version: 4 }] as any);
+    });
+
+    it('should let the author save without checking their team role', async () => {
+      await calculationService['saveRevision'](stored() as any, inputs as any, 'owner-id', 'Updated');
+
+      expect(prisma.teamMember.findUnique).not.toHaveBeenCalled();
+      expect(prisma.calculationVersion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ calculationId: 'calc-id', version: 3, changedById: 'owner-id' }),
+      });
+      expect(prisma.calculation.update).toHaveBeenCalledWith({
+        where: { id: 'calc-id' },
+        data: expect.objectContaining({ version: 4 }),
+      });
+      expect(redis.del).toHaveBeenCalledWith('calculation:calc-id');
+    });
+
+    it.each(['OWNER', 'ADMIN', 'MEMBER'])('should let a team %s save another member\'s calculation', async (role) => {
+      prisma.teamMember.findUnique.mockResolvedValue({ role } as any);
+
+      await expect(
+        calculationService['saveRevision'](stored() as any, inputs as any, 'user-id', 'Updated')
+      ).resolves.toEqual({ id: 'calc-id', version: 4 });
+    });
+
+    it('should refuse a team viewer', async () => {
+      prisma.teamMember.findUnique.mockResolvedValue({ role: 'VIEWER' } as any);
+
+      await expect(
+        calculationService['saveRevision'](stored() as any, inputs as any, 'user-id', 'Updated')
+      ).rejects.toMatchObject({ statusCode: 403 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should answer a conflict when another save took the version first', async () => {
+      prisma.$transaction.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(
+        calculationService['saveRevision'](stored() as any, inputs as any, 'owner-id', 'Updated')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(redis.del).not.toHaveBeenCalled();
+    });
+
+    it('should pass on other database errors', async () => {
+      prisma.$transaction.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(
+        calculationService['saveRevision'](stored() as any, inputs as any, 'owner-id', 'Updated')
+      ).rejects.toThrow('Connection lost');
+    });
+
+    describe('restoreVersion', () => {
+      it('should only look up calculations the caller owns or shares a team with', async () => {
+        prisma.calculation.findFirst.mockResolvedValue(null);
+
+        await expect(calculationService.restoreVersion('calc-id', 'user-id', 1)).rejects.toMatchObject({ statusCode: 404 });
+
+        expect(prisma.calculation.findFirst).toHaveBeenCalledWith({
+          where: {
+            id: 'calc-id',
+            OR: [{ userId: 'user-id' }, { team: { members: { some: { userId: 'user-id' } } } }],
+          },
+        });
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+      });
+
+      it('should save the snapshot\'s inputs as a new version', async () => {
+        const earlier = { ...inputs, currentPrice: 79 };
+        prisma.calculation.findFirst.mockResolvedValue(stored() as any);
+        prisma.calculationVersion.findUnique.mockResolvedValue({ version: 1, inputs: earlier, results: {} } as any);
+
+        await calculationService.restoreVersion('calc-id', 'owner-id', 1);
+
+        expect(prisma.calculation.update).toHaveBeenCalledWith({
+          where: { id: 'calc-id' },
+          data: expect.objectContaining({ inputs: earlier, version: 4 }),
+        });
+        expect(prisma.calculationVersion.create).toHaveBeenCalledWith({
+          data: expect.objectContaining({ version: 3, changeNote: 'Restored version 1' }),
+        });
+      });
+
+      it('should refuse a team viewer', async () => {
+        prisma.calculation.findFirst.mockResolvedValue(stored() as any);
+        prisma.calculationVersion.findUnique.mockResolvedValue({ version: 1, inputs, results: {} } as any);
+        prisma.teamMember.findUnique.mockResolvedValue({ role: 'VIEWER' } as any);
+
+        await expect(calculationService.restoreVersion('calc-id', 'user-id', 1)).rejects.toMatchObject({ statusCode: 403 });
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('branchFromVersion', () => {
+      it('should not branch a calculation the caller cannot see', async () => {
+        prisma.calculation.findFirst.mockResolvedValue(null);
+
+        await expect(calculationService.branchFromVersion('calc-id', 'user-id', 1)).rejects.toMatchObject({ statusCode: 404 });
+        expect(prisma.calculation.create).not.toHaveBeenCalled();
+      });
+
+      it('should create the branch in the same team, linked to its source version', async () => {
+        prisma.calculation.findFirst.mockResolvedValue(stored() as any);
+        prisma.calculationVersion.findUnique.mockResolvedValue({ version: 2, inputs, results: {} } as any);
+        prisma.teamMember.findUnique.mockResolvedValue({ role: 'MEMBER' } as any);
+        prisma.calculation.create.mockResolvedValue({ id: 'branch-id' } as any);
+
+        await calculationService.branchFromVersion('calc-id', 'user-id', 2);
+
+        expect(prisma.calculation.create).toHaveBeenCalledWith({
+          data: expect.objectContaining({
+            userId: 'user-id',
+            teamId: 'team-id',
+            name: 'Q1 2025 Pricing (branch of v2)',
+            parentId: 'calc-id',
+            branchedFromVersion: 2,
+          }),
+        });
+      });
+
+      it('should refuse a team viewer', async () => {
+        prisma.calculation.findFirst.mockResolvedValue(stored() as any);
+        prisma.calculationVersion.findUnique.mockResolvedValue({ version: 2, inputs, results: {} } as any);
+        prisma.teamMember.findUnique.mockResolvedValue({ role: 'VIEWER' } as any);
+
+        await expect(calculationService.branchFromVersion('calc-id', 'user-id', 2)).rejects.toMatchObject({ statusCode: 403 });
+        expect(prisma.calculation.create).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
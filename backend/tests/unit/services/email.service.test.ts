@@ -0,0 +1,143 @@
+import nodemailer from 'nodemailer';
+import { PrismaClient } from '@prisma/client';
+import { DeepMockProxy, mockReset } from 'jest-mock-extended';
+import { EmailService } from '../../../src/services/email.service';
+import { jobService } from '../../../src/services/job.service';
+import { EMAIL_TEMPLATES } from '../../../src/shared/emailTemplates';
+import { retryDelayMs } from '../../../src/shared/jobs';
+
+jest.mock('@prisma/client', () => {
+  const { mockDeep } = jest.requireActual('jest-mock-extended');
+  const prisma = mockDeep();
+  return { PrismaClient: jest.fn(() => prisma) };
+});
+
+jest.mock('nodemailer', () => {
+  const transport = { sendMail: jest.fn() };
+  return { __esModule: true, default: { createTransport: jest.fn(() => transport) } };
+});
+
+jest.mock('../../../src/services/job.service', () => ({ jobService: { enqueue: jest.fn() } }));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const queued = (attempts: number) => ({
+  id: 'message-id',
+  template: 'welcome',
+  recipient: 'jane@example.com',
+  subject: 'Welcome',
+  html: '<p>Welcome</p>',
+  text: 'Welcome',
+  status: 'QUEUED',
+  attempts,
+});
+
+const variables = EMAIL_TEMPLATES.welcome.sample;
+
+describe('EmailService', () => {
+  let emailService: EmailService;
+  let prisma: DeepMockProxy<PrismaClient>;
+  let sendMail: jest.Mock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma = new PrismaClient() as DeepMockProxy<PrismaClient>;
+    mockReset(prisma);
+    emailService = new EmailService();
+    sendMail = (nodemailer.createTransport as jest.Mock)().sendMail;
+
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-id', locale: 'en' } as any);
+    prisma.emailOutbox.create.mockResolvedValue({ id: 'message-id' } as any);
+  });
+
+  describe('send', () => {
+    it('should write the message to the outbox before delivering it', async () => {
+      prisma.emailOutbox.findUnique.mockResolvedValue(queued(0) as any);
+      sendMail.mockResolvedValue({ messageId: 'smtp-id' });
+
+      await expect(emailService.send('welcome', 'jane@example.com', variables)).resolves.toBe('message-id');
+
+      expect(prisma.emailOutbox.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ template: 'welcome', locale: 'en', recipient: 'jane@example.com', userId: 'user-id' }),
+      });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'jane@example.com', subject: 'Welcome' }));
+    });
+
+    it('should not schedule a retry when the inline attempt succeeds', async () => {
+      prisma.emailOutbox.findUnique.mockResolvedValue(queued(0) as any);
+      sendMail.mockResolvedValue({ messageId: 'smtp-id' });
+
+      await emailService.send('welcome', 'jane@example.com', variables);
+
+      expect(prisma.emailOutbox.update).toHaveBeenCalledWith({
+        where: { id: 'message-id' },
+        data: { status: 'SENT', attempts: 1, sentAt: expect.any(Date), lastError: null },
+      });
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should keep the message queued and enqueue a retry when the inline attempt fails', async () => {
+      prisma.emailOutbox.findUnique.mockResolvedValue(queued(0) as any);
+      sendMail.mockRejectedValue(new Error('Connection refused'));
+      const before = Date.now();
+
+      await expect(emailService.send('welcome', 'jane@example.com', variables)).resolves.toBe('message-id');
+
+      expect(prisma.emailOutbox.update).toHaveBeenCalledWith({
+        where: { id: 'message-id' },
+        data: { status: 'QUEUED', attempts: 1, lastError: 'Connection refused' },
+      });
+      expect(jobService.enqueue).toHaveBeenCalledWith('email_notification', { messageId: 'message-id' }, {
+        priority: 3,
+        maxAttempts: 4,
+        scheduledAt: expect.any(Date),
+      });
+      const { scheduledAt } = (jobService.enqueue as jest.Mock).mock.calls[0][2];
+      expect(scheduledAt.getTime()).toBeGreaterThanOrEqual(before + retryDelayMs(1));
+    });
+  });
+
+  describe('attempt', () => {
+    it('should mark the message FAILED when the fifth attempt fails', async () => {
+      prisma.emailOutbox.findUnique.mockResolvedValue(queued(4) as any);
+      sendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await expect(emailService.attempt('message-id')).resolves.toBe('FAILED');
+
+      expect(prisma.emailOutbox.update).toHaveBeenCalledWith({
+        where: { id: 'message-id' },
+        data: { status: 'FAILED', attempts: 5, lastError: 'Mailbox unavailable' },
+      });
+    });
+
+    it('should leave the message queued while attempts remain', async () => {
+      prisma.emailOutbox.findUnique.mockResolvedValue(queued(3) as any);
+      sendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await expect(emailService.attempt('message-id')).resolves.toBe('QUEUED');
+
+      expect(prisma.emailOutbox.update).toHaveBeenCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ status: 'QUEUED', attempts: 4 }) })
+      );
+    });
+
+    it('should not resend a message that already left the queue', async () => {
+      prisma.emailOutbox.findUnique.mockResolvedValue({ ...queued(1), status: 'SENT' } as any);
+
+      await expect(emailService.attempt('message-id')).resolves.toBe('SENT');
+
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(prisma.emailOutbox.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deliverQueued', () => {
+    it('should throw with the last error so the worker retries', async () => {
+      prisma.emailOutbox.findUnique
+        .mockResolvedValueOnce(queued(1) as any)
+        .mockResolvedValueOnce({ lastError: 'Connection refused' } as any);
+      sendMail.mockRejectedValue(new Error('Connection refused'));
+
+      await expect(emailService.deliverQueued('message-id')).rejects.toThrow('Connection refused');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { EntitlementService } from '../../../src/services/entitlement.service';
+import { subscriptionService } from '../../../src/services/subscription.service';
+import { summarizeUsage } from '../../../src/shared/plans';
+
+jest.mock('../../../src/services/subscription.service', () => ({
+  subscriptionService: {
+    getCurrentSubscription: jest.fn(),
+    getUsage: jest.fn(),
+  },
+}));
+
+describe('EntitlementService', () => {
+  let entitlementService: EntitlementService;
+
+  const usage = (plan: string, used: Partial<Parameters<typeof summarizeUsage>[1]> = {}) => ({
+    plan,
+    usage: summarizeUsage(plan, { calculations: 0, aiBudget: 0, exports: 0, batchExports: 0, ...used }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    entitlementService = new EntitlementService();
+  });
+
+  describe('assertFeature', () => {
+    it('should allow a feature the plan includes', async () => {
+      (subscriptionService.getCurrentSubscription as jest.Mock).mockResolvedValue({ plan: 'PROFESSIONAL' });
+
+      await expect(entitlementService.assertFeature('user-id', 'collaboration')).resolves.toBeUndefined();
+    });
+
+    it('should name the cheapest plan with the feature', async () => {
+      (subscriptionService.getCurrentSubscription as jest.Mock).mockResolvedValue({ plan: 'STARTER' });
+
+      await expect(entitlementService.assertFeature('user-id', 'collaboration')).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'PLAN_UPGRADE_REQUIRED',
+        message: 'This feature requires the Professional plan or higher',
+        details: { feature: 'collaboration', plan: 'STARTER', requiredPlan: 'PROFESSIONAL' },
+      });
+    });
+  });
+
+  describe('assertWithinLimit', () => {
+    it('should allow usage below the limit', async () => {
+      (subscriptionService.getUsage as jest.Mock).mockResolvedValue(usage('STARTER', { batchExports: 2 }));
+
+      await expect(entitlementService.assertWithinLimit('user-id', 'batchExports')).resolves.toBeUndefined();
+    });
+
+    it('should answer 402 with the plan that allows more once the limit is used up', async () => {
+      (subscriptionService.getUsage as jest.Mock).mockResolvedValue(usage('STARTER', { batchExports: 3 }));
+
+      await expect(entitlementService.assertWithinLimit('user-id', 'batchExports')).rejects.toMatchObject({
+        statusCode: 402,
+        code: 'PLAN_LIMIT_REACHED',
+        details: { meter: 'batchExports', plan: 'STARTER', used: 3, limit: 3, requiredPlan: 'PROFESSIONAL' },
+      });
+    });
+
+    it('should name no plan when none allows more', async () => {
+      (subscriptionService.getUsage as jest.Mock).mockResolvedValue(usage('ENTERPRISE', { batchExports: 25 }));
+
+      await expect(entitlementService.assertWithinLimit('user-id', 'batchExports')).rejects.toMatchObject({
+        details: expect.objectContaining({ requiredPlan: null }),
+      });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { PrismaClient } from '@prisma/client';
+import { DeepMockProxy, mockReset } from 'jest-mock-extended';
+import { JobCancelledError, JobRecord, JobService } from '../../../src/services/job.service';
+import { notifyUser } from '../../../src/services/collaboration.service';
+import { JOB_RETRY } from '../../../src/shared/jobs';
+
+jest.mock('@prisma/client', () => {
+  const { mockDeep } = jest.requireActual('jest-mock-extended');
+  const prisma = mockDeep();
+  return {
+    PrismaClient: jest.fn(() => prisma),
+    Prisma: { join: jest.fn((values: unknown[]) => values), DbNull: 'DbNull' },
+  };
+});
+
+jest.mock('../../../src/services/collaboration.service', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const job = (overrides: Partial<JobRecord> = {}): JobRecord => ({
+  id: 'job-id',
+  type: 'report_generation',
+  payload: {},
+  attempts: 1,
+  maxAttempts: 3,
+  userId: 'user-id',
+  ...overrides,
+});
+
+describe('JobService', () => {
+  let jobService: JobService;
+  let prisma: DeepMockProxy<PrismaClient>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma = new PrismaClient() as DeepMockProxy<PrismaClient>;
+    mockReset(prisma);
+    jobService = new JobService();
+
+    prisma.backgroundJob.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('recordFailure', () => {
+    it('should schedule another attempt while attempts remain', async () => {
+      const before = Date.now();
+
+      await expect(jobService['recordFailure'](job({ attempts: 1 }), 'Timed out')).resolves.toBe(true);
+
+      const { where, data } = prisma.backgroundJob.updateMany.mock.calls[0][0] as any;
+      expect(where).toEqual({ id: 'job-id', status: 'processing' });
+      expect(data).toMatchObject({ status: 'pending', error: 'Timed out' });
+      expect(data.scheduledAt.getTime()).toBeGreaterThanOrEqual(before + JOB_RETRY.baseDelayMs);
+      expect(notifyUser).toHaveBeenCalledWith('user-id', 'job:retrying', expect.objectContaining({ jobId: 'job-id' }));
+    });
+
+    it('should only write while the job still matches stillAs', async () => {
+      const stillAs = { status: 'processing', heartbeatAt: { lt: new Date() } };
+      prisma.backgroundJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(jobService['recordFailure'](job(), 'Worker stopped responding', undefined, stillAs)).resolves.toBe(false);
+
+      expect(prisma.backgroundJob.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 'job-id', ...stillAs } })
+      );
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requeueStale', () => {
+    it('should fail a stalled job that has used all its attempts', async () => {
+      prisma.backgroundJob.findMany.mockResolvedValue([job({ attempts: 3, maxAttempts: 3 })] as any);
+
+      await jobService['requeueStale']();
+
+      const { where, data } = prisma.backgroundJob.updateMany.mock.calls[0][0] as any;
+      expect(where).toMatchObject({ id: 'job-id', status: 'processing', heartbeatAt: { lt: expect.any(Date) } });
+      expect(data).toMatchObject({ status: 'failed', error: 'Worker stopped responding' });
+      expect(notifyUser).toHaveBeenCalledWith('user-id', 'job:failed', expect.objectContaining({ jobId: 'job-id' }));
+    });
+
+    it('should put a stalled job with attempts left back in the queue', async () => {
+      prisma.backgroundJob.findMany.mockResolvedValue([job({ attempts: 1, maxAttempts: 3 })] as any);
+
+      await jobService['requeueStale']();
+
+      expect(prisma.backgroundJob.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ status: 'pending' }) })
+      );
+    });
+  });
+
+  describe('cancelJob', () => {
+    it.each(['completed', 'failed', 'cancelled'])('should refuse to cancel a %s job', async (status) => {
+      prisma.backgroundJob.findUnique.mockResolvedValue({ id: 'job-id', status, userId: 'user-id' } as any);
+
+      await expect(jobService.cancelJob('job-id')).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.backgroundJob.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should cancel a pending job and tell its owner', async () => {
+      prisma.backgroundJob.findUnique.mockResolvedValue({ id: 'job-id', type: 'report_generation', status: 'pending', userId: 'user-id' } as any);
+
+      await jobService.cancelJob('job-id');
+
+      expect(prisma.backgroundJob.updateMany).toHaveBeenCalledWith({
+        where: { id: 'job-id', status: { in: ['pending', 'processing'] } },
+        data: { status: 'cancelled', completedAt: expect.any(Date) },
+      });
+      expect(notifyUser).toHaveBeenCalledWith('user-id', 'job:cancelled', { jobId: 'job-id', type: 'report_generation' });
+    });
+
+    it('should refuse when the job finished before the cancellation landed', async () => {
+      prisma.backgroundJob.findUnique.mockResolvedValue({ id: 'job-id', status: 'processing', userId: 'user-id' } as any);
+      prisma.backgroundJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(jobService.cancelJob('job-id')).rejects.toThrow("A job that has finished can't be cancelled");
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reportProgress', () => {
+    it('should throw JobCancelledError once the running job is cancelled', async () => {
+      let thrown: unknown;
+      jobService.registerHandler('report_generation', async (_job, context) => {
+        try {
+          await context.reportProgress(50);
+        } catch (error) {
+          thrown = error;
+          throw error;
+        }
+        return undefined;
+      });
+
+      prisma.backgroundJob.findMany.mockResolvedValue([]);
+      prisma.$queryRaw.mockResolvedValueOnce([{ id: 'job-id' }] as any).mockResolvedValueOnce([] as any);
+      prisma.backgroundJob.findUnique.mockResolvedValue(job() as any);
+      // The cancellation moved the job out of `processing`, so the progress write matches nothing
+      prisma.backgroundJob.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(jobService.drain()).resolves.toBe(1);
+
+      expect(thrown).toBeInstanceOf(JobCancelledError);
+      expect(prisma.backgroundJob.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.backgroundJob.updateMany).toHaveBeenCalledWith({
+        where: { id: 'job-id', status: 'processing' },
+        data: { progress: 50, heartbeatAt: expect.any(Date) },
+      });
+      expect(notifyUser).not.toHaveBeenCalled();
+    });
+  });
+});
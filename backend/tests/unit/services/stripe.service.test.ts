@@ -0,0 +1,200 @@
+import Stripe from 'stripe';
+import { PrismaClient } from '@prisma/client';
+import { DeepMockProxy, mockReset } from 'jest-mock-extended';
+import { StripeService } from '../../../src/services/stripe.service';
+import { emailService } from '../../../src/services/email.service';
+
+jest.mock('@prisma/client', () => {
+  const { mockDeep } = jest.requireActual('jest-mock-extended');
+  const prisma = mockDeep();
+  return { PrismaClient: jest.fn(() => prisma) };
+});
+
+jest.mock('stripe', () => {
+  const stripe = {
+    webhooks: { constructEvent: jest.fn() },
+    subscriptions: { retrieve: jest.fn(), update: jest.fn() },
+  };
+  return jest.fn(() => stripe);
+});
+
+jest.mock('../../../src/config/secrets', () => ({
+  config: {
+    STRIPE_SECRET_KEY: 'sk_test',
+    STRIPE_WEBHOOK_SECRET: 'whsec_test',
+    STRIPE_PRICE_ID_STARTER: 'price_starter',
+    STRIPE_PRICE_ID_PROFESSIONAL: 'price_professional',
+    STRIPE_PRICE_ID_ENTERPRISE: 'price_enterprise',
+  },
+}));
+
+jest.mock('../../../src/services/email.service', () => {
+  const emailService = {
+    sendWelcomeEmail: jest.fn(),
+    sendCancellationEmail: jest.fn(),
+    sendPaymentFailedEmail: jest.fn(),
+    sendTrialEndingEmail: jest.fn(),
+  };
+  return { EmailService: jest.fn(() => emailService), emailService };
+});
+jest.mock('../../../src/services/analytics.service', () => ({ analyticsService: { trackEvent: jest.fn() } }));
+jest.mock('../../../src/services/experiment.service', () => ({ experimentService: { trackConversion: jest.fn() } }));
+jest.mock('../../../src/services/referral.service', () => ({ referralService: {} }));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const DAY = 24 * 60 * 60;
+
+const stripeSubscription = (overrides: Partial<Record<string, any>> = {}) => ({
+  id: 'sub_1',
+  customer: 'cus_1',
+  status: 'active',
+  current_period_start: 1767225600,
+  current_period_end: 1767225600 + 365 * DAY,
+  cancel_at_period_end: false,
+  metadata: { userId: 'user-id', planId: 'STARTER' },
+  items: { data: [{ id: 'si_1', price: { id: 'price_starter' } }] },
+  ...overrides,
+});
+
+describe('StripeService', () => {
+  let stripeService: StripeService;
+  let prisma: DeepMockProxy<PrismaClient>;
+  let stripe: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma = new PrismaClient() as DeepMockProxy<PrismaClient>;
+    mockReset(prisma);
+    stripe = new Stripe('sk_test', { apiVersion: '2023-10-16' });
+    stripeService = new StripeService();
+
+    prisma.stripeEvent.findUnique.mockResolvedValue(null);
+    prisma.subscription.upsert.mockImplementation((args: any) => Promise.resolve({ userId: 'user-id', ...args.update }));
+  });
+
+  const deliver = (type: string, object: any, id = 'evt_1') => {
+    stripe.webhooks.constructEvent.mockReturnValue({ id, type, data: { object } });
+    return stripeService.handleWebhook('t=1,v1=signature', Buffer.from('{}'));
+  };
+
+  describe('handleWebhook', () => {
+    it('should reject a payload whose signature does not verify', async () => {
+      stripe.webhooks.constructEvent.mockImplementation(() => {
+        throw new Error('No signatures found matching the expected signature for payload');
+      });
+
+      await expect(stripeService.handleWebhook('t=1,v1=forged', Buffer.from('{}'))).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Invalid webhook signature',
+      });
+      expect(prisma.stripeEvent.findUnique).not.toHaveBeenCalled();
+      expect(prisma.subscription.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should copy the real status and period from Stripe on checkout completion', async () => {
+      const trial = stripeSubscription({ status: 'trialing' });
+      stripe.subscriptions.retrieve.mockResolvedValue(trial);
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-id', email: 'buyer@example.com', name: 'Buyer' } as any);
+
+      await deliver('checkout.session.completed', {
+        id: 'cs_1',
+        subscription: 'sub_1',
+        customer: 'cus_1',
+        metadata: { userId: 'user-id', planId: 'STARTER' },
+      });
+
+      expect(stripe.subscriptions.retrieve).toHaveBeenCalledWith('sub_1');
+      expect(prisma.subscription.upsert).toHaveBeenCalledWith({
+        where: { userId: 'user-id' },
+        update: expect.objectContaining({
+          status: 'TRIALING',
+          currentPeriodStart: new Date(trial.current_period_start * 1000),
+          currentPeriodEnd: new Date(trial.current_period_end * 1000),
+        }),
+        create: expect.objectContaining({ userId: 'user-id', status: 'TRIALING' }),
+      });
+      expect(emailService.sendWelcomeEmail).toHaveBeenCalledWith('buyer@example.com', 'Buyer');
+      expect(prisma.stripeEvent.createMany).toHaveBeenCalledWith({
+        data: [{ id: 'evt_1', type: 'checkout.session.completed' }],
+        skipDuplicates: true,
+      });
+    });
+
+    it('should skip an event that was already processed', async () => {
+      prisma.stripeEvent.findUnique.mockResolvedValue({ id: 'evt_1' } as any);
+
+      const result = await deliver('checkout.session.completed', {
+        id: 'cs_1',
+        subscription: 'sub_1',
+        metadata: { userId: 'user-id', planId: 'STARTER' },
+      });
+
+      expect(result).toEqual({ received: true });
+      expect(stripe.subscriptions.retrieve).not.toHaveBeenCalled();
+      expect(emailService.sendWelcomeEmail).not.toHaveBeenCalled();
+      expect(prisma.stripeEvent.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should create the subscription row when subscription.created arrives before checkout', async () => {
+      await deliver('customer.subscription.created', stripeSubscription());
+
+      expect(prisma.subscription.upsert).toHaveBeenCalledWith({
+        where: { userId: 'user-id' },
+        update: expect.objectContaining({ stripeSubscriptionId: 'sub_1', plan: 'STARTER', status: 'ACTIVE' }),
+        create: expect.objectContaining({ userId: 'user-id', stripeSubscriptionId: 'sub_1', stripeCustomerId: 'cus_1' }),
+      });
+      expect(prisma.subscription.update).not.toHaveBeenCalled();
+    });
+
+    it('should move the plan once Stripe reports the new price', async () => {
+      await deliver(
+        'customer.subscription.updated',
+        stripeSubscription({ items: { data: [{ id: 'si_1', price: { id: 'price_professional' } }] } })
+      );
+
+      expect(prisma.subscription.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { userId: 'user-id' },
+          update: expect.objectContaining({ plan: 'PROFESSIONAL', status: 'ACTIVE' }),
+        })
+      );
+    });
+
+    it('should fail without recording the event when handling throws, so Stripe retries', async () => {
+      prisma.subscription.upsert.mockRejectedValue(new Error('connection lost'));
+
+      await expect(deliver('customer.subscription.updated', stripeSubscription())).rejects.toThrow('connection lost');
+      expect(prisma.stripeEvent.createMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changeSubscriptionPlan', () => {
+    beforeEach(() => {
+      stripe.subscriptions.retrieve.mockResolvedValue(stripeSubscription());
+    });
+
+    it('should invoice the proration now and only apply the price once paid', async () => {
+      stripe.subscriptions.update.mockResolvedValue(stripeSubscription({ pending_update: null }));
+
+      await stripeService.changeSubscriptionPlan('sub_1', 'PROFESSIONAL', 1767312000);
+
+      expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_1', {
+        items: [{ id: 'si_1', price: 'price_professional' }],
+        proration_behavior: 'always_invoice',
+        proration_date: 1767312000,
+        payment_behavior: 'pending_if_incomplete',
+      });
+    });
+
+    it('should answer 402 when the proration payment fails', async () => {
+      stripe.subscriptions.update.mockResolvedValue(
+        stripeSubscription({ pending_update: { subscription_items: [{ price: 'price_professional' }] } })
+      );
+
+      await expect(stripeService.changeSubscriptionPlan('sub_1', 'PROFESSIONAL')).rejects.toMatchObject({
+        statusCode: 402,
+        code: 'PAYMENT_FAILED',
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { PrismaClient } from '@prisma/client';
+import { DeepMockProxy, mockReset } from 'jest-mock-extended';
+import { SubscriptionService } from '../../../src/services/subscription.service';
+import { stripeService } from '../../../src/services/stripe.service';
+import { systemConfigService } from '../../../src/services/systemConfig.service';
+import { AppError } from '../../../src/utils/errors';
+
+jest.mock('@prisma/client', () => {
+  const { mockDeep } = jest.requireActual('jest-mock-extended');
+  const prisma = mockDeep();
+  return { PrismaClient: jest.fn(() => prisma) };
+});
+
+jest.mock('../../../src/services/stripe.service', () => ({
+  stripeService: {
+    changeSubscriptionPlan: jest.fn(),
+    setCancelAtPeriodEnd: jest.fn(),
+  },
+}));
+jest.mock('../../../src/services/systemConfig.service', () => ({ systemConfigService: { getConfig: jest.fn() } }));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+describe('SubscriptionService', () => {
+  let subscriptionService: SubscriptionService;
+  let prisma: DeepMockProxy<PrismaClient>;
+
+  const subscription = {
+    id: 'subscription-id',
+    userId: 'user-id',
+    stripeSubscriptionId: 'sub_1',
+    stripeCustomerId: 'cus_1',
+    plan: 'STARTER',
+    status: 'ACTIVE',
+    cancelAtPeriodEnd: false,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma = new PrismaClient() as DeepMockProxy<PrismaClient>;
+    mockReset(prisma);
+    subscriptionService = new SubscriptionService();
+
+    (systemConfigService.getConfig as jest.Mock).mockResolvedValue({
+      maxUsersPerPlan: { STARTER: -1, PROFESSIONAL: -1, ENTERPRISE: -1 },
+    });
+    prisma.subscription.update.mockImplementation((args: any) => Promise.resolve({ ...subscription, ...args.data }));
+  });
+
+  describe('changePlan', () => {
+    it('should leave the stored plan for the webhook to move', async () => {
+      prisma.subscription.findUnique.mockResolvedValue(subscription as any);
+
+      const result = await subscriptionService.changePlan('user-id', 'PROFESSIONAL', 1767312000);
+
+      expect(stripeService.changeSubscriptionPlan).toHaveBeenCalledWith('sub_1', 'PROFESSIONAL', 1767312000);
+      expect(prisma.subscription.update).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ plan: 'STARTER', pendingPlan: 'PROFESSIONAL' });
+    });
+
+    it('should pass a failed payment through as 402', async () => {
+      prisma.subscription.findUnique.mockResolvedValue(subscription as any);
+      (stripeService.changeSubscriptionPlan as jest.Mock).mockRejectedValue(
+        new AppError("Payment for the Professional plan didn't go through", 402, 'PAYMENT_FAILED')
+      );
+
+      await expect(subscriptionService.changePlan('user-id', 'PROFESSIONAL')).rejects.toMatchObject({
+        statusCode: 402,
+        code: 'PAYMENT_FAILED',
+      });
+      expect(prisma.subscription.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a move to the current plan', async () => {
+      prisma.subscription.findUnique.mockResolvedValue(subscription as any);
+
+      await expect(subscriptionService.changePlan('user-id', 'STARTER')).rejects.toMatchObject({ statusCode: 400 });
+      expect(stripeService.changeSubscriptionPlan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelAtPeriodEnd', () => {
+    it('should schedule cancellation in Stripe and locally', async () => {
+      prisma.subscription.findUnique.mockResolvedValue(subscription as any);
+
+      const result = await subscriptionService.cancelAtPeriodEnd('user-id');
+
+      expect(stripeService.setCancelAtPeriodEnd).toHaveBeenCalledWith('sub_1', true);
+      expect(prisma.subscription.update).toHaveBeenCalledWith({
+        where: { id: 'subscription-id' },
+        data: { cancelAtPeriodEnd: true },
+      });
+      expect(result.cancelAtPeriodEnd).toBe(true);
+    });
+
+    it('should do nothing when cancellation is already scheduled', async () => {
+      prisma.subscription.findUnique.mockResolvedValue({ ...subscription, cancelAtPeriodEnd: true } as any);
+
+      await subscriptionService.cancelAtPeriodEnd('user-id');
+
+      expect(stripeService.setCancelAtPeriodEnd).not.toHaveBeenCalled();
+      expect(prisma.subscription.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a subscription that has already ended', async () => {
+      prisma.subscription.findUnique.mockResolvedValue({ ...subscription, status: 'CANCELLED' } as any);
+
+      await expect(subscriptionService.cancelAtPeriodEnd('user-id')).rejects.toMatchObject({ statusCode: 400 });
+      expect(stripeService.setCancelAtPeriodEnd).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resume', () => {
+    it('should undo a scheduled cancellation', async () => {
+      prisma.subscription.findUnique.mockResolvedValue({ ...subscription, cancelAtPeriodEnd: true } as any);
+
+      const result = await subscriptionService.resume('user-id');
+
+      expect(stripeService.setCancelAtPeriodEnd).toHaveBeenCalledWith('sub_1', false);
+      expect(result.cancelAtPeriodEnd).toBe(false);
+    });
+
+    it('should refuse when no cancellation is scheduled', async () => {
+      prisma.subscription.findUnique.mockResolvedValue(subscription as any);
+
+      await expect(subscriptionService.resume('user-id')).rejects.toThrow('This subscription is not scheduled to cancel');
+      expect(stripeService.setCancelAtPeriodEnd).not.toHaveBeenCalled();
+    });
+  });
+});
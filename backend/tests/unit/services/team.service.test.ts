@@ -0,0 +1,273 @@
+import { PrismaClient } from '@prisma/client';
+import { DeepMockProxy, mockReset } from 'jest-mock-extended';
+import { TeamService } from '../../../src/services/team.service';
+import { subscriptionService } from '../../../src/services/subscription.service';
+
+jest.mock('@prisma/client', () => {
+  const { mockDeep } = jest.requireActual('jest-mock-extended');
+  const prisma = mockDeep();
+  return { PrismaClient: jest.fn(() => prisma) };
+});
+
+jest.mock('../../../src/services/email.service', () => {
+  const emailService = { sendTeamInviteEmail: jest.fn() };
+  return { EmailService: jest.fn(() => emailService), emailService };
+});
+jest.mock('../../../src/services/subscription.service', () => ({
+  subscriptionService: { getCurrentSubscription: jest.fn() },
+}));
+jest.mock('../../../src/utils/logger', () => ({ logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } }));
+
+const TEAM_ID = 'team-id';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('TeamService', () => {
+  let teamService: TeamService;
+  let prisma: DeepMockProxy<PrismaClient>;
+
+  /** Team membership as requireRole and the member lookups see it */
+  const givenMembers = (roles: Record<string, string>) => {
+    prisma.teamMember.findUnique.mockImplementation((args: any) => {
+      const { userId } = args.where.teamId_userId;
+      return (roles[userId] ? Promise.resolve({ teamId: TEAM_ID, userId, role: roles[userId] }) : Promise.resolve(null)) as any;
+    });
+  };
+
+  beforeEach(() => {
+    prisma = new PrismaClient() as DeepMockProxy<PrismaClient>;
+    mockReset(prisma);
+    teamService = new TeamService();
+
+    // Array transactions run their queries; interactive ones get the client as `tx`
+    prisma.$transaction.mockImplementation((arg: any) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg)));
+    prisma.teamMember.update.mockImplementation((args: any) => Promise.resolve({ userId: args.where.teamId_userId.userId, ...args.data }));
+  });
+
+  describe('createTeam', () => {
+    it('should take the tier and seats from the creator\'s subscription', async () => {
+      (subscriptionService.getCurrentSubscription as jest.Mock).mockResolvedValue({ plan: 'ENTERPRISE' });
+      prisma.team.create.mockImplementation((args: any) => Promise.resolve({ id: TEAM_ID, ...args.data }));
+
+      await teamService.createTeam('owner-id', { name: 'Growth Team' });
+
+      expect(prisma.team.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Growth Team', plan: 'ENTERPRISE', seatsLimit: 25, ownerId: 'owner-id' }),
+      });
+    });
+
+    it('should ignore a plan sent with the request', async () => {
+      (subscriptionService.getCurrentSubscription as jest.Mock).mockResolvedValue({ plan: 'PROFESSIONAL' });
+      prisma.team.create.mockImplementation((args: any) => Promise.resolve({ id: TEAM_ID, ...args.data }));
+
+      await teamService.createTeam('owner-id', { name: 'Growth Team', plan: 'ENTERPRISE' } as any);
+
+      expect(prisma.team.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ plan: 'TEAM', seatsLimit: 5 }),
+      });
+    });
+  });
+
+  describe('updateMemberRole', () => {
+    beforeEach(() => {
+      givenMembers({ owner: 'OWNER', admin: 'ADMIN', admin2: 'ADMIN', member: 'MEMBER', member2: 'MEMBER', viewer: 'VIEWER' });
+    });
+
+    it.each([
+      ['owner', 'member', 'ADMIN'],
+      ['owner', 'admin', 'MEMBER'],
+      ['admin', 'member', 'VIEWER'],
+      ['admin', 'viewer', 'MEMBER'],
+    ])('should let %s change %s to %s', async (actor, member, role) => {
+      await expect(teamService.updateMemberRole(TEAM_ID, actor, member, role as any)).resolves.toMatchObject({ role });
+    });
+
+    it.each([
+      ['admin', 'member', 'ADMIN', 'Only the team owner can grant or revoke admin access'],
+      ['admin', 'admin2', 'MEMBER', 'Only the team owner can grant or revoke admin access'],
+      ['owner', 'member', 'OWNER', 'Team ownership cannot be changed through member roles'],
+      ['admin', 'owner', 'MEMBER', 'Team ownership cannot be changed through member roles'],
+      ['member', 'member2', 'VIEWER', 'Your team role does not allow this action'],
+      ['viewer', 'member', 'VIEWER', 'Your team role does not allow this action'],
+    ])('should not let %s change %s to %s', async (actor, member, role, message) => {
+      await expect(teamService.updateMemberRole(TEAM_ID, actor, member, role as any)).rejects.toMatchObject({
+        statusCode: 403,
+        message,
+      });
+      expect(prisma.teamMember.update).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 for someone outside the team', async () => {
+      await expect(teamService.updateMemberRole(TEAM_ID, 'owner', 'stranger', 'MEMBER')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('removeMember', () => {
+    beforeEach(() => {
+      givenMembers({ owner: 'OWNER', admin: 'ADMIN', admin2: 'ADMIN', member: 'MEMBER', member2: 'MEMBER' });
+    });
+
+    it.each([
+      ['member', 'member'],
+      ['admin', 'admin'],
+      ['admin', 'member'],
+      ['owner', 'admin'],
+    ])('should let %s remove %s', async (actor, member) => {
+      await teamService.removeMember(TEAM_ID, actor, member);
+
+      expect(prisma.teamMember.delete).toHaveBeenCalledWith({
+        where: { teamId_userId: { teamId: TEAM_ID, userId: member } },
+      });
+    });
+
+    it.each([
+      ['owner', 'owner', 'The team owner cannot be removed'],
+      ['admin', 'owner', 'The team owner cannot be removed'],
+      ['admin', 'admin2', 'Only the team owner can remove admins'],
+      ['member', 'member2', 'Your team role does not allow this action'],
+    ])('should not let %s remove %s', async (actor, member, message) => {
+      await expect(teamService.removeMember(TEAM_ID, actor, member)).rejects.toMatchObject({ statusCode: 403, message });
+      expect(prisma.teamMember.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inviteMember', () => {
+    beforeEach(() => {
+      givenMembers({ owner: 'OWNER', admin: 'ADMIN', member: 'MEMBER' });
+      prisma.team.findUnique.mockResolvedValue({ id: TEAM_ID, name: 'Growth Team', seatsLimit: 5 } as any);
+      prisma.teamMember.findFirst.mockResolvedValue(null);
+      prisma.teamInvitation.create.mockImplementation((args: any) => Promise.resolve({ id: 'invitation-id', ...args.data }) as any);
+    });
+
+    it('should count pending invitations against the seat limit', async () => {
+      prisma.teamMember.count.mockResolvedValue(3);
+      prisma.teamInvitation.count.mockResolvedValue(2);
+
+      await expect(teamService.inviteMember(TEAM_ID, 'owner', 'new@example.com')).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'SEAT_LIMIT_REACHED',
+      });
+      expect(prisma.teamInvitation.create).not.toHaveBeenCalled();
+    });
+
+    it('should replace an earlier invitation to the same address without taking another seat', async () => {
+      prisma.teamMember.count.mockResolvedValue(4);
+      prisma.teamInvitation.count.mockResolvedValue(0);
+
+      await teamService.inviteMember(TEAM_ID, 'owner', 'Again@Example.com');
+
+      expect(prisma.teamInvitation.count).toHaveBeenCalledWith({
+        where: expect.objectContaining({ teamId: TEAM_ID, NOT: { email: 'again@example.com' } }),
+      });
+      expect(prisma.teamInvitation.deleteMany).toHaveBeenCalledWith({
+        where: { teamId: TEAM_ID, email: 'again@example.com', acceptedAt: null },
+      });
+      expect(prisma.teamInvitation.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ email: 'again@example.com', role: 'MEMBER', invitedById: 'owner' }),
+        })
+      );
+    });
+
+    it('should only let the owner invite admins', async () => {
+      await expect(teamService.inviteMember(TEAM_ID, 'admin', 'new@example.com', 'ADMIN')).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Only the team owner can invite admins',
+      });
+      await expect(teamService.inviteMember(TEAM_ID, 'member', 'new@example.com')).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    const invitation = {
+      id: 'invitation-id',
+      teamId: TEAM_ID,
+      email: 'invitee@example.com',
+      role: 'MEMBER',
+      acceptedAt: null,
+      expiresAt: new Date(Date.now() + DAY),
+      team: { id: TEAM_ID, name: 'Growth Team', seatsLimit: 5 },
+    };
+
+    beforeEach(() => {
+      prisma.teamInvitation.findUnique.mockResolvedValue(invitation as any);
+      prisma.user.findUnique.mockResolvedValue({ id: 'invitee', email: 'Invitee@Example.com' } as any);
+      prisma.teamMember.findUnique.mockResolvedValue(null);
+      prisma.teamMember.count.mockResolvedValue(2);
+      prisma.teamInvitation.updateMany.mockResolvedValue({ count: 1 });
+      prisma.team.findUnique.mockResolvedValue({ ...invitation.team, _count: { members: 3 } } as any);
+    });
+
+    it('should add the invitee with the invited role', async () => {
+      prisma.teamMember.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ teamId: TEAM_ID, userId: 'invitee', role: 'MEMBER' } as any);
+
+      const team = await teamService.acceptInvitation('token', 'invitee');
+
+      expect(prisma.$queryRaw).toHaveBeenCalled();
+      expect(prisma.teamMember.create).toHaveBeenCalledWith({
+        data: { teamId: TEAM_ID, userId: 'invitee', role: 'MEMBER' },
+      });
+      expect(team).toMatchObject({ id: TEAM_ID, role: 'MEMBER', memberCount: 3 });
+    });
+
+    it('should refuse an expired invitation', async () => {
+      prisma.teamInvitation.findUnique.mockResolvedValue({ ...invitation, expiresAt: new Date(Date.now() - DAY) } as any);
+
+      await expect(teamService.acceptInvitation('token', 'invitee')).rejects.toMatchObject({
+        statusCode: 410,
+        code: 'INVITATION_EXPIRED',
+      });
+      expect(prisma.teamMember.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an invitation sent to another address', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'someone-else', email: 'someone@example.com' } as any);
+
+      await expect(teamService.acceptInvitation('token', 'someone-else')).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'This invitation was sent to a different email address',
+      });
+      expect(prisma.teamMember.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when the team has no seats left', async () => {
+      prisma.teamMember.count.mockResolvedValue(5);
+
+      await expect(teamService.acceptInvitation('token', 'invitee')).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'SEAT_LIMIT_REACHED',
+      });
+      expect(prisma.teamInvitation.updateMany).not.toHaveBeenCalled();
+      expect(prisma.teamMember.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an invitation that was already accepted', async () => {
+      prisma.teamInvitation.findUnique.mockResolvedValue({ ...invitation, acceptedAt: new Date() } as any);
+
+      await expect(teamService.acceptInvitation('token', 'invitee')).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two simultaneous accepts through', async () => {
+      prisma.teamInvitation.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(teamService.acceptInvitation('token', 'invitee')).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.teamMember.create).not.toHaveBeenCalled();
+    });
+
+    it('should answer 409 when the invitee already joined the team', async () => {
+      prisma.teamMember.findUnique.mockResolvedValue({ teamId: TEAM_ID, userId: 'invitee', role: 'MEMBER' } as any);
+
+      await expect(teamService.acceptInvitation('token', 'invitee')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'You are already a member of this team',
+      });
+      expect(prisma.teamMember.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { analyzeBillingTerms, BillingTermOptions } from '../../../src/shared/billingTerms';
+
+describe('billingTerms', () => {
+  const noChurn: BillingTermOptions = {
+    price: 100,
+    customers: 100,
+    levels: [{ discount: 20, annualShare: 50 }, { discount: 0, annualShare: 0 }],
+    monthlyChurn: 0,
+    annualChurn: 0,
+    discountRate: 0,
+    horizonMonths: 12,
+  };
+
+  it('should move cash up front and defer what annual customers prepay', () => {
+    const { levels } = analyzeBillingTerms(noChurn);
+
+    expect(levels.map(level => level.discount)).toEqual([0, 20]);
+    expect(levels[0]).toMatchObject({ upfrontCash: 10000, deferredRevenue: 0, effectiveArr: 120000, npv: 120000 });
+    expect(levels[1]).toMatchObject({
+      upfrontCash: 53000,
+      deferredRevenue: 44000,
+      firstYearCash: 108000,
+      effectiveArr: 108000,
+      npv: 108000,
+    });
+  });
+
+  it('should not recommend a discount that only gives money away', () => {
+    const { levels, recommended } = analyzeBillingTerms(noChurn);
+
+    expect(recommended.discount).toBe(0);
+    // Without churn, lifetime is capped at 60 months for both terms
+    expect(levels.map(level => level.ltv)).toEqual([6000, 5400]);
+  });
+
+  it('should recommend the discount where lower annual churn outweighs the price cut', () => {
+    const { levels, recommended } = analyzeBillingTerms({
+      price: 100,
+      customers: 100,
+      levels: [
+        { discount: 0, annualShare: 10 },
+        { discount: 15, annualShare: 40 },
+        { discount: 30, annualShare: 60 },
+      ],
+      monthlyChurn: 5,
+      annualChurn: 10,
+    });
+
+    expect(recommended.discount).toBe(15);
+    expect(levels[1].npv).toBeGreaterThan(levels[0].npv);
+    expect(levels[1].npv).toBeGreaterThan(levels[2].npv);
+    expect(levels.map(level => level.upfrontCash)).toEqual([...levels.map(level => level.upfrontCash)].sort((a, b) => a - b));
+  });
+
+  it('should reject impossible discounts and uptake', () => {
+    expect(() => analyzeBillingTerms({ ...noChurn, levels: [{ discount: 100, annualShare: 50 }] })).toThrow(RangeError);
+    expect(() => analyzeBillingTerms({ ...noChurn, levels: [{ discount: 10, annualShare: 120 }] })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,62 @@
+import { buildVersionTimeline, diffVersions } from '../../../src/shared/calculationVersions';
+
+const state = (version: number, inputs: Record<string, unknown>, mrr: number, tierPrice = 49) => ({
+  version,
+  inputs,
+  results: {
+    metrics: { mrr, arr: mrr * 12, ltv: 1200 },
+    tiers: [{ name: 'Pro', price: tierPrice }],
+  },
+});
+
+describe('calculationVersions', () => {
+  it('should report changed inputs and metrics with absolute and percent deltas', () => {
+    const diff = diffVersions(
+      state(1, { currentPrice: 40, customers: 100, churnRate: 5 }, 4000),
+      state(2, { currentPrice: 50, customers: 100, churnRate: 4.5 }, 5000, 59)
+    );
+
+    expect(diff.from).toBe(1);
+    expect(diff.to).toBe(2);
+    expect(diff.inputs).toEqual([
+      { field: 'currentPrice', label: 'Current price', from: 40, to: 50, delta: 10, percentChange: 25 },
+      { field: 'churnRate', label: 'Churn rate', from: 5, to: 4.5, delta: -0.5, percentChange: -10 },
+    ]);
+    expect(diff.metrics.map((change) => change.field)).toEqual(['metrics.mrr', 'metrics.arr', 'tiers.Pro.price']);
+    expect(diff.metrics[0]).toMatchObject({ delta: 1000, percentChange: 25 });
+  });
+
+  it('should handle added, removed and non-numeric fields', () => {
+    const diff = diffVersions(
+      state(1, { currentPrice: 40, cac: 0, currency: 'USD' }, 4000),
+      state(2, { currentPrice: 40, cac: 120, currency: 'EUR', marketSize: 1e6 }, 4000)
+    );
+
+    expect(diff.inputs).toEqual([
+      { field: 'cac', label: 'CAC', from: 0, to: 120, delta: 120, percentChange: null },
+      { field: 'marketSize', label: 'Market size', from: null, to: 1e6, delta: null, percentChange: null },
+      { field: 'currency', label: 'Currency', from: 'USD', to: 'EUR', delta: null, percentChange: null },
+    ]);
+    expect(diff.metrics).toEqual([]);
+  });
+
+  it('should credit each version to whoever replaced the one before it', () => {
+    const created = new Date('2025-12-01T09:00:00Z');
+    const edited = new Date('2025-12-02T09:00:00Z');
+    const restored = new Date('2025-12-03T09:00:00Z');
+
+    const timeline = buildVersionTimeline(
+      [
+        { ...state(2, { currentPrice: 50 }, 5000), changedById: 'sam', changeNote: 'Restored version 1', createdAt: restored },
+        { ...state(1, { currentPrice: 40 }, 4000), changedById: 'sam', changeNote: 'Raise price', createdAt: edited },
+      ],
+      { ...state(3, { currentPrice: 40 }, 4000), userId: 'alex', createdAt: created }
+    );
+
+    expect(timeline).toEqual([
+      { version: 3, authorId: 'sam', note: 'Restored version 1', createdAt: restored, current: true, changedInputs: ['Current price'] },
+      { version: 2, authorId: 'sam', note: 'Raise price', createdAt: edited, current: false, changedInputs: ['Current price'] },
+      { version: 1, authorId: 'alex', note: null, createdAt: created, current: false, changedInputs: [] },
+    ]);
+  });
+});
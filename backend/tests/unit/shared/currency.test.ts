@@ -0,0 +1,70 @@
+import {
+  charmRound,
+  convertCurrency,
+  formatMoney,
+  parseRegionRatesCsv,
+  suggestRegionalPrices,
+  DEFAULT_REGION_RATES,
+} from '../../../src/shared/currency';
+import { parsePricingInputs, PricingInputError } from '../../../src/shared/pricingEngine';
+import { CsvError } from '../../../src/shared/csv';
+
+describe('currency', () => {
+  it('should carry the calculation currency through input parsing', () => {
+    expect(parsePricingInputs({ currentPrice: 49, customers: 10, churnRate: 5, currency: 'eur' }).currency).toBe('EUR');
+    expect(parsePricingInputs({ currentPrice: 49, customers: 10, churnRate: 5 }).currency).toBeUndefined();
+    expect(() => parsePricingInputs({ currentPrice: 49, customers: 10, churnRate: 5, currency: 'euro' }))
+      .toThrow(PricingInputError);
+  });
+
+  it('should format amounts in the currency\'s symbol and minor units', () => {
+    expect(formatMoney(1234.5)).toBe('$1,234.5');
+    expect(formatMoney(-49, 'EUR')).toBe('-€49');
+    expect(formatMoney(4980.4, 'JPY')).toBe('¥4,980');
+    expect(formatMoney(999, 'INR', { latinOnly: true })).toBe('INR 999');
+    expect(formatMoney(10, 'NOK')).toBe('NOK 10');
+  });
+
+  it('should round to charm price points per currency', () => {
+    expect(charmRound(47)).toBe(49);
+    expect(charmRound(183)).toBe(199);
+    expect(charmRound(1430)).toBe(1499);
+    expect(charmRound(4.3)).toBe(3.99);
+    expect(charmRound(5100, 'JPY')).toBe(4980);
+    expect(charmRound(52000, 'IDR')).toBe(49000);
+  });
+
+  it('should import an edited rate table', () => {
+    const rates = parseRegionRatesCsv('Country,Currency,Rate,PPP\nNorway,nok,10.6,1.05\n');
+
+    expect(rates).toEqual([{ country: 'Norway', currency: 'NOK', exchangeRate: 10.6, pppFactor: 1.05 }]);
+    expect(() => parseRegionRatesCsv('Country,Currency,Rate,PPP\nNorway,krone,10.6,1.05\n')).toThrow(CsvError);
+  });
+
+  it('should convert between currencies through the dollar', () => {
+    expect(convertCurrency(92, 'EUR', 'USD', DEFAULT_REGION_RATES)).toBeCloseTo(100);
+    expect(convertCurrency(100, 'EUR', 'GBP', DEFAULT_REGION_RATES)).toBeCloseTo(85.87, 2);
+    expect(() => convertCurrency(100, 'NOK', 'USD', DEFAULT_REGION_RATES)).toThrow(RangeError);
+  });
+
+  it('should discount by purchasing power without pricing above a straight conversion', () => {
+    const regions = suggestRegionalPrices([49, 99], 'USD', DEFAULT_REGION_RATES);
+    const byCountry = (country: string) => regions.find(region => region.country === country)!;
+
+    expect(byCountry('United States').prices.map(price => price.suggested)).toEqual([49, 99]);
+    expect(byCountry('Switzerland').adjustment).toBe(1);
+    expect(byCountry('India')).toMatchObject({
+      adjustment: 0.25,
+      prices: [{ converted: 4067, suggested: 999 }, { converted: 8217, suggested: 1999 }],
+    });
+  });
+
+  it('should measure price levels against the base currency and follow PPP partially', () => {
+    const regions = suggestRegionalPrices([49], 'EUR', DEFAULT_REGION_RATES, { pppWeight: 0.5 });
+    const spain = regions.find(region => region.country === 'Spain')!;
+
+    // Euro countries average a price level of 0.75
+    expect(spain.adjustment).toBeCloseTo(Math.sqrt(0.65 / 0.75), 3);
+    expect(regions.find(region => region.country === 'Germany')!.adjustment).toBe(1);
+  });
+});
@@ -0,0 +1,43 @@
+import { axisValues, buildDataTable, cellInputs, validateDataTableSpec } from '../../../src/shared/dataTables';
+import { calculateMetrics, calculateOptimalPrice } from '../../../src/shared/pricingEngine';
+
+describe('dataTables', () => {
+  const inputs = { currentPrice: 100, customers: 200, churnRate: 5, cac: 600 };
+  const spec = {
+    rowField: 'currentPrice' as const,
+    rowValues: [80, 100, 120],
+    columnField: 'churnRate' as const,
+    columnValues: [3, 5, 7, 9],
+    metric: 'ltvCacRatio' as const,
+  };
+
+  it('should space axis values evenly and keep integer inputs whole', () => {
+    expect(axisValues('churnRate', 2, 8, 4)).toEqual([2, 4, 6, 8]);
+    expect(axisValues('customers', 100, 101, 5)).toEqual([100, 101]);
+  });
+
+  it('should compute every cell with the pricing engine', () => {
+    const table = buildDataTable(inputs, spec);
+
+    expect(table.cells).toHaveLength(3);
+    expect(table.cells[0]).toHaveLength(4);
+    for (const [row, column] of [[0, 0], [2, 3]]) {
+      const cell = cellInputs(inputs, spec, row, column);
+      expect(table.cells[row][column]).toBe(calculateMetrics(cell, calculateOptimalPrice(cell)).ltvCacRatio);
+    }
+    expect(table.cells[1][1]).toBe(table.base);
+    // Higher churn, shorter lifetime, worse unit economics
+    expect(table.cells[1][0]).toBeGreaterThan(table.cells[1][3]);
+    expect(table.min).toBe(Math.min(...table.cells.flat()));
+    expect(table).toMatchObject({ rowLabel: 'Current price', columnLabel: 'Churn rate', better: 'higher' });
+  });
+
+  it('should reject invalid tables', () => {
+    expect(() => validateDataTableSpec({ ...spec, columnField: 'currentPrice' })).toThrow(RangeError);
+    expect(() => validateDataTableSpec({ ...spec, rowValues: [100] })).toThrow(RangeError);
+    expect(() => validateDataTableSpec({ ...spec, columnValues: [5, 150] })).toThrow(RangeError);
+    expect(() => validateDataTableSpec({ ...spec, rowField: 'marketSize' })).toThrow(RangeError);
+    expect(() => validateDataTableSpec({ ...spec, rowField: 'customers', rowValues: [10.5, 20] })).toThrow(RangeError);
+    expect(() => validateDataTableSpec({ ...spec, metric: 'tiers' as never })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,51 @@
+import { analyzeElasticity, demandIndex, simulatePricePoint } from '../../../src/shared/elasticityModel';
+
+describe('elasticityModel', () => {
+  const inputs = {
+    currentPrice: 100,
+    customers: 1000,
+    churnRate: 5,
+  };
+
+  it('should leave demand unchanged at the current price', () => {
+    expect(demandIndex(100, 100, 'constant', -1.2)).toBe(1);
+    expect(demandIndex(100, 100, 'linear', -1.2)).toBe(1);
+  });
+
+  it('should never let linear demand go negative', () => {
+    expect(demandIndex(300, 100, 'linear', -1.5)).toBe(0);
+  });
+
+  it('should reproduce current MRR at the current price', () => {
+    const point = simulatePricePoint(inputs, 100);
+
+    expect(point.mrr).toBe(100000);
+    expect(point.churnRate).toBe(5);
+    expect(point.conversionRate).toBe(3);
+  });
+
+  it('should raise churn as price rises', () => {
+    expect(simulatePricePoint(inputs, 150).churnRate).toBeGreaterThan(5);
+    expect(simulatePricePoint(inputs, 50).churnRate).toBeLessThan(5);
+  });
+
+  it('should find an interior revenue maximum on a linear curve', () => {
+    const analysis = analyzeElasticity(inputs, { curve: 'linear', elasticity: -1.5, churnElasticity: 0 });
+
+    // D(p) = 2.5 - 0.015p, so revenue peaks at p = 2.5 / 0.03
+    expect(analysis.revenueMaximizing.price).toBeCloseTo(83.33, 1);
+    expect(analysis.revenueMaximizing.atBoundary).toBe(false);
+    expect(analysis.profitMaximizing.price).toBeGreaterThan(analysis.revenueMaximizing.price);
+  });
+
+  it('should flag a maximum pinned to the search range', () => {
+    const analysis = analyzeElasticity(inputs, { elasticity: -0.5, churnElasticity: 0 });
+
+    expect(analysis.revenueMaximizing.atBoundary).toBe(true);
+    expect(analysis.revenueMaximizing.price).toBeCloseTo(300, 0);
+  });
+
+  it('should reject a non-negative elasticity', () => {
+    expect(() => analyzeElasticity(inputs, { elasticity: 0.4 })).toThrow(RangeError);
+  });
+});
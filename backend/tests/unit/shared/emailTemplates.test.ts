@@ -0,0 +1,74 @@
+import {
+  EMAIL_TEMPLATES,
+  previewEmail,
+  renderEmail,
+  resolveEmailLocale,
+  templateVariables,
+} from '../../../src/shared/emailTemplates';
+
+describe('emailTemplates', () => {
+  it('should fill variables into the subject, HTML and plaintext', () => {
+    const email = renderEmail('team_invite', {
+      teamName: 'Growth',
+      inviterName: 'Sam',
+      inviteUrl: 'https://app.example.com/team/join/abc',
+    });
+
+    expect(email.subject).toBe('Sam invited you to join Growth');
+    expect(email.html).toContain('href="https://app.example.com/team/join/abc"');
+    expect(email.text).toContain('Join Team: https://app.example.com/team/join/abc');
+    expect(email.text).toContain('- Access team insights and reports');
+    expect(email.text).not.toContain('<');
+  });
+
+  it('should escape values in HTML but not in plaintext', () => {
+    const email = renderEmail('team_invite', {
+      teamName: '<script>alert(1)</script>',
+      inviterName: 'Sam & Co',
+      inviteUrl: 'https://app.example.com/join',
+    });
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('&lt;script&gt;');
+    expect(email.html).toContain('Sam &amp; Co');
+    expect(email.text).toContain('Sam & Co');
+  });
+
+  it('should refuse to send with missing variables or unknown templates', () => {
+    expect(() => renderEmail('verification', {})).toThrow(/missing verificationUrl/);
+    expect(() => renderEmail('newsletter', {})).toThrow(RangeError);
+  });
+
+  it('should pick the closest locale and fall back to English', () => {
+    expect(resolveEmailLocale('es-MX')).toBe('es');
+    expect(resolveEmailLocale('fr')).toBe('en');
+    expect(resolveEmailLocale(null)).toBe('en');
+
+    const spanish = previewEmail('trial_ending', 'es');
+    expect(spanish.locale).toBe('es');
+    expect(spanish.subject).toBe('Tu prueba termina el 1 de diciembre de 2025');
+    expect(previewEmail('trial_ending', 'fr').subject).toBe('Your trial ends on December 1, 2025');
+  });
+
+  it('should expand an array placeholder into one bullet per item', () => {
+    const digest = previewEmail('weekly_digest', 'en', { calculations: ['Q1 <draft>', 'Q2'] });
+
+    expect(digest.html).toContain('<ul><li>Q1 &lt;draft&gt;</li><li>Q2</li></ul>');
+    expect(digest.text).toContain('- Q1 <draft>\n- Q2');
+  });
+
+  it('should give every translation the same variables and every template a working sample', () => {
+    const placeholders = (copy: object) =>
+      [...new Set(JSON.stringify(copy).match(/\{\{\s*\w+\s*\}\}/g))].map((p) => p.replace(/[{}\s]/g, '')).sort();
+
+    for (const [name, template] of Object.entries(EMAIL_TEMPLATES)) {
+      const variables = templateVariables(name).sort();
+
+      for (const [locale, copy] of Object.entries(template.locales)) {
+        expect(placeholders(copy)).toEqual(variables);
+        expect(previewEmail(name, locale).html).not.toMatch(/\{\{/);
+      }
+      expect(Object.keys(template.sample)).toEqual(expect.arrayContaining(variables));
+    }
+  });
+});
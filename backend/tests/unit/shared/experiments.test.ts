@@ -0,0 +1,74 @@
+import {
+  analyzeExperiment,
+  assignVariant,
+  normalQuantile,
+  validateVariants,
+} from '../../../src/shared/experiments';
+
+describe('experiments', () => {
+  const variants = [
+    { key: 'control', weight: 1 },
+    { key: 'test', weight: 3 },
+  ];
+
+  it('should assign each unit the same variant, in proportion to the weights', () => {
+    expect(assignVariant('pricing', variants, 'visitor-42')).toBe(assignVariant('pricing', variants, 'visitor-42'));
+
+    let test = 0;
+    for (let i = 0; i < 4000; i++) {
+      if (assignVariant('pricing', variants, `visitor-${i}`) === 'test') test++;
+    }
+    expect(test / 4000).toBeGreaterThan(0.72);
+    expect(test / 4000).toBeLessThan(0.78);
+  });
+
+  it('should reject variants that cannot be split', () => {
+    expect(() => validateVariants([{ key: 'control', weight: 1 }])).toThrow(RangeError);
+    expect(() => validateVariants([{ key: 'a', weight: 1 }, { key: 'a', weight: 1 }])).toThrow(RangeError);
+    expect(() => validateVariants([{ key: 'a', weight: 1 }, { key: 'b', weight: 0 }])).toThrow(RangeError);
+  });
+
+  it('should invert the normal distribution', () => {
+    expect(normalQuantile(0.975)).toBeCloseTo(1.96, 2);
+    expect(normalQuantile(0.005)).toBeCloseTo(-2.576, 3);
+  });
+
+  it('should report rates, lift and intervals against the control', () => {
+    const analysis = analyzeExperiment([
+      { key: 'control', exposures: 2000, conversions: 100 },
+      { key: 'test', exposures: 2000, conversions: 150 },
+    ]);
+    const [control, test] = analysis.variants;
+
+    expect(control.lift).toBeNull();
+    expect(control.interval[0]).toBeLessThan(0.05);
+    expect(control.interval[1]).toBeGreaterThan(0.05);
+    expect(test.conversionRate).toBe(0.075);
+    expect(test.lift).toBeCloseTo(0.5);
+    expect(test.liftInterval![0]).toBeGreaterThan(0);
+    expect(analysis).toMatchObject({ shouldStop: true, winner: 'test' });
+  });
+
+  it('should keep running until the sequential test or the sample size allows a decision', () => {
+    expect(analyzeExperiment([
+      { key: 'control', exposures: 2000, conversions: 100 },
+      { key: 'test', exposures: 2000, conversions: 110 },
+    ])).toMatchObject({ shouldStop: false, winner: null });
+
+    expect(analyzeExperiment([
+      { key: 'control', exposures: 50, conversions: 2 },
+      { key: 'test', exposures: 50, conversions: 20 },
+    ]).shouldStop).toBe(false);
+  });
+
+  it('should only crown the control once every challenger is worse', () => {
+    const analysis = analyzeExperiment([
+      { key: 'control', exposures: 3000, conversions: 300 },
+      { key: 'a', exposures: 3000, conversions: 150 },
+      { key: 'b', exposures: 3000, conversions: 290 },
+    ]);
+
+    expect(analysis.variants[1].significant).toBe(true);
+    expect(analysis).toMatchObject({ shouldStop: false, winner: null });
+  });
+});
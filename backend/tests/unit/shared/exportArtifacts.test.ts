@@ -0,0 +1,49 @@
+import {
+  artifactExpiresAt,
+  artifactFilename,
+  artifactKey,
+  batchOutputFormat,
+  parseLinkExpiry,
+  signedLinkMessage,
+} from '../../../src/shared/exportArtifacts';
+
+describe('exportArtifacts', () => {
+  it('should only zip batches with more than one file', () => {
+    expect(batchOutputFormat('pdf', 1)).toBe('pdf');
+    expect(batchOutputFormat('excel', 1)).toBe('excel');
+    expect(batchOutputFormat('pdf', 4)).toBe('zip');
+    expect(batchOutputFormat('zip', 1)).toBe('zip');
+    expect(() => batchOutputFormat('pdf', 0)).toThrow(RangeError);
+    expect(() => batchOutputFormat('csv' as any, 2)).toThrow(RangeError);
+  });
+
+  it('should name and key artifacts by their output format', () => {
+    const createdAt = new Date('2025-12-01T09:30:00Z');
+
+    expect(artifactKey('user-1', 'artifact-1', 'excel')).toBe('exports/user-1/artifact-1.xlsx');
+    expect(artifactFilename(createdAt, 'zip')).toBe('batch-export-2025-12-01.zip');
+  });
+
+  it('should expire artifacts after the retention period', () => {
+    const createdAt = new Date('2025-12-01T09:30:00Z');
+
+    expect(artifactExpiresAt(createdAt)).toEqual(new Date('2025-12-08T09:30:00Z'));
+    expect(artifactExpiresAt(createdAt, 30)).toEqual(new Date('2025-12-31T09:30:00Z'));
+    expect(() => artifactExpiresAt(createdAt, 0)).toThrow(RangeError);
+  });
+
+  it('should only accept link expiry times that are well-formed and in the future', () => {
+    const now = new Date('2025-12-01T09:00:00Z');
+    const later = String(now.getTime() + 60 * 1000);
+
+    expect(parseLinkExpiry(later, now)).toBe(Number(later));
+    expect(parseLinkExpiry(String(now.getTime()), now)).toBeNull();
+    expect(parseLinkExpiry('1e20', now)).toBeNull();
+    expect(parseLinkExpiry(['1', '2'], now)).toBeNull();
+    expect(parseLinkExpiry(undefined, now)).toBeNull();
+  });
+
+  it('should bind link signatures to their purpose', () => {
+    expect(signedLinkMessage('progress', 'job-1', 1)).not.toBe(signedLinkMessage('download', 'job-1', 1));
+  });
+});
@@ -0,0 +1,63 @@
+import { goalSeek, validateGoalSeekProblem } from '../../../src/shared/goalSeek';
+import { calculateMetrics, calculateOptimalPrice } from '../../../src/shared/pricingEngine';
+import { projectCohorts } from '../../../src/shared/projectionModel';
+
+describe('goalSeek', () => {
+  const inputs = { currentPrice: 100, customers: 400, churnRate: 6, cac: 1500, newCustomersPerMonth: 20 };
+
+  it('should solve one input by bisection', () => {
+    const result = goalSeek(inputs, {
+      target: { metric: 'arr', value: 1000000, month: 18 },
+      variables: [{ field: 'currentPrice', min: 50, max: 1000 }],
+    });
+
+    expect(result.feasible).toBe(true);
+    expect(result.method).toBe('bisection');
+    expect(result.achieved).toBeCloseTo(1000000, -4);
+
+    // The saved scenario reproduces the answer
+    const price = calculateOptimalPrice(result.inputs);
+    expect(projectCohorts(result.inputs, price, { horizonMonths: 24 }).months[18].arr).toBe(result.achieved);
+  });
+
+  it('should honour constraints and solve several inputs with Nelder-Mead', () => {
+    const result = goalSeek(inputs, {
+      target: { metric: 'arr', value: 1000000, month: 18 },
+      variables: [
+        { field: 'currentPrice', min: 50, max: 1000 },
+        { field: 'churnRate', min: 1, max: 15 },
+      ],
+      constraints: [{ metric: 'ltvCacRatio', operator: '>=', value: 3 }],
+    });
+
+    expect(result.feasible).toBe(true);
+    expect(result.method).toBe('nelder-mead');
+    expect(Math.abs(result.achieved - 1000000)).toBeLessThanOrEqual(5000);
+    expect(result.constraints[0].satisfied).toBe(true);
+
+    const metrics = calculateMetrics(result.inputs, calculateOptimalPrice(result.inputs));
+    expect(metrics.ltvCacRatio).toBeGreaterThanOrEqual(2.98);
+  });
+
+  it('should report an unreachable target with its reachable range', () => {
+    const result = goalSeek(inputs, {
+      target: { metric: 'ltv', value: 100000 },
+      variables: [{ field: 'churnRate', min: 2, max: 20 }],
+    });
+
+    expect(result.feasible).toBe(false);
+    expect(result.reason).toMatch(/LTV can't reach \$100,000; it ranges from/);
+  });
+
+  it('should reject invalid problems', () => {
+    const target = { metric: 'arr' as const, value: 1000000 };
+    expect(() => validateGoalSeekProblem({ target, variables: [] })).toThrow(RangeError);
+    expect(() => validateGoalSeekProblem({ target, variables: [{ field: 'customers', min: 1, max: 10 }] })).toThrow(RangeError);
+    expect(() => validateGoalSeekProblem({ target, variables: [{ field: 'churnRate', min: 5, max: 2 }] })).toThrow(RangeError);
+    expect(() => validateGoalSeekProblem({ target, variables: [{ field: 'churnRate', min: 1, max: 200 }] })).toThrow(RangeError);
+    expect(() => validateGoalSeekProblem({
+      target: { metric: 'ltv', value: 1, month: 6 },
+      variables: [{ field: 'churnRate', min: 1, max: 5 }],
+    })).toThrow(RangeError);
+  });
+});
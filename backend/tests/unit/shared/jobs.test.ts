@@ -0,0 +1,37 @@
+import {
+  canCancelJob,
+  canRetryJob,
+  jobProgress,
+  nextAfterFailure,
+  retryDelayMs,
+} from '../../../src/shared/jobs';
+
+const MINUTE = 60 * 1000;
+
+describe('jobs', () => {
+  it('should double the retry delay per attempt up to an hour', () => {
+    expect(retryDelayMs(1)).toBe(MINUTE);
+    expect(retryDelayMs(2)).toBe(2 * MINUTE);
+    expect(retryDelayMs(4)).toBe(8 * MINUTE);
+    expect(retryDelayMs(20)).toBe(60 * MINUTE);
+    expect(() => retryDelayMs(0)).toThrow(RangeError);
+  });
+
+  it('should reschedule a failed run until its attempts run out', () => {
+    const now = new Date('2025-12-01T09:00:00Z');
+
+    expect(nextAfterFailure(2, 3, now)).toEqual({ status: 'pending', scheduledAt: new Date('2025-12-01T09:02:00Z') });
+    expect(nextAfterFailure(3, 3, now)).toEqual({ status: 'failed' });
+  });
+
+  it('should only cancel unfinished jobs and only retry failed or cancelled ones', () => {
+    expect(['pending', 'processing', 'completed', 'failed', 'cancelled'].filter(canCancelJob)).toEqual(['pending', 'processing']);
+    expect(['pending', 'processing', 'completed', 'failed', 'cancelled'].filter(canRetryJob)).toEqual(['failed', 'cancelled']);
+  });
+
+  it('should report progress as a whole percentage', () => {
+    expect(jobProgress(1, 3)).toBe(33);
+    expect(jobProgress(3, 3)).toBe(100);
+    expect(jobProgress(0, 0)).toBe(100);
+  });
+});
@@ -0,0 +1,49 @@
+import { toCsv } from '../../../src/shared/csv';
+import {
+  consentStatement,
+  CURRENT_CONSENT_VERSION,
+  isLeadSource,
+  normalizeLeadEmail,
+  sanitizeLeadContext,
+} from '../../../src/shared/leads';
+
+describe('leads', () => {
+  it('should deduplicate addresses regardless of case and spacing', () => {
+    expect(normalizeLeadEmail('  Jane.Doe@Example.COM ')).toBe('jane.doe@example.com');
+  });
+
+  it('should only accept known sources and consent versions', () => {
+    expect(isLeadSource('exit_intent')).toBe(true);
+    expect(isLeadSource('popup')).toBe(false);
+    expect(consentStatement(CURRENT_CONSENT_VERSION)).toMatch(/unsubscribe/);
+    expect(() => consentStatement('marketing-1999')).toThrow(RangeError);
+  });
+
+  it('should keep flat, short context values only', () => {
+    const context = sanitizeLeadContext({
+      offer: 'EXIT30',
+      savings: 60,
+      returning: true,
+      nested: { page: '/pricing' },
+      invalid: Number.NaN,
+      note: 'x'.repeat(500),
+    });
+
+    expect(context).toEqual({ offer: 'EXIT30', savings: 60, returning: true, note: 'x'.repeat(200) });
+    expect(sanitizeLeadContext(['a'])).toEqual({});
+    expect(sanitizeLeadContext(null)).toEqual({});
+  });
+
+  it('should export cells a spreadsheet will not run as formulas', () => {
+    const csv = toCsv(['Email', 'Note', 'Captures'], [
+      ['=HYPERLINK("http://evil")@x.com', 'a, b', 3],
+      ['jane@example.com', null, -1],
+    ]);
+
+    expect(csv.split('\n')).toEqual([
+      'Email,Note,Captures',
+      '"\'=HYPERLINK(""http://evil"")@x.com","a, b",3',
+      'jane@example.com,,-1',
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  planPriceMigration,
+  rolloutTimelineToCsv,
+  MigrationPlanError,
+  MigrationPlanInputs,
+} from '../../../src/shared/migrationPlanner';
+
+describe('migrationPlanner', () => {
+  const inputs: MigrationPlanInputs = {
+    currentPriceBook: [{ plan: 'Pro', price: 100, customers: 100 }],
+    newPriceBook: [{ plan: 'Pro', price: 120 }],
+    grandfatheringMonths: 3,
+    churnUpliftPerStep: 30,
+    churnRate: 0,
+    newCustomersPerMonth: 10,
+    horizonMonths: 12,
+  };
+
+  it('should charge new customers the new price while existing ones are grandfathered', () => {
+    const plan = planPriceMigration(inputs);
+
+    expect(plan.months[0]).toMatchObject({ existingMrr: 10000, newMrr: 1200, baselineMrr: 11000, difference: 200 });
+    expect(plan.months[2].existingMrr).toBe(10000);
+    expect(plan.months[3]).toMatchObject({ existingCustomers: 70, existingMrr: 8400, mrr: 13200, difference: -800 });
+    expect(plan.customersLostToSteps).toBe(30);
+  });
+
+  it('should find the month the migration pulls ahead for good', () => {
+    const plan = planPriceMigration(inputs);
+
+    expect(plan.months.map(month => month.cumulativeDifference).slice(3, 11))
+      .toEqual([400, -200, -600, -800, -800, -600, -200, 400]);
+    expect(plan.breakEvenMonth).toBe(11);
+  });
+
+  it('should report no break-even when the migration never recovers', () => {
+    const plan = planPriceMigration({ ...inputs, newCustomersPerMonth: 0 });
+
+    expect(plan.breakEvenMonth).toBeNull();
+  });
+
+  it('should apply staged increases and churn at each step', () => {
+    const plan = planPriceMigration({
+      ...inputs,
+      newCustomersPerMonth: 0,
+      steps: [
+        { month: 7, increasePercent: 100, churnUplift: 5 },
+        { month: 4, increasePercent: 50, churnUplift: 5 },
+      ],
+    });
+
+    expect(plan.months[3].existingMrr).toBe(10450);
+    expect(plan.months[6].existingMrr).toBe(10830);
+    expect(plan.timeline.filter(event => event.month > 1)).toEqual([
+      expect.objectContaining({ month: 4, plan: null, description: 'Grandfathering ends after 3 months' }),
+      expect.objectContaining({ month: 4, fromPrice: 100, toPrice: 110, affectedCustomers: 100 }),
+      expect.objectContaining({ month: 7, fromPrice: 110, toPrice: 120, affectedCustomers: 95 }),
+    ]);
+  });
+
+  it('should reject steps inside the grandfathering window and unmatched plans', () => {
+    expect(() => planPriceMigration({ ...inputs, steps: [{ month: 2, increasePercent: 100 }] }))
+      .toThrow(MigrationPlanError);
+    expect(() => planPriceMigration({ ...inputs, newPriceBook: [{ plan: 'Business', price: 120 }] }))
+      .toThrow('"Pro" has no price in the new price book');
+  });
+
+  it('should export the rollout timeline as CSV', () => {
+    const csv = rolloutTimelineToCsv(planPriceMigration(inputs).timeline, 'EUR');
+
+    expect(csv.split('\n')).toEqual([
+      'Month,Plan,Change,From Price (EUR),To Price (EUR),Customers Affected',
+      '1,Pro,New customers on Pro pay the new price,100,120,0',
+      '4,,Grandfathering ends after 3 months,,,0',
+      '4,Pro,Existing Pro customers move to 100% of the new price,100,120,100',
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  createRandom,
+  percentile,
+  runMonteCarlo,
+  sampleDistribution,
+  validateDistribution,
+} from '../../../src/shared/monteCarlo';
+
+describe('monteCarlo', () => {
+  const inputs = { currentPrice: 100, customers: 100, churnRate: 5, cac: 300, newCustomersPerMonth: 10 };
+
+  it('should sample each distribution within its shape', () => {
+    const random = createRandom(42);
+    const draws = (distribution: Parameters<typeof sampleDistribution>[0]) =>
+      Array.from({ length: 5000 }, () => sampleDistribution(distribution, random));
+    const mean = (values: number[]) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const uniform = draws({ type: 'uniform', min: 2, max: 4 });
+    expect(Math.min(...uniform)).toBeGreaterThanOrEqual(2);
+    expect(Math.max(...uniform)).toBeLessThanOrEqual(4);
+
+    const triangular = draws({ type: 'triangular', min: 0, mode: 3, max: 6 });
+    expect(mean(triangular)).toBeCloseTo(3, 0);
+
+    expect(mean(draws({ type: 'normal', mean: 10, sd: 2 }))).toBeCloseTo(10, 0);
+
+    const lognormal = draws({ type: 'lognormal', mean: 5, sd: 2 });
+    expect(Math.min(...lognormal)).toBeGreaterThan(0);
+    expect(mean(lognormal)).toBeCloseTo(5, 0);
+  });
+
+  it('should reject invalid distributions and iteration counts', () => {
+    expect(() => validateDistribution('churnRate', { type: 'uniform', min: 5, max: 5 })).toThrow(RangeError);
+    expect(() => validateDistribution('churnRate', { type: 'triangular', min: 1, mode: 9, max: 5 })).toThrow(RangeError);
+    expect(() => validateDistribution('cac', { type: 'lognormal', mean: 0, sd: 1 })).toThrow(RangeError);
+    expect(() => runMonteCarlo(inputs, {}, { iterations: 10 })).toThrow(RangeError);
+    expect(() => runMonteCarlo(inputs, { marketSize: { type: 'normal', mean: 1, sd: 1 } })).toThrow(RangeError);
+  });
+
+  it('should interpolate percentiles', () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([0, 10], 10)).toBe(1);
+  });
+
+  it('should report ordered percentiles, a fan per month and a tornado led by the widest input', () => {
+    const result = runMonteCarlo(inputs, {
+      churnRate: { type: 'triangular', min: 2, mode: 5, max: 12 },
+      cac: { type: 'uniform', min: 290, max: 310 },
+    }, { iterations: 500, seed: 7, horizonMonths: 12 });
+
+    for (const summary of Object.values(result.summary)) {
+      expect(summary.p10).toBeLessThanOrEqual(summary.p50);
+      expect(summary.p50).toBeLessThanOrEqual(summary.p90);
+    }
+    expect(result.fan).toHaveLength(13);
+    expect(result.fan[12].p10).toBeLessThan(result.fan[12].p90);
+
+    expect(result.tornado.arr[0].field).toBe('churnRate');
+    // CAC moves payback but not lifetime value
+    expect(result.tornado.paybackPeriod.find((bar) => bar.field === 'cac')?.swing).toBeGreaterThan(0);
+    expect(result.tornado.ltv.find((bar) => bar.field === 'cac')?.swing).toBe(0);
+
+    const again = runMonteCarlo(inputs, { churnRate: { type: 'normal', mean: 5, sd: 1 } }, { iterations: 200, seed: 3 });
+    const repeat = runMonteCarlo(inputs, { churnRate: { type: 'normal', mean: 5, sd: 1 } }, { iterations: 200, seed: 3 });
+    expect(repeat.summary).toEqual(again.summary);
+  });
+});
@@ -0,0 +1,54 @@
+import {
+  getPlan,
+  hasFeature,
+  meterUsage,
+  requiredPlanFor,
+  summarizeUsage,
+  UNLIMITED,
+  upgradePlanFor,
+} from '../../../src/shared/plans';
+
+describe('plans', () => {
+  it('should fall back to the Free plan for missing or unknown plans', () => {
+    expect(getPlan(undefined).id).toBe('FREE');
+    expect(getPlan('PLATINUM').id).toBe('FREE');
+    expect(getPlan('PROFESSIONAL').trialDays).toBe(14);
+  });
+
+  it('should unlock features by plan and name the cheapest upgrade', () => {
+    expect(hasFeature('FREE', 'sharing')).toBe(false);
+    expect(hasFeature('STARTER', 'sharing')).toBe(true);
+    expect(hasFeature(null, 'ai')).toBe(false);
+    expect(requiredPlanFor('ai').id).toBe('STARTER');
+    expect(requiredPlanFor('collaboration').id).toBe('PROFESSIONAL');
+    expect(requiredPlanFor('whiteLabel').id).toBe('ENTERPRISE');
+  });
+
+  it('should point a used-up limit at the cheapest plan that allows more', () => {
+    expect(upgradePlanFor('FREE', 'calculations')?.id).toBe('STARTER');
+    expect(upgradePlanFor('STARTER', 'batchExports')?.id).toBe('PROFESSIONAL');
+    // Professional's AI budget goes further than Starter's
+    expect(upgradePlanFor('STARTER', 'aiBudget')?.id).toBe('PROFESSIONAL');
+    expect(upgradePlanFor('ENTERPRISE', 'batchExports')).toBeNull();
+    expect(upgradePlanFor('PROFESSIONAL', 'calculations')).toBeNull();
+  });
+
+  it('should meter usage against a limit', () => {
+    expect(meterUsage(3, 5)).toEqual({ used: 3, limit: 5, remaining: 2, percentUsed: 60, exhausted: false });
+    expect(meterUsage(7, 5)).toMatchObject({ remaining: 0, exhausted: true });
+    expect(meterUsage(0, 0)).toMatchObject({ remaining: 0, percentUsed: 0, exhausted: true });
+  });
+
+  it('should never exhaust an unlimited allowance', () => {
+    const summary = summarizeUsage('ENTERPRISE', { calculations: 500, aiBudget: 12.5, exports: 40, batchExports: 2 });
+
+    expect(summary.calculations).toEqual({
+      used: 500,
+      limit: UNLIMITED,
+      remaining: UNLIMITED,
+      percentUsed: null,
+      exhausted: false,
+    });
+    expect(summary.aiBudget).toMatchObject({ limit: 200, percentUsed: 6.3 });
+  });
+});
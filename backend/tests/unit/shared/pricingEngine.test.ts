@@ -0,0 +1,128 @@
+import {
+  runPricingEngine,
+  parsePricingInputs,
+  calculateOptimalPrice,
+  calculateCustomerLifetime,
+  PricingInputError,
+  PRICING_ENGINE_VERSION,
+  MAX_CUSTOMER_LIFETIME_MONTHS,
+} from '../../../src/shared/pricingEngine';
+
+describe('pricingEngine', () => {
+  const baseInputs = {
+    currentPrice: 100,
+    customers: 1000,
+    churnRate: 5,
+    competitorPrice: 120,
+    cac: 500,
+  };
+
+  describe('parsePricingInputs', () => {
+    it('should coerce form strings and drop blank optional fields', () => {
+      const parsed = parsePricingInputs({
+        currentPrice: '49',
+        customers: '250',
+        churnRate: '3.5',
+        competitorPrice: '',
+        cac: undefined,
+      });
+
+      expect(parsed).toEqual({ currentPrice: 49, customers: 250, churnRate: 3.5 });
+    });
+
+    it('should report every invalid field', () => {
+      try {
+        parsePricingInputs({ currentPrice: -10, customers: 2.5, churnRate: 'abc' });
+        fail('Expected PricingInputError');
+      } catch (error) {
+        expect(error).toBeInstanceOf(PricingInputError);
+        const fields = (error as PricingInputError).issues.map(issue => issue.field);
+        expect(fields).toEqual(['currentPrice', 'customers', 'churnRate']);
+      }
+    });
+  });
+
+  describe('calculateOptimalPrice', () => {
+    it('should raise price toward a more expensive competitor', () => {
+      expect(calculateOptimalPrice(baseInputs)).toBe(110);
+    });
+
+    it('should reward low churn and discount high churn', () => {
+      expect(calculateOptimalPrice({ currentPrice: 100, customers: 10, churnRate: 2 })).toBe(115);
+      expect(calculateOptimalPrice({ currentPrice: 100, customers: 10, churnRate: 12 })).toBe(90);
+    });
+  });
+
+  describe('calculateCustomerLifetime', () => {
+    it('should cap lifetime when churn is zero', () => {
+      expect(calculateCustomerLifetime({ currentPrice: 10, customers: 1, churnRate: 0 }))
+        .toBe(MAX_CUSTOMER_LIFETIME_MONTHS);
+    });
+
+    it('should not be shorter than the contract term', () => {
+      expect(calculateCustomerLifetime({
+        currentPrice: 10,
+        customers: 1,
+        churnRate: 50,
+        averageContractLength: 12,
+      })).toBe(12);
+    });
+  });
+
+  describe('runPricingEngine', () => {
+    it('should stamp the formula version', () => {
+      expect(runPricingEngine(baseInputs).formulaVersion).toBe(PRICING_ENGINE_VERSION);
+    });
+
+    it('should calculate unit economics from the optimal price', () => {
+      const { metrics } = runPricingEngine(baseInputs);
+
+      expect(metrics.optimalPrice).toBe(110);
+      expect(metrics.mrr).toBe(110000);
+      expect(metrics.arr).toBe(1320000);
+      expect(metrics.ltv).toBe(2200); // 110 * 20 month lifetime
+      expect(metrics.ltvCacRatio).toBe(4.4);
+      expect(metrics.paybackPeriod).toBe(4.5);
+      expect(metrics.competitorComparison).toBe(-8.3);
+    });
+
+    it('should default CAC to a multiple of the optimal price', () => {
+      const { metrics } = runPricingEngine({ currentPrice: 100, customers: 10, churnRate: 5 });
+
+      expect(metrics.cac).toBe(300);
+      expect(metrics.paybackPeriod).toBe(3);
+    });
+
+    it('should compound expansion into LTV', () => {
+      const flat = runPricingEngine(baseInputs).metrics.ltv;
+      const expanding = runPricingEngine({ ...baseInputs, expansionRevenue: 2 }).metrics.ltv;
+
+      expect(expanding).toBeGreaterThan(flat);
+    });
+
+    it('should generate ordered tiers with the recommended tier at the optimal price', () => {
+      const { tiers, metrics } = runPricingEngine(baseInputs);
+
+      expect(tiers.map(tier => tier.name)).toEqual(['Starter', 'Professional', 'Enterprise']);
+      expect(tiers[0].price).toBeLessThan(tiers[1].price);
+      expect(tiers[1].price).toBeLessThan(tiers[2].price);
+      expect(tiers.find(tier => tier.recommended)?.price).toBe(Math.round(metrics.optimalPrice));
+    });
+
+    it('should clamp tier prices to the acceptable price range', () => {
+      const { tiers, metrics } = runPricingEngine({ ...baseInputs, priceFloor: 80, priceCeiling: 200 });
+
+      expect(tiers.map(tier => tier.price)).toEqual([80, 110, 200]);
+      expect(tiers.map(tier => tier.constrained)).toEqual([true, false, true]);
+      expect(metrics.optimalPrice).toBe(110);
+    });
+
+    it('should reject a price ceiling below the floor', () => {
+      expect(() => runPricingEngine({ ...baseInputs, priceFloor: 200, priceCeiling: 80 })).toThrow(PricingInputError);
+    });
+
+    it('should be deterministic', () => {
+      expect(runPricingEngine(baseInputs)).toEqual(runPricingEngine({ ...baseInputs }));
+    });
+  });
+});
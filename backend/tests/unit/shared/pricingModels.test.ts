@@ -0,0 +1,103 @@
+import {
+  calculateBill,
+  calculateConcentration,
+  comparePricingModels,
+  generateUsageDistribution,
+  simulateBills,
+  PricingModel,
+  PricingModelError,
+} from '../../../src/shared/pricingModels';
+
+describe('pricingModels', () => {
+  const bands = [
+    { upTo: 1000, unitPrice: 0.1 },
+    { upTo: 10000, unitPrice: 0.05 },
+    { upTo: null, unitPrice: 0.02 },
+  ];
+
+  describe('calculateBill', () => {
+    it('should charge each unit at its own band rate when graduated', () => {
+      const model: PricingModel = { type: 'metered', mode: 'graduated', tiers: bands };
+
+      expect(calculateBill(model, { seats: 1, usage: 5000 })).toBe(100 + 200);
+    });
+
+    it('should charge every unit at the landing band rate in volume mode', () => {
+      const model: PricingModel = { type: 'metered', mode: 'volume', tiers: bands };
+
+      expect(calculateBill(model, { seats: 1, usage: 5000 })).toBe(250);
+    });
+
+    it('should add overage beyond the included units to the platform fee', () => {
+      const model: PricingModel = {
+        type: 'hybrid',
+        platformFee: 99,
+        includedUnits: 1000,
+        overage: { mode: 'graduated', tiers: [{ upTo: null, unitPrice: 0.05 }] },
+      };
+
+      expect(calculateBill(model, { seats: 3, usage: 800 })).toBe(99);
+      expect(calculateBill(model, { seats: 3, usage: 3000 })).toBe(199);
+    });
+
+    it('should bill seats with a minimum commitment', () => {
+      const model: PricingModel = { type: 'perSeat', pricePerSeat: 15, minimumSeats: 3 };
+
+      expect(calculateBill(model, { seats: 1, usage: 0 })).toBe(45);
+      expect(calculateBill(model, { seats: 10, usage: 0 })).toBe(150);
+    });
+
+    it('should buy the cheapest mix of credit packs', () => {
+      const model: PricingModel = {
+        type: 'creditPacks',
+        packs: [{ credits: 100, price: 10 }, { credits: 1000, price: 80 }],
+      };
+
+      expect(calculateBill(model, { seats: 1, usage: 1150 })).toBe(80 + 20);
+      expect(calculateBill(model, { seats: 1, usage: 950 })).toBe(80);
+    });
+  });
+
+  it('should reject metered bands that are not increasing', () => {
+    const model: PricingModel = {
+      type: 'metered',
+      mode: 'graduated',
+      tiers: [{ upTo: 500, unitPrice: 1 }, { upTo: 100, unitPrice: 1 }, { upTo: null, unitPrice: 1 }],
+    };
+
+    expect(() => simulateBills(model, [{ seats: 1, usage: 1 }])).toThrow(PricingModelError);
+  });
+
+  it('should generate a deterministic distribution centred on the median', () => {
+    const customers = generateUsageDistribution({ customers: 101, medianUsage: 1000, usageSpread: 1 });
+    const usage = customers.map(customer => customer.usage);
+
+    expect(usage[50]).toBe(1000);
+    expect(usage[0]).toBeLessThan(usage[100]);
+    expect(generateUsageDistribution({ customers: 101, medianUsage: 1000, usageSpread: 1 })).toEqual(customers);
+  });
+
+  it('should measure revenue concentration', () => {
+    expect(calculateConcentration([10, 10, 10, 10]).gini).toBe(0);
+
+    const skewed = calculateConcentration([1, 1, 1, 1, 1, 1, 1, 1, 1, 91]);
+    expect(skewed.top10Share).toBe(91);
+    expect(skewed.gini).toBeGreaterThan(0.7);
+  });
+
+  it('should compare models on the same customer base and scale to the full count', () => {
+    const [flat, metered] = comparePricingModels(
+      [
+        { id: 'flat', name: 'Flat', model: { type: 'flat', price: 100 } },
+        { id: 'metered', name: 'Metered', model: { type: 'metered', mode: 'graduated', tiers: bands } },
+      ],
+      { customers: 10000, medianUsage: 1000, usageSpread: 1.2 }
+    );
+
+    expect(flat.mrr).toBe(1000000);
+    expect(flat.concentration.gini).toBe(0);
+    expect(metered.customers).toBe(10000);
+    expect(metered.concentration.top10Share).toBeGreaterThan(10);
+    expect(metered.mrrChange).toBe(Math.round(((metered.mrr - flat.mrr) / flat.mrr) * 1000) / 10);
+  });
+});
@@ -0,0 +1,50 @@
+import { projectCohorts, PROJECTION_HORIZONS } from '../../../src/shared/projectionModel';
+
+describe('projectionModel', () => {
+  const inputs = {
+    currentPrice: 100,
+    customers: 100,
+    churnRate: 5,
+    cac: 300,
+  };
+
+  it('should produce one row per month plus the starting month', () => {
+    for (const horizonMonths of PROJECTION_HORIZONS) {
+      const { months } = projectCohorts(inputs, 100, { horizonMonths });
+      expect(months).toHaveLength(horizonMonths + 1);
+    }
+  });
+
+  it('should reject unsupported horizons', () => {
+    expect(() => projectCohorts(inputs, 100, { horizonMonths: 18 as any })).toThrow(RangeError);
+  });
+
+  it('should churn the existing base without adding logos for expansion', () => {
+    const { months } = projectCohorts({ ...inputs, expansionRevenue: 2 }, 100);
+
+    expect(months[1].churnedMrr).toBe(-500);
+    expect(months[1].activeCustomers).toBe(95);
+    expect(months[1].expansionMrr).toBe(190); // 95 customers * $100 * 2%
+    expect(months[1].mrr).toBe(9690);
+  });
+
+  it('should track new cohorts separately and protect them during their contract term', () => {
+    const { months, cohorts } = projectCohorts(
+      { ...inputs, churnRate: 10, newCustomersPerMonth: 10, averageContractLength: 3 },
+      100
+    );
+
+    expect(cohorts).toHaveLength(13);
+    // Month 1's cohort is still under contract in months 2 and 3
+    expect(months[2].churnedCustomers).toBe(9); // 10% of the 90 remaining base customers
+    expect(months[4].churnedCustomers).toBeGreaterThan(months[3].churnedCustomers);
+  });
+
+  it('should net acquisition spend against collected revenue in cumulative cash', () => {
+    const { months } = projectCohorts({ ...inputs, churnRate: 0, newCustomersPerMonth: 10 }, 100);
+
+    // Month 1: 110 customers billed, 10 acquired at $300 CAC
+    expect(months[1].cashFlow).toBe(11000 - 3000);
+    expect(months[2].cumulativeCash).toBe(8000 + 12000 - 3000);
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  assertCommissionTransition,
+  assessReferralRisk,
+  calculateCommission,
+  codeFromBytes,
+  isWithinAttributionWindow,
+  normalizeEmail,
+  normalizeReferralCode,
+} from '../../../src/shared/referrals';
+
+describe('referrals', () => {
+  it('should build readable codes and accept them back in any case', () => {
+    const code = codeFromBytes([0, 1, 2, 3, 4, 5, 6, 255]);
+
+    expect(code).toMatch(/^[2-9A-HJKMNP-Z]{8}$/);
+    expect(normalizeReferralCode(` ${code.toLowerCase()} `)).toBe(code);
+    expect(normalizeReferralCode('not a code!')).toBeNull();
+    expect(normalizeReferralCode(undefined)).toBeNull();
+  });
+
+  it('should credit clicks inside the attribution window only', () => {
+    const clickedAt = new Date('2025-01-01T00:00:00Z');
+
+    expect(isWithinAttributionWindow(clickedAt, new Date('2025-01-30T00:00:00Z'))).toBe(true);
+    expect(isWithinAttributionWindow(clickedAt, new Date('2025-02-01T00:00:00Z'))).toBe(false);
+    expect(isWithinAttributionWindow(clickedAt, new Date('2024-12-31T00:00:00Z'))).toBe(false);
+  });
+
+  it('should pay 30% of the payment, to the cent', () => {
+    expect(calculateCommission(9900)).toBe(2970);
+    expect(calculateCommission(7999)).toBe(2400);
+    expect(calculateCommission(0)).toBe(0);
+    expect(calculateCommission(-500)).toBe(0);
+  });
+
+  it('should move commissions forward through the ledger only', () => {
+    expect(() => assertCommissionTransition('PENDING', 'APPROVED')).not.toThrow();
+    expect(() => assertCommissionTransition('APPROVED', 'PAID')).not.toThrow();
+    expect(() => assertCommissionTransition('PENDING', 'PAID')).toThrow(RangeError);
+    expect(() => assertCommissionTransition('PAID', 'REJECTED')).toThrow(RangeError);
+    expect(() => assertCommissionTransition('REJECTED', 'APPROVED')).toThrow(RangeError);
+  });
+
+  it('should treat email aliases as one mailbox', () => {
+    expect(normalizeEmail('Jane.Doe+promo@GoogleMail.com')).toBe('janedoe@gmail.com');
+    expect(normalizeEmail('jane.doe+promo@example.com')).toBe('jane.doe@example.com');
+  });
+
+  it('should block self-referrals and flag shared or busy IPs', () => {
+    const referrer = { userId: 'u1', email: 'jane@gmail.com', ipAddresses: ['10.0.0.1'] };
+
+    expect(assessReferralRisk({
+      referrer,
+      referee: { email: 'j.a.n.e+2@gmail.com', ipAddresses: ['10.0.0.9'] },
+    })).toEqual({ flags: ['SELF_REFERRAL'], blocked: true });
+
+    expect(assessReferralRisk({
+      referrer,
+      referee: { email: 'sam@example.com', ipAddresses: ['10.0.0.1'] },
+      recentSignupsFromIp: 3,
+    })).toEqual({ flags: ['SAME_IP', 'IP_VELOCITY'], blocked: false });
+
+    expect(assessReferralRisk({
+      referrer,
+      referee: { email: 'sam@example.com', ipAddresses: ['10.0.0.9'] },
+    })).toEqual({ flags: [], blocked: false });
+  });
+});
@@ -0,0 +1,54 @@
+import { compareScenarios, SCENARIO_PROJECTION_MONTHS, validateScenarioSelection } from '../../../src/shared/scenarioSets';
+import { calculateMetrics, calculateOptimalPrice } from '../../../src/shared/pricingEngine';
+
+describe('scenarioSets', () => {
+  const base = { currentPrice: 100, customers: 100, churnRate: 5, cac: 300 };
+  const scenarios = [
+    { id: 'a', name: 'Current', inputs: base },
+    { id: 'b', name: 'Lower churn', inputs: { ...base, churnRate: 3 } },
+    { id: 'c', name: 'Cheaper acquisition', inputs: { ...base, cac: 150 } },
+  ];
+
+  it('should validate set size, duplicates and the baseline', () => {
+    expect(() => validateScenarioSelection(['a'], 'a')).toThrow(RangeError);
+    expect(() => validateScenarioSelection(['a', 'b', 'c', 'd', 'e', 'f', 'g'], 'a')).toThrow(RangeError);
+    expect(() => validateScenarioSelection(['a', 'a'], 'a')).toThrow(RangeError);
+    expect(() => validateScenarioSelection(['a', 'b'], 'c')).toThrow(RangeError);
+    expect(() => validateScenarioSelection(['a', 'b'], 'b')).not.toThrow();
+  });
+
+  it('should run each scenario at its optimal price and report deltas from the baseline', () => {
+    const comparison = compareScenarios(scenarios, 'a');
+    const [current, lowerChurn] = comparison.scenarios;
+
+    const price = calculateOptimalPrice(base);
+    expect(current.values.optimalPrice).toBe(price);
+    expect(current.values.ltvCacRatio).toBe(calculateMetrics(base, price).ltvCacRatio);
+    expect(current.baseline).toBe(true);
+    expect(current.deltas).toEqual({});
+
+    expect(lowerChurn.deltas.nrr?.delta).toBeGreaterThan(0);
+    expect(lowerChurn.deltas.arrMonth24?.delta).toBeCloseTo(lowerChurn.values.arrMonth24 - current.values.arrMonth24, 1);
+    expect(comparison.projection).toHaveLength(SCENARIO_PROJECTION_MONTHS + 1);
+    expect(comparison.projection[12].arr.b).toBe(lowerChurn.values.arrMonth12);
+  });
+
+  it('should name a winner per metric, skipping ties and metrics without a direction', () => {
+    const { winners } = compareScenarios(scenarios, 'a');
+    const winner = (metric: string) => winners.find((entry) => entry.metric === metric);
+
+    expect(winner('optimalPrice')).toBeUndefined();
+    expect(winner('cac')?.scenarioIds).toEqual(['c']);
+    expect(winner('nrr')?.scenarioIds).toEqual(['b']);
+
+    const twins = compareScenarios([scenarios[0], { ...scenarios[0], id: 'z' }], 'a');
+    expect(twins.winners).toEqual([]);
+  });
+
+  it('should refuse to compare scenarios in different currencies', () => {
+    expect(() => compareScenarios([
+      scenarios[0],
+      { id: 'eur', name: 'Euro', inputs: { ...base, currency: 'EUR' } },
+    ], 'a')).toThrow(RangeError);
+  });
+});
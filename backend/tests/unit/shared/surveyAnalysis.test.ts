@@ -0,0 +1,106 @@
+import { analyzeGaborGranger, parseGaborGrangerCsv } from '../../../src/shared/gaborGranger';
+import { ConjointTask, fitConjointModel, parseConjointCsv, toFeatureValues } from '../../../src/shared/conjoint';
+import { generatePricingTiers } from '../../../src/shared/pricingEngine';
+
+// Deterministic stand-in for Math.random so the simulated survey is stable
+const seeded = (seed: number) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+describe('gaborGranger', () => {
+  const csv = [
+    'respondent,price,would buy',
+    ...['a', 'b', 'c', 'd', 'e'].flatMap((respondent, i) => [
+      `${respondent},20,yes`,
+      `${respondent},40,${i < 4 ? 'yes' : 'no'}`,
+      `${respondent},60,${i < 2 ? 'yes' : 'no'}`,
+    ]),
+  ].join('\n');
+
+  it('should build the demand curve from each respondent\'s highest accepted price', () => {
+    const analysis = analyzeGaborGranger(parseGaborGrangerCsv(csv));
+
+    expect(analysis.respondents).toBe(5);
+    expect(analysis.points.map(point => point.demand)).toEqual([100, 80, 40]);
+    expect(analysis.revenueMaximizingPrice).toBe(40);
+    expect(analysis.demandAtOptimum).toBe(80);
+  });
+
+  it('should reject answers that are not yes or no', () => {
+    expect(() => parseGaborGrangerCsv('respondent,price,would buy\na,20,maybe\n')).toThrow(/Line 2/);
+  });
+});
+
+describe('conjoint', () => {
+  const simulateTasks = (count: number): ConjointTask[] => {
+    const random = seeded(42);
+    const trueWtp = { Analytics: 20, API: 5 };
+    const priceCoefficient = -0.1;
+
+    return Array.from({ length: count }, (_, id) => {
+      const alternatives = [0, 1, 2].map(() => ({
+        price: 20 + Math.round(random() * 40),
+        features: { Analytics: random() < 0.5, API: random() < 0.5 },
+        chosen: false,
+      }));
+      const weights = alternatives.map(({ price, features }) => Math.exp(priceCoefficient * (
+        price - (features.Analytics ? trueWtp.Analytics : 0) - (features.API ? trueWtp.API : 0)
+      )));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let draw = random() * total;
+      const chosen = weights.findIndex(weight => (draw -= weight) <= 0);
+      alternatives[chosen === -1 ? 2 : chosen].chosen = true;
+
+      return { id: String(id), alternatives };
+    });
+  };
+
+  it('should parse feature columns from a long-format export', () => {
+    const tasks = parseConjointCsv('task,alternative,chosen,price,Analytics,API\n1,A,1,$30,1,0\n1,B,0,$20,0,1\n');
+
+    expect(tasks).toEqual([{
+      id: '1',
+      alternatives: [
+        { price: 30, features: { Analytics: true, API: false }, chosen: true },
+        { price: 20, features: { Analytics: false, API: true }, chosen: false },
+      ],
+    }]);
+  });
+
+  it('should recover willingness to pay from simulated choices', () => {
+    const model = fitConjointModel(simulateTasks(1500));
+    const wtp = Object.fromEntries(model.partWorths.map(partWorth => [partWorth.feature, partWorth.willingnessToPay]));
+
+    expect(model.converged).toBe(true);
+    expect(model.priceCoefficient).toBeLessThan(0);
+    expect(wtp.Analytics).toBeGreaterThan(15);
+    expect(wtp.Analytics).toBeLessThan(25);
+    expect(wtp.API).toBeGreaterThan(1);
+    expect(wtp.API).toBeLessThan(9);
+  });
+
+  it('should reject tasks without exactly one choice', () => {
+    const tasks = simulateTasks(5);
+    tasks[0].alternatives.forEach(alternative => { alternative.chosen = true; });
+
+    expect(() => fitConjointModel(tasks)).toThrow(RangeError);
+  });
+
+  it('should hold back the most valued features for higher tiers', () => {
+    const featureValues = [
+      { feature: 'SSO', willingnessToPay: 60 },
+      { feature: 'Exports', willingnessToPay: 10 },
+      { feature: 'Dashboards', willingnessToPay: 25 },
+      { feature: 'Audit log', willingnessToPay: 40 },
+    ];
+    const inputs = { currentPrice: 50, customers: 100, churnRate: 5 };
+    const [starter, professional, enterprise] = generatePricingTiers(inputs, 50, { featureValues });
+
+    expect(starter.features).toEqual(['Exports', 'Dashboards']); // $35 covers $30
+    expect(professional.features).toEqual(['Exports', 'Dashboards', 'Audit log']); // $75 covers $50
+    expect(enterprise.features).toHaveLength(4);
+    expect(enterprise.featureValue).toBe(135);
+    expect(toFeatureValues(fitConjointModel(simulateTasks(50))).every(value => value.willingnessToPay > 0)).toBe(true);
+  });
+});
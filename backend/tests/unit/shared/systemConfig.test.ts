@@ -0,0 +1,72 @@
+import {
+  applyConfigPatch,
+  DEFAULT_SYSTEM_CONFIG,
+  diffSettings,
+  evaluateFlags,
+  fromSettings,
+  isFlagEnabled,
+  rolloutBucket,
+  toSettings,
+} from '../../../src/shared/systemConfig';
+
+describe('systemConfig', () => {
+  it('should apply partial updates without touching the defaults', () => {
+    const config = applyConfigPatch(DEFAULT_SYSTEM_CONFIG, {
+      maintenanceMode: true,
+      maxUsersPerPlan: { STARTER: 250 },
+      featureFlags: { aiInsights: false, collaboration: { rolloutPercentage: 25 } },
+    });
+
+    expect(config.maintenanceMode).toBe(true);
+    expect(config.maxUsersPerPlan).toEqual({ STARTER: 250, PROFESSIONAL: 5000, ENTERPRISE: -1 });
+    expect(config.featureFlags.aiInsights.enabled).toBe(false);
+    expect(config.featureFlags.collaboration).toEqual({ enabled: true, rolloutPercentage: 25, plans: [] });
+    expect(DEFAULT_SYSTEM_CONFIG.featureFlags.aiInsights.enabled).toBe(true);
+  });
+
+  it('should reject values the API could not honour', () => {
+    expect(() => applyConfigPatch(DEFAULT_SYSTEM_CONFIG, { maxUsersPerPlan: { STARTER: 0 } })).toThrow(RangeError);
+    expect(() =>
+      applyConfigPatch(DEFAULT_SYSTEM_CONFIG, { featureFlags: { advancedExports: { rolloutPercentage: 120 } } })
+    ).toThrow(RangeError);
+    expect(() => applyConfigPatch(DEFAULT_SYSTEM_CONFIG, { featureFlags: { darkMode: true } as any })).toThrow(RangeError);
+  });
+
+  it('should round-trip through stored settings and diff only what changed', () => {
+    const config = applyConfigPatch(DEFAULT_SYSTEM_CONFIG, { registrationEnabled: false });
+
+    expect(fromSettings(toSettings(config))).toEqual(config);
+    expect(fromSettings({ registrationEnabled: 'no', 'featureFlags.aiInsights': { rolloutPercentage: -5 } }))
+      .toEqual(DEFAULT_SYSTEM_CONFIG);
+    expect(diffSettings(DEFAULT_SYSTEM_CONFIG, config)).toEqual([
+      { key: 'registrationEnabled', previousValue: true, newValue: false },
+    ]);
+  });
+
+  it('should keep each user in the same rollout bucket', () => {
+    const bucket = rolloutBucket('aiInsights', 'user-1');
+
+    expect(bucket).toBeGreaterThanOrEqual(0);
+    expect(bucket).toBeLessThan(100);
+    expect(rolloutBucket('aiInsights', 'user-1')).toBe(bucket);
+
+    const config = applyConfigPatch(DEFAULT_SYSTEM_CONFIG, {
+      featureFlags: { aiInsights: { rolloutPercentage: bucket + 1 } },
+    });
+    expect(isFlagEnabled(config, 'aiInsights', { userId: 'user-1' })).toBe(true);
+    expect(isFlagEnabled(config, 'aiInsights')).toBe(bucket + 1 >= 100);
+  });
+
+  it('should limit flags to the listed plans', () => {
+    const config = applyConfigPatch(DEFAULT_SYSTEM_CONFIG, {
+      featureFlags: { collaboration: { plans: ['ENTERPRISE'] }, advancedExports: false },
+    });
+
+    expect(evaluateFlags(config, { userId: 'user-1', plan: 'PROFESSIONAL' })).toEqual({
+      aiInsights: true,
+      collaboration: false,
+      advancedExports: false,
+    });
+    expect(isFlagEnabled(config, 'collaboration', { plan: 'ENTERPRISE' })).toBe(true);
+  });
+});
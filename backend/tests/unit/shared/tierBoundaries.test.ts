@@ -0,0 +1,65 @@
+import {
+  niceCeil,
+  parseCustomerCsv,
+  proposeTierBoundaries,
+  recommendTierBoundaries,
+  CustomerRecord,
+} from '../../../src/shared/tierBoundaries';
+import { generatePricingTiers } from '../../../src/shared/pricingEngine';
+
+describe('tierBoundaries', () => {
+  // Three clear segments, all currently on plans that roughly match
+  const customers: CustomerRecord[] = [
+    ...[1, 2, 2, 3, 3, 4].map((seats, i) => ({ id: `s${i}`, seats, usage: seats * 100, plan: 'Starter', mrr: 29 })),
+    ...[12, 15, 18, 20, 22].map((seats, i) => ({ id: `p${i}`, seats, usage: seats * 100, plan: 'Pro', mrr: 99 })),
+    ...[80, 120, 200].map((seats, i) => ({ id: `e${i}`, seats, usage: seats * 100, plan: 'Enterprise', mrr: 499 })),
+  ];
+
+  it('should parse a customer export with an optional id column', () => {
+    const parsed = parseCustomerCsv('Seats,Usage Units,Current Plan,MRR\n5,1200,Pro,"$1,099"\n');
+
+    expect(parsed).toEqual([{ id: 'Line 2', seats: 5, usage: 1200, plan: 'Pro', mrr: 1099 }]);
+  });
+
+  it('should round cut-offs up to readable numbers', () => {
+    expect(niceCeil(7)).toBe(8);
+    expect(niceCeil(23)).toBe(25);
+    expect(niceCeil(140)).toBe(150);
+    expect(niceCeil(1000)).toBe(1000);
+  });
+
+  it('should separate natural segments with k-means', () => {
+    const proposal = proposeTierBoundaries(customers, { dimension: 'seats', method: 'kmeans' });
+
+    expect(proposal.currentPlans).toEqual(['Starter', 'Pro', 'Enterprise']);
+    expect(proposal.tiers.map(tier => tier.upperBound)).toEqual([4, 25, null]);
+    expect(proposal.tiers.map(tier => tier.customers)).toEqual([6, 5, 3]);
+    expect(proposal.moves).toEqual({ up: 0, down: 0, unchanged: 14 });
+  });
+
+  it('should count customers whose tier would change', () => {
+    const proposal = proposeTierBoundaries(customers, { dimension: 'seats', method: 'quantile' });
+
+    expect(proposal.moves.up + proposal.moves.down).toBeGreaterThan(0);
+    expect(proposal.moves.up + proposal.moves.down + proposal.moves.unchanged).toBe(customers.length);
+  });
+
+  it('should recommend the proposal with the smaller mismatch', () => {
+    const { recommended, alternatives } = recommendTierBoundaries(customers, { dimension: 'seats' });
+    const mismatch = recommended.revenueLeftOnTable + recommended.headroomPaid;
+
+    expect(recommended.method).toBe('kmeans');
+    expect(mismatch).toBeLessThanOrEqual(alternatives[0].revenueLeftOnTable + alternatives[0].headroomPaid);
+  });
+
+  it('should feed proposed limits into generated tiers', () => {
+    const tiers = generatePricingTiers(
+      { currentPrice: 50, customers: 10, churnRate: 5 },
+      50,
+      { tierLimits: { unit: 'seats', limits: [4, 25, null] } }
+    );
+
+    expect(tiers.map(tier => tier.features[0])).toEqual(['Up to 4 seats', 'Up to 25 seats', 'Unlimited seats']);
+    expect(tiers[1].features).toContain('API access');
+  });
+});
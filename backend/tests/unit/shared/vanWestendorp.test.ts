@@ -0,0 +1,73 @@
+import {
+  analyzeVanWestendorp,
+  parseVanWestendorpCsv,
+  VanWestendorpResponse,
+} from '../../../src/shared/vanWestendorp';
+import { CsvError } from '../../../src/shared/csv';
+
+describe('vanWestendorp', () => {
+  const responses: VanWestendorpResponse[] = [
+    { tooCheap: 10, cheap: 20, expensive: 40, tooExpensive: 60 },
+    { tooCheap: 15, cheap: 25, expensive: 45, tooExpensive: 70 },
+    { tooCheap: 20, cheap: 30, expensive: 50, tooExpensive: 80 },
+    { tooCheap: 25, cheap: 35, expensive: 55, tooExpensive: 90 },
+    { tooCheap: 30, cheap: 40, expensive: 60, tooExpensive: 100 },
+  ];
+
+  describe('parseVanWestendorpCsv', () => {
+    it('should map headers regardless of case, spacing and currency formatting', () => {
+      const csv = 'Respondent,Too Cheap,Cheap,Expensive,Too Expensive\r\n1,$10,"$1,020",40,60\r\n\r\n';
+
+      expect(parseVanWestendorpCsv(csv)).toEqual([
+        { tooCheap: 10, cheap: 1020, expensive: 40, tooExpensive: 60 },
+      ]);
+    });
+
+    it('should report the line of an unreadable answer', () => {
+      const csv = 'too cheap,cheap,expensive,too expensive\n10,20,40,60\n10,,40,60\n';
+
+      expect(() => parseVanWestendorpCsv(csv)).toThrow(CsvError);
+      expect(() => parseVanWestendorpCsv(csv)).toThrow(/Line 3/);
+    });
+
+    it('should require all four question columns', () => {
+      expect(() => parseVanWestendorpCsv('too cheap,cheap,expensive\n1,2,3\n')).toThrow(/too expensive|tooexpensive/);
+    });
+  });
+
+  describe('analyzeVanWestendorp', () => {
+    it('should exclude respondents whose answers are out of order', () => {
+      const analysis = analyzeVanWestendorp([
+        ...responses,
+        { tooCheap: 50, cheap: 20, expensive: 40, tooExpensive: 60 },
+      ]);
+
+      expect(analysis.responses).toBe(5);
+      expect(analysis.excluded).toBe(1);
+    });
+
+    it('should produce monotonic cumulative curves', () => {
+      const { curves } = analyzeVanWestendorp(responses);
+
+      for (let i = 1; i < curves.length; i++) {
+        expect(curves[i].tooCheap).toBeLessThanOrEqual(curves[i - 1].tooCheap);
+        expect(curves[i].tooExpensive).toBeGreaterThanOrEqual(curves[i - 1].tooExpensive);
+      }
+    });
+
+    it('should order the four price points inside the acceptable range', () => {
+      const analysis = analyzeVanWestendorp(responses);
+      const { acceptableRange } = analysis;
+
+      expect(acceptableRange).not.toBeNull();
+      expect(acceptableRange!.min).toBe(analysis.pointOfMarginalCheapness);
+      expect(acceptableRange!.max).toBe(analysis.pointOfMarginalExpensiveness);
+      expect(analysis.optimalPricePoint).toBeGreaterThanOrEqual(acceptableRange!.min);
+      expect(analysis.indifferencePricePoint).toBeLessThanOrEqual(acceptableRange!.max);
+    });
+
+    it('should refuse to analyse too few responses', () => {
+      expect(() => analyzeVanWestendorp(responses.slice(0, 2))).toThrow(RangeError);
+    });
+  });
+});
@@ -48,6 +48,8 @@ const PrivacyPage = lazy(() => import('./pages/PrivacyPage'))
 const TermsPage = lazy(() => import('./pages/TermsPage'))
 const ResourcesPage = lazy(() => import('./pages/ResourcesPage'))
 const ReferralPage = lazy(() => import('./pages/ReferralPage'))
+const EmailPreferencesPage = lazy(() => import('./pages/EmailPreferencesPage'))
+const JoinTeamPage = lazy(() => import('./pages/JoinTeamPage'))
 
 // Auth pages - conditional loading
 const LoginPage = lazy(() => import('./pages/LoginPage'))
@@ -289,6 +291,8 @@ const App = memo(() => {
               <Route path="/referral" element={<ReferralPage />} />
               <Route path="/privacy" element={<PrivacyPage />} />
               <Route path="/terms" element={<TermsPage />} />
+              <Route path="/email/confirm/:token" element={<EmailPreferencesPage action="confirm" />} />
+              <Route path="/email/unsubscribe/:token" element={<EmailPreferencesPage action="unsubscribe" />} />
               
               {/* Auth routes - conditional loading */}
               <Route path="/login" element={<LoginPage />} />
@@ -312,6 +316,14 @@ const App = memo(() => {
                   </ProtectedRoute>
                 } 
               />
+              <Route
+                path="/team/join/:token"
+                element={
+                  <ProtectedRoute>
+                    <JoinTeamPage />
+                  </ProtectedRoute>
+                }
+              />
             </Routes>
           </Suspense>
         </div>
@@ -0,0 +1,213 @@
+import { useState, useMemo } from 'react';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import GlassCard from './ui/GlassCard';
+import { analyzeBillingTerms, BILLING_TERM_DEFAULTS } from '@shared/billingTerms';
+import { formatMoney } from '@shared/currency';
+
+const DEFAULT_LEVELS = [
+  { discount: 0, annualShare: 5 },
+  { discount: 10, annualShare: 20 },
+  { discount: 15, annualShare: 30 },
+  { discount: 20, annualShare: 40 },
+  { discount: 25, annualShare: 45 },
+  { discount: 30, annualShare: 50 }
+];
+
+const HORIZONS = [12, 24, 36];
+
+// Annual customers can only leave at renewal; start them at half the
+// monthly cohort's compounded yearly churn
+const defaultAnnualChurn = (monthlyChurn) =>
+  Math.round((1 - (1 - monthlyChurn / 100) ** 12) * 50);
+
+export default function BillingTerms({ inputs, price }) {
+  const money = (value) => formatMoney(value, inputs.currency, { decimals: 0 });
+  const [levels, setLevels] = useState(DEFAULT_LEVELS);
+  const [annualChurn, setAnnualChurn] = useState(() => defaultAnnualChurn(inputs.churnRate));
+  const [discountRate, setDiscountRate] = useState(BILLING_TERM_DEFAULTS.discountRate);
+  const [horizonMonths, setHorizonMonths] = useState(BILLING_TERM_DEFAULTS.horizonMonths);
+
+  const cohortSize = inputs.newCustomersPerMonth || 100;
+
+  const analysis = useMemo(() => {
+    try {
+      return analyzeBillingTerms({
+        price,
+        customers: cohortSize,
+        levels,
+        monthlyChurn: inputs.churnRate,
+        annualChurn,
+        discountRate,
+        horizonMonths
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [price, cohortSize, levels, inputs.churnRate, annualChurn, discountRate, horizonMonths]);
+
+  const updateLevel = (index, key, value) => {
+    setLevels((prev) => prev.map((level, i) => (i === index ? { ...level, [key]: parseFloat(value) || 0 } : level)));
+  };
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <div className="flex flex-wrap items-end gap-6 mb-6">
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Annual Non-Renewal (%)</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={annualChurn}
+              onChange={(e) => setAnnualChurn(parseFloat(e.target.value) || 0)}
+              className="input w-40 mt-2 block"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Cost of Capital (%/yr)</span>
+            <input
+              type="number"
+              min="0"
+              value={discountRate}
+              onChange={(e) => setDiscountRate(parseFloat(e.target.value) || 0)}
+              className="input w-40 mt-2 block"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">NPV Horizon</span>
+            <select
+              value={horizonMonths}
+              onChange={(e) => setHorizonMonths(parseInt(e.target.value))}
+              className="input w-40 mt-2 block"
+            >
+              {HORIZONS.map((months) => (
+                <option key={months} value={months}>{months} months</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <h4 className="font-semibold text-white mb-3">Expected Annual Uptake by Discount</h4>
+        <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3">
+          {levels.map((level, index) => (
+            <div key={index} className="space-y-2 text-sm text-gray-400">
+              <label className="flex items-center justify-between gap-2">
+                Discount %
+                <input
+                  type="number"
+                  min="0"
+                  max="99"
+                  value={level.discount}
+                  onChange={(e) => updateLevel(index, 'discount', e.target.value)}
+                  className="input w-20"
+                />
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                Choose annual %
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={level.annualShare}
+                  onChange={(e) => updateLevel(index, 'annualShare', e.target.value)}
+                  className="input w-20"
+                />
+              </label>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-4">
+          Simulates a cohort of {cohortSize} sign-ups at {formatMoney(price, inputs.currency)}/mo. Monthly customers churn
+          at your {inputs.churnRate}% monthly rate; annual customers renew at the same discount.
+        </p>
+      </GlassCard>
+
+      {analysis.error ? (
+        <GlassCard className="border-l-4 border-yellow-500">
+          <p className="text-yellow-400">{analysis.error}</p>
+        </GlassCard>
+      ) : (
+        <>
+          <GlassCard className="border-l-4 border-green-500">
+            <p className="text-sm text-gray-400">Recommended Annual Discount</p>
+            <p className="text-3xl font-bold text-white">{analysis.recommended.discount}%</p>
+            <p className="text-sm text-gray-300 mt-2">
+              Highest cohort NPV at {money(analysis.recommended.npv)}, with {analysis.recommended.annualShare}% of
+              sign-ups expected on annual billing.
+            </p>
+          </GlassCard>
+
+          <GlassCard>
+            <h3 className="text-xl font-semibold text-white mb-4">Cohort NPV by Discount</h3>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={analysis.levels.map((level) => ({ ...level, name: `${level.discount}%` }))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                  <XAxis dataKey="name" stroke="#666" />
+                  <YAxis stroke="#666" tickFormatter={money} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px'
+                    }}
+                    formatter={(value) => money(value)}
+                  />
+                  <Bar dataKey="npv" name="NPV">
+                    {analysis.levels.map((level) => (
+                      <Cell key={level.discount} fill={level === analysis.recommended ? '#10B981' : '#3B82F6'} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </GlassCard>
+
+          <GlassCard className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-white/10">
+                  <th className="py-2">Discount</th>
+                  <th className="py-2 text-right">Annual Uptake</th>
+                  <th className="py-2 text-right">Cash Up Front</th>
+                  <th className="py-2 text-right">Deferred Revenue</th>
+                  <th className="py-2 text-right">First-Year Cash</th>
+                  <th className="py-2 text-right">Effective ARR</th>
+                  <th className="py-2 text-right">LTV</th>
+                  <th className="py-2 text-right">NPV</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.levels.map((level) => (
+                  <tr
+                    key={level.discount}
+                    className={`border-b border-white/5 ${level === analysis.recommended ? 'text-green-400' : 'text-gray-300'}`}
+                  >
+                    <td className="py-2">{level.discount}%</td>
+                    <td className="py-2 text-right">{level.annualShare}%</td>
+                    <td className="py-2 text-right">{money(level.upfrontCash)}</td>
+                    <td className="py-2 text-right">{money(level.deferredRevenue)}</td>
+                    <td className="py-2 text-right">{money(level.firstYearCash)}</td>
+                    <td className="py-2 text-right">{money(level.effectiveArr)}</td>
+                    <td className="py-2 text-right">{money(level.ltv)}</td>
+                    <td className="py-2 text-right">{money(level.npv)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </GlassCard>
+        </>
+      )}
+    </div>
+  );
+}
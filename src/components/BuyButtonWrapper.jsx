@@ -1,12 +1,27 @@
 import { useState, useEffect } from 'react';
 import { trackBuyButtonClick } from '../utils/analytics';
-import { getPrice, getFormattedPrice, getStripeButtonId } from '../utils/abTesting';
+import { useExperiment } from '../hooks/useExperiment';
+
+// A/B Test: $79 early bird (test) vs $99 regular price (control)
+const PRICING_VARIANTS = {
+  control: {
+    price: '$99',
+    badge: null,
+    discount: null,
+    buttonId: 'buy_btn_1RqOC7I6kujeAM5FZbqTtxFL'
+  },
+  test: {
+    price: '$79',
+    badge: 'EARLY BIRD SPECIAL',
+    discount: '20% OFF',
+    buttonId: 'buy_btn_1RssbUI6kujeAM5FN1OF6j9F'
+  }
+};
 
 export default function BuyButtonWrapper() {
   const [isButtonLoaded, setIsButtonLoaded] = useState(false);
-  const priceInfo = getFormattedPrice();
-  const buttonId = getStripeButtonId();
-  const price = getPrice();
+  const { variant, isLoading } = useExperiment('pricing_test_79_vs_99');
+  const priceInfo = PRICING_VARIANTS[variant] || PRICING_VARIANTS.control;
 
   useEffect(() => {
     // Check if Stripe script is loaded
@@ -28,19 +43,19 @@ export default function BuyButtonWrapper() {
 
   useEffect(() => {
     // Add click tracking to Stripe button when it loads
-    if (isButtonLoaded) {
+    if (isButtonLoaded && !isLoading) {
       const stripeButton = document.querySelector('stripe-buy-button');
       if (stripeButton) {
         stripeButton.addEventListener('click', trackBuyButtonClick);
         return () => stripeButton.removeEventListener('click', trackBuyButtonClick);
       }
     }
-  }, [isButtonLoaded]);
+  }, [isButtonLoaded, isLoading]);
 
   return (
     <div className="w-full relative min-h-[56px]">
       {/* Loading skeleton */}
-      {!isButtonLoaded && (
+      {(!isButtonLoaded || isLoading) && (
         <div className="absolute inset-0 flex items-center justify-center">
           <div className="w-full h-14 bg-gradient-to-r from-green-600 to-green-700 rounded-lg animate-pulse flex items-center justify-center">
             <span className="text-white font-semibold">Loading secure checkout...</span>
@@ -58,12 +73,14 @@ export default function BuyButtonWrapper() {
       )}
       
       {/* Stripe Buy Button */}
-      <div className={`transition-opacity duration-500 ${isButtonLoaded ? 'opacity-100' : 'opacity-0'}`}>
-        <stripe-buy-button
-          buy-button-id={buttonId}
-          publishable-key="pk_live_51RqLWCI6kujeAM5FQSJbNLxHrxgCmrLqTe9187pxEGVbxxRXIeTuDMd7mv6cwAV68ufyvcBgHHRFC8dx0XT6Mxxn003tmk9NAN"
-          success-url="https://saas-pricing-calculator.vercel.app/success"
-        />
+      <div className={`transition-opacity duration-500 ${isButtonLoaded && !isLoading ? 'opacity-100' : 'opacity-0'}`}>
+        {!isLoading && (
+          <stripe-buy-button
+            buy-button-id={priceInfo.buttonId}
+            publishable-key="pk_live_51RqLWCI6kujeAM5FQSJbNLxHrxgCmrLqTe9187pxEGVbxxRXIeTuDMd7mv6cwAV68ufyvcBgHHRFC8dx0XT6Mxxn003tmk9NAN"
+            success-url="https://saas-pricing-calculator.vercel.app/success"
+          />
+        )}
       </div>
       
       {/* Fallback button if Stripe fails */}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   LineChart, 
@@ -29,28 +29,174 @@ import { exportToPDFEnhanced } from '../utils/exportPDFEnhanced';
 import { trackCalculatorUse, trackPDFExport } from '../utils/analytics';
 import { saveCalculation, loadFromUrl, saveToUrl } from '../utils/savedCalculations';
 import SavedCalculations from './SavedCalculations';
+import useAuthStore from '../stores/authStore';
+import useCalculationStore from '../stores/calculationStore';
 import FlashSaleBuyButton from './FlashSaleBuyButton';
+import PriceSensitivity from './PriceSensitivity';
+import UncertaintyAnalysis from './UncertaintyAnalysis';
+import GoalSeek from './GoalSeek';
+import DataTables from './DataTables';
+import PricingModelComparison from './PricingModelComparison';
+import MigrationPlanner from './MigrationPlanner';
+import BillingTerms from './BillingTerms';
+import VanWestendorpSurvey from './VanWestendorpSurvey';
+import GaborGrangerSurvey from './GaborGrangerSurvey';
+import ConjointSurvey from './ConjointSurvey';
+import CustomerBaseImport from './CustomerBaseImport';
+import RegionalPricing from './RegionalPricing';
+import {
+  runPricingEngine,
+  calculateLtv,
+  PricingInputError,
+  PRICING_ENGINE_VERSION
+} from '@shared/pricingEngine';
+import {
+  projectCohorts,
+  PROJECTION_HORIZONS,
+  DEFAULT_PROJECTION_HORIZON
+} from '@shared/projectionModel';
+import { CURRENCIES, DEFAULT_CURRENCY, currencyInfo, formatMoney } from '@shared/currency';
+
+const EMPTY_INPUTS = {
+  currentPrice: '',
+  competitorPrice: '',
+  customers: '',
+  churnRate: '',
+  cac: '',
+  averageContractLength: '',
+  expansionRevenue: '',
+  marketSize: '',
+  newCustomersPerMonth: '',
+  acquisitionGrowthRate: '',
+  priceFloor: '',
+  priceCeiling: '',
+  currency: DEFAULT_CURRENCY
+};
+
+const generateInsights = (ltvCac, nrr, quickRatio, rule40, current, optimal) => {
+  const insights = [];
+  
+  if (ltvCac < 3) {
+    insights.push({
+      type: 'warning',
+      title: 'LTV:CAC Ratio Below Target',
+      message: `Your LTV:CAC ratio of ${ltvCac.toFixed(2)} is below the healthy threshold of 3. Consider increasing prices or reducing acquisition costs.`
+    });
+  } else {
+    insights.push({
+      type: 'success',
+      title: 'Healthy Unit Economics',
+      message: `Your LTV:CAC ratio of ${ltvCac.toFixed(2)} indicates strong unit economics. You're spending efficiently on customer acquisition.`
+    });
+  }
+
+  if (optimal > current * 1.2) {
+    insights.push({
+      type: 'opportunity',
+      title: 'Significant Pricing Opportunity',
+      message: `You're underpriced by ${Math.round(((optimal - current) / current) * 100)}%. Gradually increasing prices could significantly boost revenue.`
+    });
+  }
+
+  if (nrr > 110) {
+    insights.push({
+      type: 'success',
+      title: 'Excellent Net Revenue Retention',
+      message: `Your NRR of ${Math.round(nrr)}% shows strong expansion revenue. This is a key indicator of product-market fit.`
+    });
+  }
+
+  if (rule40 > 40) {
+    insights.push({
+      type: 'success',
+      title: 'Rule of 40 Achieved',
+      message: `Your Rule of 40 score of ${Math.round(rule40)} puts you in elite company. You're balancing growth and profitability well.`
+    });
+  }
+
+  return insights;
+};
+
+// Results saved under an older formula version are recomputed so they
+// match what the engine (and therefore the API and PDF) produce today
+const restoreResults = (saved) => {
+  if (saved.results?.formulaVersion === PRICING_ENGINE_VERSION || !saved.inputs) {
+    return saved.results;
+  }
+
+  try {
+    return buildResults(saved.inputs, saved.results?.engineOptions);
+  } catch {
+    return saved.results;
+  }
+};
+
+const buildResults = (rawInputs, engineOptions = {}) => {
+  const { formulaVersion, inputs: parsed, metrics, tiers } = runPricingEngine(rawInputs, engineOptions);
+  const { currentPrice: current, competitorPrice: competitor = 0 } = parsed;
+  const expansion = parsed.expansionRevenue || 0;
+  const { optimalPrice } = metrics;
+
+  // Competitor comparison data
+  const competitorData = [
+    { metric: 'Price', you: current, competitor, optimal: optimalPrice },
+    {
+      metric: 'LTV',
+      you: Math.round(calculateLtv(parsed, current)),
+      competitor: Math.round(calculateLtv(parsed, competitor)),
+      optimal: metrics.ltv
+    },
+    { metric: 'Market Position', you: competitor > 0 ? Math.round(current / competitor * 100) : 0, competitor: 100, optimal: 85 }
+  ];
+
+  // SaaS metrics radar chart data
+  const quickRatio = metrics.quickRatio ?? (expansion > 0 ? 4 : 0);
+  const metricsRadar = [
+    { metric: 'LTV:CAC', value: Math.min(metrics.ltvCacRatio / 5 * 100, 100), benchmark: 60 },
+    { metric: 'NRR', value: Math.min(metrics.nrr / 150 * 100, 100), benchmark: 70 },
+    { metric: 'Quick Ratio', value: Math.min(quickRatio / 4 * 100, 100), benchmark: 50 },
+    { metric: 'Rule of 40', value: Math.max(Math.min(metrics.ruleOf40 / 60 * 100, 100), 0), benchmark: 66 },
+    { metric: 'Payback', value: Math.min((12 / metrics.paybackPeriod) * 100, 100), benchmark: 75 },
+    { metric: 'Growth', value: Math.min(expansion / 30 * 100, 100), benchmark: 60 }
+  ];
+
+  return {
+    formulaVersion,
+    inputs: parsed,
+    engineOptions,
+    tiers,
+    metrics,
+    competitorData,
+    metricsRadar,
+    insights: generateInsights(metrics.ltvCacRatio, metrics.nrr, quickRatio, metrics.ruleOf40, current, optimalPrice)
+  };
+};
 
 export default function Calculator() {
   const [showSaved, setShowSaved] = useState(false);
-  const [inputs, setInputs] = useState({
-    currentPrice: '',
-    competitorPrice: '',
-    customers: '',
-    churnRate: '',
-    cac: '',
-    averageContractLength: '',
-    expansionRevenue: '',
-    marketSize: ''
-  });
+  const [inputs, setInputs] = useState(EMPTY_INPUTS);
 
   const [results, setResults] = useState(null);
   const [activeTab, setActiveTab] = useState('metrics');
+  const [projectionHorizon, setProjectionHorizon] = useState(DEFAULT_PROJECTION_HORIZON);
+  // Survey and customer-base imports that shape the generated tiers
+  // (conjoint featureValues, tierLimits from the customer import)
+  const [engineOptions, setEngineOptions] = useState({});
   const [currentStep, setCurrentStep] = useState(1);
   const [isCalculating, setIsCalculating] = useState(false);
   const [calculationProgress, setCalculationProgress] = useState(0);
   const [showCelebration, setShowCelebration] = useState(false);
   const [isWizardMode, setIsWizardMode] = useState(false);
+
+  const projection = useMemo(() => {
+    if (!results?.inputs) return null;
+    return projectCohorts(results.inputs, results.metrics.optimalPrice, { horizonMonths: projectionHorizon });
+  }, [results, projectionHorizon]);
+
+  // Results are shown in the currency they were calculated in
+  const currency = results?.inputs?.currency ?? DEFAULT_CURRENCY;
+  const money = (value, options) => formatMoney(value, currency, options);
+  const inputSymbol = currencyInfo(inputs.currency).symbol.trim();
   
   // Calculate progress based on filled inputs
   const calculateProgress = () => {
@@ -76,10 +222,11 @@ export default function Calculator() {
     const shared = loadFromUrl();
     if (shared) {
       if (shared.inputs) {
-        setInputs(shared.inputs);
+        setInputs({ ...EMPTY_INPUTS, ...shared.inputs });
       }
       if (shared.results) {
-        setResults(shared.results);
+        setResults(restoreResults(shared));
+        setEngineOptions(shared.results.engineOptions ?? {});
       }
       toast.success('Calculation loaded from share link');
     }
@@ -107,9 +254,33 @@ export default function Calculator() {
     }
   };
   
+  // Load a goal seek answer or data table cell into the form and results
+  const handleApplyInputs = (scenarioInputs, message) => {
+    setInputs({ ...EMPTY_INPUTS, ...scenarioInputs });
+    setResults(buildResults(scenarioInputs, engineOptions));
+    toast.success(message);
+  };
+
+  // Signed-in users get the scenario on their dashboard, ready for a
+  // scenario set; otherwise it is saved in the browser like any calculation
+  const handleSaveGoalSeekScenario = async (solvedInputs, name) => {
+    if (useAuthStore.getState().isAuthenticated) {
+      await useCalculationStore.getState().saveCalculation({ name, inputs: solvedInputs });
+      return;
+    }
+
+    const saved = saveCalculation({ name, inputs: solvedInputs, results: buildResults(solvedInputs, engineOptions) });
+    if (saved) {
+      toast.success('Scenario saved');
+    } else {
+      toast.error('Failed to save scenario');
+    }
+  };
+
   const handleLoadCalculation = (calculation) => {
-    setInputs(calculation.inputs);
-    setResults(calculation.results);
+    setInputs({ ...EMPTY_INPUTS, ...calculation.inputs });
+    setResults(restoreResults(calculation));
+    setEngineOptions(calculation.results?.engineOptions ?? {});
     setShowSaved(false);
     toast.success('Calculation loaded');
   };
@@ -132,6 +303,13 @@ export default function Calculator() {
     { id: 'metrics', label: 'Key Metrics', icon: '📊' },
     { id: 'pricing', label: 'Pricing Tiers', icon: '💰' },
     { id: 'projections', label: 'Projections', icon: '📈' },
+    { id: 'sensitivity', label: 'Price Sensitivity', icon: '📉' },
+    { id: 'goal', label: 'Goal Seek', icon: '🎯' },
+    { id: 'tables', label: 'Data Tables', icon: '🔢' },
+    { id: 'models', label: 'Pricing Models', icon: '⚖️' },
+    { id: 'migration', label: 'Price Migration', icon: '🗓️' },
+    { id: 'billing', label: 'Billing Terms', icon: '📅' },
+    { id: 'regional', label: 'Regional Pricing', icon: '🌍' },
     { id: 'insights', label: 'AI Insights', icon: '🤖' }
   ];
   
@@ -179,16 +357,7 @@ export default function Calculator() {
               <button
                 className="px-3 py-1 bg-red-500 text-white rounded"
                 onClick={() => {
-                  setInputs({
-                    currentPrice: '',
-                    competitorPrice: '',
-                    customers: '',
-                    churnRate: '',
-                    cac: '',
-                    averageContractLength: '',
-                    expansionRevenue: '',
-                    marketSize: ''
-                  });
+                  setInputs(EMPTY_INPUTS);
                   setResults(null);
                   toast.dismiss(t.id);
                   toast.success('Form cleared');
@@ -220,7 +389,39 @@ export default function Calculator() {
     }));
   };
 
+  // A survey's acceptable range is applied through the floor/ceiling inputs
+  const applyPriceRange = (range) => {
+    setInputs(prev => ({
+      ...prev,
+      priceFloor: range ? String(range.min) : '',
+      priceCeiling: range ? String(range.max) : ''
+    }));
+  };
+
+  const updateEngineOption = (key, value) => {
+    setEngineOptions(prev => {
+      const next = { ...prev };
+      if (value === null) {
+        delete next[key];
+      } else {
+        next[key] = value;
+      }
+      return next;
+    });
+  };
+
   const calculateAdvancedMetrics = async () => {
+    let calculatedResults;
+    try {
+      calculatedResults = buildResults(inputs, engineOptions);
+    } catch (error) {
+      if (error instanceof PricingInputError) {
+        toast.error(error.issues[0].message);
+        return;
+      }
+      throw error;
+    }
+
     setIsCalculating(true);
     setCalculationProgress(0);
     
@@ -250,138 +451,15 @@ export default function Calculator() {
       });
     }
     
-    // Parse inputs
-    const current = parseFloat(inputs.currentPrice) || 0;
-    const competitor = parseFloat(inputs.competitorPrice) || 0;
-    const customers = parseInt(inputs.customers) || 0;
-    const churn = parseFloat(inputs.churnRate) || 5;
-    const cac = parseFloat(inputs.cac) || 100;
-    const contractLength = parseFloat(inputs.averageContractLength) || 12;
-    const expansion = parseFloat(inputs.expansionRevenue) || 10;
-    const marketSize = parseFloat(inputs.marketSize) || 1000000;
-
-    // Advanced calculations
-    const optimalPrice = competitor > 0 ? competitor * 0.85 : current * 1.35;
-    const ltv = churn > 0 ? (optimalPrice * contractLength) / (churn / 100) : optimalPrice * contractLength * 12;
-    const ltvCacRatio = ltv / cac;
-    const monthlyRevenue = customers * optimalPrice;
-    const yearlyRevenue = monthlyRevenue * 12;
-    const nrr = 100 + expansion - churn;
-    const quickRatio = churn > 0 ? (expansion / 100) / (churn / 100) : expansion > 0 ? Infinity : 0;
-    const magicNumber = (yearlyRevenue - (yearlyRevenue * 0.8)) / (cac * customers * 0.25);
-    const ruleOf40 = (yearlyRevenue / (yearlyRevenue * 0.8) - 1) * 100 + (100 - churn);
-    const paybackPeriod = cac / optimalPrice;
-    const tam = marketSize * optimalPrice * 12;
-    const marketShare = (yearlyRevenue / tam) * 100;
-
-    // Pricing tiers with AI recommendations
-    const tiers = {
-      starter: {
-        name: 'Starter',
-        price: Math.round(optimalPrice * 0.6),
-        features: [
-          'Up to 10 users',
-          'Core features',
-          'Email support',
-          'Basic analytics',
-          '99.9% uptime SLA'
-        ],
-        targetSegment: 'Small teams and startups',
-        projectedAdoption: '40%'
-      },
-      professional: {
-        name: 'Professional',
-        price: Math.round(optimalPrice),
-        features: [
-          'Up to 50 users',
-          'All features',
-          'Priority support',
-          'Advanced analytics',
-          'API access',
-          'Custom integrations',
-          '99.99% uptime SLA'
-        ],
-        recommended: true,
-        targetSegment: 'Growing businesses',
-        projectedAdoption: '45%'
-      },
-      enterprise: {
-        name: 'Enterprise',
-        price: Math.round(optimalPrice * 2.2),
-        features: [
-          'Unlimited users',
-          'White-label options',
-          'Dedicated support',
-          'Custom features',
-          'On-premise deployment',
-          'Advanced security',
-          'Custom SLA'
-        ],
-        targetSegment: 'Large organizations',
-        projectedAdoption: '15%'
-      }
-    };
-
-    // Revenue projections data
-    const projectionData = [];
-    for (let i = 0; i <= 12; i++) {
-      const growthRate = 1 + (expansion / 100 - churn / 100);
-      const monthCustomers = Math.round(customers * (growthRate ** i));
-      projectionData.push({
-        month: i,
-        revenue: monthCustomers * optimalPrice,
-        customers: monthCustomers,
-        mrr: monthCustomers * optimalPrice
-      });
-    }
-
-    // Competitor comparison data
-    const competitorData = [
-      { metric: 'Price', you: current, competitor: competitor, optimal: optimalPrice },
-      { metric: 'LTV', you: (current * contractLength) / (churn / 100), competitor: (competitor * contractLength) / (churn / 100), optimal: ltv },
-      { metric: 'Market Position', you: current / competitor * 100, competitor: 100, optimal: 85 }
-    ];
-
-    // SaaS metrics radar chart data
-    const metricsRadar = [
-      { metric: 'LTV:CAC', value: Math.min(ltvCacRatio / 5 * 100, 100), benchmark: 60 },
-      { metric: 'NRR', value: Math.min(nrr / 150 * 100, 100), benchmark: 70 },
-      { metric: 'Quick Ratio', value: Math.min(quickRatio / 4 * 100, 100), benchmark: 50 },
-      { metric: 'Rule of 40', value: Math.min(ruleOf40 / 60 * 100, 100), benchmark: 66 },
-      { metric: 'Payback', value: Math.min((12 / paybackPeriod) * 100, 100), benchmark: 75 },
-      { metric: 'Growth', value: Math.min(expansion / 30 * 100, 100), benchmark: 60 }
-    ];
-
-    const calculatedResults = {
-      tiers,
-      metrics: {
-        optimalPrice: Math.round(optimalPrice),
-        ltv: Math.round(ltv),
-        ltvCacRatio: ltvCacRatio.toFixed(2),
-        monthlyRevenue: Math.round(monthlyRevenue),
-        yearlyRevenue: Math.round(yearlyRevenue),
-        nrr: Math.round(nrr),
-        quickRatio: quickRatio.toFixed(2),
-        magicNumber: magicNumber.toFixed(2),
-        ruleOf40: Math.round(ruleOf40),
-        paybackPeriod: Math.round(paybackPeriod),
-        marketShare: marketShare.toFixed(2),
-        priceIncrease: Math.round(((optimalPrice - current) / current) * 100)
-      },
-      projectionData,
-      competitorData,
-      metricsRadar,
-      insights: generateInsights(ltvCacRatio, nrr, quickRatio, ruleOf40, current, optimalPrice)
-    };
-    
     setResults(calculatedResults);
     
     // Track calculator usage
+    const { optimalPrice, priceChange } = calculatedResults.metrics;
     trackCalculatorUse({
       recommendedPrice: optimalPrice,
-      currentPrice: current,
-      customers: customers,
-      priceIncrease: Math.round(((optimalPrice - current) / current) * 100)
+      currentPrice: parseFloat(inputs.currentPrice),
+      customers: parseInt(inputs.customers),
+      priceIncrease: priceChange
     });
 
     setIsCalculating(false);
@@ -402,50 +480,6 @@ export default function Calculator() {
     });
   };
 
-  const generateInsights = (ltvCac, nrr, quickRatio, rule40, current, optimal) => {
-    const insights = [];
-    
-    if (ltvCac < 3) {
-      insights.push({
-        type: 'warning',
-        title: 'LTV:CAC Ratio Below Target',
-        message: `Your LTV:CAC ratio of ${ltvCac.toFixed(2)} is below the healthy threshold of 3. Consider increasing prices or reducing acquisition costs.`
-      });
-    } else {
-      insights.push({
-        type: 'success',
-        title: 'Healthy Unit Economics',
-        message: `Your LTV:CAC ratio of ${ltvCac.toFixed(2)} indicates strong unit economics. You're spending efficiently on customer acquisition.`
-      });
-    }
-
-    if (optimal > current * 1.2) {
-      insights.push({
-        type: 'opportunity',
-        title: 'Significant Pricing Opportunity',
-        message: `You're underpriced by ${Math.round(((optimal - current) / current) * 100)}%. Gradually increasing prices could significantly boost revenue.`
-      });
-    }
-
-    if (nrr > 110) {
-      insights.push({
-        type: 'success',
-        title: 'Excellent Net Revenue Retention',
-        message: `Your NRR of ${Math.round(nrr)}% shows strong expansion revenue. This is a key indicator of product-market fit.`
-      });
-    }
-
-    if (rule40 > 40) {
-      insights.push({
-        type: 'success',
-        title: 'Rule of 40 Achieved',
-        message: `Your Rule of 40 score of ${Math.round(rule40)} puts you in elite company. You're balancing growth and profitability well.`
-      });
-    }
-
-    return insights;
-  };
-
   const progressSteps = ['Start', 'Basic Info', 'Market Data', 'Advanced Metrics', 'Results'];
 
   return (
@@ -619,6 +653,22 @@ export default function Calculator() {
         </div>
       )}
       
+          <div className="flex justify-end mb-6">
+            <label className="flex items-center gap-3 text-sm font-semibold text-neutral-300">
+              Currency
+              <select
+                name="currency"
+                value={inputs.currency}
+                onChange={handleInputChange}
+                className="px-4 py-2 bg-glass-surface border border-glass-border rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-primary-500/50"
+              >
+                {Object.values(CURRENCIES).map((option) => (
+                  <option key={option.code} value={option.code}>{option.code} – {option.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
           {/* Premium Input Section */}
           <motion.div 
             className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-12"
@@ -627,14 +677,18 @@ export default function Calculator() {
             transition={{ delay: 0.8, staggerChildren: 0.1 }}
           >
             {[
-              { name: 'currentPrice', label: 'Current Price', placeholder: '49', prefix: '$', suffix: '/mo', required: true },
-              { name: 'competitorPrice', label: 'Competitor Price', placeholder: '79', prefix: '$', suffix: '/mo' },
+              { name: 'currentPrice', label: 'Current Price', placeholder: '49', prefix: true, suffix: '/mo', required: true },
+              { name: 'competitorPrice', label: 'Competitor Price', placeholder: '79', prefix: true, suffix: '/mo' },
               { name: 'customers', label: 'Current Customers', placeholder: '250', required: true },
               { name: 'churnRate', label: 'Monthly Churn', placeholder: '5', suffix: '%', required: true },
-              { name: 'cac', label: 'Customer Acquisition Cost', placeholder: '100', prefix: '$' },
+              { name: 'cac', label: 'Customer Acquisition Cost', placeholder: '100', prefix: true },
               { name: 'averageContractLength', label: 'Avg Contract Length', placeholder: '12', suffix: ' months' },
               { name: 'expansionRevenue', label: 'Expansion Revenue', placeholder: '10', suffix: '%' },
-              { name: 'marketSize', label: 'Total Market Size', placeholder: '1000000', prefix: '$' }
+              { name: 'marketSize', label: 'Total Market Size', placeholder: '1000000', prefix: true },
+              { name: 'newCustomersPerMonth', label: 'New Customers / Month', placeholder: '20' },
+              { name: 'acquisitionGrowthRate', label: 'Acquisition Growth', placeholder: '2', suffix: '%/mo' },
+              { name: 'priceFloor', label: 'Tier Price Floor', placeholder: '29', prefix: true, suffix: '/mo' },
+              { name: 'priceCeiling', label: 'Tier Price Ceiling', placeholder: '299', prefix: true, suffix: '/mo' }
             ].map((field, index) => (
               <motion.div
                 key={field.name}
@@ -650,7 +704,7 @@ export default function Calculator() {
                 <div className="relative">
                   {field.prefix && (
                     <div className="absolute left-4 top-1/2 -translate-y-1/2 text-neutral-400 pointer-events-none text-sm font-medium">
-                      {field.prefix}
+                      {inputSymbol}
                     </div>
                   )}
                   <motion.input
@@ -663,7 +717,7 @@ export default function Calculator() {
                       text-white placeholder-neutral-500 transition-all duration-300
                       focus:outline-none focus:ring-2 focus:ring-primary-500/50 focus:border-primary-500/50
                       hover:border-glass-border-strong hover:bg-glass-primary/30
-                      ${field.prefix ? 'pl-8' : ''}
+                      ${field.prefix ? (inputSymbol.length > 1 ? 'pl-14' : 'pl-8') : ''}
                       ${field.suffix ? 'pr-16' : ''}
                       group-hover:shadow-glow/20
                     `}
@@ -685,6 +739,24 @@ export default function Calculator() {
             ))}
           </motion.div>
 
+          <VanWestendorpSurvey
+            appliedRange={{ min: parseFloat(inputs.priceFloor), max: parseFloat(inputs.priceCeiling) }}
+            onApplyRange={applyPriceRange}
+          />
+
+          <div className="grid lg:grid-cols-2 gap-6 mb-12">
+            <GaborGrangerSurvey />
+            <ConjointSurvey
+              featureValues={engineOptions.featureValues ?? null}
+              onApplyFeatureValues={(featureValues) => updateEngineOption('featureValues', featureValues)}
+            />
+          </div>
+
+          <CustomerBaseImport
+            tierLimits={engineOptions.tierLimits ?? null}
+            onApplyTierLimits={(tierLimits) => updateEngineOption('tierLimits', tierLimits)}
+          />
+
           {/* Premium Calculate Button */}
           <motion.div 
             className="flex justify-center mb-12"
@@ -809,21 +881,21 @@ export default function Calculator() {
                 <GlassCard className="text-center">
                   <p className="text-sm text-gray-400 mb-2">Optimal Price</p>
                   <p className="text-4xl font-bold text-white">
-                    ${results.metrics.optimalPrice}
+                    {money(results.metrics.optimalPrice)}
                     <span className="text-lg font-normal text-gray-400">/mo</span>
                   </p>
-                  <p className="text-green-400 text-sm mt-2">
-                    +{results.metrics.priceIncrease}% increase
+                  <p className={`text-sm mt-2 ${results.metrics.priceChange >= 0 ? 'text-green-400' : 'text-yellow-400'}`}>
+                    {results.metrics.priceChange >= 0 ? '+' : ''}{results.metrics.priceChange}% {results.metrics.priceChange >= 0 ? 'increase' : 'decrease'}
                   </p>
                 </GlassCard>
 
                 <GlassCard className="text-center">
                   <p className="text-sm text-gray-400 mb-2">Projected ARR</p>
                   <p className="text-4xl font-bold text-white">
-                    ${(results.metrics.yearlyRevenue / 1000).toFixed(0)}k
+                    {money(results.metrics.arr / 1000, { decimals: 0 })}k
                   </p>
                   <p className="text-blue-400 text-sm mt-2">
-                    ${results.metrics.monthlyRevenue.toLocaleString()} MRR
+                    {money(results.metrics.mrr)} MRR
                   </p>
                 </GlassCard>
 
@@ -860,7 +932,7 @@ export default function Calculator() {
               <div className="grid md:grid-cols-4 gap-4">
                 {[
                   { label: 'NRR', value: `${results.metrics.nrr}%`, color: results.metrics.nrr > 110 ? 'text-green-400' : 'text-yellow-400' },
-                  { label: 'Quick Ratio', value: results.metrics.quickRatio, color: results.metrics.quickRatio > 2 ? 'text-green-400' : 'text-yellow-400' },
+                  { label: 'Quick Ratio', value: results.metrics.quickRatio ?? '∞', color: (results.metrics.quickRatio ?? Infinity) > 2 ? 'text-green-400' : 'text-yellow-400' },
                   { label: 'Rule of 40', value: results.metrics.ruleOf40, color: results.metrics.ruleOf40 > 40 ? 'text-green-400' : 'text-yellow-400' },
                   { label: 'Payback', value: `${results.metrics.paybackPeriod} mo`, color: results.metrics.paybackPeriod < 12 ? 'text-green-400' : 'text-yellow-400' }
                 ].map((metric, index) => (
@@ -889,12 +961,20 @@ export default function Calculator() {
                     )}
                     <h4 className="text-xl font-bold text-white mb-2">{tier.name}</h4>
                     <p className="text-3xl font-bold text-white mb-1">
-                      ${tier.price}
+                      {money(tier.price)}
                       <span className="text-sm font-normal text-gray-400">/mo</span>
                     </p>
                     <p className="text-sm text-gray-400 mb-4">{tier.targetSegment}</p>
+                    {tier.featureValue !== null && tier.featureValue !== undefined && (
+                      <p className="text-xs text-green-400 mb-2">
+                        Measured feature value: {money(tier.featureValue)}/mo
+                      </p>
+                    )}
+                    {tier.constrained && (
+                      <p className="text-xs text-yellow-400 mb-2">Held within your price floor/ceiling</p>
+                    )}
                     <p className="text-sm text-blue-400 mb-6">
-                      Projected: {tier.projectedAdoption} of customers
+                      Projected: {Math.round(tier.adoption * 100)}% of customers
                     </p>
                     <ul className="space-y-2">
                       {tier.features.map((feature, index) => (
@@ -935,13 +1015,29 @@ export default function Calculator() {
             </div>
           )}
 
-          {activeTab === 'projections' && (
+          {activeTab === 'projections' && projection && (
             <div className="space-y-6">
+              <div className="flex flex-wrap justify-center gap-2">
+                {PROJECTION_HORIZONS.map((horizon) => (
+                  <button
+                    key={horizon}
+                    onClick={() => setProjectionHorizon(horizon)}
+                    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                      projectionHorizon === horizon
+                        ? 'bg-primary text-white'
+                        : 'bg-white/5 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {horizon} months
+                  </button>
+                ))}
+              </div>
+
               <GlassCard>
-                <h3 className="text-xl font-semibold text-white mb-4">12-Month Revenue Projection</h3>
+                <h3 className="text-xl font-semibold text-white mb-4">{projectionHorizon}-Month Revenue Projection</h3>
                 <div className="h-80">
                   <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={results.projectionData}>
+                    <LineChart data={projection.months}>
                       <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
                       <XAxis dataKey="month" stroke="#666" label={{ value: 'Months', position: 'insideBottom', offset: -5 }} />
                       <YAxis stroke="#666" />
@@ -951,39 +1047,102 @@ export default function Calculator() {
                           border: '1px solid rgba(255, 255, 255, 0.1)',
                           borderRadius: '8px'
                         }}
-                        formatter={(value) => `$${value.toLocaleString()}`}
+                        formatter={(value, name) => name === 'Active Customers' ? value.toLocaleString() : money(value)}
                       />
-                      <Line type="monotone" dataKey="revenue" stroke="#3B82F6" strokeWidth={3} dot={{ fill: '#3B82F6' }} />
-                      <Line type="monotone" dataKey="customers" stroke="#10B981" strokeWidth={2} dot={{ fill: '#10B981' }} yAxisId="right" />
+                      <Line type="monotone" dataKey="mrr" name="MRR" stroke="#3B82F6" strokeWidth={3} dot={false} />
+                      <Line type="monotone" dataKey="cumulativeCash" name="Cumulative Cash" stroke="#F59E0B" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="activeCustomers" name="Active Customers" stroke="#10B981" strokeWidth={2} dot={false} yAxisId="right" />
                       <YAxis yAxisId="right" orientation="right" stroke="#666" />
                       <Legend />
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
-                <div className="grid grid-cols-3 gap-4 mt-6">
-                  <div className="text-center">
-                    <p className="text-sm text-gray-400">Month 1</p>
-                    <p className="text-xl font-semibold text-white">
-                      ${results.projectionData[1]?.revenue.toLocaleString()}
-                    </p>
-                  </div>
-                  <div className="text-center">
-                    <p className="text-sm text-gray-400">Month 6</p>
-                    <p className="text-xl font-semibold text-white">
-                      ${results.projectionData[6]?.revenue.toLocaleString()}
-                    </p>
-                  </div>
-                  <div className="text-center">
-                    <p className="text-sm text-gray-400">Month 12</p>
-                    <p className="text-xl font-semibold text-white">
-                      ${results.projectionData[12]?.revenue.toLocaleString()}
-                    </p>
-                  </div>
+              </GlassCard>
+
+              <GlassCard>
+                <h3 className="text-xl font-semibold text-white mb-4">MRR Movements</h3>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={projection.months.slice(1)} stackOffset="sign">
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                      <XAxis dataKey="month" stroke="#666" />
+                      <YAxis stroke="#666" />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                          border: '1px solid rgba(255, 255, 255, 0.1)',
+                          borderRadius: '8px'
+                        }}
+                        formatter={(value) => money(value)}
+                      />
+                      <Bar dataKey="newMrr" name="New" stackId="movement" fill="#3B82F6" />
+                      <Bar dataKey="expansionMrr" name="Expansion" stackId="movement" fill="#10B981" />
+                      <Bar dataKey="churnedMrr" name="Churned" stackId="movement" fill="#EF4444" />
+                      <Legend />
+                    </BarChart>
+                  </ResponsiveContainer>
                 </div>
               </GlassCard>
+
+              <div className="grid md:grid-cols-4 gap-4">
+                {[
+                  { label: `ARR at Month ${projectionHorizon}`, value: money(projection.months[projectionHorizon].arr) },
+                  { label: 'Active Customers', value: projection.months[projectionHorizon].activeCustomers.toLocaleString() },
+                  { label: 'Cohorts Tracked', value: projection.cohorts.length },
+                  { label: 'Cumulative Cash', value: money(projection.months[projectionHorizon].cumulativeCash) }
+                ].map((metric) => (
+                  <GlassCard key={metric.label} className="text-center py-4">
+                    <p className="text-sm text-gray-400">{metric.label}</p>
+                    <p className="text-2xl font-bold text-white">{metric.value}</p>
+                  </GlassCard>
+                ))}
+              </div>
+
+              <UncertaintyAnalysis
+                inputs={results.inputs}
+                optimalPrice={results.metrics.optimalPrice}
+                horizonMonths={projectionHorizon}
+              />
             </div>
           )}
 
+          {activeTab === 'sensitivity' && results.inputs && (
+            <PriceSensitivity inputs={results.inputs} />
+          )}
+
+          {activeTab === 'goal' && results.inputs && (
+            <GoalSeek
+              inputs={results.inputs}
+              optimalPrice={results.metrics.optimalPrice}
+              onApply={(solvedInputs) => handleApplyInputs(solvedInputs, 'Solved inputs applied')}
+              onSaveScenario={handleSaveGoalSeekScenario}
+            />
+          )}
+
+          {activeTab === 'tables' && results.inputs && (
+            <DataTables
+              inputs={results.inputs}
+              optimalPrice={results.metrics.optimalPrice}
+              onLoadScenario={(cellInputs) => handleApplyInputs(cellInputs, 'Scenario loaded into the form')}
+            />
+          )}
+
+          {activeTab === 'models' && results.inputs && (
+            <PricingModelComparison inputs={results.inputs} />
+          )}
+
+          {activeTab === 'migration' && results.inputs && (
+            <MigrationPlanner inputs={results.inputs} optimalPrice={results.metrics.optimalPrice} />
+          )}
+
+          {activeTab === 'billing' && results.inputs && (
+            <BillingTerms inputs={results.inputs} price={results.metrics.optimalPrice} />
+          )}
+
+          {activeTab === 'regional' && results.inputs && (
+            <RegionalPricing results={results} />
+          )}
+
           {activeTab === 'insights' && (
             <div className="space-y-4">
               {results.insights.map((insight, index) => (
@@ -24,6 +24,7 @@ import CollaborationIndicator from './CollaborationIndicator';
 import GlassCard from './ui/GlassCard';
 import Button from './ui/Button';
 import ProgressBar from './ProgressBar';
+import { runPricingEngine, PricingInputError } from '@shared/pricingEngine';
 
 export default function CalculatorEnhanced() {
   const navigate = useNavigate();
@@ -50,6 +51,8 @@ export default function CalculatorEnhanced() {
   });
 
   const [results, setResults] = useState(null);
+  // The inputs that produced `results`; saving and exporting use these, not the form as since edited
+  const [resultInputs, setResultInputs] = useState(null);
   const [activeTab, setActiveTab] = useState('metrics');
   const [currentStep, setCurrentStep] = useState(1);
   const [calculationName, setCalculationName] = useState('');
@@ -85,6 +88,7 @@ export default function CalculatorEnhanced() {
     const unsubscribe = onCalculationUpdate((data) => {
       setInputs(data.inputs);
       setResults(data.results);
+      setResultInputs(data.inputs);
       toast(`Updated by ${data.updatedBy}`, {
         icon: '🔄',
         duration: 2000
@@ -99,6 +103,7 @@ export default function CalculatorEnhanced() {
     if (calc) {
       setInputs(calc.inputs);
       setResults(calc.results);
+      setResultInputs(calc.inputs);
       setCalculationName(calc.name || '');
       setCalculationNotes(calc.notes || '');
       toast.success('Calculation loaded');
@@ -111,6 +116,7 @@ export default function CalculatorEnhanced() {
     if (calc) {
       setInputs(calc.inputs);
       setResults(calc.results);
+      setResultInputs(calc.inputs);
       toast.success('Shared calculation loaded');
     }
   };
@@ -148,67 +154,53 @@ export default function CalculatorEnhanced() {
   }, [calculationId, handleTyping]);
 
   const calculatePricing = () => {
-    const price = parseFloat(inputs.currentPrice) || 0;
-    const competitor = parseFloat(inputs.competitorPrice) || price * 1.2;
-    const customers = parseInt(inputs.customers) || 100;
-    const churn = parseFloat(inputs.churnRate) || 5;
-    const cac = parseFloat(inputs.cac) || 100;
-    const contractLength = parseFloat(inputs.averageContractLength) || 12;
-    const expansion = parseFloat(inputs.expansionRevenue) || 0;
-    const marketSize = parseFloat(inputs.marketSize) || customers * 10;
-
-    // Calculate LTV
-    const monthlyRevenue = price;
-    const avgCustomerLifespan = 1 / (churn / 100);
-    const ltv = monthlyRevenue * avgCustomerLifespan + expansion;
-    const ltvCacRatio = cac > 0 ? ltv / cac : 0;
-
-    // Pricing recommendations
-    const recommendedPrice = competitor * 0.9;
-    const premiumPrice = competitor * 1.1;
-    const budgetPrice = competitor * 0.7;
-
-    // Revenue projections
-    const currentMRR = price * customers;
-    const currentARR = currentMRR * 12;
-    const projectedMRR = recommendedPrice * customers * (1 - churn / 100);
-    const projectedARR = projectedMRR * 12;
-
-    // Growth metrics
-    const growthRate = ((projectedMRR - currentMRR) / currentMRR) * 100;
-    const paybackPeriod = cac / monthlyRevenue;
+    let engineResult;
+    try {
+      engineResult = runPricingEngine(inputs);
+    } catch (error) {
+      if (error instanceof PricingInputError) {
+        toast.error(error.issues[0].message);
+        return;
+      }
+      throw error;
+    }
+
+    const { formulaVersion, inputs: parsed, metrics, tiers } = engineResult;
+    const [starter, professional, enterprise] = tiers;
+    const currentMRR = parsed.currentPrice * parsed.customers;
 
     const calculatedResults = {
+      formulaVersion,
       metrics: {
-        ltv: ltv.toFixed(2),
-        cac: cac.toFixed(2),
-        ltvCacRatio: ltvCacRatio.toFixed(2),
-        churnRate: churn,
-        paybackPeriod: paybackPeriod.toFixed(1),
-        avgContractLength: contractLength
+        ltv: metrics.ltv,
+        cac: metrics.cac,
+        ltvCacRatio: metrics.ltvCacRatio,
+        churnRate: parsed.churnRate,
+        paybackPeriod: metrics.paybackPeriod,
+        avgContractLength: parsed.averageContractLength ?? null
       },
       pricing: {
-        current: price,
-        recommended: recommendedPrice.toFixed(2),
-        premium: premiumPrice.toFixed(2),
-        budget: budgetPrice.toFixed(2),
-        competitor: competitor
+        current: parsed.currentPrice,
+        recommended: professional.price,
+        premium: enterprise.price,
+        budget: starter.price,
+        competitor: parsed.competitorPrice ?? null
       },
       revenue: {
-        currentMRR: currentMRR.toFixed(2),
-        currentARR: currentARR.toFixed(2),
-        projectedMRR: projectedMRR.toFixed(2),
-        projectedARR: projectedARR.toFixed(2),
-        growthRate: growthRate.toFixed(1)
+        currentMRR,
+        currentARR: currentMRR * 12,
+        projectedMRR: metrics.mrr,
+        projectedARR: metrics.arr,
+        growthRate: metrics.priceChange
       },
       market: {
-        totalAddressableMarket: (marketSize * recommendedPrice * 12).toFixed(2),
-        marketShare: ((customers / marketSize) * 100).toFixed(1),
-        potentialCustomers: marketSize - customers
+        totalAddressableMarket: parsed.marketSize ?? null,
+        marketShare: metrics.marketShare
       }
     };
 
     setResults(calculatedResults);
+    setResultInputs(parsed);
     
     // Track calculation
     trackCalculatorUse({
@@ -246,7 +238,7 @@ export default function CalculatorEnhanced() {
     try {
       const calculationData = {
         name: calculationName || `Calculation ${new Date().toLocaleDateString()}`,
-        inputs,
+        inputs: resultInputs,
         results,
         notes: calculationNotes
       };
@@ -262,6 +254,7 @@ export default function CalculatorEnhanced() {
       }
     } catch (error) {
       console.error('Save error:', error);
+      toast.error(error.message || 'Failed to save calculation');
     } finally {
       setIsSaving(false);
     }
@@ -282,9 +275,20 @@ export default function CalculatorEnhanced() {
       return;
     }
 
+    let engineResult;
+    try {
+      engineResult = runPricingEngine(resultInputs);
+    } catch (error) {
+      if (error instanceof PricingInputError) {
+        toast.error(error.issues[0].message);
+        return;
+      }
+      throw error;
+    }
+
+    // The PDF templates render the engine's metrics and tiers directly
     const exportData = {
-      inputs,
-      results,
+      ...engineResult,
       name: calculationName || 'Pricing Analysis',
       notes: calculationNotes,
       date: new Date().toLocaleDateString()
@@ -323,7 +327,7 @@ export default function CalculatorEnhanced() {
       { tier: 'Recommended', price: parseFloat(results.pricing.recommended), fill: '#F59E0B' },
       { tier: 'Premium', price: parseFloat(results.pricing.premium), fill: '#8B5CF6' },
       { tier: 'Competitor', price: parseFloat(results.pricing.competitor), fill: '#EF4444' }
-    ];
+    ].filter(({ price }) => Number.isFinite(price));
   };
 
   return (
@@ -461,7 +465,7 @@ export default function CalculatorEnhanced() {
 
             <div>
               <label className="block text-sm font-medium mb-2">
-                Monthly Expansion Revenue per Customer ($)
+                Monthly Expansion Revenue (%)
               </label>
               <input
                 type="number"
@@ -475,7 +479,7 @@ export default function CalculatorEnhanced() {
 
             <div>
               <label className="block text-sm font-medium mb-2">
-                Total Addressable Market (customers)
+                Total Addressable Market ($)
               </label>
               <input
                 type="number"
@@ -483,7 +487,7 @@ export default function CalculatorEnhanced() {
                 value={inputs.marketSize}
                 onChange={handleInputChange}
                 className="w-full px-4 py-3 bg-white/5 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary"
-                placeholder="e.g., 10000"
+                placeholder="e.g., 1000000"
               />
             </div>
           </div>
@@ -635,7 +639,7 @@ export default function CalculatorEnhanced() {
 
           {activeTab === 'pricing' && (
             <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
-              {Object.entries(results.pricing).map(([key, value]) => (
+              {Object.entries(results.pricing).filter(([, value]) => value !== null).map(([key, value]) => (
                 <GlassCard key={key} className="p-6">
                   <h3 className="text-lg font-semibold mb-2 capitalize">
                     {key.replace(/([A-Z])/g, ' $1').trim()}
@@ -680,7 +684,7 @@ export default function CalculatorEnhanced() {
                   </div>
                   <div className="flex justify-between">
                     <span className="text-muted">Growth</span>
-                    <span className="font-bold text-primary">+{results.revenue.growthRate}%</span>
+                    <span className="font-bold text-primary">{results.revenue.growthRate >= 0 ? '+' : ''}{results.revenue.growthRate}%</span>
                   </div>
                 </div>
               </GlassCard>
@@ -0,0 +1,91 @@
+import { useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { fitConjointModel, parseConjointCsv, toFeatureValues } from '@shared/conjoint';
+
+export default function ConjointSurvey({ featureValues, onApplyFeatureValues }) {
+  const fileInput = useRef(null);
+  const [model, setModel] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = fitConjointModel(parseConjointCsv(await file.text()));
+      setModel(result);
+      if (!result.converged) {
+        toast('Model did not fully converge — treat the part-worths as rough', { icon: '⚠️' });
+      } else {
+        toast.success(`Fitted ${result.partWorths.length} features from ${result.tasks} choice tasks`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const measured = model ? toFeatureValues(model) : [];
+  const isApplied = featureValues !== null;
+
+  return (
+    <GlassCard>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white">Feature Conjoint</h3>
+          <p className="text-sm text-gray-400">
+            CSV with task, chosen and price columns plus one 1/0 column per feature.
+          </p>
+        </div>
+        <Button variant="secondary" onClick={() => fileInput.current?.click()}>
+          Import CSV
+        </Button>
+        <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+      </div>
+
+      {model && (
+        <div className="mt-6 space-y-4">
+          {model.priceCoefficient >= 0 && (
+            <p className="text-sm text-yellow-400">
+              Respondents did not prefer lower prices, so willingness to pay can&apos;t be derived from this survey.
+            </p>
+          )}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-white/10">
+                <th className="py-2">Feature</th>
+                <th className="py-2 text-right">Part-Worth</th>
+                <th className="py-2 text-right">Willingness to Pay</th>
+              </tr>
+            </thead>
+            <tbody>
+              {model.partWorths.map((partWorth) => (
+                <tr key={partWorth.feature} className="border-b border-white/5 text-gray-300">
+                  <td className="py-2">{partWorth.feature}</td>
+                  <td className="py-2 text-right">{partWorth.partWorth.toFixed(2)}</td>
+                  <td className="py-2 text-right">
+                    {partWorth.willingnessToPay === null ? 'n/a' : `$${partWorth.willingnessToPay.toLocaleString()}/mo`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <p className="text-xs text-gray-500">
+              {model.tasks} tasks · pseudo R² {model.pseudoRSquared.toFixed(2)}
+            </p>
+            {(measured.length > 0 || isApplied) && (
+              <Button
+                variant={isApplied ? 'secondary' : 'primary'}
+                onClick={() => onApplyFeatureValues(isApplied ? null : measured)}
+              >
+                {isApplied ? 'Use Default Tier Features' : 'Build Tiers from These Features'}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,171 @@
+import { useRef, useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { parseCustomerCsv, recommendTierBoundaries } from '@shared/tierBoundaries';
+
+const DIMENSIONS = [
+  { id: 'seats', label: 'Seats', unit: 'seats' },
+  { id: 'usage', label: 'Usage', unit: 'units/mo' }
+];
+
+// Generated tiers are Starter / Professional / Enterprise
+const ENGINE_TIER_COUNT = 3;
+
+const METHOD_LABELS = { kmeans: 'k-means', quantile: 'Quantiles' };
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+
+const formatRange = (tier, unit) =>
+  tier.upperBound === null
+    ? `Over ${tier.lowerBound.toLocaleString()} ${unit}`
+    : `Up to ${tier.upperBound.toLocaleString()} ${unit}`;
+
+export default function CustomerBaseImport({ tierLimits, onApplyTierLimits }) {
+  const fileInput = useRef(null);
+  const [customers, setCustomers] = useState(null);
+  const [dimension, setDimension] = useState('seats');
+  const [tierCount, setTierCount] = useState(ENGINE_TIER_COUNT);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseCustomerCsv(await file.text());
+      setCustomers(parsed);
+      toast.success(`Imported ${parsed.length} customers`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const analysis = useMemo(() => {
+    if (!customers) return null;
+    try {
+      return recommendTierBoundaries(customers, { dimension, tierCount });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [customers, dimension, tierCount]);
+
+  const unit = DIMENSIONS.find((option) => option.id === dimension).unit;
+  const proposal = analysis?.recommended;
+  const canApply = proposal?.tiers.length === ENGINE_TIER_COUNT;
+
+  return (
+    <GlassCard className="mb-12">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white">Customer Base &amp; Tier Limits</h3>
+          <p className="text-sm text-gray-400">
+            CSV with seats, usage, plan and MRR per customer, to suggest tier cut-offs from how customers actually use the product.
+          </p>
+        </div>
+        <Button variant="secondary" onClick={() => fileInput.current?.click()}>
+          Import CSV
+        </Button>
+        <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+      </div>
+
+      {analysis && (
+        <div className="mt-6 space-y-6">
+          <div className="flex flex-wrap items-center gap-3">
+            {DIMENSIONS.map((option) => (
+              <button
+                key={option.id}
+                onClick={() => setDimension(option.id)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                  dimension === option.id
+                    ? 'bg-primary text-white'
+                    : 'bg-white/5 text-gray-400 hover:bg-white/10'
+                }`}
+              >
+                Tier by {option.label}
+              </button>
+            ))}
+            <label className="flex items-center gap-2 text-sm text-gray-400 ml-auto">
+              Tiers
+              <select
+                value={tierCount}
+                onChange={(e) => setTierCount(parseInt(e.target.value))}
+                className="input w-20"
+              >
+                {[2, 3, 4, 5].map((count) => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {analysis.error ? (
+            <p className="text-yellow-400 text-sm">{analysis.error}</p>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-white/10">
+                    <th className="py-2">Proposed Tier</th>
+                    <th className="py-2 text-right">Customers</th>
+                    <th className="py-2 text-right">Suggested Price</th>
+                    <th className="py-2 text-right">Current MRR</th>
+                    <th className="py-2 text-right">MRR at Suggested Price</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {proposal.tiers.map((tier) => (
+                    <tr key={tier.lowerBound} className="border-b border-white/5 text-gray-300">
+                      <td className="py-2">{formatRange(tier, unit)}</td>
+                      <td className="py-2 text-right">{tier.customers}</td>
+                      <td className="py-2 text-right">{formatMoney(tier.suggestedPrice)}</td>
+                      <td className="py-2 text-right">{formatMoney(tier.currentMrr)}</td>
+                      <td className="py-2 text-right">{formatMoney(tier.proposedMrr)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="grid md:grid-cols-4 gap-4">
+                {[
+                  { label: 'Would Move Up', value: proposal.moves.up, color: 'text-green-400' },
+                  { label: 'Would Move Down', value: proposal.moves.down, color: 'text-red-400' },
+                  { label: 'Revenue Left on Table', value: `${formatMoney(proposal.revenueLeftOnTable)}/mo`, color: 'text-white' },
+                  { label: 'Paying for Unused Headroom', value: `${formatMoney(proposal.headroomPaid)}/mo`, color: 'text-white' }
+                ].map((metric) => (
+                  <GlassCard key={metric.label} className="text-center py-4">
+                    <p className="text-sm text-gray-400">{metric.label}</p>
+                    <p className={`text-2xl font-bold ${metric.color}`}>{metric.value}</p>
+                  </GlassCard>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <p className="text-xs text-gray-500">
+                  {METHOD_LABELS[proposal.method]} cut-offs fit best. Current plans ranked: {proposal.currentPlans.join(' → ')}.
+                  {analysis.alternatives.map((alternative) => (
+                    ` ${METHOD_LABELS[alternative.method]} would leave ${formatMoney(alternative.revenueLeftOnTable + alternative.headroomPaid)}/mo mismatched.`
+                  ))}
+                </p>
+                {tierLimits ? (
+                  <Button variant="secondary" onClick={() => onApplyTierLimits(null)}>
+                    Use Default Tier Limits
+                  </Button>
+                ) : (
+                  <Button
+                    variant="primary"
+                    disabled={!canApply}
+                    title={canApply ? undefined : `Generated tiers need exactly ${ENGINE_TIER_COUNT} cut-off groups`}
+                    onClick={() => onApplyTierLimits({ unit, limits: proposal.tiers.map((tier) => tier.upperBound) })}
+                  >
+                    Apply Limits to Tiers
+                  </Button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,298 @@
+import { useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { PRICING_INPUT_SCHEMA, PRICING_INPUT_DEFAULTS, DEFAULT_CAC_MULTIPLE } from '@shared/pricingEngine';
+import {
+  axisValues,
+  buildDataTable,
+  cellInputs,
+  DATA_TABLE_INPUTS,
+  DATA_TABLE_INPUT_UNITS,
+  DATA_TABLE_METRICS,
+  DATA_TABLE_STEPS,
+  validateDataTableSpec
+} from '@shared/dataTables';
+import { formatComparisonValue } from '@shared/scenarioSets';
+import { formatMoney } from '@shared/currency';
+import useAuthStore from '../stores/authStore';
+import useCalculationStore from '../stores/calculationStore';
+
+const MAX_TABLES = 10;
+
+// The calculator binds arrow keys to tab switching; keep them in the fields
+const keepArrowKeys = (e) => e.stopPropagation();
+
+const parseNumber = (value) => (value === '' ? '' : parseFloat(value));
+
+// Red to yellow to green, the same scale as the XLSX export
+const HEAT_STOPS = [[248, 105, 107], [255, 235, 132], [99, 190, 123]];
+
+const heatColor = (value, table) => {
+  const span = table.max - table.min;
+  const position = span > 0 ? (value - table.min) / span : 0.5;
+  if (!table.better) return `rgba(59, 130, 246, ${(0.1 + position * 0.5).toFixed(2)})`;
+
+  const score = table.better === 'lower' ? 1 - position : position;
+  const [from, to, t] = score < 0.5 ? [HEAT_STOPS[0], HEAT_STOPS[1], score * 2] : [HEAT_STOPS[1], HEAT_STOPS[2], (score - 0.5) * 2];
+  const rgb = from.map((channel, index) => Math.round(channel + (to[index] - channel) * t));
+  return `rgba(${rgb.join(', ')}, 0.45)`;
+};
+
+const specOf = (table) => ({
+  rowField: table.row.field,
+  rowValues: axisValues(table.row.field, table.row.from, table.row.to, table.row.steps),
+  columnField: table.column.field,
+  columnValues: axisValues(table.column.field, table.column.from, table.column.to, table.column.steps),
+  metric: table.metric
+});
+
+/**
+ * Two-way data tables: vary one input down the rows and another across the
+ * columns, and read a metric off a heatmap. Clicking a cell loads those
+ * inputs into the form; every table exports to one XLSX workbook.
+ */
+export default function DataTables({ inputs, optimalPrice, onLoadScenario }) {
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const exportDataTables = useCalculationStore((state) => state.exportDataTables);
+
+  const currency = inputs.currency;
+
+  // As entered, else what the engine assumes; a missing competitor price is read as our own
+  const currentValue = (field) => {
+    if (inputs[field] !== undefined) return inputs[field];
+    if (field === 'cac') return optimalPrice * DEFAULT_CAC_MULTIPLE;
+    if (field === 'competitorPrice') return inputs.currentPrice;
+    return PRICING_INPUT_DEFAULTS[field] ?? 0;
+  };
+
+  /** 40% either side of the current value, inside the input's own limits */
+  const defaultAxis = (field) => {
+    const rule = PRICING_INPUT_SCHEMA[field];
+    const value = currentValue(field);
+    const decimals = rule.integer ? 0 : 2;
+    const roundTo = (number) => Number(number.toFixed(decimals));
+    if (!(value > 0)) return { field, from: rule.exclusiveMin ? 1 : rule.min ?? 0, to: 10, steps: DATA_TABLE_STEPS.default };
+    return {
+      field,
+      from: roundTo(Math.max(value * 0.6, rule.min ?? -Infinity)),
+      to: roundTo(Math.min(value * 1.4, rule.max ?? Infinity)),
+      steps: DATA_TABLE_STEPS.default
+    };
+  };
+
+  const newTable = (rowField = 'currentPrice', columnField = 'churnRate', metric = 'arr') => ({
+    metric,
+    row: defaultAxis(rowField),
+    column: defaultAxis(columnField)
+  });
+
+  const [tables, setTables] = useState(() => [newTable()]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const active = tables[activeIndex];
+
+  const { spec, table, error } = useMemo(() => {
+    try {
+      const activeSpec = specOf(active);
+      return { spec: activeSpec, table: buildDataTable(inputs, activeSpec), error: null };
+    } catch (buildError) {
+      return { spec: null, table: null, error: buildError.message };
+    }
+  }, [inputs, active]);
+
+  const updateActive = (changes) => {
+    setTables(tables.map((entry, index) => (index === activeIndex ? { ...entry, ...changes } : entry)));
+  };
+
+  // A new input starts from its own default range
+  const updateAxis = (axis, changes) => {
+    const next = changes.field ? defaultAxis(changes.field) : { ...active[axis], ...changes };
+    updateActive({ [axis]: next });
+  };
+
+  const addTable = () => {
+    setTables([...tables, newTable(active.column.field, active.row.field, active.metric)]);
+    setActiveIndex(tables.length);
+  };
+
+  const removeTable = (index) => {
+    setTables(tables.filter((_, i) => i !== index));
+    setActiveIndex(index < activeIndex ? activeIndex - 1 : Math.min(activeIndex, tables.length - 2));
+  };
+
+  const handleExport = async () => {
+    let specs;
+    try {
+      specs = tables.map(specOf);
+      specs.forEach(validateDataTableSpec);
+    } catch (specError) {
+      toast.error(specError.message);
+      return;
+    }
+
+    setIsExporting(true);
+    await exportDataTables('Calculator results', inputs, specs);
+    setIsExporting(false);
+  };
+
+  const formatInput = (field, value) => {
+    switch (DATA_TABLE_INPUT_UNITS[field]) {
+      case 'currency':
+        return formatMoney(value, currency);
+      case 'percent':
+        return `${value}%`;
+      case 'months':
+        return `${value} mo`;
+      default:
+        return value.toLocaleString();
+    }
+  };
+
+  const renderAxis = (axis, title) => (
+    <div>
+      <h4 className="text-sm font-semibold text-neutral-300 mb-2">{title}</h4>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={active[axis].field}
+          onChange={(e) => updateAxis(axis, { field: e.target.value })}
+          className="input"
+        >
+          {DATA_TABLE_INPUTS.map((field) => (
+            <option key={field} value={field}>{PRICING_INPUT_SCHEMA[field].label}</option>
+          ))}
+        </select>
+        {[['from', 'From'], ['to', 'to'], ['steps', 'values']].map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1 text-xs text-gray-400">
+            {label}
+            <input
+              type="number"
+              value={active[axis][key]}
+              min={key === 'steps' ? DATA_TABLE_STEPS.min : undefined}
+              max={key === 'steps' ? DATA_TABLE_STEPS.max : undefined}
+              onChange={(e) => updateAxis(axis, { [key]: parseNumber(e.target.value) })}
+              onKeyDown={keepArrowKeys}
+              className={`input ${key === 'steps' ? 'w-16' : 'w-24'}`}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  const isBaseCell = (row, column) =>
+    spec.rowValues[row] === inputs[spec.rowField] && spec.columnValues[column] === inputs[spec.columnField];
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-semibold text-white">Data Tables</h3>
+            <p className="text-sm text-gray-400">
+              Vary two inputs at once and see how a metric responds. Click a cell to load it into the form.
+            </p>
+          </div>
+          <Button
+            variant="secondary"
+            onClick={handleExport}
+            disabled={!isAuthenticated}
+            loading={isExporting}
+            title={isAuthenticated ? 'Export every table to one workbook' : 'Sign in to export'}
+          >
+            Export XLSX
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {tables.map((entry, index) => (
+            <div
+              key={index}
+              className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm ${
+                index === activeIndex ? 'bg-primary text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'
+              }`}
+            >
+              <button onClick={() => setActiveIndex(index)}>Table {index + 1}</button>
+              {tables.length > 1 && (
+                <button onClick={() => removeTable(index)} className="ml-1 opacity-70 hover:opacity-100" title="Remove table">
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+          {tables.length < MAX_TABLES && (
+            <button onClick={addTable} className="px-3 py-1.5 rounded-lg text-sm text-primary hover:bg-white/5">
+              + Add table
+            </button>
+          )}
+        </div>
+
+        <div className="grid md:grid-cols-3 gap-4">
+          {renderAxis('row', 'Rows')}
+          {renderAxis('column', 'Columns')}
+          <div>
+            <h4 className="text-sm font-semibold text-neutral-300 mb-2">Metric</h4>
+            <select value={active.metric} onChange={(e) => updateActive({ metric: e.target.value })} className="input">
+              {DATA_TABLE_METRICS.map((metric) => (
+                <option key={metric.key} value={metric.key}>{metric.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {error && <p className="mt-4 text-sm text-red-400">{error}</p>}
+      </GlassCard>
+
+      {table && (
+        <GlassCard>
+          <h3 className="text-lg font-semibold text-white mb-1">
+            {table.metricLabel} by {table.rowLabel} and {table.columnLabel}
+          </h3>
+          <p className="text-sm text-gray-400 mb-4">
+            At the entered inputs: {formatComparisonValue(table.base, table.unit, currency)}
+            {table.better && ` • greener is better`}
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm border-separate" style={{ borderSpacing: 2 }}>
+              <thead>
+                <tr>
+                  <th className="py-2 px-3 text-left text-xs font-medium text-gray-400">
+                    {table.rowLabel} ↓ {table.columnLabel} →
+                  </th>
+                  {spec.columnValues.map((value) => (
+                    <th key={value} className="py-2 px-3 text-right font-semibold text-neutral-300">
+                      {formatInput(spec.columnField, value)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {table.cells.map((cells, row) => (
+                  <tr key={spec.rowValues[row]}>
+                    <th className="py-2 px-3 text-left font-semibold text-neutral-300">
+                      {formatInput(spec.rowField, spec.rowValues[row])}
+                    </th>
+                    {cells.map((value, column) => (
+                      <td key={spec.columnValues[column]} className="p-0">
+                        <button
+                          onClick={() => onLoadScenario(cellInputs(inputs, spec, row, column))}
+                          className={`w-full py-2 px-3 text-right text-white rounded transition-transform hover:scale-105 ${
+                            isBaseCell(row, column) ? 'ring-2 ring-white' : ''
+                          }`}
+                          style={{ backgroundColor: heatColor(value, table) }}
+                          title={`Load ${table.rowLabel.toLowerCase()} ${formatInput(spec.rowField, spec.rowValues[row])} and ${table.columnLabel.toLowerCase()} ${formatInput(spec.columnField, spec.columnValues[column])} into the form`}
+                        >
+                          {formatComparisonValue(value, table.unit, currency)}
+                        </button>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </GlassCard>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import GlassCard from './ui/GlassCard';
 import Button from './ui/Button';
 import toast from 'react-hot-toast';
 import { trackResourceDownload } from '../utils/analytics';
+import { captureLead, CONSENT_TEXT } from '../utils/leadCapture';
 
 export default function EmailCapturePopup() {
   const [isVisible, setIsVisible] = useState(false);
@@ -49,13 +50,9 @@ export default function EmailCapturePopup() {
 
     setIsSubmitting(true);
 
-    // Here you would normally send to your email service
-    // For now, we'll simulate it
     try {
-      // Store email locally (in production, send to backend)
-      const emails = JSON.parse(localStorage.getItem('captured_emails') || '[]');
-      emails.push({ email, date: new Date().toISOString() });
-      localStorage.setItem('captured_emails', JSON.stringify(emails));
+      // Queued locally when offline; the API sends the confirmation email
+      await captureLead({ email, source: 'pricing_guide', context: { page: window.location.pathname } });
       
       // Mark as downloaded
       localStorage.setItem('saas_pricing_guide_downloaded', 'true');
@@ -126,11 +123,11 @@ https://predictionnexus.com
       document.body.removeChild(a);
       window.URL.revokeObjectURL(url);
 
-      toast.success('Guide sent! Check your downloads.');
+      toast.success('Guide downloaded! Confirm your email to get our pricing tips.');
       setTimeout(() => setIsVisible(false), 2000);
       
-    } catch {
-      toast.error('Something went wrong. Please try again.');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Something went wrong. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -225,7 +222,7 @@ https://predictionnexus.com
               </form>
 
               <p className="text-xs text-secondary/50 text-center mt-4">
-                No spam. Unsubscribe anytime.
+                {CONSENT_TEXT}
               </p>
             </GlassCard>
           </motion.div>
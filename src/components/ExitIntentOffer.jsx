@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { captureLead, CONSENT_TEXT } from '../utils/leadCapture';
 
 export default function ExitIntentOffer() {
   const [isVisible, setIsVisible] = useState(false);
@@ -36,13 +38,7 @@ export default function ExitIntentOffer() {
     setIsSubmitting(true);
 
     try {
-      const emails = JSON.parse(localStorage.getItem('exit_intent_emails') || '[]');
-      emails.push({ 
-        email, 
-        offer: '20% discount',
-        date: new Date().toISOString() 
-      });
-      localStorage.setItem('exit_intent_emails', JSON.stringify(emails));
+      await captureLead({ email, source: 'exit_intent', context: { offer: '20% discount' } });
       
       setTimeout(() => {
         setIsVisible(false);
@@ -50,6 +46,7 @@ export default function ExitIntentOffer() {
       }, 1000);
     } catch (error) {
       console.error('Error:', error);
+      toast.error(error.response?.data?.error?.message || 'Something went wrong. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -161,6 +158,10 @@ export default function ExitIntentOffer() {
                 </button>
               </form>
 
+              <p className="text-center text-xs text-gray-500 mt-3">
+                {CONSENT_TEXT}
+              </p>
+
               {/* Urgency text */}
               <p className="text-center text-xs text-gray-400 mt-4">
                 ⏰ Offer expires in 30 minutes • No credit card required
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
 import { trackEvent } from '../utils/analytics';
+import { captureLead, CONSENT_TEXT } from '../utils/leadCapture';
 import confetti from 'canvas-confetti';
 
 export default function ExitIntentOfferPremium() {
@@ -116,23 +118,23 @@ export default function ExitIntentOfferPremium() {
     setIsSubmitting(true);
 
     try {
+      // Record the lead with the offer it claimed; queued locally when offline
+      await captureLead({
+        email,
+        source: 'exit_intent',
+        context: {
+          tier: selectedTier,
+          offer: `${offers[selectedTier].percentage}% discount`,
+          savings: offers[selectedTier].savings
+        }
+      });
+
       // Track conversion
       trackEvent('exit_intent_conversion', {
         tier: selectedTier,
         discount: offers[selectedTier].percentage,
         savings: offers[selectedTier].savings
       });
-
-      // Store email and offer details
-      const leads = JSON.parse(localStorage.getItem('exit_intent_leads') || '[]');
-      leads.push({ 
-        email, 
-        tier: selectedTier,
-        offer: `${offers[selectedTier].percentage}% discount`,
-        savings: offers[selectedTier].savings,
-        date: new Date().toISOString() 
-      });
-      localStorage.setItem('exit_intent_leads', JSON.stringify(leads));
       
       // Store discount code for checkout
       localStorage.setItem('active_discount', JSON.stringify({
@@ -158,6 +160,7 @@ export default function ExitIntentOfferPremium() {
       
     } catch (error) {
       console.error('Error:', error);
+      toast.error(error.response?.data?.error?.message || 'Something went wrong. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -368,6 +371,10 @@ export default function ExitIntentOfferPremium() {
                 </motion.button>
               </form>
 
+              <p className="text-center text-xs text-gray-500 mt-3">
+                {CONSENT_TEXT}
+              </p>
+
               {/* Trust indicators */}
               <div className="flex items-center justify-center gap-6 mt-6 text-xs text-gray-400">
                 <span className="flex items-center gap-1">
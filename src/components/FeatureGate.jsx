@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import useAuthStore from '../stores/authStore';
+import useEntitlementStore from '../stores/entitlementStore';
+import { requiredPlanFor } from '@shared/plans';
+
+/**
+ * Renders children only when the signed-in user's plan includes `feature`,
+ * as reported by GET /user/entitlements. Pass `meter` as well to also lock
+ * the feature once that usage allowance is spent for the period.
+ */
+export default function FeatureGate({ feature, meter, children, fallback = null }) {
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const { entitlements, isLoading, error, fetchEntitlements } = useEntitlementStore();
+
+  useEffect(() => {
+    if (isAuthenticated && !entitlements && !isLoading && !error) {
+      fetchEntitlements();
+    }
+  }, [isAuthenticated, entitlements, isLoading, error, fetchEntitlements]);
+
+  // Wait for the server rather than flashing an upgrade prompt
+  if (isAuthenticated && !entitlements && !error) {
+    return null;
+  }
+
+  const unlocked = Boolean(entitlements?.features?.[feature]);
+  const exhausted = Boolean(meter && entitlements?.usage?.[meter]?.exhausted);
+
+  if (unlocked && !exhausted) {
+    return children;
+  }
+
+  if (fallback) {
+    return fallback;
+  }
+
+  return (
+    <div className="p-4 bg-gray-800/50 rounded-lg border border-gray-700">
+      <p className="text-gray-400 text-sm">
+        {unlocked
+          ? 'You have used this feature\'s allowance for the current billing period.'
+          : `This feature requires the ${requiredPlanFor(feature).name} plan or higher.`}
+      </p>
+      <Link to="/pricing" className="text-emerald-400 hover:text-emerald-300 text-sm">
+        Upgrade now →
+      </Link>
+    </div>
+  );
+}
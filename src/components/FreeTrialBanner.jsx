@@ -65,7 +65,6 @@ export default function FreeTrialBanner() {
       };
       
       localStorage.setItem('trial_data', JSON.stringify(trialData));
-      localStorage.setItem('user_tier', 'professional_trial');
       
       // Celebrate!
       confetti({
@@ -0,0 +1,68 @@
+import { useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { PremiumLineChart } from './ui/PremiumChart';
+import { analyzeGaborGranger, parseGaborGrangerCsv } from '@shared/gaborGranger';
+
+const CURVE_LINES = [
+  { key: 'demand', name: 'Would Buy (%)', color: '#3B82F6' },
+  { key: 'revenueIndex', name: 'Revenue per 100 Respondents ($)', color: '#10B981' }
+];
+
+export default function GaborGrangerSurvey() {
+  const fileInput = useRef(null);
+  const [analysis, setAnalysis] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = analyzeGaborGranger(parseGaborGrangerCsv(await file.text()));
+      setAnalysis(result);
+      toast.success(`Imported ${result.respondents} respondents`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <GlassCard>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white">Gabor-Granger Survey</h3>
+          <p className="text-sm text-gray-400">
+            CSV with respondent, price and would buy (yes/no) columns, one row per price asked.
+          </p>
+        </div>
+        <Button variant="secondary" onClick={() => fileInput.current?.click()}>
+          Import CSV
+        </Button>
+        <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+      </div>
+
+      {analysis && (
+        <div className="mt-6 space-y-4">
+          <PremiumLineChart
+            title="Demand and Revenue by Price"
+            data={analysis.points.map((point) => ({ ...point, name: `$${point.price}` }))}
+            lines={CURVE_LINES}
+            animate={false}
+          />
+          <div className="grid grid-cols-2 gap-4">
+            <GlassCard className="text-center py-4">
+              <p className="text-sm text-gray-400">Revenue-Maximising Price</p>
+              <p className="text-2xl font-bold text-white">${analysis.revenueMaximizingPrice}</p>
+            </GlassCard>
+            <GlassCard className="text-center py-4">
+              <p className="text-sm text-gray-400">Would Buy at That Price</p>
+              <p className="text-2xl font-bold text-white">{analysis.demandAtOptimum}%</p>
+            </GlassCard>
+          </div>
+        </div>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,269 @@
+import { useState } from 'react';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { PRICING_INPUT_SCHEMA, PRICING_INPUT_DEFAULTS, DEFAULT_CAC_MULTIPLE } from '@shared/pricingEngine';
+import {
+  goalSeek,
+  describeCondition,
+  GOAL_METRICS,
+  GOAL_VARIABLES,
+  GOAL_SEEK_LIMITS
+} from '@shared/goalSeek';
+import { formatComparisonValue } from '@shared/scenarioSets';
+
+// The calculator binds arrow keys to tab switching; keep them in the fields
+const keepArrowKeys = (e) => e.stopPropagation();
+
+const metricOf = (key) => GOAL_METRICS.find((metric) => metric.key === key);
+
+const roundTo = (value) => Math.round(value * 100) / 100;
+
+/** Half to double the current value, kept inside the input's own limits */
+const defaultBounds = (field, value) => {
+  const rule = PRICING_INPUT_SCHEMA[field];
+  if (!(value > 0)) return { min: rule.exclusiveMin ? 1 : rule.min ?? 0, max: 100 };
+  return { min: roundTo(value / 2), max: roundTo(Math.min(value * 2, rule.max ?? Infinity)) };
+};
+
+const parseNumber = (value) => (value === '' ? '' : parseFloat(value));
+
+/**
+ * Goal seek: pick a target, the inputs free to change and any constraints,
+ * and solve for the inputs that hit the target. The answer can be applied
+ * to the calculator or saved as a new scenario.
+ */
+export default function GoalSeek({ inputs, optimalPrice, onApply, onSaveScenario }) {
+  const currency = inputs.currency;
+  // As entered, else what the engine assumes
+  const currentValue = (field) => inputs[field]
+    ?? (field === 'cac' ? optimalPrice * DEFAULT_CAC_MULTIPLE : PRICING_INPUT_DEFAULTS[field] ?? 0);
+
+  const [target, setTarget] = useState({ metric: 'arr', value: 1000000, month: 18 });
+  const [variables, setVariables] = useState(() => ({
+    currentPrice: defaultBounds('currentPrice', currentValue('currentPrice'))
+  }));
+  const [constraints, setConstraints] = useState([{ metric: 'ltvCacRatio', operator: '>=', value: 3 }]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const format = (value, metric) => formatComparisonValue(value, metricOf(metric).unit, currency);
+
+  // Month only applies to projection metrics
+  const withMonth = (condition) => (metricOf(condition.metric).byMonth
+    ? { ...condition, month: condition.month || GOAL_SEEK_LIMITS.defaultMonth }
+    : { metric: condition.metric, value: condition.value, ...(condition.operator && { operator: condition.operator }) });
+
+  const toggleVariable = (field) => {
+    const { [field]: existing, ...rest } = variables;
+    if (existing) {
+      setVariables(rest);
+    } else if (Object.keys(variables).length < GOAL_SEEK_LIMITS.maxVariables) {
+      setVariables({ ...variables, [field]: defaultBounds(field, currentValue(field)) });
+    }
+  };
+
+  const updateConstraint = (index, changes) => {
+    setConstraints(constraints.map((constraint, i) => (i === index ? withMonth({ ...constraint, ...changes }) : constraint)));
+  };
+
+  const handleSolve = () => {
+    try {
+      setError(null);
+      setResult(goalSeek(inputs, {
+        target: withMonth(target),
+        variables: Object.entries(variables).map(([field, bounds]) => ({ field, ...bounds })),
+        constraints: constraints.map(withMonth)
+      }));
+    } catch (solveError) {
+      setResult(null);
+      setError(solveError.message);
+    }
+  };
+
+  const handleSave = () => {
+    const name = prompt('Name the new scenario:', `Goal seek: ${describeCondition(withMonth(target), currency)} ${format(target.value, target.metric)}`);
+    if (name) onSaveScenario(result.inputs, name);
+  };
+
+  const renderCondition = (condition, onChange) => (
+    <>
+      <select
+        value={condition.metric}
+        onChange={(e) => onChange({ metric: e.target.value })}
+        className="input"
+      >
+        {GOAL_METRICS.map((metric) => (
+          <option key={metric.key} value={metric.key}>{metric.label}</option>
+        ))}
+      </select>
+      {condition.operator && (
+        <select value={condition.operator} onChange={(e) => onChange({ operator: e.target.value })} className="input w-16">
+          <option value=">=">≥</option>
+          <option value="<=">≤</option>
+        </select>
+      )}
+      <input
+        type="number"
+        value={condition.value}
+        onChange={(e) => onChange({ value: parseNumber(e.target.value) })}
+        onKeyDown={keepArrowKeys}
+        className="input w-36"
+      />
+      {metricOf(condition.metric).byMonth && (
+        <label className="flex items-center gap-1 text-sm text-gray-400">
+          at month
+          <input
+            type="number"
+            min="1"
+            max={GOAL_SEEK_LIMITS.maxMonth}
+            value={condition.month ?? GOAL_SEEK_LIMITS.defaultMonth}
+            onChange={(e) => onChange({ month: parseNumber(e.target.value) })}
+            onKeyDown={keepArrowKeys}
+            className="input w-20"
+          />
+        </label>
+      )}
+    </>
+  );
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <h3 className="text-xl font-semibold text-white mb-1">Goal Seek</h3>
+        <p className="text-sm text-gray-400 mb-6">
+          Name a target and the inputs you're free to change; the solver finds the values that get you there.
+        </p>
+
+        <div className="space-y-6">
+          <div>
+            <h4 className="text-sm font-semibold text-neutral-300 mb-2">Target</h4>
+            <div className="flex flex-wrap items-center gap-2">
+              {renderCondition(target, (changes) => setTarget(withMonth({ ...target, ...changes })))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-neutral-300 mb-2">
+              Solve for <span className="text-xs font-normal text-gray-500">(up to {GOAL_SEEK_LIMITS.maxVariables})</span>
+            </h4>
+            <div className="space-y-2">
+              {GOAL_VARIABLES.map((field) => {
+                const bounds = variables[field];
+                return (
+                  <div key={field} className="flex flex-wrap items-center gap-3">
+                    <label className="w-56 flex items-center gap-2 text-sm text-neutral-300">
+                      <input type="checkbox" checked={Boolean(bounds)} onChange={() => toggleVariable(field)} className="accent-primary" />
+                      {PRICING_INPUT_SCHEMA[field].label}
+                      <span className="text-xs text-gray-500">({roundTo(currentValue(field))})</span>
+                    </label>
+                    {bounds && ['min', 'max'].map((key) => (
+                      <label key={key} className="flex items-center gap-1 text-xs text-gray-400">
+                        {key === 'min' ? 'From' : 'to'}
+                        <input
+                          type="number"
+                          value={bounds[key]}
+                          onChange={(e) => setVariables({ ...variables, [field]: { ...bounds, [key]: parseNumber(e.target.value) } })}
+                          onKeyDown={keepArrowKeys}
+                          className="input w-28"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-neutral-300 mb-2">Constraints</h4>
+            <div className="space-y-2">
+              {constraints.map((constraint, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  {renderCondition(constraint, (changes) => updateConstraint(index, changes))}
+                  <button
+                    onClick={() => setConstraints(constraints.filter((_, i) => i !== index))}
+                    className="text-gray-400 hover:text-red-400"
+                    title="Remove constraint"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              {constraints.length < GOAL_SEEK_LIMITS.maxConstraints && (
+                <button
+                  onClick={() => setConstraints([...constraints, { metric: 'paybackPeriod', operator: '<=', value: 12 }])}
+                  className="text-sm text-primary hover:underline"
+                >
+                  + Add constraint
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-4">
+            <Button onClick={handleSolve} disabled={Object.keys(variables).length === 0}>
+              Solve
+            </Button>
+            {error && <span className="text-sm text-red-400">{error}</span>}
+          </div>
+        </div>
+      </GlassCard>
+
+      {result && (
+        <GlassCard className={`border-l-4 ${result.feasible ? 'border-green-500' : 'border-yellow-500'}`}>
+          <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-xl font-semibold text-white">
+                {result.feasible ? 'Target reached' : 'No solution within the bounds'}
+              </h3>
+              <p className="text-sm text-gray-400">
+                {describeCondition(withMonth(target), currency)}: {format(result.achieved, target.metric)}
+                {' '}• {result.method === 'bisection' ? 'Bisection' : 'Nelder-Mead'}, {result.evaluations} engine runs
+              </p>
+              {result.reason && <p className="text-sm text-yellow-400 mt-2">{result.reason}</p>}
+            </div>
+            {result.feasible && (
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => onApply(result.inputs)}>
+                  Apply to calculator
+                </Button>
+                <Button onClick={handleSave}>
+                  Save as scenario
+                </Button>
+              </div>
+            )}
+          </div>
+
+          <table className="w-full text-sm mb-4">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="py-2 text-left font-medium">{result.feasible ? 'Input' : 'Input (closest attempt)'}</th>
+                <th className="py-2 text-right font-medium">Current</th>
+                <th className="py-2 text-right font-medium">Required</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(result.values).map(([field, value]) => (
+                <tr key={field} className="border-t border-white/10">
+                  <td className="py-2 text-neutral-300">{PRICING_INPUT_SCHEMA[field].label}</td>
+                  <td className="py-2 text-right text-gray-400">{roundTo(currentValue(field))}</td>
+                  <td className="py-2 text-right font-semibold text-white">{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {result.constraints.length > 0 && (
+            <ul className="space-y-1 text-sm">
+              {result.constraints.map((check, index) => (
+                <li key={index} className={check.satisfied ? 'text-green-400' : 'text-red-400'}>
+                  {check.satisfied ? '✓' : '✗'} {describeCondition(check, currency)} (actual {format(check.actual, check.metric)})
+                </li>
+              ))}
+            </ul>
+          )}
+        </GlassCard>
+      )}
+    </div>
+  );
+}
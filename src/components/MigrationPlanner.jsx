@@ -0,0 +1,289 @@
+import { useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { PremiumLineChart } from './ui/PremiumChart';
+import { planPriceMigration, rolloutTimelineToCsv } from '@shared/migrationPlanner';
+import { formatMoney } from '@shared/currency';
+
+const REVENUE_LINES = [
+  { key: 'mrr', name: 'MRR with Migration', color: '#3B82F6' },
+  { key: 'baselineMrr', name: 'MRR Keeping Old Prices', color: '#6B7280' },
+  { key: 'existingMrr', name: 'Existing Customers', color: '#10B981' },
+  { key: 'newMrr', name: 'New Customers', color: '#F59E0B' }
+];
+
+const HORIZONS = [12, 24, 36];
+
+// The calculator binds arrow keys to tab switching; keep them in the plan name
+const keepArrowKeys = (e) => e.stopPropagation();
+
+const downloadCsv = (csvContent) => {
+  const blob = new Blob([csvContent], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `price-rollout-${new Date().toISOString().split('T')[0]}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+export default function MigrationPlanner({ inputs, optimalPrice }) {
+  const money = (value) => formatMoney(value, inputs.currency, { decimals: 0 });
+  const [priceBook, setPriceBook] = useState(() => [
+    { plan: 'Current plan', currentPrice: inputs.currentPrice, newPrice: optimalPrice, customers: inputs.customers }
+  ]);
+  const [grandfatheringMonths, setGrandfatheringMonths] = useState(3);
+  const [steps, setSteps] = useState([
+    { month: 4, increasePercent: 50, churnUplift: 2 },
+    { month: 7, increasePercent: 100, churnUplift: 2 }
+  ]);
+  const [horizonMonths, setHorizonMonths] = useState(24);
+
+  const plan = useMemo(() => {
+    try {
+      return planPriceMigration({
+        currentPriceBook: priceBook.map((row) => ({ plan: row.plan, price: row.currentPrice, customers: row.customers })),
+        newPriceBook: priceBook.map((row) => ({ plan: row.plan, price: row.newPrice })),
+        grandfatheringMonths,
+        steps,
+        churnRate: inputs.churnRate,
+        newCustomersPerMonth: inputs.newCustomersPerMonth ?? 0,
+        horizonMonths
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [priceBook, grandfatheringMonths, steps, horizonMonths, inputs.churnRate, inputs.newCustomersPerMonth]);
+
+  const updatePlan = (index, key, value) => {
+    setPriceBook((prev) => prev.map((row, i) => (
+      i === index ? { ...row, [key]: key === 'plan' ? value : parseFloat(value) || 0 } : row
+    )));
+  };
+
+  const updateStep = (index, key, value) => {
+    setSteps((prev) => prev.map((step, i) => (i === index ? { ...step, [key]: parseFloat(value) || 0 } : step)));
+  };
+
+  const exportTimeline = () => {
+    downloadCsv(rolloutTimelineToCsv(plan.timeline, inputs.currency));
+    toast.success('Rollout timeline exported');
+  };
+
+  const finalMonth = plan.months?.[plan.months.length - 1];
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <h3 className="text-xl font-semibold text-white mb-4">Price Books</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-400 border-b border-white/10">
+              <th className="py-2">Plan</th>
+              <th className="py-2">Current Price</th>
+              <th className="py-2">New Price</th>
+              <th className="py-2">Existing Customers</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {priceBook.map((row, index) => (
+              <tr key={index} className="border-b border-white/5">
+                <td className="py-2 pr-3">
+                  <input
+                    value={row.plan}
+                    onChange={(e) => updatePlan(index, 'plan', e.target.value)}
+                    onKeyDown={keepArrowKeys}
+                    className="input w-full"
+                  />
+                </td>
+                {['currentPrice', 'newPrice', 'customers'].map((key) => (
+                  <td key={key} className="py-2 pr-3">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={row[key]}
+                      onChange={(e) => updatePlan(index, key, e.target.value)}
+                      className="input w-32"
+                    />
+                  </td>
+                ))}
+                <td className="py-2 text-right">
+                  {priceBook.length > 1 && (
+                    <button
+                      onClick={() => setPriceBook((prev) => prev.filter((_, i) => i !== index))}
+                      className="text-gray-500 hover:text-red-400"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          onClick={() => setPriceBook((prev) => [
+            ...prev,
+            { plan: `Plan ${prev.length + 1}`, currentPrice: 0, newPrice: 0, customers: 0 }
+          ])}
+          className="mt-3 px-4 py-2 rounded-lg text-sm font-medium bg-white/5 text-gray-300 hover:bg-white/10"
+        >
+          Add Plan
+        </button>
+      </GlassCard>
+
+      <GlassCard>
+        <div className="flex flex-wrap items-end gap-6 mb-4">
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Grandfathering (months)</span>
+            <input
+              type="number"
+              min="0"
+              value={grandfatheringMonths}
+              onChange={(e) => setGrandfatheringMonths(parseInt(e.target.value) || 0)}
+              className="input w-40 mt-2 block"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Horizon</span>
+            <select
+              value={horizonMonths}
+              onChange={(e) => setHorizonMonths(parseInt(e.target.value))}
+              className="input w-40 mt-2 block"
+            >
+              {HORIZONS.map((months) => (
+                <option key={months} value={months}>{months} months</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <h4 className="font-semibold text-white mb-3">Increase Schedule for Existing Customers</h4>
+        <div className="space-y-2">
+          {steps.map((step, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-3 text-sm text-gray-400">
+              Month
+              <input
+                type="number"
+                min="1"
+                value={step.month}
+                onChange={(e) => updateStep(index, 'month', e.target.value)}
+                className="input w-20"
+              />
+              move to
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={step.increasePercent}
+                onChange={(e) => updateStep(index, 'increasePercent', e.target.value)}
+                className="input w-20"
+              />
+              % of the change, losing an extra
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={step.churnUplift}
+                onChange={(e) => updateStep(index, 'churnUplift', e.target.value)}
+                className="input w-20"
+              />
+              % of customers
+              {steps.length > 1 && (
+                <button
+                  onClick={() => setSteps((prev) => prev.filter((_, i) => i !== index))}
+                  className="text-gray-500 hover:text-red-400"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setSteps((prev) => [
+            ...prev,
+            { month: (prev[prev.length - 1]?.month ?? grandfatheringMonths) + 3, increasePercent: 100, churnUplift: 2 }
+          ])}
+          className="mt-3 px-4 py-2 rounded-lg text-sm font-medium bg-white/5 text-gray-300 hover:bg-white/10"
+        >
+          Add Step
+        </button>
+      </GlassCard>
+
+      {plan.error ? (
+        <GlassCard className="border-l-4 border-yellow-500">
+          <p className="text-yellow-400">{plan.error}</p>
+        </GlassCard>
+      ) : (
+        <>
+          <div className="grid md:grid-cols-3 gap-4">
+            {[
+              {
+                label: 'Break-even vs. Old Prices',
+                value: plan.breakEvenMonth ? `Month ${plan.breakEvenMonth}` : 'Not within horizon'
+              },
+              {
+                label: `Cumulative Gain by Month ${horizonMonths}`,
+                value: money(finalMonth.cumulativeDifference)
+              },
+              {
+                label: 'Customers Lost to Increases',
+                value: plan.customersLostToSteps.toLocaleString()
+              }
+            ].map((metric) => (
+              <GlassCard key={metric.label} className="text-center py-4">
+                <p className="text-sm text-gray-400">{metric.label}</p>
+                <p className="text-2xl font-bold text-white">{metric.value}</p>
+              </GlassCard>
+            ))}
+          </div>
+
+          <PremiumLineChart
+            title="Monthly Revenue"
+            data={plan.months.map((month) => ({ ...month, name: `M${month.month}` }))}
+            lines={REVENUE_LINES}
+            formatValue={money}
+            animate={false}
+          />
+
+          <GlassCard>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-semibold text-white">Rollout Timeline</h3>
+              <Button variant="secondary" onClick={exportTimeline}>
+                Export CSV
+              </Button>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-white/10">
+                  <th className="py-2">Month</th>
+                  <th className="py-2">Change</th>
+                  <th className="py-2 text-right">Price</th>
+                  <th className="py-2 text-right">Customers Affected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.timeline.map((event, index) => (
+                  <tr key={index} className="border-b border-white/5 text-gray-300">
+                    <td className="py-2">{event.month}</td>
+                    <td className="py-2">{event.description}</td>
+                    <td className="py-2 text-right">
+                      {event.fromPrice !== null && `${formatMoney(event.fromPrice, inputs.currency)} → ${formatMoney(event.toPrice, inputs.currency)}`}
+                    </td>
+                    <td className="py-2 text-right">{event.affectedCustomers || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </GlassCard>
+        </>
+      )}
+    </div>
+  );
+}
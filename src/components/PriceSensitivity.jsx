@@ -0,0 +1,168 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+import GlassCard from './ui/GlassCard';
+import { analyzeElasticity, ELASTICITY_DEFAULTS } from '@shared/elasticityModel';
+import { formatMoney } from '@shared/currency';
+
+const CURVES = [
+  { id: 'constant', label: 'Constant elasticity' },
+  { id: 'linear', label: 'Linear demand' }
+];
+
+// The calculator binds arrow keys to tab switching; keep them on the slider
+const keepArrowKeys = (e) => e.stopPropagation();
+
+export default function PriceSensitivity({ inputs }) {
+  const money = (value) => formatMoney(value, inputs.currency, { decimals: 0 });
+  const [curve, setCurve] = useState(ELASTICITY_DEFAULTS.curve);
+  const [elasticity, setElasticity] = useState(ELASTICITY_DEFAULTS.elasticity);
+  const [churnElasticity, setChurnElasticity] = useState(ELASTICITY_DEFAULTS.churnElasticity);
+  const [costToServe, setCostToServe] = useState('');
+
+  const analysis = useMemo(() => analyzeElasticity(inputs, {
+    curve,
+    elasticity,
+    churnElasticity,
+    costToServe: costToServe === '' ? undefined : Math.max(0, parseFloat(costToServe) || 0)
+  }), [inputs, curve, elasticity, churnElasticity, costToServe]);
+
+  const highlights = [
+    { label: 'Current Price', point: analysis.current, color: 'text-white' },
+    { label: 'Revenue-Maximising', point: analysis.revenueMaximizing, color: 'text-blue-400' },
+    { label: 'Profit-Maximising', point: analysis.profitMaximizing, color: 'text-green-400' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <div className="grid md:grid-cols-4 gap-6">
+          <div>
+            <p className="text-sm font-semibold text-neutral-300 mb-3">Demand Curve</p>
+            <div className="flex flex-col gap-2">
+              {CURVES.map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => setCurve(option.id)}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-all ${
+                    curve === option.id
+                      ? 'bg-primary text-white'
+                      : 'bg-white/5 text-gray-400 hover:bg-white/10'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Price Elasticity: {elasticity.toFixed(1)}</span>
+            <input
+              type="range"
+              min="-3"
+              max="-0.1"
+              step="0.1"
+              value={elasticity}
+              onChange={(e) => setElasticity(parseFloat(e.target.value))}
+              onKeyDown={keepArrowKeys}
+              className="w-full mt-3"
+            />
+            <span className="text-xs text-gray-500">% change in demand per 1% price change</span>
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Churn Sensitivity: {churnElasticity.toFixed(1)}</span>
+            <input
+              type="range"
+              min="0"
+              max="2"
+              step="0.1"
+              value={churnElasticity}
+              onChange={(e) => setChurnElasticity(parseFloat(e.target.value))}
+              onKeyDown={keepArrowKeys}
+              className="w-full mt-3"
+            />
+            <span className="text-xs text-gray-500">% change in churn per 1% price change</span>
+          </label>
+
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Cost to Serve (per customer/mo)</span>
+            <input
+              type="number"
+              min="0"
+              value={costToServe}
+              placeholder={(inputs.currentPrice * 0.2).toFixed(2)}
+              onChange={(e) => setCostToServe(e.target.value)}
+              className="input w-full mt-3"
+            />
+          </label>
+        </div>
+      </GlassCard>
+
+      <GlassCard>
+        <h3 className="text-xl font-semibold text-white mb-4">Steady-State Revenue vs. Price</h3>
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={analysis.points}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="price"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                stroke="#666"
+                tickFormatter={money}
+              />
+              <YAxis stroke="#666" tickFormatter={money} />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                  border: '1px solid rgba(255, 255, 255, 0.1)',
+                  borderRadius: '8px'
+                }}
+                labelFormatter={(price) => `Price ${money(price)}`}
+                formatter={(value) => money(value)}
+              />
+              <ReferenceLine x={analysis.current.price} stroke="#9CA3AF" strokeDasharray="4 4" label={{ value: 'Current', fill: '#9CA3AF', position: 'top' }} />
+              <ReferenceLine x={analysis.revenueMaximizing.price} stroke="#3B82F6" strokeDasharray="4 4" />
+              <ReferenceLine x={analysis.profitMaximizing.price} stroke="#10B981" strokeDasharray="4 4" />
+              <Line type="monotone" dataKey="mrr" name="MRR" stroke="#3B82F6" strokeWidth={3} dot={false} />
+              <Line type="monotone" dataKey="profit" name="Gross Profit" stroke="#10B981" strokeWidth={2} dot={false} />
+              <Legend />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </GlassCard>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        {highlights.map(({ label, point, color }) => (
+          <GlassCard key={label} className="py-4">
+            <p className="text-sm text-gray-400">{label}</p>
+            <p className={`text-3xl font-bold ${color}`}>{money(point.price)}</p>
+            <div className="mt-3 space-y-1 text-sm text-gray-300">
+              <p>MRR: {money(point.mrr)}</p>
+              <p>Gross profit: {money(point.profit)}</p>
+              <p>Conversion: {point.conversionRate}%</p>
+              <p>Monthly churn: {point.churnRate}%</p>
+              <p>Customers: {Math.round(point.customers).toLocaleString()}</p>
+            </div>
+            {point.atBoundary && (
+              <p className="mt-3 text-xs text-yellow-400">
+                Optimum sits at the edge of the simulated range — demand may be less elastic than modelled.
+              </p>
+            )}
+          </GlassCard>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+import { useState, useMemo } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import GlassCard from './ui/GlassCard';
+import { comparePricingModels } from '@shared/pricingModels';
+import { formatMoney } from '@shared/currency';
+
+const MODEL_PRESETS = [
+  {
+    id: 'flat',
+    name: 'Flat',
+    params: [{ key: 'price', label: 'Price / customer' }],
+    defaults: ({ price }) => ({ price }),
+    build: (p) => ({ type: 'flat', price: p.price })
+  },
+  {
+    id: 'perSeat',
+    name: 'Per Seat',
+    params: [
+      { key: 'pricePerSeat', label: 'Price / seat' },
+      { key: 'minimumSeats', label: 'Minimum seats' }
+    ],
+    defaults: ({ price, seats }) => ({ pricePerSeat: +(price / seats).toFixed(2), minimumSeats: 1 }),
+    build: (p) => ({ type: 'perSeat', pricePerSeat: p.pricePerSeat, minimumSeats: p.minimumSeats })
+  },
+  {
+    id: 'graduated',
+    name: 'Metered (graduated)',
+    params: [
+      { key: 'unitPrice', label: 'Unit price' },
+      { key: 'breakpoint', label: 'Discount after (units)' },
+      { key: 'discountedUnitPrice', label: 'Discounted unit price' }
+    ],
+    defaults: ({ price, usage }) => ({
+      unitPrice: +(price / usage).toFixed(4),
+      breakpoint: usage,
+      discountedUnitPrice: +((price / usage) * 0.6).toFixed(4)
+    }),
+    build: (p) => ({
+      type: 'metered',
+      mode: 'graduated',
+      tiers: [
+        { upTo: p.breakpoint, unitPrice: p.unitPrice },
+        { upTo: null, unitPrice: p.discountedUnitPrice }
+      ]
+    })
+  },
+  {
+    id: 'volume',
+    name: 'Metered (volume)',
+    params: [
+      { key: 'unitPrice', label: 'Unit price' },
+      { key: 'breakpoint', label: 'Discount after (units)' },
+      { key: 'discountedUnitPrice', label: 'Discounted unit price' }
+    ],
+    defaults: ({ price, usage }) => ({
+      unitPrice: +(price / usage).toFixed(4),
+      breakpoint: usage,
+      discountedUnitPrice: +((price / usage) * 0.6).toFixed(4)
+    }),
+    build: (p) => ({
+      type: 'metered',
+      mode: 'volume',
+      tiers: [
+        { upTo: p.breakpoint, unitPrice: p.unitPrice },
+        { upTo: null, unitPrice: p.discountedUnitPrice }
+      ]
+    })
+  },
+  {
+    id: 'hybrid',
+    name: 'Platform + Overage',
+    params: [
+      { key: 'platformFee', label: 'Platform fee' },
+      { key: 'includedUnits', label: 'Included units' },
+      { key: 'overagePrice', label: 'Overage / unit' }
+    ],
+    defaults: ({ price, usage }) => ({
+      platformFee: +(price / 2).toFixed(2),
+      includedUnits: Math.round(usage / 2),
+      overagePrice: +(price / usage).toFixed(4)
+    }),
+    build: (p) => ({
+      type: 'hybrid',
+      platformFee: p.platformFee,
+      includedUnits: p.includedUnits,
+      overage: { mode: 'graduated', tiers: [{ upTo: null, unitPrice: p.overagePrice }] }
+    })
+  },
+  {
+    id: 'credits',
+    name: 'Credit Packs',
+    params: [
+      { key: 'packCredits', label: 'Pack credits' },
+      { key: 'packPrice', label: 'Pack price' },
+      { key: 'bulkCredits', label: 'Bulk pack credits' },
+      { key: 'bulkPrice', label: 'Bulk pack price' }
+    ],
+    defaults: ({ price, usage }) => ({
+      packCredits: Math.max(1, Math.round(usage / 2)),
+      packPrice: +(price * 0.5).toFixed(2),
+      bulkCredits: Math.max(2, usage * 4),
+      bulkPrice: +(price * 3.2).toFixed(2)
+    }),
+    build: (p) => ({
+      type: 'creditPacks',
+      packs: [
+        { credits: p.packCredits, price: p.packPrice },
+        { credits: p.bulkCredits, price: p.bulkPrice }
+      ]
+    })
+  }
+];
+
+// Every preset starts out charging the median customer today's price
+const calibrate = (price, usage, seats) =>
+  Object.fromEntries(MODEL_PRESETS.map((preset) => [preset.id, preset.defaults({ price, usage, seats })]));
+
+export default function PricingModelComparison({ inputs }) {
+  const money = (value) => formatMoney(value, inputs.currency, { decimals: 0 });
+  const [distribution, setDistribution] = useState({ medianUsage: 1000, usageSpread: 1, medianSeats: 5 });
+  const [params, setParams] = useState(() => calibrate(inputs.currentPrice, 1000, 5));
+
+  const comparison = useMemo(() => {
+    try {
+      return {
+        rows: comparePricingModels(
+          MODEL_PRESETS.map((preset) => ({ id: preset.id, name: preset.name, model: preset.build(params[preset.id]) })),
+          { customers: inputs.customers, ...distribution }
+        )
+      };
+    } catch (error) {
+      return { error: error.message, rows: [] };
+    }
+  }, [inputs.customers, distribution, params]);
+
+  const updateDistribution = (key, value) => {
+    setDistribution((prev) => ({ ...prev, [key]: parseFloat(value) || 0 }));
+  };
+
+  const updateParam = (presetId, key, value) => {
+    setParams((prev) => ({ ...prev, [presetId]: { ...prev[presetId], [key]: parseFloat(value) || 0 } }));
+  };
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <div className="flex flex-wrap items-end gap-6">
+          {[
+            { key: 'medianUsage', label: 'Median Usage (units/mo)' },
+            { key: 'usageSpread', label: 'Usage Spread', step: 0.1 },
+            { key: 'medianSeats', label: 'Median Seats' }
+          ].map((field) => (
+            <label key={field.key} className="block">
+              <span className="text-sm font-semibold text-neutral-300">{field.label}</span>
+              <input
+                type="number"
+                min="0"
+                step={field.step ?? 1}
+                value={distribution[field.key]}
+                onChange={(e) => updateDistribution(field.key, e.target.value)}
+                className="input w-40 mt-2 block"
+              />
+            </label>
+          ))}
+          <button
+            onClick={() => setParams(calibrate(inputs.currentPrice, distribution.medianUsage || 1, distribution.medianSeats || 1))}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-white/5 text-gray-300 hover:bg-white/10"
+          >
+            Recalibrate to {formatMoney(inputs.currentPrice, inputs.currency)} per median customer
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Usage is log-normal around the median; a spread of 1 means the top 10% use roughly 13x the bottom 10%.
+        </p>
+      </GlassCard>
+
+      {comparison.error ? (
+        <GlassCard className="border-l-4 border-yellow-500">
+          <p className="text-yellow-400">{comparison.error}</p>
+        </GlassCard>
+      ) : (
+        <>
+          <GlassCard>
+            <h3 className="text-xl font-semibold text-white mb-4">MRR by Pricing Model</h3>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={comparison.rows}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                  <XAxis dataKey="name" stroke="#666" />
+                  <YAxis stroke="#666" tickFormatter={money} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px'
+                    }}
+                    formatter={(value) => money(value)}
+                  />
+                  <Bar dataKey="mrr" name="MRR" fill="#3B82F6" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </GlassCard>
+
+          <GlassCard className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-400 border-b border-white/10">
+                  <th className="py-2">Model</th>
+                  <th className="py-2 text-right">MRR</th>
+                  <th className="py-2 text-right">vs. Flat</th>
+                  <th className="py-2 text-right">Median Bill</th>
+                  <th className="py-2 text-right">Largest Bill</th>
+                  <th className="py-2 text-right">Top 10% Share</th>
+                  <th className="py-2 text-right">Gini</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map((row) => (
+                  <tr key={row.id} className="border-b border-white/5 text-gray-300">
+                    <td className="py-2">{row.name}</td>
+                    <td className="py-2 text-right">{money(row.mrr)}</td>
+                    <td className={`py-2 text-right ${row.mrrChange >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {row.mrrChange > 0 ? '+' : ''}{row.mrrChange}%
+                    </td>
+                    <td className="py-2 text-right">{money(row.medianBill)}</td>
+                    <td className="py-2 text-right">{money(row.maxBill)}</td>
+                    <td className="py-2 text-right">{row.concentration.top10Share}%</td>
+                    <td className="py-2 text-right">{row.concentration.gini}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </GlassCard>
+        </>
+      )}
+
+      <div className="grid md:grid-cols-3 gap-4">
+        {MODEL_PRESETS.map((preset) => (
+          <GlassCard key={preset.id}>
+            <h4 className="font-semibold text-white mb-3">{preset.name}</h4>
+            <div className="space-y-2">
+              {preset.params.map((param) => (
+                <label key={param.key} className="flex items-center justify-between gap-3 text-sm text-gray-400">
+                  {param.label}
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={params[preset.id][param.key]}
+                    onChange={(e) => updateParam(preset.id, param.key, e.target.value)}
+                    className="input w-28"
+                  />
+                </label>
+              ))}
+            </div>
+          </GlassCard>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,47 +1,30 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import GlassCard from './ui/GlassCard';
 import Button from './ui/Button';
 import toast from 'react-hot-toast';
+import { useReferralProgram } from '../hooks/useReferralProgram';
+import { formatMoney } from '@shared/currency';
+import { REFERRAL_PROGRAM } from '@shared/referrals';
 
-export default function ReferralProgram() {
-  const [referralCode, setReferralCode] = useState('');
-  const [referralStats, setReferralStats] = useState({
-    clicks: 0,
-    signups: 0,
-    purchases: 0,
-    earned: 0
-  });
-  const [showShareModal, setShowShareModal] = useState(false);
+const DISCOUNT = formatMoney(REFERRAL_PROGRAM.refereeDiscountCents / 100);
+const COMMISSION = `${Math.round(REFERRAL_PROGRAM.commissionRate * 100)}%`;
 
-  useEffect(() => {
-    // Generate or retrieve referral code
-    let code = localStorage.getItem('referral_code');
-    if (!code) {
-      code = generateReferralCode();
-      localStorage.setItem('referral_code', code);
-    }
-    setReferralCode(code);
+const formatCents = (cents, currency) => formatMoney(cents / 100, currency?.toUpperCase());
 
-    // Load stats (in production, fetch from backend)
-    const stats = localStorage.getItem('referral_stats');
-    if (stats) {
-      setReferralStats(JSON.parse(stats));
-    }
-  }, []);
+const STATUS_STYLES = {
+  PENDING: 'text-yellow-400',
+  APPROVED: 'text-blue-400',
+  PAID: 'text-primary',
+  REJECTED: 'text-red-400'
+};
 
-  const generateReferralCode = () => {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    for (let i = 0; i < 8; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
-  };
+export default function ReferralProgram() {
+  const { isSignedIn, summary, isLoading, error } = useReferralProgram();
+  const [showShareModal, setShowShareModal] = useState(false);
 
-  const getReferralLink = () => {
-    return `${window.location.origin}?ref=${referralCode}`;
-  };
+  const getReferralLink = () => summary?.link ?? '';
 
   const copyReferralLink = () => {
     navigator.clipboard.writeText(getReferralLink());
@@ -53,7 +36,7 @@ export default function ReferralProgram() {
       name: 'Twitter',
       icon: '🐦',
       action: () => {
-        const text = encodeURIComponent('Found this amazing SaaS pricing calculator that helped me increase revenue by 47%. Get $20 off:');
+        const text = encodeURIComponent(`Found this amazing SaaS pricing calculator that helped me increase revenue by 47%. Get ${DISCOUNT} off:`);
         const url = encodeURIComponent(getReferralLink());
         window.open(`https://twitter.com/intent/tweet?text=${text}&url=${url}`, '_blank');
       }
@@ -70,8 +53,8 @@ export default function ReferralProgram() {
       name: 'Email',
       icon: '📧',
       action: () => {
-        const subject = encodeURIComponent('SaaS Pricing Calculator - Get $20 Off');
-        const body = encodeURIComponent(`Hey,\n\nI've been using this SaaS pricing calculator and it helped me realize I was underpricing by 40%!\n\nYou can get $20 off with my referral link: ${getReferralLink()}\n\nDefinitely worth checking out if you're in SaaS.`);
+        const subject = encodeURIComponent(`SaaS Pricing Calculator - Get ${DISCOUNT} Off`);
+        const body = encodeURIComponent(`Hey,\n\nI've been using this SaaS pricing calculator and it helped me realize I was underpricing by 40%!\n\nYou can get ${DISCOUNT} off with my referral link: ${getReferralLink()}\n\nDefinitely worth checking out if you're in SaaS.`);
         window.location.href = `mailto:?subject=${subject}&body=${body}`;
       }
     },
@@ -82,6 +65,9 @@ export default function ReferralProgram() {
     }
   ];
 
+  const stats = summary?.stats;
+  const earned = stats ? stats.pending + stats.approved + stats.paid : 0;
+
   return (
     <>
       <div className="space-y-8">
@@ -89,58 +75,99 @@ export default function ReferralProgram() {
         <div className="text-center">
           <h2 className="text-3xl font-bold mb-4">Referral Program</h2>
           <p className="text-secondary/80 max-w-2xl mx-auto">
-            Give $20, Get $20. Share your referral link and earn rewards for every purchase.
+            Give {DISCOUNT}, get {COMMISSION}. Your friends save {DISCOUNT} and you earn {COMMISSION} of their first payment.
           </p>
         </div>
 
-        {/* Stats Overview */}
-        <div className="grid md:grid-cols-4 gap-6">
-          <GlassCard className="p-6 text-center">
-            <p className="text-sm text-secondary/60 mb-2">Link Clicks</p>
-            <p className="text-3xl font-bold">{referralStats.clicks}</p>
-          </GlassCard>
-          <GlassCard className="p-6 text-center">
-            <p className="text-sm text-secondary/60 mb-2">Sign-ups</p>
-            <p className="text-3xl font-bold">{referralStats.signups}</p>
-          </GlassCard>
-          <GlassCard className="p-6 text-center">
-            <p className="text-sm text-secondary/60 mb-2">Purchases</p>
-            <p className="text-3xl font-bold">{referralStats.purchases}</p>
+        {!isSignedIn ? (
+          <GlassCard className="p-8 text-center">
+            <h3 className="text-xl font-semibold mb-2">Get Your Referral Link</h3>
+            <p className="text-secondary/80 mb-6">Sign in to get your link and track your commissions.</p>
+            <Link to="/login">
+              <Button>Sign In</Button>
+            </Link>
           </GlassCard>
-          <GlassCard className="p-6 text-center border-primary/30">
-            <p className="text-sm text-secondary/60 mb-2">Earned</p>
-            <p className="text-3xl font-bold text-primary">${referralStats.earned}</p>
+        ) : !summary ? (
+          <GlassCard className="p-8 text-center text-secondary/80">
+            {isLoading ? 'Loading your referral program...' : error}
           </GlassCard>
-        </div>
+        ) : (
+          <>
+            {/* Stats Overview */}
+            <div className="grid md:grid-cols-4 gap-6">
+              <GlassCard className="p-6 text-center">
+                <p className="text-sm text-secondary/60 mb-2">Link Clicks</p>
+                <p className="text-3xl font-bold">{stats.clicks}</p>
+              </GlassCard>
+              <GlassCard className="p-6 text-center">
+                <p className="text-sm text-secondary/60 mb-2">Sign-ups</p>
+                <p className="text-3xl font-bold">{stats.signups}</p>
+              </GlassCard>
+              <GlassCard className="p-6 text-center">
+                <p className="text-sm text-secondary/60 mb-2">Purchases</p>
+                <p className="text-3xl font-bold">{stats.conversions}</p>
+              </GlassCard>
+              <GlassCard className="p-6 text-center border-primary/30">
+                <p className="text-sm text-secondary/60 mb-2">Earned</p>
+                <p className="text-3xl font-bold text-primary">{formatCents(earned)}</p>
+                <p className="text-xs text-secondary/60 mt-1">{formatCents(stats.paid)} paid out</p>
+              </GlassCard>
+            </div>
 
-        {/* Referral Link */}
-        <GlassCard className="p-8">
-          <h3 className="text-xl font-semibold mb-4">Your Referral Link</h3>
-          <div className="bg-dark/50 rounded-lg p-4 mb-6 flex items-center justify-between">
-            <code className="text-sm text-primary break-all">{getReferralLink()}</code>
-            <Button
-              size="sm"
-              variant="secondary"
-              onClick={copyReferralLink}
-              className="ml-4 flex-shrink-0"
-            >
-              Copy
-            </Button>
-          </div>
-          
-          <div className="flex flex-wrap gap-3 justify-center">
-            {shareOptions.map((option) => (
-              <Button
-                key={option.name}
-                variant="secondary"
-                onClick={option.action}
-              >
-                <span className="mr-2">{option.icon}</span>
-                {option.name}
-              </Button>
-            ))}
-          </div>
-        </GlassCard>
+            {/* Referral Link */}
+            <GlassCard className="p-8">
+              <h3 className="text-xl font-semibold mb-4">Your Referral Link</h3>
+              <div className="bg-dark/50 rounded-lg p-4 mb-6 flex items-center justify-between">
+                <code className="text-sm text-primary break-all">{getReferralLink()}</code>
+                <Button
+                  size="sm"
+                  variant="secondary"
+                  onClick={copyReferralLink}
+                  className="ml-4 flex-shrink-0"
+                >
+                  Copy
+                </Button>
+              </div>
+
+              <div className="flex flex-wrap gap-3 justify-center">
+                {shareOptions.map((option) => (
+                  <Button
+                    key={option.name}
+                    variant="secondary"
+                    onClick={option.action}
+                  >
+                    <span className="mr-2">{option.icon}</span>
+                    {option.name}
+                  </Button>
+                ))}
+              </div>
+            </GlassCard>
+
+            {/* Commission Ledger */}
+            {summary.commissions.length > 0 && (
+              <GlassCard className="p-8">
+                <h3 className="text-xl font-semibold mb-4">Commissions</h3>
+                <div className="space-y-2">
+                  {summary.commissions.map((commission) => (
+                    <div key={commission.id} className="bg-dark/50 rounded-lg p-4 flex items-center justify-between">
+                      <div>
+                        <p className="font-medium">{formatCents(commission.amount, commission.currency)}</p>
+                        <p className="text-sm text-secondary/60">
+                          {new Date(commission.createdAt).toLocaleDateString()}
+                          {commission.status === 'PENDING' &&
+                            ` · approved after ${new Date(commission.availableAt).toLocaleDateString()}`}
+                        </p>
+                      </div>
+                      <span className={`text-sm font-semibold ${STATUS_STYLES[commission.status]}`}>
+                        {commission.status.toLowerCase()}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </GlassCard>
+            )}
+          </>
+        )}
 
         {/* How It Works */}
         <GlassCard className="p-8">
@@ -159,18 +186,18 @@ export default function ReferralProgram() {
               <div className="w-16 h-16 bg-primary/20 rounded-full flex items-center justify-center mx-auto mb-4">
                 <span className="text-2xl">2️⃣</span>
               </div>
-              <h4 className="font-semibold mb-2">They Get $20 Off</h4>
+              <h4 className="font-semibold mb-2">They Get {DISCOUNT} Off</h4>
               <p className="text-sm text-secondary/80">
-                Your referrals save $20 on their purchase (automatic discount)
+                Your referrals save {DISCOUNT} on their first payment (automatic discount)
               </p>
             </div>
             <div className="text-center">
               <div className="w-16 h-16 bg-primary/20 rounded-full flex items-center justify-center mx-auto mb-4">
                 <span className="text-2xl">3️⃣</span>
               </div>
-              <h4 className="font-semibold mb-2">You Earn $20</h4>
+              <h4 className="font-semibold mb-2">You Earn {COMMISSION}</h4>
               <p className="text-sm text-secondary/80">
-                Get $20 credit for each successful referral (no limit!)
+                Earn {COMMISSION} of each referral's first payment (no limit!)
               </p>
             </div>
           </div>
@@ -185,7 +212,7 @@ export default function ReferralProgram() {
               <div className="bg-dark/50 rounded-lg p-4 text-sm text-secondary/80">
                 Hey [Name],<br/><br/>
                 Quick tip - I just discovered I was underpricing my SaaS by 40% using this calculator.<br/><br/>
-                You get $20 off with my link: {getReferralLink()}<br/><br/>
+                You get {DISCOUNT} off with my link: {getReferralLink() || '[your link]'}<br/><br/>
                 Takes 5 minutes and could increase your revenue significantly.
               </div>
             </div>
@@ -198,7 +225,7 @@ export default function ReferralProgram() {
                 We were charging $49/month for our SaaS. After using this pricing calculator, we realized we should be charging $89. 
                 We raised prices and actually REDUCED churn because we attracted better customers.<br/><br/>
                 The calculator analyzes your competitors, features, and market position to find your optimal price.<br/><br/>
-                Here's $20 off if you want to try it: {getReferralLink()}<br/><br/>
+                Here's {DISCOUNT} off if you want to try it: {getReferralLink() || '[your link]'}<br/><br/>
                 It's a one-time purchase (not another subscription) and takes about 5 minutes.<br/><br/>
                 Let me know if you have questions!
               </div>
@@ -208,8 +235,11 @@ export default function ReferralProgram() {
 
         {/* Terms */}
         <div className="text-center text-sm text-secondary/50">
-          <p>Referral credits can be used for future purchases or cashed out monthly.</p>
-          <p>Minimum payout: $100. Terms and conditions apply.</p>
+          <p>
+            Sign-ups count for {REFERRAL_PROGRAM.attributionWindowDays} days after someone follows your link.
+            Commissions are held for {REFERRAL_PROGRAM.holdDays} days in case of refunds, then approved and paid monthly.
+          </p>
+          <p>Self-referrals don't earn commission. Terms and conditions apply.</p>
         </div>
       </div>
 
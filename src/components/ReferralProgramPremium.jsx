@@ -1,92 +1,51 @@
 import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { trackEvent } from '../utils/analytics';
-import confetti from 'canvas-confetti';
+import { useReferralProgram } from '../hooks/useReferralProgram';
+import { formatMoney } from '@shared/currency';
+import { REFERRAL_PROGRAM } from '@shared/referrals';
+
+const DISCOUNT = formatMoney(REFERRAL_PROGRAM.refereeDiscountCents / 100);
+const COMMISSION = `${Math.round(REFERRAL_PROGRAM.commissionRate * 100)}%`;
+
+const formatCents = (cents) => formatMoney(cents / 100);
+
+const REFERRAL_STATUS_LABELS = {
+  SIGNED_UP: 'signed up',
+  CONVERTED: 'purchased',
+  REJECTED: 'not eligible'
+};
 
 export default function ReferralProgramPremium() {
+  const navigate = useNavigate();
   const [isOpen, setIsOpen] = useState(false);
-  const [referralCode, setReferralCode] = useState('');
-  const [referralUrl, setReferralUrl] = useState('');
-  const [referrals, setReferrals] = useState([]);
-  const [earnings, setEarnings] = useState(0);
   const [copied, setCopied] = useState(false);
-  const [email, setEmail] = useState('');
-  const [isGenerating, setIsGenerating] = useState(false);
 
-  // Commission structure
-  const COMMISSION_RATE = 0.30; // 30% commission
-  const TIERS = {
-    starter: { price: 99, commission: 30 },
-    professional: { price: 199, commission: 60 },
-    enterprise: { price: 499, commission: 150 }
-  };
+  // Opening the program is what creates a referral code, so wait until then
+  const { isSignedIn, summary, isLoading, error } = useReferralProgram({ enabled: isOpen });
+  const referralCode = summary?.code ?? '';
+  const referralUrl = summary?.link ?? '';
+  const stats = summary?.stats;
+  const earnings = stats ? stats.pending + stats.approved + stats.paid : 0;
 
   useEffect(() => {
-    // Load existing referral data
-    const userData = localStorage.getItem('referral_data');
-    if (userData) {
-      const data = JSON.parse(userData);
-      setReferralCode(data.code);
-      setReferralUrl(data.url);
-      setReferrals(data.referrals || []);
-      setEarnings(data.earnings || 0);
-      setEmail(data.email || '');
-    }
-
     // Check if should auto-show based on purchase
     const hasPurchased = localStorage.getItem('purchase_completed');
     const hasSeenReferral = sessionStorage.getItem('referral_program_seen');
     
     if (hasPurchased && !hasSeenReferral) {
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         setIsOpen(true);
         sessionStorage.setItem('referral_program_seen', 'true');
       }, 15000); // Show 15 seconds after purchase
+      return () => clearTimeout(timer);
     }
   }, []);
 
-  const generateReferralCode = async () => {
-    setIsGenerating(true);
-    
-    try {
-      // Generate unique code
-      const code = 'REF' + Math.random().toString(36).substring(2, 8).toUpperCase();
-      const url = `${window.location.origin}?ref=${code}`;
-      
-      // Save referral data
-      const referralData = {
-        code,
-        url,
-        email,
-        createdAt: new Date().toISOString(),
-        referrals: [],
-        earnings: 0
-      };
-      
-      localStorage.setItem('referral_data', JSON.stringify(referralData));
-      
-      setReferralCode(code);
-      setReferralUrl(url);
-      
-      // Track event
-      trackEvent('referral_program_joined', {
-        code,
-        email
-      });
-      
-      // Celebrate!
-      confetti({
-        particleCount: 100,
-        spread: 70,
-        origin: { y: 0.6 },
-        colors: ['#10b981', '#3b82f6', '#f59e0b']
-      });
-      
-    } catch (error) {
-      console.error('Error generating referral code:', error);
-    } finally {
-      setIsGenerating(false);
-    }
+  const signIn = () => {
+    setIsOpen(false);
+    navigate('/login');
   };
 
   const copyToClipboard = async (text, type) => {
@@ -107,7 +66,7 @@ export default function ReferralProgramPremium() {
 
   const shareOnSocial = (platform) => {
     const message = encodeURIComponent(
-      `I saved 30% on my SaaS pricing strategy using this calculator! Use my code ${referralCode} for 20% off: `
+      `I saved 30% on my SaaS pricing strategy using this calculator! Use my code ${referralCode} for ${DISCOUNT} off: `
     );
     
     const urls = {
@@ -124,13 +83,6 @@ export default function ReferralProgramPremium() {
     });
   };
 
-  // Simulated referral data for demonstration
-  const mockReferrals = [
-    { name: 'John D.', tier: 'professional', date: '2 days ago', commission: 60, status: 'paid' },
-    { name: 'Sarah M.', tier: 'starter', date: '5 days ago', commission: 30, status: 'paid' },
-    { name: 'Mike R.', tier: 'enterprise', date: '1 week ago', commission: 150, status: 'pending' }
-  ];
-
   return (
     <>
       {/* Floating button */}
@@ -144,10 +96,10 @@ export default function ReferralProgramPremium() {
         whileTap={{ scale: 0.95 }}
       >
         <span className="text-xl">💰</span>
-        <span className="font-bold">Earn 30% Commission</span>
+        <span className="font-bold">Earn {COMMISSION} Commission</span>
         {earnings > 0 && (
           <span className="bg-white/20 px-2 py-1 rounded-full text-sm">
-            ${earnings}
+            {formatCents(earnings)}
           </span>
         )}
       </motion.button>
@@ -200,30 +152,16 @@ export default function ReferralProgramPremium() {
                     </motion.div>
                     
                     <h2 className="text-3xl font-bold text-white mb-2">
-                      Earn 30% Commission
+                      Earn {COMMISSION} Commission
                     </h2>
                     <p className="text-gray-300">
                       Share the SaaS Calculator and earn for every sale
                     </p>
                   </div>
 
-                  {!referralCode ? (
-                    // Generate referral code form
-                    <form onSubmit={(e) => { e.preventDefault(); generateReferralCode(); }} className="space-y-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-300 mb-2">
-                          Your Email (for commission payments)
-                        </label>
-                        <input
-                          type="email"
-                          value={email}
-                          onChange={(e) => setEmail(e.target.value)}
-                          placeholder="your@email.com"
-                          className="w-full px-4 py-3 bg-black/50 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20"
-                          required
-                        />
-                      </div>
-
+                  {!summary ? (
+                    // Sign in, or wait for the referral code
+                    <div className="space-y-4">
                       <div className="bg-black/30 rounded-xl p-4">
                         <h3 className="text-white font-semibold mb-3">How it works:</h3>
                         <div className="space-y-2">
@@ -233,23 +171,26 @@ export default function ReferralProgramPremium() {
                           </div>
                           <div className="flex items-start gap-3">
                             <span className="text-purple-400 mt-1">2.</span>
-                            <span className="text-gray-300">Share with your network</span>
+                            <span className="text-gray-300">Share with your network; they get {DISCOUNT} off</span>
                           </div>
                           <div className="flex items-start gap-3">
                             <span className="text-purple-400 mt-1">3.</span>
-                            <span className="text-gray-300">Earn 30% on every sale ($30-$150 per sale)</span>
+                            <span className="text-gray-300">Earn {COMMISSION} of every referral's first payment</span>
                           </div>
                         </div>
                       </div>
 
+                      {error && <p className="text-sm text-red-400 text-center">{error}</p>}
+
                       <motion.button
-                        type="submit"
-                        disabled={isGenerating}
+                        type="button"
+                        onClick={signIn}
+                        disabled={isSignedIn}
                         className="w-full py-4 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold rounded-lg shadow-2xl transform transition-all duration-200 disabled:opacity-50"
                         whileHover={{ scale: 1.02 }}
                         whileTap={{ scale: 0.98 }}
                       >
-                        {isGenerating ? (
+                        {isSignedIn && isLoading ? (
                           <span className="flex items-center justify-center gap-2">
                             <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
                               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
@@ -257,11 +198,13 @@ export default function ReferralProgramPremium() {
                             </svg>
                             Generating Your Link...
                           </span>
+                        ) : isSignedIn ? (
+                          'Referral program unavailable'
                         ) : (
-                          'Get My Referral Link →'
+                          'Sign In to Get My Referral Link →'
                         )}
                       </motion.button>
-                    </form>
+                    </div>
                   ) : (
                     // Show referral dashboard
                     <div className="space-y-6">
@@ -271,13 +214,14 @@ export default function ReferralProgramPremium() {
                           <div>
                             <p className="text-gray-400 text-sm">Total Earnings</p>
                             <p className="text-3xl font-bold text-white">
-                              ${earnings > 0 ? earnings : mockReferrals.reduce((sum, r) => sum + r.commission, 0)}
+                              {formatCents(earnings)}
                             </p>
+                            <p className="text-xs text-gray-400">{formatCents(stats.paid)} paid out</p>
                           </div>
                           <div className="text-right">
                             <p className="text-gray-400 text-sm">Referrals</p>
                             <p className="text-2xl font-bold text-purple-400">
-                              {referrals.length > 0 ? referrals.length : mockReferrals.length}
+                              {stats.signups}
                             </p>
                           </div>
                         </div>
@@ -358,42 +302,42 @@ export default function ReferralProgramPremium() {
                       <div>
                         <h3 className="text-white font-semibold mb-3">Recent Referrals</h3>
                         <div className="space-y-2">
-                          {(referrals.length > 0 ? referrals : mockReferrals).map((referral, index) => (
-                            <div key={index} className="bg-black/30 rounded-lg p-3 flex items-center justify-between">
+                          {summary.referrals.length === 0 && (
+                            <p className="text-gray-400 text-sm">No referrals yet. Share your link to get started.</p>
+                          )}
+                          {summary.referrals.map((referral) => (
+                            <div key={referral.id} className="bg-black/30 rounded-lg p-3 flex items-center justify-between">
                               <div>
-                                <p className="text-white font-medium">{referral.name}</p>
+                                <p className="text-white font-medium">{referral.name ?? referral.email}</p>
                                 <p className="text-gray-400 text-sm">
-                                  {referral.tier} • {referral.date}
+                                  {new Date(referral.createdAt).toLocaleDateString()}
                                 </p>
                               </div>
-                              <div className="text-right">
-                                <p className="text-emerald-400 font-bold">+${referral.commission}</p>
-                                <p className="text-xs text-gray-400">{referral.status}</p>
-                              </div>
+                              <p className="text-xs text-gray-400">{REFERRAL_STATUS_LABELS[referral.status]}</p>
                             </div>
                           ))}
                         </div>
                       </div>
 
-                      {/* Commission rates */}
+                      {/* Commission terms */}
                       <div className="bg-black/30 rounded-xl p-4">
-                        <h3 className="text-white font-semibold mb-3">Commission Rates</h3>
+                        <h3 className="text-white font-semibold mb-3">Commission</h3>
                         <div className="space-y-2 text-sm">
                           <div className="flex justify-between text-gray-300">
-                            <span>Starter ($99)</span>
-                            <span className="text-emerald-400 font-bold">$30 commission</span>
+                            <span>Each referral's first payment</span>
+                            <span className="text-emerald-400 font-bold">{COMMISSION} commission</span>
                           </div>
                           <div className="flex justify-between text-gray-300">
-                            <span>Professional ($199)</span>
-                            <span className="text-emerald-400 font-bold">$60 commission</span>
+                            <span>Pending approval</span>
+                            <span>{formatCents(stats.pending)}</span>
                           </div>
                           <div className="flex justify-between text-gray-300">
-                            <span>Enterprise ($499)</span>
-                            <span className="text-emerald-400 font-bold">$150 commission</span>
+                            <span>Approved, awaiting payout</span>
+                            <span>{formatCents(stats.approved)}</span>
                           </div>
                         </div>
                         <p className="text-xs text-gray-400 mt-3">
-                          Payments processed monthly via PayPal or bank transfer
+                          Commissions are held for {REFERRAL_PROGRAM.holdDays} days in case of refunds, then paid monthly via PayPal or bank transfer
                         </p>
                       </div>
                     </div>
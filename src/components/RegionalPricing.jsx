@@ -0,0 +1,192 @@
+import { useRef, useState, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_RATES_AS_OF,
+  formatMoney,
+  parseRegionRatesCsv,
+  suggestRegionalPrices
+} from '@shared/currency';
+import { getRegionRates, saveRegionRates, resetRegionRates } from '../utils/regionRates';
+
+// The calculator binds arrow keys to tab switching; keep them on the slider
+const keepArrowKeys = (e) => e.stopPropagation();
+
+export default function RegionalPricing({ results }) {
+  const fileInput = useRef(null);
+  const [rates, setRates] = useState(getRegionRates);
+  const [pppWeight, setPppWeight] = useState(1);
+  const [minimumFactor, setMinimumFactor] = useState(0.25);
+  const [isEditing, setIsEditing] = useState(false);
+
+  const currency = results.inputs.currency ?? DEFAULT_CURRENCY;
+  const columns = useMemo(() => [
+    { label: 'Optimal', price: results.metrics.optimalPrice },
+    ...Object.values(results.tiers).map((tier) => ({ label: tier.name, price: tier.price }))
+  ], [results]);
+
+  const regions = useMemo(() => {
+    try {
+      return { rows: suggestRegionalPrices(columns.map((column) => column.price), currency, rates, { pppWeight, minimumFactor }) };
+    } catch (error) {
+      return { error: error.message, rows: [] };
+    }
+  }, [columns, currency, rates, pppWeight, minimumFactor]);
+
+  const updateRates = (next) => {
+    setRates(next);
+    saveRegionRates(next);
+  };
+
+  const updateRate = (index, key, value) => {
+    updateRates(rates.map((region, i) => (i === index ? { ...region, [key]: parseFloat(value) || 0 } : region)));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseRegionRatesCsv(await file.text());
+      updateRates(imported);
+      toast.success(`Imported rates for ${imported.length} countries`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <div className="flex flex-wrap items-end gap-6">
+          <label className="block flex-1 min-w-[200px]">
+            <span className="text-sm font-semibold text-neutral-300">
+              Follow Purchasing Power: {Math.round(pppWeight * 100)}%
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={pppWeight}
+              onChange={(e) => setPppWeight(parseFloat(e.target.value))}
+              onKeyDown={keepArrowKeys}
+              className="w-full mt-2 accent-primary"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-semibold text-neutral-300">Deepest Discount</span>
+            <select
+              value={minimumFactor}
+              onChange={(e) => setMinimumFactor(parseFloat(e.target.value))}
+              className="input w-40 mt-2 block"
+            >
+              {[0.25, 0.4, 0.5, 0.6, 0.75].map((factor) => (
+                <option key={factor} value={factor}>{Math.round((1 - factor) * 100)}% off</option>
+              ))}
+            </select>
+          </label>
+          <Button variant="secondary" onClick={() => setIsEditing((prev) => !prev)}>
+            {isEditing ? 'Hide Rates' : 'Edit Rates'}
+          </Button>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Prices are converted from {currency} at the table&apos;s exchange rates, discounted toward each country&apos;s
+          price level and rounded to local charm prices. Never priced above a straight conversion.
+        </p>
+      </GlassCard>
+
+      {isEditing && (
+        <GlassCard>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-xl font-semibold text-white">Exchange Rates &amp; PPP</h3>
+              <p className="text-sm text-gray-400">
+                Units per US dollar and price level relative to the US. Bundled figures are from {DEFAULT_RATES_AS_OF}.
+              </p>
+            </div>
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={() => fileInput.current?.click()}>
+                Import CSV
+              </Button>
+              <Button variant="glass" onClick={() => setRates(resetRegionRates())}>
+                Reset
+              </Button>
+            </div>
+            <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-white/10">
+                <th className="py-2">Country</th>
+                <th className="py-2">Currency</th>
+                <th className="py-2">Per USD</th>
+                <th className="py-2">Price Level</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map((region, index) => (
+                <tr key={`${region.country}-${index}`} className="border-b border-white/5 text-gray-300">
+                  <td className="py-2">{region.country}</td>
+                  <td className="py-2">{region.currency}</td>
+                  {['exchangeRate', 'pppFactor'].map((key) => (
+                    <td key={key} className="py-2 pr-3">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={region[key]}
+                        onChange={(e) => updateRate(index, key, e.target.value)}
+                        className="input w-28"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </GlassCard>
+      )}
+
+      {regions.error ? (
+        <GlassCard className="border-l-4 border-yellow-500">
+          <p className="text-yellow-400">{regions.error}. Add it to the rate table to localise from {currency}.</p>
+        </GlassCard>
+      ) : (
+        <GlassCard className="overflow-x-auto">
+          <h3 className="text-xl font-semibold text-white mb-4">Suggested Regional Prices</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-white/10">
+                <th className="py-2">Country</th>
+                <th className="py-2 text-right">Adjustment</th>
+                {columns.map((column) => (
+                  <th key={column.label} className="py-2 text-right">{column.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {regions.rows.map((region, index) => (
+                <tr key={`${region.country}-${index}`} className="border-b border-white/5 text-gray-300">
+                  <td className="py-2">{region.country}</td>
+                  <td className={`py-2 text-right ${region.adjustment < 1 ? 'text-green-400' : ''}`}>
+                    {region.adjustment < 1 ? `-${Math.round((1 - region.adjustment) * 100)}%` : '—'}
+                  </td>
+                  {region.prices.map((price, column) => (
+                    <td key={column} className="py-2 text-right">
+                      <span className="text-white font-semibold">{formatMoney(price.suggested, region.currency)}</span>
+                      <span className="block text-xs text-gray-500">{formatMoney(price.converted, region.currency)}</span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </GlassCard>
+      )}
+    </div>
+  );
+}
@@ -9,6 +9,7 @@ import {
 import GlassCard from './ui/GlassCard';
 import Button from './ui/Button';
 import toast from 'react-hot-toast';
+import { formatMoney } from '@shared/currency';
 
 export default function SavedCalculations({ onLoad }) {
   const [calculations, setCalculations] = useState([]);
@@ -166,7 +167,7 @@ export default function SavedCalculations({ onLoad }) {
                         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                         </svg>
-                        ${calc.inputs.currentPrice}/mo → ${calc.results?.pricingTiers?.basic?.price || 'N/A'}/mo
+                        {formatMoney(calc.inputs.currentPrice, calc.inputs.currency)}/mo → {calc.results?.metrics ? formatMoney(calc.results.metrics.optimalPrice, calc.inputs.currency) : 'N/A'}/mo
                       </span>
                     </div>
 
@@ -0,0 +1,265 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { formatMoney } from '@shared/currency';
+import { formatComparisonValue, SCENARIO_SET_SIZE } from '@shared/scenarioSets';
+import useScenarioStore from '../stores/scenarioStore';
+
+const SCENARIO_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4'];
+
+const formatChange = (delta) => {
+  if (!delta || delta.percentChange === null) return null;
+  const sign = delta.percentChange > 0 ? '+' : '';
+  return `${sign}${delta.percentChange}%`;
+};
+
+// Whether a change from the baseline is good news for this metric
+const changeTone = (metric, delta) => {
+  if (!delta || delta.delta === 0 || !metric.better) return 'text-muted';
+  const improved = metric.better === 'higher' ? delta.delta > 0 : delta.delta < 0;
+  return improved ? 'text-green-500' : 'text-red-500';
+};
+
+/**
+ * One scenario set: the metric grid against the baseline, the overlaid ARR
+ * projection and the winner of each metric, with PDF/XLSX export.
+ */
+export default function ScenarioComparison({ setId, onClose }) {
+  const {
+    currentSet,
+    isLoadingSet,
+    fetchScenarioSet,
+    updateScenarioSet,
+    deleteScenarioSet,
+    exportScenarioSet,
+    clearCurrentSet
+  } = useScenarioStore();
+
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    fetchScenarioSet(setId);
+    return () => clearCurrentSet();
+  }, [setId, fetchScenarioSet, clearCurrentSet]);
+
+  const comparison = currentSet?.comparison;
+  const names = new Map(comparison?.scenarios.map((scenario) => [scenario.id, scenario.name]) ?? []);
+  const winnerIds = new Map(comparison?.winners.map((winner) => [winner.metric, winner.scenarioIds]) ?? []);
+  const money = (value) => formatMoney(value, comparison?.currency, { decimals: 0 });
+
+  const runUpdate = async (updates) => {
+    setIsWorking(true);
+    await updateScenarioSet(setId, updates);
+    setIsWorking(false);
+  };
+
+  const handleRemove = (calculationId) => {
+    runUpdate({ calculationIds: currentSet.scenarios.map((scenario) => scenario.id).filter((id) => id !== calculationId) });
+  };
+
+  const handleExport = async (format) => {
+    setIsWorking(true);
+    await exportScenarioSet(setId, format);
+    setIsWorking(false);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the scenario set "${currentSet.name}"? The calculations are kept.`)) return;
+    if (await deleteScenarioSet(setId)) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="glass-card w-full max-w-6xl max-h-[90vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold">Scenario comparison</h2>
+            <p className="text-muted">{currentSet?.name}</p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleExport('pdf')}
+              disabled={!comparison || isWorking}
+              className="py-2 px-4 bg-primary/10 text-primary rounded-lg hover:bg-primary/20 transition-colors disabled:opacity-50"
+            >
+              PDF
+            </button>
+            <button
+              onClick={() => handleExport('excel')}
+              disabled={!comparison || isWorking}
+              className="py-2 px-4 bg-primary/10 text-primary rounded-lg hover:bg-primary/20 transition-colors disabled:opacity-50"
+            >
+              XLSX
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={!currentSet || isWorking}
+              className="p-2 bg-white/5 rounded-lg hover:bg-red-500/20 hover:text-red-500 transition-colors disabled:opacity-50"
+              title="Delete scenario set"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+            </button>
+            <button onClick={onClose} className="p-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors" aria-label="Close">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {isLoadingSet ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary"></div>
+          </div>
+        ) : comparison && (
+          <>
+            {/* Baseline */}
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+              <span className="text-muted">Baseline</span>
+              <select
+                value={comparison.baselineId}
+                onChange={(e) => runUpdate({ baselineId: e.target.value })}
+                disabled={isWorking}
+                className="px-3 py-2 bg-white/5 border border-gray-600 rounded-lg"
+              >
+                {comparison.scenarios.map((scenario) => (
+                  <option key={scenario.id} value={scenario.id}>{scenario.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Comparison grid */}
+            <div className="overflow-x-auto mb-8">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr>
+                    <th className="py-2 pr-4 text-left text-muted font-medium">Metric</th>
+                    {comparison.scenarios.map((scenario, index) => (
+                      <th key={scenario.id} className="py-2 pr-4 text-left font-semibold">
+                        <div className="flex items-center gap-2">
+                          <span className="w-3 h-3 rounded-full" style={{ backgroundColor: SCENARIO_COLORS[index % SCENARIO_COLORS.length] }}></span>
+                          <span>{scenario.name}</span>
+                          {scenario.baseline && (
+                            <span className="px-2 py-0.5 bg-primary/20 text-primary text-xs rounded-full">Baseline</span>
+                          )}
+                          {comparison.scenarios.length > SCENARIO_SET_SIZE.min && (
+                            <button
+                              onClick={() => handleRemove(scenario.id)}
+                              disabled={isWorking}
+                              className="text-muted hover:text-red-500 disabled:opacity-50"
+                              title="Remove from set"
+                            >
+                              ×
+                            </button>
+                          )}
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.metrics.map((metric) => (
+                    <tr key={metric.key} className="border-t border-gray-700">
+                      <td className="py-2 pr-4 text-muted">{metric.label}</td>
+                      {comparison.scenarios.map((scenario) => {
+                        const delta = scenario.deltas[metric.key];
+                        const won = winnerIds.get(metric.key)?.includes(scenario.id);
+                        return (
+                          <td key={scenario.id} className={`py-2 pr-4 ${won ? 'text-green-500 font-semibold' : ''}`}>
+                            {formatComparisonValue(scenario.values[metric.key], metric.unit, comparison.currency)}
+                            {formatChange(delta) && (
+                              <span className={`ml-2 text-xs ${changeTone(metric, delta)}`}>{formatChange(delta)}</span>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              {/* Overlaid projection */}
+              <div className="lg:col-span-2">
+                <h4 className="text-sm font-semibold text-muted mb-2">Projected ARR at each scenario's optimal price</h4>
+                <div className="h-72">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={comparison.projection}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                      <XAxis dataKey="month" stroke="#666" label={{ value: 'Months', position: 'insideBottom', offset: -5 }} />
+                      <YAxis stroke="#666" tickFormatter={money} width={80} />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                          border: '1px solid rgba(255, 255, 255, 0.1)',
+                          borderRadius: '8px'
+                        }}
+                        formatter={(value) => money(value)}
+                        labelFormatter={(month) => `Month ${month}`}
+                      />
+                      {comparison.scenarios.map((scenario, index) => (
+                        <Line
+                          key={scenario.id}
+                          type="monotone"
+                          dataKey={(point) => point.arr[scenario.id]}
+                          name={scenario.name}
+                          stroke={SCENARIO_COLORS[index % SCENARIO_COLORS.length]}
+                          strokeWidth={scenario.baseline ? 3 : 2}
+                          strokeDasharray={scenario.baseline ? undefined : '5 3'}
+                          dot={false}
+                        />
+                      ))}
+                      <Legend />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              {/* Winner by metric */}
+              <div>
+                <h4 className="text-sm font-semibold text-muted mb-2">Winner by metric</h4>
+                {comparison.winners.length === 0 ? (
+                  <p className="text-sm text-muted">The scenarios tie on every metric.</p>
+                ) : (
+                  <ul className="space-y-2 text-sm">
+                    {comparison.winners.map((winner) => {
+                      const metric = comparison.metrics.find((entry) => entry.key === winner.metric);
+                      return (
+                        <li key={winner.metric} className="flex justify-between gap-2 p-2 bg-white/5 rounded-lg">
+                          <span className="text-muted">{winner.label}</span>
+                          <span className="text-right">
+                            <span className="font-semibold">{winner.scenarioIds.map((id) => names.get(id)).join(', ')}</span>
+                            <span className="block text-xs text-muted">
+                              {formatComparisonValue(winner.value, metric.unit, comparison.currency)}
+                            </span>
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+import { useMemo, useState } from 'react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+import GlassCard from './ui/GlassCard';
+import { PRICING_INPUT_SCHEMA, DEFAULT_CAC_MULTIPLE } from '@shared/pricingEngine';
+import {
+  DISTRIBUTION_TYPES,
+  MONTE_CARLO_LIMITS,
+  SIMULATION_OUTPUTS,
+  UNCERTAIN_INPUTS,
+  validateDistribution
+} from '@shared/monteCarlo';
+import { formatMoney } from '@shared/currency';
+import { useMonteCarlo } from '../hooks/useMonteCarlo';
+
+const DISTRIBUTION_LABELS = {
+  uniform: 'Range',
+  triangular: 'Triangular',
+  normal: 'Normal',
+  lognormal: 'Lognormal'
+};
+
+const PARAMETERS = {
+  uniform: [['min', 'Min'], ['max', 'Max']],
+  triangular: [['min', 'Min'], ['mode', 'Most likely'], ['max', 'Max']],
+  normal: [['mean', 'Mean'], ['sd', 'Std dev']],
+  lognormal: [['mean', 'Mean'], ['sd', 'Std dev']]
+};
+
+const ITERATION_CHOICES = [500, MONTE_CARLO_LIMITS.defaultIterations, 5000, MONTE_CARLO_LIMITS.maxIterations];
+
+// Inputs most often guessed rather than measured start out switched on
+const DEFAULT_UNCERTAIN = ['churnRate', 'cac', 'expansionRevenue'];
+
+// The calculator binds arrow keys to tab switching; keep them in the fields
+const keepArrowKeys = (e) => e.stopPropagation();
+
+const roundTo = (value) => Math.round(value * 100) / 100;
+
+/** A ±20% spread around the entered value, in the shape of `type` */
+const defaultDistribution = (type, value) => {
+  const base = value > 0 ? value : 1;
+  switch (type) {
+    case 'uniform':
+      return { type, min: roundTo(base * 0.8), max: roundTo(base * 1.2) };
+    case 'triangular':
+      return { type, min: roundTo(base * 0.8), mode: roundTo(base), max: roundTo(base * 1.2) };
+    default:
+      return { type, mean: roundTo(base), sd: roundTo(base * 0.1) };
+  }
+};
+
+const distributionError = (field, distribution) => {
+  try {
+    validateDistribution(field, distribution);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+export default function UncertaintyAnalysis({ inputs, optimalPrice, horizonMonths }) {
+  const money = (value) => formatMoney(value, inputs.currency, { decimals: 0 });
+  const { result, progress, isRunning, error, run, cancel } = useMonteCarlo();
+
+  const baseValue = (field) => (field === 'cac' ? inputs.cac ?? optimalPrice * DEFAULT_CAC_MULTIPLE : inputs[field] ?? 0);
+
+  const [distributions, setDistributions] = useState(() => Object.fromEntries(
+    DEFAULT_UNCERTAIN.map((field) => [field, defaultDistribution('triangular', baseValue(field))])
+  ));
+  const [iterations, setIterations] = useState(MONTE_CARLO_LIMITS.defaultIterations);
+  const [tornadoMetric, setTornadoMetric] = useState('arr');
+
+  const errors = useMemo(() => Object.fromEntries(
+    Object.entries(distributions).map(([field, distribution]) => [field, distributionError(field, distribution)])
+  ), [distributions]);
+  const canRun = Object.keys(distributions).length > 0 && Object.values(errors).every((message) => !message);
+
+  const formatOutput = (key, value) => {
+    if (key === 'arr' || key === 'ltv') return money(value);
+    if (key === 'ltvCacRatio') return `${value.toFixed(1)}:1`;
+    return `${value.toFixed(1)} mo`;
+  };
+
+  const toggleField = (field) => {
+    const { [field]: existing, ...rest } = distributions;
+    setDistributions(existing ? rest : { ...distributions, [field]: defaultDistribution('triangular', baseValue(field)) });
+  };
+
+  const setType = (field, type) => {
+    setDistributions({ ...distributions, [field]: defaultDistribution(type, baseValue(field)) });
+  };
+
+  const setParameter = (field, key, value) => {
+    setDistributions({ ...distributions, [field]: { ...distributions[field], [key]: value === '' ? '' : parseFloat(value) } });
+  };
+
+  // The horizon is read when the run starts; changing it later asks for a re-run
+  const stale = result && result.horizonMonths !== horizonMonths;
+
+  const fanData = result?.fan.map((point) => ({
+    month: point.month,
+    band90: [point.p10, point.p90],
+    band50: [point.p25, point.p75],
+    p50: point.p50,
+    base: point.base
+  }));
+
+  const tornadoData = result?.tornado[tornadoMetric].map((bar) => ({
+    ...bar,
+    range: [Math.min(bar.low, bar.high), Math.max(bar.low, bar.high)]
+  }));
+
+  return (
+    <div className="space-y-6">
+      <GlassCard>
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-semibold text-white">Uncertainty Analysis</h3>
+            <p className="text-sm text-gray-400">
+              Give the inputs you're unsure of a range or distribution, then simulate the spread of outcomes.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={iterations}
+              onChange={(e) => setIterations(Number(e.target.value))}
+              className="input"
+              disabled={isRunning}
+            >
+              {ITERATION_CHOICES.map((count) => (
+                <option key={count} value={count}>{count.toLocaleString()} runs</option>
+              ))}
+            </select>
+            {isRunning ? (
+              <button onClick={cancel} className="px-4 py-2 rounded-lg bg-white/5 text-gray-300 hover:bg-white/10">
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={() => run(inputs, distributions, { iterations, horizonMonths })}
+                disabled={!canRun}
+                className="px-4 py-2 rounded-lg bg-primary text-white font-medium disabled:opacity-50"
+              >
+                Run simulation
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {UNCERTAIN_INPUTS.map((field) => {
+            const distribution = distributions[field];
+            return (
+              <div key={field} className="grid md:grid-cols-12 gap-3 items-center">
+                <label className="md:col-span-3 flex items-center gap-2 text-sm text-neutral-300">
+                  <input type="checkbox" checked={Boolean(distribution)} onChange={() => toggleField(field)} className="accent-primary" />
+                  {PRICING_INPUT_SCHEMA[field].label}
+                  <span className="text-xs text-gray-500">({roundTo(baseValue(field))})</span>
+                </label>
+                {distribution && (
+                  <>
+                    <select
+                      value={distribution.type}
+                      onChange={(e) => setType(field, e.target.value)}
+                      className="input md:col-span-2"
+                    >
+                      {DISTRIBUTION_TYPES.map((type) => (
+                        <option key={type} value={type}>{DISTRIBUTION_LABELS[type]}</option>
+                      ))}
+                    </select>
+                    <div className="md:col-span-7 flex flex-wrap gap-2">
+                      {PARAMETERS[distribution.type].map(([key, label]) => (
+                        <label key={key} className="flex items-center gap-1 text-xs text-gray-400">
+                          {label}
+                          <input
+                            type="number"
+                            value={distribution[key]}
+                            onChange={(e) => setParameter(field, key, e.target.value)}
+                            onKeyDown={keepArrowKeys}
+                            className="input w-24"
+                          />
+                        </label>
+                      ))}
+                      {errors[field] && <span className="text-xs text-red-400 w-full">{errors[field]}</span>}
+                    </div>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {isRunning && (
+          <div className="mt-4 h-2 bg-white/5 rounded-full overflow-hidden">
+            <div className="h-full bg-primary transition-all" style={{ width: `${Math.round(progress * 100)}%` }}></div>
+          </div>
+        )}
+        {error && <p className="mt-4 text-sm text-red-400">{error}</p>}
+        {stale && (
+          <p className="mt-4 text-sm text-yellow-400">
+            These results cover {result.horizonMonths} months; run again for the {horizonMonths}-month horizon.
+          </p>
+        )}
+      </GlassCard>
+
+      {result && (
+        <>
+          <div className="grid md:grid-cols-4 gap-4">
+            {SIMULATION_OUTPUTS.map(({ key, label }) => {
+              const summary = result.summary[key];
+              return (
+                <GlassCard key={key} className="py-4">
+                  <p className="text-sm text-gray-400">{key === 'arr' ? `ARR at Month ${result.horizonMonths}` : label}</p>
+                  <p className="text-2xl font-bold text-white">{formatOutput(key, summary.p50)}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    P10 {formatOutput(key, summary.p10)} • P90 {formatOutput(key, summary.p90)}
+                  </p>
+                  <p className="text-xs text-gray-500">Point estimate {formatOutput(key, summary.base)}</p>
+                </GlassCard>
+              );
+            })}
+          </div>
+
+          <GlassCard>
+            <h3 className="text-xl font-semibold text-white mb-1">ARR Fan Chart</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              {result.iterations.toLocaleString()} simulations • shaded bands hold the middle 80% and 50% of outcomes
+            </p>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={fanData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                  <XAxis dataKey="month" stroke="#666" label={{ value: 'Months', position: 'insideBottom', offset: -5 }} />
+                  <YAxis stroke="#666" tickFormatter={money} width={80} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px'
+                    }}
+                    labelFormatter={(month) => `Month ${month}`}
+                    formatter={(value) => (Array.isArray(value) ? `${money(value[0])} – ${money(value[1])}` : money(value))}
+                  />
+                  <Area type="monotone" dataKey="band90" name="P10–P90" stroke="none" fill="#3B82F6" fillOpacity={0.15} />
+                  <Area type="monotone" dataKey="band50" name="P25–P75" stroke="none" fill="#3B82F6" fillOpacity={0.3} />
+                  <Line type="monotone" dataKey="p50" name="Median" stroke="#3B82F6" strokeWidth={3} dot={false} />
+                  <Line type="monotone" dataKey="base" name="Point estimate" stroke="#F59E0B" strokeWidth={2} strokeDasharray="5 3" dot={false} />
+                  <Legend />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </GlassCard>
+
+          <GlassCard>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <div>
+                <h3 className="text-xl font-semibold text-white">What Drives the Variance</h3>
+                <p className="text-sm text-gray-400">Each input moved alone from its P10 to its P90</p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {SIMULATION_OUTPUTS.map(({ key, label }) => (
+                  <button
+                    key={key}
+                    onClick={() => setTornadoMetric(key)}
+                    className={`px-3 py-2 rounded-lg text-sm font-medium transition-all ${
+                      tornadoMetric === key
+                        ? 'bg-primary text-white'
+                        : 'bg-white/5 text-gray-400 hover:bg-white/10'
+                    }`}
+                  >
+                    {key === 'arr' ? 'ARR' : label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ height: Math.max(160, tornadoData.length * 48) }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={tornadoData} layout="vertical">
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                  <XAxis
+                    type="number"
+                    domain={['auto', 'auto']}
+                    stroke="#666"
+                    tickFormatter={(value) => formatOutput(tornadoMetric, value)}
+                  />
+                  <YAxis type="category" dataKey="label" stroke="#666" width={160} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: 'rgba(17, 17, 17, 0.9)',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px'
+                    }}
+                    formatter={(_value, _name, { payload }) => [
+                      `${formatOutput(tornadoMetric, payload.low)} at ${payload.lowInput} → ${formatOutput(tornadoMetric, payload.high)} at ${payload.highInput} (${payload.share}% of variance)`,
+                      payload.label
+                    ]}
+                  />
+                  <ReferenceLine x={result.summary[tornadoMetric].base} stroke="#F59E0B" strokeDasharray="4 4" />
+                  <Bar dataKey="range" name="Swing" fill="#8B5CF6" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </GlassCard>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import { useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import GlassCard from './ui/GlassCard';
+import Button from './ui/Button';
+import { PremiumLineChart } from './ui/PremiumChart';
+import { analyzeVanWestendorp, parseVanWestendorpCsv } from '@shared/vanWestendorp';
+
+const CURVE_LINES = [
+  { key: 'tooCheap', name: 'Too Cheap', color: '#F59E0B' },
+  { key: 'notCheap', name: 'Not Cheap', color: '#10B981' },
+  { key: 'notExpensive', name: 'Not Expensive', color: '#3B82F6' },
+  { key: 'tooExpensive', name: 'Too Expensive', color: '#EF4444' }
+];
+
+const formatPrice = (value) => (value === null ? 'n/a' : `$${value.toLocaleString()}`);
+
+export default function VanWestendorpSurvey({ appliedRange, onApplyRange }) {
+  const fileInput = useRef(null);
+  const [fileName, setFileName] = useState('');
+  const [analysis, setAnalysis] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = analyzeVanWestendorp(parseVanWestendorpCsv(await file.text()));
+      setAnalysis(result);
+      setFileName(file.name);
+      toast.success(`Imported ${result.responses} survey responses`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const pricePoints = analysis && [
+    { label: 'Point of Marginal Cheapness', value: analysis.pointOfMarginalCheapness },
+    { label: 'Optimal Price Point', value: analysis.optimalPricePoint },
+    { label: 'Indifference Price Point', value: analysis.indifferencePricePoint },
+    { label: 'Point of Marginal Expensiveness', value: analysis.pointOfMarginalExpensiveness }
+  ];
+
+  const range = analysis?.acceptableRange;
+  const isApplied = range && appliedRange?.min === range.min && appliedRange?.max === range.max;
+
+  return (
+    <GlassCard className="mb-12">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white">Willingness-to-Pay Survey</h3>
+          <p className="text-sm text-gray-400">
+            Import Van Westendorp responses as CSV with too cheap, cheap, expensive and too expensive columns.
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          {fileName && <span className="text-sm text-gray-400">{fileName}</span>}
+          <Button variant="secondary" onClick={() => fileInput.current?.click()}>
+            Import CSV
+          </Button>
+          <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </div>
+      </div>
+
+      {analysis && (
+        <div className="mt-6 space-y-6">
+          <PremiumLineChart
+            title="Price Sensitivity Meter"
+            data={analysis.curves.map((point) => ({ ...point, name: formatPrice(point.price) }))}
+            lines={CURVE_LINES}
+            formatValue={(value) => `${value}%`}
+            animate={false}
+          />
+
+          <div className="grid md:grid-cols-4 gap-4">
+            {pricePoints.map((point) => (
+              <GlassCard key={point.label} className="text-center py-4">
+                <p className="text-sm text-gray-400">{point.label}</p>
+                <p className="text-2xl font-bold text-white">{formatPrice(point.value)}</p>
+              </GlassCard>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <p className="text-sm text-gray-300">
+              {analysis.responses} responses analysed
+              {analysis.excluded > 0 && `, ${analysis.excluded} excluded for out-of-order answers`}.
+              {range
+                ? ` Acceptable range: ${formatPrice(range.min)} – ${formatPrice(range.max)}.`
+                : ' The curves do not cross cleanly, so no acceptable range could be derived.'}
+            </p>
+            {range && (
+              <Button
+                variant={isApplied ? 'secondary' : 'primary'}
+                onClick={() => onApplyRange(isApplied ? null : range)}
+              >
+                {isApplied ? 'Remove Price Range' : 'Constrain Tiers to Range'}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </GlassCard>
+  );
+}
@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import useCalculationStore from '../stores/calculationStore';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  return String(value);
+};
+
+const formatDelta = (change) => {
+  if (change.delta === null) return '';
+  const sign = change.delta > 0 ? '+' : '';
+  const percent = change.percentChange === null ? '' : ` (${sign}${change.percentChange}%)`;
+  return `${sign}${formatValue(change.delta)}${percent}`;
+};
+
+function DiffTable({ title, changes }) {
+  if (changes.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <h4 className="text-sm font-semibold text-muted mb-2">{title}</h4>
+      <table className="w-full text-sm">
+        <tbody>
+          {changes.map((change) => (
+            <tr key={change.field} className="border-t border-gray-700">
+              <td className="py-2 pr-2">{change.label}</td>
+              <td className="py-2 pr-2 text-muted">{formatValue(change.from)}</td>
+              <td className="py-2 pr-2">{formatValue(change.to)}</td>
+              <td className={`py-2 text-right ${change.delta > 0 ? 'text-green-500' : change.delta < 0 ? 'text-red-500' : 'text-muted'}`}>
+                {formatDelta(change)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Version history for one calculation: who changed what, a diff between
+ * any two versions, and restore/branch from any earlier one.
+ */
+export default function VersionTimeline({ calculation, onClose }) {
+  const {
+    versionHistory,
+    versionDiff,
+    isLoadingVersions,
+    fetchVersionHistory,
+    fetchVersionDiff,
+    restoreVersion,
+    branchFromVersion,
+    clearVersionHistory
+  } = useCalculationStore();
+
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    fetchVersionHistory(calculation.id);
+    return () => clearVersionHistory();
+  }, [calculation.id, fetchVersionHistory, clearVersionHistory]);
+
+  // Default to comparing the previous version with the current one
+  useEffect(() => {
+    if (!versionHistory) return;
+    const { currentVersion } = versionHistory;
+    setCompare({ from: Math.max(currentVersion - 1, 1), to: currentVersion });
+  }, [versionHistory]);
+
+  const versions = versionHistory?.versions ?? [];
+
+  const handleCompare = () => {
+    if (compare.from && compare.to && compare.from !== compare.to) {
+      fetchVersionDiff(calculation.id, compare.from, compare.to);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current version stays in the history.`)) return;
+    setIsWorking(true);
+    await restoreVersion(calculation.id, version);
+    setIsWorking(false);
+  };
+
+  const handleBranch = async (version) => {
+    const name = window.prompt('Name for the new branch', `${calculation.name || 'Calculation'} (branch of v${version})`);
+    if (name === null) return;
+    setIsWorking(true);
+    await branchFromVersion(calculation.id, version, name.trim() || undefined);
+    setIsWorking(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="glass-card w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold">Version history</h2>
+            <p className="text-muted">{calculation.name || 'Untitled Calculation'}</p>
+            {versionHistory?.parent && (
+              <p className="text-sm text-muted mt-1">
+                Branched from {versionHistory.parent.name} v{versionHistory.parent.branchedFromVersion}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="p-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors" aria-label="Close">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {isLoadingVersions ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <>
+            {/* Compare */}
+            {versions.length > 1 && (
+              <div className="mb-6">
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                  <span className="text-muted">Compare</span>
+                  {['from', 'to'].map((side) => (
+                    <select
+                      key={side}
+                      value={compare[side] ?? ''}
+                      onChange={(e) => setCompare({ ...compare, [side]: Number(e.target.value) })}
+                      className="px-3 py-2 bg-white/5 border border-gray-600 rounded-lg"
+                    >
+                      {versions.map((entry) => (
+                        <option key={entry.version} value={entry.version}>
+                          v{entry.version}{entry.current ? ' (current)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  ))}
+                  <button
+                    onClick={handleCompare}
+                    disabled={compare.from === compare.to}
+                    className="py-2 px-4 bg-primary/10 text-primary rounded-lg hover:bg-primary/20 transition-colors disabled:opacity-50"
+                  >
+                    Show changes
+                  </button>
+                </div>
+
+                {versionDiff && (
+                  versionDiff.inputs.length === 0 && versionDiff.metrics.length === 0 ? (
+                    <p className="text-sm text-muted">v{versionDiff.from} and v{versionDiff.to} are identical.</p>
+                  ) : (
+                    <>
+                      <DiffTable title={`Inputs, v${versionDiff.from} → v${versionDiff.to}`} changes={versionDiff.inputs} />
+                      <DiffTable title="Results" changes={versionDiff.metrics} />
+                    </>
+                  )
+                )}
+              </div>
+            )}
+
+            {/* Timeline */}
+            <ol className="relative border-l border-gray-700 ml-2">
+              {versions.map((entry) => (
+                <li key={entry.version} className="mb-6 ml-6">
+                  <span className={`absolute -left-2 w-4 h-4 rounded-full ${entry.current ? 'bg-primary' : 'bg-gray-600'}`}></span>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-semibold">v{entry.version}</span>
+                    {entry.current && (
+                      <span className="px-2 py-0.5 bg-primary/20 text-primary text-xs rounded-full">Current</span>
+                    )}
+                    <span className="text-sm text-muted">
+                      {entry.changedBy?.name || entry.changedBy?.email || 'Unknown user'} • {new Date(entry.createdAt).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="text-sm mt-1">{entry.note || (entry.version === 1 ? 'Created' : 'No note')}</p>
+                  {entry.changedInputs.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {entry.changedInputs.map((label) => (
+                        <span key={label} className="px-2 py-0.5 bg-white/5 text-xs rounded-full">{label}</span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex gap-2 mt-2">
+                    {!entry.current && (
+                      <button
+                        onClick={() => handleRestore(entry.version)}
+                        disabled={isWorking}
+                        className="text-sm text-primary hover:underline disabled:opacity-50"
+                      >
+                        Restore
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleBranch(entry.version)}
+                      disabled={isWorking}
+                      className="text-sm text-primary hover:underline disabled:opacity-50"
+                    >
+                      Branch
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+
+            {versionHistory?.branches?.length > 0 && (
+              <div className="mt-2">
+                <h4 className="text-sm font-semibold text-muted mb-2">Branches</h4>
+                <ul className="space-y-1 text-sm">
+                  {versionHistory.branches.map((branch) => (
+                    <li key={branch.id}>
+                      {branch.name} <span className="text-muted">from v{branch.branchedFromVersion}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
@@ -14,6 +14,10 @@ const loginSchema = z.object({
 
 export default function LoginForm() {
   const navigate = useNavigate();
+  const location = useLocation();
+  // Back to the page that asked for sign-in, e.g. a team invitation link
+  const from = location.state?.from;
+  const redirectTo = typeof from === 'string' ? from : from ? `${from.pathname}${from.search}` : '/dashboard';
   const { login, isLoading, error, clearError } = useAuthStore();
   const [showPassword, setShowPassword] = useState(false);
 
@@ -33,7 +37,7 @@ export default function LoginForm() {
     clearError();
     const result = await login(data);
     if (result.success) {
-      navigate('/dashboard');
+      navigate(redirectTo, { replace: true });
     }
   };
 
@@ -208,7 +212,7 @@ export default function LoginForm() {
           {/* Sign Up Link */}
           <p className="text-center text-sm text-muted">
             Don't have an account?{' '}
-            <Link to="/register" className="text-primary hover:text-primary/80 font-semibold transition-colors">
+            <Link to="/register" state={location.state} className="text-primary hover:text-primary/80 font-semibold transition-colors">
               Sign up for free
             </Link>
           </p>
@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import useAuthStore from '../../stores/authStore';
+import { useSystemConfig } from '../../hooks/useFeatureFlag';
+import { clearReferralClick, getReferralClickId } from '../../utils/referralTracking';
 import { motion } from 'framer-motion';
 
 // Password validation regex
@@ -35,7 +37,13 @@ const registerSchema = z.object({
 
 export default function RegisterForm() {
   const navigate = useNavigate();
+  const location = useLocation();
+  // Back to the page that asked for sign-in, e.g. a team invitation link
+  const from = location.state?.from;
+  const redirectTo = typeof from === 'string' ? from : from ? `${from.pathname}${from.search}` : '/dashboard';
   const { register: registerUser, isLoading, error, clearError } = useAuthStore();
+  const systemConfig = useSystemConfig();
+  const registrationClosed = systemConfig?.registrationEnabled === false;
   const [showPassword, setShowPassword] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
 
@@ -77,10 +85,15 @@ export default function RegisterForm() {
 
   const onSubmit = async (data) => {
     clearError();
-    const { confirmPassword, agreeToTerms, ...userData } = data;
-    const result = await registerUser(userData);
+    const { confirmPassword, agreeToTerms, referralCode, ...userData } = data;
+    const result = await registerUser({
+      ...userData,
+      referralCode: referralCode || undefined,
+      referralClickId: getReferralClickId() || undefined
+    });
     if (result.success) {
-      navigate('/dashboard');
+      clearReferralClick();
+      navigate(redirectTo, { replace: true });
     }
   };
 
@@ -295,10 +308,16 @@ export default function RegisterForm() {
             </motion.div>
           )}
 
+          {registrationClosed && (
+            <div className="p-3 bg-yellow-500/10 border border-yellow-500/20 rounded-lg">
+              <p className="text-sm text-yellow-500">New sign-ups are currently closed. Please check back soon.</p>
+            </div>
+          )}
+
           {/* Submit Button */}
           <button
             type="submit"
-            disabled={isSubmitting || isLoading}
+            disabled={isSubmitting || isLoading || registrationClosed}
             className="w-full py-3 px-4 bg-gradient-to-r from-primary to-secondary text-white font-semibold rounded-lg hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
           >
             {isSubmitting || isLoading ? (
@@ -317,7 +336,7 @@ export default function RegisterForm() {
           {/* Sign In Link */}
           <p className="text-center text-sm text-muted">
             Already have an account?{' '}
-            <Link to="/login" className="text-primary hover:text-primary/80 font-semibold transition-colors">
+            <Link to="/login" state={location.state} className="text-primary hover:text-primary/80 font-semibold transition-colors">
               Sign in
             </Link>
           </p>
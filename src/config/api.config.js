@@ -32,7 +32,26 @@ export const API_ENDPOINTS = {
     delete: (id) => `/calculations/${id}`,
     share: (id) => `/calculations/${id}/share`,
     getShared: (shareId) => `/calculations/shared/${shareId}`,
-    cloneShared: (shareId) => `/calculations/shared/${shareId}/clone`
+    cloneShared: (shareId) => `/calculations/shared/${shareId}/clone`,
+    versions: (id) => `/calculations/${id}/versions`,
+    versionDiff: (id) => `/calculations/${id}/versions/diff`,
+    restoreVersion: (id, version) => `/calculations/${id}/versions/${version}/restore`,
+    branchVersion: (id, version) => `/calculations/${id}/versions/${version}/branch`
+  },
+
+  // Scenario sets
+  scenarioSets: {
+    list: '/scenario-sets',
+    create: '/scenario-sets',
+    get: (id) => `/scenario-sets/${id}`,
+    update: (id) => `/scenario-sets/${id}`,
+    delete: (id) => `/scenario-sets/${id}`,
+    export: (id) => `/scenario-sets/${id}/export`
+  },
+
+  // Exports
+  exports: {
+    dataTables: '/export/data-tables'
   },
   
   // Billing
@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import useExperimentStore from '../stores/experimentStore';
+
+/**
+ * The variant of a server-side experiment shown to this visitor. `variant` is
+ * null while loading; if the experiment cannot be loaded it falls back to
+ * 'control' so the page still renders.
+ */
+export function useExperiment(name) {
+  const assignment = useExperimentStore((state) => state.assignments[name]);
+  const failed = useExperimentStore((state) => Boolean(state.errors[name]));
+  const assign = useExperimentStore((state) => state.assign);
+  const trackConversion = useExperimentStore((state) => state.trackConversion);
+
+  useEffect(() => {
+    if (!assignment && !failed) {
+      assign(name);
+    }
+  }, [name, assignment, failed, assign]);
+
+  return {
+    variant: assignment?.variant ?? (failed ? 'control' : null),
+    isLoading: !assignment && !failed,
+    trackConversion
+  };
+}
@@ -0,0 +1,32 @@
+import { useEffect } from 'react';
+import useAuthStore from '../stores/authStore';
+import useSystemConfigStore from '../stores/systemConfigStore';
+import { DEFAULT_SYSTEM_CONFIG, isFlagEnabled } from '@shared/systemConfig';
+
+/**
+ * Public system configuration (maintenance state, whether sign-ups are open
+ * and feature flags), refetched whenever the signed-in user changes.
+ * Null until the first response arrives.
+ */
+export function useSystemConfig() {
+  const userId = useAuthStore((state) => state.user?.id ?? null);
+  const { config, fetchedFor, isLoading, fetchConfig } = useSystemConfigStore();
+
+  useEffect(() => {
+    if (!isLoading && fetchedFor !== userId) {
+      fetchConfig(userId);
+    }
+  }, [userId, fetchedFor, isLoading, fetchConfig]);
+
+  return config;
+}
+
+/**
+ * Whether an operator feature flag is on for the current user. Falls back to
+ * the flag's default until the server answers; the API enforces flags either way.
+ */
+export function useFeatureFlag(flag) {
+  const config = useSystemConfig();
+
+  return config?.featureFlags?.[flag] ?? isFlagEnabled(DEFAULT_SYSTEM_CONFIG, flag);
+}
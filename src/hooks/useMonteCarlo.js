@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Run Monte Carlo simulations in a Web Worker. Starting a new run, or
+ * unmounting, stops the one in progress.
+ */
+export function useMonteCarlo() {
+  const workerRef = useRef(null);
+  const [state, setState] = useState({ result: null, progress: 0, isRunning: false, error: null });
+
+  const stop = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  const run = useCallback((inputs, distributions, options) => {
+    stop();
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setState((current) => ({ ...current, progress: 0, isRunning: true, error: null }));
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setState((current) => ({ ...current, progress: data.done / data.total }));
+        return;
+      }
+
+      setState({
+        result: data.type === 'result' ? data.result : null,
+        progress: 1,
+        isRunning: false,
+        error: data.type === 'error' ? data.message : null
+      });
+      stop();
+    };
+    worker.onerror = (event) => {
+      setState({ result: null, progress: 0, isRunning: false, error: event.message || 'Simulation failed' });
+      stop();
+    };
+
+    // Seed from the clock; the result reports it so a run can be repeated
+    worker.postMessage({ inputs, distributions, options: { seed: Date.now() % 2147483647, ...options } });
+  }, [stop]);
+
+  const cancel = useCallback(() => {
+    stop();
+    setState((current) => ({ ...current, isRunning: false, progress: 0 }));
+  }, [stop]);
+
+  useEffect(() => stop, [stop]);
+
+  return { ...state, run, cancel };
+}
@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import useAuthStore from '../stores/authStore';
+import useReferralStore from '../stores/referralStore';
+
+/**
+ * The signed-in user's referral code, link, stats and commission ledger,
+ * refetched whenever the user changes. Pass `enabled: false` to hold off
+ * until the program is actually shown, since the first fetch creates a code.
+ */
+export function useReferralProgram({ enabled = true } = {}) {
+  const userId = useAuthStore((state) => state.user?.id ?? null);
+  const { summary, fetchedFor, isLoading, error, fetchSummary } = useReferralStore();
+
+  useEffect(() => {
+    if (enabled && userId && !isLoading && fetchedFor !== userId) {
+      fetchSummary(userId);
+    }
+  }, [enabled, userId, fetchedFor, isLoading, fetchSummary]);
+
+  return {
+    isSignedIn: Boolean(userId),
+    summary: userId && fetchedFor === userId ? summary : null,
+    isLoading,
+    error
+  };
+}
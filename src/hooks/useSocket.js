@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import useAuthStore from '../stores/authStore';
+import { useFeatureFlag } from './useFeatureFlag';
 import toast from 'react-hot-toast';
 
 const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
@@ -10,10 +11,11 @@ export function useSocket() {
   const [isConnected, setIsConnected] = useState(false);
   const [activeUsers, setActiveUsers] = useState([]);
   const { token } = useAuthStore();
+  const collaborationEnabled = useFeatureFlag('collaboration');
 
   // Initialize socket connection
   useEffect(() => {
-    if (!token) return;
+    if (!token || !collaborationEnabled) return;
 
     // Create socket connection with authentication
     socketRef.current = io(SOCKET_URL, {
@@ -52,7 +54,7 @@ export function useSocket() {
         socket.disconnect();
       }
     };
-  }, [token]);
+  }, [token, collaborationEnabled]);
 
   // Join calculation room
   const joinCalculation = useCallback((calculationId) => {
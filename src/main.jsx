@@ -3,6 +3,7 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import { initReferralTracking } from './utils/referralTracking'
+import { initLeadCapture } from './utils/leadCapture'
 
 // Initialize referral tracking after DOM is ready
 if (document.readyState === 'loading') {
@@ -11,6 +12,9 @@ if (document.readyState === 'loading') {
   initReferralTracking();
 }
 
+// Send any email captures queued while offline
+initLeadCapture();
+
 const root = document.getElementById('root');
 console.log('main.jsx: Root element:', root);
 console.log('main.jsx: Document ready state:', document.readyState);
@@ -3,6 +3,10 @@ import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import useAuthStore from '../stores/authStore';
 import useCalculationStore from '../stores/calculationStore';
+import useScenarioStore from '../stores/scenarioStore';
+import VersionTimeline from '../components/VersionTimeline';
+import ScenarioComparison from '../components/ScenarioComparison';
+import { SCENARIO_SET_SIZE } from '@shared/scenarioSets';
 import toast from 'react-hot-toast';
 
 export default function DashboardPage() {
@@ -15,9 +19,13 @@ export default function DashboardPage() {
     shareCalculation,
     isLoading 
   } = useCalculationStore();
+  const { scenarioSets, fetchScenarioSets, createScenarioSet } = useScenarioStore();
 
   const [searchTerm, setSearchTerm] = useState('');
   const [viewMode, setViewMode] = useState('grid'); // grid or list
+  const [historyFor, setHistoryFor] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [openSetId, setOpenSetId] = useState(null);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -28,6 +36,7 @@ export default function DashboardPage() {
     // Fetch user data and calculations
     fetchProfile();
     fetchCalculations();
+    fetchScenarioSets();
   }, [isAuthenticated, navigate]);
 
   const handleDelete = async (id, name) => {
@@ -40,6 +49,40 @@ export default function DashboardPage() {
     await shareCalculation(id);
   };
 
+  const toggleCompare = (id) => {
+    if (compareIds.includes(id)) {
+      setCompareIds(compareIds.filter((selected) => selected !== id));
+    } else if (compareIds.length >= SCENARIO_SET_SIZE.max) {
+      toast.error(`Compare up to ${SCENARIO_SET_SIZE.max} calculations at a time`);
+    } else {
+      setCompareIds([...compareIds, id]);
+    }
+  };
+
+  // The first calculation picked becomes the baseline
+  const handleCreateScenarioSet = async () => {
+    const name = window.prompt('Name for this scenario set', 'Pricing scenarios');
+    if (name === null) return;
+
+    const created = await createScenarioSet({ name: name.trim() || 'Pricing scenarios', calculationIds: compareIds });
+    if (created) {
+      setCompareIds([]);
+      setOpenSetId(created.id);
+    }
+  };
+
+  const compareToggle = (calc) => (
+    <label className="flex items-center gap-1 text-sm text-muted cursor-pointer" title="Add to a scenario comparison">
+      <input
+        type="checkbox"
+        checked={compareIds.includes(calc.id)}
+        onChange={() => toggleCompare(calc.id)}
+        className="accent-primary"
+      />
+      Compare
+    </label>
+  );
+
   const filteredCalculations = calculations.filter(calc => 
     calc.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
     calc.notes?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -207,6 +250,25 @@ export default function DashboardPage() {
           </div>
         </motion.div>
 
+        {/* Scenario Sets */}
+        {scenarioSets.length > 0 && (
+          <div className="mb-6">
+            <h2 className="text-sm font-semibold text-muted mb-2">Scenario sets</h2>
+            <div className="flex flex-wrap gap-2">
+              {scenarioSets.map((scenarioSet) => (
+                <button
+                  key={scenarioSet.id}
+                  onClick={() => setOpenSetId(scenarioSet.id)}
+                  className="py-2 px-4 bg-white/5 rounded-lg hover:bg-primary/20 transition-colors text-left"
+                >
+                  <span className="font-semibold">{scenarioSet.name}</span>
+                  <span className="text-sm text-muted ml-2">{scenarioSet.scenarios.length} scenarios</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Calculations Grid/List */}
         {isLoading ? (
           <div className="flex items-center justify-center py-20">
@@ -257,13 +319,22 @@ export default function DashboardPage() {
                         </h3>
                         <p className="text-sm text-muted">
                           {new Date(calc.createdAt).toLocaleDateString()}
+                          {calc.version > 1 && ` • v${calc.version}`}
                         </p>
+                        <div className="mt-2">{compareToggle(calc)}</div>
+                      </div>
+                      <div className="flex gap-1">
+                        {calc.parentId && (
+                          <span className="px-2 py-1 bg-primary/20 text-primary text-xs rounded-full">
+                            Branch of v{calc.branchedFromVersion}
+                          </span>
+                        )}
+                        {calc.isPublic && (
+                          <span className="px-2 py-1 bg-green-500/20 text-green-500 text-xs rounded-full">
+                            Shared
+                          </span>
+                        )}
                       </div>
-                      {calc.isPublic && (
-                        <span className="px-2 py-1 bg-green-500/20 text-green-500 text-xs rounded-full">
-                          Shared
-                        </span>
-                      )}
                     </div>
 
                     {calc.notes && (
@@ -288,6 +359,15 @@ export default function DashboardPage() {
                       >
                         Open
                       </Link>
+                      <button
+                        onClick={() => setHistoryFor(calc)}
+                        className="p-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors"
+                        title="Version history"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                      </button>
                       <button
                         onClick={() => handleShare(calc.id)}
                         className="p-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors"
@@ -324,6 +404,7 @@ export default function DashboardPage() {
                       </div>
                     </div>
                     <div className="flex items-center gap-2">
+                      {compareToggle(calc)}
                       {calc.isPublic && (
                         <span className="px-2 py-1 bg-green-500/20 text-green-500 text-xs rounded-full">
                           Shared
@@ -335,6 +416,15 @@ export default function DashboardPage() {
                       >
                         Open
                       </Link>
+                      <button
+                        onClick={() => setHistoryFor(calc)}
+                        className="p-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors"
+                        title="Version history"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                      </button>
                       <button
                         onClick={() => handleShare(calc.id)}
                         className="p-2 bg-white/5 rounded-lg hover:bg-white/10 transition-colors"
@@ -359,6 +449,33 @@ export default function DashboardPage() {
           </motion.div>
         )}
       </div>
+
+      {compareIds.length > 0 && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 glass-card px-6 py-3 flex items-center gap-4">
+          <span className="text-sm">
+            {compareIds.length} selected
+            {compareIds.length < SCENARIO_SET_SIZE.min && <span className="text-muted"> • pick at least {SCENARIO_SET_SIZE.min}</span>}
+          </span>
+          <button
+            onClick={handleCreateScenarioSet}
+            disabled={compareIds.length < SCENARIO_SET_SIZE.min}
+            className="py-2 px-4 bg-gradient-to-r from-primary to-secondary text-white font-semibold rounded-lg hover:opacity-90 transition-all disabled:opacity-50"
+          >
+            Compare scenarios
+          </button>
+          <button onClick={() => setCompareIds([])} className="text-sm text-muted hover:underline">
+            Clear
+          </button>
+        </div>
+      )}
+
+      {historyFor && (
+        <VersionTimeline calculation={historyFor} onClose={() => setHistoryFor(null)} />
+      )}
+
+      {openSetId && (
+        <ScenarioComparison setId={openSetId} onClose={() => setOpenSetId(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Button from '../components/ui/Button';
+import GlassCard from '../components/ui/GlassCard';
+import apiClient from '../services/api.client';
+
+const ACTIONS = {
+  confirm: {
+    pending: 'Confirming your subscription...',
+    done: 'Subscription confirmed',
+    detail: (email) => `We'll send pricing tips to ${email}. Every email has an unsubscribe link.`,
+    failed: 'This confirmation link is invalid or has expired. Sign up again to get a new one.'
+  },
+  unsubscribe: {
+    pending: 'Unsubscribing...',
+    done: "You're unsubscribed",
+    detail: (email) => `We won't send marketing emails to ${email} again.`,
+    failed: "We couldn't find that subscription. It may have been removed already."
+  }
+};
+
+// Landing page for the confirm and unsubscribe links in lead emails
+export default function EmailPreferencesPage({ action }) {
+  const { token } = useParams();
+  const [state, setState] = useState({ status: 'pending', email: null });
+  const copy = ACTIONS[action];
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiClient.post(`/leads/${action}/${token}`, null, { skipErrorToast: true })
+      .then((response) => {
+        if (!cancelled) setState({ status: 'done', email: response.data.data.email });
+      })
+      .catch(() => {
+        if (!cancelled) setState({ status: 'failed', email: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [action, token]);
+
+  return (
+    <div className="min-h-screen pt-24 px-4 flex items-center justify-center">
+      <div className="max-w-lg w-full">
+        <GlassCard className="text-center p-12">
+          {state.status === 'pending' && (
+            <p className="text-xl text-secondary">{copy.pending}</p>
+          )}
+
+          {state.status === 'done' && (
+            <>
+              <h1 className="text-3xl font-bold text-white mb-4">{copy.done}</h1>
+              <p className="text-secondary mb-8">{copy.detail(state.email)}</p>
+            </>
+          )}
+
+          {state.status === 'failed' && (
+            <p className="text-secondary mb-8">{copy.failed}</p>
+          )}
+
+          {state.status !== 'pending' && (
+            <Link to="/">
+              <Button className="btn-primary">Back to home</Button>
+            </Link>
+          )}
+        </GlassCard>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Button from '../components/ui/Button';
+import GlassCard from '../components/ui/GlassCard';
+import useTeamStore from '../stores/teamStore';
+
+// Landing page for the link in team invitation emails; only reached signed in
+export default function JoinTeamPage() {
+  const { token } = useParams();
+  const acceptInvitation = useTeamStore((state) => state.acceptInvitation);
+  const [state, setState] = useState({ status: 'pending', team: null, error: null });
+  // An invitation can only be accepted once, so don't send it twice in StrictMode
+  const acceptedToken = useRef(null);
+
+  useEffect(() => {
+    if (acceptedToken.current === token) return;
+    acceptedToken.current = token;
+
+    acceptInvitation(token).then((team) => {
+      setState(team
+        ? { status: 'done', team, error: null }
+        : { status: 'failed', team: null, error: useTeamStore.getState().error });
+    });
+  }, [token, acceptInvitation]);
+
+  return (
+    <div className="min-h-screen pt-24 px-4 flex items-center justify-center">
+      <div className="max-w-lg w-full">
+        <GlassCard className="text-center p-12">
+          {state.status === 'pending' && (
+            <p className="text-xl text-secondary">Joining the team...</p>
+          )}
+
+          {state.status === 'done' && (
+            <>
+              <h1 className="text-3xl font-bold text-white mb-4">Welcome to {state.team.name}</h1>
+              <p className="text-secondary mb-8">
+                You joined as {state.team.role.toLowerCase()}. The team's calculations are on your dashboard.
+              </p>
+            </>
+          )}
+
+          {state.status === 'failed' && (
+            <>
+              <h1 className="text-3xl font-bold text-white mb-4">Couldn't join the team</h1>
+              <p className="text-secondary mb-2">{state.error}</p>
+              <p className="text-secondary mb-8">
+                Ask the team's owner or an admin to send a new invitation if you need one.
+              </p>
+            </>
+          )}
+
+          {state.status !== 'pending' && (
+            <Link to="/dashboard">
+              <Button className="btn-primary">Go to dashboard</Button>
+            </Link>
+          )}
+        </GlassCard>
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import useSubscriptionStore from '../stores/subscriptionStore';
 import toast from 'react-hot-toast';
 import GlassCard from '../components/ui/GlassCard';
 import Button from '../components/ui/Button';
+import { formatMoney } from '@shared/currency';
 
 const plans = [
   {
@@ -78,6 +79,8 @@ export default function PricingPageSubscription() {
     plan: currentPlan, 
     fetchSubscription, 
     createCheckout,
+    previewPlanChange,
+    changePlan,
     cancelSubscription,
     resumeSubscription,
     isLoading 
@@ -112,6 +115,21 @@ export default function PricingPageSubscription() {
       return;
     }
 
+    // Existing subscribers switch plans in place with a prorated charge
+    if (currentPlan !== 'FREE' && subscription?.stripeSubscriptionId) {
+      const preview = await previewPlanChange(planId);
+      if (!preview) return;
+
+      const currency = preview.currency.toUpperCase();
+      const charge = preview.prorationAmount >= 0
+        ? `${formatMoney(preview.prorationAmount, currency)} will be charged now`
+        : `${formatMoney(-preview.prorationAmount, currency)} will be credited to your account`;
+      if (window.confirm(`Switch to the ${planId} plan? ${charge} for the rest of this billing period.`)) {
+        await changePlan(planId, preview.prorationDate);
+      }
+      return;
+    }
+
     // Create Stripe checkout for Professional plan
     await createCheckout(
       planId,
@@ -126,8 +144,8 @@ export default function PricingPageSubscription() {
     }
 
     if (currentPlan === planId) {
-      if (subscription?.status === 'CANCELLING') {
-        return 'Resuming...';
+      if (subscription?.cancelAtPeriodEnd) {
+        return 'Cancelling';
       }
       return 'Current Plan';
     }
@@ -205,7 +223,7 @@ export default function PricingPageSubscription() {
                   <h3 className="text-lg font-semibold mb-2">Your Current Plan</h3>
                   <p className="text-muted">
                     You are on the <span className="text-primary font-bold">{currentPlan}</span> plan
-                    {subscription.status === 'CANCELLING' && (
+                    {subscription.cancelAtPeriodEnd && (
                       <span className="text-warning ml-2">
                         (Cancelling at end of period)
                       </span>
@@ -217,7 +235,7 @@ export default function PricingPageSubscription() {
                     </p>
                   )}
                 </div>
-                {subscription.status === 'CANCELLING' && (
+                {subscription.cancelAtPeriodEnd && (
                   <Button
                     onClick={resumeSubscription}
                     variant="secondary"
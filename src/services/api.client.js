@@ -58,7 +58,12 @@ apiClient.interceptors.response.use(
       }
     }
 
-    // Handle other errors with user-friendly messages
+    // Handle other errors with user-friendly messages; callers that handle
+    // failures themselves pass { skipErrorToast: true }
+    if (originalRequest?.skipErrorToast) {
+      return Promise.reject(error);
+    }
+
     if (error.response) {
       const message = error.response.data?.error || error.response.data?.message || 'An error occurred';
       
@@ -3,6 +3,7 @@ import { persist } from 'zustand/middleware';
 import apiClient from '../services/api.client';
 import { API_ENDPOINTS, STORAGE_KEYS } from '../config/api.config';
 import toast from 'react-hot-toast';
+import useEntitlementStore from './entitlementStore';
 
 const useAuthStore = create(
   persist(
@@ -87,6 +88,7 @@ const useAuthStore = create(
           isAuthenticated: false,
           error: null
         });
+        useEntitlementStore.getState().clear();
 
         toast.success('Logged out successfully');
       },
@@ -9,6 +9,9 @@ const useCalculationStore = create((set, get) => ({
   currentCalculation: null,
   isLoading: false,
   error: null,
+  versionHistory: null,
+  versionDiff: null,
+  isLoadingVersions: false,
   pagination: {
     page: 1,
     limit: 10,
@@ -89,7 +92,7 @@ const useCalculationStore = create((set, get) => ({
       });
       
       // Show specific error for plan limits
-      if (error.response?.status === 403) {
+      if (error.response?.data?.error?.code === 'PLAN_LIMIT_REACHED') {
         toast.error('You\'ve reached your plan limit. Upgrade to save more calculations!', {
           duration: 5000,
           icon: '⚠️'
@@ -249,6 +252,97 @@ const useCalculationStore = create((set, get) => ({
     }
   },
 
+  // { currentVersion, versions, parent, branches } for one calculation
+  fetchVersionHistory: async (id) => {
+    set({ versionHistory: null, versionDiff: null, isLoadingVersions: true });
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.calculations.versions(id));
+      set({ versionHistory: { id, ...response.data.data }, isLoadingVersions: false });
+      return response.data.data;
+    } catch (error) {
+      set({ isLoadingVersions: false });
+      toast.error(error.response?.data?.error?.message || 'Failed to load version history');
+      return null;
+    }
+  },
+
+  fetchVersionDiff: async (id, from, to) => {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.calculations.versionDiff(id), { params: { from, to } });
+      set({ versionDiff: response.data.data });
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to compare versions');
+      return null;
+    }
+  },
+
+  // Restoring adds a new version; nothing in the history is rewritten
+  restoreVersion: async (id, version, changeNote) => {
+    try {
+      const response = await apiClient.post(API_ENDPOINTS.calculations.restoreVersion(id, version), { changeNote });
+      set(state => ({
+        calculations: state.calculations.map(calc =>
+          calc.id === id ? { ...calc, ...response.data.data } : calc
+        )
+      }));
+      toast.success(`Version ${version} restored`);
+      await get().fetchVersionHistory(id);
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to restore version');
+      return null;
+    }
+  },
+
+  branchFromVersion: async (id, version, name) => {
+    try {
+      const response = await apiClient.post(API_ENDPOINTS.calculations.branchVersion(id, version), { name });
+      toast.success('Branch created');
+      await get().fetchCalculations();
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to create branch');
+      return null;
+    }
+  },
+
+  // Calculator results needn't be saved first; the server recomputes every table
+  exportDataTables: async (name, inputs, tables) => {
+    try {
+      const response = await apiClient.post(
+        API_ENDPOINTS.exports.dataTables,
+        { name, inputs, tables },
+        { responseType: 'blob' }
+      );
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'data-tables.xlsx';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      return true;
+    } catch (error) {
+      // The error body arrives as a blob too
+      let message = 'Failed to export data tables';
+      try {
+        const body = JSON.parse(await error.response.data.text());
+        message = body.error?.message || body.error || message;
+      } catch {
+        // Not a JSON error body; keep the generic message
+      }
+      toast.error(message);
+      return false;
+    }
+  },
+
+  clearVersionHistory: () => {
+    set({ versionHistory: null, versionDiff: null });
+  },
+
   clearCurrentCalculation: () => {
     set({ currentCalculation: null });
   },
@@ -0,0 +1,31 @@
+import { create } from 'zustand';
+import apiClient from '../services/api.client';
+
+// Entitlements are never persisted: the server decides what a plan allows
+const useEntitlementStore = create((set, get) => ({
+  entitlements: null,
+  isLoading: false,
+  error: null,
+
+  fetchEntitlements: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await apiClient.get('/user/entitlements');
+      set({ entitlements: response.data.data, isLoading: false });
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 'Failed to load plan entitlements';
+      set({ isLoading: false, error: errorMessage });
+      return null;
+    }
+  },
+
+  // Locked until the server says otherwise
+  hasFeature: (feature) => Boolean(get().entitlements?.features?.[feature]),
+
+  isExhausted: (meter) => Boolean(get().entitlements?.usage?.[meter]?.exhausted),
+
+  clear: () => set({ entitlements: null, error: null })
+}));
+
+export default useEntitlementStore;
@@ -0,0 +1,68 @@
+import { create } from 'zustand';
+import apiClient from '../services/api.client';
+
+const ANONYMOUS_ID_KEY = 'experiment_anonymous_id';
+
+// One id per browser, sent with every assignment so a visitor keeps their
+// variant after signing up
+const getAnonymousId = () => {
+  try {
+    let anonymousId = localStorage.getItem(ANONYMOUS_ID_KEY);
+    if (!anonymousId) {
+      anonymousId = crypto.randomUUID();
+      localStorage.setItem(ANONYMOUS_ID_KEY, anonymousId);
+    }
+    return anonymousId;
+  } catch {
+    // Private browsing: bucket for this page load only
+    return crypto.randomUUID();
+  }
+};
+
+const anonymousId = getAnonymousId();
+
+const useExperimentStore = create((set, get) => ({
+  anonymousId,
+  // { [name]: { variant, active } }
+  assignments: {},
+  pending: {},
+  errors: {},
+
+  assign: async (name) => {
+    if (get().assignments[name] || get().pending[name]) {
+      return get().assignments[name] || null;
+    }
+
+    set((state) => ({ pending: { ...state.pending, [name]: true } }));
+    try {
+      const response = await apiClient.post(`/experiments/${name}/assign`, { anonymousId });
+      const { variant, active } = response.data.data;
+      set((state) => ({
+        assignments: { ...state.assignments, [name]: { variant, active } },
+        pending: { ...state.pending, [name]: false }
+      }));
+      return { variant, active };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 'Failed to load experiment';
+      set((state) => ({
+        pending: { ...state.pending, [name]: false },
+        errors: { ...state.errors, [name]: errorMessage }
+      }));
+      return null;
+    }
+  },
+
+  // Credits every running experiment with this goal that the visitor saw.
+  // Purchases are credited by the server from the completed checkout.
+  trackConversion: async (goal, value) => {
+    try {
+      const response = await apiClient.post('/experiments/conversions', { goal, anonymousId, value });
+      return response.data.data.attributed;
+    } catch (error) {
+      console.warn('Failed to record experiment conversion:', error);
+      return [];
+    }
+  }
+}));
+
+export default useExperimentStore;
@@ -0,0 +1,27 @@
+import { create } from 'zustand';
+import apiClient from '../services/api.client';
+
+// The summary belongs to one referrer, so remember whose it is
+const useReferralStore = create((set) => ({
+  // { code, link, program, stats, referrals, commissions }; amounts in cents
+  summary: null,
+  fetchedFor: undefined,
+  isLoading: false,
+  error: null,
+
+  // The first fetch also creates the user's referral code
+  fetchSummary: async (userId) => {
+    set({ isLoading: true, error: null, fetchedFor: userId });
+    try {
+      const response = await apiClient.get('/referrals/me');
+      set({ summary: response.data.data, isLoading: false });
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 'Failed to load referral program';
+      set({ isLoading: false, error: errorMessage });
+      return null;
+    }
+  }
+}));
+
+export default useReferralStore;
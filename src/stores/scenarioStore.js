@@ -0,0 +1,120 @@
+import { create } from 'zustand';
+import apiClient from '../services/api.client';
+import { API_ENDPOINTS } from '../config/api.config';
+import toast from 'react-hot-toast';
+
+const useScenarioStore = create((set, get) => ({
+  // State
+  scenarioSets: [],
+  currentSet: null,
+  isLoading: false,
+  isLoadingSet: false,
+
+  // Actions
+  fetchScenarioSets: async () => {
+    set({ isLoading: true });
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.scenarioSets.list);
+      set({ scenarioSets: response.data.data, isLoading: false });
+      return response.data.data;
+    } catch (error) {
+      set({ isLoading: false });
+      toast.error(error.response?.data?.error?.message || 'Failed to load scenario sets');
+      return [];
+    }
+  },
+
+  createScenarioSet: async ({ name, calculationIds, baselineId }) => {
+    try {
+      const response = await apiClient.post(API_ENDPOINTS.scenarioSets.create, { name, calculationIds, baselineId });
+      set({ scenarioSets: [response.data.data, ...get().scenarioSets] });
+      toast.success('Scenario set created');
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to create scenario set');
+      return null;
+    }
+  },
+
+  fetchScenarioSet: async (id) => {
+    set({ currentSet: null, isLoadingSet: true });
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.scenarioSets.get(id));
+      set({ currentSet: response.data.data, isLoadingSet: false });
+      return response.data.data;
+    } catch (error) {
+      set({ isLoadingSet: false });
+      toast.error(error.response?.data?.error?.message || 'Failed to load scenario set');
+      return null;
+    }
+  },
+
+  updateScenarioSet: async (id, updates) => {
+    try {
+      const response = await apiClient.put(API_ENDPOINTS.scenarioSets.update(id), updates);
+      const updated = response.data.data;
+      set({
+        currentSet: updated,
+        scenarioSets: get().scenarioSets.map((existing) =>
+          existing.id === id ? { ...existing, ...updated, comparison: undefined } : existing
+        )
+      });
+      return updated;
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update scenario set');
+      return null;
+    }
+  },
+
+  deleteScenarioSet: async (id) => {
+    try {
+      await apiClient.delete(API_ENDPOINTS.scenarioSets.delete(id));
+      set({
+        scenarioSets: get().scenarioSets.filter((existing) => existing.id !== id),
+        currentSet: get().currentSet?.id === id ? null : get().currentSet
+      });
+      toast.success('Scenario set deleted');
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete scenario set');
+      return false;
+    }
+  },
+
+  // Downloads the comparison as one PDF or workbook
+  exportScenarioSet: async (id, format) => {
+    try {
+      const response = await apiClient.post(
+        API_ENDPOINTS.scenarioSets.export(id),
+        { format },
+        { responseType: 'blob' }
+      );
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `scenario-set-${id}.${format === 'pdf' ? 'pdf' : 'xlsx'}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      return true;
+    } catch (error) {
+      // The error body arrives as a blob too
+      let message = 'Failed to export scenario set';
+      try {
+        message = JSON.parse(await error.response.data.text()).error?.message || message;
+      } catch {
+        // Not a JSON error body; keep the generic message
+      }
+      toast.error(message);
+      return false;
+    }
+  },
+
+  clearCurrentSet: () => {
+    set({ currentSet: null });
+  }
+}));
+
+export default useScenarioStore;
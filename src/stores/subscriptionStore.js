@@ -2,6 +2,11 @@ import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import apiClient from '../services/api.client';
 import toast from 'react-hot-toast';
+import useEntitlementStore from './entitlementStore';
+import useExperimentStore from './experimentStore';
+import { hasFeature } from '@shared/plans';
+
+const PLAN_CHANGE_SYNC_MS = 5000;
 
 const useSubscriptionStore = create(
   persist(
@@ -18,11 +23,8 @@ const useSubscriptionStore = create(
         set({ isLoading: true });
         try {
           const response = await apiClient.get('/subscriptions/current');
-          set({
-            subscription: response.data.subscription,
-            plan: response.data.plan,
-            planDetails: response.data.planDetails
-          });
+          const { subscription, plan, planDetails } = response.data.data;
+          set({ subscription, plan, planDetails });
         } catch (error) {
           console.error('Failed to fetch subscription:', error);
         } finally {
@@ -37,12 +39,14 @@ const useSubscriptionStore = create(
           const response = await apiClient.post('/subscriptions/create-checkout', {
             plan,
             successUrl: successUrl || `${window.location.origin}/success`,
-            cancelUrl: cancelUrl || `${window.location.origin}/pricing`
+            cancelUrl: cancelUrl || `${window.location.origin}/pricing`,
+            // Lets the server credit the purchase to the experiment variant this visitor saw
+            anonymousId: useExperimentStore.getState().anonymousId
           });
 
           // Redirect to Stripe checkout
-          if (response.data.checkoutUrl) {
-            window.location.href = response.data.checkoutUrl;
+          if (response.data.data.checkoutUrl) {
+            window.location.href = response.data.data.checkoutUrl;
           }
         } catch (error) {
           console.error('Failed to create checkout:', error);
@@ -52,23 +56,48 @@ const useSubscriptionStore = create(
         }
       },
 
+      // Preview the prorated charge for switching an existing subscription
+      previewPlanChange: async (plan) => {
+        try {
+          const response = await apiClient.post('/subscriptions/preview-change', { plan });
+          return response.data.data;
+        } catch (error) {
+          console.error('Failed to preview plan change:', error);
+          toast.error(error.response?.data?.error?.message || 'Failed to preview plan change');
+          return null;
+        }
+      },
+
+      // Switch an existing subscription to another paid plan
+      changePlan: async (plan, prorationDate) => {
+        set({ isLoading: true });
+        try {
+          const response = await apiClient.post('/subscriptions/change-plan', { plan, prorationDate });
+          const subscription = response.data.data;
+          toast.success('Plan change confirmed; your new plan will be active in a moment');
+
+          // The plan switches once Stripe's webhook confirms it
+          setTimeout(async () => {
+            useEntitlementStore.getState().clear();
+            await get().fetchSubscription();
+          }, PLAN_CHANGE_SYNC_MS);
+          return subscription;
+        } catch (error) {
+          console.error('Failed to change plan:', error);
+          toast.error(error.response?.data?.error?.message || 'Failed to change plan');
+          return null;
+        } finally {
+          set({ isLoading: false });
+        }
+      },
+
       // Cancel subscription
       cancelSubscription: async () => {
         set({ isLoading: true });
         try {
-          await apiClient.post('/subscriptions/cancel');
+          const response = await apiClient.post('/subscriptions/cancel');
           toast.success('Subscription will be cancelled at the end of the billing period');
-          
-          // Update local state
-          const { subscription } = get();
-          if (subscription) {
-            set({
-              subscription: {
-                ...subscription,
-                status: 'CANCELLING'
-              }
-            });
-          }
+          set({ subscription: response.data.data });
         } catch (error) {
           console.error('Failed to cancel subscription:', error);
           toast.error('Failed to cancel subscription');
@@ -81,19 +110,9 @@ const useSubscriptionStore = create(
       resumeSubscription: async () => {
         set({ isLoading: true });
         try {
-          await apiClient.post('/subscriptions/resume');
+          const response = await apiClient.post('/subscriptions/resume');
           toast.success('Subscription resumed successfully');
-          
-          // Update local state
-          const { subscription } = get();
-          if (subscription) {
-            set({
-              subscription: {
-                ...subscription,
-                status: 'ACTIVE'
-              }
-            });
-          }
+          set({ subscription: response.data.data });
         } catch (error) {
           console.error('Failed to resume subscription:', error);
           toast.error('Failed to resume subscription');
@@ -106,7 +125,7 @@ const useSubscriptionStore = create(
       fetchUsage: async () => {
         try {
           const response = await apiClient.get('/subscriptions/usage');
-          set({ usage: response.data });
+          set({ usage: response.data.data });
         } catch (error) {
           console.error('Failed to fetch usage:', error);
         }
@@ -116,7 +135,7 @@ const useSubscriptionStore = create(
       fetchInvoices: async () => {
         try {
           const response = await apiClient.get('/subscriptions/invoices');
-          set({ invoices: response.data.invoices });
+          set({ invoices: response.data.data.invoices });
         } catch (error) {
           console.error('Failed to fetch invoices:', error);
         }
@@ -127,7 +146,7 @@ const useSubscriptionStore = create(
         set({ isLoading: true });
         try {
           const response = await apiClient.post('/subscriptions/update-payment');
-          return response.data.clientSecret;
+          return response.data.data.clientSecret;
         } catch (error) {
           console.error('Failed to get payment update intent:', error);
           toast.error('Failed to update payment method');
@@ -138,45 +157,29 @@ const useSubscriptionStore = create(
       },
 
       // Check if user has access to feature
+      // Same plan definition the server enforces; FeatureGate asks the server directly
       hasAccess: (feature) => {
-        const { plan, planDetails } = get();
-        
         // Everyone has access to basic features
         if (feature === 'basic') return true;
         
-        // Check plan-specific features
-        if (plan === 'FREE') {
-          return feature === 'pdf_export';
-        }
-        
-        if (plan === 'PROFESSIONAL') {
-          return ['unlimited_calculations', 'api_access', 'team', 'analytics'].includes(feature);
-        }
-        
-        if (plan === 'ENTERPRISE') {
-          return true; // Enterprise has access to everything
-        }
-        
-        return false;
+        return hasFeature(get().plan, feature);
       },
 
       // Check if user has reached usage limit
       canUseFeature: (feature) => {
-        const { usage, planDetails } = get();
+        const { usage } = get();
         
-        if (!usage || !planDetails) return true;
+        if (!usage) return true;
         
-        if (feature === 'calculation') {
-          if (planDetails.limits.calculations === -1) return true;
-          return usage.usage.calculations < planDetails.limits.calculations;
-        }
-        
-        if (feature === 'api') {
-          if (planDetails.limits.apiCalls === -1) return true;
-          return usage.usage.apiCalls < planDetails.limits.apiCalls;
-        }
+        // Meters come from /subscriptions/usage and already account for unlimited plans
+        const meter = {
+          calculation: usage.usage.calculations,
+          ai: usage.usage.aiBudget,
+          export: usage.usage.exports,
+          batch_export: usage.usage.batchExports
+        }[feature];
         
-        return true;
+        return !meter?.exhausted;
       }
     }),
     {
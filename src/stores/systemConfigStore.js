@@ -0,0 +1,25 @@
+import { create } from 'zustand';
+import apiClient from '../services/api.client';
+
+// Flags are evaluated per user on the server, so remember whose config this is
+const useSystemConfigStore = create((set) => ({
+  config: null,
+  fetchedFor: undefined,
+  isLoading: false,
+  error: null,
+
+  fetchConfig: async (userId = null) => {
+    set({ isLoading: true, error: null, fetchedFor: userId });
+    try {
+      const response = await apiClient.get('/config');
+      set({ config: response.data.data, isLoading: false });
+      return response.data.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 'Failed to load app configuration';
+      set({ isLoading: false, error: errorMessage });
+      return null;
+    }
+  }
+}));
+
+export default useSystemConfigStore;
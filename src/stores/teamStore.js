@@ -18,12 +18,12 @@ const useTeamStore = create((set, get) => ({
       const response = await apiClient.get('/teams');
       
       set({
-        teams: response.data.teams,
+        teams: response.data.data.teams,
         isLoading: false,
         error: null
       });
 
-      return response.data.teams;
+      return response.data.data.teams;
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Failed to fetch teams';
       set({
@@ -40,14 +40,14 @@ const useTeamStore = create((set, get) => ({
       const response = await apiClient.post('/teams', teamData);
       
       set(state => ({
-        teams: [...state.teams, response.data],
-        currentTeam: response.data,
+        teams: [...state.teams, response.data.data],
+        currentTeam: response.data.data,
         isLoading: false,
         error: null
       }));
 
       toast.success('Team created successfully!');
-      return response.data;
+      return response.data.data;
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Failed to create team';
       set({
@@ -66,15 +66,15 @@ const useTeamStore = create((set, get) => ({
       
       set(state => ({
         teams: state.teams.map(team => 
-          team.id === teamId ? response.data : team
+          team.id === teamId ? response.data.data : team
         ),
-        currentTeam: state.currentTeam?.id === teamId ? response.data : state.currentTeam,
+        currentTeam: state.currentTeam?.id === teamId ? response.data.data : state.currentTeam,
         isLoading: false,
         error: null
       }));
 
       toast.success('Team updated successfully!');
-      return response.data;
+      return response.data.data;
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Failed to update team';
       set({
@@ -117,12 +117,13 @@ const useTeamStore = create((set, get) => ({
       const response = await apiClient.get(`/teams/${teamId}/members`);
       
       set({
-        members: response.data.members,
+        members: response.data.data.members,
+        invitations: response.data.data.invitations,
         isLoading: false,
         error: null
       });
 
-      return response.data.members;
+      return response.data.data.members;
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Failed to fetch team members';
       set({
@@ -133,19 +134,51 @@ const useTeamStore = create((set, get) => ({
     }
   },
 
+  // Needs a signed-in user; the join page sits behind ProtectedRoute, which
+  // sends visitors through login and back to the invitation link
+  acceptInvitation: async (token) => {
+    set({ isLoading: true, error: null });
+    try {
+      // The join page shows the reason itself (expired, wrong account, no seats)
+      const response = await apiClient.post(`/teams/invitations/${token}/accept`, null, { skipErrorToast: true });
+      const team = response.data.data;
+
+      set(state => ({
+        teams: [...state.teams.filter(existing => existing.id !== team.id), team],
+        currentTeam: team,
+        isLoading: false,
+        error: null
+      }));
+
+      toast.success(`You joined ${team.name}!`);
+      return team;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || 'Failed to accept invitation';
+      set({
+        isLoading: false,
+        error: errorMessage
+      });
+      return null;
+    }
+  },
+
   inviteMember: async (teamId, email, role = 'MEMBER') => {
     set({ isLoading: true, error: null });
     try {
       const response = await apiClient.post(`/teams/${teamId}/invite`, { email, role });
       
       set(state => ({
-        invitations: [...state.invitations, response.data],
+        // Re-inviting replaces the earlier invitation for that address
+        invitations: [
+          ...state.invitations.filter(invitation => invitation.email !== response.data.data.email),
+          response.data.data
+        ],
         isLoading: false,
         error: null
       }));
 
       toast.success(`Invitation sent to ${email}!`);
-      return response.data;
+      return response.data.data;
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Failed to send invitation';
       set({
@@ -195,7 +228,7 @@ const useTeamStore = create((set, get) => ({
       }));
 
       toast.success('Member role updated successfully!');
-      return response.data;
+      return response.data.data;
     } catch (error) {
       const errorMessage = error.response?.data?.error?.message || 'Failed to update member role';
       set({
@@ -1,6 +1,13 @@
 import jsPDF from 'jspdf';
+import { formatMoney } from '@shared/currency';
+
+const formatComparison = (value) =>
+  value === null || value === undefined ? 'n/a' : `${value > 0 ? '+' : ''}${value}%`;
 
 export const exportToPDF = (results) => {
+  // jsPDF's built-in fonts only cover Latin-1, so ₹-style symbols are written as codes
+  const money = (value) => formatMoney(value, results.inputs?.currency, { latinOnly: true });
+
   // Create new PDF document
   const doc = new jsPDF();
   
@@ -23,10 +30,10 @@ export const exportToPDF = (results) => {
   
   doc.setFontSize(12);
   doc.setFont(undefined, 'normal');
-  doc.text(`Recommended Price: $${results.metrics.recommendedPrice}/month`, 20, 60);
-  doc.text(`Projected Monthly Revenue: $${results.metrics.monthlyRevenue.toLocaleString()}`, 20, 70);
-  doc.text(`Projected Annual Revenue: $${results.metrics.yearlyRevenue.toLocaleString()}`, 20, 80);
-  doc.text(`vs. Competitor: ${results.metrics.competitorComparison > 0 ? '+' : ''}${results.metrics.competitorComparison}%`, 20, 90);
+  doc.text(`Recommended Price: ${money(results.metrics.optimalPrice)}/month`, 20, 60);
+  doc.text(`Projected Monthly Revenue: ${money(results.metrics.mrr)}`, 20, 70);
+  doc.text(`Projected Annual Revenue: ${money(results.metrics.arr)}`, 20, 80);
+  doc.text(`vs. Competitor: ${formatComparison(results.metrics.competitorComparison)}`, 20, 90);
   
   // Pricing Tiers Section
   doc.setFontSize(16);
@@ -50,7 +57,7 @@ export const exportToPDF = (results) => {
     
     // Price
     doc.setFontSize(18);
-    doc.text(`$${tier.price}`, 47.5 + (index * 60), yPosition + 25, { align: 'center' });
+    doc.text(money(tier.price), 47.5 + (index * 60), yPosition + 25, { align: 'center' });
     
     doc.setFontSize(10);
     doc.setFont(undefined, 'normal');
@@ -100,7 +107,7 @@ export const exportToPDF = (results) => {
   // Footer
   doc.setFontSize(8);
   doc.setTextColor(128, 128, 128);
-  doc.text('Generated by SaaS Pricing Calculator 2025', 105, 280, { align: 'center' });
+  doc.text(`Generated by SaaS Pricing Calculator 2025 (formula v${results.formulaVersion})`, 105, 280, { align: 'center' });
   doc.text('© 2025 - Confidential Pricing Strategy', 105, 285, { align: 'center' });
   
   // Save the PDF
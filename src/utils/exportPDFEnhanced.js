@@ -1,7 +1,14 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
+import { formatMoney } from '@shared/currency';
+
+const formatComparison = (value) =>
+  value === null || value === undefined ? 'n/a' : `${value > 0 ? '+' : ''}${value}%`;
 
 export const exportToPDFEnhanced = (results) => {
+  // jsPDF's built-in fonts only cover Latin-1, so ₹-style symbols are written as codes
+  const money = (value) => formatMoney(value, results.inputs?.currency, { latinOnly: true });
+
   const doc = new jsPDF();
   
   // Header
@@ -27,8 +34,8 @@ export const exportToPDFEnhanced = (results) => {
   
   doc.setFontSize(11);
   doc.setFont(undefined, 'normal');
-  doc.text(`Recommended Price Point: $${results.metrics.recommendedPrice}/month`, 20, 75);
-  doc.text(`Projected Annual Revenue: $${results.metrics.yearlyRevenue.toLocaleString()}`, 20, 82);
+  doc.text(`Recommended Price Point: ${money(results.metrics.optimalPrice)}/month`, 20, 75);
+  doc.text(`Projected Annual Revenue: ${money(results.metrics.arr)}`, 20, 82);
   
   // Pricing Tiers Table
   doc.setFontSize(16);
@@ -39,7 +46,7 @@ export const exportToPDFEnhanced = (results) => {
   // Prepare table data
   const tableData = Object.values(results.tiers).map(tier => [
     tier.name,
-    `$${tier.price}/mo`,
+    `${money(tier.price)}/mo`,
     tier.features.slice(0, 2).join('\n'), // First 2 features
     tier.recommended ? 'RECOMMENDED' : ''
   ]);
@@ -80,10 +87,10 @@ export const exportToPDFEnhanced = (results) => {
   
   // Metrics table
   const metricsData = [
-    ['Monthly Revenue', `$${results.metrics.monthlyRevenue.toLocaleString()}`],
-    ['Annual Revenue', `$${results.metrics.yearlyRevenue.toLocaleString()}`],
-    ['vs. Competitor', `${results.metrics.competitorComparison > 0 ? '+' : ''}${results.metrics.competitorComparison}%`],
-    ['Churn Impact', `$${results.metrics.churnImpact.toLocaleString()}/year`]
+    ['Monthly Revenue', money(results.metrics.mrr)],
+    ['Annual Revenue', money(results.metrics.arr)],
+    ['vs. Competitor', formatComparison(results.metrics.competitorComparison)],
+    ['Churn Impact', `${money(results.metrics.churnImpact)}/year`]
   ];
   
   doc.autoTable({
@@ -125,7 +132,7 @@ export const exportToPDFEnhanced = (results) => {
   doc.setFontSize(9);
   doc.setTextColor(156, 163, 175); // gray-400
   doc.text('This report contains confidential pricing strategy information', 105, 280, { align: 'center' });
-  doc.text('Generated by SaaS Pricing Calculator 2025 | saaspricingcalculator.com', 105, 285, { align: 'center' });
+  doc.text(`Generated by SaaS Pricing Calculator 2025 | saaspricingcalculator.com | formula v${results.formulaVersion}`, 105, 285, { align: 'center' });
   
   // Save
   doc.save(`pricing-strategy-${new Date().toISOString().split('T')[0]}.pdf`);
@@ -0,0 +1,84 @@
+/**
+ * Lead Capture Utility
+ * Sends emails collected by the popups to the leads API, which handles
+ * deduplication, double opt-in and the admin export. Captures made while
+ * offline are queued in localStorage and sent once the connection is back.
+ */
+import apiClient from '../services/api.client';
+import { CONSENT_STATEMENTS, CURRENT_CONSENT_VERSION } from '@shared/leads';
+
+const QUEUE_KEY = 'lead_queue';
+const MAX_QUEUED = 20;
+
+// Wording the visitor agrees to; shown next to every capture form
+export const CONSENT_TEXT = CONSENT_STATEMENTS[CURRENT_CONSENT_VERSION];
+
+const readQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  if (queue.length === 0) {
+    localStorage.removeItem(QUEUE_KEY);
+  } else {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue.slice(-MAX_QUEUED)));
+  }
+};
+
+const postLead = (lead) => apiClient.post('/leads', lead, { skipErrorToast: true });
+
+// No response at all means we never reached the API
+const isNetworkError = (error) => !error.response;
+
+/**
+ * Submit a capture. Resolves to 'sent' or 'queued'; rejects with the API
+ * error when the server refused it (e.g. an invalid address).
+ */
+export const captureLead = async ({ email, source, context }) => {
+  const lead = { email, source, context, consentVersion: CURRENT_CONSENT_VERSION };
+
+  if (navigator.onLine !== false) {
+    try {
+      await postLead(lead);
+      return 'sent';
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+
+  writeQueue([...readQueue(), lead]);
+  return 'queued';
+};
+
+// Send queued captures in order; stop at the first network failure and keep the rest
+export const flushLeadQueue = async () => {
+  const queue = readQueue();
+
+  while (queue.length > 0) {
+    try {
+      await postLead(queue[0]);
+    } catch (error) {
+      if (isNetworkError(error)) break;
+      // Rejected by the server; retrying won't help
+      console.warn('Dropping queued lead:', error.response?.data?.error?.message);
+    }
+    queue.shift();
+  }
+
+  writeQueue(queue);
+};
+
+// Initialize lead queue flushing
+export const initLeadCapture = () => {
+  if (typeof window === 'undefined') return;
+
+  window.addEventListener('online', flushLeadQueue);
+
+  if (navigator.onLine !== false) {
+    flushLeadQueue();
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Region Rates Storage
+ * Keeps the user's edited or imported exchange-rate and PPP table offline
+ */
+
+import { DEFAULT_REGION_RATES } from '@shared/currency';
+
+const STORAGE_KEY = 'saas_pricing_region_rates';
+
+// Load the saved table, falling back to the bundled defaults
+export const getRegionRates = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : DEFAULT_REGION_RATES;
+  } catch (error) {
+    console.error('Error loading region rates:', error);
+    return DEFAULT_REGION_RATES;
+  }
+};
+
+export const saveRegionRates = (rates) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rates));
+    return true;
+  } catch (error) {
+    console.error('Error saving region rates:', error);
+    return false;
+  }
+};
+
+export const resetRegionRates = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return DEFAULT_REGION_RATES;
+};
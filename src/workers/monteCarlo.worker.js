@@ -0,0 +1,17 @@
+import { runMonteCarlo } from '@shared/monteCarlo';
+
+// Runs a simulation off the main thread. Posts `progress` messages while it
+// works, then one `result` or `error`.
+self.onmessage = ({ data }) => {
+  const { inputs, distributions, options } = data;
+
+  try {
+    const result = runMonteCarlo(inputs, distributions, {
+      ...options,
+      onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
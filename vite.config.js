@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { resolve } from 'path'
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -11,6 +12,13 @@ export default defineConfig({
       include: /\.(jsx|js|ts|tsx)$/,
     })
   ],
+
+  resolve: {
+    alias: {
+      // Framework-free modules shared with the backend (pricing engine)
+      '@shared': resolve(__dirname, './backend/src/shared'),
+    },
+  },
   
   // Performance optimizations
   esbuild: {
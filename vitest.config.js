@@ -46,6 +46,7 @@ export default defineConfig({
       '@stores': resolve(__dirname, './src/stores'),
       '@config': resolve(__dirname, './src/config'),
       '@contexts': resolve(__dirname, './src/contexts'),
+      '@shared': resolve(__dirname, './backend/src/shared'),
     },
   },
 });
\ No newline at end of file